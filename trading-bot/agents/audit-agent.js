@@ -24,6 +24,7 @@ class AuditAgent extends AgentBase {
       signals: { total: 0, byDirection: { long: 0, short: 0, neutral: 0 } },
       trades: { total: 0, wins: 0, losses: 0, pnl: 0 },
       errors: { total: 0, byType: {} },
+      reconciliations: { total: 0, byType: {} },
       latency: { samples: [], p50: 0, p95: 0, p99: 0 },
       uptime: { startTime: Date.now(), lastCheck: Date.now() }
     };
@@ -54,6 +55,7 @@ class AuditAgent extends AgentBase {
     this.onMessage('LOG_ERROR', this._handleLogError.bind(this));
     this.onMessage('LOG_POSITION', this._handleLogPosition.bind(this));
     this.onMessage('LOG_EMERGENCY', this._handleLogEmergency.bind(this));
+    this.onMessage('LOG_RECONCILIATION', this._handleLogReconciliation.bind(this));
     this.onMessage('CHECK_INVARIANTS', this._handleCheckInvariants.bind(this));
     this.onMessage('GET_METRICS', this._handleGetMetrics.bind(this));
 
@@ -139,6 +141,27 @@ class AuditAgent extends AgentBase {
     return entry;
   }
 
+  /**
+   * Position reconciliation correction (PositionReconciler).
+   * Appended to reconciliation.jsonl immediately - these are state changes made without a signal.
+   */
+  logReconciliation(correction) {
+    const entry = {
+      timestamp: correction.timestamp || Date.now(),
+      type: correction.type,
+      symbol: correction.symbol,
+      details: correction.details
+    };
+
+    this.metrics.reconciliations.total++;
+    this.metrics.reconciliations.byType[entry.type] = (this.metrics.reconciliations.byType[entry.type] || 0) + 1;
+
+    this._persistReconciliation(entry);
+    this.emit('reconciliation', entry);
+
+    return entry;
+  }
+
   logEmergency(data) {
     const filename = `emergency_${Date.now()}.json`;
     const filepath = path.join(this.logDir, filename);
@@ -270,6 +293,13 @@ class AuditAgent extends AgentBase {
     this.errorLog = [];
   }
 
+  _persistReconciliation(entry) {
+    if (!fs.existsSync(this.logDir)) {
+      fs.mkdirSync(this.logDir, { recursive: true });
+    }
+    fs.appendFileSync(path.join(this.logDir, 'reconciliation.jsonl'), JSON.stringify(entry) + '\n');
+  }
+
   // ===========================================================================
   // MESSAGE HANDLERS
   // ===========================================================================
@@ -297,6 +327,10 @@ class AuditAgent extends AgentBase {
     return { ok: true, value: this.logEmergency(payload) };
   }
 
+  async _handleLogReconciliation(payload) {
+    return { ok: true, value: this.logReconciliation(payload) };
+  }
+
   async _handleCheckInvariants(payload) {
     return { ok: true, value: this.checkInvariants(payload.state) };
   }
@@ -7,10 +7,8 @@
 
 const { AgentBase, AgentUtils, Decimal } = require('./agent-base');
 const WebSocket = require('ws');
-const axios = require('axios');
-const crypto = require('crypto');
+const KuCoinAdapter = require('../src/exchange/KuCoinAdapter');
 
-const KUCOIN_FUTURES_API = 'https://api-futures.kucoin.com';
 const KUCOIN_FUTURES_WS = 'wss://ws-api-futures.kucoin.com';
 
 class DataAgent extends AgentBase {
@@ -21,10 +19,13 @@ class DataAgent extends AgentBase {
       options: config
     });
 
-    // API config
-    this.apiKey = config.apiKey || process.env.KUCOIN_API_KEY;
-    this.apiSecret = config.apiSecret || process.env.KUCOIN_API_SECRET;
-    this.apiPassphrase = config.apiPassphrase || process.env.KUCOIN_API_PASSPHRASE;
+    // Exchange adapter (KuCoin unless one is injected)
+    this.exchange = config.exchange || new KuCoinAdapter({
+      apiKey: config.apiKey,
+      apiSecret: config.apiSecret,
+      apiPassphrase: config.apiPassphrase,
+      baseUrl: config.baseUrl
+    });
 
     // WebSocket state
     this.ws = null;
@@ -108,6 +109,14 @@ class DataAgent extends AgentBase {
     return this._subscribe(topic);
   }
 
+  /**
+   * Unsubscribe from candle stream
+   */
+  unsubscribeCandles(symbol, timeframe) {
+    const topic = `/contractMarket/limitCandle:${symbol}_${timeframe}`;
+    return this._unsubscribe(topic);
+  }
+
   /**
    * Subscribe to ticker
    */
@@ -129,19 +138,12 @@ class DataAgent extends AgentBase {
    */
   async fetchCandles(symbol, timeframe, limit = 200) {
     const granularity = this._timeframeToGranularity(timeframe);
-    const endpoint = `/api/v1/kline/query?symbol=${symbol}&granularity=${granularity}&from=${Date.now() - limit * granularity * 60000}&to=${Date.now()}`;
+    const to = Date.now();
     
-    const result = await this._apiRequest('GET', endpoint);
+    const result = await this._exchangeCall('getKlines', symbol, granularity, { from: to - limit * granularity * 60000, to });
     if (!result.ok) return result;
 
-    const candles = result.value.map(c => ({
-      ts: c[0],
-      open: parseFloat(c[1]),
-      high: parseFloat(c[2]),
-      low: parseFloat(c[3]),
-      close: parseFloat(c[4]),
-      volume: parseFloat(c[5])
-    }));
+    const candles = result.value;
 
     // Buffer
     const key = `${symbol}:${timeframe}`;
@@ -161,28 +163,43 @@ class DataAgent extends AgentBase {
   }
 
   /**
-   * Fetch all active contracts
+   * Fetch candles for a time range (REST) - backfill for gaps in a candle stream
+   * Merged into the candle buffer by open time.
    */
-  async fetchInstruments() {
-    const result = await this._apiRequest('GET', '/api/v1/contracts/active');
+  async fetchCandleRange(symbol, timeframe, from, to) {
+    const granularity = this._timeframeToGranularity(timeframe);
+
+    const result = await this._exchangeCall('getKlines', symbol, granularity, { from, to });
     if (!result.ok) return result;
 
-    return { ok: true, value: result.value };
+    const candles = result.value.filter(c => c.ts >= from && c.ts <= to);
+    for (const candle of candles) {
+      this._updateCandleBuffer(symbol, timeframe, candle);
+    }
+
+    return { ok: true, value: candles };
+  }
+
+  /**
+   * Fetch all active contracts
+   */
+  async fetchInstruments() {
+    return this._exchangeCall('getContracts');
   }
 
   /**
    * Fetch ticker for symbol
    */
   async fetchTicker(symbol) {
-    const result = await this._apiRequest('GET', `/api/v1/ticker?symbol=${symbol}`);
+    const result = await this._exchangeCall('getTicker', symbol);
     if (!result.ok) return result;
 
     const ticker = {
       symbol,
-      price: parseFloat(result.value.price),
-      bestBid: parseFloat(result.value.bestBidPrice),
-      bestAsk: parseFloat(result.value.bestAskPrice),
-      volume24h: parseFloat(result.value.size),
+      price: result.value.price,
+      bestBid: result.value.bestBid,
+      bestAsk: result.value.bestAsk,
+      volume24h: result.value.size,
       timestamp: Date.now()
     };
 
@@ -194,7 +211,7 @@ class DataAgent extends AgentBase {
    * Fetch order book - uses cache when rate limited
    */
   async fetchOrderBook(symbol, depth = 20) {
-    const result = await this._apiRequest('GET', `/api/v1/level2/snapshot?symbol=${symbol}`);
+    const result = await this._exchangeCall('getOrderBook', symbol, depth);
 
     // If rate limited or error, try to use cached data
     if (!result.ok) {
@@ -213,14 +230,8 @@ class DataAgent extends AgentBase {
 
     const orderBook = {
       symbol,
-      bids: result.value.bids.slice(0, depth).map(([price, size]) => ({
-        price: parseFloat(price),
-        size: parseFloat(size)
-      })),
-      asks: result.value.asks.slice(0, depth).map(([price, size]) => ({
-        price: parseFloat(price),
-        size: parseFloat(size)
-      })),
+      bids: result.value.bids,
+      asks: result.value.asks,
       timestamp: Date.now()
     };
 
@@ -275,24 +286,23 @@ class DataAgent extends AgentBase {
   // ===========================================================================
 
   async _getWsToken() {
-    const result = await this._apiRequest('POST', '/api/v1/bullet-public');
-    if (!result.ok) return result;
-
-    const server = result.value.instanceServers[0];
-    return {
-      ok: true,
-      value: {
-        token: result.value.token,
-        endpoint: `${server.endpoint}?token=${result.value.token}`
-      }
-    };
+    return this._exchangeCall('getWebSocketToken', { private: false });
   }
 
   _connectWs() {
     return new Promise((resolve) => {
       this.ws = new WebSocket(this.wsEndpoint);
+      this.wsClosing = false;
+
+      // Timeout
+      const timeout = setTimeout(() => {
+        if (!this.wsConnected) {
+          resolve({ ok: false, error: { code: 'WS_TIMEOUT', message: 'Connection timeout' } });
+        }
+      }, 10000);
 
       this.ws.on('open', () => {
+        clearTimeout(timeout);
         this.wsConnected = true;
         this.reconnectAttempts = 0;
         this.log('WebSocket connected');
@@ -320,20 +330,13 @@ class DataAgent extends AgentBase {
         this.wsConnected = false;
         this.log('WebSocket closed');
         clearInterval(this.pingInterval);
-        this._attemptReconnect();
+        if (!this.wsClosing) this._attemptReconnect();
       });
 
       this.ws.on('error', (error) => {
         this.logError('WebSocket error', error);
         this.wsConnected = false;
       });
-
-      // Timeout
-      setTimeout(() => {
-        if (!this.wsConnected) {
-          resolve({ ok: false, error: { code: 'WS_TIMEOUT', message: 'Connection timeout' } });
-        }
-      }, 10000);
     });
   }
 
@@ -351,14 +354,7 @@ class DataAgent extends AgentBase {
         // Candle
         if (topic.includes('/limitCandle:')) {
           const [symbol, tf] = topic.split(':')[1].split('_');
-          const candle = {
-            ts: payload.time,
-            open: parseFloat(payload.open),
-            high: parseFloat(payload.high),
-            low: parseFloat(payload.low),
-            close: parseFloat(payload.close),
-            volume: parseFloat(payload.volume)
-          };
+          const candle = KuCoinAdapter.parseWsCandle(payload);
           this._updateCandleBuffer(symbol, tf, candle);
           this.onCandle(symbol, tf, candle);
           this.emit('candle', { symbol, timeframe: tf, candle });
@@ -367,11 +363,14 @@ class DataAgent extends AgentBase {
         // Ticker
         if (topic.includes('/tickerV2:')) {
           const symbol = topic.split(':')[1];
+          const bestBid = parseFloat(payload.bestBidPrice);
+          const bestAsk = parseFloat(payload.bestAskPrice);
           const ticker = {
             symbol,
-            price: parseFloat(payload.price),
-            bestBid: parseFloat(payload.bestBidPrice),
-            bestAsk: parseFloat(payload.bestAskPrice),
+            // tickerV2 carries no last price; use the mid
+            price: payload.price !== undefined ? parseFloat(payload.price) : (bestBid + bestAsk) / 2,
+            bestBid,
+            bestAsk,
             timestamp: Date.now()
           };
           this.tickerCache.set(symbol, ticker);
@@ -393,14 +392,19 @@ class DataAgent extends AgentBase {
   _updateCandleBuffer(symbol, timeframe, candle) {
     const key = `${symbol}:${timeframe}`;
     let buffer = this.candleBuffers.get(key) || [];
+    const last = buffer.length > 0 ? buffer[buffer.length - 1] : null;
 
-    // Update or append
-    if (buffer.length > 0 && buffer[buffer.length - 1].ts === candle.ts) {
+    // Update or append (backfilled candles land in order)
+    if (last && last.ts === candle.ts) {
       buffer[buffer.length - 1] = candle;
+    } else if (last && candle.ts < last.ts) {
+      const index = buffer.findIndex(c => c.ts >= candle.ts);
+      if (buffer[index].ts === candle.ts) buffer[index] = candle;
+      else buffer.splice(index, 0, candle);
     } else {
       buffer.push(candle);
-      if (buffer.length > 1000) buffer.shift();
     }
+    if (buffer.length > 1000) buffer.shift();
 
     this.candleBuffers.set(key, buffer);
   }
@@ -413,6 +417,20 @@ class DataAgent extends AgentBase {
     return { ok: true, value: { topic } };
   }
 
+  _unsubscribe(topic) {
+    this.subscriptions.delete(topic);
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({
+        id: Date.now(),
+        type: 'unsubscribe',
+        topic,
+        privateChannel: false,
+        response: true
+      }));
+    }
+    return { ok: true, value: { topic } };
+  }
+
   _sendSubscribe(topic) {
     if (this.ws?.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify({
@@ -443,7 +461,10 @@ class DataAgent extends AgentBase {
   // REST API
   // ===========================================================================
 
-  async _apiRequest(method, endpoint, body = null) {
+  /**
+   * Call an exchange adapter method behind the circuit breaker and token bucket
+   */
+  async _exchangeCall(method, ...args) {
     // Circuit breaker check
     if (this.circuitBreaker.state === 'OPEN') {
       if (Date.now() - this.circuitBreaker.lastFailure > this.circuitBreaker.resetTimeout) {
@@ -458,55 +479,25 @@ class DataAgent extends AgentBase {
       return { ok: false, error: { code: 'RATE_LIMITED', message: 'Rate limit exceeded' } };
     }
 
+    let result;
     try {
-      const url = `${KUCOIN_FUTURES_API}${endpoint}`;
-      const headers = this._buildHeaders(method, endpoint, body);
-
-      const response = await axios({
-        method,
-        url,
-        headers,
-        data: body,
-        timeout: 10000
-      });
-
-      // Success - reset circuit breaker
-      if (this.circuitBreaker.state === 'HALF_OPEN') {
-        this.circuitBreaker.state = 'CLOSED';
-        this.circuitBreaker.failures = 0;
-      }
-
-      return { ok: true, value: response.data.data };
-
+      result = await this.exchange[method](...args);
     } catch (error) {
-      this._recordFailure();
-      
-      const status = error.response?.status;
-      const message = error.response?.data?.msg || error.message;
-
-      return { ok: false, error: { code: `API_ERROR_${status || 'UNKNOWN'}`, message } };
+      result = { ok: false, error: { code: 'API_ERROR', message: error.message } };
     }
-  }
-
-  _buildHeaders(method, endpoint, body) {
-    const timestamp = Date.now();
-    const headers = {
-      'Content-Type': 'application/json',
-      'KC-API-TIMESTAMP': timestamp
-    };
 
-    if (this.apiKey && this.apiSecret) {
-      const strToSign = `${timestamp}${method}${endpoint}${body ? JSON.stringify(body) : ''}`;
-      const signature = crypto.createHmac('sha256', this.apiSecret).update(strToSign).digest('base64');
-      const passphrase = crypto.createHmac('sha256', this.apiSecret).update(this.apiPassphrase || '').digest('base64');
+    if (!result.ok) {
+      this._recordFailure();
+      return result;
+    }
 
-      headers['KC-API-KEY'] = this.apiKey;
-      headers['KC-API-SIGN'] = signature;
-      headers['KC-API-PASSPHRASE'] = passphrase;
-      headers['KC-API-KEY-VERSION'] = '2';
+    // Success - reset circuit breaker
+    if (this.circuitBreaker.state === 'HALF_OPEN') {
+      this.circuitBreaker.state = 'CLOSED';
+      this.circuitBreaker.failures = 0;
     }
 
-    return headers;
+    return result;
   }
 
   // ===========================================================================
@@ -579,8 +570,7 @@ class DataAgent extends AgentBase {
   }
 
   async _handleUnsubscribe(payload) {
-    this.subscriptions.delete(payload.topic);
-    return { ok: true, value: null };
+    return this._unsubscribe(payload.topic);
   }
 
   async _handleGetTicker(payload) {
@@ -611,6 +601,7 @@ class DataAgent extends AgentBase {
   async cleanup() {
     clearInterval(this.pingInterval);
     if (this.ws) {
+      this.wsClosing = true;
       this.ws.close();
       this.ws = null;
     }
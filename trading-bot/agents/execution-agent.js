@@ -3,17 +3,16 @@
  * 
  * Handles order placement, modification, cancellation, fill tracking.
  * Implements 9th level order book entry, slippage control, position lifecycle.
+ * Paper trades carry MAE/MFE, time-to-MFE and bars held (src/utils/ExcursionTracker).
  */
 
 const { AgentBase, Decimal } = require('./agent-base');
-const crypto = require('crypto');
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const KuCoinAdapter = require('../src/exchange/KuCoinAdapter');
+const ExcursionTracker = require('../src/utils/ExcursionTracker');
 const D = Decimal;
 
-const KUCOIN_FUTURES_API = 'https://api-futures.kucoin.com';
-
 class ExecutionAgent extends AgentBase {
   constructor(config = {}) {
     super({
@@ -22,11 +21,6 @@ class ExecutionAgent extends AgentBase {
       options: config
     });
 
-    // API credentials
-    this.apiKey = config.apiKey || process.env.KUCOIN_API_KEY;
-    this.apiSecret = config.apiSecret || process.env.KUCOIN_API_SECRET;
-    this.apiPassphrase = config.apiPassphrase || process.env.KUCOIN_API_PASSPHRASE;
-
     // Mode
     this.mode = config.mode || process.env.BOT_MODE || 'paper';
 
@@ -39,6 +33,15 @@ class ExecutionAgent extends AgentBase {
     const paperTradingEnabled = process.env.PAPER_TRADE_ENABLED === 'true';
     this.maxSlippage = config.maxSlippage || (paperTradingEnabled || this.mode === 'paper' ? 0.02 : 0.002); // 2% paper, 0.2% live
     this.orderTimeout = config.orderTimeout || 30000;
+    this.barMs = config.barMs || ExcursionTracker.DEFAULT_BAR_MS; // Bars-held bucket for ticker prices
+
+    // Exchange adapter for live orders (KuCoin unless one is injected)
+    this.exchange = config.exchange || new KuCoinAdapter({
+      apiKey: config.apiKey,
+      apiSecret: config.apiSecret,
+      apiPassphrase: config.apiPassphrase,
+      timeoutMs: this.orderTimeout
+    });
 
     // Position tracking
     this.positions = new Map();
@@ -314,7 +317,12 @@ class ExecutionAgent extends AgentBase {
       breakEvenActivated: closedPosition.breakEvenActivated || false,
       trailingActivated: closedPosition.trailingActive || false,
       finalStopLoss: closedPosition.stopLoss,
-      highROI: closedPosition.highROI || closedPosition.finalROI
+      highROI: closedPosition.highROI || closedPosition.finalROI,
+      regime: closedPosition.regime,
+      mae: closedPosition.mae,
+      mfe: closedPosition.mfe,
+      timeToMFE: closedPosition.timeToMFE,
+      barsHeld: closedPosition.barsHeld
     };
 
     this._writeTradeLog(exit);
@@ -328,7 +336,7 @@ class ExecutionAgent extends AgentBase {
     try {
       const line = data.type === 'ENTRY'
         ? `[${data.timestamp}] ENTRY | ${data.direction} ${data.symbol} | Price: $${data.entryPrice.toFixed(6)} | Size: $${data.size.toFixed(2)} | Lev: ${data.leverage}x | SL: $${data.stopLoss?.toFixed(6) || 'N/A'} | TP: $${data.takeProfit?.toFixed(6) || 'N/A'} | Score: ${Math.abs(data.signalScore)} [${data.signalQuality}] ${data.alignedTFs}/${data.totalTFs}TF | BE@${data.breakEvenActivation}% Trail@${data.trailingActivation}%/${data.trailingDistance}%\n`
-        : `[${data.timestamp}] EXIT  | ${data.direction} ${data.symbol} | Entry: $${data.entryPrice.toFixed(6)} Exit: $${data.exitPrice.toFixed(6)} | PnL: ${data.pnl >= 0 ? '+' : ''}$${data.pnl.toFixed(2)} (${data.pnlPercent >= 0 ? '+' : ''}${data.pnlPercent.toFixed(1)}%) | Reason: ${data.reason.toUpperCase()} | Duration: ${data.durationMin}min | BE: ${data.breakEvenActivated ? 'YES' : 'NO'} | Trail: ${data.trailingActivated ? 'YES' : 'NO'} | HighROI: ${data.highROI?.toFixed(1) || 'N/A'}%\n`;
+        : `[${data.timestamp}] EXIT  | ${data.direction} ${data.symbol} | Entry: $${data.entryPrice.toFixed(6)} Exit: $${data.exitPrice.toFixed(6)} | PnL: ${data.pnl >= 0 ? '+' : ''}$${data.pnl.toFixed(2)} (${data.pnlPercent >= 0 ? '+' : ''}${data.pnlPercent.toFixed(1)}%) | Reason: ${data.reason.toUpperCase()} | Duration: ${data.durationMin}min | BE: ${data.breakEvenActivated ? 'YES' : 'NO'} | Trail: ${data.trailingActivated ? 'YES' : 'NO'} | HighROI: ${data.highROI?.toFixed(1) || 'N/A'}% | MAE: ${data.mae?.toFixed(1) ?? 'N/A'}% MFE: ${data.mfe?.toFixed(1) ?? 'N/A'}%\n`;
 
       fs.appendFileSync(this.tradeLogFile, line);
     } catch (e) {
@@ -487,7 +495,7 @@ class ExecutionAgent extends AgentBase {
       this.paperOrders.delete(orderId);
       return { ok: true, value: { orderId, cancelled: true } };
     } else {
-      return this._apiRequest('DELETE', `/api/v1/orders/${orderId}`);
+      return this.exchange.cancelOrder(orderId);
     }
   }
 
@@ -505,10 +513,7 @@ class ExecutionAgent extends AgentBase {
       }
       return { ok: true, value: { cancelled: true } };
     } else {
-      const endpoint = symbol 
-        ? `/api/v1/orders?symbol=${symbol}` 
-        : '/api/v1/orders';
-      return this._apiRequest('DELETE', endpoint);
+      return this.exchange.cancelAllOrders(symbol);
     }
   }
 
@@ -639,6 +644,7 @@ class ExecutionAgent extends AgentBase {
     this.paperBalance -= margin;
 
     // Create position
+    const openTime = Date.now();
     const position = {
       symbol,
       direction,
@@ -649,8 +655,10 @@ class ExecutionAgent extends AgentBase {
       notional,
       stopLoss,
       takeProfit,
-      openTime: Date.now(),
+      openTime,
       orderId,
+      regime: ExcursionTracker.regimeOf(params),
+      excursion: ExcursionTracker.start({ side: direction, entryPrice, leverage, time: openTime, barMs: this.barMs }),
       pnl: 0
     };
 
@@ -697,6 +705,7 @@ class ExecutionAgent extends AgentBase {
       const roi = this._calculateROI(position, currentPrice);
       position.currentROI = roi;
       position.currentPrice = currentPrice;
+      ExcursionTracker.update(position.excursion, currentPrice, Date.now());
 
       // Update high water mark
       if (!position.highROI || roi > position.highROI) {
@@ -823,11 +832,14 @@ class ExecutionAgent extends AgentBase {
     // Return margin + PnL
     this.paperBalance += position.margin + pnl;
 
+    const closeTime = Date.now();
+    const { excursion: _state, ...fields } = position;
     const closedPosition = {
-      ...position,
+      ...fields,
+      ...ExcursionTracker.finish(position.excursion, exitPrice, closeTime),
       exitPrice,
       pnl,
-      closeTime: Date.now(),
+      closeTime,
       reason,
       finalROI: this._calculateROI(position, exitPrice)
     };
@@ -858,21 +870,18 @@ class ExecutionAgent extends AgentBase {
 
     try {
       // Set leverage first
-      await this._apiRequest('POST', '/api/v1/position/risk-limit-level/change', {
-        symbol,
-        level: leverage
-      });
+      await this.exchange.setLeverage(symbol, leverage);
 
       // Place entry order
       const side = direction === 'long' ? 'buy' : 'sell';
-      const entryOrder = await this._apiRequest('POST', '/api/v1/orders', {
+      const entryOrder = await this.exchange.placeOrder({
         clientOid: `entry-${Date.now()}`,
         symbol,
         side,
         type: 'limit',
-        price: entryPrice.toString(),
-        size: size.toString(),
-        leverage: leverage.toString(),
+        price: entryPrice,
+        size,
+        leverage,
         timeInForce: 'GTC'
       });
 
@@ -880,28 +889,28 @@ class ExecutionAgent extends AgentBase {
 
       // Place stop loss
       const slSide = direction === 'long' ? 'sell' : 'buy';
-      await this._apiRequest('POST', '/api/v1/orders', {
+      await this.exchange.placeStopOrder({
         clientOid: `sl-${Date.now()}`,
         symbol,
         side: slSide,
         type: 'market',
-        stop: 'down',
+        stop: direction === 'long' ? 'down' : 'up',
         stopPriceType: 'TP',
-        stopPrice: stopLoss.toString(),
-        size: size.toString(),
+        stopPrice: stopLoss,
+        size,
         closeOrder: true
       });
 
       // Place take profit
-      await this._apiRequest('POST', '/api/v1/orders', {
+      await this.exchange.placeStopOrder({
         clientOid: `tp-${Date.now()}`,
         symbol,
         side: slSide,
         type: 'market',
-        stop: 'up',
+        stop: direction === 'long' ? 'up' : 'down',
         stopPriceType: 'TP',
-        stopPrice: takeProfit.toString(),
-        size: size.toString(),
+        stopPrice: takeProfit,
+        size,
         closeOrder: true
       });
 
@@ -915,78 +924,30 @@ class ExecutionAgent extends AgentBase {
   async _closeLivePosition(symbol, reason) {
     try {
       // Get position
-      const posResult = await this._apiRequest('GET', `/api/v1/position?symbol=${symbol}`);
+      const posResult = await this.exchange.getPosition(symbol);
       if (!posResult.ok) return posResult;
 
       const position = posResult.value;
-      if (!position || position.currentQty === 0) {
+      if (!position || position.size === 0) {
         return { ok: false, error: { code: 'NO_POSITION', message: 'No open position' } };
       }
 
       // Close with market order
-      const side = position.currentQty > 0 ? 'sell' : 'buy';
-      const closeOrder = await this._apiRequest('POST', '/api/v1/orders', {
+      const side = position.side === 'long' ? 'sell' : 'buy';
+      return this.exchange.placeOrder({
         clientOid: `close-${Date.now()}`,
         symbol,
         side,
         type: 'market',
-        size: Math.abs(position.currentQty).toString(),
+        size: position.size,
         closeOrder: true
       });
 
-      return closeOrder;
-
     } catch (error) {
       return { ok: false, error: { code: 'CLOSE_FAILED', message: error.message } };
     }
   }
 
-  // ===========================================================================
-  // API REQUEST
-  // ===========================================================================
-
-  async _apiRequest(method, endpoint, body = null) {
-    if (!this.apiKey || !this.apiSecret) {
-      return { ok: false, error: { code: 'NO_CREDENTIALS', message: 'API credentials not configured' } };
-    }
-
-    try {
-      const timestamp = Date.now();
-      const bodyStr = body ? JSON.stringify(body) : '';
-      const strToSign = `${timestamp}${method}${endpoint}${bodyStr}`;
-      
-      const signature = crypto.createHmac('sha256', this.apiSecret)
-        .update(strToSign).digest('base64');
-      
-      const passphrase = crypto.createHmac('sha256', this.apiSecret)
-        .update(this.apiPassphrase || '').digest('base64');
-
-      const response = await axios({
-        method,
-        url: `${KUCOIN_FUTURES_API}${endpoint}`,
-        headers: {
-          'Content-Type': 'application/json',
-          'KC-API-KEY': this.apiKey,
-          'KC-API-SIGN': signature,
-          'KC-API-TIMESTAMP': timestamp,
-          'KC-API-PASSPHRASE': passphrase,
-          'KC-API-KEY-VERSION': '2'
-        },
-        data: body,
-        timeout: this.orderTimeout
-      });
-
-      if (response.data.code !== '200000') {
-        return { ok: false, error: { code: response.data.code, message: response.data.msg } };
-      }
-
-      return { ok: true, value: response.data.data };
-
-    } catch (error) {
-      return { ok: false, error: { code: 'API_ERROR', message: error.message } };
-    }
-  }
-
   // ===========================================================================
   // MESSAGE HANDLERS
   // ===========================================================================
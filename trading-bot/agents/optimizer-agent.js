@@ -7,6 +7,10 @@
 
 const { AgentBase, Decimal } = require('./agent-base');
 const D = Decimal;
+const WalkForward = require('../research/optimize/walk-forward');
+const CandleRepository = require('../src/data/CandleRepository');
+const { StochasticRSI, WilliamsRIndicator, BollingerBands } = require('../src/indicators');
+const BatchSeries = require('../src/indicators/BatchSeries');
 
 class OptimizerAgent extends AgentBase {
   constructor(config = {}) {
@@ -31,6 +35,9 @@ class OptimizerAgent extends AgentBase {
     this.wfTrainDays = config.wfTrainDays || 60;
     this.wfTestDays = config.wfTestDays || 15;
     this.wfWindows = config.wfWindows || 5;
+    this.wfMode = config.wfMode || 'rolling';
+    this.wfPurgeBars = config.wfPurgeBars || 0;
+    this.wfEmbargoBars = config.wfEmbargoBars || 0;
 
     // Results storage
     this.backtestResults = [];
@@ -120,9 +127,7 @@ class OptimizerAgent extends AgentBase {
     let position = null;
     const equityCurve = [balance];
 
-    const closes = candles.map(c => c.close);
-    const highs = candles.map(c => c.high);
-    const lows = candles.map(c => c.low);
+    const indicators = this._scoreIndicators(candles);
 
     // Simulate candle by candle
     for (let i = 200; i < candles.length; i++) {
@@ -148,7 +153,7 @@ class OptimizerAgent extends AgentBase {
 
       // Generate signal if no position
       if (!position) {
-        const score = this._quickScore(closes.slice(0, i + 1), highs.slice(0, i + 1), lows.slice(0, i + 1));
+        const score = this._quickScore(indicators, i);
         
         if (Math.abs(score) >= minScore) {
           const direction = score > 0 ? 'long' : 'short';
@@ -184,7 +189,7 @@ class OptimizerAgent extends AgentBase {
     // Close any remaining position
     if (position) {
       const lastCandle = candles[candles.length - 1];
-      const pnl = position.direction === 'long'
+      let pnl = position.direction === 'long'
         ? (lastCandle.close - position.entryPrice) / position.entryPrice * leverage * position.margin
         : (position.entryPrice - lastCandle.close) / position.entryPrice * leverage * position.margin;
       
@@ -228,32 +233,51 @@ class OptimizerAgent extends AgentBase {
     return { exit: false };
   }
 
-  _quickScore(closes, highs, lows) {
-    const len = closes.length;
-    if (len < 50) return 0;
+  /**
+   * Score inputs for every bar, computed once per run with the indicators'
+   * batch API (same values update() would give bar by bar)
+   */
+  _scoreIndicators(candles) {
+    const series = BatchSeries.from(candles);
+    const opts = { signals: false };
+
+    return {
+      closes: series.close,
+      stochRsi: StochasticRSI.batch(series, { rsiPeriod: 14, stochPeriod: 14, kSmooth: 3, dSmooth: 3 }, opts).value,
+      williamsR: WilliamsRIndicator.batch(series, { period: 14 }, opts).value,
+      bb: BollingerBands.batch(series, { period: 20, stdDev: 2 }, opts).value,
+      ema9: this._emaSeries(series.close, 9),
+      ema21: this._emaSeries(series.close, 21),
+      ema50: this._emaSeries(series.close, 50)
+    };
+  }
+
+  _quickScore(indicators, i) {
+    if (i + 1 < 50) return 0;
 
     let score = 0;
 
-    // StochRSI - PRIMARY (weight: 35) - matches screener-agent
-    const stochRsi = this._stochRsi(closes.slice(-50), 14, 14, 3, 3);
-    if (stochRsi.k <= 20) {
-      score += 35 * ((20 - stochRsi.k) / 20);
-      if (stochRsi.k > stochRsi.d) score += 10; // Bullish crossover bonus
-    } else if (stochRsi.k >= 80) {
-      score -= 35 * ((stochRsi.k - 80) / 20);
-      if (stochRsi.k < stochRsi.d) score -= 10; // Bearish crossover bonus
+    // StochRSI - PRIMARY (weight: 35) - matches screener-agent (NaN during warmup scores nothing)
+    const k = indicators.stochRsi.k[i];
+    const d = indicators.stochRsi.d[i];
+    if (k <= 20) {
+      score += 35 * ((20 - k) / 20);
+      if (k > d) score += 10; // Bullish crossover bonus
+    } else if (k >= 80) {
+      score -= 35 * ((k - 80) / 20);
+      if (k < d) score -= 10; // Bearish crossover bonus
     }
 
     // Williams %R (weight: 25)
-    const wr = this._williamsR(highs.slice(-20), lows.slice(-20), closes.slice(-20), 14);
+    const wr = indicators.williamsR[i];
     if (wr <= -80) score += 25 * ((-80 - wr) / 20);
     else if (wr >= -20) score -= 25 * ((wr - (-20)) / 20);
 
     // EMA trend (weight: 15)
-    const ema9 = this._ema(closes, 9);
-    const ema21 = this._ema(closes, 21);
-    const ema50 = this._ema(closes, 50);
-    const price = closes[len - 1];
+    const ema9 = indicators.ema9[i];
+    const ema21 = indicators.ema21[i];
+    const ema50 = indicators.ema50[i];
+    const price = indicators.closes[i];
 
     if (price > ema9 && ema9 > ema21 && ema21 > ema50) score += 15;
     else if (price < ema9 && ema9 < ema21 && ema21 < ema50) score -= 15;
@@ -261,103 +285,36 @@ class OptimizerAgent extends AgentBase {
     else if (price < ema9 && ema9 < ema21) score -= 8;
 
     // Bollinger Bands (weight: 15)
-    const bb = this._bollingerBands(closes.slice(-30), 20, 2);
-    if (bb.lower && price < bb.lower) score += 15;
-    else if (bb.upper && price > bb.upper) score -= 15;
+    const lower = indicators.bb.lower[i];
+    const upper = indicators.bb.upper[i];
+    if (lower && price < lower) score += 15;
+    else if (upper && price > upper) score -= 15;
 
     return Math.round(score);
   }
 
-  _stochRsi(closes, rsiPeriod, stochPeriod, kSmooth, dSmooth) {
-    if (closes.length < rsiPeriod + stochPeriod) {
-      return { k: 50, d: 50 };
-    }
-
-    // Calculate RSI values
-    const rsiValues = [];
-    for (let i = rsiPeriod; i <= closes.length; i++) {
-      const slice = closes.slice(i - rsiPeriod - 1, i);
-      let gains = 0, losses = 0;
-      for (let j = 1; j < slice.length; j++) {
-        const change = slice[j] - slice[j - 1];
-        if (change > 0) gains += change;
-        else losses -= change;
-      }
-      const avgGain = gains / rsiPeriod;
-      const avgLoss = losses / rsiPeriod;
-      const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-      rsiValues.push(100 - (100 / (1 + rs)));
-    }
-
-    if (rsiValues.length < stochPeriod) {
-      return { k: 50, d: 50 };
-    }
-
-    // Calculate Stochastic of RSI
-    const recentRsi = rsiValues.slice(-stochPeriod);
-    const highestRsi = Math.max(...recentRsi);
-    const lowestRsi = Math.min(...recentRsi);
-    const currentRsi = rsiValues[rsiValues.length - 1];
-
-    const rawK = highestRsi === lowestRsi ? 50 :
-      ((currentRsi - lowestRsi) / (highestRsi - lowestRsi)) * 100;
-
-    // K smoothing (simple average of last kSmooth values)
-    const kValues = [rawK];
-    const k = kValues.reduce((a, b) => a + b, 0) / kValues.length;
-
-    // D is SMA of K
-    const d = k; // Simplified for single value
-
-    return { k, d };
-  }
-
-  _bollingerBands(closes, period, stdDev) {
-    if (closes.length < period) {
-      return { upper: null, middle: null, lower: null };
-    }
-
-    const slice = closes.slice(-period);
-    const sma = slice.reduce((a, b) => a + b, 0) / period;
-    const variance = slice.reduce((a, p) => a + Math.pow(p - sma, 2), 0) / period;
-    const std = Math.sqrt(variance);
-
-    return {
-      upper: sma + stdDev * std,
-      middle: sma,
-      lower: sma - stdDev * std
-    };
-  }
-
-  _rsi(closes, period) {
-    if (closes.length < period + 1) return 50;
-    let gains = 0, losses = 0;
-    for (let i = 1; i <= period; i++) {
-      const change = closes[closes.length - period + i - 1] - closes[closes.length - period + i - 2];
-      if (change > 0) gains += change;
-      else losses -= change;
-    }
-    if (losses === 0) return 100;
-    const rs = (gains / period) / (losses / period);
-    return 100 - (100 / (1 + rs));
-  }
-
-  _williamsR(highs, lows, closes, period) {
-    const hh = Math.max(...highs.slice(-period));
-    const ll = Math.min(...lows.slice(-period));
-    const close = closes[closes.length - 1];
-    if (hh === ll) return -50;
-    return ((hh - close) / (hh - ll)) * -100;
-  }
-
-  _ema(values, period) {
-    if (values.length < period) return values[values.length - 1];
+  /**
+   * EMA at every bar, SMA-seeded from the first `period` values (the raw value
+   * until then)
+   */
+  _emaSeries(values, period) {
+    const out = new Float64Array(values.length);
     const multiplier = 2 / (period + 1);
-    let ema = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
-    for (let i = period; i < values.length; i++) {
-      ema = (values[i] - ema) * multiplier + ema;
+    let sum = 0;
+    let ema = null;
+    for (let i = 0; i < values.length; i++) {
+      if (i < period - 1) {
+        sum += values[i];
+        out[i] = values[i];
+      } else if (i === period - 1) {
+        ema = (sum + values[i]) / period;
+        out[i] = ema;
+      } else {
+        ema = (values[i] - ema) * multiplier + ema;
+        out[i] = ema;
+      }
     }
-    return ema;
+    return out;
   }
 
   // ===========================================================================
@@ -495,78 +452,41 @@ class OptimizerAgent extends AgentBase {
   // WALK-FORWARD
   // ===========================================================================
 
+  /**
+   * Walk-forward on the production signal pipeline (research/optimize/walk-forward.js)
+   * @param {Object} params - { symbol, timeframe, candles } or { timeframe, datasets: [{ symbol, candles }] }
+   */
   async runWalkForward(params) {
-    const { symbol, timeframe, candles } = params;
+    const { symbol, timeframe = '15min', candles, datasets = null } = params;
+    const inputs = datasets || [{ symbol, timeframe, candles: candles || [] }];
+
+    const barsPerDay = 24 * 60 * 60 * 1000 / CandleRepository.timeframeToMs(timeframe);
+    const wf = new WalkForward({
+      mode: params.mode || this.wfMode,
+      trainBars: Math.round((params.trainDays || this.wfTrainDays) * barsPerDay),
+      testBars: Math.round((params.testDays || this.wfTestDays) * barsPerDay),
+      purgeBars: params.purgeBars ?? this.wfPurgeBars,
+      embargoBars: params.embargoBars ?? this.wfEmbargoBars,
+      windows: params.windows || this.wfWindows,
+      candidates: params.candidates,
+      trials: params.trials,
+      seed: params.seed,
+      objective: params.objective,
+      engineConfig: { commission: this.defaultFees.taker, slippage: this.defaultSlippage }
+    });
 
-    if (!candles || candles.length < 500) {
-      return { ok: false, error: { code: 'INSUFFICIENT_DATA', message: 'Need at least 500 candles for walk-forward' } };
+    const length = new Set(inputs.flatMap(d => d.candles.map(c => c.ts))).size;
+    if (wf.buildWindows(length).length === 0) {
+      return { ok: false, error: { code: 'INSUFFICIENT_DATA', message: `Not enough candles for one walk-forward window (${length})` } };
     }
 
-    const windowResults = [];
-    const candlesPerDay = timeframe === '15min' ? 96 : timeframe === '1hour' ? 24 : 1;
-    const trainCandles = this.wfTrainDays * candlesPerDay;
-    const testCandles = this.wfTestDays * candlesPerDay;
-
-    for (let window = 0; window < this.wfWindows; window++) {
-      const startIdx = window * testCandles;
-      const trainEnd = startIdx + trainCandles;
-      const testEnd = trainEnd + testCandles;
-
-      if (testEnd > candles.length) break;
-
-      // Optimize on training data
-      const trainData = candles.slice(startIdx, trainEnd);
-      const optResult = await this.runOptimization({ symbol, timeframe, candles: trainData });
-      
-      if (!optResult.ok) continue;
-
-      // Test on out-of-sample data
-      const testData = candles.slice(trainEnd, testEnd);
-      const testResult = await this.runBacktest({ 
-        symbol, 
-        timeframe, 
-        candles: testData, 
-        config: optResult.value.best.config 
-      });
-
-      if (testResult.ok) {
-        windowResults.push({
-          window: window + 1,
-          trainMetrics: optResult.value.best.metrics,
-          testMetrics: testResult.value,
-          config: optResult.value.best.config
-        });
-      }
+    try {
+      const report = await wf.run(inputs);
+      const { trades, ...outOfSample } = report.outOfSample;
+      return { ok: true, value: { ...report, outOfSample } };
+    } catch (error) {
+      return { ok: false, error: { code: 'WALK_FORWARD_FAILED', message: error.message } };
     }
-
-    // Analyze stability
-    const stability = this._analyzeStability(windowResults);
-
-    return { ok: true, value: { windows: windowResults, stability } };
-  }
-
-  _analyzeStability(results) {
-    if (results.length === 0) return { stable: false };
-
-    const testWinRates = results.map(r => r.testMetrics.winRate);
-    const testPFs = results.map(r => r.testMetrics.profitFactor);
-
-    const avgWinRate = testWinRates.reduce((a, b) => a + b, 0) / testWinRates.length;
-    const avgPF = testPFs.reduce((a, b) => a + b, 0) / testPFs.length;
-
-    const winRateStd = Math.sqrt(testWinRates.reduce((a, r) => a + Math.pow(r - avgWinRate, 2), 0) / testWinRates.length);
-    const pfStd = Math.sqrt(testPFs.reduce((a, r) => a + Math.pow(r - avgPF, 2), 0) / testPFs.length);
-
-    const winRateCV = winRateStd / avgWinRate;
-    const pfCV = pfStd / avgPF;
-
-    return {
-      stable: winRateCV < 0.3 && pfCV < 0.5,
-      avgWinRate: Math.round(avgWinRate * 100) / 100,
-      avgProfitFactor: Math.round(avgPF * 100) / 100,
-      winRateCV: Math.round(winRateCV * 100) / 100,
-      profitFactorCV: Math.round(pfCV * 100) / 100
-    };
   }
 
   // ===========================================================================
@@ -44,6 +44,8 @@ class Orchestrator extends AgentBase {
     // Configuration
     this.config = config;
     this.symbols = config.symbols || [];
+    // Shared exchange adapter injected into data and execution agents
+    this.exchange = config.exchange || null;
     this.timeframes = config.timeframes || ['15min', '1hour'];
     
     // Health tracking
@@ -55,11 +57,12 @@ class Orchestrator extends AgentBase {
     this.log('Initializing Orchestrator');
     
     // Spawn all agents
+    const withExchange = (config) => (this.exchange ? { exchange: this.exchange, ...config } : config);
     const agentConfigs = [
       { id: 'signal-agent', class: 'SignalAgent', config: this.config.signals },
       { id: 'risk-agent', class: 'RiskAgent', config: this.config.risk },
-      { id: 'data-agent', class: 'DataAgent', config: this.config.data },
-      { id: 'execution-agent', class: 'ExecutionAgent', config: this.config.execution },
+      { id: 'data-agent', class: 'DataAgent', config: withExchange(this.config.data) },
+      { id: 'execution-agent', class: 'ExecutionAgent', config: withExchange(this.config.execution) },
       { id: 'optimizer-agent', class: 'OptimizerAgent', config: this.config.optimizer },
       { id: 'audit-agent', class: 'AuditAgent', config: this.config.audit }
     ];
@@ -7,6 +7,7 @@
  */
 
 const { AgentBase, Decimal } = require('./agent-base');
+const { ATRIndicator } = require('../src/indicators');
 const D = Decimal;
 
 // Regime types
@@ -182,8 +183,8 @@ class RegimeAgent extends AgentBase {
 
     // Calculate indicators
     const adx = this._calculateADX(highs, lows, closes, this.adxPeriod);
-    const atr = this._calculateATR(highs, lows, closes, this.atrPeriod);
-    const volatilityPct = (atr / closes[closes.length - 1]) * 100;
+    const volatility = this._volatility(candles);
+    const { atr, volatilityPct } = volatility;
     const trendDirection = this._detectTrendDirection(closes);
     const isBreakout = this._detectBreakout(candles);
 
@@ -228,6 +229,8 @@ class RegimeAgent extends AgentBase {
         adx: Math.round(adx * 100) / 100,
         atr: Math.round(atr * 10000) / 10000,
         volatilityPct: Math.round(volatilityPct * 100) / 100,
+        realizedVol: volatility.realizedVol,
+        volatilityRank: volatility.volRank,
         trendDirection,
         isBreakout: isBreakout.detected
       },
@@ -326,21 +329,22 @@ class RegimeAgent extends AgentBase {
   }
 
   /**
-   * Calculate ATR (Average True Range)
+   * ATR, ATR% and realized-vol percentile at the last candle (ATRIndicator)
    */
-  _calculateATR(highs, lows, closes, period) {
-    const len = closes.length;
-    if (len < period + 1) return 0;
+  _volatility(candles) {
+    const { value } = ATRIndicator.batch(candles, {
+      period: this.atrPeriod,
+      volPeriod: this.volatilityPeriod
+    }, { signals: false });
+    const last = candles.length - 1;
+    const read = series => (Number.isNaN(series[last]) ? null : series[last]);
 
-    const tr = [];
-    for (let i = 1; i < len; i++) {
-      const high = highs[i];
-      const low = lows[i];
-      const prevClose = closes[i - 1];
-      tr.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
-    }
-
-    return this._sma(tr.slice(-period), period);
+    return {
+      atr: read(value.atr) ?? 0,
+      volatilityPct: read(value.atrPercent) ?? 0,
+      realizedVol: read(value.realizedVol),
+      volRank: read(value.volRank)
+    };
   }
 
   /**
@@ -440,13 +444,6 @@ class RegimeAgent extends AgentBase {
     return ema;
   }
 
-  _sma(values, period) {
-    if (values.length < period) {
-      return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
-    }
-    return values.slice(-period).reduce((a, b) => a + b, 0) / period;
-  }
-
   // ===========================================================================
   // MESSAGE HANDLERS
   // ===========================================================================
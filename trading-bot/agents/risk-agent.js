@@ -6,6 +6,7 @@
  */
 
 const { AgentBase, Decimal } = require('./agent-base');
+const { ATRIndicator } = require('../src/indicators');
 const D = Decimal;
 
 class RiskAgent extends AgentBase {
@@ -173,10 +174,12 @@ class RiskAgent extends AgentBase {
   }
 
   /**
-   * Calculate auto leverage based on ATR%
+   * Calculate auto leverage based on ATR% (number or ATRIndicator reading).
+   * An unreadable reading assumes ATRIndicator.FALLBACK_ATR_PERCENT.
    */
-  calculateAutoLeverage(atrPercent) {
+  calculateAutoLeverage(volatility) {
     const { atrTiers } = this.params;
+    const atrPercent = ATRIndicator.readAtrPercent(volatility) ?? ATRIndicator.FALLBACK_ATR_PERCENT;
     
     if (atrPercent <= atrTiers.veryLow.threshold) return atrTiers.veryLow.leverage;
     if (atrPercent <= atrTiers.low.threshold) return atrTiers.low.leverage;
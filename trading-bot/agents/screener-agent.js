@@ -2,63 +2,35 @@
  * ScreenerAgent - High-Speed Continuous Market Scanner
  * 
  * Rapidly scans ALL coins on the exchange in continuous loops.
- * Prioritizes speed: batch processing, parallel execution, minimal latency.
+ * Prioritizes speed: streamed candles, incremental indicators, no per-scan API calls.
  * 
- * INDICATORS (13 total):
- * RSI, Williams%R, Stochastic, MACD, EMA 9/21/50, ATR, Volume,
- * Stochastic RSI (50/14/4/5), CMF (20)
+ * INDICATORS (src/screener/IndicatorState, production src/indicators):
+ * Stochastic RSI (21/9/3/3), Williams%R, Stochastic, EMA 5/13/50, ATR, Volume,
+ * CMF (20), Bollinger (10/1.5), KDJ, AO (5/55), OBV
+ * 
+ * Candle flow (src/screener/SymbolStream):
+ * - First scan of a symbol seeds every timeframe over REST and subscribes
+ *   the base (lowest) timeframe's kline topic through DataAgent
+ * - Each pushed candle that closes a bar advances the indicators by one bar;
+ *   higher timeframes are aggregated locally from the base candles
+ * - A push that skips bars is backfilled over REST - the only REST calls
+ *   after seeding
  * 
  * Scan Cycle:
- * 1. Fetch all active instruments
- * 2. Batch fetch candles (parallel)
- * 3. Compute indicators (parallel workers)
- * 4. Score and rank signals
- * 5. Emit actionable signals
- * 6. Repeat immediately
+ * 1. Read every symbol's current indicator state (no API calls)
+ * 2. Score (shared engine, src/lib/SignalScoring) and rank signals
+ * 3. Emit actionable signals
+ * 4. Repeat
  */
 
 const { AgentBase, Decimal } = require('./agent-base');
+const { getScoringEngine, normalizeIndicators } = require('../src/lib/SignalScoring');
+const IndicatorState = require('../src/screener/IndicatorState');
+const SymbolStream = require('../src/screener/SymbolStream');
+const { timeframeToMs } = require('../src/data/CandleRepository');
 const D = Decimal;
 
-// Indicator thresholds for quick scoring (NO regular RSI - using StochRSI only)
-const QUICK_SCORE = {
-  WILLIAMS_OVERSOLD: -80,
-  WILLIAMS_OVERBOUGHT: -20,
-  STOCH_OVERSOLD: 20,
-  STOCH_OVERBOUGHT: 80,
-  STOCHRSI_OVERSOLD: 20,
-  STOCHRSI_OVERBOUGHT: 80,
-  CMF_BULLISH: 0.1,
-  CMF_BEARISH: -0.1
-};
-
-// OPTIMIZED indicator parameters (from backtesting: 64.7% WR, 8.89 PF)
-const OPTIMIZED_PARAMS = {
-  stochRsi: {
-    rsiPeriod: parseInt(process.env.STOCHRSI_RSI_PERIOD) || 21,
-    stochPeriod: parseInt(process.env.STOCHRSI_STOCH_PERIOD) || 9,
-    kSmooth: parseInt(process.env.STOCHRSI_K_SMOOTH) || 3,
-    dSmooth: parseInt(process.env.STOCHRSI_D_SMOOTH) || 3
-  },
-  ema: {
-    fast: parseInt(process.env.EMA_FAST) || 5,
-    mid: parseInt(process.env.EMA_MID) || 13,
-    slow: parseInt(process.env.EMA_SLOW) || 50
-  },
-  bollinger: {
-    period: parseInt(process.env.BOLLINGER_PERIOD) || 10,
-    stdDev: parseFloat(process.env.BOLLINGER_STDDEV) || 1.5
-  },
-  ao: {
-    fast: parseInt(process.env.AO_FAST) || 5,
-    slow: parseInt(process.env.AO_SLOW) || 55
-  },
-  williams: { period: parseInt(process.env.WILLIAMS_PERIOD) || 14 },
-  stochastic: { period: parseInt(process.env.STOCHASTIC_PERIOD) || 14 },
-  kdj: { period: parseInt(process.env.KDJ_PERIOD) || 9 },
-  obv: { smaPeriod: parseInt(process.env.OBV_SMA_PERIOD) || 10 },
-  cmf: { period: parseInt(process.env.CMF_PERIOD) || 20 }
-};
+const { OPTIMIZED_PARAMS } = IndicatorState;
 
 // MTF Convergence settings - loaded at runtime to ensure dotenv is ready
 // NOTE: This gets initialized in the constructor as this.mtfConfig
@@ -82,7 +54,11 @@ class ScreenerAgent extends AgentBase {
     this.timeframes = config.timeframes || ['15min', '1hour'];
     this.primaryTimeframe = config.primaryTimeframe || '15min';
     this.minVolume24h = config.minVolume24h || 0; // Disabled by default for testing
-    this.minScore = config.minScore || 15;
+    this.minScore = config.minScore || 40; // Engine score scale: BUY_WEAK / SELL_WEAK and up
+
+    // Scoring: shared engine (signal-weights.js + optional switches/signalProfiles profile)
+    this.profile = config.profile || null;
+    this.scoringEngine = getScoringEngine({ profile: this.profile });
 
     // Available timeframes for switching
     this.availableTimeframes = config.availableTimeframes || ['5min', '15min', '30min', '1hour', '2hour', '4hour'];
@@ -96,6 +72,16 @@ class ScreenerAgent extends AgentBase {
     this.scanCount = 0;
     this.lastScanTime = 0;
     this.scanDurations = [];
+    this.clock = config.clock || Date.now;
+
+    // Streaming candle state: symbol -> SymbolStream
+    this.streams = new Map();
+    this.seeding = new Map();           // symbol -> in-flight seed
+    this.analyses = new WeakMap();      // IndicatorState -> { version, analysis }
+    this.historyLength = config.historyLength || 200;
+    this.indicatorParams = config.indicatorParams || OPTIMIZED_PARAMS;
+    this._onCandle = this._handleCandle.bind(this);
+    this.listening = false;
 
     // Performance tracking
     this.stats = {
@@ -104,7 +90,10 @@ class ScreenerAgent extends AgentBase {
       signalsGenerated: 0,
       avgScanDuration: 0,
       fastestScan: Infinity,
-      slowestScan: 0
+      slowestScan: 0,
+      seedFetches: 0,
+      backfills: 0,
+      backfillFailures: 0
     };
 
     // Callbacks
@@ -133,11 +122,6 @@ class ScreenerAgent extends AgentBase {
       }
     };
     this.log(`MTF Config: enabled=${this.mtfConfig.enabled}, LTF=${this.mtfConfig.ltfTimeframes}, HTF=${this.mtfConfig.htfTimeframes}`);
-
-    // HTF cache - refresh every 10 scans (HTF data changes slowly)
-    this.htfCache = new Map(); // symbol:tf -> { candles, analysis, lastUpdate }
-    this.htfCacheRefreshInterval = 10; // Refresh every N scans
-    this.lastHtfCacheRefresh = 0;
   }
 
   async initialize() {
@@ -169,6 +153,7 @@ class ScreenerAgent extends AgentBase {
 
     this.isScanning = true;
     this.log('Starting continuous scan loop');
+    this._listen();
 
     // Initial instrument fetch
     await this._refreshInstruments();
@@ -184,6 +169,7 @@ class ScreenerAgent extends AgentBase {
    */
   stopScanning() {
     this.isScanning = false;
+    this._unlisten();
     this.log('Stopping scan loop');
     return { ok: true, value: { totalScans: this.stats.totalScans } };
   }
@@ -240,7 +226,8 @@ class ScreenerAgent extends AgentBase {
     this.scanCount++;
 
     // Refresh instruments periodically (every 100 scans)
-    if (this.scanCount % 100 === 0) {
+    const refresh = this.scanCount % 100 === 0;
+    if (refresh) {
       await this._refreshInstruments();
     }
 
@@ -249,6 +236,10 @@ class ScreenerAgent extends AgentBase {
       .filter(i => i.isTrading && i.symbol.endsWith('USDTM'))
       .map(i => i.symbol);
 
+    if (refresh) {
+      this._dropStreams(Array.from(this.streams.keys()).filter(symbol => !symbols.includes(symbol)));
+    }
+
     if (symbols.length === 0) {
       this.logWarn('No symbols to scan');
       return { ok: false, error: { code: 'NO_SYMBOLS', message: 'No tradeable symbols' } };
@@ -313,19 +304,22 @@ class ScreenerAgent extends AgentBase {
 
   async _scanSymbol(symbol) {
     try {
-      // MTF: Fetch candles for all configured timeframes
-      const candlesByTF = await this._fetchMultiTimeframeCandles(symbol);
-      const primaryCandles = candlesByTF[this.primaryTimeframe];
+      const stream = await this._getStream(symbol);
+      if (!stream) return null;
+
+      const primaryState = stream.getState(this.primaryTimeframe);
+      const primaryCandles = primaryState ? primaryState.candles : [];
 
-      if (!primaryCandles || primaryCandles.length < 100) {
+      if (primaryCandles.length < 100) {
         return null;
       }
 
-      // Analyze each timeframe
+      // Analyze each timeframe (cached until its next closed bar)
       const tfAnalysis = {};
-      for (const [tf, candles] of Object.entries(candlesByTF)) {
-        if (candles && candles.length >= 50) {
-          tfAnalysis[tf] = this._analyzeTimeframe(candles);
+      for (const tf of stream.timeframes) {
+        const state = stream.getState(tf);
+        if (state.isReady()) {
+          tfAnalysis[tf] = this._analyzeTimeframe(state);
         }
       }
 
@@ -343,8 +337,8 @@ class ScreenerAgent extends AgentBase {
       let finalScore = baseScore + convergence.bonus;
       finalScore = Math.round(finalScore * convergence.multiplier);
 
-      // Get current price
-      const currentPrice = primaryCandles[primaryCandles.length - 1].close;
+      // Get current price (forming candle)
+      const currentPrice = stream.getPrice();
       const change24h = ((currentPrice - primaryCandles[primaryCandles.length - 96]?.close) / primaryCandles[primaryCandles.length - 96]?.close * 100) || 0;
 
       // Get regime if available
@@ -385,447 +379,12 @@ class ScreenerAgent extends AgentBase {
     }
   }
 
-  // ===========================================================================
-  // FAST INDICATOR CALCULATION
-  // ===========================================================================
-
-  _calculateIndicators(closes, highs, lows, volumes) {
-    const len = closes.length;
-    if (len < 50) return {};
-
-    // Use OPTIMIZED parameters from backtesting
-    const p = OPTIMIZED_PARAMS;
-
-    return {
-      // StochRSI with OPTIMIZED params (21/9/3/3 - from 64.7% WR backtest)
-      stochRsi: this._stochRsi(closes, p.stochRsi.rsiPeriod, p.stochRsi.stochPeriod,
-                                p.stochRsi.kSmooth, p.stochRsi.dSmooth),
-      williamsR: this._williamsR(highs, lows, closes, p.williams.period),
-      stochastic: this._stochastic(highs, lows, closes, p.stochastic.period),
-      // EMA with OPTIMIZED params (5/13/50)
-      emaFast: this._ema(closes, p.ema.fast),
-      emaMid: this._ema(closes, p.ema.mid),
-      emaSlow: this._ema(closes, p.ema.slow),
-      currentPrice: closes[len - 1],
-      atr: this._atr(highs, lows, closes, 14),
-      volume: volumes[len - 1],
-      avgVolume: this._sma(volumes.slice(-20), 20),
-      cmf: this._cmf(highs, lows, closes, volumes, p.cmf.period),
-      // Bollinger with OPTIMIZED params (10/1.5)
-      bollinger: this._bollinger(closes, p.bollinger.period, p.bollinger.stdDev),
-      kdj: this._kdj(highs, lows, closes, p.kdj.period, 3, 3),
-      // AO with OPTIMIZED params (5/55)
-      ao: this._ao(highs, lows, p.ao.fast, p.ao.slow),
-      obv: this._obv(closes, volumes, p.obv.smaPeriod)
-    };
-  }
-
-  _rsi(closes, period = 14) {
-    if (closes.length < period + 1) return 50;
-
-    let gains = 0, losses = 0;
-    for (let i = closes.length - period; i < closes.length; i++) {
-      const change = closes[i] - closes[i - 1];
-      if (change > 0) gains += change;
-      else losses -= change;
-    }
-
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-    if (avgLoss === 0) return 100;
-
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
-  }
-
-  _williamsR(highs, lows, closes, period = 14) {
-    const len = closes.length;
-    if (len < period) return -50;
-
-    const highSlice = highs.slice(-period);
-    const lowSlice = lows.slice(-period);
-    const hh = Math.max(...highSlice);
-    const ll = Math.min(...lowSlice);
-    const close = closes[len - 1];
-
-    if (hh === ll) return -50;
-    return ((hh - close) / (hh - ll)) * -100;
-  }
-
-  _stochastic(highs, lows, closes, period = 14) {
-    const len = closes.length;
-    if (len < period) return { k: 50, d: 50 };
-
-    const highSlice = highs.slice(-period);
-    const lowSlice = lows.slice(-period);
-    const hh = Math.max(...highSlice);
-    const ll = Math.min(...lowSlice);
-    const close = closes[len - 1];
-
-    if (hh === ll) return { k: 50, d: 50 };
-    const k = ((close - ll) / (hh - ll)) * 100;
-
-    return { k, d: k }; // Simplified - using k as d
-  }
-
-  // MACD removed - not used in scoring
-
-  _ema(values, period) {
-    if (values.length < period) return values[values.length - 1] || 0;
-
-    const multiplier = 2 / (period + 1);
-    let ema = this._sma(values.slice(0, period), period);
-
-    for (let i = period; i < values.length; i++) {
-      ema = (values[i] - ema) * multiplier + ema;
-    }
-
-    return ema;
-  }
-
-  _sma(values, period) {
-    if (values.length === 0) return 0;
-    const slice = values.slice(-period);
-    return slice.reduce((a, b) => a + b, 0) / slice.length;
-  }
-
-  _atr(highs, lows, closes, period = 14) {
-    if (closes.length < period + 1) return 0;
-
-    let trSum = 0;
-    for (let i = closes.length - period; i < closes.length; i++) {
-      const tr = Math.max(
-        highs[i] - lows[i],
-        Math.abs(highs[i] - closes[i - 1]),
-        Math.abs(lows[i] - closes[i - 1])
-      );
-      trSum += tr;
-    }
-
-    return trSum / period;
-  }
-
-  /**
-   * Stochastic RSI - RSI fed into Stochastic formula
-   * Settings from your charts: StochRSI 50 14 4 5
-   * rsiPeriod=50, stochPeriod=14, kSmooth=4, dSmooth=5
-   */
-  _stochRsi(closes, rsiPeriod = 50, stochPeriod = 14, kSmooth = 4, dSmooth = 5) {
-    if (closes.length < rsiPeriod + stochPeriod + kSmooth) {
-      return { k: 50, d: 50 };
-    }
-
-    // Compute RSI history
-    const rsiHistory = [];
-    for (let i = rsiPeriod; i <= closes.length; i++) {
-      const slice = closes.slice(0, i);
-      const rsi = this._rsi(slice, rsiPeriod);
-      rsiHistory.push(rsi);
-    }
-
-    if (rsiHistory.length < stochPeriod) {
-      return { k: 50, d: 50 };
-    }
-
-    // Apply Stochastic formula to RSI
-    const stochRsiValues = [];
-    for (let i = stochPeriod - 1; i < rsiHistory.length; i++) {
-      const rsiSlice = rsiHistory.slice(i - stochPeriod + 1, i + 1);
-      const highRsi = Math.max(...rsiSlice);
-      const lowRsi = Math.min(...rsiSlice);
-      
-      const denom = highRsi - lowRsi;
-      const stochRsi = denom === 0 ? 50 : ((rsiHistory[i] - lowRsi) / denom) * 100;
-      stochRsiValues.push(stochRsi);
-    }
-
-    if (stochRsiValues.length < kSmooth) {
-      return { k: 50, d: 50 };
-    }
-
-    // Smooth to get %K
-    const kValues = [];
-    for (let i = kSmooth - 1; i < stochRsiValues.length; i++) {
-      const k = this._sma(stochRsiValues.slice(i - kSmooth + 1, i + 1), kSmooth);
-      kValues.push(k);
-    }
-
-    const currentK = kValues[kValues.length - 1];
-    const currentD = kValues.length >= dSmooth 
-      ? this._sma(kValues.slice(-dSmooth), dSmooth) 
-      : currentK;
-
-    return { k: currentK, d: currentD };
-  }
-
-  /**
-   * Chaikin Money Flow (CMF)
-   * CMF = Sum(MFV, period) / Sum(Volume, period)
-   * MFV = ((Close - Low) - (High - Close)) / (High - Low) * Volume
-   */
-  _cmf(highs, lows, closes, volumes, period = 20) {
-    if (closes.length < period) return 0;
-
-    let sumMFV = 0;
-    let sumVolume = 0;
-
-    for (let i = closes.length - period; i < closes.length; i++) {
-      const high = highs[i];
-      const low = lows[i];
-      const close = closes[i];
-      const volume = volumes[i];
-
-      const range = high - low;
-      const mfm = range === 0 ? 0 : ((close - low) - (high - close)) / range;
-      const mfv = mfm * volume;
-
-      sumMFV += mfv;
-      sumVolume += volume;
-    }
-
-    return sumVolume === 0 ? 0 : sumMFV / sumVolume;
-  }
-
-  /**
-   * Bollinger Bands
-   */
-  _bollinger(closes, period = 20, stdDev = 2) {
-    if (closes.length < period) return { upper: 0, middle: 0, lower: 0, percentB: 50 };
-
-    const slice = closes.slice(-period);
-    const middle = this._sma(slice, period);
-
-    // Calculate standard deviation
-    const squaredDiffs = slice.map(v => Math.pow(v - middle, 2));
-    const variance = squaredDiffs.reduce((a, b) => a + b, 0) / period;
-    const std = Math.sqrt(variance);
-
-    const upper = middle + (stdDev * std);
-    const lower = middle - (stdDev * std);
-    const price = closes[closes.length - 1];
-
-    // %B = (Price - Lower) / (Upper - Lower)
-    const percentB = upper === lower ? 50 : ((price - lower) / (upper - lower)) * 100;
-
-    return { upper, middle, lower, percentB };
-  }
-
-  /**
-   * KDJ Indicator
-   */
-  _kdj(highs, lows, closes, period = 9, kSmooth = 3, dSmooth = 3) {
-    if (closes.length < period + kSmooth + dSmooth) return { k: 50, d: 50, j: 50 };
-
-    const len = closes.length;
-    const rsvValues = [];
-
-    // Calculate RSV for each period
-    for (let i = period - 1; i < len; i++) {
-      const highSlice = highs.slice(i - period + 1, i + 1);
-      const lowSlice = lows.slice(i - period + 1, i + 1);
-      const hh = Math.max(...highSlice);
-      const ll = Math.min(...lowSlice);
-      const close = closes[i];
-
-      const rsv = hh === ll ? 50 : ((close - ll) / (hh - ll)) * 100;
-      rsvValues.push(rsv);
-    }
-
-    // Smooth RSV to get K
-    const kValues = [];
-    for (let i = kSmooth - 1; i < rsvValues.length; i++) {
-      const k = this._sma(rsvValues.slice(i - kSmooth + 1, i + 1), kSmooth);
-      kValues.push(k);
-    }
-
-    // Smooth K to get D
-    const dValues = [];
-    for (let i = dSmooth - 1; i < kValues.length; i++) {
-      const d = this._sma(kValues.slice(i - dSmooth + 1, i + 1), dSmooth);
-      dValues.push(d);
-    }
-
-    const k = kValues[kValues.length - 1] || 50;
-    const d = dValues[dValues.length - 1] || 50;
-    const j = 3 * k - 2 * d; // J = 3K - 2D
-
-    return { k, d, j };
-  }
-
-  /**
-   * Awesome Oscillator (AO)
-   * AO = SMA(Median Price, 5) - SMA(Median Price, 34)
-   */
-  _ao(highs, lows, fastPeriod = 5, slowPeriod = 34) {
-    if (highs.length < slowPeriod) return { value: 0, signal: 'neutral' };
-
-    // Calculate median prices (HL/2)
-    const medianPrices = [];
-    for (let i = 0; i < highs.length; i++) {
-      medianPrices.push((highs[i] + lows[i]) / 2);
-    }
-
-    const fastSma = this._sma(medianPrices.slice(-fastPeriod), fastPeriod);
-    const slowSma = this._sma(medianPrices.slice(-slowPeriod), slowPeriod);
-    const ao = fastSma - slowSma;
-
-    // Previous AO for momentum
-    const prevMedian = medianPrices.slice(-slowPeriod - 1, -1);
-    const prevFastSma = this._sma(prevMedian.slice(-fastPeriod), fastPeriod);
-    const prevSlowSma = this._sma(prevMedian, slowPeriod);
-    const prevAo = prevFastSma - prevSlowSma;
-
-    let signal = 'neutral';
-    if (ao > 0 && ao > prevAo) signal = 'bullish';
-    else if (ao < 0 && ao < prevAo) signal = 'bearish';
-    else if (ao > 0 && ao < prevAo) signal = 'weakening_bull';
-    else if (ao < 0 && ao > prevAo) signal = 'weakening_bear';
-
-    return { value: ao, prevValue: prevAo, signal };
-  }
-
-  /**
-   * On Balance Volume (OBV)
-   */
-  _obv(closes, volumes, smaPeriod = 10) {
-    if (closes.length < 20) return { value: 0, trend: 'neutral' };
-
-    let obv = 0;
-    const obvHistory = [0];
-
-    for (let i = 1; i < closes.length; i++) {
-      if (closes[i] > closes[i - 1]) {
-        obv += volumes[i];
-      } else if (closes[i] < closes[i - 1]) {
-        obv -= volumes[i];
-      }
-      obvHistory.push(obv);
-    }
-
-    // OBV trend - compare current to configured SMA
-    const recentObv = obvHistory.slice(-smaPeriod);
-    const obvSma = this._sma(recentObv, smaPeriod);
-
-    let trend = 'neutral';
-    if (obv > obvSma * 1.05) trend = 'bullish';
-    else if (obv < obvSma * 0.95) trend = 'bearish';
-
-    return { value: obv, sma: obvSma, trend };
-  }
-
   // ===========================================================================
   // SIGNAL SCORING
   // ===========================================================================
 
   _calculateScore(ind) {
-    if (!ind.stochRsi) return 0;
-
-    let score = 0;
-
-    // Stochastic RSI - PRIMARY (weight: 35) - replaces regular RSI
-    if (ind.stochRsi.k <= QUICK_SCORE.STOCHRSI_OVERSOLD) {
-      score += 35 * ((QUICK_SCORE.STOCHRSI_OVERSOLD - ind.stochRsi.k) / QUICK_SCORE.STOCHRSI_OVERSOLD);
-      // Bonus for %K crossing above %D in oversold
-      if (ind.stochRsi.k > ind.stochRsi.d) {
-        score += 10;
-      }
-    } else if (ind.stochRsi.k >= QUICK_SCORE.STOCHRSI_OVERBOUGHT) {
-      score -= 35 * ((ind.stochRsi.k - QUICK_SCORE.STOCHRSI_OVERBOUGHT) / (100 - QUICK_SCORE.STOCHRSI_OVERBOUGHT));
-      // Bonus for %K crossing below %D in overbought
-      if (ind.stochRsi.k < ind.stochRsi.d) {
-        score -= 10;
-      }
-    }
-
-    // Williams %R (weight: 25)
-    if (ind.williamsR <= QUICK_SCORE.WILLIAMS_OVERSOLD) {
-      score += 25 * ((QUICK_SCORE.WILLIAMS_OVERSOLD - ind.williamsR) / Math.abs(QUICK_SCORE.WILLIAMS_OVERSOLD));
-    } else if (ind.williamsR >= QUICK_SCORE.WILLIAMS_OVERBOUGHT) {
-      score -= 25 * ((ind.williamsR - QUICK_SCORE.WILLIAMS_OVERBOUGHT) / Math.abs(QUICK_SCORE.WILLIAMS_OVERBOUGHT));
-    }
-
-    // Stochastic (weight: 10) - reduced since we have StochRSI
-    if (ind.stochastic.k <= QUICK_SCORE.STOCH_OVERSOLD) {
-      score += 10 * ((QUICK_SCORE.STOCH_OVERSOLD - ind.stochastic.k) / QUICK_SCORE.STOCH_OVERSOLD);
-    } else if (ind.stochastic.k >= QUICK_SCORE.STOCH_OVERBOUGHT) {
-      score -= 10 * ((ind.stochastic.k - QUICK_SCORE.STOCH_OVERBOUGHT) / (100 - QUICK_SCORE.STOCH_OVERBOUGHT));
-    }
-
-    // EMA alignment (weight: 20)
-    const price = ind.currentPrice;
-    if (price > ind.emaFast && ind.emaFast > ind.emaMid && ind.emaMid > ind.emaSlow) {
-      score += 20; // Strong bullish alignment
-    } else if (price < ind.emaFast && ind.emaFast < ind.emaMid && ind.emaMid < ind.emaSlow) {
-      score -= 20; // Strong bearish alignment
-    }
-
-    // CMF - Chaikin Money Flow (weight: 15)
-    if (ind.cmf !== undefined) {
-      if (ind.cmf > QUICK_SCORE.CMF_BULLISH) {
-        score += 15 * Math.min(1, ind.cmf / 0.3);
-      } else if (ind.cmf < QUICK_SCORE.CMF_BEARISH) {
-        score -= 15 * Math.min(1, Math.abs(ind.cmf) / 0.3);
-      }
-    }
-
-    // Bollinger Bands (weight: 15) - %B position
-    if (ind.bollinger) {
-      const percentB = ind.bollinger.percentB;
-      if (percentB <= 10) {
-        // Price near/below lower band - oversold
-        score += 15 * ((10 - percentB) / 10);
-      } else if (percentB >= 90) {
-        // Price near/above upper band - overbought
-        score -= 15 * ((percentB - 90) / 10);
-      }
-    }
-
-    // KDJ (weight: 15) - J line extremes are powerful signals
-    if (ind.kdj) {
-      const j = ind.kdj.j;
-      if (j <= 0) {
-        // J below 0 = strong oversold
-        score += 15 * Math.min(1, Math.abs(j) / 20);
-      } else if (j >= 100) {
-        // J above 100 = strong overbought
-        score -= 15 * Math.min(1, (j - 100) / 20);
-      }
-      // K/D crossover bonus
-      if (ind.kdj.k > ind.kdj.d && j < 30) {
-        score += 5; // Bullish cross in oversold
-      } else if (ind.kdj.k < ind.kdj.d && j > 70) {
-        score -= 5; // Bearish cross in overbought
-      }
-    }
-
-    // Awesome Oscillator (weight: 10)
-    if (ind.ao) {
-      if (ind.ao.signal === 'bullish') {
-        score += 10;
-      } else if (ind.ao.signal === 'bearish') {
-        score -= 10;
-      } else if (ind.ao.signal === 'weakening_bear') {
-        score += 5; // Momentum shifting bullish
-      } else if (ind.ao.signal === 'weakening_bull') {
-        score -= 5; // Momentum shifting bearish
-      }
-    }
-
-    // OBV - On Balance Volume (weight: 10)
-    if (ind.obv) {
-      if (ind.obv.trend === 'bullish') {
-        score += 10; // Money flowing in
-      } else if (ind.obv.trend === 'bearish') {
-        score -= 10; // Money flowing out
-      }
-    }
-
-    // Volume confirmation - amplifies signal
-    if (ind.volume > ind.avgVolume * 1.5) {
-      score *= 1.25; // 25% boost for high volume
-    }
-
-    return Math.round(score);
+    return this.scoringEngine.generate(normalizeIndicators(ind)).score;
   }
 
   /**
@@ -873,53 +432,6 @@ class ScreenerAgent extends AgentBase {
   // MULTI-TIMEFRAME CONVERGENCE (OPTIMIZED)
   // ===========================================================================
 
-  /**
-   * Fetch candles for multiple timeframes in parallel
-   * Uses caching for HTF data to reduce API calls
-   */
-  async _fetchMultiTimeframeCandles(symbol) {
-    if (!this.mtfConfig.enabled) {
-      // Single timeframe mode
-      const candles = await this._fetchCandles(symbol, this.primaryTimeframe);
-      return { [this.primaryTimeframe]: candles.ok ? candles.value : [] };
-    }
-
-    const results = {};
-    const needsRefresh = this.scanCount % this.htfCacheRefreshInterval === 0;
-
-    // Always fetch LTF fresh (15min, 30min change frequently)
-    const ltfTimeframes = [...new Set([...this.mtfConfig.ltfTimeframes, this.primaryTimeframe])];
-    const ltfPromises = ltfTimeframes.map(async (tf) => {
-      const candles = await this._fetchCandles(symbol, tf);
-      results[tf] = candles.ok ? candles.value : [];
-    });
-    await Promise.all(ltfPromises);
-
-    // Use cached HTF or refresh if needed
-    for (const tf of this.mtfConfig.htfTimeframes) {
-      const cacheKey = `${symbol}:${tf}`;
-      const cached = this.htfCache.get(cacheKey);
-
-      if (!needsRefresh && cached && cached.candles.length > 0) {
-        // Use cached data
-        results[tf] = cached.candles;
-      } else {
-        // Fetch fresh HTF data
-        const candles = await this._fetchCandles(symbol, tf);
-        const candleData = candles.ok ? candles.value : [];
-        results[tf] = candleData;
-
-        // Cache for next time
-        this.htfCache.set(cacheKey, {
-          candles: candleData,
-          lastUpdate: Date.now()
-        });
-      }
-    }
-
-    return results;
-  }
-
   /**
    * Detect pending signal on higher timeframes
    * Pending = indicator approaching extreme but not triggered yet
@@ -1035,24 +547,151 @@ class ScreenerAgent extends AgentBase {
   }
 
   /**
-   * Calculate indicators and score for a specific timeframe
+   * Score a timeframe's indicator state
+   * Cached per state until its next closed bar, so rescans only re-rank.
    */
-  _analyzeTimeframe(candles) {
-    if (!candles || candles.length < 50) {
+  _analyzeTimeframe(state) {
+    if (!state || !state.isReady()) {
       return { indicators: null, score: 0, direction: 'neutral', pending: null };
     }
 
-    const closes = candles.map(c => c.close);
-    const highs = candles.map(c => c.high);
-    const lows = candles.map(c => c.low);
-    const volumes = candles.map(c => c.volume);
+    const cached = this.analyses.get(state);
+    if (cached && cached.version === state.version) return cached.analysis;
 
-    const indicators = this._calculateIndicators(closes, highs, lows, volumes);
+    const indicators = state.getIndicators();
     const score = this._calculateScore(indicators);
     const direction = score > 0 ? 'long' : score < 0 ? 'short' : 'neutral';
     const pending = this._detectPendingSignal(indicators);
 
-    return { indicators, score, direction, pending };
+    const analysis = { indicators, score, direction, pending };
+    this.analyses.set(state, { version: state.version, analysis });
+    return analysis;
+  }
+
+  // ===========================================================================
+  // CANDLE STREAMS
+  // ===========================================================================
+
+  /**
+   * Timeframes scanned: primary, plus the MTF sets when enabled
+   */
+  _scanTimeframes() {
+    if (!this.mtfConfig.enabled) return [this.primaryTimeframe];
+    return [...new Set([this.primaryTimeframe, ...this.mtfConfig.ltfTimeframes, ...this.mtfConfig.htfTimeframes])];
+  }
+
+  /**
+   * Lowest scanned timeframe - the one streamed; the others are aggregated from it
+   */
+  _baseTimeframe() {
+    return this._scanTimeframes().reduce((a, b) => (timeframeToMs(b) < timeframeToMs(a) ? b : a));
+  }
+
+  /**
+   * Seeded stream for a symbol (seeds and subscribes on first use)
+   * @returns {Promise<SymbolStream|null>} Null when seeding failed (retried next scan)
+   */
+  async _getStream(symbol) {
+    const stream = this.streams.get(symbol);
+    if (stream) return stream;
+
+    if (!this.seeding.has(symbol)) {
+      this.seeding.set(symbol, this._seedStream(symbol).finally(() => this.seeding.delete(symbol)));
+    }
+    return this.seeding.get(symbol);
+  }
+
+  async _seedStream(symbol) {
+    const timeframes = this._scanTimeframes();
+    const baseTimeframe = this._baseTimeframe();
+
+    const candlesByTf = {};
+    for (const tf of timeframes) {
+      const result = await this._fetchCandles(symbol, tf);
+      this.stats.seedFetches++;
+      if (!result.ok) {
+        if (tf === baseTimeframe) return null;
+        continue;
+      }
+      candlesByTf[tf] = result.value;
+    }
+
+    if (!candlesByTf[baseTimeframe] || candlesByTf[baseTimeframe].length === 0) return null;
+
+    const stream = new SymbolStream({
+      symbol,
+      baseTimeframe,
+      timeframes,
+      params: this.indicatorParams,
+      historyLength: this.historyLength
+    });
+    stream.seed(candlesByTf, this.clock());
+
+    // Timeframe switched while seeding - a later scan seeds with the new set
+    if (this._scanTimeframes().join() !== timeframes.join()) return null;
+
+    this.streams.set(symbol, stream);
+    if (this.dataAgent) {
+      this.dataAgent.subscribeCandles(symbol, baseTimeframe);
+    }
+    return stream;
+  }
+
+  /**
+   * DataAgent 'candle' event: advance the symbol's stream, backfill on gaps
+   */
+  _handleCandle({ symbol, timeframe, candle }) {
+    const stream = this.streams.get(symbol);
+    if (!stream || timeframe !== stream.baseTimeframe) return;
+
+    const { gap } = stream.push(candle, this.clock());
+    if (gap) {
+      this._backfill(stream, gap);
+    }
+  }
+
+  async _backfill(stream, gap) {
+    this.stats.backfills++;
+    const result = await this.dataAgent.fetchCandleRange(stream.symbol, stream.baseTimeframe, gap.from, gap.to);
+
+    // Stream dropped or reseeded while fetching
+    if (this.streams.get(stream.symbol) !== stream) return;
+
+    if (result.ok) {
+      stream.fill(result.value);
+    } else {
+      this.stats.backfillFailures++;
+      this.logWarn(`Backfill failed for ${stream.symbol}: ${result.error.message}`);
+      stream.skipGap();
+    }
+  }
+
+  _listen() {
+    if (this.dataAgent && !this.listening) {
+      this.dataAgent.on('candle', this._onCandle);
+      this.listening = true;
+    }
+  }
+
+  _unlisten() {
+    if (this.dataAgent && this.listening) {
+      this.dataAgent.removeListener('candle', this._onCandle);
+      this.listening = false;
+    }
+  }
+
+  /**
+   * Forget symbols' streams and unsubscribe their kline topics
+   */
+  _dropStreams(symbols) {
+    for (const symbol of symbols) {
+      const stream = this.streams.get(symbol);
+      if (!stream) continue;
+      this.streams.delete(symbol);
+      if (this.dataAgent) {
+        this.dataAgent.unsubscribeCandles(symbol, stream.baseTimeframe);
+      }
+    }
   }
 
   // ===========================================================================
@@ -1073,7 +712,7 @@ class ScreenerAgent extends AgentBase {
             multiplier: parseFloat(i.multiplier),
             maxLeverage: parseFloat(i.maxLeverage),
             isTrading: i.status === 'Open',
-            volume24h: parseFloat(i.turnoverOf24h || 0)
+            volume24h: parseFloat(i.turnover24h ?? i.turnoverOf24h ?? 0)
           }));
           this.log(`Loaded ${this.instruments.length} instruments from API`);
           return;
@@ -1126,6 +765,8 @@ class ScreenerAgent extends AgentBase {
 
     // Generate mock data with deliberate extreme conditions for some symbols
     const candles = [];
+    const step = timeframeToMs(timeframe);
+    const lastOpen = Math.floor(this.clock() / step) * step;
     const seed = symbol.charCodeAt(0) + symbol.charCodeAt(1);
     let price = 100 + (seed % 900);
     
@@ -1143,7 +784,7 @@ class ScreenerAgent extends AgentBase {
       const low = price * (1 - volatility);
       
       candles.push({
-        ts: Date.now() - (200 - i) * 60000,
+        ts: lastOpen - (199 - i) * step,
         open: price * (1 - change / 2),
         high,
         low,
@@ -1180,7 +821,8 @@ class ScreenerAgent extends AgentBase {
       instrumentCount: this.instruments.length,
       lastScanTime: this.lastScanTime,
       topSignalsCount: this.topSignals.length,
-      activeTimeframe: this.activeTimeframe
+      activeTimeframe: this.activeTimeframe,
+      streamingSymbols: this.streams.size
     };
   }
 
@@ -1206,9 +848,10 @@ class ScreenerAgent extends AgentBase {
     this.activeTimeframe = timeframe;
     this.primaryTimeframe = timeframe;
 
-    // Clear cached data for fresh scan with new timeframe
+    // Clear cached data for fresh scan with new timeframe (streams reseed on the new base)
     this.scanResults.clear();
     this.topSignals = [];
+    this._dropStreams(Array.from(this.streams.keys()));
 
     this.log(`Timeframe changed: ${previous} → ${timeframe}`);
     return { ok: true, value: { previous, current: timeframe } };
@@ -1262,6 +905,7 @@ class ScreenerAgent extends AgentBase {
         lastScanAge: timeSinceLastScan,
         avgScanDuration: this.stats.avgScanDuration,
         instrumentCount: this.instruments.length,
+        streamingSymbols: this.streams.size,
         topSignals: this.topSignals.length
       }
     };
@@ -1269,6 +913,7 @@ class ScreenerAgent extends AgentBase {
 
   async cleanup() {
     this.isScanning = false;
+    this._unlisten();
   }
 
   _sleep(ms) {
@@ -3,6 +3,8 @@
  * 
  * Computes all 13 indicators, detects divergences, generates composite signals.
  * Sub-workers handle specific domains for parallel processing.
+ * Composite scores come from the shared scoring engine (src/lib/SignalScoring);
+ * CMF is computed for context but not scored.
  * 
  * INDICATORS:
  * 1. RSI (14)               2. MACD (12/26/9)         3. Williams %R (14)
@@ -12,21 +14,10 @@
  */
 
 const { AgentBase, AgentUtils, Decimal } = require('./agent-base');
+const { getScoringEngine, normalizeIndicators } = require('../src/lib/SignalScoring');
+const StateSnapshot = require('../src/utils/StateSnapshot');
 const D = Decimal;
 
-// Signal classifications (adjusted for 13 indicators, max ±160)
-const SIGNAL_CLASSIFICATIONS = {
-  EXTREME_BUY: { min: 100, max: 160 },
-  STRONG_BUY: { min: 70, max: 99 },
-  BUY: { min: 50, max: 69 },
-  BUY_WEAK: { min: 30, max: 49 },
-  NEUTRAL: { min: -29, max: 29 },
-  SELL_WEAK: { min: -49, max: -30 },
-  SELL: { min: -69, max: -50 },
-  STRONG_SELL: { min: -99, max: -70 },
-  EXTREME_SELL: { min: -160, max: -100 }
-};
-
 class SignalAgent extends AgentBase {
   constructor(config = {}) {
     super({
@@ -51,28 +42,9 @@ class SignalAgent extends AgentBase {
       cmf: { period: 20 }
     };
 
-    // Signal weights (from optimization)
-    this.weights = config.weights || {
-      rsi: { maxWeight: 30, divergence: 1.5, crossover: 1.2, momentum: 0.7, zone: 0.8 },
-      macd: { maxWeight: 12, signalCross: 0.7, zeroCross: 0.7, histogram: 0.5, divergence: 1.0 },
-      williamsR: { maxWeight: 25, crossover: 1.2, failureSwing: 0.8, divergence: 1.5, zone: 0.7 },
-      ao: { maxWeight: 10, zeroCross: 0.8, saucer: 0.5, twinPeaks: 0.8, divergence: 1.0 },
-      stochastic: { maxWeight: 8, kdCross: 0.7, zone: 0.5, divergence: 1.0 },
-      bollinger: { maxWeight: 10, bandTouch: 0.7, squeeze: 1.0, breakout: 1.0, percentB: 0.5 },
-      ema: { maxWeight: 15, emaCross: 1.0, goldenDeath: 1.2, trend: 0.5, slope: 0.5 },
-      kdj: { maxWeight: 18, jLine: 1.2, kdCross: 0.8, divergence: 1.3 },
-      obv: { maxWeight: 12, slope: 0.8, breakout: 1.0, divergence: 1.2, wmaCross: 1.0, smaCross: 0.8 },
-      // NEW INDICATORS
-      stochRsi: { maxWeight: 20, zone: 1.0, kdCross: 0.9, divergence: 1.3 },
-      cmf: { maxWeight: 15, zone: 1.0, zeroCross: 0.9, divergence: 1.1 }
-    };
-
-    // Score caps (adjusted for 13 indicators)
-    this.caps = {
-      indicator: 140,
-      microstructure: 20,
-      total: 160
-    };
+    // Scoring: shared engine (signal-weights.js + optional switches/signalProfiles profile)
+    this.profile = config.profile || null;
+    this.scoringEngine = getScoringEngine({ profile: this.profile });
 
     // Candle buffers per symbol/timeframe
     this.candleBuffers = new Map();
@@ -144,6 +116,42 @@ class SignalAgent extends AgentBase {
     return { ok: true, value: { symbol, timeframe, candleCount: candles.length } };
   }
 
+  /**
+   * Snapshot of every candle buffer (indicators are recomputed on restore)
+   * @returns {Object} { type, version, state }
+   */
+  serialize() {
+    return {
+      type: 'SignalAgent',
+      version: StateSnapshot.VERSION,
+      state: { candleBuffers: StateSnapshot.encode(this.candleBuffers) }
+    };
+  }
+
+  /**
+   * Replace the candle buffers with a snapshot and recompute their indicators
+   * @param {Object} snapshot - From serialize()
+   * @returns {Result}
+   */
+  restore(snapshot) {
+    try {
+      StateSnapshot.check(snapshot, 'SignalAgent');
+    } catch (error) {
+      return { ok: false, error: { code: 'INVALID_SNAPSHOT', message: error.message } };
+    }
+
+    this.candleBuffers = new Map();
+    this.indicatorCache = new Map();
+    for (const [key, candles] of StateSnapshot.decode(snapshot.state.candleBuffers)) {
+      const [symbol, timeframe] = key.split(':');
+      this.candleBuffers.set(key, candles.slice(-1000));
+      this._computeAllIndicators(symbol, timeframe);
+    }
+
+    this.log(`Restored ${this.candleBuffers.size} candle buffers`);
+    return { ok: true, value: { buffers: this.candleBuffers.size } };
+  }
+
   // ===========================================================================
   // INTERNAL: CANDLE MANAGEMENT
   // ===========================================================================
@@ -787,68 +795,36 @@ class SignalAgent extends AgentBase {
       return { ok: false, error: { code: 'NO_INDICATORS', message: 'Indicators not computed yet' } };
     }
 
-    // Aggregate all signals
-    const allSignals = [];
-    let totalScore = 0;
+    const scored = this.scoringEngine.generate(normalizeIndicators(indicators));
+
     let bullishCount = 0;
     let bearishCount = 0;
+    const allSignals = scored.signals.map(signal => {
+      if (signal.direction === 'bullish') bullishCount++;
+      else if (signal.direction === 'bearish') bearishCount++;
+
+      return {
+        indicator: signal.source,
+        ...signal,
+        contribution: Math.round((signal.points || 0) * 100) / 100
+      };
+    });
 
-    // Process each indicator
     const breakdown = {};
-
-    for (const [name, data] of Object.entries(indicators)) {
-      if (name === 'timestamp' || !data || !data.signals) continue;
-
-      const weight = this.weights[name];
-      if (!weight) continue;
-
-      let indicatorScore = 0;
-
-      for (const signal of data.signals) {
-        const signalWeight = weight[signal.type] || 1;
-        const strengthMultiplier = this._getStrengthMultiplier(signal.strength);
-        const directionMultiplier = signal.direction === 'bullish' ? 1 : signal.direction === 'bearish' ? -1 : 0;
-        
-        const contribution = weight.maxWeight * signalWeight * strengthMultiplier * directionMultiplier;
-        indicatorScore += contribution;
-
-        if (signal.direction === 'bullish') bullishCount++;
-        else if (signal.direction === 'bearish') bearishCount++;
-
-        allSignals.push({
-          indicator: name,
-          ...signal,
-          contribution: Math.round(contribution * 100) / 100
-        });
-      }
-
-      // Cap individual indicator score
-      indicatorScore = Math.max(-weight.maxWeight, Math.min(weight.maxWeight, indicatorScore));
-      totalScore += indicatorScore;
-      breakdown[name] = { score: indicatorScore, value: data.value || data.macdLine || data.k };
+    for (const [name, entry] of Object.entries(scored.breakdown.indicators)) {
+      breakdown[name] = { score: entry.contribution, value: entry.value };
     }
 
-    // Apply total score cap
-    totalScore = Math.max(-this.caps.total, Math.min(this.caps.total, Math.round(totalScore)));
-
-    // Classify signal
-    const classification = this._classifySignal(totalScore);
+    const classification = scored.type;
     const direction = classification.includes('BUY') ? 'long' : classification.includes('SELL') ? 'short' : 'neutral';
-    
-    // Calculate confidence
-    const totalIndicators = bullishCount + bearishCount;
-    const dominantCount = Math.max(bullishCount, bearishCount);
-    const confidence = totalIndicators > 0 
-      ? Math.round((dominantCount / totalIndicators) * 100)
-      : 0;
 
     const result = {
       symbol,
       timeframe,
       direction,
-      score: totalScore,
+      score: scored.score,
       classification,
-      confidence,
+      confidence: scored.confidence,
       bullishCount,
       bearishCount,
       signals: allSignals,
@@ -860,26 +836,6 @@ class SignalAgent extends AgentBase {
     return { ok: true, value: result };
   }
 
-  _classifySignal(score) {
-    for (const [name, range] of Object.entries(SIGNAL_CLASSIFICATIONS)) {
-      if (score >= range.min && score <= range.max) {
-        return name;
-      }
-    }
-    return 'NEUTRAL';
-  }
-
-  _getStrengthMultiplier(strength) {
-    const multipliers = {
-      very_strong: 1.2,
-      strong: 1.0,
-      moderate: 0.7,
-      weak: 0.5,
-      extreme: 1.1
-    };
-    return multipliers[strength] || 1.0;
-  }
-
   // ===========================================================================
   // DIVERGENCE DETECTION
   // ===========================================================================
@@ -902,7 +858,7 @@ class SignalAgent extends AgentBase {
 
       if (recentPriceTrough.value < prevPriceTrough.value && 
           recentIndTrough.value > prevIndTrough.value) {
-        return { direction: 'bullish', strength: 'strong', type: 'regular' };
+        return { direction: 'bullish', strength: 'strong', kind: 'regular' };
       }
     }
 
@@ -915,7 +871,7 @@ class SignalAgent extends AgentBase {
 
       if (recentPricePeak.value > prevPricePeak.value && 
           recentIndPeak.value < prevIndPeak.value) {
-        return { direction: 'bearish', strength: 'strong', type: 'regular' };
+        return { direction: 'bearish', strength: 'strong', kind: 'regular' };
       }
     }
 
@@ -5,56 +5,31 @@
  * Supports account management, order placement, and position tracking.
  */
 
-const axios = require('axios');
 const { getCredentials } = require('./apiCredentials');
-
-const BASE_URL = 'https://api-futures.kucoin.com';
+const KuCoinAdapter = require('../src/exchange/KuCoinAdapter');
 
 class KuCoinFuturesClient {
   constructor() {
     this.credentials = getCredentials();
-    this.rateLimiter = {
-      lastRequest: 0,
-      minInterval: 100 // ms between requests
-    };
+    // Signing, throttling and retries live in the shared adapter
+    this.adapter = new KuCoinAdapter({
+      apiKey: this.credentials.apiKey || '',
+      apiSecret: this.credentials.apiSecret || '',
+      apiPassphrase: this.credentials.passphrase || '',
+      apiVersion: this.credentials.apiVersion,
+      minIntervalMs: 100 // ms between requests
+    });
   }
 
-  async _request(method, endpoint, data = null) {
-    // Rate limiting
-    const now = Date.now();
-    const elapsed = now - this.rateLimiter.lastRequest;
-    if (elapsed < this.rateLimiter.minInterval) {
-      await new Promise(r => setTimeout(r, this.rateLimiter.minInterval - elapsed));
-    }
-    this.rateLimiter.lastRequest = Date.now();
-
-    const body = data ? JSON.stringify(data) : '';
-    const headers = this.credentials.getAuthHeaders(method, endpoint, body);
-
-    try {
-      const config = {
-        method,
-        url: `${BASE_URL}${endpoint}`,
-        headers
-      };
-
-      if (data && (method === 'POST' || method === 'DELETE')) {
-        config.data = data;
-      }
-
-      const response = await axios(config);
-      
-      if (response.data.code !== '200000') {
-        throw new Error(`API Error: ${response.data.msg} (${response.data.code})`);
-      }
-
-      return response.data.data;
-    } catch (error) {
-      if (error.response) {
-        throw new Error(`API Error: ${error.response.data?.msg || error.message}`);
+  async _request(method, endpoint, data = null, options = {}) {
+    const result = await this.adapter.request(method, endpoint, data, options);
+    if (!result.ok) {
+      if (result.error.code === 'NO_CREDENTIALS') {
+        throw new Error('API credentials not loaded');
       }
-      throw error;
+      throw new Error(`API Error: ${result.error.message} (${result.error.code})`);
     }
+    return result.value;
   }
 
   // ============================================
@@ -414,11 +389,11 @@ class KuCoinFuturesClient {
    * @param {string} symbol - Trading symbol
    */
   async getContractDetails(symbol) {
-    const response = await axios.get(`${BASE_URL}/api/v1/contracts/${symbol}`);
-    if (response.data.code === '200000') {
-      return response.data.data;
+    const result = await this.adapter.request('GET', `/api/v1/contracts/${symbol}`, null, { auth: false });
+    if (result.ok) {
+      return result.value;
     }
-    throw new Error(`Failed to get contract: ${response.data.msg}`);
+    throw new Error(`Failed to get contract: ${result.error.message}`);
   }
 
   /**
@@ -426,11 +401,11 @@ class KuCoinFuturesClient {
    * @param {string} symbol - Trading symbol
    */
   async getTicker(symbol) {
-    const response = await axios.get(`${BASE_URL}/api/v1/ticker?symbol=${symbol}`);
-    if (response.data.code === '200000') {
-      return response.data.data;
+    const result = await this.adapter.request('GET', `/api/v1/ticker?symbol=${symbol}`, null, { auth: false });
+    if (result.ok) {
+      return result.value;
     }
-    throw new Error(`Failed to get ticker: ${response.data.msg}`);
+    throw new Error(`Failed to get ticker: ${result.error.message}`);
   }
 
   /**
@@ -438,11 +413,11 @@ class KuCoinFuturesClient {
    * @param {string} symbol - Trading symbol
    */
   async getFundingRate(symbol) {
-    const response = await axios.get(`${BASE_URL}/api/v1/funding-rate/${symbol}/current`);
-    if (response.data.code === '200000') {
-      return response.data.data;
+    const result = await this.adapter.request('GET', `/api/v1/funding-rate/${symbol}/current`, null, { auth: false });
+    if (result.ok) {
+      return result.value;
     }
-    throw new Error(`Failed to get funding rate: ${response.data.msg}`);
+    throw new Error(`Failed to get funding rate: ${result.error.message}`);
   }
 }
 
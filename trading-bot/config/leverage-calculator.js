@@ -3,9 +3,13 @@
  * 
  * Volatility-aware leverage and position sizing.
  * Based on ATR percentage and risk parameters.
+ *
+ * Volatility arguments take an ATR% number or any ATRIndicator reading
+ * (instance, result or value object).
  */
 
 const Decimal = require('decimal.js');
+const ATRIndicator = require('../src/indicators/ATRIndicator');
 
 class LeverageCalculator {
   constructor(config = {}) {
@@ -25,10 +29,12 @@ class LeverageCalculator {
     this.riskMultiplier = config.riskMultiplier || 1.0;
   }
 
-  calculateOptimalLeverage(atrPercent, volatilityFactor = 1.0) {
+  calculateOptimalLeverage(volatility, volatilityFactor = 1.0) {
+    // No ATR yet (warming up): assume the shared fallback ATR%
+    const atrPercent = ATRIndicator.readAtrPercent(volatility) ?? ATRIndicator.FALLBACK_ATR_PERCENT;
     let recommendedLeverage = this.baseLeverage;
     
-    for (const [level, threshold] of Object.entries(this.atrThresholds)) {
+    for (const threshold of Object.values(this.atrThresholds)) {
       if (atrPercent <= threshold.max) {
         recommendedLeverage = threshold.leverage;
         break;
@@ -125,7 +131,9 @@ class LeverageCalculator {
     };
   }
 
-  getVolatilityCategory(atrPercent) {
+  getVolatilityCategory(volatility) {
+    const atrPercent = ATRIndicator.readAtrPercent(volatility);
+    if (atrPercent === null) return 'unknown';
     if (atrPercent <= 0.3) return 'veryLow';
     if (atrPercent <= 0.5) return 'low';
     if (atrPercent <= 1.0) return 'medium';
@@ -134,7 +142,8 @@ class LeverageCalculator {
     return 'extreme';
   }
 
-  recommendSettings(atrPercent, accountBalance) {
+  recommendSettings(volatility, accountBalance) {
+    const atrPercent = ATRIndicator.readAtrPercent(volatility);
     const leverage = this.calculateOptimalLeverage(atrPercent);
     const volatilityCategory = this.getVolatilityCategory(atrPercent);
     
@@ -0,0 +1,89 @@
+// ============================================================================
+// DASHBOARD SIGNAL GENERATOR - Dashboard view of the shared scoring engine
+// ============================================================================
+//
+// PURPOSE: Scores the dashboard's flat indicator snapshot (MarketDataManager
+// getIndicators) with the same engine the trading engines use
+// (src/lib/SignalScoring), so the dashboard never shows a score the bot
+// would not have computed for the same candle.
+//
+// OUTPUT: { type, score, confidence, breakdown, timestamp }
+// - type: STRONG_BUY | BUY | NEUTRAL | SELL | STRONG_SELL
+// - confidence: HIGH | MEDIUM | LOW (from the engine's classification strength)
+// - breakdown: one row per scored indicator for the breakdown panel
+// ============================================================================
+
+const { scoreIndicators, signalTier } = require('../src/lib/SignalScoring');
+
+const INDICATOR_LABELS = {
+  rsi: 'RSI',
+  williamsR: 'Williams %R',
+  macd: 'MACD',
+  ao: 'AO',
+  emaTrend: 'EMA Trend',
+  stochRSI: 'Stoch RSI',
+  stochastic: 'Stochastic',
+  bollinger: 'Bollinger',
+  kdj: 'KDJ',
+  obv: 'OBV',
+  dom: 'DOM',
+  adx: 'ADX'
+};
+
+const CONFIDENCE = {
+  strong: 'HIGH',
+  moderate: 'MEDIUM',
+  weak: 'LOW',
+  none: 'LOW'
+};
+
+class DashboardSignalGenerator {
+  /**
+   * @param {Object} indicators - Flat indicator snapshot
+   * @param {Object} options - Scoring options ({ profile })
+   */
+  static generate(indicators, options = {}) {
+    const result = scoreIndicators(indicators, options);
+    const tier = signalTier(result.type);
+
+    const breakdown = Object.entries(result.breakdown.indicators).map(([name, entry]) => {
+      const contribution = Math.round(entry.contribution * 10) / 10;
+      const type = contribution > 0 ? 'bullish' : contribution < 0 ? 'bearish' : 'neutral';
+      return {
+        indicator: INDICATOR_LABELS[name] || name,
+        value: this._formatValue(entry.value),
+        contribution,
+        reason: this._reason(entry, type),
+        type
+      };
+    });
+
+    return {
+      type: tier.signal,
+      score: result.score,
+      confidence: CONFIDENCE[tier.strength],
+      breakdown,
+      timestamp: Date.now()
+    };
+  }
+
+  static _formatValue(value) {
+    if (typeof value === 'number') return value.toFixed(2);
+    if (value && typeof value === 'object') {
+      if (value.trend_direction) return value.trend_direction;
+      if (typeof value.histogram === 'number') return value.histogram.toFixed(2);
+      if (typeof value.k === 'number') return value.k.toFixed(1);
+    }
+    return '-';
+  }
+
+  static _reason(entry, type) {
+    const messages = (entry.signals || []).map(s => s.message).filter(Boolean);
+    if (messages.length > 0) return messages.join('; ');
+    if (type === 'bullish') return 'Bullish level';
+    if (type === 'bearish') return 'Bearish level';
+    return 'Neutral';
+  }
+}
+
+module.exports = DashboardSignalGenerator;
@@ -13,12 +13,17 @@
 // - Entry: Multiple indicator confluence + signal strength threshold
 // - Exit: Stop loss, take profit, and adaptive trailing stops
 // - Risk: Position sizing based on volatility (ATR)
+// - Carry: Funding settled every 8h; positions liquidate at the exchange price
+// - Excursions: MAE/MFE, time-to-MFE and bars held recorded on every trade
 // - Optimization: Adjusts thresholds based on recent performance
 // ============================================================================
 
 const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
+const PositionCalculator = require('../src/utils/PositionCalculator');
+const FundingSchedule = require('../src/utils/FundingSchedule');
+const ExcursionTracker = require('../src/utils/ExcursionTracker');
 
 class DemoTradingEngine extends EventEmitter {
   constructor(config = {}) {
@@ -29,6 +34,8 @@ class DemoTradingEngine extends EventEmitter {
     this.initialBalance = this.paperBalance;
     this.maxPositions = config.maxPositions || 3;
     this.maxRiskPerTrade = config.maxRiskPerTrade || 2.0; // 2% of balance
+    this.positionCalc = new PositionCalculator({ maintenanceMargin: config.maintenanceMargin });
+    this.barMs = config.barMs || ExcursionTracker.DEFAULT_BAR_MS; // Bars-held bucket for ticker updates
 
     // Strategy parameters (will be optimized)
     this.params = {
@@ -68,6 +75,8 @@ class DemoTradingEngine extends EventEmitter {
       maxDrawdown: 0,
       currentDrawdown: 0,
       peakBalance: this.paperBalance,
+      fundingPnL: 0,
+      liquidations: 0,
     };
 
     // Market data cache
@@ -105,7 +114,10 @@ class DemoTradingEngine extends EventEmitter {
     this.indicators[symbol] = data.indicators;
     this.signals[symbol] = data.signal;
 
-    // Update existing positions
+    // Settle funding, then update existing positions
+    if (this.positions.has(symbol)) {
+      this.settleFunding(symbol, data);
+    }
     if (this.positions.has(symbol)) {
       await this.updatePosition(symbol, data);
     }
@@ -171,7 +183,8 @@ class DemoTradingEngine extends EventEmitter {
       signalScore,
       confluence: confluence.count,
       indicators,
-      atrPercent
+      atrPercent,
+      regime: ExcursionTracker.regimeOf(signal)
     });
   }
 
@@ -246,7 +259,7 @@ class DemoTradingEngine extends EventEmitter {
    * Enter a demo position
    */
   async enterPosition(symbol, config) {
-    const { side, entryPrice, positionSize, leverage, signalScore, confluence, indicators, atrPercent } = config;
+    const { side, entryPrice, positionSize, leverage, signalScore, confluence, indicators, atrPercent, regime = null } = config;
 
     // Calculate position value
     const marginUsed = (positionSize / 100) * this.paperBalance;
@@ -264,6 +277,8 @@ class DemoTradingEngine extends EventEmitter {
       ? entryPrice * (1 + (tpDistance / leverage) / 100)
       : entryPrice * (1 - (tpDistance / leverage) / 100);
 
+    const liquidationPrice = this.positionCalc.calculateLiquidationPrice({ entryPrice, leverage, side }).liquidationPrice;
+
     // Create position object
     const position = {
       symbol,
@@ -277,6 +292,9 @@ class DemoTradingEngine extends EventEmitter {
       stopLoss,
       initialStopLoss: stopLoss,
       takeProfit,
+      liquidationPrice,
+      accumulatedFundingFees: 0,
+      lastFundingCheck: Date.now(),
       trailingStopActive: false,
       highestPrice: side === 'long' ? entryPrice : null,
       lowestPrice: side === 'short' ? entryPrice : null,
@@ -284,7 +302,9 @@ class DemoTradingEngine extends EventEmitter {
       unrealizedPnlPercent: 0,
       signalScore,
       confluence,
+      regime,
       entryTime: Date.now(),
+      excursion: ExcursionTracker.start({ side, entryPrice, leverage, time: Date.now(), barMs: this.barMs }),
       atrPercent,
       status: 'open'
     };
@@ -298,6 +318,7 @@ class DemoTradingEngine extends EventEmitter {
       value: `$${positionValue.toFixed(2)}`,
       sl: stopLoss.toFixed(2),
       tp: takeProfit.toFixed(2),
+      liq: liquidationPrice.toFixed(2),
       signal: signalScore,
       confluence,
       atr: `${atrPercent.toFixed(2)}%`
@@ -315,6 +336,7 @@ class DemoTradingEngine extends EventEmitter {
 
     const currentPrice = data.marketData.price;
     position.currentPrice = currentPrice;
+    ExcursionTracker.update(position.excursion, currentPrice, Date.now());
 
     // Update highest/lowest for trailing
     if (position.side === 'long') {
@@ -358,6 +380,16 @@ class DemoTradingEngine extends EventEmitter {
       }
     }
 
+    // Liquidation comes before any stop the price went through
+    const liquidated = position.side === 'long'
+      ? currentPrice <= position.liquidationPrice
+      : currentPrice >= position.liquidationPrice;
+
+    if (liquidated) {
+      await this.closePosition(symbol, 'Liquidation', position.liquidationPrice);
+      return;
+    }
+
     // Check exit conditions
     const slHit = position.side === 'long'
       ? currentPrice <= position.stopLoss
@@ -374,6 +406,33 @@ class DemoTradingEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Charge or credit funding for settlements since the position's last check
+   * Rate from data.fundingRate ({ rate } as broadcast by the server, or a number)
+   */
+  settleFunding(symbol, data) {
+    const position = this.positions.get(symbol);
+    const now = Date.now();
+    const from = position.lastFundingCheck;
+    position.lastFundingCheck = now;
+
+    const rate = typeof data.fundingRate === 'number' ? data.fundingRate : data.fundingRate?.rate;
+    if (!Number.isFinite(rate)) return;
+
+    const price = data.marketData?.price || position.currentPrice;
+    for (const settlement of new FundingSchedule(rate).between(from, now)) {
+      const positionValue = position.positionValue * price / position.entryPrice;
+      const payment = FundingSchedule.payment(position.side, positionValue, settlement.rate).toNumber();
+
+      this.paperBalance += payment;
+      this.metrics.fundingPnL += payment;
+      // Same sign convention as PositionManager: fees paid are positive
+      position.accumulatedFundingFees -= payment;
+
+      this.log('info', `${symbol}: Funding ${payment >= 0 ? 'received' : 'paid'} $${Math.abs(payment).toFixed(4)} at ${(settlement.rate * 100).toFixed(4)}%`);
+    }
+  }
+
   /**
    * Close a demo position
    */
@@ -388,15 +447,23 @@ class DemoTradingEngine extends EventEmitter {
       ? exitPrice - position.entryPrice
       : position.entryPrice - exitPrice;
 
-    const realizedPnl = (priceDiff / position.entryPrice) * position.positionValue;
-    const realizedPnlPercent = (realizedPnl / position.marginUsed) * 100;
+    // Liquidation forfeits the margin
+    const pricePnl = reason === 'Liquidation'
+      ? -position.marginUsed
+      : (priceDiff / position.entryPrice) * position.positionValue;
+    if (reason === 'Liquidation') this.metrics.liquidations++;
 
-    // Update balance
-    this.paperBalance += realizedPnl;
+    // Update balance (funding was settled into it while open)
+    this.paperBalance += pricePnl;
+
+    const realizedPnl = pricePnl - (position.accumulatedFundingFees || 0);
+    const realizedPnlPercent = (realizedPnl / position.marginUsed) * 100;
 
     // Record trade
+    const { excursion: _state, ...fields } = position;
     const trade = {
-      ...position,
+      ...fields,
+      ...ExcursionTracker.finish(position.excursion, exitPrice, Date.now()),
       exitPrice,
       exitTime: Date.now(),
       duration: Date.now() - position.entryTime,
@@ -571,6 +638,8 @@ class DemoTradingEngine extends EventEmitter {
       maxDrawdown: 0,
       currentDrawdown: 0,
       peakBalance: this.paperBalance,
+      fundingPnL: 0,
+      liquidations: 0,
     };
     this.log('info', 'Demo account reset');
     this.emit('reset');
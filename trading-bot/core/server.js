@@ -30,8 +30,6 @@ const express = require('express');
 const http = require('http');
 const path = require('path');
 const WebSocket = require('ws');
-const crypto = require('crypto');
-const axios = require('axios');
 const fs = require('fs');
 const { EventEmitter } = require('events');
 
@@ -39,10 +37,16 @@ const { EventEmitter } = require('events');
 // V3.5.2: Import new precision and safety modules
 // ============================================================================
 const DecimalMath = require('../src/lib/DecimalMath');
-const { validateConfig } = require('../src/lib/ConfigSchema');
+const { validateConfig, validatePartialConfig } = require('../src/lib/ConfigSchema');
 const SecureLogger = require('../src/lib/SecureLogger');
 const OrderValidator = require('../src/lib/OrderValidator');
 const DemoTradingEngine = require('./DemoTradingEngine');
+const DashboardSignalGenerator = require('./DashboardSignalGenerator');
+const KuCoinAdapter = require('../src/exchange/KuCoinAdapter');
+const PositionReconciler = require('../src/trading/PositionReconciler');
+const ConfigService = require('../src/config/ConfigService');
+const { getScoringEngine } = require('../src/lib/SignalScoring');
+const ATRIndicator = require('../src/indicators/ATRIndicator');
 // Note: StopOrderStateMachine and EventBus are initialized per-position/global
 
 // ============================================================================
@@ -50,7 +54,7 @@ const DemoTradingEngine = require('./DemoTradingEngine');
 // ============================================================================
 const CONFIG = {
   PORT: process.env.PORT || 3001,
-  KUCOIN_FUTURES_API: 'https://api-futures.kucoin.com',
+  KUCOIN_FUTURES_API: process.env.KUCOIN_FUTURES_REST || 'https://api-futures.kucoin.com',
   
   // Trading Parameters
   TRADING: {
@@ -233,6 +237,52 @@ demoTradingEngine.on('position_closed', (trade) => {
   broadcastLog('info', `[DEMO] Closed ${trade.symbol} ${trade.reason}: ${pnl} (${trade.realizedPnlPercent.toFixed(2)}%)`);
 });
 
+// ============================================================================
+// CONFIG SERVICE - Hot-reloaded signal weights/profile + persisted trading overrides
+// ============================================================================
+// Scalar CONFIG.TRADING values can be overridden at runtime; live trading stays env-only
+const TRADING_DEFAULTS = Object.fromEntries(
+  Object.entries(CONFIG.TRADING).filter(([key, value]) =>
+    key !== 'ENABLE_LIVE_TRADING' && ['number', 'boolean', 'string'].includes(typeof value))
+);
+
+const configService = new ConfigService({
+  tradingDefaults: TRADING_DEFAULTS,
+  validateTrading: trading => validatePartialConfig({ TRADING: trading })
+});
+
+configService.on('change', ({ version, diff }) => {
+  Object.assign(CONFIG.TRADING, configService.getTradingConfig());
+  broadcast({ type: 'config_changed', version, diff });
+  broadcastLog('info', `Config version ${version.version} by ${version.author} (${version.source}): ${diff.map(d => d.path).join(', ') || 'no changes'}`);
+});
+
+configService.on('rejected', (error) => {
+  broadcastLog('error', `Config reload rejected: ${error.message}`);
+});
+
+function startConfigService() {
+  const result = configService.start();
+  if (!result.ok) {
+    console.error(`[INIT] ✗ Config service failed: ${result.error.message}`);
+    return;
+  }
+  Object.assign(CONFIG.TRADING, configService.getTradingConfig());
+  configService.attach(getScoringEngine());
+  console.log(`[INIT] ✓ Config version ${result.value.version} (profile: ${result.value.profile || 'none'})`);
+}
+
+/**
+ * Config patch from an update_config message or POST /api/config body
+ */
+function configPatch({ config, weights, profile }) {
+  const patch = {};
+  if (config !== undefined) patch.trading = config;
+  if (weights !== undefined) patch.weights = weights;
+  if (profile !== undefined) patch.profile = profile;
+  return patch;
+}
+
 let currentTimeframe = '5min';
 let accountBalance = 0;
 
@@ -279,131 +329,63 @@ const TradeMath = {
 // ============================================================================
 class KuCoinFuturesAPI {
   constructor(apiKey, apiSecret, passphrase) {
-    this.apiKey = apiKey;
-    this.apiSecret = apiSecret;
-    this.passphrase = passphrase;
     this.baseURL = CONFIG.KUCOIN_FUTURES_API;
-    this.lastRequestTime = 0;
-    this.rateLimitCooldown = false;
-  }
-
-  generateSignature(timestamp, method, endpoint, body = '') {
-    const strToSign = timestamp + method + endpoint + body;
-    return crypto.createHmac('sha256', this.apiSecret).update(strToSign).digest('base64');
-  }
-
-  getHeaders(method, endpoint, body = '') {
-    const timestamp = Date.now().toString();
-    const signature = this.generateSignature(timestamp, method, endpoint, body);
-    const passphraseSignature = crypto.createHmac('sha256', this.apiSecret).update(this.passphrase).digest('base64');
-
-    return {
-      'KC-API-KEY': this.apiKey,
-      'KC-API-SIGN': signature,
-      'KC-API-TIMESTAMP': timestamp,
-      'KC-API-PASSPHRASE': passphraseSignature,
-      'KC-API-KEY-VERSION': '2',
-      'Content-Type': 'application/json'
-    };
+    // Signing, throttling and retry with backoff live in the shared adapter
+    this.adapter = new KuCoinAdapter({
+      apiKey,
+      apiSecret,
+      apiPassphrase: passphrase,
+      baseUrl: this.baseURL,
+      timeoutMs: CONFIG.API.REQUEST_TIMEOUT_MS,
+      retryAttempts: CONFIG.API.RETRY_ATTEMPTS,
+      retryDelayMs: CONFIG.API.RETRY_DELAY_MS,
+      onRetry: (attempt, delay, error) => {
+        broadcastLog('warn', `API retry ${attempt}/${CONFIG.API.RETRY_ATTEMPTS} after ${delay}ms: ${error.message}`);
+      }
+    });
   }
 
   /**
-   * V3.5 NEW: Request with automatic retry and rate limit handling
+   * Request returning the KuCoin envelope { code, data }; throws on API errors
    */
-  async request(method, endpoint, data = null, retryCount = 0) {
-    // Check rate limit cooldown
-    if (this.rateLimitCooldown) {
-      await this.sleep(CONFIG.API.RATE_LIMIT_DELAY_MS);
-      this.rateLimitCooldown = false;
-    }
-
-    try {
-      const body = data ? JSON.stringify(data) : '';
-      const headers = this.getHeaders(method, endpoint, body);
-      const url = `${this.baseURL}${endpoint}`;
-
-      const response = await axios({
-        method,
-        url,
-        headers,
-        ...(data && { data }),
-        timeout: CONFIG.API.REQUEST_TIMEOUT_MS
-      });
+  async request(method, endpoint, data = null, options = {}) {
+    const result = await this.adapter.request(method, endpoint, data, options);
 
-      // Check for rate limit response
-      if (response.data.code === '429000' || response.data.code === '429') {
-        this.rateLimitCooldown = true;
-        throw new Error('Rate limit exceeded');
-      }
-
-      if (response.data.code !== '200000') {
-        throw new Error(response.data.msg || 'API Error');
-      }
-
-      return response.data;
-
-    } catch (error) {
-      const isRateLimit = error.message.includes('Rate limit') || 
-                          error.response?.status === 429;
-      const isRetryable = isRateLimit || 
-                          error.code === 'ECONNABORTED' ||
-                          error.code === 'ETIMEDOUT' ||
-                          error.response?.status >= 500;
-
-      // Retry logic with exponential backoff
-      if (isRetryable && retryCount < CONFIG.API.RETRY_ATTEMPTS) {
-        const delay = CONFIG.API.RETRY_DELAY_MS * Math.pow(2, retryCount);
-        broadcastLog('warn', `API retry ${retryCount + 1}/${CONFIG.API.RETRY_ATTEMPTS} after ${delay}ms: ${error.message}`);
-        await this.sleep(delay);
-        return this.request(method, endpoint, data, retryCount + 1);
-      }
-
-      const msg = error.response?.data?.msg || error.message;
-      console.error(`[API ERROR] ${method} ${endpoint}: ${msg}`);
-      throw new Error(msg);
+    if (!result.ok) {
+      console.error(`[API ERROR] ${method} ${endpoint}: ${result.error.message}`);
+      throw new Error(result.error.message);
     }
-  }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return { code: '200000', data: result.value };
   }
 
   // Public endpoints (no auth needed)
   async getServerTime() {
-    const response = await axios.get(`${this.baseURL}/api/v1/timestamp`);
-    return response.data;
+    return this.request('GET', '/api/v1/timestamp', null, { auth: false });
   }
 
   async getContracts() {
-    const response = await axios.get(`${this.baseURL}/api/v1/contracts/active`);
-    return response.data;
+    return this.request('GET', '/api/v1/contracts/active', null, { auth: false });
   }
 
   async getContractDetail(symbol) {
-    const response = await axios.get(`${this.baseURL}/api/v1/contracts/${symbol}`);
-    return response.data;
+    return this.request('GET', `/api/v1/contracts/${symbol}`, null, { auth: false });
   }
 
   async getTicker(symbol) {
-    const response = await axios.get(`${this.baseURL}/api/v1/ticker?symbol=${symbol}`);
-    return response.data;
+    return this.request('GET', `/api/v1/ticker?symbol=${symbol}`, null, { auth: false });
   }
 
   async getOrderBook(symbol, depth = 20) {
-    const response = await axios.get(`${this.baseURL}/api/v1/level2/depth${depth}?symbol=${symbol}`);
-    return response.data;
+    return this.request('GET', `/api/v1/level2/depth${depth}?symbol=${symbol}`, null, { auth: false });
   }
 
   async getKlines(symbol, granularity, from, to) {
-    const response = await axios.get(`${this.baseURL}/api/v1/kline/query`, {
-      params: { symbol, granularity, from, to }
-    });
-    return response.data;
+    return this.request('GET', `/api/v1/kline/query?symbol=${symbol}&granularity=${granularity}&from=${from}&to=${to}`, null, { auth: false });
   }
 
   async getFundingRate(symbol) {
-    const response = await axios.get(`${this.baseURL}/api/v1/funding-rate/${symbol}/current`);
-    return response.data;
+    return this.request('GET', `/api/v1/funding-rate/${symbol}/current`, null, { auth: false });
   }
 
   // Private endpoints (auth required)
@@ -424,7 +406,7 @@ class KuCoinFuturesAPI {
   }
 
   async placeStopOrder(params) {
-    return this.request('POST', '/api/v1/stop-orders', params);
+    return this.request('POST', '/api/v1/orders', params);
   }
 
   async cancelOrder(orderId) {
@@ -432,7 +414,7 @@ class KuCoinFuturesAPI {
   }
 
   async cancelStopOrder(orderId) {
-    return this.request('DELETE', `/api/v1/stop-orders/${orderId}`);
+    return this.request('DELETE', `/api/v1/orders/${orderId}`);
   }
 
   async cancelAllOrders(symbol) {
@@ -440,7 +422,7 @@ class KuCoinFuturesAPI {
   }
 
   async cancelAllStopOrders(symbol) {
-    return this.request('DELETE', `/api/v1/stop-orders?symbol=${symbol}`);
+    return this.request('DELETE', `/api/v1/stopOrders?symbol=${symbol}`);
   }
 
   async getOpenOrders(symbol) {
@@ -448,7 +430,7 @@ class KuCoinFuturesAPI {
   }
 
   async getOpenStopOrders(symbol) {
-    return this.request('GET', `/api/v1/stop-orders?symbol=${symbol}`);
+    return this.request('GET', `/api/v1/stopOrders?symbol=${symbol}`);
   }
 
   async getOrderDetail(orderId) {
@@ -460,8 +442,7 @@ class KuCoinFuturesAPI {
   }
 
   async getPublicWebSocketToken() {
-    const response = await axios.post(`${this.baseURL}/api/v1/bullet-public`);
-    return response.data;
+    return this.request('POST', '/api/v1/bullet-public', null, { auth: false });
   }
 }
 
@@ -804,17 +785,8 @@ class TechnicalIndicators {
   static calculateATR(highs, lows, closes, period = 14) {
     if (!closes || closes.length < period + 1) return 0;
     
-    const trueRanges = [];
-    for (let i = 1; i < closes.length; i++) {
-      const tr = Math.max(
-        highs[i] - lows[i],
-        Math.abs(highs[i] - closes[i - 1]),
-        Math.abs(lows[i] - closes[i - 1])
-      );
-      trueRanges.push(tr);
-    }
-    
-    return this.calculateSMA(trueRanges.slice(-period), period) || 0;
+    const { value } = ATRIndicator.batch({ high: highs, low: lows, close: closes }, { period }, { signals: false });
+    return value.atr[closes.length - 1] || 0;
   }
 
   static calculateMACD(data, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
@@ -890,116 +862,6 @@ class TechnicalIndicators {
   }
 }
 
-// ============================================================================
-// SIGNAL GENERATOR (-100 to +100)
-// ============================================================================
-class SignalGenerator {
-  static generate(indicators) {
-    let score = 0;
-    const breakdown = [];
-
-    // RSI (±25 points)
-    if (indicators.rsi < 30) {
-      score += 25;
-      breakdown.push({ indicator: 'RSI', value: indicators.rsi.toFixed(1), contribution: 25, reason: 'Oversold (<30)', type: 'bullish' });
-    } else if (indicators.rsi < 40) {
-      score += 15;
-      breakdown.push({ indicator: 'RSI', value: indicators.rsi.toFixed(1), contribution: 15, reason: 'Approaching oversold', type: 'bullish' });
-    } else if (indicators.rsi > 70) {
-      score -= 25;
-      breakdown.push({ indicator: 'RSI', value: indicators.rsi.toFixed(1), contribution: -25, reason: 'Overbought (>70)', type: 'bearish' });
-    } else if (indicators.rsi > 60) {
-      score -= 15;
-      breakdown.push({ indicator: 'RSI', value: indicators.rsi.toFixed(1), contribution: -15, reason: 'Approaching overbought', type: 'bearish' });
-    } else {
-      breakdown.push({ indicator: 'RSI', value: indicators.rsi.toFixed(1), contribution: 0, reason: 'Neutral (40-60)', type: 'neutral' });
-    }
-
-    // Williams %R (±20 points)
-    if (indicators.williamsR < -80) {
-      score += 20;
-      breakdown.push({ indicator: 'Williams %R', value: indicators.williamsR.toFixed(1), contribution: 20, reason: 'Oversold (<-80)', type: 'bullish' });
-    } else if (indicators.williamsR > -20) {
-      score -= 20;
-      breakdown.push({ indicator: 'Williams %R', value: indicators.williamsR.toFixed(1), contribution: -20, reason: 'Overbought (>-20)', type: 'bearish' });
-    } else {
-      breakdown.push({ indicator: 'Williams %R', value: indicators.williamsR.toFixed(1), contribution: 0, reason: 'Neutral', type: 'neutral' });
-    }
-
-    // MACD (±20 points)
-    if (indicators.macd > 0 && indicators.macdHistogram > 0) {
-      score += 20;
-      breakdown.push({ indicator: 'MACD', value: indicators.macd.toFixed(2), contribution: 20, reason: 'Bullish momentum', type: 'bullish' });
-    } else if (indicators.macd < 0 && indicators.macdHistogram < 0) {
-      score -= 20;
-      breakdown.push({ indicator: 'MACD', value: indicators.macd.toFixed(2), contribution: -20, reason: 'Bearish momentum', type: 'bearish' });
-    } else {
-      breakdown.push({ indicator: 'MACD', value: indicators.macd.toFixed(2), contribution: 0, reason: 'Neutral/Crossover', type: 'neutral' });
-    }
-
-    // Awesome Oscillator (±15 points)
-    if (indicators.ao > 0) {
-      score += 15;
-      breakdown.push({ indicator: 'AO', value: indicators.ao.toFixed(2), contribution: 15, reason: 'Positive momentum', type: 'bullish' });
-    } else {
-      score -= 15;
-      breakdown.push({ indicator: 'AO', value: indicators.ao.toFixed(2), contribution: -15, reason: 'Negative momentum', type: 'bearish' });
-    }
-
-    // EMA Trend (±20 points)
-    if (indicators.ema50 > indicators.ema200) {
-      score += 20;
-      breakdown.push({ indicator: 'EMA Trend', value: 'EMA50 > EMA200', contribution: 20, reason: 'Bullish trend (Golden Cross)', type: 'bullish' });
-    } else if (indicators.ema50 < indicators.ema200) {
-      score -= 20;
-      breakdown.push({ indicator: 'EMA Trend', value: 'EMA50 < EMA200', contribution: -20, reason: 'Bearish trend (Death Cross)', type: 'bearish' });
-    } else {
-      breakdown.push({ indicator: 'EMA Trend', value: 'EMA50 ≈ EMA200', contribution: 0, reason: 'Neutral', type: 'neutral' });
-    }
-
-    // Stochastic (±10 points)
-    if (indicators.stochK < 20 && indicators.stochK > indicators.stochD) {
-      score += 10;
-      breakdown.push({ indicator: 'Stochastic', value: indicators.stochK.toFixed(1), contribution: 10, reason: 'Oversold + bullish crossover', type: 'bullish' });
-    } else if (indicators.stochK > 80 && indicators.stochK < indicators.stochD) {
-      score -= 10;
-      breakdown.push({ indicator: 'Stochastic', value: indicators.stochK.toFixed(1), contribution: -10, reason: 'Overbought + bearish crossover', type: 'bearish' });
-    } else {
-      breakdown.push({ indicator: 'Stochastic', value: indicators.stochK.toFixed(1), contribution: 0, reason: 'Neutral', type: 'neutral' });
-    }
-
-    // Bollinger Bands (±10 points)
-    if (indicators.price < indicators.bollingerLower) {
-      score += 10;
-      breakdown.push({ indicator: 'Bollinger', value: 'Below lower', contribution: 10, reason: 'Price below lower band', type: 'bullish' });
-    } else if (indicators.price > indicators.bollingerUpper) {
-      score -= 10;
-      breakdown.push({ indicator: 'Bollinger', value: 'Above upper', contribution: -10, reason: 'Price above upper band', type: 'bearish' });
-    } else {
-      breakdown.push({ indicator: 'Bollinger', value: 'Within bands', contribution: 0, reason: 'Price within bands', type: 'neutral' });
-    }
-
-    // Determine signal type
-    let type = 'NEUTRAL';
-    let confidence = 'LOW';
-    
-    if (score >= 70) { type = 'STRONG_BUY'; confidence = 'HIGH'; }
-    else if (score >= 50) { type = 'BUY'; confidence = 'MEDIUM'; }
-    else if (score >= 30) { type = 'BUY'; confidence = 'LOW'; }
-    else if (score <= -70) { type = 'STRONG_SELL'; confidence = 'HIGH'; }
-    else if (score <= -50) { type = 'SELL'; confidence = 'MEDIUM'; }
-    else if (score <= -30) { type = 'SELL'; confidence = 'LOW'; }
-
-    return {
-      type,
-      score,
-      confidence,
-      breakdown,
-      timestamp: Date.now()
-    };
-  }
-}
-
 // ============================================================================
 // MARKET DATA MANAGER
 // ============================================================================
@@ -1102,7 +964,7 @@ class MarketDataManager {
 
   generateSignal() {
     const indicators = this.getIndicators();
-    return SignalGenerator.generate(indicators);
+    return DashboardSignalGenerator.generate(indicators);
   }
 
   getMarketData() {
@@ -1190,6 +1052,15 @@ class PositionManager {
     this.status = positionData.status || 'pending';
   }
 
+  // PositionReconciler reads positions by TradingEngineV3's field names
+  get quantity() {
+    return this.remainingSize;
+  }
+
+  get stopLoss() {
+    return this.currentSL;
+  }
+
   calculateLiquidationPrice() {
     const maintMargin = contractSpecs[this.symbol]?.maintMargin || CONFIG.TRADING.MAINTENANCE_MARGIN_PERCENT;
     return TradeMath.calculateLiquidationPrice(this.side, this.entryPrice, this.leverage, maintMargin);
@@ -1461,6 +1332,7 @@ class PositionManager {
         this.stopOrderFailed = false;
         broadcastLog('success', `[${this.symbol}] SL order updated: ${roundedSL.toFixed(2)} (with ${CONFIG.TRADING.SLIPPAGE_BUFFER_PERCENT}% slippage buffer)`);
       }
+      return { ok: true, value: { orderId: this.slOrderId } };
     } catch (error) {
       broadcastLog('error', `[${this.symbol}] Failed to update SL order: ${error.message}`);
       
@@ -1481,6 +1353,7 @@ class PositionManager {
           reduceOnly: true
         }
       });
+      return { ok: false, error: { code: 'STOP_ORDER_FAILED', message: error.message } };
     }
   }
 
@@ -1659,6 +1532,72 @@ function loadPositions() {
   }
 }
 
+// ============================================================================
+// POSITION RECONCILIATION
+// ============================================================================
+/**
+ * Take over a position found on KuCoin with no local record
+ * (SL/TP from the initial ROI settings; the reconciler places the stop-loss)
+ */
+function adoptExchangePosition(info) {
+  const leverage = info.leverage || CONFIG.TRADING.DEFAULT_LEVERAGE;
+  const manager = new PositionManager({
+    symbol: info.symbol,
+    side: info.side,
+    size: info.size,
+    leverage,
+    entryPrice: info.entryPrice,
+    currentPrice: info.markPrice || info.entryPrice,
+    initialSL: TradeMath.calculateStopLossPrice(info.side, info.entryPrice, CONFIG.TRADING.INITIAL_SL_ROI, leverage),
+    takeProfit: TradeMath.calculateTakeProfitPrice(info.side, info.entryPrice, CONFIG.TRADING.INITIAL_TP_ROI, leverage),
+    status: 'open'
+  }, kucoinAPI);
+
+  activePositions.set(info.symbol, manager);
+  savePositions();
+  broadcastLog('warn', `[RECONCILE] Adopted ${info.symbol} ${info.side.toUpperCase()} ${info.size} lots @ ${info.entryPrice}`);
+  broadcastPositions();
+  return manager;
+}
+
+/**
+ * Forget a local position KuCoin no longer holds (no P&L is recorded)
+ */
+function dropLocalPosition(symbol, reason) {
+  const manager = activePositions.get(symbol);
+  if (!manager) return null;
+
+  activePositions.delete(symbol);
+  savePositions();
+  broadcastLog('warn', `[RECONCILE] Dropped ${symbol} ${manager.side.toUpperCase()} (${reason})`);
+  broadcastPositions();
+  return manager;
+}
+
+/**
+ * Reconciler for activePositions against KuCoin (null in demo mode).
+ * Take-profits rest as reduce-only limit orders rather than stops, so only
+ * the stop-loss is re-placed.
+ * @param {Object} options - PositionReconciler overrides (intervalMs, logDir, ...)
+ */
+function createPositionReconciler(options = {}) {
+  if (DEMO_MODE) return null;
+
+  return new PositionReconciler({
+    exchange: kucoinAPI.adapter,
+    engine: {
+      positions: activePositions,
+      adoptPosition: adoptExchangePosition,
+      dropPosition: dropLocalPosition,
+      placeProtectiveStop: (manager) => manager.updateStopLossOrder()
+    },
+    protectiveStops: ['stopLoss'],
+    ...options
+  });
+}
+
+const positionReconciler = createPositionReconciler();
+
 // ============================================================================
 // BROADCAST FUNCTIONS
 // ============================================================================
@@ -1721,7 +1660,8 @@ function broadcastMarketData(symbol) {
   demoTradingEngine.onMarketUpdate(symbol, {
     marketData,
     indicators,
-    signal
+    signal,
+    fundingRate: fundingRates[symbol]
   });
 }
 
@@ -2275,13 +2215,14 @@ wss.on('connection', async (ws) => {
           }
           break;
 
-        case 'update_config':
-          // V3.5: Allow runtime config updates
-          if (data.config) {
-            Object.assign(CONFIG.TRADING, data.config);
-            broadcastLog('info', `Config updated: ${JSON.stringify(data.config)}`);
+        case 'update_config': {
+          // Validated, versioned and persisted by the config service (applied via its 'change' event)
+          const result = configService.update(configPatch(data), { author: data.author || 'dashboard', reason: data.reason });
+          if (!result.ok) {
+            broadcastLog('error', `Config update rejected: ${result.error.message}`);
           }
           break;
+        }
       }
 
     } catch (error) {
@@ -2363,7 +2304,10 @@ app.get('/api/positions', (req, res) => {
 });
 
 app.get('/api/config', (req, res) => {
+  const current = configService.getCurrent();
   res.json({
+    version: current ? current.version : null,
+    profile: current ? current.profile : null,
     trading: CONFIG.TRADING,
     api: {
       retryAttempts: CONFIG.API.RETRY_ATTEMPTS,
@@ -2373,14 +2317,44 @@ app.get('/api/config', (req, res) => {
 });
 
 app.post('/api/config', (req, res) => {
-  const { config } = req.body;
-  if (config) {
-    Object.assign(CONFIG.TRADING, config);
-    broadcastLog('info', `Config updated via API: ${JSON.stringify(config)}`);
-    res.json({ success: true, config: CONFIG.TRADING });
-  } else {
-    res.status(400).json({ error: 'No config provided' });
+  const patch = configPatch(req.body || {});
+  if (Object.keys(patch).length === 0) {
+    return res.status(400).json({ error: 'No config provided' });
+  }
+
+  const author = req.body.author || req.get('X-Config-Author') || 'api';
+  const result = configService.update(patch, { author, reason: req.body.reason });
+  if (!result.ok) {
+    return res.status(400).json({ error: result.error.message, details: result.error.details || [] });
   }
+  res.json({ success: true, version: result.value, config: CONFIG.TRADING });
+});
+
+app.get('/api/config/history', (req, res) => {
+  res.json(configService.getHistory());
+});
+
+app.get('/api/config/versions/:version', (req, res) => {
+  const entry = configService.getVersion(req.params.version);
+  if (!entry) {
+    return res.status(404).json({ error: `No config version ${req.params.version}` });
+  }
+  res.json(entry);
+});
+
+app.post('/api/config/rollback', (req, res) => {
+  const { version, reason } = req.body || {};
+  if (version === undefined) {
+    return res.status(400).json({ error: 'Version required' });
+  }
+
+  const author = req.body.author || req.get('X-Config-Author') || 'api';
+  const result = configService.rollback(version, { author, reason });
+  if (!result.ok) {
+    const status = result.error.code === 'VERSION_NOT_FOUND' ? 404 : 400;
+    return res.status(status).json({ error: result.error.message });
+  }
+  res.json({ success: true, version: result.value, config: CONFIG.TRADING });
 });
 
 app.post('/api/symbols/add', async (req, res) => {
@@ -2621,6 +2595,9 @@ function startIntervals() {
     retryQueueManager.process();
   }, 10000));
 
+  // Reconcile positions and stops with KuCoin now and every RECONCILE_INTERVAL_MS
+  if (positionReconciler) positionReconciler.start();
+
   // Sync positions from KuCoin every minute
   intervalRefs.push(setInterval(async () => {
     try {
@@ -2650,6 +2627,7 @@ function stopIntervals() {
   while (intervalRefs.length) {
     clearInterval(intervalRefs.pop());
   }
+  if (positionReconciler) positionReconciler.stop();
 }
 
 // ============================================================================
@@ -2689,6 +2667,10 @@ async function startup() {
     console.log(`[INIT] ✓ Account Balance: ${parseFloat(balance.accountEquity).toFixed(2)} USDT`);
   }
 
+  // Signal weights/profile and persisted trading overrides
+  console.log('[INIT] Loading config versions...');
+  startConfigService();
+
   // Load saved positions
   console.log('[INIT] Loading saved positions...');
   loadPositions();
@@ -2720,6 +2702,7 @@ process.on('SIGINT', () => {
   retryQueueManager.save();
   console.log('[SHUTDOWN] Closing connections...');
   stopIntervals();
+  configService.stop();
   wsClients.forEach(ws => ws.close());
   server.close();
   console.log('[SHUTDOWN] Goodbye!');
@@ -2747,6 +2730,7 @@ module.exports = {
   KuCoinFuturesAPI,
   MockKuCoinFuturesAPI,
   createKuCoinClient,
+  createPositionReconciler,
   startIntervals,
   stopIntervals
 };
@@ -1,61 +1,609 @@
 /**
  * LIVE RECORDER
- * Records live trading events for analysis
- * Placeholder implementation
+ * Records KuCoin Futures market microstructure for replay backtests
+ *
+ * Streams recorded per symbol:
+ * - L2 book: periodic snapshots + every level2 change (sequence-checked)
+ * - Trade tape: /contractMarket/execution
+ * - Best bid/ask: /contractMarket/tickerV2
+ * - Mark/index price and funding: /contract/instrument + REST funding poll
+ *
+ * Output: one gzip JSONL file per symbol per rotation window
+ *   <outputDir>/<SYMBOL>/<SYMBOL>_<YYYYMMDD-HHmmss>_<part>.jsonl.gz
+ *
+ * Each line: { ts, rts, type, symbol, data }
+ *   ts  - exchange event time (ms)
+ *   rts - local receive time (ms)
+ *   type - snapshot | l2 | trade | ticker | mark | funding
+ *
+ * Every file starts with a book snapshot so it can be replayed on its own.
+ * See replay_source.js for the reader.
  */
 
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const axios = require('axios');
 
-class LiveRecorder {
+const OrderBook = require('../../src/microstructure/OrderBook');
+
+const KUCOIN_FUTURES_REST = 'https://api-futures.kucoin.com';
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, 'recordings');
+
+/**
+ * KuCoin mixes ms (level2, instrument) and ns (execution, tickerV2) timestamps
+ */
+function toMillis(ts) {
+  let value = Number(ts);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  while (value > 1e13) value /= 1000;
+  return Math.floor(value);
+}
+
+function formatStamp(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `-${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}`;
+}
+
+/**
+ * Gzip JSONL writer for one symbol, rotated by time window and size
+ */
+class RotatingWriter {
+  constructor(options) {
+    this.dir = options.dir;
+    this.symbol = options.symbol;
+    this.rotateMs = options.rotateMs;
+    this.maxFileBytes = options.maxFileBytes;
+    this.onRotate = options.onRotate;
+
+    this.file = null;
+    this.gzip = null;
+    this.done = null;
+    this.window = null;
+    this.bytes = 0;
+    this.files = [];
+    this.closing = new Set();
+  }
+
+  write(event, now) {
+    const line = JSON.stringify(event) + '\n';
+    const window = Math.floor(now / this.rotateMs);
+
+    if (!this.gzip || window !== this.window || this.bytes + line.length > this.maxFileBytes) {
+      this._open(window);
+      // Seed the new file so it replays without earlier files
+      const header = this.onRotate ? this.onRotate(now) : null;
+      if (header) this._writeLine(JSON.stringify(header) + '\n');
+    }
+
+    this._writeLine(line);
+  }
+
+  _writeLine(line) {
+    this.gzip.write(line);
+    this.bytes += line.length;
+  }
+
+  flush() {
+    if (this.gzip) this.gzip.flush(zlib.constants.Z_SYNC_FLUSH);
+  }
+
+  _open(window) {
+    this._end();
+
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const base = `${this.symbol}_${formatStamp(window * this.rotateMs)}`;
+    let part = 0;
+    let file;
+    do {
+      file = path.join(this.dir, `${base}_${String(part).padStart(3, '0')}.jsonl.gz`);
+      part++;
+    } while (fs.existsSync(file));
+
+    const out = fs.createWriteStream(file, { flags: 'wx' });
+    this.gzip = zlib.createGzip();
+    this.gzip.pipe(out);
+    this.done = new Promise((resolve) => {
+      out.on('close', resolve);
+      out.on('error', (error) => {
+        console.error(`[LiveRecorder] Write failed for ${file}:`, error.message);
+        resolve();
+      });
+    });
+
+    this.file = file;
+    this.window = window;
+    this.bytes = 0;
+    this.files.push(file);
+  }
+
+  /**
+   * End the current file and wait for every rotated file to finish writing
+   * @returns {Promise}
+   */
+  close() {
+    this._end();
+    return Promise.all(Array.from(this.closing));
+  }
+
+  _end() {
+    if (!this.gzip) return;
+
+    const done = this.done;
+    this.closing.add(done);
+    done.then(() => this.closing.delete(done));
+
+    this.gzip.end();
+    this.gzip = null;
+    this.done = null;
+    this.file = null;
+  }
+}
+
+class LiveRecorder extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.symbols - Contracts to record, e.g. ['XBTUSDTM']
+   * @param {string} options.outputDir - Recording root (default research/data/recordings)
+   * @param {number} options.rotateMs - Rotation window (default 1 hour)
+   * @param {number} options.maxFileBytes - Uncompressed bytes per file before rotating early
+   * @param {number} options.snapshotIntervalMs - Book snapshot cadence
+   * @param {number} options.snapshotDepth - Levels per side written in snapshots
+   * @param {number} options.flushIntervalMs - Gzip sync-flush cadence (bounds data lost on crash)
+   * @param {number} options.fundingPollMs - REST funding poll for predicted/next funding (0 = off)
+   * @param {number} options.retentionDays - Delete older recordings on rotation (0 = keep all)
+   * @param {string} options.restBase - REST base URL
+   * @param {Function} options.clock - Time source, () => ms
+   */
   constructor(options = {}) {
-    this.outputPath = options.outputPath || './research/data/live_events.jsonl';
-    this.stream = null;
+    super();
+
+    this.symbols = options.symbols || [];
+    this.outputDir = options.outputDir || DEFAULT_OUTPUT_DIR;
+    this.rotateMs = options.rotateMs || 60 * 60 * 1000;
+    this.maxFileBytes = options.maxFileBytes || 256 * 1024 * 1024;
+    this.snapshotIntervalMs = options.snapshotIntervalMs || 5 * 60 * 1000;
+    this.snapshotDepth = options.snapshotDepth || 200;
+    this.flushIntervalMs = options.flushIntervalMs || 5000;
+    this.fundingPollMs = options.fundingPollMs !== undefined ? options.fundingPollMs : 60 * 1000;
+    this.retentionDays = options.retentionDays || 0;
+    this.restBase = options.restBase || process.env.KUCOIN_FUTURES_REST || KUCOIN_FUTURES_REST;
+    this.clock = options.clock || (() => Date.now());
+
+    this.ws = null;
+    this.wsEndpoint = null;
+    this.pingInterval = 18000;
+    this.connected = false;
+    this.running = false;
+    this.timers = [];
+
+    this.writers = new Map();
+    this.books = new Map();
+    this.pendingDeltas = new Map();
+    this.resyncing = new Set();
+
+    this.stats = { events: {}, resyncs: 0, errors: 0 };
   }
 
   /**
    * Start recording
+   * @param {Object} options - { connect: false } records only events passed to record()/handleMessage()
    */
-  start() {
-    const dir = path.dirname(this.outputPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+  async start(options = {}) {
+    if (this.running) return;
+    this.running = true;
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    console.log(`[LiveRecorder] Recording ${this.symbols.join(', ') || '(manual)'} to ${this.outputDir}`);
+
+    this.timers.push(setInterval(() => this._flushAll(), this.flushIntervalMs));
+    this.timers.push(setInterval(() => this._snapshotAll(), this.snapshotIntervalMs));
 
-    this.stream = fs.createWriteStream(this.outputPath, { flags: 'a' });
-    console.log(`[LiveRecorder] Started recording to ${this.outputPath}`);
+    if (options.connect === false) return;
+
+    await this._connect();
+    await Promise.all(this.symbols.map(symbol => this.resync(symbol)));
+
+    if (this.fundingPollMs > 0) {
+      await this._pollFunding();
+      this.timers.push(setInterval(() => this._pollFunding(), this.fundingPollMs));
+    }
   }
 
   /**
-   * Record an event
-   * @param {string} eventType - Type of event
-   * @param {Object} data - Event data
+   * Write one normalized event
+   * @param {string} symbol - Contract symbol
+   * @param {string} type - snapshot | l2 | trade | ticker | mark | funding
+   * @param {Object} data - Event payload
+   * @param {number} ts - Exchange time (defaults to receive time)
    */
-  record(eventType, data) {
-    if (!this.stream) {
+  record(symbol, type, data, ts) {
+    if (!this.running) {
       console.warn('[LiveRecorder] Not started, call start() first');
       return;
     }
 
-    const event = {
-      timestamp: Date.now(),
-      type: eventType,
-      data
-    };
+    const rts = this.clock();
+    const event = { ts: toMillis(ts) || rts, rts, type, symbol, data };
+
+    this._getWriter(symbol).write(event, rts);
+    this.stats.events[type] = (this.stats.events[type] || 0) + 1;
+    this.emit('event', event);
+  }
+
+  /**
+   * Normalize and record a KuCoin WebSocket message
+   * @param {Object|string} raw - Parsed message or raw frame
+   */
+  handleMessage(raw) {
+    let msg = raw;
+    if (typeof raw !== 'object' || Buffer.isBuffer(raw)) {
+      try {
+        msg = JSON.parse(raw);
+      } catch {
+        return;
+      }
+    }
+
+    if (msg.type !== 'message' || !msg.data) return;
+
+    const symbol = msg.data.symbol || String(msg.topic || '').split(':')[1];
+    if (!symbol) return;
+
+    switch (msg.subject) {
+      case 'level2':
+        this._handleLevel2(symbol, msg.data);
+        break;
+      case 'match':
+        this.record(symbol, 'trade', {
+          price: parseFloat(msg.data.price),
+          size: parseFloat(msg.data.size),
+          side: msg.data.side,
+          tradeId: msg.data.tradeId
+        }, msg.data.ts);
+        break;
+      case 'tickerV2':
+        this.record(symbol, 'ticker', this._compact({
+          bid: parseFloat(msg.data.bestBidPrice),
+          bidSize: parseFloat(msg.data.bestBidSize),
+          ask: parseFloat(msg.data.bestAskPrice),
+          askSize: parseFloat(msg.data.bestAskSize),
+          last: parseFloat(msg.data.price),
+          mark: parseFloat(msg.data.markPrice),
+          index: parseFloat(msg.data.indexPrice)
+        }), msg.data.ts);
+        if (msg.data.fundingRate !== undefined) {
+          this.record(symbol, 'funding', this._compact({
+            rate: parseFloat(msg.data.fundingRate),
+            predictedRate: parseFloat(msg.data.predictedFundingRate),
+            nextFundingTime: toMillis(msg.data.nextFundingRateTime)
+          }), msg.data.ts);
+        }
+        break;
+      case 'mark.index.price':
+        this.record(symbol, 'mark', {
+          mark: parseFloat(msg.data.markPrice),
+          index: parseFloat(msg.data.indexPrice)
+        }, msg.data.timestamp);
+        break;
+      case 'funding.rate':
+        this.record(symbol, 'funding', { rate: parseFloat(msg.data.fundingRate) }, msg.data.timestamp);
+        break;
+    }
+  }
+
+  /**
+   * Fetch a REST book snapshot and record it
+   *
+   * Changes that arrive while the request is in flight are buffered and
+   * applied on top, so the recorded snapshot lines up with the next change.
+   */
+  async resync(symbol) {
+    if (this.resyncing.has(symbol)) return;
+    this.resyncing.add(symbol);
+    this.pendingDeltas.set(symbol, []);
+    this.stats.resyncs++;
+
+    try {
+      const response = await axios.get(`${this.restBase}/api/v1/level2/snapshot`, { params: { symbol } });
+      if (response.data.code !== '200000') {
+        throw new Error(`KuCoin API error: ${response.data.msg}`);
+      }
+
+      this.applySnapshot(symbol, response.data.data);
+    } catch (error) {
+      this.stats.errors++;
+      this.pendingDeltas.delete(symbol);
+      console.error(`[LiveRecorder] Snapshot failed for ${symbol}:`, error.message);
+    } finally {
+      this.resyncing.delete(symbol);
+    }
+  }
+
+  /**
+   * Load a snapshot into the recorder's book, replay buffered changes and record it
+   * @param {string} symbol
+   * @param {Object} snapshot - { sequence, bids, asks, ts }
+   */
+  applySnapshot(symbol, snapshot) {
+    const book = this._getBook(symbol);
+    book.applySnapshot(snapshot);
+
+    const pending = this.pendingDeltas.get(symbol) || [];
+    this.pendingDeltas.delete(symbol);
+    for (const delta of pending) {
+      book.applyDelta(delta);
+    }
 
-    this.stream.write(JSON.stringify(event) + '\n');
+    this._recordSnapshot(symbol, toMillis(snapshot.ts));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      connected: this.connected,
+      symbols: Array.from(this.writers.keys()),
+      files: Array.from(this.writers.values()).reduce((sum, w) => sum + w.files.length, 0)
+    };
   }
 
   /**
-   * Stop recording
+   * Stop recording and flush every open file
    */
-  stop() {
-    if (this.stream) {
-      this.stream.end();
-      this.stream = null;
-      console.log('[LiveRecorder] Stopped recording');
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    for (const timer of this.timers) clearInterval(timer);
+    this.timers = [];
+
+    if (this.ws) {
+      this.ws.removeAllListeners('close');
+      this.ws.close();
+      this.ws = null;
     }
+    this.connected = false;
+
+    await Promise.all(Array.from(this.writers.values()).map(w => w.close()));
+    console.log('[LiveRecorder] Stopped recording');
   }
+
+  _handleLevel2(symbol, data) {
+    const change = OrderBook.parseChange(data.change);
+    const delta = { sequence: Number(data.sequence), ...change };
+
+    this.record(symbol, 'l2', delta, data.timestamp);
+
+    if (this.pendingDeltas.has(symbol)) {
+      this.pendingDeltas.get(symbol).push(delta);
+      return;
+    }
+
+    const book = this._getBook(symbol);
+    if (!book.synced) return;
+
+    if (!book.applyDelta(delta) && !book.synced) {
+      console.warn(`[LiveRecorder] ${symbol} sequence gap at ${delta.sequence}, resyncing`);
+      this.resync(symbol);
+    }
+  }
+
+  _recordSnapshot(symbol, ts) {
+    const event = this._snapshotEvent(symbol);
+    if (event) this.record(symbol, 'snapshot', event.data, ts || event.ts);
+  }
+
+  _snapshotEvent(symbol, rts = this.clock()) {
+    const book = this.books.get(symbol);
+    if (!book || !book.synced) return null;
+
+    const { bids, asks } = book.getDepth(this.snapshotDepth);
+    return { ts: book.ts || rts, rts, type: 'snapshot', symbol, data: { sequence: book.sequence, bids, asks } };
+  }
+
+  _snapshotAll() {
+    for (const symbol of this.books.keys()) {
+      this._recordSnapshot(symbol);
+    }
+  }
+
+  _flushAll() {
+    for (const writer of this.writers.values()) writer.flush();
+  }
+
+  _getBook(symbol) {
+    if (!this.books.has(symbol)) {
+      this.books.set(symbol, new OrderBook({ symbol }));
+    }
+    return this.books.get(symbol);
+  }
+
+  _getWriter(symbol) {
+    if (!this.writers.has(symbol)) {
+      const writer = new RotatingWriter({
+        dir: path.join(this.outputDir, symbol),
+        symbol,
+        rotateMs: this.rotateMs,
+        maxFileBytes: this.maxFileBytes,
+        onRotate: (now) => {
+          this._pruneOldFiles(symbol);
+          return this._snapshotEvent(symbol, now);
+        }
+      });
+      this.writers.set(symbol, writer);
+    }
+    return this.writers.get(symbol);
+  }
+
+  _pruneOldFiles(symbol) {
+    if (!this.retentionDays) return;
+
+    const dir = path.join(this.outputDir, symbol);
+    const cutoff = this.clock() - this.retentionDays * 24 * 60 * 60 * 1000;
+
+    for (const name of fs.readdirSync(dir)) {
+      const file = path.join(dir, name);
+      if (fs.statSync(file).mtimeMs < cutoff) {
+        fs.unlinkSync(file);
+        console.log(`[LiveRecorder] Removed expired recording ${name}`);
+      }
+    }
+  }
+
+  _compact(data) {
+    const out = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (value !== null && value !== undefined && !Number.isNaN(value)) out[key] = value;
+    }
+    return out;
+  }
+
+  async _pollFunding() {
+    for (const symbol of this.symbols) {
+      try {
+        const response = await axios.get(`${this.restBase}/api/v1/funding-rate/${symbol}/current`);
+        if (response.data.code !== '200000') continue;
+
+        const data = response.data.data;
+        this.record(symbol, 'funding', this._compact({
+          rate: parseFloat(data.value),
+          predictedRate: parseFloat(data.predictedValue),
+          lastFundingTime: toMillis(data.timePoint),
+          nextFundingTime: data.timePoint && data.granularity ? toMillis(data.timePoint) + data.granularity : null
+        }));
+      } catch (error) {
+        this.stats.errors++;
+        console.error(`[LiveRecorder] Funding poll failed for ${symbol}:`, error.message);
+      }
+    }
+  }
+
+  async _connect() {
+    const response = await axios.post(`${this.restBase}/api/v1/bullet-public`);
+    if (response.data.code !== '200000') {
+      throw new Error(`KuCoin API error: ${response.data.msg}`);
+    }
+
+    const { token, instanceServers } = response.data.data;
+    if (!instanceServers || instanceServers.length === 0) {
+      throw new Error('No WebSocket servers available');
+    }
+
+    const server = instanceServers[0];
+    this.wsEndpoint = `${server.endpoint}?token=${token}`;
+    this.pingInterval = server.pingInterval || 18000;
+
+    await new Promise((resolve, reject) => {
+      this.ws = new WebSocket(this.wsEndpoint);
+
+      const timeout = setTimeout(() => reject(new Error('WebSocket connection timeout')), 30000);
+
+      this.ws.on('open', () => {
+        clearTimeout(timeout);
+        this.connected = true;
+        console.log('[LiveRecorder] WebSocket connected');
+        this._subscribeAll();
+        resolve();
+      });
+
+      this.ws.on('message', (raw) => this.handleMessage(raw));
+
+      this.ws.on('error', (error) => {
+        console.error('[LiveRecorder] WS error:', error.message);
+      });
+
+      this.ws.on('close', () => this._onClose());
+    });
+
+    const ping = setInterval(() => {
+      if (this.ws && this.connected) {
+        this.ws.send(JSON.stringify({ id: Date.now().toString(), type: 'ping' }));
+      }
+    }, this.pingInterval);
+    this.timers.push(ping);
+  }
+
+  async _onClose() {
+    this.connected = false;
+    if (!this.running) return;
+
+    console.warn('[LiveRecorder] WS closed - reconnecting...');
+    await new Promise(r => setTimeout(r, 3000));
+    if (!this.running) return;
+
+    try {
+      await this._connect();
+      // Changes were missed while disconnected
+      for (const symbol of this.symbols) {
+        this._getBook(symbol).synced = false;
+        await this.resync(symbol);
+      }
+    } catch (error) {
+      this.stats.errors++;
+      console.error('[LiveRecorder] Reconnection failed:', error.message);
+    }
+  }
+
+  _subscribeAll() {
+    for (const symbol of this.symbols) {
+      const topics = [
+        `/contractMarket/level2:${symbol}`,
+        `/contractMarket/execution:${symbol}`,
+        `/contractMarket/tickerV2:${symbol}`,
+        `/contract/instrument:${symbol}`
+      ];
+
+      for (const topic of topics) {
+        this.ws.send(JSON.stringify({
+          id: Date.now().toString(),
+          type: 'subscribe',
+          topic,
+          response: true
+        }));
+      }
+    }
+
+    console.log(`[LiveRecorder] Subscribed to level2, execution, tickerV2, instrument for ${this.symbols.length} symbols`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  const symbols = getArg('symbols', getArg('pair', 'XBTUSDTM')).split(',').map(s => s.trim()).filter(Boolean);
+  const recorder = new LiveRecorder({
+    symbols,
+    outputDir: getArg('output', DEFAULT_OUTPUT_DIR),
+    rotateMs: parseInt(getArg('rotate-minutes', '60'), 10) * 60 * 1000,
+    retentionDays: parseInt(getArg('retention-days', '0'), 10)
+  });
+
+  const shutdown = async () => {
+    await recorder.stop();
+    console.log('[LiveRecorder] Stats:', JSON.stringify(recorder.getStats()));
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  await recorder.start();
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[LiveRecorder] Fatal:', error.message);
+    process.exit(1);
+  });
 }
 
 module.exports = LiveRecorder;
+module.exports.toMillis = toMillis;
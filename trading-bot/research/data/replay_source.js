@@ -0,0 +1,264 @@
+/**
+ * REPLAY SOURCE
+ * Feeds live_recorder.js recordings back through the microstructure analyzers
+ *
+ * Events are read in recorded order and drive:
+ * - OrderBook (snapshots + sequence-checked changes) -> DOMAnalyzer
+ * - Trades -> BuySellRatioAnalyzer
+ * - Ticker / mark / index / last -> PriceRatioAnalyzer
+ * - Funding -> FundingRateAnalyzer
+ *
+ * Analyzers run in live mode with their clock pinned to event time, so rolling
+ * windows and funding countdowns behave as they did when recorded.
+ *
+ * buildSeries() samples the analyzers at each candle close, producing arrays
+ * aligned with the candles for BacktestEngine:
+ *   indicators.dom                      -> merge into the indicator series
+ *   microstructure.{buySellRatio, ...}  -> runBacktest config.microstructure
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+
+const OrderBook = require('../../src/microstructure/OrderBook');
+const BuySellRatioAnalyzer = require('../../src/microstructure/BuySellRatioAnalyzer');
+const PriceRatioAnalyzer = require('../../src/microstructure/PriceRatioAnalyzer');
+const FundingRateAnalyzer = require('../../src/microstructure/FundingRateAnalyzer');
+const DOMAnalyzer = require('../../src/indicators/DOMAnalyzer');
+
+const DEFAULT_RECORDING_DIR = path.join(__dirname, 'recordings');
+
+class ReplaySource {
+  /**
+   * @param {Object} options
+   * @param {string} options.symbol - Contract to replay
+   * @param {string} options.dir - Recording root (default research/data/recordings)
+   * @param {string[]} options.files - Explicit files (overrides dir lookup)
+   * @param {number} options.start - Skip events before this time (ms)
+   * @param {number} options.end - Stop at this time (ms)
+   * @param {number} options.depthLevels - Book levels passed to DOMAnalyzer
+   * @param {number} options.domSampleMs - DOM update cadence in event time
+   * @param {Object} options.analyzers - Per-analyzer config { buySellRatio, priceRatio, fundingRate, dom }
+   */
+  constructor(options = {}) {
+    this.symbol = options.symbol;
+    this.dir = options.dir || DEFAULT_RECORDING_DIR;
+    this.files = options.files || null;
+    this.start = options.start || 0;
+    this.end = options.end || Infinity;
+    this.depthLevels = options.depthLevels || 25;
+    this.domSampleMs = options.domSampleMs || 1000;
+    this.analyzerConfig = options.analyzers || {};
+
+    this.reset();
+  }
+
+  reset() {
+    this.now = 0;
+    const clock = () => this.now;
+    const cfg = this.analyzerConfig;
+
+    this.book = new OrderBook({ symbol: this.symbol });
+    this.analyzers = {
+      buySellRatio: new BuySellRatioAnalyzer({ ...cfg.buySellRatio, clock }),
+      priceRatio: new PriceRatioAnalyzer({ ...cfg.priceRatio, clock }),
+      fundingRate: new FundingRateAnalyzer({ ...cfg.fundingRate, clock }),
+      dom: new DOMAnalyzer(cfg.dom || {})
+    };
+    for (const analyzer of Object.values(this.analyzers)) {
+      analyzer.enableLiveMode();
+    }
+
+    // Analyzers report null until they have seen their first event
+    this.seen = { buySellRatio: false, priceRatio: false, fundingRate: false, dom: false };
+    this.nextDomSample = 0;
+    this.stats = { events: 0, gaps: 0, badLines: 0 };
+  }
+
+  /**
+   * Recording files for the symbol in chronological order
+   */
+  listFiles() {
+    if (this.files) return this.files.slice();
+
+    const dir = path.join(this.dir, this.symbol);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.jsonl.gz') || name.endsWith('.jsonl'))
+      .sort()
+      .map(name => path.join(dir, name));
+  }
+
+  /**
+   * Async iterator over recorded events within [start, end)
+   */
+  async *events() {
+    for (const file of this.listFiles()) {
+      const input = fs.createReadStream(file);
+      // Sync-flush finishing reads a file cut short by a crash up to its last complete block
+      const stream = file.endsWith('.gz')
+        ? input.pipe(zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }))
+        : input;
+
+      const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+      for await (const line of lines) {
+        if (!line) continue;
+
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          // Partial last line of a truncated file
+          this.stats.badLines++;
+          continue;
+        }
+
+        if (this.symbol && event.symbol && event.symbol !== this.symbol) continue;
+        if (event.ts >= this.end) {
+          lines.close();
+          input.destroy();
+          return;
+        }
+        if (event.ts < this.start && event.type !== 'snapshot' && event.type !== 'l2') continue;
+
+        yield event;
+      }
+    }
+  }
+
+  /**
+   * Apply one event to the book and analyzers
+   */
+  apply(event) {
+    this.now = Math.max(this.now, event.ts);
+    this.stats.events++;
+    const data = event.data || {};
+
+    switch (event.type) {
+      case 'snapshot':
+        this.book.applySnapshot({ ...data, ts: event.ts });
+        break;
+      case 'l2':
+        if (this.book.synced && !this.book.applyDelta({ ...data, ts: event.ts }) && !this.book.synced) {
+          this.stats.gaps++;
+        }
+        break;
+      case 'trade':
+        this.analyzers.buySellRatio.processTrade({ ts: event.ts, side: data.side, size: data.size, price: data.price });
+        this.analyzers.priceRatio.update({ last: data.price });
+        this.seen.buySellRatio = true;
+        break;
+      case 'ticker':
+      case 'mark':
+        this.analyzers.priceRatio.update({
+          bid: data.bid, ask: data.ask, index: data.index, mark: data.mark, last: data.last
+        });
+        this.seen.priceRatio = true;
+        break;
+      case 'funding':
+        this.analyzers.fundingRate.update({
+          currentRate: data.rate,
+          predictedRate: data.predictedRate,
+          nextFundingTime: data.nextFundingTime,
+          lastFundingTime: data.lastFundingTime
+        });
+        this.seen.fundingRate = true;
+        break;
+    }
+
+    if (this.book.synced && this.now >= this.nextDomSample) {
+      this._sampleDom();
+    }
+  }
+
+  /**
+   * Current analyzer results in SignalGeneratorV2 input shape
+   * @returns {Object} { dom, microstructure: { buySellRatio, priceRatio, fundingRate } }
+   */
+  getState() {
+    const result = (name) => (this.seen[name] ? this.analyzers[name].getResult() : null);
+
+    return {
+      dom: result('dom'),
+      microstructure: {
+        buySellRatio: result('buySellRatio'),
+        priceRatio: result('priceRatio'),
+        fundingRate: result('fundingRate')
+      }
+    };
+  }
+
+  /**
+   * Replay every event
+   * @param {Function} onEvent - Optional (event, source) callback after each event
+   * @returns {Object} Final state from getState()
+   */
+  async replay(onEvent) {
+    this.reset();
+
+    for await (const event of this.events()) {
+      this.apply(event);
+      if (onEvent) onEvent(event, this);
+    }
+
+    return this.getState();
+  }
+
+  /**
+   * Sample analyzers at each candle close
+   *
+   * @param {Array} candles - OHLCV candles with ts (open time, ms)
+   * @param {Object} options - { intervalMs } candle length (inferred from spacing when omitted)
+   * @returns {Object} { indicators: { dom: [] }, microstructure: { buySellRatio: [], priceRatio: [], fundingRate: [] }, stats }
+   */
+  async buildSeries(candles, options = {}) {
+    this.reset();
+
+    const tsOf = (c) => (c.ts !== undefined ? c.ts : c.timestamp);
+    const intervalMs = options.intervalMs ||
+      (candles.length > 1 ? tsOf(candles[1]) - tsOf(candles[0]) : 60 * 1000);
+
+    const series = {
+      indicators: { dom: [] },
+      microstructure: { buySellRatio: [], priceRatio: [], fundingRate: [] }
+    };
+
+    const iterator = this.events()[Symbol.asyncIterator]();
+    let pending = await iterator.next();
+
+    for (const candle of candles) {
+      const close = tsOf(candle) + intervalMs;
+
+      while (!pending.done && pending.value.ts < close) {
+        this.apply(pending.value);
+        pending = await iterator.next();
+      }
+
+      // Candles before the recording started get no microstructure
+      if (this.now > 0) this.now = Math.max(this.now, close - 1);
+
+      const state = this.getState();
+      series.indicators.dom.push(state.dom);
+      for (const name of Object.keys(series.microstructure)) {
+        series.microstructure[name].push(state.microstructure[name]);
+      }
+    }
+
+    if (!pending.done && iterator.return) await iterator.return();
+
+    series.stats = { ...this.stats };
+    return series;
+  }
+
+  _sampleDom() {
+    this.analyzers.dom.update(this.book.getDepth(this.depthLevels));
+    this.seen.dom = true;
+    this.nextDomSample = this.now + this.domSampleMs;
+  }
+}
+
+module.exports = ReplaySource;
@@ -1,76 +1,458 @@
 /**
  * ABLATION TESTING
- * Test impact of removing individual indicators
- * Placeholder implementation
+ * Measure what each part of the signal pipeline contributes
+ *
+ * Variants are derived from the signal-weights.js shape:
+ * - indicator:      indicators.<name>.enabled = false
+ * - subsignal:      indicators.<name>.signals.<key>.enabled = false
+ * - microstructure: microstructure.<name>.enabled = false
+ * - bonus:          combinationBonuses.<key> = 0 (only bonuses SignalGeneratorV2 applies)
+ *
+ * Each variant is scored through SignalGeneratorV2 + BacktestEngine on every
+ * dataset (symbol x timeframe). Impact = baseline metric - variant metric, so a
+ * positive impact means the component earns its weight. Confidence intervals
+ * come from bootstrapping the pooled trades of baseline and variant.
+ *
+ * Live-only inputs (DOM, microstructure) have no data in backtests and are
+ * reported as skipped unless includeLiveOnly is set.
+ *
+ * Usage:
+ *   node research/optimize/ablation.js --symbols SOLUSDTM,ETHUSDTM --timeframes 15min,1hour --days 30 --offline
  */
 
+const BacktestEngine = require('../../src/backtest/BacktestEngine');
+const SignalGeneratorV2 = require('../../src/lib/SignalGeneratorV2');
+const { calculateIndicatorSeries } = require('../../src/backtest/IndicatorPipeline');
+const { createRng } = require('./rng');
+
+const METRICS = {
+  totalPnL: trades => trades.reduce((sum, t) => sum + t.pnl, 0),
+  expectancy: trades => trades.length > 0 ? trades.reduce((sum, t) => sum + t.pnl, 0) / trades.length : 0,
+  winRate: trades => trades.length > 0 ? trades.filter(t => t.pnl > 0).length / trades.length * 100 : 0,
+  profitFactor: (trades) => {
+    const grossProfit = trades.filter(t => t.pnl > 0).reduce((s, t) => s + t.pnl, 0);
+    const grossLoss = Math.abs(trades.filter(t => t.pnl < 0).reduce((s, t) => s + t.pnl, 0));
+    // Capped so bootstrap samples without losers don't produce Infinity
+    return grossLoss > 0 ? Math.min(grossProfit / grossLoss, 10) : (grossProfit > 0 ? 10 : 0);
+  }
+};
+
+// Same tuned settings as scripts/backtest-runner.js
+const DEFAULT_ENGINE_CONFIG = {
+  initialBalance: 10000,
+  leverage: 15,
+  riskPerTrade: 1,
+  commission: 0.0006,
+  trailingStopEnabled: true,
+  trailingStopActivation: 25,
+  trailingStopTrail: 10,
+  breakEvenEnabled: false
+};
+
+const DEFAULT_BACKTEST_CONFIG = {
+  warmupPeriod: 250,
+  stopLossROI: 10,
+  takeProfitROI: 100,
+  minSignalScore: 85
+};
+
+// stochRSI and adx are opt-in in the pipeline; ablation needs every weighted indicator
+const DEFAULT_INDICATOR_PARAMS = { stochRSI: {}, adx: {} };
+
 class AblationTester {
-  constructor() {
-    this.indicators = ['rsi', 'macd', 'williamsR', 'ao', 'kdj', 'obv'];
+  constructor(config = {}) {
+    this.baseWeights = clone(config.weights || require('../../signal-weights'));
+    this.engineConfig = { ...DEFAULT_ENGINE_CONFIG, ...(config.engineConfig || {}) };
+    this.backtestConfig = { ...DEFAULT_BACKTEST_CONFIG, ...(config.backtestConfig || {}) };
+    this.indicatorParams = config.indicatorParams || DEFAULT_INDICATOR_PARAMS;
+
+    this.metric = config.metric || 'totalPnL';
+    this.bootstrapSamples = config.bootstrapSamples || 1000;
+    this.confidence = config.confidence || 0.95;
+    this.seed = config.seed ?? 42;
+    this.groups = config.groups || ['indicator', 'subsignal', 'microstructure', 'bonus'];
+    this.includeLiveOnly = config.includeLiveOnly || false;
+    this.workers = config.workers || 0;
+
+    if (!METRICS[this.metric]) {
+      throw new Error(`Unknown ablation metric: ${this.metric}`);
+    }
+
+    this.seriesCache = new Map();
     this.results = new Map();
   }
 
+  /**
+   * Enumerate ablation variants from the signal-weights shape
+   * @returns {Array} [{ id, group, path, liveOnly }]
+   */
+  buildVariants(weights = this.baseWeights) {
+    const variants = [];
+
+    for (const [name, entry] of Object.entries(weights.indicators || {})) {
+      if (!entry.enabled) continue;
+      const liveOnly = Boolean(entry.liveOnly);
+
+      variants.push({ id: name, group: 'indicator', path: ['indicators', name, 'enabled'], liveOnly });
+
+      for (const [key, signalConfig] of Object.entries(entry.signals || {})) {
+        if (signalConfig.enabled === false) continue;
+        variants.push({
+          id: `${name}.signals.${key}`,
+          group: 'subsignal',
+          path: ['indicators', name, 'signals', key, 'enabled'],
+          liveOnly
+        });
+      }
+    }
+
+    for (const [name, entry] of Object.entries(weights.microstructure || {})) {
+      if (!entry.enabled) continue;
+      variants.push({
+        id: name,
+        group: 'microstructure',
+        path: ['microstructure', name, 'enabled'],
+        liveOnly: entry.liveOnly !== false
+      });
+    }
+
+    for (const [key, value] of Object.entries(weights.combinationBonuses || {})) {
+      if (!value || !SignalGeneratorV2.APPLIED_COMBINATION_BONUSES.includes(key)) continue;
+      variants.push({ id: `combinationBonuses.${key}`, group: 'bonus', path: ['combinationBonuses', key], liveOnly: false });
+    }
+
+    return variants.filter(v => this.groups.includes(v.group));
+  }
+
+  /**
+   * Apply a variant to a copy of the weights
+   */
+  applyVariant(variant, weights = this.baseWeights) {
+    const modified = clone(weights);
+    let node = modified;
+    for (const key of variant.path.slice(0, -1)) {
+      node = node[key];
+    }
+    // Bonuses are numbers, everything else is an enabled flag
+    node[variant.path[variant.path.length - 1]] = variant.group === 'bonus' ? 0 : false;
+    return modified;
+  }
+
   /**
    * Run ablation tests
-   * @param {Function} evaluator - Evaluation function
-   * @param {Object} baseConfig - Base configuration
-   * @returns {Promise<Map>} Results map
+   * @param {Array} datasets - [{ symbol, timeframe, candles }]
+   * @returns {Promise<Map>} Results map (baseline + one entry per variant)
    */
-  async runTests(evaluator, baseConfig) {
+  async runTests(datasets) {
     console.log('[Ablation] Starting ablation tests...');
 
-    // Test baseline (all indicators)
-    const baselineScore = await evaluator(baseConfig);
-    this.results.set('baseline', { score: baselineScore, removed: [] });
+    const variants = this.buildVariants();
+    const runnable = variants.filter(v => this.includeLiveOnly || !v.liveOnly);
+    console.log(`[Ablation] ${runnable.length} variants x ${datasets.length} datasets (${variants.length - runnable.length} live-only skipped)`);
+
+    const weightSets = [this.baseWeights, ...runnable.map(v => this.applyVariant(v))];
+    const evaluations = await this._evaluateAll(datasets, weightSets);
+
+    const metricFn = METRICS[this.metric];
+    const baselineTrades = evaluations[0].trades;
+    const baselineScore = metricFn(baselineTrades);
+    this.results.clear();
+    this.results.set('baseline', {
+      id: 'baseline',
+      group: 'baseline',
+      score: baselineScore,
+      trades: baselineTrades.length,
+      perDataset: evaluations[0].perDataset
+    });
 
-    console.log(`[Ablation] Baseline score: ${baselineScore.toFixed(4)}`);
+    console.log(`[Ablation] Baseline ${this.metric}: ${baselineScore.toFixed(4)} (${baselineTrades.length} trades)`);
 
-    // Test removing each indicator
-    for (const indicator of this.indicators) {
-      const modifiedConfig = JSON.parse(JSON.stringify(baseConfig));
-      
-      // Set indicator weight to 0
-      if (modifiedConfig[indicator]) {
-        modifiedConfig[indicator].weight = 0;
+    const rng = createRng(this.seed);
+
+    for (const variant of variants) {
+      const index = runnable.indexOf(variant);
+      if (index === -1) {
+        this.results.set(variant.id, { id: variant.id, group: variant.group, skipped: 'live-only input' });
+        continue;
       }
 
-      const score = await evaluator(modifiedConfig);
+      const { trades, perDataset } = evaluations[index + 1];
+      const score = metricFn(trades);
       const impact = baselineScore - score;
 
-      this.results.set(indicator, { 
-        score, 
+      // Component never changed a decision: independent resampling would only add noise
+      const unchanged = sameTrades(baselineTrades, trades);
+      const ci = unchanged ? [0, 0] : this._bootstrapImpact(baselineTrades, trades, metricFn, rng);
+
+      this.results.set(variant.id, {
+        id: variant.id,
+        group: variant.group,
+        score,
         impact,
-        removed: [indicator] 
+        ci,
+        significant: ci[0] > 0 || ci[1] < 0,
+        unchanged,
+        trades: trades.length,
+        perDataset
       });
 
-      console.log(`[Ablation] Without ${indicator}: ${score.toFixed(4)} (impact: ${impact >= 0 ? '+' : ''}${impact.toFixed(4)})`);
+      console.log(`[Ablation] Without ${variant.id}: ${score.toFixed(4)} (impact: ${impact >= 0 ? '+' : ''}${impact.toFixed(4)})`);
     }
 
     return this.results;
   }
 
   /**
-   * Get indicator importance ranking
-   * @returns {Array} Sorted array of indicators by importance
+   * Get component importance ranking
+   * @param {string} group - Optional group filter ('indicator', 'subsignal', ...)
+   * @returns {Array} Sorted by impact, most valuable component first
    */
-  getImportanceRanking() {
+  getImportanceRanking(group = null) {
     const ranking = [];
 
-    for (const [indicator, result] of this.results.entries()) {
-      if (indicator === 'baseline') continue;
-      
+    for (const [id, result] of this.results.entries()) {
+      if (id === 'baseline' || result.skipped) continue;
+      if (group && result.group !== group) continue;
+
       ranking.push({
-        indicator,
+        component: id,
+        group: result.group,
         impact: result.impact,
-        importance: result.impact > 0 ? 'positive' : 'negative'
+        ci: result.ci,
+        trades: result.trades,
+        importance: result.unchanged ? 'no effect'
+          : !result.significant ? 'inconclusive'
+            : (result.impact > 0 ? 'positive' : 'negative')
       });
     }
 
-    // Sort by absolute impact
-    ranking.sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact));
+    ranking.sort((a, b) => b.impact - a.impact);
 
     return ranking;
   }
+
+  /**
+   * Format the ranking as a console table
+   */
+  formatTable(group = null) {
+    const level = Math.round(this.confidence * 100);
+    const lines = [
+      `${'Component'.padEnd(44)} ${'Group'.padEnd(14)} ${'Impact'.padStart(12)} ${(level + '% CI').padStart(26)} ${'Trades'.padStart(7)}  Verdict`
+    ];
+
+    for (const row of this.getImportanceRanking(group)) {
+      const ci = `[${row.ci[0].toFixed(2)}, ${row.ci[1].toFixed(2)}]`;
+      lines.push(`${row.component.padEnd(44)} ${row.group.padEnd(14)} ${row.impact.toFixed(2).padStart(12)} ${ci.padStart(26)} ${String(row.trades).padStart(7)}  ${row.importance}`);
+    }
+
+    const skipped = [...this.results.values()].filter(r => r.skipped);
+    if (skipped.length > 0) {
+      lines.push(`Skipped (live-only): ${skipped.map(r => r.id).join(', ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  // ===========================================================================
+  // EVALUATION
+  // ===========================================================================
+
+  async _evaluateAll(datasets, weightSets) {
+    const tasks = [];
+    weightSets.forEach((weights, w) => {
+      datasets.forEach((dataset, d) => tasks.push({ w, d, weights }));
+    });
+
+    const outputs = this.workers > 1
+      ? await this._runInPool(datasets, tasks)
+      : await this._runInProcess(datasets, tasks);
+
+    const evaluations = weightSets.map(() => ({ trades: [], perDataset: [] }));
+    tasks.forEach((task, i) => {
+      const dataset = datasets[task.d];
+      const trades = outputs[i].trades.map(t => ({ ...t, symbol: dataset.symbol, timeframe: dataset.timeframe }));
+      evaluations[task.w].trades.push(...trades);
+      evaluations[task.w].perDataset.push({
+        symbol: dataset.symbol,
+        timeframe: dataset.timeframe,
+        trades: trades.length,
+        netPnL: METRICS.totalPnL(trades)
+      });
+    });
+
+    return evaluations;
+  }
+
+  async _runInProcess(datasets, tasks) {
+    const outputs = [];
+    for (const task of tasks) {
+      const dataset = datasets[task.d];
+      const indicators = this._getIndicatorSeries(task.d, dataset.candles);
+      const engine = new BacktestEngine({ ...this.engineConfig, signalWeights: task.weights });
+      outputs.push(await engine.runBacktest(dataset.candles, indicators, this.backtestConfig));
+    }
+    return outputs;
+  }
+
+  async _runInPool(datasets, tasks) {
+    const WorkerPool = require('./worker-pool');
+    const inline = {};
+    datasets.forEach((dataset, d) => { inline[`d${d}`] = dataset.candles; });
+
+    const pool = new WorkerPool({ maxWorkers: this.workers, workerData: { datasets: inline } });
+    await pool.initialize();
+
+    try {
+      const outcomes = await pool.map(tasks.map(task => ({
+        dataset: `d${task.d}`,
+        indicatorParams: this.indicatorParams,
+        engineConfig: { ...this.engineConfig, signalWeights: task.weights },
+        backtestConfig: this.backtestConfig,
+        includeTrades: true
+      })));
+
+      return outcomes.map((outcome) => {
+        if (!outcome.ok) {
+          throw new Error(`Ablation backtest failed: ${outcome.error.message}`);
+        }
+        return outcome.value;
+      });
+    } finally {
+      await pool.shutdown();
+    }
+  }
+
+  _getIndicatorSeries(key, candles) {
+    if (!this.seriesCache.has(key)) {
+      this.seriesCache.set(key, calculateIndicatorSeries(candles, this.indicatorParams));
+    }
+    return this.seriesCache.get(key);
+  }
+
+  /**
+   * Percentile bootstrap of (baseline - variant) over resampled trades
+   * @returns {Array} [lower, upper]
+   */
+  _bootstrapImpact(baselineTrades, variantTrades, metricFn, rng) {
+    const diffs = [];
+
+    for (let b = 0; b < this.bootstrapSamples; b++) {
+      diffs.push(metricFn(resample(baselineTrades, rng)) - metricFn(resample(variantTrades, rng)));
+    }
+
+    diffs.sort((a, b) => a - b);
+    const alpha = (1 - this.confidence) / 2;
+    const lower = diffs[Math.floor(alpha * (diffs.length - 1))];
+    const upper = diffs[Math.ceil((1 - alpha) * (diffs.length - 1))];
+
+    return [lower, upper];
+  }
+}
+
+function resample(items, rng) {
+  const sample = new Array(items.length);
+  for (let i = 0; i < items.length; i++) {
+    sample[i] = items[Math.floor(rng() * items.length)];
+  }
+  return sample;
+}
+
+function sameTrades(a, b) {
+  if (a.length !== b.length) return false;
+  return a.every((t, i) => t.symbol === b[i].symbol && t.timeframe === b[i].timeframe &&
+    t.entryTime === b[i].entryTime && t.pnl === b[i].pnl);
+}
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+async function main() {
+  const fs = require('fs');
+  const CandleRepository = require('../../src/data/CandleRepository');
+
+  const options = {
+    symbols: ['SOLUSDTM', 'ETHUSDTM'],
+    timeframes: ['15min', '1hour'],
+    days: 30,
+    metric: 'totalPnL',
+    groups: undefined,
+    bootstrapSamples: 1000,
+    seed: 42,
+    workers: 0,
+    output: null,
+    offline: process.argv.includes('--offline'),
+    includeLiveOnly: process.argv.includes('--include-live-only')
+  };
+
+  const args = process.argv.slice(2).filter(a => a !== '--offline' && a !== '--include-live-only');
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, '');
+    const value = args[i + 1];
+    switch (key) {
+      case 'symbols': options.symbols = value.split(','); break;
+      case 'timeframes': options.timeframes = value.split(','); break;
+      case 'days': options.days = parseInt(value); break;
+      case 'metric': options.metric = value; break;
+      case 'groups': options.groups = value.split(','); break;
+      case 'bootstrap': options.bootstrapSamples = parseInt(value); break;
+      case 'seed': options.seed = parseInt(value); break;
+      case 'workers': options.workers = parseInt(value); break;
+      case 'output': options.output = value; break;
+    }
+  }
+
+  const repository = new CandleRepository({ offline: options.offline });
+  const datasets = [];
+
+  for (const symbol of options.symbols) {
+    for (const timeframe of options.timeframes) {
+      const limit = Math.ceil(options.days * 24 * 60 * 60 * 1000 / CandleRepository.timeframeToMs(timeframe)) +
+        DEFAULT_BACKTEST_CONFIG.warmupPeriod;
+      try {
+        const candles = await repository.getCandles(symbol, timeframe, { limit });
+        datasets.push({ symbol, timeframe, candles });
+        console.log(`[Ablation] Loaded ${candles.length} candles for ${symbol} ${timeframe}`);
+      } catch (error) {
+        console.warn(`[Ablation] Skipping ${symbol} ${timeframe}: ${error.message}`);
+      }
+    }
+  }
+
+  if (datasets.length === 0) {
+    throw new Error('No datasets available');
+  }
+
+  const tester = new AblationTester(options);
+  await tester.runTests(datasets);
+
+  console.log('\n' + '='.repeat(120));
+  console.log(`ABLATION IMPORTANCE (${options.metric}, baseline ${tester.results.get('baseline').score.toFixed(2)})`);
+  console.log('='.repeat(120));
+  console.log(tester.formatTable());
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify({
+      createdAt: new Date().toISOString(),
+      options,
+      baseline: tester.results.get('baseline'),
+      ranking: tester.getImportanceRanking(),
+      skipped: [...tester.results.values()].filter(r => r.skipped).map(r => r.id)
+    }, null, 2));
+    console.log(`\n[Ablation] Report saved to ${options.output}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('[Ablation] Fatal error:', error.message);
+    process.exit(1);
+  });
 }
 
 module.exports = AblationTester;
+module.exports.METRICS = METRICS;
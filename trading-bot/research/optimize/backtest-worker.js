@@ -0,0 +1,108 @@
+/**
+ * BACKTEST WORKER
+ * worker_threads entry point used by WorkerPool
+ *
+ * Candles are loaded once per worker from workerData:
+ *   { datasets: { [key]: candles[] } }                         - inline candles
+ *   { datasets: { [key]: { symbol, timeframe, limit } },
+ *     repository: { dataDirs, offline } }                      - loaded via CandleRepository
+ *
+ * Task:
+ *   { dataset, indicatorParams, engineConfig, backtestConfig, includeTrades }
+ *
+ * Indicator series are cached per (dataset, indicatorParams) so grid points that
+ * only vary engine settings skip indicator recalculation.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+const BacktestEngine = require('../../src/backtest/BacktestEngine');
+const { calculateIndicatorSeries } = require('../../src/backtest/IndicatorPipeline');
+const CandleRepository = require('../../src/data/CandleRepository');
+
+const MAX_CACHED_SERIES = 32;
+
+const datasets = new Map();
+const seriesCache = new Map();
+
+async function loadDatasets(data = {}) {
+  const specs = data.datasets || {};
+  let repository = null;
+
+  for (const [key, spec] of Object.entries(specs)) {
+    if (Array.isArray(spec)) {
+      datasets.set(key, spec);
+      continue;
+    }
+
+    if (!repository) {
+      repository = new CandleRepository({ offline: true, ...(data.repository || {}) });
+    }
+
+    const candles = await repository.getCandles(spec.symbol, spec.timeframe, {
+      start: spec.start,
+      end: spec.end,
+      limit: spec.limit,
+      source: spec.source
+    });
+    datasets.set(key, candles);
+  }
+}
+
+function getIndicatorSeries(key, candles, params) {
+  const cacheKey = `${key}:${JSON.stringify(params || {})}`;
+  if (seriesCache.has(cacheKey)) return seriesCache.get(cacheKey);
+
+  const series = calculateIndicatorSeries(candles, params);
+
+  if (seriesCache.size >= MAX_CACHED_SERIES) {
+    seriesCache.delete(seriesCache.keys().next().value);
+  }
+  seriesCache.set(cacheKey, series);
+
+  return series;
+}
+
+async function evaluate(task) {
+  const key = task.dataset || Object.keys(workerData?.datasets || {})[0];
+  const candles = datasets.get(key);
+  if (!candles) {
+    throw new Error(`Unknown dataset: ${key}`);
+  }
+
+  const indicators = getIndicatorSeries(key, candles, task.indicatorParams);
+  const engine = new BacktestEngine(task.engineConfig || {});
+  const results = await engine.runBacktest(candles, indicators, task.backtestConfig || {});
+
+  if (!task.includeTrades) {
+    // Trades/equity dominate message size; optimizers only need the metrics
+    const { trades, equity, ...metrics } = results;
+    return metrics;
+  }
+
+  return results;
+}
+
+async function main() {
+  await loadDatasets(workerData);
+
+  parentPort.on('message', async (message) => {
+    if (message.type !== 'task') return;
+
+    try {
+      const result = await evaluate(message.task);
+      parentPort.postMessage({ taskId: message.taskId, ok: true, result });
+    } catch (error) {
+      parentPort.postMessage({
+        taskId: message.taskId,
+        ok: false,
+        error: { message: error.message, stack: error.stack }
+      });
+    }
+  });
+
+  parentPort.postMessage({ type: 'ready' });
+}
+
+// A failed preload rejects unhandled, which surfaces as a worker 'error' event in the pool
+main();
@@ -0,0 +1,240 @@
+/**
+ * EXCURSION ANALYSIS
+ * Stop, target and trailing settings from the per-trade MAE/MFE distribution
+ *
+ * Trades from any engine are accepted: BacktestEngine results and reports,
+ * TradingEngineV3 trades-<mode>.json, ExecutionAgent trades.json (EXIT rows)
+ * and DemoTradingEngine demo-trading.json. Each carries the fields written by
+ * src/utils/ExcursionTracker (mae, mfe, exitROI, timeToMFE, barsHeld - ROI%
+ * and ms). Trades are grouped overall, per symbol, per regime and per
+ * symbol × regime; groups with at least `minTrades` trades get a suggestion
+ * in riskConfig terms (ROI%):
+ *
+ * - stopLossROI: the MAE that `stopCoverage` of winners stayed within, plus
+ *   `stopBuffer`. A tighter stop would have cut those winners; losers that
+ *   went past it rarely came back.
+ * - takeProfitROI: the level t maximizing t × share of trades whose MFE
+ *   reached t - what a fixed target would have banked across the group.
+ * - trailingActivation: the MFE that `trailCoverage` of winners reached.
+ * - trailingDistance: median giveback (MFE - exit ROI) of trades that reached
+ *   the activation, i.e. what they actually handed back under their exits.
+ *
+ * Excursions are measured under the exits the trades were run with: winners'
+ * MAE can't exceed the stop they had, so the stop suggestion never widens far
+ * past it. Re-run after changing settings rather than jumping to the limit.
+ *
+ * Usage:
+ *   const analysis = analyzeExcursions(extractTrades(results), { minTrades: 20 });
+ *   console.log(analysis.groups.find(g => g.key === 'ETHUSDTM').suggestion);
+ */
+
+const DEFAULT_OPTIONS = {
+  minTrades: 20,
+  stopCoverage: 0.9,     // Share of winners whose MAE the stop must clear
+  stopBuffer: 1,         // ROI% added beyond that MAE
+  trailCoverage: 0.5,    // Share of winners that must reach the trailing activation
+  minTrailDistance: 0.5, // ROI%
+  step: 0.5              // Suggestions rounded to this ROI% step
+};
+
+// ============================================================================
+// TRADES
+// ============================================================================
+
+/**
+ * Trade list from any saved results / trades file
+ * @param {Object|Array} data - Parsed JSON: results/report with `trades`, or a bare array
+ */
+function extractTrades(data) {
+  const trades = Array.isArray(data) ? data : (data && data.trades) || [];
+  // ExecutionAgent trades.json interleaves ENTRY and EXIT rows
+  return trades.filter(t => t && t.type !== 'ENTRY');
+}
+
+/**
+ * Common shape across engines; null when the trade has no excursions
+ * @returns {Object|null} { symbol, regime, win, mae, mfe, exitROI, timeToMFE, barsHeld }
+ */
+function normalizeTrade(trade) {
+  if (!Number.isFinite(trade.mae) || !Number.isFinite(trade.mfe)) return null;
+
+  const pnl = trade.pnl ?? trade.realizedPnl ?? 0;
+  const exitROI = trade.exitROI ?? trade.roi ?? trade.realizedROI ?? trade.finalROI ?? trade.pnlPercent ?? null;
+  const regime = trade.regime ?? (trade.entrySignal && trade.entrySignal.regime) ?? null;
+
+  return {
+    symbol: trade.symbol || 'UNKNOWN',
+    regime: regime || 'unknown',
+    win: pnl > 0,
+    mae: trade.mae,
+    mfe: trade.mfe,
+    exitROI: Number.isFinite(exitROI) ? exitROI : null,
+    timeToMFE: Number.isFinite(trade.timeToMFE) ? trade.timeToMFE : null,
+    barsHeld: Number.isFinite(trade.barsHeld) ? trade.barsHeld : null
+  };
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Linear-interpolated percentile of an ascending array
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function ascending(values) {
+  return values.filter(Number.isFinite).sort((a, b) => a - b);
+}
+
+function distribution(values) {
+  const sorted = ascending(values);
+  if (sorted.length === 0) return null;
+  return {
+    mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+    p50: percentile(sorted, 0.5),
+    p75: percentile(sorted, 0.75),
+    p90: percentile(sorted, 0.9),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
+}
+
+/**
+ * Fixed target that would have banked the most: argmax t × P(MFE >= t)
+ * @returns {Object|null} { target, hitRate, capture } - capture in ROI% per trade
+ */
+function bestTarget(mfes) {
+  const sorted = ascending(mfes);
+  let best = null;
+
+  for (let i = 0; i < sorted.length; i++) {
+    const target = sorted[i];
+    if (target <= 0) continue;
+    const hitRate = (sorted.length - i) / sorted.length;
+    const capture = target * hitRate;
+    if (!best || capture > best.capture) best = { target, hitRate, capture };
+  }
+
+  return best;
+}
+
+// ============================================================================
+// SUGGESTIONS
+// ============================================================================
+
+/**
+ * Stop / target / trailing suggestion for one group of normalized trades
+ * @returns {Object|null} Null when the group has no winners to measure
+ */
+function suggestSettings(trades, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const winners = trades.filter(t => t.win);
+  const losers = trades.filter(t => !t.win);
+  if (winners.length === 0) return null;
+
+  const winnerMAE = ascending(winners.map(t => t.mae));
+  const stopLossROI = Math.max(opts.step, roundTo(percentile(winnerMAE, opts.stopCoverage) + opts.stopBuffer, opts.step));
+
+  const target = bestTarget(trades.map(t => t.mfe));
+  const takeProfitROI = target ? Math.max(opts.step, roundTo(target.target, opts.step)) : null;
+
+  const winnerMFE = ascending(winners.map(t => t.mfe));
+  const trailingActivation = Math.max(opts.step, roundTo(percentile(winnerMFE, 1 - opts.trailCoverage), opts.step));
+  const givebacks = ascending(trades
+    .filter(t => t.mfe >= trailingActivation && t.exitROI !== null)
+    .map(t => Math.max(0, t.mfe - t.exitROI)));
+  const giveback = givebacks.length > 0 ? percentile(givebacks, 0.5) : null;
+  const trailingDistance = giveback === null
+    ? null
+    : Math.min(trailingActivation, Math.max(opts.minTrailDistance, roundTo(giveback, opts.step)));
+
+  return {
+    stopLossROI,
+    takeProfitROI,
+    trailingActivation,
+    trailingDistance,
+    evidence: {
+      winnersWithinStop: winners.filter(t => t.mae <= stopLossROI).length / winners.length,
+      losersBeyondStop: losers.length > 0 ? losers.filter(t => t.mae > stopLossROI).length / losers.length : null,
+      targetHitRate: target ? target.hitRate : null,
+      targetCapture: target ? target.capture : null,
+      trailingReached: trades.filter(t => t.mfe >= trailingActivation).length / trades.length,
+      medianGiveback: giveback
+    }
+  };
+}
+
+function summarizeGroup(key, symbol, regime, trades, opts) {
+  const wins = trades.filter(t => t.win).length;
+  const enough = trades.length >= opts.minTrades;
+
+  return {
+    key,
+    symbol,
+    regime,
+    trades: trades.length,
+    winRate: trades.length > 0 ? (wins / trades.length) * 100 : 0,
+    mae: distribution(trades.map(t => t.mae)),
+    mfe: distribution(trades.map(t => t.mfe)),
+    winnerMAE: distribution(trades.filter(t => t.win).map(t => t.mae)),
+    loserMFE: distribution(trades.filter(t => !t.win).map(t => t.mfe)),
+    timeToMFE: distribution(trades.map(t => t.timeToMFE)),
+    barsHeld: distribution(trades.map(t => t.barsHeld)),
+    suggestion: enough ? suggestSettings(trades, opts) : null,
+    insufficient: !enough
+  };
+}
+
+/**
+ * Excursion statistics and suggestions overall, per symbol, per regime and per symbol × regime
+ * @param {Array} trades - Raw trades from any engine (see extractTrades)
+ * @param {Object} options - DEFAULT_OPTIONS overrides
+ * @returns {Object} { trades, skipped, options, groups: [{ key, symbol, regime, ..., suggestion }] }
+ */
+function analyzeExcursions(trades, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const normalized = trades.map(normalizeTrade).filter(Boolean);
+
+  const buckets = new Map();
+  const add = (key, symbol, regime, trade) => {
+    if (!buckets.has(key)) buckets.set(key, { symbol, regime, trades: [] });
+    buckets.get(key).trades.push(trade);
+  };
+
+  for (const trade of normalized) {
+    add('ALL', null, null, trade);
+    add(trade.symbol, trade.symbol, null, trade);
+    add(`regime:${trade.regime}`, null, trade.regime, trade);
+    add(`${trade.symbol}/${trade.regime}`, trade.symbol, trade.regime, trade);
+  }
+
+  const groups = Array.from(buckets.entries())
+    .map(([key, b]) => summarizeGroup(key, b.symbol, b.regime, b.trades, opts));
+
+  return {
+    trades: normalized.length,
+    skipped: trades.length - normalized.length,
+    options: opts,
+    groups
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  extractTrades,
+  normalizeTrade,
+  percentile,
+  bestTarget,
+  suggestSettings,
+  analyzeExcursions
+};
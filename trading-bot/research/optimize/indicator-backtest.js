@@ -0,0 +1,313 @@
+/**
+ * INDICATOR BACKTEST
+ * Single-indicator signal backtest used by scripts/indicator-optimizer.js
+ *
+ * - Each strategy pairs an indicator class with the rule that turns its signals into a direction
+ * - Trades exit at +2% / -1% ROI, after 20 bars, or on an opposite signal (0.06% fee per side)
+ * - Shared by the serial path and indicator-worker.js so both modes score identically
+ */
+
+const {
+  RSIIndicator,
+  MACDIndicator,
+  BollingerBands,
+  EMATrend,
+  WilliamsRIndicator,
+  AwesomeOscillator,
+  StochasticIndicator,
+  KDJIndicator,
+  OBVIndicator,
+  VolumeRatioIndicator,
+  PumpAlertIndicator
+} = require('../../src/indicators');
+
+const INDICATOR_STRATEGIES = {
+  rsi: {
+    Indicator: RSIIndicator,
+    getDirection: (result) => {
+      if (!result.signals || result.signals.length === 0) return null;
+
+      // Prioritize divergence and crossover signals
+      const divSignal = result.signals.find(s => s.type.includes('divergence'));
+      const crossSignal = result.signals.find(s => s.type.includes('crossover'));
+
+      const signal = divSignal || crossSignal;
+      if (!signal) return null;
+
+      return signal.direction === 'bullish' ? 'long' : 'short';
+    }
+  },
+
+  macd: {
+    Indicator: MACDIndicator,
+    getDirection: (result) => {
+      if (!result.signals || result.signals.length === 0) return null;
+
+      const divSignal = result.signals.find(s => s.type.includes('divergence'));
+      const crossSignal = result.signals.find(s => s.type.includes('signal_cross'));
+
+      const signal = divSignal || crossSignal;
+      if (!signal) return null;
+
+      return signal.direction === 'bullish' ? 'long' : 'short';
+    }
+  },
+
+  williams: {
+    Indicator: WilliamsRIndicator,
+    getDirection: (result) => {
+      if (!result.signals || result.signals.length === 0) return null;
+
+      const divSignal = result.signals.find(s => s.type.includes('divergence'));
+      const crossSignal = result.signals.find(s => s.type.includes('crossover'));
+
+      const signal = divSignal || crossSignal;
+      if (!signal) return null;
+
+      return signal.direction === 'bullish' ? 'long' : 'short';
+    }
+  },
+
+  stochastic: {
+    Indicator: StochasticIndicator,
+    getDirection: (result) => {
+      if (!result.signals || result.signals.length === 0) return null;
+
+      const divSignal = result.signals.find(s => s.type.includes('divergence'));
+      const crossSignal = result.signals.find(s => s.type.includes('crossover'));
+
+      const signal = divSignal || crossSignal;
+      if (!signal) return null;
+
+      return signal.direction === 'bullish' ? 'long' : 'short';
+    }
+  },
+
+  kdj: {
+    Indicator: KDJIndicator,
+    getDirection: (result) => {
+      if (!result.signals || result.signals.length === 0) return null;
+
+      const divSignal = result.signals.find(s => s.type.includes('divergence'));
+      const jSignal = result.signals.find(s => s.type.includes('j_line'));
+
+      const signal = divSignal || jSignal;
+      if (!signal) return null;
+
+      return signal.direction === 'bullish' ? 'long' : 'short';
+    }
+  },
+
+  bollinger: {
+    Indicator: BollingerBands,
+    getDirection: (result) => {
+      if (!result.signals || result.signals.length === 0) return null;
+
+      const breakout = result.signals.find(s => s.type.includes('breakout'));
+      const squeeze = result.signals.find(s => s.type.includes('squeeze'));
+
+      const signal = breakout || squeeze;
+      if (!signal) return null;
+
+      return signal.direction === 'bullish' ? 'long' : 'short';
+    }
+  },
+
+  ema: {
+    Indicator: EMATrend,
+    getDirection: (result) => {
+      if (!result.signals || result.signals.length === 0) return null;
+
+      const cross = result.signals.find(s => s.type.includes('cross'));
+
+      if (!cross) return null;
+
+      return cross.direction === 'bullish' ? 'long' : 'short';
+    }
+  },
+
+  ao: {
+    Indicator: AwesomeOscillator,
+    getDirection: (result) => {
+      if (!result.signals || result.signals.length === 0) return null;
+
+      const divSignal = result.signals.find(s => s.type.includes('divergence'));
+      const crossSignal = result.signals.find(s => s.type.includes('zero_cross'));
+
+      const signal = divSignal || crossSignal;
+      if (!signal) return null;
+
+      return signal.direction === 'bullish' ? 'long' : 'short';
+    }
+  },
+
+  obv: {
+    Indicator: OBVIndicator,
+    getDirection: (result) => {
+      if (!result.signals || result.signals.length === 0) return null;
+
+      const divSignal = result.signals.find(s => s.type.includes('divergence'));
+      const breakoutSignal = result.signals.find(s => s.type.includes('breakout'));
+
+      const signal = divSignal || breakoutSignal;
+      if (!signal) return null;
+
+      return signal.direction === 'bullish' ? 'long' : 'short';
+    }
+  },
+
+  volumeratio: {
+    Indicator: VolumeRatioIndicator,
+    getDirection: (result) => {
+      if (!result.signals || result.signals.length === 0) return null;
+
+      const pressureSignal = result.signals.find(s => s.type.includes('pressure'));
+      const divSignal = result.signals.find(s => s.type.includes('divergence'));
+
+      const signal = divSignal || pressureSignal;
+      if (!signal) return null;
+
+      return signal.direction === 'bullish' ? 'long' : 'short';
+    }
+  },
+
+  pumpalert: {
+    Indicator: PumpAlertIndicator,
+    getDirection: (result) => {
+      if (!result.signals || result.signals.length === 0) return null;
+
+      // Look for pump/dump signals - these are contrarian signals
+      const pumpSignal = result.signals.find(s =>
+        s.type.includes('pump') || s.type.includes('dump') ||
+        s.type.includes('volume_spike') || s.type.includes('momentum')
+      );
+
+      if (!pumpSignal) return null;
+
+      // For pump/dump alerts, we trade contrarian
+      // If pump detected, consider shorting (reversal expected)
+      // If dump detected, consider longing (reversal expected)
+      if (pumpSignal.type.includes('pump')) {
+        return 'short'; // Expect reversal after pump
+      } else if (pumpSignal.type.includes('dump')) {
+        return 'long'; // Expect reversal after dump
+      }
+
+      // For momentum signals, trade with the trend
+      return pumpSignal.direction === 'bullish' ? 'long' : 'short';
+    }
+  }
+};
+
+function backtestIndicator(candles, indicator, getSignalDirection) {
+  if (candles.length < 100) return null;
+
+  const trades = [];
+  let position = null;
+  const entryFee = 0.0006;
+  const exitFee = 0.0006;
+
+  // Skip first 50 candles for warmup
+  for (let i = 50; i < candles.length; i++) {
+    const candle = candles[i];
+    const result = indicator.update({
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume
+    });
+
+    const direction = getSignalDirection(result);
+
+    // Check exit first
+    if (position) {
+      const holdingBars = i - position.entryIndex;
+      const roi = position.side === 'long'
+        ? ((candle.close - position.entryPrice) / position.entryPrice) * 100
+        : ((position.entryPrice - candle.close) / position.entryPrice) * 100;
+
+      // Exit conditions: TP at 2%, SL at -1%, max hold 20 bars, or opposite signal
+      const oppositeSignal = (position.side === 'long' && direction === 'short') ||
+                            (position.side === 'short' && direction === 'long');
+
+      if (roi >= 2 || roi <= -1 || holdingBars >= 20 || oppositeSignal) {
+        const netRoi = roi - (entryFee + exitFee) * 100;
+        trades.push({
+          side: position.side,
+          entryPrice: position.entryPrice,
+          exitPrice: candle.close,
+          roi: netRoi,
+          holdingBars,
+          exitReason: roi >= 2 ? 'TP' : roi <= -1 ? 'SL' : holdingBars >= 20 ? 'TIME' : 'SIGNAL'
+        });
+        position = null;
+      }
+    }
+
+    // Check entry
+    if (!position && direction) {
+      position = {
+        side: direction,
+        entryPrice: candle.close,
+        entryIndex: i
+      };
+    }
+  }
+
+  // Close any open position
+  if (position) {
+    const lastCandle = candles[candles.length - 1];
+    const roi = position.side === 'long'
+      ? ((lastCandle.close - position.entryPrice) / position.entryPrice) * 100
+      : ((position.entryPrice - lastCandle.close) / position.entryPrice) * 100;
+    trades.push({
+      side: position.side,
+      entryPrice: position.entryPrice,
+      exitPrice: lastCandle.close,
+      roi: roi - (entryFee + exitFee) * 100,
+      holdingBars: candles.length - position.entryIndex,
+      exitReason: 'EOD'
+    });
+  }
+
+  if (trades.length === 0) return null;
+
+  const wins = trades.filter(t => t.roi > 0);
+  const losses = trades.filter(t => t.roi <= 0);
+  const totalRoi = trades.reduce((sum, t) => sum + t.roi, 0);
+  const grossProfit = wins.reduce((sum, t) => sum + t.roi, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.roi, 0));
+
+  return {
+    totalTrades: trades.length,
+    winRate: (wins.length / trades.length * 100).toFixed(1),
+    totalRoi: totalRoi.toFixed(2),
+    avgRoi: (totalRoi / trades.length).toFixed(2),
+    profitFactor: grossLoss > 0 ? (grossProfit / grossLoss).toFixed(2) : grossProfit > 0 ? 'INF' : '0.00',
+    avgWin: wins.length > 0 ? (grossProfit / wins.length).toFixed(2) : '0.00',
+    avgLoss: losses.length > 0 ? (grossLoss / losses.length).toFixed(2) : '0.00',
+    trades
+  };
+}
+
+/**
+ * Backtest one parameter set of a named strategy
+ * @param {string} name - Key of INDICATOR_STRATEGIES
+ * @param {Object} params - Indicator constructor params
+ * @param {Array} candles - OHLCV candles
+ * @returns {Object|null} Backtest stats, or null when there were no trades
+ */
+function runIndicatorBacktest(name, params, candles) {
+  const strategy = INDICATOR_STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown indicator: ${name}`);
+  }
+
+  return backtestIndicator(candles, new strategy.Indicator(params), strategy.getDirection);
+}
+
+module.exports = {
+  INDICATOR_STRATEGIES,
+  backtestIndicator,
+  runIndicatorBacktest
+};
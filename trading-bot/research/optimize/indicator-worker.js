@@ -0,0 +1,49 @@
+/**
+ * INDICATOR WORKER
+ * worker_threads entry point for scripts/indicator-optimizer.js --workers N
+ *
+ * Candles are cloned once per worker from workerData:
+ *   { datasets: { [key]: candles[] } }
+ *
+ * Task:
+ *   { dataset, indicator, params }
+ *
+ * Replies with the backtestIndicator() stats minus the trade list, or null when
+ * the parameter set produced no trades.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+const { runIndicatorBacktest } = require('./indicator-backtest');
+
+const datasets = workerData?.datasets || {};
+
+function evaluate(task) {
+  const candles = datasets[task.dataset];
+  if (!candles) {
+    throw new Error(`Unknown dataset: ${task.dataset}`);
+  }
+
+  const result = runIndicatorBacktest(task.indicator, task.params, candles);
+  if (!result) return null;
+
+  // The optimizer only aggregates the summary stats
+  const { trades, ...stats } = result;
+  return stats;
+}
+
+parentPort.on('message', (message) => {
+  if (message.type !== 'task') return;
+
+  try {
+    parentPort.postMessage({ taskId: message.taskId, ok: true, result: evaluate(message.task) });
+  } catch (error) {
+    parentPort.postMessage({
+      taskId: message.taskId,
+      ok: false,
+      error: { message: error.message, stack: error.stack }
+    });
+  }
+});
+
+parentPort.postMessage({ type: 'ready' });
@@ -1,17 +1,84 @@
 /**
  * OPTIMIZER
  * Multi-objective optimizer (NSGA-II/TPE)
- * Placeholder implementation
+ *
+ * - nsga2: non-dominated sorting + crowding distance, SBX crossover and
+ *   polynomial mutation over integer and float params. Returns the Pareto
+ *   front over win rate, profit factor and max drawdown by default.
+ * - tpe: Tree-structured Parzen Estimator for single-objective runs.
+ *
+ * Every run is driven by a seeded RNG and written to research/configs/top_configs
+ * together with the seed and settings, so Optimizer.fromRun(file) replays it.
+ * An optional `diagnose(results, optimizer)` hook adds overfitting
+ * diagnostics to the run; the CLI reports deflated Sharpe, PBO and bootstrap
+ * intervals over every config evaluated (see overfitting.js).
+ *
+ * Usage:
+ *   node research/optimize/optimizer.js --method nsga2 --generations 20 --population 24 --symbol SOLUSDTM --workers 4 --offline
+ *   node research/optimize/optimizer.js --method tpe --trials 100 --seed 42 --objective profitFactor
  */
 
+const fs = require('fs');
+const path = require('path');
+
 const searchSpace = require('./search-space');
+const { createRng, gaussian, randomSeed } = require('./rng');
+const { resolveWeights } = require('../../src/lib/SignalScoring');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'configs', 'top_configs');
+
+const DEFAULT_OBJECTIVES = [
+  { name: 'winRate', direction: 'maximize' },
+  { name: 'profitFactor', direction: 'maximize' },
+  { name: 'maxDrawdown', direction: 'minimize' }
+];
+
+// Objective value assigned to failed evaluations (internally everything is minimized)
+const WORST = 1e12;
 
 class Optimizer {
   constructor(config = {}) {
     this.method = config.method || 'nsga2';  // 'nsga2' | 'tpe'
     this.generations = config.generations || 50;
     this.populationSize = config.populationSize || 100;
-    this.searchSpace = searchSpace;
+    this.searchSpace = config.searchSpace || searchSpace;
+    this.seed = config.seed ?? randomSeed();
+    this.objectives = config.objectives || DEFAULT_OBJECTIVES;
+    this.topN = config.topN || 10;
+
+    // NSGA-II operators
+    this.crossoverRate = config.crossoverRate ?? 0.9;
+    this.crossoverEta = config.crossoverEta || 15;
+    this.mutationEta = config.mutationEta || 20;
+
+    // TPE
+    this.trials = config.trials || 100;
+    this.startupTrials = config.startupTrials || 20;
+    this.gamma = config.gamma || 0.25;
+    this.candidates = config.candidates || 24;
+    this.scoreFn = config.scoreFn || null;
+
+    this.outputDir = config.outputDir || DEFAULT_OUTPUT_DIR;
+    this.saveResults = config.saveResults !== false;
+    this.diagnose = config.diagnose || null;
+
+    this.dimensions = this._buildDimensions();
+    this.mutationRate = config.mutationRate || 1 / this.dimensions.length;
+
+    this.rng = createRng(this.seed);
+    this.cache = new Map();
+    this.evaluations = 0;
+    this.lastRunPath = null;
+    this.lastDiagnostics = null;
+  }
+
+  /**
+   * Rebuild an optimizer from a saved run so it can be replayed
+   * @param {string} filepath - Run file written by optimize()
+   */
+  static fromRun(filepath, overrides = {}) {
+    const run = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    return new Optimizer({ ...run.settings, method: run.method, seed: run.seed, ...overrides });
   }
 
   /**
@@ -21,19 +88,12 @@ class Optimizer {
   generateRandomConfig() {
     const config = {};
 
-    for (const [category, params] of Object.entries(this.searchSpace)) {
-      config[category] = {};
-      
-      for (const [param, bounds] of Object.entries(params)) {
-        const { min, max, default: def } = bounds;
-        
-        // Random value within bounds
-        if (Number.isInteger(min) && Number.isInteger(max)) {
-          config[category][param] = Math.floor(Math.random() * (max - min + 1)) + min;
-        } else {
-          config[category][param] = Math.random() * (max - min) + min;
-        }
-      }
+    for (const dim of this.dimensions) {
+      config[dim.category] = config[dim.category] || {};
+
+      // Random value within bounds
+      const value = dim.min + this.rng() * (dim.max - dim.min);
+      config[dim.category][dim.param] = this._repair(value, dim);
     }
 
     return config;
@@ -41,34 +101,657 @@ class Optimizer {
 
   /**
    * Run optimization
-   * @param {Function} evaluator - Function to evaluate a configuration
-   * @returns {Promise<Array>} Best configurations
+   * @param {Function} evaluator - async (config) => metrics object (or score for tpe)
+   * @returns {Promise<Array>} Pareto front (nsga2) or best configurations (tpe)
    */
   async optimize(evaluator) {
-    console.log(`[Optimizer] Starting ${this.method} optimization...`);
-    console.log(`[Optimizer] Generations: ${this.generations}, Population: ${this.populationSize}`);
+    console.log(`[Optimizer] Starting ${this.method} optimization (seed ${this.seed})...`);
+
+    this.rng = createRng(this.seed);
+    this.cache.clear();
+    this.evaluations = 0;
+
+    let results;
+    if (this.method === 'nsga2') {
+      console.log(`[Optimizer] Generations: ${this.generations}, Population: ${this.populationSize}`);
+      results = await this._runNSGA2(evaluator);
+    } else if (this.method === 'tpe') {
+      console.log(`[Optimizer] Trials: ${this.trials}, Startup: ${this.startupTrials}`);
+      results = await this._runTPE(evaluator);
+    } else {
+      throw new Error(`Unknown optimization method: ${this.method}`);
+    }
+
+    console.log(`[Optimizer] Optimization complete. ${results.length} configs from ${this.evaluations} evaluations`);
+
+    this.lastDiagnostics = this.diagnose ? await this.diagnose(results, this) : null;
+
+    if (this.saveResults) {
+      this.lastRunPath = this.save(results);
+      console.log(`[Optimizer] Results saved to ${this.lastRunPath}`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Write a run to outputDir with everything needed to replay it
+   * @returns {string} File path
+   */
+  save(results) {
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filepath = path.join(this.outputDir, `${this.method}_seed${this.seed}_${stamp}.json`);
+
+    const run = {
+      method: this.method,
+      seed: this.seed,
+      createdAt: new Date().toISOString(),
+      evaluations: this.evaluations,
+      settings: {
+        generations: this.generations,
+        populationSize: this.populationSize,
+        objectives: this.objectives,
+        topN: this.topN,
+        crossoverRate: this.crossoverRate,
+        crossoverEta: this.crossoverEta,
+        mutationEta: this.mutationEta,
+        mutationRate: this.mutationRate,
+        trials: this.trials,
+        startupTrials: this.startupTrials,
+        gamma: this.gamma,
+        candidates: this.candidates,
+        searchSpace: this.searchSpace
+      },
+      results,
+      diagnostics: this.lastDiagnostics
+    };
+
+    fs.writeFileSync(filepath, JSON.stringify(run, null, 2));
+    return filepath;
+  }
+
+  // ===========================================================================
+  // NSGA-II
+  // ===========================================================================
+
+  async _runNSGA2(evaluator) {
+    const size = this.populationSize;
+
+    let population = [];
+    for (let i = 0; i < size; i++) {
+      population.push({ config: this.generateRandomConfig() });
+    }
+    await this._evaluatePopulation(population, evaluator);
+    for (const front of this._nonDominatedSort(population)) {
+      this._assignCrowding(front);
+    }
+
+    for (let gen = 1; gen <= this.generations; gen++) {
+      const offspring = [];
+      while (offspring.length < size) {
+        const parentA = this._tournament(population);
+        const parentB = this._tournament(population);
+        const [childA, childB] = this._crossover(parentA.config, parentB.config);
+        offspring.push({ config: this._mutate(childA) });
+        if (offspring.length < size) {
+          offspring.push({ config: this._mutate(childB) });
+        }
+      }
+      await this._evaluatePopulation(offspring, evaluator);
+
+      // Elitist survival: best fronts first, last front cut by crowding distance
+      const next = [];
+      for (const front of this._nonDominatedSort(population.concat(offspring))) {
+        this._assignCrowding(front);
+        if (next.length + front.length <= size) {
+          next.push(...front);
+        } else {
+          front.sort((a, b) => b.crowding - a.crowding);
+          next.push(...front.slice(0, size - next.length));
+          break;
+        }
+      }
+      population = next;
+
+      if (gen % 10 === 0 || gen === this.generations) {
+        const frontSize = population.filter(ind => ind.rank === 0).length;
+        console.log(`[Optimizer] Generation ${gen}/${this.generations}: Pareto front size ${frontSize}`);
+      }
+    }
+
+    const seen = new Set();
+    const front = this._nonDominatedSort(population)[0]
+      .filter(ind => ind.objectives.every(v => v < WORST))
+      .filter(ind => {
+        const key = JSON.stringify(ind.config);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+    front.sort((a, b) => a.objectives[0] - b.objectives[0]);
+
+    return front.map(ind => ({
+      config: ind.config,
+      metrics: ind.metrics,
+      objectives: this._namedObjectives(ind.metrics)
+    }));
+  }
+
+  async _evaluatePopulation(individuals, evaluator) {
+    await Promise.all(individuals.map(async (ind) => {
+      ind.metrics = await this._evaluate(ind.config, evaluator);
+      ind.objectives = this._objectiveVector(ind.metrics);
+    }));
+  }
+
+  /**
+   * Fast non-dominated sort
+   * @returns {Array<Array>} Fronts, best first; sets ind.rank
+   */
+  _nonDominatedSort(population) {
+    const dominatedBy = population.map(() => []);
+    const dominationCount = population.map(() => 0);
+    const fronts = [[]];
+
+    for (let p = 0; p < population.length; p++) {
+      for (let q = 0; q < population.length; q++) {
+        if (p === q) continue;
+        if (this._dominates(population[p], population[q])) {
+          dominatedBy[p].push(q);
+        } else if (this._dominates(population[q], population[p])) {
+          dominationCount[p]++;
+        }
+      }
+      if (dominationCount[p] === 0) {
+        population[p].rank = 0;
+        fronts[0].push(p);
+      }
+    }
+
+    let i = 0;
+    while (fronts[i].length > 0) {
+      const nextFront = [];
+      for (const p of fronts[i]) {
+        for (const q of dominatedBy[p]) {
+          dominationCount[q]--;
+          if (dominationCount[q] === 0) {
+            population[q].rank = i + 1;
+            nextFront.push(q);
+          }
+        }
+      }
+      i++;
+      fronts.push(nextFront);
+    }
+
+    return fronts.filter(f => f.length > 0).map(f => f.map(idx => population[idx]));
+  }
+
+  _dominates(a, b) {
+    let strictlyBetter = false;
+    for (let k = 0; k < a.objectives.length; k++) {
+      if (a.objectives[k] > b.objectives[k]) return false;
+      if (a.objectives[k] < b.objectives[k]) strictlyBetter = true;
+    }
+    return strictlyBetter;
+  }
+
+  _assignCrowding(front) {
+    for (const ind of front) ind.crowding = 0;
+    if (front.length <= 2) {
+      for (const ind of front) ind.crowding = Infinity;
+      return;
+    }
+
+    for (let k = 0; k < this.objectives.length; k++) {
+      const sorted = [...front].sort((a, b) => a.objectives[k] - b.objectives[k]);
+      const min = sorted[0].objectives[k];
+      const max = sorted[sorted.length - 1].objectives[k];
+
+      sorted[0].crowding = Infinity;
+      sorted[sorted.length - 1].crowding = Infinity;
+      if (max === min) continue;
+
+      for (let i = 1; i < sorted.length - 1; i++) {
+        sorted[i].crowding += (sorted[i + 1].objectives[k] - sorted[i - 1].objectives[k]) / (max - min);
+      }
+    }
+  }
+
+  // Binary tournament: lower rank wins, then larger crowding distance
+  _tournament(population) {
+    const a = population[Math.floor(this.rng() * population.length)];
+    const b = population[Math.floor(this.rng() * population.length)];
+
+    if (a.rank !== b.rank) return a.rank < b.rank ? a : b;
+    return a.crowding >= b.crowding ? a : b;
+  }
+
+  // Simulated binary crossover (bounded)
+  _crossover(configA, configB) {
+    const childA = this._cloneConfig(configA);
+    const childB = this._cloneConfig(configB);
+
+    if (this.rng() > this.crossoverRate) return [childA, childB];
+
+    for (const dim of this.dimensions) {
+      if (this.rng() > 0.5) continue;
+
+      const x1 = configA[dim.category][dim.param];
+      const x2 = configB[dim.category][dim.param];
+      if (Math.abs(x1 - x2) < 1e-12) continue;
+
+      const lower = Math.min(x1, x2);
+      const upper = Math.max(x1, x2);
+      const eta = this.crossoverEta;
+      const u = this.rng();
+
+      const spread = (beta) => {
+        const alpha = 2 - Math.pow(beta, -(eta + 1));
+        return u <= 1 / alpha
+          ? Math.pow(u * alpha, 1 / (eta + 1))
+          : Math.pow(1 / (2 - u * alpha), 1 / (eta + 1));
+      };
+
+      const betaLow = spread(1 + 2 * (lower - dim.min) / (upper - lower));
+      const betaHigh = spread(1 + 2 * (dim.max - upper) / (upper - lower));
+      let c1 = 0.5 * ((lower + upper) - betaLow * (upper - lower));
+      let c2 = 0.5 * ((lower + upper) + betaHigh * (upper - lower));
+
+      if (this.rng() < 0.5) [c1, c2] = [c2, c1];
+
+      childA[dim.category][dim.param] = this._repair(c1, dim);
+      childB[dim.category][dim.param] = this._repair(c2, dim);
+    }
+
+    return [childA, childB];
+  }
 
-    const population = [];
+  // Polynomial mutation; integer params always move at least one step
+  _mutate(config) {
+    for (const dim of this.dimensions) {
+      if (this.rng() >= this.mutationRate) continue;
 
-    // Generate initial population
-    for (let i = 0; i < this.populationSize; i++) {
-      const config = this.generateRandomConfig();
-      const score = await evaluator(config);
-      
-      population.push({ config, score });
+      const range = dim.max - dim.min;
+      if (range === 0) continue;
+
+      const x = config[dim.category][dim.param];
+      const eta = this.mutationEta;
+      const u = this.rng();
+      let delta;
+
+      if (u < 0.5) {
+        const xy = 1 - (x - dim.min) / range;
+        delta = Math.pow(2 * u + (1 - 2 * u) * Math.pow(xy, eta + 1), 1 / (eta + 1)) - 1;
+      } else {
+        const xy = 1 - (dim.max - x) / range;
+        delta = 1 - Math.pow(2 * (1 - u) + 2 * (u - 0.5) * Math.pow(xy, eta + 1), 1 / (eta + 1));
+      }
+
+      let value = this._repair(x + delta * range, dim);
+      if (dim.integer && value === x) {
+        value = this._repair(x + (delta < 0 ? -1 : 1), dim);
+      }
+      config[dim.category][dim.param] = value;
+    }
+
+    return config;
+  }
+
+  // ===========================================================================
+  // TPE
+  // ===========================================================================
+
+  async _runTPE(evaluator) {
+    const observations = [];
+    const startup = Math.min(this.startupTrials, this.trials);
+
+    for (let t = 0; t < this.trials; t++) {
+      const config = t < startup ? this.generateRandomConfig() : this._suggestTPE(observations);
+      const metrics = await this._evaluate(config, evaluator);
+      observations.push({ config, metrics, score: this._score(metrics) });
+
+      if ((t + 1) % 10 === 0 || t + 1 === this.trials) {
+        const best = Math.max(...observations.map(o => o.score));
+        console.log(`[Optimizer] Trial ${t + 1}/${this.trials}: best score ${best.toFixed(4)}`);
+      }
     }
 
-    // Sort by score
-    population.sort((a, b) => b.score - a.score);
+    const seen = new Set();
+    return observations
+      .filter(o => Number.isFinite(o.score))
+      .sort((a, b) => b.score - a.score)
+      .filter(o => {
+        const key = JSON.stringify(o.config);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.topN);
+  }
+
+  /**
+   * Sample candidates from l(x) (good trials) and keep the one maximizing l(x)/g(x)
+   */
+  _suggestTPE(observations) {
+    const ranked = [...observations].sort((a, b) => {
+      const sa = Number.isFinite(a.score) ? a.score : -Infinity;
+      const sb = Number.isFinite(b.score) ? b.score : -Infinity;
+      return sb - sa;
+    });
+    const nGood = Math.max(1, Math.ceil(this.gamma * ranked.length));
+    const good = ranked.slice(0, nGood);
+    const bad = ranked.slice(nGood);
+
+    const estimators = this.dimensions.map(dim => ({
+      dim,
+      good: this._parzen(good.map(o => this._normalize(o.config[dim.category][dim.param], dim))),
+      bad: this._parzen(bad.map(o => this._normalize(o.config[dim.category][dim.param], dim)))
+    }));
+
+    let best = null;
+    let bestRatio = -Infinity;
+
+    for (let c = 0; c < this.candidates; c++) {
+      const config = {};
+      let logRatio = 0;
 
-    // Return top N configurations
-    const topN = 10;
-    const best = population.slice(0, topN);
+      for (const { dim, good: l, bad: g } of estimators) {
+        const value = this._repair(this._denormalize(this._sampleParzen(l), dim), dim);
+        const u = this._normalize(value, dim);
 
-    console.log(`[Optimizer] Optimization complete. Top score: ${best[0].score.toFixed(4)}`);
+        config[dim.category] = config[dim.category] || {};
+        config[dim.category][dim.param] = value;
+        logRatio += Math.log(this._parzenDensity(l, u)) - Math.log(this._parzenDensity(g, u));
+      }
+
+      if (logRatio > bestRatio) {
+        bestRatio = logRatio;
+        best = config;
+      }
+    }
 
     return best;
   }
+
+  // Gaussian kernels on [0, 1] mixed with a uniform prior
+  _parzen(points) {
+    const n = points.length;
+    if (n === 0) return { points, sigma: 1, priorWeight: 1 };
+
+    const mean = points.reduce((a, b) => a + b, 0) / n;
+    const std = Math.sqrt(points.reduce((s, p) => s + (p - mean) ** 2, 0) / n);
+    // Floor shrinks with sample count so early rounds keep exploring
+    const sigma = Math.min(0.5, Math.max(1 / Math.min(100, n + 1), 1.06 * std * Math.pow(n, -0.2)));
+
+    return { points, sigma, priorWeight: 1 / (n + 1) };
+  }
+
+  _sampleParzen(estimator) {
+    const { points, sigma, priorWeight } = estimator;
+    if (points.length === 0 || this.rng() < priorWeight) return this.rng();
+
+    // Truncated kernel: resample instead of clamping so bounds don't collect mass
+    const mu = points[Math.floor(this.rng() * points.length)];
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const u = mu + sigma * gaussian(this.rng);
+      if (u >= 0 && u <= 1) return u;
+    }
+    return mu;
+  }
+
+  _parzenDensity(estimator, u) {
+    const { points, sigma, priorWeight } = estimator;
+    if (points.length === 0) return 1;
+
+    const kernelWeight = (1 - priorWeight) / points.length;
+    let density = priorWeight;
+    for (const mu of points) {
+      density += kernelWeight * Math.exp(-0.5 * ((u - mu) / sigma) ** 2) / (sigma * Math.sqrt(2 * Math.PI));
+    }
+    return Math.max(density, 1e-12);
+  }
+
+  _score(metrics) {
+    if (this.scoreFn) {
+      const score = this.scoreFn(metrics);
+      return Number.isFinite(score) ? score : -Infinity;
+    }
+    if (typeof metrics === 'number') return Number.isFinite(metrics) ? metrics : -Infinity;
+    if (!metrics) return -Infinity;
+    if (metrics.score !== undefined) return Number(metrics.score);
+
+    // Fall back to the primary objective
+    const value = -this._objectiveVector(metrics)[0];
+    return value > -WORST ? value : -Infinity;
+  }
+
+  // ===========================================================================
+  // SHARED
+  // ===========================================================================
+
+  async _evaluate(config, evaluator) {
+    const key = JSON.stringify(config);
+    if (!this.cache.has(key)) {
+      this.evaluations++;
+      this.cache.set(key, Promise.resolve()
+        .then(() => evaluator(config))
+        .catch((error) => {
+          console.warn(`[Optimizer] Evaluation failed: ${error.message}`);
+          return null;
+        }));
+    }
+    return this.cache.get(key);
+  }
+
+  // Objectives as a minimization vector; failed evaluations get the worst value
+  _objectiveVector(metrics) {
+    return this.objectives.map(({ name, direction }) => {
+      const raw = metrics ? Number(metrics[name]) : NaN;
+      if (Number.isNaN(raw)) return WORST;
+
+      const value = direction === 'maximize' ? -raw : raw;
+      return Math.max(-WORST, Math.min(WORST, value));
+    });
+  }
+
+  _namedObjectives(metrics) {
+    const named = {};
+    for (const { name } of this.objectives) {
+      named[name] = metrics ? Number(metrics[name]) : null;
+    }
+    return named;
+  }
+
+  _buildDimensions() {
+    const dimensions = [];
+
+    for (const [category, params] of Object.entries(this.searchSpace)) {
+      for (const [param, bounds] of Object.entries(params)) {
+        const { min, max } = bounds;
+        dimensions.push({
+          category,
+          param,
+          min,
+          max,
+          integer: Number.isInteger(min) && Number.isInteger(max)
+        });
+      }
+    }
+
+    return dimensions;
+  }
+
+  _repair(value, dim) {
+    const clamped = Math.min(dim.max, Math.max(dim.min, value));
+    return dim.integer ? Math.round(clamped) : Number(clamped.toFixed(6));
+  }
+
+  _normalize(value, dim) {
+    return dim.max === dim.min ? 0.5 : (value - dim.min) / (dim.max - dim.min);
+  }
+
+  _denormalize(u, dim) {
+    return dim.min + u * (dim.max - dim.min);
+  }
+
+  _cloneConfig(config) {
+    const clone = {};
+    for (const [category, params] of Object.entries(config)) {
+      clone[category] = { ...params };
+    }
+    return clone;
+  }
+}
+
+// =============================================================================
+// CLI - evaluate configs with BacktestEngine in worker threads
+// =============================================================================
+
+const INDICATOR_CATEGORIES = ['rsi', 'macd', 'williamsR', 'kdj', 'obv'];
+
+/**
+ * Map a search-space config onto a backtest-worker task
+ * Indicator weights become signal-weights.js max weights (0 disables the
+ * indicator); thresholds.buy is the entry score for both sides.
+ */
+function configToTask(config, base = {}) {
+  const indicatorParams = {};
+  let signalWeights;
+  for (const name of INDICATOR_CATEGORIES) {
+    if (!config[name]) continue;
+    const { weight, ...params } = config[name];
+    indicatorParams[name] = params;
+
+    if (weight !== undefined) {
+      signalWeights = signalWeights || resolveWeights();
+      const entry = signalWeights.indicators[name];
+      // SignalGeneratorV2 reads a zero maxWeight as unset
+      if (weight > 0) entry.maxWeight = weight;
+      entry.enabled = weight > 0;
+    }
+  }
+
+  return {
+    dataset: base.dataset,
+    indicatorParams,
+    engineConfig: {
+      initialBalance: base.initialBalance || 10000,
+      leverage: config.risk?.leverage,
+      riskPerTrade: config.risk?.positionSize,
+      ...(signalWeights && { signalWeights })
+    },
+    backtestConfig: {
+      warmupPeriod: base.warmupPeriod || 250,
+      stopLossROI: config.risk?.stopLossROI,
+      takeProfitROI: config.risk?.takeProfitROI,
+      minSignalScore: config.thresholds?.buy
+    }
+  };
+}
+
+async function main() {
+  const WorkerPool = require('./worker-pool');
+  const CandleRepository = require('../../src/data/CandleRepository');
+  const { DEFAULT_THRESHOLDS, seriesFromBacktest, diagnoseTrials, formatDiagnostics } = require('./overfitting');
+
+  const options = {
+    method: 'nsga2',
+    generations: 20,
+    populationSize: 24,
+    trials: 100,
+    seed: undefined,
+    symbol: 'SOLUSDTM',
+    timeframe: '15min',
+    days: 30,
+    workers: undefined,
+    minTrades: 10,
+    promotion: { ...DEFAULT_THRESHOLDS },
+    offline: process.argv.includes('--offline')
+  };
+
+  const args = process.argv.slice(2).filter(a => a !== '--offline');
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, '');
+    const value = args[i + 1];
+    switch (key) {
+      case 'method': options.method = value; break;
+      case 'generations': options.generations = parseInt(value); break;
+      case 'population': options.populationSize = parseInt(value); break;
+      case 'trials': options.trials = parseInt(value); break;
+      case 'seed': options.seed = parseInt(value); break;
+      case 'symbol': options.symbol = value; break;
+      case 'timeframe': options.timeframe = value; break;
+      case 'days': options.days = parseInt(value); break;
+      case 'workers': options.workers = parseInt(value); break;
+      case 'min-trades': options.minTrades = parseInt(value); break;
+      case 'min-dsr': options.promotion.minDeflatedSharpe = parseFloat(value); break;
+      case 'max-pbo': options.promotion.maxPBO = parseFloat(value); break;
+      // TPE scores the first objective, e.g. --objective profitFactor
+      case 'objective':
+        options.objectives = [{ name: value, direction: value === 'maxDrawdown' ? 'minimize' : 'maximize' }];
+        break;
+    }
+  }
+
+  const warmupPeriod = 250;
+  const limit = Math.ceil(options.days * 24 * 60 * 60 * 1000 / CandleRepository.timeframeToMs(options.timeframe)) + warmupPeriod;
+
+  const pool = new WorkerPool({
+    maxWorkers: options.workers,
+    workerData: {
+      datasets: { main: { symbol: options.symbol, timeframe: options.timeframe, limit } },
+      repository: { offline: options.offline }
+    }
+  });
+  await pool.initialize();
+
+  // Every config evaluated is a trial; its series feed the overfitting diagnostics
+  const trialSeries = new Map();
+
+  const optimizer = new Optimizer({
+    ...options,
+    diagnose: (results, run) => {
+      const keys = [...trialSeries.keys()];
+      return diagnoseTrials([...trialSeries.values()], {
+        candidates: results.map(r => keys.indexOf(JSON.stringify(r.config))),
+        trialCount: run.evaluations,
+        thresholds: options.promotion,
+        seed: run.seed
+      });
+    }
+  });
+
+  try {
+    const results = await optimizer.optimize(async (config) => {
+      const task = { ...configToTask(config, { dataset: 'main', warmupPeriod }), includeTrades: true };
+      const { trades, equity, ...metrics } = await pool.execute(task);
+      trialSeries.set(JSON.stringify(config), seriesFromBacktest({ trades, equity }));
+      // Too few trades make win rate and profit factor meaningless
+      return metrics.totalTrades >= options.minTrades ? metrics : null;
+    });
+
+    const report = optimizer.lastDiagnostics;
+    results.slice(0, 10).forEach((result, i) => {
+      const m = result.metrics;
+      console.log(`  WR ${m.winRate}%  PF ${m.profitFactor}  DD ${m.maxDrawdown}%  trades ${m.totalTrades}`);
+      console.log(`    ${formatDiagnostics(report, report.candidates[i])}`);
+    });
+  } finally {
+    await pool.shutdown();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('[Optimizer] Fatal error:', error.message);
+    process.exit(1);
+  });
 }
 
 module.exports = Optimizer;
+module.exports.configToTask = configToTask;
+module.exports.DEFAULT_OBJECTIVES = DEFAULT_OBJECTIVES;
@@ -0,0 +1,448 @@
+/**
+ * OVERFITTING DIAGNOSTICS
+ * How much of an optimizer's best result is selection luck
+ *
+ * - Deflated Sharpe ratio (Bailey & López de Prado): probability the
+ *   candidate's Sharpe beats the best Sharpe expected from `trials`
+ *   independent tries of a strategy with no skill, corrected for the
+ *   skew and kurtosis of its returns and the length of the sample.
+ * - Probability of backtest overfitting, by combinatorially symmetric
+ *   cross-validation: the trials' aligned return series are cut into
+ *   blocks, and for every half/half split of the blocks the in-sample best
+ *   trial is ranked out of sample. PBO is the share of splits where it lands
+ *   at or below the out-of-sample median.
+ * - Seeded bootstrap confidence intervals on win rate and profit factor.
+ *
+ * Configs that fail any threshold are refused for promotion.
+ *
+ * Usage:
+ *   const report = diagnoseTrials(trials.map(t => seriesFromBacktest(t.results)), { candidates: [bestIndex] });
+ *   if (!report.candidates[0].promote) console.log(report.candidates[0].failures);
+ */
+
+const { createRng } = require('./rng');
+
+const DEFAULT_THRESHOLDS = {
+  minTrades: 30,
+  minDeflatedSharpe: 0.95,     // Probability the Sharpe beats selection luck
+  maxPBO: 0.5,                 // Above 0.5 the in-sample winner is more likely than not below median out of sample
+  minWinRateLower: 0,          // Lower bootstrap bound (0-1); 0 disables
+  minProfitFactorLower: 1.0    // Lower bootstrap bound
+};
+
+const DEFAULT_OPTIONS = {
+  partitions: 16,              // CSCV blocks (even); reduced when the series is short
+  bootstrapSamples: 1000,
+  confidence: 0.95,
+  seed: 42
+};
+
+const EULER_GAMMA = 0.5772156649015329;
+
+// ============================================================================
+// SERIES
+// ============================================================================
+
+/**
+ * Trial series from a BacktestEngine result (run with trades and equity)
+ * @returns {Object} { returns: per-bar equity returns, trades: [{ pnl }] }
+ */
+function seriesFromBacktest(results) {
+  const equity = results.equity || [];
+  const returns = [];
+  for (let i = 1; i < equity.length; i++) {
+    const previous = equity[i - 1].value;
+    returns.push(previous > 0 ? (equity[i].value - previous) / previous : 0);
+  }
+
+  return {
+    returns,
+    trades: (results.trades || []).map(t => ({ pnl: t.pnl }))
+  };
+}
+
+function moments(values) {
+  const n = values.length;
+  if (n === 0) return { mean: 0, std: 0, skew: 0, kurtosis: 3 };
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  for (const v of values) {
+    const d = v - mean;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  }
+  m2 /= n;
+  m3 /= n;
+  m4 /= n;
+
+  return {
+    mean,
+    std: n > 1 ? Math.sqrt(m2 * n / (n - 1)) : 0,
+    skew: m2 > 0 ? m3 / Math.pow(m2, 1.5) : 0,
+    kurtosis: m2 > 0 ? m4 / (m2 * m2) : 3
+  };
+}
+
+/**
+ * Per-period Sharpe ratio (not annualized, risk-free rate 0)
+ */
+function sharpeRatio(returns) {
+  const { mean, std } = moments(returns);
+  return std > 0 ? mean / std : 0;
+}
+
+// ============================================================================
+// NORMAL DISTRIBUTION
+// ============================================================================
+
+function normalCdf(x) {
+  // Abramowitz & Stegun 7.1.26 on erf, |error| < 1.5e-7
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+function normalInv(p) {
+  // Acklam's rational approximation, relative error < 1.2e-9
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalInv(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// ============================================================================
+// DEFLATED SHARPE
+// ============================================================================
+
+/**
+ * Best Sharpe expected from `trials` skill-less tries with the given Sharpe variance
+ */
+function expectedMaxSharpe(trials, sharpeVariance) {
+  if (trials < 2 || sharpeVariance <= 0) return 0;
+
+  return Math.sqrt(sharpeVariance) * (
+    (1 - EULER_GAMMA) * normalInv(1 - 1 / trials) +
+    EULER_GAMMA * normalInv(1 - 1 / (trials * Math.E))
+  );
+}
+
+/**
+ * Deflated Sharpe ratio of a return series
+ * @param {Array<number>} returns - Candidate per-period returns
+ * @param {Object} options - { trials, sharpeVariance } of the whole search
+ * @returns {Object} { sharpe, expectedMaxSharpe, deflatedSharpe, observations }
+ */
+function deflatedSharpe(returns, options = {}) {
+  const { mean, std, skew, kurtosis } = moments(returns);
+  const sharpe = std > 0 ? mean / std : 0;
+  const benchmark = expectedMaxSharpe(options.trials || 1, options.sharpeVariance || 0);
+  const observations = returns.length;
+
+  let value = 0;
+  const spread = 1 - skew * sharpe + ((kurtosis - 1) / 4) * sharpe * sharpe;
+  if (observations > 1 && std > 0 && spread > 0) {
+    value = normalCdf((sharpe - benchmark) * Math.sqrt(observations - 1) / Math.sqrt(spread));
+  }
+
+  return { sharpe, expectedMaxSharpe: benchmark, deflatedSharpe: value, observations };
+}
+
+// ============================================================================
+// PROBABILITY OF BACKTEST OVERFITTING (CSCV)
+// ============================================================================
+
+/**
+ * @param {Array<Array<number>>} matrix - One aligned return series per trial
+ * @param {Object} options - { partitions }
+ * @returns {Object|null} { pbo, partitions, combinations, medianLogit } or null with < 2 trials
+ */
+function probabilityOfOverfitting(matrix, options = {}) {
+  const trials = matrix.length;
+  if (trials < 2) return null;
+
+  const length = Math.min(...matrix.map(series => series.length));
+  let partitions = Math.min(options.partitions || DEFAULT_OPTIONS.partitions, Math.floor(length / 2));
+  partitions -= partitions % 2;
+  if (partitions < 2) return null;
+
+  // Per block and trial: sum, sum of squares and count, so any split is a sum of blocks
+  const blockSize = Math.floor(length / partitions);
+  const blocks = [];
+  for (let b = 0; b < partitions; b++) {
+    const start = b * blockSize;
+    const end = b === partitions - 1 ? length : start + blockSize;
+    blocks.push(matrix.map(series => {
+      let sum = 0;
+      let sumSq = 0;
+      for (let i = start; i < end; i++) {
+        sum += series[i];
+        sumSq += series[i] * series[i];
+      }
+      return { sum, sumSq, count: end - start };
+    }));
+  }
+
+  const sharpeOf = (mask, n, inSample) => {
+    let sum = 0;
+    let sumSq = 0;
+    let count = 0;
+    for (let b = 0; b < partitions; b++) {
+      if (Boolean(mask & (1 << b)) !== inSample) continue;
+      sum += blocks[b][n].sum;
+      sumSq += blocks[b][n].sumSq;
+      count += blocks[b][n].count;
+    }
+    const mean = sum / count;
+    const variance = (sumSq - count * mean * mean) / (count - 1);
+    return variance > 1e-18 ? mean / Math.sqrt(variance) : 0;
+  };
+
+  const logits = [];
+  for (let mask = 0; mask < (1 << partitions); mask++) {
+    if (popCount(mask) !== partitions / 2) continue;
+
+    let best = 0;
+    let bestSharpe = -Infinity;
+    const outOfSample = [];
+    for (let n = 0; n < trials; n++) {
+      const sharpe = sharpeOf(mask, n, true);
+      if (sharpe > bestSharpe) {
+        bestSharpe = sharpe;
+        best = n;
+      }
+      outOfSample.push(sharpeOf(mask, n, false));
+    }
+
+    // Relative out-of-sample rank of the in-sample winner, ties counted half
+    let below = 0;
+    let ties = 0;
+    for (let n = 0; n < trials; n++) {
+      if (n === best) continue;
+      if (outOfSample[n] < outOfSample[best]) below++;
+      else if (outOfSample[n] === outOfSample[best]) ties++;
+    }
+    const rank = (below + ties / 2 + 1) / (trials + 1);
+    logits.push(Math.log(rank / (1 - rank)));
+  }
+
+  const sorted = [...logits].sort((a, b) => a - b);
+  return {
+    pbo: logits.filter(l => l <= 0).length / logits.length,
+    partitions,
+    combinations: logits.length,
+    medianLogit: sorted[Math.floor(sorted.length / 2)]
+  };
+}
+
+function popCount(value) {
+  let count = 0;
+  while (value) {
+    count += value & 1;
+    value >>>= 1;
+  }
+  return count;
+}
+
+// ============================================================================
+// BOOTSTRAP
+// ============================================================================
+
+function tradeStats(trades) {
+  let wins = 0;
+  let grossProfit = 0;
+  let grossLoss = 0;
+  for (const trade of trades) {
+    if (trade.pnl > 0) {
+      wins++;
+      grossProfit += trade.pnl;
+    } else {
+      grossLoss += Math.abs(trade.pnl);
+    }
+  }
+
+  return {
+    winRate: trades.length > 0 ? wins / trades.length : 0,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0)
+  };
+}
+
+/**
+ * Percentile bootstrap intervals for win rate and profit factor
+ * @param {Array<Object>} trades - [{ pnl }]
+ * @param {Object} options - { bootstrapSamples, confidence, seed }
+ * @returns {Object} { winRate: { estimate, lower, upper }, profitFactor: {...} }
+ */
+function bootstrapTradeStats(trades, options = {}) {
+  const { bootstrapSamples, confidence, seed } = { ...DEFAULT_OPTIONS, ...options };
+  const estimate = tradeStats(trades);
+  if (trades.length === 0) {
+    return {
+      winRate: { estimate: 0, lower: 0, upper: 0 },
+      profitFactor: { estimate: 0, lower: 0, upper: 0 }
+    };
+  }
+
+  const rng = createRng(seed);
+  const winRates = [];
+  const profitFactors = [];
+  for (let s = 0; s < bootstrapSamples; s++) {
+    const sample = [];
+    for (let i = 0; i < trades.length; i++) {
+      sample.push(trades[Math.floor(rng() * trades.length)]);
+    }
+    const stats = tradeStats(sample);
+    winRates.push(stats.winRate);
+    profitFactors.push(stats.profitFactor);
+  }
+
+  const interval = (values, point) => {
+    values.sort((a, b) => a - b);
+    const tail = (1 - confidence) / 2;
+    return {
+      estimate: point,
+      lower: values[Math.floor(tail * (values.length - 1))],
+      upper: values[Math.ceil((1 - tail) * (values.length - 1))]
+    };
+  };
+
+  return {
+    winRate: interval(winRates, estimate.winRate),
+    profitFactor: interval(profitFactors, estimate.profitFactor)
+  };
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Diagnostics for an optimization run
+ *
+ * @param {Array<Object>} trials - Every config tested: { returns, trades } (see seriesFromBacktest)
+ * @param {Object} options - {
+ *   candidates: indices to report on (default: best Sharpe),
+ *   trialCount: trials tested if more than were passed (e.g. across datasets),
+ *   pbo: false when the return series are not on a shared time axis,
+ *   thresholds, partitions, bootstrapSamples, confidence, seed }
+ * @returns {Object} { trials, sharpeVariance, pbo, thresholds, candidates: [...] }
+ */
+function diagnoseTrials(trials, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+  const trialCount = Math.max(options.trialCount || 0, trials.length);
+
+  const sharpes = trials.map(t => sharpeRatio(t.returns));
+  const sharpeMean = sharpes.reduce((sum, s) => sum + s, 0) / (sharpes.length || 1);
+  const sharpeVariance = sharpes.length > 1
+    ? sharpes.reduce((sum, s) => sum + Math.pow(s - sharpeMean, 2), 0) / (sharpes.length - 1)
+    : 0;
+
+  const pbo = options.pbo === false ? null : probabilityOfOverfitting(trials.map(t => t.returns), settings);
+
+  let candidates = options.candidates;
+  if (!candidates) {
+    const best = sharpes.indexOf(Math.max(...sharpes));
+    candidates = best >= 0 ? [best] : [];
+  }
+
+  return {
+    trials: trialCount,
+    sharpeVariance,
+    pbo,
+    thresholds,
+    candidates: candidates.map(index => {
+      const trial = trials[index];
+      const report = {
+        index,
+        trades: trial.trades.length,
+        ...deflatedSharpe(trial.returns, { trials: trialCount, sharpeVariance }),
+        ...bootstrapTradeStats(trial.trades, settings)
+      };
+      return { ...report, ...checkPromotion(report, pbo, thresholds) };
+    })
+  };
+}
+
+/**
+ * Promotion gate for one candidate
+ * @returns {Object} { promote, failures: [reason] }
+ */
+function checkPromotion(candidate, pbo, thresholds = DEFAULT_THRESHOLDS) {
+  const failures = [];
+
+  if (candidate.trades < thresholds.minTrades) {
+    failures.push(`${candidate.trades} trades < ${thresholds.minTrades}`);
+  }
+  if (candidate.deflatedSharpe < thresholds.minDeflatedSharpe) {
+    failures.push(`deflated Sharpe ${candidate.deflatedSharpe.toFixed(3)} < ${thresholds.minDeflatedSharpe}`);
+  }
+  if (pbo && pbo.pbo > thresholds.maxPBO) {
+    failures.push(`PBO ${pbo.pbo.toFixed(3)} > ${thresholds.maxPBO}`);
+  }
+  if (candidate.winRate.lower < thresholds.minWinRateLower) {
+    failures.push(`win rate lower bound ${candidate.winRate.lower.toFixed(3)} < ${thresholds.minWinRateLower}`);
+  }
+  if (candidate.profitFactor.lower < thresholds.minProfitFactorLower) {
+    failures.push(`profit factor lower bound ${candidate.profitFactor.lower.toFixed(3)} < ${thresholds.minProfitFactorLower}`);
+  }
+
+  return { promote: failures.length === 0, failures };
+}
+
+/**
+ * One-line summary for logs
+ */
+function formatDiagnostics(report, candidate = report.candidates[0]) {
+  if (!candidate) return `trials=${report.trials} (no candidate)`;
+
+  const pf = candidate.profitFactor;
+  const fmt = value => (Number.isFinite(value) ? value.toFixed(2) : '∞');
+  return [
+    `trials=${report.trials}`,
+    `DSR=${candidate.deflatedSharpe.toFixed(3)}`,
+    `PBO=${report.pbo ? report.pbo.pbo.toFixed(3) : 'n/a'}`,
+    `WR=${(candidate.winRate.estimate * 100).toFixed(1)}% [${(candidate.winRate.lower * 100).toFixed(1)}, ${(candidate.winRate.upper * 100).toFixed(1)}]`,
+    `PF=${fmt(pf.estimate)} [${fmt(pf.lower)}, ${fmt(pf.upper)}]`,
+    candidate.promote ? 'PROMOTE' : `REFUSED (${candidate.failures.join('; ')})`
+  ].join(' ');
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  DEFAULT_OPTIONS,
+  seriesFromBacktest,
+  sharpeRatio,
+  normalCdf,
+  normalInv,
+  expectedMaxSharpe,
+  deflatedSharpe,
+  probabilityOfOverfitting,
+  bootstrapTradeStats,
+  diagnoseTrials,
+  checkPromotion,
+  formatDiagnostics
+};
@@ -0,0 +1,36 @@
+/**
+ * SEEDED RNG
+ * Deterministic random numbers so optimization runs can be replayed
+ */
+
+/**
+ * Create a mulberry32 generator
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} () => float in [0, 1)
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+
+  return function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function gaussian(rng) {
+  const u = Math.max(rng(), 1e-12);
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+}
+
+module.exports = { createRng, gaussian, randomSeed };
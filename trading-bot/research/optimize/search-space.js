@@ -9,7 +9,7 @@ module.exports = {
     period: { min: 7, max: 21, default: 14 },
     oversold: { min: 20, max: 35, default: 30 },
     overbought: { min: 65, max: 80, default: 70 },
-    weight: { min: 0, max: 30, default: 25 }
+    weight: { min: 0, max: 30, default: 25 }  // signal-weights.js maxWeight, 0 disables
   },
 
   // MACD parameters
@@ -46,12 +46,9 @@ module.exports = {
     weight: { min: 0, max: 15, default: 10 }
   },
 
-  // Signal thresholds
+  // Signal thresholds (BacktestEngine enters both sides at |score| >= buy)
   thresholds: {
-    strongBuy: { min: 60, max: 80, default: 70 },
-    buy: { min: 40, max: 60, default: 50 },
-    strongSell: { min: -80, max: -60, default: -70 },
-    sell: { min: -60, max: -40, default: -50 }
+    buy: { min: 40, max: 60, default: 50 }
   },
 
   // Risk parameters
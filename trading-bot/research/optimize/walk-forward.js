@@ -0,0 +1,439 @@
+/**
+ * WALK-FORWARD
+ * Walk-forward analysis on the production signal pipeline
+ *
+ * Every window optimizes on its training span and trades the best config on
+ * the following test span. Both spans run through IndicatorPipeline +
+ * SignalGeneratorV2 + BacktestEngine.runPortfolioBacktest, so one or many
+ * symbols share a balance exactly as in a portfolio backtest.
+ *
+ * - rolling:  fixed-length training span that moves forward by one test span
+ * - anchored: training always starts at the first bar and grows
+ * - purgeBars:   dropped from the end of each training span, so trades opened
+ *                in-sample can't overlap the test span
+ * - embargoBars: gap between training end and test start
+ *
+ * Windows are cut on the merged timestamp timeline of all datasets. Indicator
+ * series are computed once per (dataset, indicator params) over the full
+ * history; bars before a span are only indicator warmup, never traded.
+ *
+ * The report has the stitched out-of-sample equity curve, parameter stability
+ * across windows and walk-forward efficiency (out-of-sample return per bar /
+ * in-sample return per bar).
+ *
+ * Usage:
+ *   const wf = new WalkForward({ mode: 'anchored', trainBars: 2880, testBars: 672, embargoBars: 96 });
+ *   const report = await wf.run([{ symbol: 'SOLUSDTM', timeframe: '15min', candles }]);
+ */
+
+const BacktestEngine = require('../../src/backtest/BacktestEngine');
+const { calculateIndicatorSeries } = require('../../src/backtest/IndicatorPipeline');
+const Optimizer = require('./optimizer');
+const defaultSearchSpace = require('./search-space');
+
+const { configToTask } = Optimizer;
+
+const MAX_CACHED_SERIES = 32;
+
+// Same tuned settings as scripts/backtest-runner.js
+const DEFAULT_ENGINE_CONFIG = {
+  initialBalance: 10000,
+  leverage: 15,
+  riskPerTrade: 1,
+  commission: 0.0006,
+  trailingStopEnabled: true,
+  trailingStopActivation: 25,
+  trailingStopTrail: 10,
+  breakEvenEnabled: false
+};
+
+const DEFAULT_BACKTEST_CONFIG = {
+  warmupPeriod: 250,
+  stopLossROI: 10,
+  takeProfitROI: 100,
+  minSignalScore: 85
+};
+
+class WalkForward {
+  constructor(config = {}) {
+    this.mode = config.mode || 'rolling';  // 'rolling' | 'anchored'
+    this.trainBars = config.trainBars || 2880;
+    this.testBars = config.testBars || 720;
+    this.purgeBars = config.purgeBars || 0;
+    this.embargoBars = config.embargoBars || 0;
+    this.maxWindows = config.windows || Infinity;
+
+    this.engineConfig = { ...DEFAULT_ENGINE_CONFIG, ...(config.engineConfig || {}) };
+    this.backtestConfig = { ...DEFAULT_BACKTEST_CONFIG, ...(config.backtestConfig || {}) };
+    this.indicatorParams = config.indicatorParams || {};
+
+    // In-sample search: explicit candidate configs, or an Optimizer run per window
+    this.candidates = config.candidates || null;
+    this.searchSpace = config.searchSpace || defaultSearchSpace;
+    this.method = config.method || 'tpe';
+    this.trials = config.trials || 30;
+    this.generations = config.generations || 10;
+    this.populationSize = config.populationSize || 16;
+    this.seed = config.seed ?? 42;
+    this.objective = config.objective || 'profitFactor';
+    this.minTrades = config.minTrades || 5;
+
+    // Normalized std (std / search range) below which a param counts as stable
+    this.stableDispersion = config.stableDispersion || 0.15;
+
+    if (!['rolling', 'anchored'].includes(this.mode)) {
+      throw new Error(`Unknown walk-forward mode: ${this.mode}`);
+    }
+    if (this.purgeBars >= this.trainBars) {
+      throw new Error('purgeBars must be smaller than trainBars');
+    }
+
+    this.seriesCache = new Map();
+  }
+
+  /**
+   * Split a timeline into train/test index ranges ([start, end), end exclusive)
+   * @param {number} length - Timeline length in bars
+   * @returns {Array} [{ window, train: { start, end }, test: { start, end } }]
+   */
+  buildWindows(length) {
+    const warmup = this.backtestConfig.warmupPeriod;
+    const windows = [];
+
+    for (let w = 0; windows.length < this.maxWindows; w++) {
+      const trainEnd = warmup + this.trainBars + w * this.testBars;
+      const testStart = trainEnd + this.embargoBars;
+      const testEnd = testStart + this.testBars;
+      if (testEnd > length) break;
+
+      windows.push({
+        window: w + 1,
+        train: {
+          start: this.mode === 'anchored' ? warmup : trainEnd - this.trainBars,
+          end: trainEnd - this.purgeBars
+        },
+        test: { start: testStart, end: testEnd }
+      });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Run the walk-forward analysis
+   * @param {Array} datasets - [{ symbol, timeframe, candles }], one per symbol
+   * @returns {Promise<Object>} Report: windows, stitched OOS equity, stability, efficiency
+   */
+  async run(datasets) {
+    const timeline = this._buildTimeline(datasets);
+    const windows = this.buildWindows(timeline.length);
+
+    if (windows.length === 0) {
+      throw new Error(`Not enough data for one ${this.mode} window: ${timeline.length} bars`);
+    }
+
+    console.log(`[WalkForward] ${windows.length} ${this.mode} windows over ${datasets.map(d => d.symbol).join(', ')} ` +
+      `(train ${this.trainBars}, test ${this.testBars}, purge ${this.purgeBars}, embargo ${this.embargoBars} bars)`);
+
+    const results = [];
+
+    for (const window of windows) {
+      const train = { start: timeline[window.train.start], end: timeline[window.train.end] };
+      const test = { start: timeline[window.test.start], end: timeline[window.test.end] ?? Infinity };
+      const best = await this._optimizeWindow(datasets, train, window.window);
+
+      if (!best) {
+        console.warn(`[WalkForward] Window ${window.window}: no config with ${this.minTrades}+ trades in-sample`);
+        results.push({ ...window, skipped: 'no valid in-sample config' });
+        continue;
+      }
+
+      const oos = await this._runSegment(datasets, test, best.config);
+      const trainLength = window.train.end - window.train.start;
+      const isReturnPerBar = Number(best.metrics.totalReturn) / trainLength;
+      const oosReturnPerBar = Number(oos.totalReturn) / this.testBars;
+
+      results.push({
+        ...window,
+        trainPeriod: { start: train.start, end: timeline[window.train.end - 1] },
+        testPeriod: { start: test.start, end: timeline[window.test.end - 1] },
+        config: best.config,
+        inSample: best.metrics,
+        outOfSample: { ...stripSeries(oos), perSymbol: symbolMetrics(oos.perSymbol) },
+        trades: oos.trades,
+        equity: oos.equity,
+        efficiency: isReturnPerBar > 0 ? oosReturnPerBar / isReturnPerBar : null,
+        isReturnPerBar,
+        oosReturnPerBar
+      });
+
+      console.log(`[WalkForward] Window ${window.window}: IS return ${best.metrics.totalReturn}% -> ` +
+        `OOS return ${oos.totalReturn}%, WR ${oos.winRate}%, PF ${oos.profitFactor} (${oos.totalTrades} trades)`);
+    }
+
+    const completed = results.filter(r => !r.skipped);
+
+    return {
+      mode: this.mode,
+      symbols: datasets.map(d => d.symbol),
+      trainBars: this.trainBars,
+      testBars: this.testBars,
+      purgeBars: this.purgeBars,
+      embargoBars: this.embargoBars,
+      objective: this.objective,
+      windows: results.map(({ trades, equity, ...rest }) => rest),
+      outOfSample: this._stitch(completed),
+      parameterStability: this._parameterStability(completed),
+      efficiency: this._efficiency(completed)
+    };
+  }
+
+  // ===========================================================================
+  // IN-SAMPLE SEARCH
+  // ===========================================================================
+
+  /**
+   * Pick the best config on the training span
+   * @returns {Promise<Object|null>} { config, metrics } or null when nothing qualifies
+   */
+  async _optimizeWindow(datasets, span, windowNumber) {
+    const evaluate = async (config) => {
+      const metrics = stripSeries(await this._runSegment(datasets, span, config));
+      // Too few trades make win rate and profit factor meaningless
+      return metrics.totalTrades >= this.minTrades ? metrics : null;
+    };
+
+    let evaluated;
+    if (this.candidates) {
+      evaluated = [];
+      for (const config of this.candidates) {
+        evaluated.push({ config, metrics: await evaluate(config) });
+      }
+    } else {
+      const optimizer = new Optimizer({
+        method: this.method,
+        trials: this.trials,
+        generations: this.generations,
+        populationSize: this.populationSize,
+        searchSpace: this.searchSpace,
+        objectives: [{ name: this.objective, direction: this.objective === 'maxDrawdown' ? 'minimize' : 'maximize' }],
+        // Distinct but reproducible search per window
+        seed: this.seed + windowNumber,
+        saveResults: false
+      });
+      evaluated = await optimizer.optimize(evaluate);
+    }
+
+    const sign = this.objective === 'maxDrawdown' ? -1 : 1;
+    const ranked = evaluated
+      .filter(r => r.metrics && Number.isFinite(Number(r.metrics[this.objective])))
+      .sort((a, b) => sign * (Number(b.metrics[this.objective]) - Number(a.metrics[this.objective])));
+
+    return ranked[0] || null;
+  }
+
+  // ===========================================================================
+  // BACKTEST
+  // ===========================================================================
+
+  /**
+   * Backtest one config over [span.start, span.end) timestamps on every dataset
+   */
+  async _runSegment(datasets, span, config) {
+    const task = configToTask(config);
+    const indicatorParams = { ...this.indicatorParams, ...task.indicatorParams };
+    const warmup = this.backtestConfig.warmupPeriod;
+    const streams = {};
+
+    datasets.forEach((dataset, d) => {
+      const { candles } = dataset;
+      const first = candles.findIndex(c => c.ts >= span.start);
+      if (first === -1 || first < warmup) return;
+
+      let end = candles.findIndex(c => c.ts >= span.end);
+      if (end === -1) end = candles.length;
+      if (end <= first) return;
+
+      const series = this._getIndicatorSeries(d, candles, indicatorParams);
+      const indicators = {};
+      for (const [name, values] of Object.entries(series)) {
+        indicators[name] = values.slice(first - warmup, end);
+      }
+
+      streams[dataset.symbol] = {
+        candles: candles.slice(first - warmup, end),
+        indicators,
+        fundingRates: dataset.fundingRates
+      };
+    });
+
+    const engine = new BacktestEngine({ ...this.engineConfig, ...defined(task.engineConfig) });
+    return engine.runPortfolioBacktest(streams, { ...this.backtestConfig, ...defined(task.backtestConfig) });
+  }
+
+  _buildTimeline(datasets) {
+    const timestamps = new Set();
+    for (const { candles } of datasets) {
+      for (const candle of candles) timestamps.add(candle.ts);
+    }
+    return [...timestamps].sort((a, b) => a - b);
+  }
+
+  _getIndicatorSeries(key, candles, params) {
+    const cacheKey = `${key}:${JSON.stringify(params)}`;
+    if (this.seriesCache.has(cacheKey)) return this.seriesCache.get(cacheKey);
+
+    const series = calculateIndicatorSeries(candles, params);
+
+    if (this.seriesCache.size >= MAX_CACHED_SERIES) {
+      this.seriesCache.delete(this.seriesCache.keys().next().value);
+    }
+    this.seriesCache.set(cacheKey, series);
+
+    return series;
+  }
+
+  // ===========================================================================
+  // REPORT
+  // ===========================================================================
+
+  /**
+   * Chain every window's test equity into one curve, compounding window returns
+   */
+  _stitch(windows) {
+    const initialBalance = this.engineConfig.initialBalance;
+    const equity = [];
+    const trades = [];
+    let capital = initialBalance;
+    let peak = capital;
+    let maxDrawdown = 0;
+
+    for (const result of windows) {
+      const scale = capital / initialBalance;
+      // First point is the engine's { ts: 0 } seed
+      for (const point of result.equity.slice(1)) {
+        equity.push({ ts: point.ts, value: point.value * scale, window: result.window });
+      }
+
+      // Positions still open at the end of the span close after the last equity point
+      capital = result.outOfSample.finalBalance * scale;
+      if (equity.length > 0) equity[equity.length - 1].value = capital;
+
+      trades.push(...result.trades.map(t => ({ ...t, window: result.window })));
+    }
+
+    for (const point of equity) {
+      if (point.value > peak) peak = point.value;
+      maxDrawdown = Math.max(maxDrawdown, (peak - point.value) / peak);
+    }
+
+    const winners = trades.filter(t => t.pnl > 0);
+    const grossProfit = winners.reduce((s, t) => s + t.pnl, 0);
+    const grossLoss = Math.abs(trades.filter(t => t.pnl < 0).reduce((s, t) => s + t.pnl, 0));
+
+    return {
+      initialBalance,
+      finalBalance: capital,
+      totalReturn: (capital - initialBalance) / initialBalance * 100,
+      maxDrawdown: maxDrawdown * 100,
+      totalTrades: trades.length,
+      winRate: trades.length > 0 ? winners.length / trades.length * 100 : 0,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+      trades,
+      equity
+    };
+  }
+
+  /**
+   * Dispersion of each chosen param across windows, normalized by its search range
+   */
+  _parameterStability(windows) {
+    const values = new Map();
+    for (const { config } of windows) {
+      for (const [category, params] of Object.entries(config)) {
+        for (const [param, value] of Object.entries(params)) {
+          const key = `${category}.${param}`;
+          if (!values.has(key)) values.set(key, []);
+          values.get(key).push(value);
+        }
+      }
+    }
+
+    const params = {};
+    for (const [key, series] of values.entries()) {
+      const [category, param] = key.split('.');
+      const range = this._paramRange(category, param, series);
+      const mean = series.reduce((a, b) => a + b, 0) / series.length;
+      const std = Math.sqrt(series.reduce((s, v) => s + (v - mean) ** 2, 0) / series.length);
+      const normalizedStd = range > 0 ? std / range : 0;
+
+      params[key] = {
+        values: series,
+        mean,
+        std,
+        cv: mean !== 0 ? std / Math.abs(mean) : 0,
+        normalizedStd,
+        stable: normalizedStd <= this.stableDispersion
+      };
+    }
+
+    const entries = Object.values(params);
+    const meanDispersion = entries.length > 0
+      ? entries.reduce((s, p) => s + p.normalizedStd, 0) / entries.length
+      : 0;
+
+    return {
+      windows: windows.length,
+      meanDispersion,
+      stableParams: entries.filter(p => p.stable).length,
+      totalParams: entries.length,
+      params
+    };
+  }
+
+  _paramRange(category, param, series) {
+    const bounds = this.searchSpace[category]?.[param];
+    if (!this.candidates && bounds) return bounds.max - bounds.min;
+
+    // Explicit candidates: range of what was on offer
+    const offered = (this.candidates || []).map(c => c[category]?.[param]).filter(Number.isFinite);
+    const all = offered.length > 0 ? offered : series;
+    return Math.max(...all) - Math.min(...all);
+  }
+
+  /**
+   * Walk-forward efficiency: OOS return per bar over IS return per bar
+   */
+  _efficiency(windows) {
+    const perWindow = windows.map(w => ({ window: w.window, efficiency: w.efficiency }));
+    if (windows.length === 0) return { aggregate: null, perWindow };
+
+    const meanIS = windows.reduce((s, w) => s + w.isReturnPerBar, 0) / windows.length;
+    const meanOOS = windows.reduce((s, w) => s + w.oosReturnPerBar, 0) / windows.length;
+
+    return {
+      aggregate: meanIS > 0 ? meanOOS / meanIS : null,
+      isReturnPerBar: meanIS,
+      oosReturnPerBar: meanOOS,
+      perWindow
+    };
+  }
+}
+
+// Trades/equity are kept per window for stitching, metrics travel without them
+function stripSeries(results) {
+  const { trades, equity, perSymbol, ...metrics } = results;
+  return metrics;
+}
+
+function symbolMetrics(perSymbol = {}) {
+  return Object.fromEntries(Object.entries(perSymbol).map(([symbol, { equity, ...metrics }]) => [symbol, metrics]));
+}
+
+function defined(obj = {}) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+}
+
+module.exports = WalkForward;
+module.exports.DEFAULT_ENGINE_CONFIG = DEFAULT_ENGINE_CONFIG;
+module.exports.DEFAULT_BACKTEST_CONFIG = DEFAULT_BACKTEST_CONFIG;
@@ -1,77 +1,334 @@
 /**
  * WORKER POOL
  * Parallel evaluation using worker_threads
- * Placeholder implementation
+ *
+ * - Spawns maxWorkers threads running a worker script (backtest-worker.js by default)
+ * - workerData is cloned into every worker once, so candle data is preloaded per worker
+ * - Per-task timeouts and cancellation terminate the busy worker and spawn a replacement
+ * - Workers that crash or exit (with any code) are restarted, up to maxRestarts per
+ *   restartWindowMs; the task they held is rejected
+ * - map() resolves results in submission order so runs are deterministic
  */
 
 const { Worker } = require('worker_threads');
 const os = require('os');
+const path = require('path');
+
+const DEFAULT_WORKER_SCRIPT = path.join(__dirname, 'backtest-worker.js');
+
+class WorkerPoolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'WorkerPoolError';
+    this.code = code;
+  }
+}
 
 class WorkerPool {
   constructor(config = {}) {
-    this.maxWorkers = config.maxWorkers || os.cpus().length;
+    this.maxWorkers = config.maxWorkers || Math.max(1, os.cpus().length - 1);
+    this.workerScript = config.workerScript || DEFAULT_WORKER_SCRIPT;
+    this.workerData = config.workerData || {};
+    this.taskTimeoutMs = config.taskTimeoutMs || 0;  // 0 = no timeout
+    this.maxRestarts = config.maxRestarts ?? 10;
+    this.restartWindowMs = config.restartWindowMs ?? 60000;  // maxRestarts applies per window
+
     this.workers = [];
     this.queue = [];
+    this.pending = new Map();  // taskId -> { resolve, reject, worker, timer }
     this.activeJobs = 0;
+    this.nextTaskId = 1;
+    this.restarts = 0;           // Total, for stats
+    this.recentRestarts = [];    // Restart times inside restartWindowMs
+    this.initialized = false;
+    this.shuttingDown = false;
   }
 
   /**
    * Initialize worker pool
-   * @param {string} workerScript - Path to worker script
+   * @param {string} workerScript - Optional override of the worker script path
    */
-  async initialize(workerScript) {
+  async initialize(workerScript = null) {
+    if (workerScript) this.workerScript = workerScript;
+    if (this.initialized) return;
+
     console.log(`[WorkerPool] Initializing pool with ${this.maxWorkers} workers`);
-    
-    // Placeholder: In production, spawn actual workers
-    // for (let i = 0; i < this.maxWorkers; i++) {
-    //   const worker = new Worker(workerScript);
-    //   this.workers.push(worker);
-    // }
+
+    const ready = [];
+    for (let i = 0; i < this.maxWorkers; i++) {
+      ready.push(this._spawnWorker());
+    }
+    await Promise.all(ready);
+
+    this.initialized = true;
   }
 
   /**
    * Execute task in worker
-   * @param {Object} task - Task data
+   * @param {Object} task - Task data (structured-cloneable)
+   * @param {Object} options - { timeoutMs, signal (AbortSignal) }
    * @returns {Promise<any>} Task result
    */
-  async execute(task) {
-    // Placeholder: Queue task and execute
-    return new Promise((resolve) => {
-      this.queue.push({ task, resolve });
-      this.processQueue();
+  execute(task, options = {}) {
+    if (this.shuttingDown) {
+      return Promise.reject(new WorkerPoolError('POOL_SHUTDOWN', 'Worker pool is shutting down'));
+    }
+    if (this.initialized && this.workers.length === 0) {
+      return Promise.reject(new WorkerPoolError('POOL_EXHAUSTED', 'No workers left to run tasks'));
+    }
+
+    const taskId = this.nextTaskId++;
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({
+        taskId,
+        task,
+        resolve,
+        reject,
+        timeoutMs: options.timeoutMs ?? this.taskTimeoutMs
+      });
     });
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        this.cancel(taskId);
+      } else {
+        options.signal.addEventListener('abort', () => this.cancel(taskId), { once: true });
+      }
+    }
+
+    this.processQueue();
+    return promise;
+  }
+
+  /**
+   * Execute many tasks; results come back in submission order
+   * @param {Array} tasks
+   * @param {Object} options - { timeoutMs, signal, onProgress(done, total) }
+   * @returns {Promise<Array<Result>>} [{ ok, value } | { ok: false, error }]
+   */
+  async map(tasks, options = {}) {
+    let done = 0;
+
+    const results = tasks.map(task =>
+      this.execute(task, options)
+        .then(value => ({ ok: true, value }))
+        .catch(error => ({ ok: false, error: { code: error.code || 'TASK_FAILED', message: error.message } }))
+        .finally(() => {
+          done++;
+          if (options.onProgress) options.onProgress(done, tasks.length);
+        })
+    );
+
+    return Promise.all(results);
+  }
+
+  /**
+   * Cancel a queued or running task
+   * Running tasks cannot be interrupted mid-evaluation, so their worker is replaced.
+   */
+  cancel(taskId) {
+    const queuedIndex = this.queue.findIndex(q => q.taskId === taskId);
+    if (queuedIndex !== -1) {
+      const [entry] = this.queue.splice(queuedIndex, 1);
+      entry.reject(new WorkerPoolError('CANCELLED', `Task ${taskId} cancelled`));
+      return true;
+    }
+
+    const running = this.pending.get(taskId);
+    if (running) {
+      this._failTask(taskId, new WorkerPoolError('CANCELLED', `Task ${taskId} cancelled`));
+      this._replaceWorker(running.worker);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Cancel every queued and running task
+   */
+  cancelAll() {
+    const queuedIds = this.queue.map(q => q.taskId);
+    const runningIds = Array.from(this.pending.keys());
+    for (const taskId of [...queuedIds, ...runningIds]) {
+      this.cancel(taskId);
+    }
   }
 
   /**
    * Process queued tasks
    */
   processQueue() {
-    while (this.queue.length > 0 && this.activeJobs < this.maxWorkers) {
-      const { task, resolve } = this.queue.shift();
-      this.activeJobs++;
-
-      // Placeholder: Execute task
-      setTimeout(() => {
-        this.activeJobs--;
-        resolve({ result: 'placeholder' });
-        this.processQueue();
-      }, 100);
+    if (!this.initialized) return;
+
+    while (this.queue.length > 0) {
+      const worker = this.workers.find(w => w.ready && w.taskId === null);
+      if (!worker) return;
+
+      const entry = this.queue.shift();
+      this._dispatch(worker, entry);
     }
   }
 
+  getStats() {
+    return {
+      workers: this.workers.length,
+      busy: this.workers.filter(w => w.taskId !== null).length,
+      queued: this.queue.length,
+      activeJobs: this.activeJobs,
+      restarts: this.restarts
+    };
+  }
+
   /**
    * Shutdown worker pool
    */
   async shutdown() {
     console.log('[WorkerPool] Shutting down...');
-    
-    // Placeholder: Terminate workers
-    // for (const worker of this.workers) {
-    //   await worker.terminate();
-    // }
-    
-    this.workers = [];
+    this.shuttingDown = true;
+
+    for (const entry of this.queue.splice(0)) {
+      entry.reject(new WorkerPoolError('POOL_SHUTDOWN', 'Worker pool shut down'));
+    }
+    for (const taskId of Array.from(this.pending.keys())) {
+      this._failTask(taskId, new WorkerPoolError('POOL_SHUTDOWN', 'Worker pool shut down'));
+    }
+
+    const workers = this.workers.splice(0);
+    await Promise.all(workers.map(w => w.thread.terminate()));
+
+    this.initialized = false;
+  }
+
+  // ===========================================================================
+  // INTERNALS
+  // ===========================================================================
+
+  _spawnWorker() {
+    const thread = new Worker(this.workerScript, { workerData: this.workerData });
+    const worker = { thread, taskId: null, ready: false, retired: false };
+    this.workers.push(worker);
+
+    return new Promise((resolve) => {
+      thread.on('message', (message) => {
+        if (message.type === 'ready') {
+          worker.ready = true;
+          resolve(worker);
+          this.processQueue();
+          return;
+        }
+        this._handleResult(worker, message);
+      });
+
+      thread.on('error', (error) => {
+        if (!worker.ready) resolve(worker);
+        this._handleCrash(worker, error);
+      });
+
+      // Retired workers and shutdown are expected exits; any other exit, even code 0, is a crash
+      thread.on('exit', (code) => {
+        if (!worker.ready) resolve(worker);
+        this._handleCrash(worker, new Error(`Worker exited with code ${code}`));
+      });
+    });
+  }
+
+  _dispatch(worker, entry) {
+    const { taskId, task, resolve, reject, timeoutMs } = entry;
+    worker.taskId = taskId;
+    this.activeJobs++;
+
+    let timer = null;
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        this._failTask(taskId, new WorkerPoolError('TIMEOUT', `Task ${taskId} exceeded ${timeoutMs}ms`));
+        this._replaceWorker(worker);
+      }, timeoutMs);
+    }
+
+    this.pending.set(taskId, { resolve, reject, worker, timer });
+    worker.thread.postMessage({ type: 'task', taskId, task });
+  }
+
+  _handleResult(worker, message) {
+    const entry = this.pending.get(message.taskId);
+    if (!entry || entry.worker !== worker) return;  // Late result from a cancelled task
+
+    this._settle(message.taskId);
+    worker.taskId = null;
+
+    if (message.ok) {
+      entry.resolve(message.result);
+    } else {
+      const error = new WorkerPoolError('TASK_FAILED', message.error?.message || 'Task failed');
+      error.stack = message.error?.stack || error.stack;
+      entry.reject(error);
+    }
+
+    this.processQueue();
+  }
+
+  _handleCrash(worker, error) {
+    if (worker.retired || this.shuttingDown) return;
+
+    if (worker.taskId !== null) {
+      this._failTask(worker.taskId, new WorkerPoolError('WORKER_CRASHED', error.message));
+    }
+
+    console.warn(`[WorkerPool] Worker crashed: ${error.message}`);
+    this._replaceWorker(worker);
+  }
+
+  _replaceWorker(worker) {
+    if (worker.retired) return;
+    worker.retired = true;
+    worker.taskId = null;
+
+    this.workers = this.workers.filter(w => w !== worker);
+    worker.thread.terminate().catch(() => {});
+
+    if (this.shuttingDown) return;
+
+    const now = Date.now();
+    this.recentRestarts = this.recentRestarts.filter(ts => now - ts < this.restartWindowMs);
+
+    if (this.recentRestarts.length >= this.maxRestarts) {
+      console.error(`[WorkerPool] Restart limit (${this.maxRestarts} per ${this.restartWindowMs}ms) reached, not replacing worker`);
+      if (this.workers.length === 0) {
+        for (const entry of this.queue.splice(0)) {
+          entry.reject(new WorkerPoolError('POOL_EXHAUSTED', 'No workers left to run tasks'));
+        }
+      }
+      return;
+    }
+
+    this.recentRestarts.push(now);
+    this.restarts++;
+    this._spawnWorker();
+  }
+
+  _failTask(taskId, error) {
+    const entry = this.pending.get(taskId);
+    if (!entry) return;
+
+    this._settle(taskId);
+    if (entry.worker.taskId === taskId) {
+      entry.worker.taskId = null;
+    }
+    entry.reject(error);
+  }
+
+  _settle(taskId) {
+    const entry = this.pending.get(taskId);
+    if (!entry) return;
+
+    if (entry.timer) clearTimeout(entry.timer);
+    this.pending.delete(taskId);
+    this.activeJobs--;
   }
 }
 
+WorkerPool.WorkerPoolError = WorkerPoolError;
+
 module.exports = WorkerPool;
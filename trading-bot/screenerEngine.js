@@ -29,7 +29,8 @@ const PriceRatioAnalyzer = require('./src/microstructure/PriceRatioAnalyzer');
 const FundingRateAnalyzer = require('./src/microstructure/FundingRateAnalyzer');
 
 const SignalGeneratorV2 = require('./src/lib/SignalGeneratorV2');
-const timeframeAligner = require('./timeframeAligner');
+const KuCoinAdapter = require('./src/exchange/KuCoinAdapter');
+const timeframeAligner = require('./timeframeAligner').default;
 
 const KUCOIN_FUTURES_REST = 'https://api-futures.kucoin.com';
 
@@ -37,8 +38,10 @@ class ScreenerEngine extends EventEmitter {
   constructor(config) {
     super();
     this.config = config;
+    this.restBase = config.restBase || process.env.KUCOIN_FUTURES_REST || KUCOIN_FUTURES_REST;
     
     this.ws = null;
+    this.stopping = false;
     this.pingTimer = null;
     this.tokenRefreshTimer = null;
     this.connected = false;
@@ -47,6 +50,7 @@ class ScreenerEngine extends EventEmitter {
     this.pingInterval = 18000;
     
     this.candleBuffers = {};
+    this.openCandles = {};
     this.indicators = {};
     this.lastSignals = new Map();
 
@@ -62,7 +66,7 @@ class ScreenerEngine extends EventEmitter {
 
   async getWebSocketEndpoint() {
     try {
-      const response = await axios.post(`${KUCOIN_FUTURES_REST}/api/v1/bullet-public`);
+      const response = await axios.post(`${this.restBase}/api/v1/bullet-public`);
       
       if (response.data.code !== '200000') {
         throw new Error(`KuCoin API error: ${response.data.msg}`);
@@ -117,6 +121,7 @@ class ScreenerEngine extends EventEmitter {
 
   async start() {
     console.log('[Screener] Starting...');
+    this.stopping = false;
     
     await this.getWebSocketEndpoint();
     
@@ -131,6 +136,7 @@ class ScreenerEngine extends EventEmitter {
 
   async stop() {
     console.log('[Screener] Shutting down...');
+    this.stopping = true;
     
     clearInterval(this.pingTimer);
     clearInterval(this.tokenRefreshTimer);
@@ -192,7 +198,14 @@ class ScreenerEngine extends EventEmitter {
       
       this.ws = new WebSocket(this.wsEndpoint);
       
+      const timeout = setTimeout(() => {
+        if (!this.connected) {
+          reject(new Error('WebSocket connection timeout'));
+        }
+      }, 30000);
+      
       this.ws.on('open', () => {
+        clearTimeout(timeout);
         this.connected = true;
         console.log('[Screener] WebSocket connected');
         resolve();
@@ -205,10 +218,11 @@ class ScreenerEngine extends EventEmitter {
       });
       
       this.ws.on('close', async () => {
-        console.warn('[Screener] WS closed - reconnecting...');
         this.connected = false;
         clearInterval(this.pingTimer);
+        if (this.stopping) return;
         
+        console.warn('[Screener] WS closed - reconnecting...');
         await new Promise(r => setTimeout(r, 3000));
         
         try {
@@ -220,12 +234,6 @@ class ScreenerEngine extends EventEmitter {
           console.error('[Screener] Reconnection failed:', error.message);
         }
       });
-      
-      setTimeout(() => {
-        if (!this.connected) {
-          reject(new Error('WebSocket connection timeout'));
-        }
-      }, 30000);
     });
   }
 
@@ -240,11 +248,15 @@ class ScreenerEngine extends EventEmitter {
     }, this.pingInterval);
   }
 
+  _candleTopic(symbol, tf) {
+    return `/contractMarket/limitCandle:${symbol}_${tf}`;
+  }
+
   _subscribeAll() {
     for (const symbol of this.config.symbols) {
       // Subscribe to candle data
       for (const tf of [this.config.primaryTimeframe, this.config.secondaryTimeframe]) {
-        const topic = `/contractMarket/candle:${symbol}_${tf}`;
+        const topic = this._candleTopic(symbol, tf);
 
         this.ws.send(JSON.stringify({
           id: Date.now().toString(),
@@ -358,20 +370,16 @@ class ScreenerEngine extends EventEmitter {
     if (topicParts.length < 2) return;
     
     const [symbol, tf] = topicParts[1].split('_');
-    const data = msg.data;
-    
-    const candle = {
-      ts: Number(data.time) * 1000,
-      open: Number(data.open),
-      close: Number(data.close),
-      high: Number(data.high),
-      low: Number(data.low),
-      volume: Number(data.volume)
-    };
-    
     const buffer = this.candleBuffers[symbol]?.[tf];
     if (!buffer) return;
     
+    // limitCandle pushes the forming candle; it is final once the next one starts
+    const update = KuCoinAdapter.parseWsCandle(msg.data);
+    if (!this.openCandles[symbol]) this.openCandles[symbol] = {};
+    const candle = this.openCandles[symbol][tf];
+    this.openCandles[symbol][tf] = update;
+    if (!candle || candle.ts === update.ts) return;
+    
     buffer.push(candle);
     if (buffer.length > (this.config.internals?.maxCandleBuffer || 1000)) {
       buffer.shift();
@@ -519,7 +527,7 @@ class ScreenerEngine extends EventEmitter {
         };
         
         if (this.ws && this.connected) {
-          const topic = `/contractMarket/candle:${symbol}_${tf}`;
+          const topic = this._candleTopic(symbol, tf);
           this.ws.send(JSON.stringify({
             id: Date.now().toString(),
             type: 'subscribe',
@@ -533,10 +541,11 @@ class ScreenerEngine extends EventEmitter {
     for (const symbol of removed) {
       delete this.candleBuffers[symbol];
       delete this.indicators[symbol];
+      delete this.openCandles[symbol];
       
       if (this.ws && this.connected) {
         for (const tf of [this.config.primaryTimeframe, this.config.secondaryTimeframe]) {
-          const topic = `/contractMarket/candle:${symbol}_${tf}`;
+          const topic = this._candleTopic(symbol, tf);
           this.ws.send(JSON.stringify({
             id: Date.now().toString(),
             type: 'unsubscribe',
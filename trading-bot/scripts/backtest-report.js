@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Backtest Report Script
+ *
+ * Builds the HTML + JSON report (src/backtest/ReportGenerator.js) from a saved
+ * backtest-runner results file, or compares several runs side by side.
+ * Usage: node scripts/backtest-report.js --results logs/backtest_SOLUSDTM_1700000000000.json [--out logs/reports]
+ * Compare: node scripts/backtest-report.js --compare logs/a.json,logs/b.json [--out logs/compare.html]
+ * Inputs can be raw results files or report JSON written by this script.
+ */
+
+const path = require('path');
+
+const ReportGenerator = require('../src/backtest/ReportGenerator');
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = { results: null, compare: null, out: null, name: null };
+
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace('--', '');
+    const value = args[i + 1];
+
+    switch (key) {
+      case 'results': config.results = value; break;
+      case 'compare': config.compare = value.split(',').map(s => s.trim()).filter(Boolean); break;
+      case 'out': config.out = value; break;
+      case 'name': config.name = value; break;
+    }
+  }
+
+  return config;
+}
+
+function main() {
+  const config = parseArgs();
+  const generator = new ReportGenerator();
+
+  if (config.compare) {
+    if (config.compare.length < 2) {
+      console.error('--compare needs at least two files');
+      process.exit(2);
+    }
+    const reports = config.compare.map(file => generator.load(file));
+    const out = config.out || path.join(__dirname, '..', 'logs', `compare_${Date.now()}.html`);
+    generator.writeComparison(reports, out);
+    console.log(`Comparison saved to: ${out}`);
+    return;
+  }
+
+  if (!config.results) {
+    console.error('Usage: node scripts/backtest-report.js --results <file> [--out dir] [--name label]');
+    console.error('       node scripts/backtest-report.js --compare <a.json,b.json> [--out file.html]');
+    process.exit(2);
+  }
+
+  const report = generator.load(config.results);
+  if (config.name) report.name = config.name;
+  const { html, json } = generator.write(report, {
+    outputDir: config.out || path.dirname(config.results),
+    fileName: `report_${path.basename(config.results, '.json')}`
+  });
+  console.log(`Report saved to: ${html}`);
+  console.log(`Report data:     ${json}`);
+}
+
+main();
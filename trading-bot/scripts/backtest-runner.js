@@ -4,129 +4,66 @@
  * 
  * Runs backtests with configurable parameters and outputs results.
  * Usage: node scripts/backtest-runner.js --symbol BTCUSDTM --timeframe 15min --days 30
+ * Portfolio: node scripts/backtest-runner.js --symbols XBTUSDTM,ETHUSDTM,SOLUSDTM --max-positions 5
+ * Add --offline to read candles from the local store (data/kucoin-ohlcv, data/ohlcv) only.
+ * Scale-out: --tp-ladder 10:40,20:30 (roi:percent, remainder trails; defaults to TP_LADDER like the live engine)
+ * Fills: --fill-model legacy|conservative|realistic|limit, --intrabar 1min (resolve bars with lower-timeframe candles)
+ * Intrabar signals: --intrabar-signals true (with --intrabar; also score entries while each bar forms)
+ * Funding: --funding history|off|<rate> (historical settlements, none, or a flat 8h rate), --liquidation false
+ * Report: HTML + JSON report next to the results (--report false to skip); compare runs with scripts/backtest-report.js
+ * Grid parameters (RSI_PERIOD, STOP_LOSS_ROI, LEVERAGE_DEFAULT, ... see PARAM_OVERRIDES) are read from the
+ * environment; scripts/optimize.js sets them per run and builds its worker tasks from resolveConfig() too.
  */
 
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 
 const BacktestEngine = require('../src/backtest/BacktestEngine');
-const {
-  RSIIndicator,
-  MACDIndicator,
-  BollingerBands,
-  EMATrend,
-  WilliamsRIndicator,
-  AwesomeOscillator,
-  StochasticIndicator,
-  KDJIndicator,
-  OBVIndicator
-} = require('../src/indicators');
-
-const KUCOIN_FUTURES_REST = 'https://api-futures.kucoin.com';
+const CandleRepository = require('../src/data/CandleRepository');
+const ReportGenerator = require('../src/backtest/ReportGenerator');
+const { calculateIndicatorSeries, calculateIntrabarSeries } = require('../src/backtest/IndicatorPipeline');
 
-async function fetchHistoricalCandles(symbol, timeframe, startTime, endTime) {
-  const granularity = timeframeToMinutes(timeframe);
-  const candles = [];
-  let currentStart = startTime;
-  
-  while (currentStart < endTime) {
-    try {
-      const response = await axios.get(`${KUCOIN_FUTURES_REST}/api/v1/kline/query`, {
-        params: {
-          symbol,
-          granularity,
-          from: currentStart,
-          to: Math.min(currentStart + 200 * granularity * 60 * 1000, endTime)
-        }
-      });
-      
-      if (response.data.code === '200000' && response.data.data) {
-        for (const candle of response.data.data) {
-          candles.push({
-            ts: candle[0],
-            open: parseFloat(candle[1]),
-            high: parseFloat(candle[2]),
-            low: parseFloat(candle[3]),
-            close: parseFloat(candle[4]),
-            volume: parseFloat(candle[5])
-          });
-        }
-        
-        currentStart = candles[candles.length - 1].ts + granularity * 60 * 1000;
-      } else {
-        break;
-      }
-      
-      await new Promise(r => setTimeout(r, 200));
-    } catch (error) {
-      console.error('Error fetching candles:', error.message);
-      break;
-    }
-  }
-  
-  return candles.sort((a, b) => a.ts - b.ts);
-}
+let repository = new CandleRepository({ offline: process.argv.includes('--offline') });
 
-function timeframeToMinutes(tf) {
-  const map = {
-    '1min': 1,
-    '5min': 5,
-    '15min': 15,
-    '30min': 30,
-    '1hour': 60,
-    '4hour': 240,
-    '1day': 1440
-  };
-  return map[tf] || 15;
-}
+// Grid parameter (environment variable) -> config field
+const PARAM_OVERRIDES = {
+  RSI_PERIOD: ['indicatorParams', 'rsi', 'period'],
+  RSI_OVERSOLD: ['indicatorParams', 'rsi', 'oversold'],
+  RSI_OVERBOUGHT: ['indicatorParams', 'rsi', 'overbought'],
+  MACD_FAST: ['indicatorParams', 'macd', 'fastPeriod'],
+  MACD_SLOW: ['indicatorParams', 'macd', 'slowPeriod'],
+  MACD_SIGNAL: ['indicatorParams', 'macd', 'signalPeriod'],
+  BOLLINGER_PERIOD: ['indicatorParams', 'bollinger', 'period'],
+  BOLLINGER_STDDEV: ['indicatorParams', 'bollinger', 'stdDev'],
+  STOCH_K_PERIOD: ['indicatorParams', 'stochastic', 'kPeriod'],
+  STOCH_OVERSOLD: ['indicatorParams', 'stochastic', 'oversold'],
+  STOCH_OVERBOUGHT: ['indicatorParams', 'stochastic', 'overbought'],
+  SIGNAL_MIN_SCORE: ['minScore'],
+  STOP_LOSS_ROI: ['stopLossROI'],
+  TAKE_PROFIT_ROI: ['takeProfitROI'],
+  LEVERAGE_DEFAULT: ['leverage']
+};
 
-function calculateIndicators(candles) {
-  // Initialize all 9 historical indicators (DOM excluded - requires live data)
-  // OPTIMIZED 2026-01-14: Tighter thresholds for higher conviction signals
-  const rsi = new RSIIndicator({ period: 14, oversold: 35, overbought: 65 });  // Tighter
-  const macd = new MACDIndicator({ fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 });
-  const bb = new BollingerBands({ period: 20, stdDev: 2.5 });  // Wider bands
-  const ema = new EMATrend({ shortPeriod: 9, mediumPeriod: 21, longPeriod: 50 });
-  const williamsR = new WilliamsRIndicator({ period: 14, oversold: -85, overbought: -15 });  // Tighter
-  const ao = new AwesomeOscillator({ fastPeriod: 5, slowPeriod: 34 });
-  const stochastic = new StochasticIndicator({ kPeriod: 14, dPeriod: 3, smooth: 3 });
-  const kdj = new KDJIndicator({ kPeriod: 21, dPeriod: 3, smooth: 3 });  // Longer K period
-  const obv = new OBVIndicator({ slopeWindow: 14, smoothingEma: 5 });
-
-  const indicators = {
-    rsi: [],
-    macd: [],
-    bollinger: [],
-    emaTrend: [],
-    williamsR: [],
-    ao: [],
-    stochastic: [],
-    kdj: [],
-    obv: []
-  };
-
-  for (const candle of candles) {
-    // All indicators need high/low/close/volume for proper calculation
-    const candleData = {
-      high: candle.high,
-      low: candle.low,
-      close: candle.close,
-      volume: candle.volume
-    };
+/**
+ * Candle store the runner reads from (tests and callers that load data
+ * themselves point it elsewhere)
+ */
+function setRepository(next) {
+  repository = next;
+}
 
-    indicators.rsi.push(rsi.update(candleData));
-    indicators.macd.push(macd.update(candleData));
-    indicators.bollinger.push(bb.update(candleData));
-    indicators.emaTrend.push(ema.update(candleData));
-    indicators.williamsR.push(williamsR.update(candleData));
-    indicators.ao.push(ao.update(candleData));
-    indicators.stochastic.push(stochastic.update(candleData));
-    indicators.kdj.push(kdj.update(candleData));
-    indicators.obv.push(obv.update(candleData));
+async function fetchHistoricalCandles(symbol, timeframe, startTime, endTime) {
+  try {
+    if (repository.offline) {
+      // Offline windows are anchored to the newest stored candle for reproducibility
+      const limit = Math.ceil((endTime - startTime) / CandleRepository.timeframeToMs(timeframe));
+      return await repository.getCandles(symbol, timeframe, { limit });
+    }
+    return await repository.getCandles(symbol, timeframe, { start: startTime, end: endTime });
+  } catch (error) {
+    console.error('Error fetching candles:', error.message);
+    return [];
   }
-
-  return indicators;
 }
 
 async function runBacktest(config) {
@@ -138,6 +75,9 @@ async function runBacktest(config) {
   console.log(`Period: ${config.days} days`);
   console.log(`Initial Balance: $${config.initialBalance}`);
   console.log(`Leverage: ${config.leverage}x`);
+  if (config.takeProfitLadder) console.log(`TP Ladder: ${config.takeProfitLadder}`);
+  console.log(`Fill Model: ${config.fillModel}${config.intrabar ? ` (intrabar ${config.intrabar})` : ''}`);
+  console.log(`Data: ${repository.offline ? 'offline (local store)' : 'KuCoin REST'}`);
   console.log('='.repeat(60) + '\n');
   
   console.log('Fetching historical data...');
@@ -152,31 +92,21 @@ async function runBacktest(config) {
     return;
   }
   
+  const intrabarCandles = await fetchIntrabarCandles(config, config.symbol, candles);
+  const fundingRates = await fetchFundingRates(config, config.symbol, candles);
+
   console.log('Calculating indicators...');
-  const indicators = calculateIndicators(candles);
+  const indicators = calculateIndicatorSeries(candles, config.indicatorParams);
+  const intrabarSignals = buildIntrabarSignals(config, candles, intrabarCandles);
   
   console.log('Running backtest...');
-  const engine = new BacktestEngine({
-    initialBalance: config.initialBalance,
-    leverage: config.leverage,
-    riskPerTrade: config.riskPerTrade,
-    commission: config.commission,
-    // Trailing Stop settings
-    trailingStopEnabled: config.trailingStopEnabled,
-    trailingStopActivation: config.trailingStopActivation,
-    trailingStopTrail: config.trailingStopTrail,
-    // Break-Even settings
-    breakEvenEnabled: config.breakEvenEnabled,
-    breakEvenActivation: config.breakEvenActivation,
-    breakEvenBuffer: config.breakEvenBuffer
-  });
+  const engine = createEngine(config);
   
   const results = await engine.runBacktest(candles, indicators, {
-    warmupPeriod: 250,  // EMA200 needs 200+ candles to initialize
-    stopLossROI: config.stopLossROI,
-    takeProfitROI: config.takeProfitROI,
-    minSignalScore: config.minScore || 50,  // Higher threshold for better signals
-    invertSignals: config.invertSignals || false  // Invert buy/sell signals
+    ...backtestOptions(config),
+    intrabarCandles,
+    fundingRates,
+    intrabarSignals
   });
   
   console.log('\n' + '='.repeat(60));
@@ -192,9 +122,16 @@ async function runBacktest(config) {
   console.log(`Profit Factor:      ${results.profitFactor}`);
   console.log(`Sharpe Ratio:       ${results.sharpeRatio}`);
   console.log(`Max Drawdown:       ${results.maxDrawdown}%`);
+  if (results.fillStats.limitOrders > 0 || results.fillStats.gappedStops > 0) {
+    console.log(`Fills:              ${JSON.stringify(results.fillStats)}`);
+  }
+  console.log(`Funding PnL:        $${results.fundingPnL.toFixed(2)} (${results.fundingStats.payments} payments)`);
+  console.log(`Liquidations:       ${results.liquidations}`);
+  if (intrabarSignals) console.log(`Intrabar Entries:   ${results.intrabarEntries}`);
   console.log(`Average Win:        $${results.avgWin}`);
   console.log(`Average Loss:       $${results.avgLoss}`);
   console.log('='.repeat(60) + '\n');
+  if (config.save === false) return results;
   
   const outputDir = path.join(__dirname, '..', 'logs');
   if (!fs.existsSync(outputDir)) {
@@ -204,12 +141,183 @@ async function runBacktest(config) {
   const outputFile = path.join(outputDir, `backtest_${config.symbol}_${Date.now()}.json`);
   fs.writeFileSync(outputFile, JSON.stringify(results, null, 2));
   console.log(`Results saved to: ${outputFile}`);
+  writeReport(config, results, outputFile, { name: `${config.symbol} ${config.timeframe}`, symbol: config.symbol });
   
   return results;
 }
 
-function parseArgs() {
-  const args = process.argv.slice(2);
+function writeReport(config, results, outputFile, meta) {
+  if (!config.report) return;
+  const { html } = new ReportGenerator().write(results, {
+    ...meta,
+    timeframe: config.timeframe,
+    config,
+    outputDir: path.dirname(outputFile),
+    fileName: `report_${path.basename(outputFile, '.json')}`
+  });
+  console.log(`Report saved to:  ${html}`);
+}
+
+// Lower-timeframe candles covering the run, used by the fill model to order stop/target hits
+async function fetchIntrabarCandles(config, symbol, candles) {
+  if (!config.intrabar || candles.length === 0) return null;
+
+  const start = candles[0].ts;
+  const end = candles[candles.length - 1].ts + CandleRepository.timeframeToMs(config.timeframe);
+  const subCandles = await fetchHistoricalCandles(symbol, config.intrabar, start, end);
+  const inRange = subCandles.filter(c => c.ts >= start && c.ts < end);
+  console.log(`${symbol}: ${inRange.length} ${config.intrabar} intrabar candles`);
+  return inRange;
+}
+
+// Funding settlements covering the run: stored/fetched history, a flat rate, or none
+async function fetchFundingRates(config, symbol, candles) {
+  if (config.funding === 'off' || candles.length === 0) return null;
+  if (config.funding !== 'history') return parseFloat(config.funding);
+
+  try {
+    const rates = await repository.getFundingRates(symbol, {
+      start: candles[0].ts,
+      end: candles[candles.length - 1].ts
+    });
+    console.log(`${symbol}: ${rates.length} funding settlements`);
+    return rates.length > 0 ? rates : null;
+  } catch (error) {
+    console.warn(`${symbol}: no funding history (${error.message})`);
+    return null;
+  }
+}
+
+// Per-bar provisional indicator values for intrabar entries (needs the intrabar candles)
+function buildIntrabarSignals(config, candles, intrabarCandles) {
+  if (!config.intrabarSignals) return null;
+  if (!intrabarCandles || intrabarCandles.length === 0) {
+    console.warn('Intrabar signals need --intrabar candles; evaluating at bar close only');
+    return null;
+  }
+  return calculateIntrabarSeries(candles, intrabarCandles);
+}
+
+function createEngine(config) {
+  return new BacktestEngine(engineConfig(config));
+}
+
+/**
+ * BacktestEngine constructor config for a resolved runner config
+ */
+function engineConfig(config) {
+  return {
+    initialBalance: config.initialBalance,
+    leverage: config.leverage,
+    riskPerTrade: config.riskPerTrade,
+    commission: config.commission,
+    trailingStopEnabled: config.trailingStopEnabled,
+    trailingStopActivation: config.trailingStopActivation,
+    trailingStopTrail: config.trailingStopTrail,
+    breakEvenEnabled: config.breakEvenEnabled,
+    breakEvenActivation: config.breakEvenActivation,
+    breakEvenBuffer: config.breakEvenBuffer,
+    takeProfitLadder: config.takeProfitLadder,
+    maxOpenPositions: config.maxOpenPositions,
+    maxTotalExposure: config.maxTotalExposure,
+    fillModel: config.fillModel,
+    liquidation: config.liquidation
+  };
+}
+
+/**
+ * runBacktest() / runPortfolioBacktest() options for a resolved runner config
+ * (data-dependent inputs like funding and intrabar candles are added by the caller)
+ */
+function backtestOptions(config) {
+  return {
+    warmupPeriod: 250,  // EMA200 needs 200+ candles to initialize
+    stopLossROI: config.stopLossROI,
+    takeProfitROI: config.takeProfitROI,
+    minSignalScore: config.minScore || 50,  // Higher threshold for better signals
+    invertSignals: config.invertSignals || false  // Invert buy/sell signals
+  };
+}
+
+async function runPortfolioBacktest(config) {
+  console.log('\n' + '='.repeat(60));
+  console.log('PORTFOLIO BACKTEST RUNNER v5.0');
+  console.log('='.repeat(60));
+  console.log(`Symbols: ${config.symbols.join(', ')}`);
+  console.log(`Timeframe: ${config.timeframe}`);
+  console.log(`Period: ${config.days} days`);
+  console.log(`Max Positions: ${config.maxOpenPositions}`);
+  console.log(`Fill Model: ${config.fillModel}${config.intrabar ? ` (intrabar ${config.intrabar})` : ''}`);
+  console.log('='.repeat(60) + '\n');
+
+  const endTime = Date.now();
+  const startTime = endTime - config.days * 24 * 60 * 60 * 1000;
+  const streams = {};
+
+  for (const symbol of config.symbols) {
+    const candles = await fetchHistoricalCandles(symbol, config.timeframe, startTime, endTime);
+    console.log(`${symbol}: fetched ${candles.length} candles`);
+    if (candles.length < 100) {
+      console.warn(`${symbol}: insufficient data, skipping`);
+      continue;
+    }
+    const intrabarCandles = await fetchIntrabarCandles(config, symbol, candles);
+    streams[symbol] = {
+      candles,
+      indicators: calculateIndicatorSeries(candles, config.indicatorParams),
+      intrabarCandles,
+      fundingRates: await fetchFundingRates(config, symbol, candles),
+      intrabarSignals: buildIntrabarSignals(config, candles, intrabarCandles)
+    };
+  }
+
+  if (Object.keys(streams).length === 0) {
+    console.error('Insufficient data for backtest');
+    return;
+  }
+
+  const engine = createEngine(config);
+  const results = await engine.runPortfolioBacktest(streams, backtestOptions(config));
+
+  console.log('\n' + '='.repeat(60));
+  console.log('PORTFOLIO RESULTS');
+  console.log('='.repeat(60));
+  console.log(`Final Balance:      $${results.finalBalance.toFixed(2)}`);
+  console.log(`Total Return:       ${results.totalReturn}%`);
+  console.log(`Total Trades:       ${results.totalTrades}`);
+  console.log(`Win Rate:           ${results.winRate}%`);
+  console.log(`Profit Factor:      ${results.profitFactor}`);
+  console.log(`Max Drawdown:       ${results.maxDrawdown}%`);
+  console.log(`Rejected Entries:   ${JSON.stringify(results.rejectedEntries)}`);
+  console.log(`Fills:              ${JSON.stringify(results.fillStats)}`);
+  console.log(`Funding PnL:        $${results.fundingPnL.toFixed(2)} (${results.fundingStats.payments} payments)`);
+  console.log(`Liquidations:       ${results.liquidations}`);
+  if (config.intrabarSignals) console.log(`Intrabar Entries:   ${results.intrabarEntries}`);
+  console.log('-'.repeat(60));
+  for (const [symbol, r] of Object.entries(results.perSymbol)) {
+    console.log(`${symbol.padEnd(12)} trades=${r.totalTrades} WR=${r.winRate}% PF=${r.profitFactor} PnL=$${r.netPnL.toFixed(2)} ` +
+      `funding=$${r.fundingPnL.toFixed(2)} liq=${r.liquidations}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  const outputDir = path.join(__dirname, '..', 'logs');
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const outputFile = path.join(outputDir, `backtest_portfolio_${Date.now()}.json`);
+  fs.writeFileSync(outputFile, JSON.stringify(results, null, 2));
+  console.log(`Results saved to: ${outputFile}`);
+  writeReport(config, results, outputFile, { name: `Portfolio ${config.timeframe}`, symbols: results.symbols });
+
+  return results;
+}
+
+/**
+ * Default config with grid parameters from `env` applied (PARAM_OVERRIDES)
+ * @param {Object} env - Variables as strings or numbers (default process.env)
+ */
+function resolveConfig(env = process.env) {
   // OPTIMIZED CONFIG 2026-01-16: 50% WR, 2.10 PF on SOL 15min
   const config = {
     symbol: 'SOLUSDTM',  // Best performer - SOL has highest PF
@@ -222,6 +330,16 @@ function parseArgs() {
     // OPTIMIZED 2026-01-16: Tight SL is KEY to high PF
     stopLossROI: 10,     // Tightened to 10% ROI - cuts losers fast, PF 2.10
     takeProfitROI: 100,  // TP rarely hit - trailing stop exits most trades
+    takeProfitLadder: env.TP_LADDER || null,  // Replaces takeProfitROI when set
+    // Fill model preset (src/backtest/FillModel.js); legacy = close fills, stop before target
+    fillModel: 'legacy',
+    intrabar: null,      // e.g. '1min' to resolve which level a bar hit first
+    intrabarSignals: false,  // Also evaluate entries on the forming bar (needs intrabar)
+    // Funding: 'history' (data/funding or KuCoin REST), 'off', or a flat rate per 8h settlement
+    funding: 'history',
+    liquidation: true,   // Force-close at the liquidation price
+    report: true,        // HTML + JSON report next to the results file
+    save: true,          // Write the results file (false: only return the results)
     // Break-Even DISABLED - was cutting winners too early
     breakEvenEnabled: false,
     breakEvenActivation: 50,
@@ -233,8 +351,32 @@ function parseArgs() {
     // Signal quality - 85 optimal (70=too noisy, 95=too few trades)
     minScore: 85,
     // Signal inversion disabled - normal signals work
-    invertSignals: false
+    invertSignals: false,
+    // Portfolio mode (--symbols) - limits match agents/risk-agent.js
+    symbols: null,
+    maxOpenPositions: 5,
+    maxTotalExposure: 10,
+    // Indicator overrides for IndicatorPipeline (defaults there)
+    indicatorParams: {}
   };
+
+  for (const [name, target] of Object.entries(PARAM_OVERRIDES)) {
+    if (env[name] === undefined || env[name] === '') continue;
+
+    let node = config;
+    for (const key of target.slice(0, -1)) {
+      node = node[key] = node[key] || {};
+    }
+    node[target[target.length - 1]] = parseFloat(env[name]);
+  }
+
+  return config;
+}
+
+function parseArgs() {
+  // --offline is a bare flag; everything else is --key value
+  const args = process.argv.slice(2).filter(a => a !== '--offline');
+  const config = resolveConfig();
   
   for (let i = 0; i < args.length; i += 2) {
     const key = args[i].replace('--', '');
@@ -265,12 +407,42 @@ function parseArgs() {
       case 'tp':
         config.takeProfitROI = parseFloat(value);
         break;
+      case 'tp-ladder':
+        config.takeProfitLadder = value;
+        break;
+      case 'fill-model':
+        config.fillModel = value;
+        break;
+      case 'intrabar':
+        config.intrabar = value;
+        break;
+      case 'intrabar-signals':
+        config.intrabarSignals = value !== 'false';
+        break;
+      case 'funding':
+        config.funding = value;
+        break;
+      case 'liquidation':
+        config.liquidation = value !== 'false';
+        break;
+      case 'report':
+        config.report = value !== 'false';
+        break;
       case 'score':
         config.minScore = parseInt(value);
         break;
       case 'invert':
         config.invertSignals = value === 'true';
         break;
+      case 'symbols':
+        config.symbols = value.split(',').map(s => s.trim()).filter(Boolean);
+        break;
+      case 'max-positions':
+        config.maxOpenPositions = parseInt(value);
+        break;
+      case 'max-exposure':
+        config.maxTotalExposure = parseFloat(value);
+        break;
     }
   }
   
@@ -279,7 +451,18 @@ function parseArgs() {
 
 if (require.main === module) {
   const config = parseArgs();
-  runBacktest(config).catch(console.error);
+  const run = config.symbols ? runPortfolioBacktest : runBacktest;
+  run(config).catch(console.error);
 }
 
-module.exports = { runBacktest, fetchHistoricalCandles };
+module.exports = {
+  runBacktest,
+  runPortfolioBacktest,
+  fetchHistoricalCandles,
+  fetchFundingRates,
+  resolveConfig,
+  engineConfig,
+  backtestOptions,
+  setRepository,
+  PARAM_OVERRIDES
+};
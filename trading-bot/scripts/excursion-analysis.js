@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Excursion Analysis Script
+ *
+ * Reads closed trades (backtest results/reports, logs/trades-<mode>.json,
+ * logs/trades.json, logs/demo-trading.json) and prints MAE/MFE statistics with
+ * stop / target / trailing suggestions per symbol and regime
+ * (research/optimize/excursions.js).
+ *
+ * Usage: node scripts/excursion-analysis.js --trades logs/backtest_ETHUSDTM_1700000000000.json[,logs/trades-paper.json]
+ *        [--min-trades 20] [--stop-coverage 0.9] [--trail-coverage 0.5] [--out logs/excursions.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { analyzeExcursions, extractTrades } = require('../research/optimize/excursions');
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = { trades: [], out: null, options: {} };
+
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace('--', '');
+    const value = args[i + 1];
+
+    switch (key) {
+      case 'trades': config.trades = value.split(',').map(s => s.trim()).filter(Boolean); break;
+      case 'min-trades': config.options.minTrades = parseInt(value); break;
+      case 'stop-coverage': config.options.stopCoverage = parseFloat(value); break;
+      case 'trail-coverage': config.options.trailCoverage = parseFloat(value); break;
+      case 'out': config.out = value; break;
+    }
+  }
+
+  return config;
+}
+
+function fmt(value, digits = 1) {
+  return value === null || value === undefined ? '-' : value.toFixed(digits);
+}
+
+function printGroup(group) {
+  const s = group.suggestion;
+  const settings = s
+    ? `SL ${fmt(s.stopLossROI)}  TP ${fmt(s.takeProfitROI)}  trail ${fmt(s.trailingActivation)}/${fmt(s.trailingDistance)}`
+    : (group.insufficient ? 'too few trades' : 'no winners');
+
+  console.log(
+    `${group.key.padEnd(28)} ${String(group.trades).padStart(5)} ${fmt(group.winRate).padStart(6)}%` +
+    `  MAE p50/p90 ${fmt(group.mae.p50)}/${fmt(group.mae.p90)}` +
+    `  MFE p50/p90 ${fmt(group.mfe.p50)}/${fmt(group.mfe.p90)}` +
+    `  bars p50 ${fmt(group.barsHeld && group.barsHeld.p50, 0)}` +
+    `  | ${settings}`
+  );
+}
+
+function main() {
+  const config = parseArgs();
+  if (config.trades.length === 0) {
+    console.error('Usage: node scripts/excursion-analysis.js --trades <a.json,b.json> [--min-trades 20] [--out file.json]');
+    process.exit(2);
+  }
+
+  const trades = config.trades.flatMap(file => extractTrades(JSON.parse(fs.readFileSync(file, 'utf8'))));
+  const analysis = analyzeExcursions(trades, config.options);
+
+  console.log(`\nExcursion analysis: ${analysis.trades} trades (${analysis.skipped} without excursions skipped)\n`);
+  console.log(`${'Group'.padEnd(28)} ${'Trades'.padStart(5)} ${'Win'.padStart(7)}   (ROI%)`);
+  console.log('-'.repeat(120));
+  for (const group of analysis.groups) {
+    printGroup(group);
+  }
+
+  if (config.out) {
+    fs.mkdirSync(path.dirname(config.out), { recursive: true });
+    fs.writeFileSync(config.out, JSON.stringify(analysis, null, 2));
+    console.log(`\nAnalysis saved to: ${config.out}`);
+  }
+}
+
+main();
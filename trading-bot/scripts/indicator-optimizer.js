@@ -2,24 +2,14 @@
 /**
  * Indicator Optimizer - Tests individual indicators on 5min and 30min charts
  * Optimizes parameters for each indicator one at a time
+ *
+ * Usage: node scripts/indicator-optimizer.js <indicator> [--offline] [--workers N]
  */
 
-const axios = require('axios');
-const {
-  RSIIndicator,
-  MACDIndicator,
-  BollingerBands,
-  EMATrend,
-  WilliamsRIndicator,
-  AwesomeOscillator,
-  StochasticIndicator,
-  KDJIndicator,
-  OBVIndicator,
-  VolumeRatioIndicator,
-  PumpAlertIndicator
-} = require('../src/indicators');
-
-const KUCOIN_FUTURES_REST = 'https://api-futures.kucoin.com';
+const path = require('path');
+const CandleRepository = require('../src/data/CandleRepository');
+const WorkerPool = require('../research/optimize/worker-pool');
+const { runIndicatorBacktest } = require('../research/optimize/indicator-backtest');
 
 // Test symbols
 const TEST_SYMBOLS = ['XBTUSDTM', 'ETHUSDTM', 'SOLUSDTM'];
@@ -27,127 +17,119 @@ const TEST_SYMBOLS = ['XBTUSDTM', 'ETHUSDTM', 'SOLUSDTM'];
 // Timeframes to test
 const TIMEFRAMES = [5, 15, 30, 60]; // 5min, 15min, 30min, and 1hour
 
+const INDICATOR_WORKER = path.join(__dirname, '../research/optimize/indicator-worker.js');
+
 // Parse command line args
-const args = process.argv.slice(2);
+const argv = process.argv.slice(2);
+const workersIndex = argv.indexOf('--workers');
+const CONFIG = {
+  offline: argv.includes('--offline'),
+  workers: workersIndex >= 0 ? parseInt(argv[workersIndex + 1]) || 0 : 0  // >1 runs backtests in worker threads
+};
+const args = argv.filter((a, i) => !a.startsWith('--') && !(workersIndex >= 0 && i === workersIndex + 1));
 let indicatorName = args[0] || 'rsi';
 
-async function fetchCandles(symbol, granularity, count = 500) {
-  try {
-    const now = Date.now();
-    const start = now - count * granularity * 60 * 1000;
-
-    const response = await axios.get(`${KUCOIN_FUTURES_REST}/api/v1/kline/query`, {
-      params: { symbol, granularity, from: start, to: now }
-    });
+// Candle source: local store with --offline, KuCoin REST otherwise
+let repository = new CandleRepository({ offline: CONFIG.offline });
 
-    if (response.data.code !== '200000' || !response.data.data) {
-      return [];
-    }
+function setRepository(next) {
+  repository = next;
+}
 
-    return response.data.data.map(c => ({
-      ts: c[0],
-      open: parseFloat(c[1]),
-      high: parseFloat(c[2]),
-      low: parseFloat(c[3]),
-      close: parseFloat(c[4]),
-      volume: parseFloat(c[5])
-    }));
+async function fetchCandles(symbol, granularity, count = 500) {
+  try {
+    return await repository.getCandles(symbol, granularity, { limit: count });
   } catch (error) {
     console.error('Error fetching candles:', error.message);
     return [];
   }
 }
 
-// Simple backtest: trade on signals, measure results
-function backtestIndicator(candles, indicator, getSignalDirection) {
-  if (candles.length < 100) return null;
-
-  const trades = [];
-  let position = null;
-  const entryFee = 0.0006;
-  const exitFee = 0.0006;
-
-  // Skip first 50 candles for warmup
-  for (let i = 50; i < candles.length; i++) {
-    const candle = candles[i];
-    const result = indicator.update({
-      high: candle.high,
-      low: candle.low,
-      close: candle.close,
-      volume: candle.volume
-    });
+function accumulate(totals, backtest) {
+  if (backtest) {
+    totals.totalWinRate += parseFloat(backtest.winRate);
+    totals.totalRoi += parseFloat(backtest.totalRoi);
+    totals.totalTrades += backtest.totalTrades;
+    totals.symbolCount++;
+  }
+  return totals;
+}
 
-    const direction = getSignalDirection(result);
-
-    // Check exit first
-    if (position) {
-      const holdingBars = i - position.entryIndex;
-      const roi = position.side === 'long'
-        ? ((candle.close - position.entryPrice) / position.entryPrice) * 100
-        : ((position.entryPrice - candle.close) / position.entryPrice) * 100;
-
-      // Exit conditions: TP at 2%, SL at -1%, max hold 20 bars, or opposite signal
-      const oppositeSignal = (position.side === 'long' && direction === 'short') ||
-                            (position.side === 'short' && direction === 'long');
-
-      if (roi >= 2 || roi <= -1 || holdingBars >= 20 || oppositeSignal) {
-        const netRoi = roi - (entryFee + exitFee) * 100;
-        trades.push({
-          side: position.side,
-          entryPrice: position.entryPrice,
-          exitPrice: candle.close,
-          roi: netRoi,
-          holdingBars,
-          exitReason: roi >= 2 ? 'TP' : roi <= -1 ? 'SL' : holdingBars >= 20 ? 'TIME' : 'SIGNAL'
-        });
-        position = null;
-      }
-    }
+function emptyTotals() {
+  return { totalWinRate: 0, totalRoi: 0, totalTrades: 0, symbolCount: 0 };
+}
+
+// Backtest every parameter set on every test symbol and sum the per-symbol stats.
+// Returns one { totalWinRate, totalRoi, totalTrades, symbolCount } per parameter set.
+async function evaluateParamSets(name, tf, paramSets) {
+  if (CONFIG.workers > 1) {
+    return evaluateParamSetsParallel(name, tf, paramSets);
+  }
 
-    // Check entry
-    if (!position && direction) {
-      position = {
-        side: direction,
-        entryPrice: candle.close,
-        entryIndex: i
-      };
+  const evaluations = [];
+
+  for (const params of paramSets) {
+    const totals = emptyTotals();
+
+    for (const symbol of TEST_SYMBOLS) {
+      const candles = await fetchCandles(symbol, tf, 500);
+      if (candles.length < 100) continue;
+
+      accumulate(totals, runIndicatorBacktest(name, params, candles));
+
+      await new Promise(r => setTimeout(r, 100));
     }
+
+    evaluations.push(totals);
   }
 
-  // Close any open position
-  if (position) {
-    const lastCandle = candles[candles.length - 1];
-    const roi = position.side === 'long'
-      ? ((lastCandle.close - position.entryPrice) / position.entryPrice) * 100
-      : ((position.entryPrice - lastCandle.close) / position.entryPrice) * 100;
-    trades.push({
-      side: position.side,
-      entryPrice: position.entryPrice,
-      exitPrice: lastCandle.close,
-      roi: roi - (entryFee + exitFee) * 100,
-      holdingBars: candles.length - position.entryIndex,
-      exitReason: 'EOD'
-    });
+  return evaluations;
+}
+
+// Worker-thread variant: candles are fetched once per symbol and cloned into each
+// worker, then every (params, symbol) pair runs as one task.
+async function evaluateParamSetsParallel(name, tf, paramSets) {
+  const datasets = {};
+  for (const symbol of TEST_SYMBOLS) {
+    const candles = await fetchCandles(symbol, tf, 500);
+    if (candles.length >= 100) datasets[symbol] = candles;
   }
 
-  if (trades.length === 0) return null;
-
-  const wins = trades.filter(t => t.roi > 0);
-  const losses = trades.filter(t => t.roi <= 0);
-  const totalRoi = trades.reduce((sum, t) => sum + t.roi, 0);
-  const grossProfit = wins.reduce((sum, t) => sum + t.roi, 0);
-  const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.roi, 0));
-
-  return {
-    totalTrades: trades.length,
-    winRate: (wins.length / trades.length * 100).toFixed(1),
-    totalRoi: totalRoi.toFixed(2),
-    avgRoi: (totalRoi / trades.length).toFixed(2),
-    profitFactor: grossLoss > 0 ? (grossProfit / grossLoss).toFixed(2) : grossProfit > 0 ? 'INF' : '0.00',
-    avgWin: wins.length > 0 ? (grossProfit / wins.length).toFixed(2) : '0.00',
-    avgLoss: losses.length > 0 ? (grossLoss / losses.length).toFixed(2) : '0.00',
-    trades
-  };
+  const symbols = Object.keys(datasets);
+  if (symbols.length === 0) return paramSets.map(emptyTotals);
+
+  const pool = new WorkerPool({
+    maxWorkers: CONFIG.workers,
+    workerScript: INDICATOR_WORKER,
+    workerData: { datasets }
+  });
+
+  try {
+    await pool.initialize();
+
+    const tasks = [];
+    for (const params of paramSets) {
+      for (const symbol of symbols) {
+        tasks.push({ dataset: symbol, indicator: name, params });
+      }
+    }
+    const outcomes = await pool.map(tasks);
+
+    return paramSets.map((params, p) => {
+      const totals = emptyTotals();
+      for (let s = 0; s < symbols.length; s++) {
+        const outcome = outcomes[p * symbols.length + s];
+        if (!outcome.ok) {
+          console.error(`Backtest failed (${name} ${symbols[s]}): ${outcome.error.message}`);
+          continue;
+        }
+        accumulate(totals, outcome.value);
+      }
+      return totals;
+    });
+  } finally {
+    await pool.shutdown();
+  }
 }
 
 // RSI optimization
@@ -184,41 +166,10 @@ async function optimizeRSI() {
   for (const tf of TIMEFRAMES) {
     console.log(`\n--- Testing ${tf}min Timeframe ---\n`);
 
-    for (const params of paramSets) {
-      let totalWinRate = 0;
-      let totalRoi = 0;
-      let totalTrades = 0;
-      let symbolCount = 0;
-
-      for (const symbol of TEST_SYMBOLS) {
-        const candles = await fetchCandles(symbol, tf, 500);
-        if (candles.length < 100) continue;
-
-        const indicator = new RSIIndicator(params);
-
-        const getDirection = (result) => {
-          if (!result.signals || result.signals.length === 0) return null;
-
-          // Prioritize divergence and crossover signals
-          const divSignal = result.signals.find(s => s.type.includes('divergence'));
-          const crossSignal = result.signals.find(s => s.type.includes('crossover'));
-
-          const signal = divSignal || crossSignal;
-          if (!signal) return null;
-
-          return signal.direction === 'bullish' ? 'long' : 'short';
-        };
+    const evaluations = await evaluateParamSets('rsi', tf, paramSets);
 
-        const backtest = backtestIndicator(candles, indicator, getDirection);
-        if (backtest) {
-          totalWinRate += parseFloat(backtest.winRate);
-          totalRoi += parseFloat(backtest.totalRoi);
-          totalTrades += backtest.totalTrades;
-          symbolCount++;
-        }
-
-        await new Promise(r => setTimeout(r, 100));
-      }
+    for (const [i, params] of paramSets.entries()) {
+      const { totalWinRate, totalRoi, totalTrades, symbolCount } = evaluations[i];
 
       if (symbolCount > 0) {
         const avgWinRate = (totalWinRate / symbolCount).toFixed(1);
@@ -296,40 +247,10 @@ async function optimizeMACD() {
   for (const tf of TIMEFRAMES) {
     console.log(`\n--- Testing ${tf}min Timeframe ---\n`);
 
-    for (const params of paramSets) {
-      let totalWinRate = 0;
-      let totalRoi = 0;
-      let totalTrades = 0;
-      let symbolCount = 0;
-
-      for (const symbol of TEST_SYMBOLS) {
-        const candles = await fetchCandles(symbol, tf, 500);
-        if (candles.length < 100) continue;
-
-        const indicator = new MACDIndicator(params);
-
-        const getDirection = (result) => {
-          if (!result.signals || result.signals.length === 0) return null;
-
-          const divSignal = result.signals.find(s => s.type.includes('divergence'));
-          const crossSignal = result.signals.find(s => s.type.includes('signal_cross'));
-
-          const signal = divSignal || crossSignal;
-          if (!signal) return null;
+    const evaluations = await evaluateParamSets('macd', tf, paramSets);
 
-          return signal.direction === 'bullish' ? 'long' : 'short';
-        };
-
-        const backtest = backtestIndicator(candles, indicator, getDirection);
-        if (backtest) {
-          totalWinRate += parseFloat(backtest.winRate);
-          totalRoi += parseFloat(backtest.totalRoi);
-          totalTrades += backtest.totalTrades;
-          symbolCount++;
-        }
-
-        await new Promise(r => setTimeout(r, 100));
-      }
+    for (const [i, params] of paramSets.entries()) {
+      const { totalWinRate, totalRoi, totalTrades, symbolCount } = evaluations[i];
 
       if (symbolCount > 0) {
         const avgWinRate = (totalWinRate / symbolCount).toFixed(1);
@@ -405,40 +326,10 @@ async function optimizeWilliamsR() {
   for (const tf of TIMEFRAMES) {
     console.log(`\n--- Testing ${tf}min Timeframe ---\n`);
 
-    for (const params of paramSets) {
-      let totalWinRate = 0;
-      let totalRoi = 0;
-      let totalTrades = 0;
-      let symbolCount = 0;
-
-      for (const symbol of TEST_SYMBOLS) {
-        const candles = await fetchCandles(symbol, tf, 500);
-        if (candles.length < 100) continue;
-
-        const indicator = new WilliamsRIndicator(params);
-
-        const getDirection = (result) => {
-          if (!result.signals || result.signals.length === 0) return null;
-
-          const divSignal = result.signals.find(s => s.type.includes('divergence'));
-          const crossSignal = result.signals.find(s => s.type.includes('crossover'));
+    const evaluations = await evaluateParamSets('williams', tf, paramSets);
 
-          const signal = divSignal || crossSignal;
-          if (!signal) return null;
-
-          return signal.direction === 'bullish' ? 'long' : 'short';
-        };
-
-        const backtest = backtestIndicator(candles, indicator, getDirection);
-        if (backtest) {
-          totalWinRate += parseFloat(backtest.winRate);
-          totalRoi += parseFloat(backtest.totalRoi);
-          totalTrades += backtest.totalTrades;
-          symbolCount++;
-        }
-
-        await new Promise(r => setTimeout(r, 100));
-      }
+    for (const [i, params] of paramSets.entries()) {
+      const { totalWinRate, totalRoi, totalTrades, symbolCount } = evaluations[i];
 
       if (symbolCount > 0) {
         const avgWinRate = (totalWinRate / symbolCount).toFixed(1);
@@ -513,40 +404,10 @@ async function optimizeStochastic() {
   for (const tf of TIMEFRAMES) {
     console.log(`\n--- Testing ${tf}min Timeframe ---\n`);
 
-    for (const params of paramSets) {
-      let totalWinRate = 0;
-      let totalRoi = 0;
-      let totalTrades = 0;
-      let symbolCount = 0;
-
-      for (const symbol of TEST_SYMBOLS) {
-        const candles = await fetchCandles(symbol, tf, 500);
-        if (candles.length < 100) continue;
-
-        const indicator = new StochasticIndicator(params);
-
-        const getDirection = (result) => {
-          if (!result.signals || result.signals.length === 0) return null;
+    const evaluations = await evaluateParamSets('stochastic', tf, paramSets);
 
-          const divSignal = result.signals.find(s => s.type.includes('divergence'));
-          const crossSignal = result.signals.find(s => s.type.includes('crossover'));
-
-          const signal = divSignal || crossSignal;
-          if (!signal) return null;
-
-          return signal.direction === 'bullish' ? 'long' : 'short';
-        };
-
-        const backtest = backtestIndicator(candles, indicator, getDirection);
-        if (backtest) {
-          totalWinRate += parseFloat(backtest.winRate);
-          totalRoi += parseFloat(backtest.totalRoi);
-          totalTrades += backtest.totalTrades;
-          symbolCount++;
-        }
-
-        await new Promise(r => setTimeout(r, 100));
-      }
+    for (const [i, params] of paramSets.entries()) {
+      const { totalWinRate, totalRoi, totalTrades, symbolCount } = evaluations[i];
 
       if (symbolCount > 0) {
         const avgWinRate = (totalWinRate / symbolCount).toFixed(1);
@@ -621,40 +482,10 @@ async function optimizeKDJ() {
   for (const tf of TIMEFRAMES) {
     console.log(`\n--- Testing ${tf}min Timeframe ---\n`);
 
-    for (const params of paramSets) {
-      let totalWinRate = 0;
-      let totalRoi = 0;
-      let totalTrades = 0;
-      let symbolCount = 0;
-
-      for (const symbol of TEST_SYMBOLS) {
-        const candles = await fetchCandles(symbol, tf, 500);
-        if (candles.length < 100) continue;
-
-        const indicator = new KDJIndicator(params);
+    const evaluations = await evaluateParamSets('kdj', tf, paramSets);
 
-        const getDirection = (result) => {
-          if (!result.signals || result.signals.length === 0) return null;
-
-          const divSignal = result.signals.find(s => s.type.includes('divergence'));
-          const jSignal = result.signals.find(s => s.type.includes('j_line'));
-
-          const signal = divSignal || jSignal;
-          if (!signal) return null;
-
-          return signal.direction === 'bullish' ? 'long' : 'short';
-        };
-
-        const backtest = backtestIndicator(candles, indicator, getDirection);
-        if (backtest) {
-          totalWinRate += parseFloat(backtest.winRate);
-          totalRoi += parseFloat(backtest.totalRoi);
-          totalTrades += backtest.totalTrades;
-          symbolCount++;
-        }
-
-        await new Promise(r => setTimeout(r, 100));
-      }
+    for (const [i, params] of paramSets.entries()) {
+      const { totalWinRate, totalRoi, totalTrades, symbolCount } = evaluations[i];
 
       if (symbolCount > 0) {
         const avgWinRate = (totalWinRate / symbolCount).toFixed(1);
@@ -731,40 +562,10 @@ async function optimizeBollinger() {
   for (const tf of TIMEFRAMES) {
     console.log(`\n--- Testing ${tf}min Timeframe ---\n`);
 
-    for (const params of paramSets) {
-      let totalWinRate = 0;
-      let totalRoi = 0;
-      let totalTrades = 0;
-      let symbolCount = 0;
-
-      for (const symbol of TEST_SYMBOLS) {
-        const candles = await fetchCandles(symbol, tf, 500);
-        if (candles.length < 100) continue;
+    const evaluations = await evaluateParamSets('bollinger', tf, paramSets);
 
-        const indicator = new BollingerBands(params);
-
-        const getDirection = (result) => {
-          if (!result.signals || result.signals.length === 0) return null;
-
-          const breakout = result.signals.find(s => s.type.includes('breakout'));
-          const squeeze = result.signals.find(s => s.type.includes('squeeze'));
-
-          const signal = breakout || squeeze;
-          if (!signal) return null;
-
-          return signal.direction === 'bullish' ? 'long' : 'short';
-        };
-
-        const backtest = backtestIndicator(candles, indicator, getDirection);
-        if (backtest) {
-          totalWinRate += parseFloat(backtest.winRate);
-          totalRoi += parseFloat(backtest.totalRoi);
-          totalTrades += backtest.totalTrades;
-          symbolCount++;
-        }
-
-        await new Promise(r => setTimeout(r, 100));
-      }
+    for (const [i, params] of paramSets.entries()) {
+      const { totalWinRate, totalRoi, totalTrades, symbolCount } = evaluations[i];
 
       if (symbolCount > 0) {
         const avgWinRate = (totalWinRate / symbolCount).toFixed(1);
@@ -838,38 +639,10 @@ async function optimizeEMATrend() {
   for (const tf of TIMEFRAMES) {
     console.log(`\n--- Testing ${tf}min Timeframe ---\n`);
 
-    for (const params of paramSets) {
-      let totalWinRate = 0;
-      let totalRoi = 0;
-      let totalTrades = 0;
-      let symbolCount = 0;
-
-      for (const symbol of TEST_SYMBOLS) {
-        const candles = await fetchCandles(symbol, tf, 500);
-        if (candles.length < 100) continue;
-
-        const indicator = new EMATrend(params);
-
-        const getDirection = (result) => {
-          if (!result.signals || result.signals.length === 0) return null;
-
-          const cross = result.signals.find(s => s.type.includes('cross'));
-
-          if (!cross) return null;
+    const evaluations = await evaluateParamSets('ema', tf, paramSets);
 
-          return cross.direction === 'bullish' ? 'long' : 'short';
-        };
-
-        const backtest = backtestIndicator(candles, indicator, getDirection);
-        if (backtest) {
-          totalWinRate += parseFloat(backtest.winRate);
-          totalRoi += parseFloat(backtest.totalRoi);
-          totalTrades += backtest.totalTrades;
-          symbolCount++;
-        }
-
-        await new Promise(r => setTimeout(r, 100));
-      }
+    for (const [i, params] of paramSets.entries()) {
+      const { totalWinRate, totalRoi, totalTrades, symbolCount } = evaluations[i];
 
       if (symbolCount > 0) {
         const avgWinRate = (totalWinRate / symbolCount).toFixed(1);
@@ -941,40 +714,10 @@ async function optimizeAO() {
   for (const tf of TIMEFRAMES) {
     console.log(`\n--- Testing ${tf}min Timeframe ---\n`);
 
-    for (const params of paramSets) {
-      let totalWinRate = 0;
-      let totalRoi = 0;
-      let totalTrades = 0;
-      let symbolCount = 0;
-
-      for (const symbol of TEST_SYMBOLS) {
-        const candles = await fetchCandles(symbol, tf, 500);
-        if (candles.length < 100) continue;
-
-        const indicator = new AwesomeOscillator(params);
-
-        const getDirection = (result) => {
-          if (!result.signals || result.signals.length === 0) return null;
-
-          const divSignal = result.signals.find(s => s.type.includes('divergence'));
-          const crossSignal = result.signals.find(s => s.type.includes('zero_cross'));
-
-          const signal = divSignal || crossSignal;
-          if (!signal) return null;
-
-          return signal.direction === 'bullish' ? 'long' : 'short';
-        };
-
-        const backtest = backtestIndicator(candles, indicator, getDirection);
-        if (backtest) {
-          totalWinRate += parseFloat(backtest.winRate);
-          totalRoi += parseFloat(backtest.totalRoi);
-          totalTrades += backtest.totalTrades;
-          symbolCount++;
-        }
+    const evaluations = await evaluateParamSets('ao', tf, paramSets);
 
-        await new Promise(r => setTimeout(r, 100));
-      }
+    for (const [i, params] of paramSets.entries()) {
+      const { totalWinRate, totalRoi, totalTrades, symbolCount } = evaluations[i];
 
       if (symbolCount > 0) {
         const avgWinRate = (totalWinRate / symbolCount).toFixed(1);
@@ -1048,40 +791,10 @@ async function optimizeOBV() {
   for (const tf of TIMEFRAMES) {
     console.log(`\n--- Testing ${tf}min Timeframe ---\n`);
 
-    for (const params of paramSets) {
-      let totalWinRate = 0;
-      let totalRoi = 0;
-      let totalTrades = 0;
-      let symbolCount = 0;
-
-      for (const symbol of TEST_SYMBOLS) {
-        const candles = await fetchCandles(symbol, tf, 500);
-        if (candles.length < 100) continue;
-
-        const indicator = new OBVIndicator(params);
-
-        const getDirection = (result) => {
-          if (!result.signals || result.signals.length === 0) return null;
+    const evaluations = await evaluateParamSets('obv', tf, paramSets);
 
-          const divSignal = result.signals.find(s => s.type.includes('divergence'));
-          const breakoutSignal = result.signals.find(s => s.type.includes('breakout'));
-
-          const signal = divSignal || breakoutSignal;
-          if (!signal) return null;
-
-          return signal.direction === 'bullish' ? 'long' : 'short';
-        };
-
-        const backtest = backtestIndicator(candles, indicator, getDirection);
-        if (backtest) {
-          totalWinRate += parseFloat(backtest.winRate);
-          totalRoi += parseFloat(backtest.totalRoi);
-          totalTrades += backtest.totalTrades;
-          symbolCount++;
-        }
-
-        await new Promise(r => setTimeout(r, 100));
-      }
+    for (const [i, params] of paramSets.entries()) {
+      const { totalWinRate, totalRoi, totalTrades, symbolCount } = evaluations[i];
 
       if (symbolCount > 0) {
         const avgWinRate = (totalWinRate / symbolCount).toFixed(1);
@@ -1158,40 +871,10 @@ async function optimizeVolumeRatio() {
   for (const tf of TIMEFRAMES) {
     console.log(`\n--- Testing ${tf}min Timeframe ---\n`);
 
-    for (const params of paramSets) {
-      let totalWinRate = 0;
-      let totalRoi = 0;
-      let totalTrades = 0;
-      let symbolCount = 0;
-
-      for (const symbol of TEST_SYMBOLS) {
-        const candles = await fetchCandles(symbol, tf, 500);
-        if (candles.length < 100) continue;
-
-        const indicator = new VolumeRatioIndicator(params);
+    const evaluations = await evaluateParamSets('volumeratio', tf, paramSets);
 
-        const getDirection = (result) => {
-          if (!result.signals || result.signals.length === 0) return null;
-
-          const pressureSignal = result.signals.find(s => s.type.includes('pressure'));
-          const divSignal = result.signals.find(s => s.type.includes('divergence'));
-
-          const signal = divSignal || pressureSignal;
-          if (!signal) return null;
-
-          return signal.direction === 'bullish' ? 'long' : 'short';
-        };
-
-        const backtest = backtestIndicator(candles, indicator, getDirection);
-        if (backtest) {
-          totalWinRate += parseFloat(backtest.winRate);
-          totalRoi += parseFloat(backtest.totalRoi);
-          totalTrades += backtest.totalTrades;
-          symbolCount++;
-        }
-
-        await new Promise(r => setTimeout(r, 100));
-      }
+    for (const [i, params] of paramSets.entries()) {
+      const { totalWinRate, totalRoi, totalTrades, symbolCount } = evaluations[i];
 
       if (symbolCount > 0) {
         const avgWinRate = (totalWinRate / symbolCount).toFixed(1);
@@ -1266,52 +949,10 @@ async function optimizePumpAlert() {
   for (const tf of TIMEFRAMES) {
     console.log(`\n--- Testing ${tf}min Timeframe ---\n`);
 
-    for (const params of paramSets) {
-      let totalWinRate = 0;
-      let totalRoi = 0;
-      let totalTrades = 0;
-      let symbolCount = 0;
-
-      for (const symbol of TEST_SYMBOLS) {
-        const candles = await fetchCandles(symbol, tf, 500);
-        if (candles.length < 100) continue;
-
-        const indicator = new PumpAlertIndicator(params);
-
-        const getDirection = (result) => {
-          if (!result.signals || result.signals.length === 0) return null;
-
-          // Look for pump/dump signals - these are contrarian signals
-          const pumpSignal = result.signals.find(s =>
-            s.type.includes('pump') || s.type.includes('dump') ||
-            s.type.includes('volume_spike') || s.type.includes('momentum')
-          );
-
-          if (!pumpSignal) return null;
-
-          // For pump/dump alerts, we trade contrarian
-          // If pump detected, consider shorting (reversal expected)
-          // If dump detected, consider longing (reversal expected)
-          if (pumpSignal.type.includes('pump')) {
-            return 'short'; // Expect reversal after pump
-          } else if (pumpSignal.type.includes('dump')) {
-            return 'long'; // Expect reversal after dump
-          }
-
-          // For momentum signals, trade with the trend
-          return pumpSignal.direction === 'bullish' ? 'long' : 'short';
-        };
-
-        const backtest = backtestIndicator(candles, indicator, getDirection);
-        if (backtest) {
-          totalWinRate += parseFloat(backtest.winRate);
-          totalRoi += parseFloat(backtest.totalRoi);
-          totalTrades += backtest.totalTrades;
-          symbolCount++;
-        }
+    const evaluations = await evaluateParamSets('pumpalert', tf, paramSets);
 
-        await new Promise(r => setTimeout(r, 100));
-      }
+    for (const [i, params] of paramSets.entries()) {
+      const { totalWinRate, totalRoi, totalTrades, symbolCount } = evaluations[i];
 
       if (symbolCount > 0) {
         const avgWinRate = (totalWinRate / symbolCount).toFixed(1);
@@ -1395,7 +1036,7 @@ async function main() {
 
   if (!optimizers[indicatorName]) {
     console.log('\nAvailable indicators: ' + Object.keys(optimizers).join(', '));
-    console.log('Usage: node indicator-optimizer.js <indicator>');
+    console.log('Usage: node indicator-optimizer.js <indicator> [--offline] [--workers N]');
     return;
   }
 
@@ -1406,4 +1047,13 @@ async function main() {
   console.log('='.repeat(70));
 }
 
-main().catch(console.error);
+module.exports = {
+  evaluateParamSets,
+  setRepository,
+  TEST_SYMBOLS,
+  CONFIG
+};
+
+if (require.main === module) {
+  main().catch(console.error);
+}
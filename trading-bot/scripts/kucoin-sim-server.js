@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Simulated KuCoin Futures Server
+ *
+ * Serves the KuCoin Futures REST + WebSocket API locally (src/exchange/KuCoinSimServer)
+ * so the live stack can run end-to-end without touching the real exchange.
+ *
+ * Usage: node scripts/kucoin-sim-server.js [options]
+ *   --port 8090                  Listen port (default 8090)
+ *   --symbols XBTUSDTM,ETHUSDTM  Contracts to serve
+ *   --timeframe 1min             Bar length per market step
+ *   --tick-ms 1000               Wall-clock ms per step (0 = only on SIGUSR2)
+ *   --replay                     Replay local candles (CandleRepository) instead of a random walk
+ *   --seed 42                    Synthetic data seed
+ *   --balance 10000              Starting USDT balance
+ *
+ * Point the clients at it:
+ *   KUCOIN_FUTURES_REST=http://127.0.0.1:8090 node scripts/start-live-trading.js --confirm
+ *
+ * Signed requests are verified when KUCOIN_API_KEY / _SECRET / _PASSPHRASE are set.
+ */
+
+const KuCoinSimServer = require('../src/exchange/KuCoinSimServer');
+const CandleRepository = require('../src/data/CandleRepository');
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = {
+    port: 8090,
+    symbols: (process.env.DEFAULT_SYMBOLS || 'XBTUSDTM,ETHUSDTM').split(','),
+    timeframe: '1min',
+    tickMs: 1000,
+    replay: false,
+    seed: 42,
+    balance: 10000
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--replay') {
+      config.replay = true;
+    } else if (arg === '--port' && args[i + 1]) {
+      config.port = parseInt(args[++i], 10);
+    } else if (arg === '--symbols' && args[i + 1]) {
+      config.symbols = args[++i].split(',');
+    } else if (arg === '--timeframe' && args[i + 1]) {
+      config.timeframe = CandleRepository.normalizeTimeframe(args[++i]);
+    } else if (arg === '--tick-ms' && args[i + 1]) {
+      config.tickMs = parseInt(args[++i], 10);
+    } else if (arg === '--seed' && args[i + 1]) {
+      config.seed = parseInt(args[++i], 10);
+    } else if (arg === '--balance' && args[i + 1]) {
+      config.balance = parseFloat(args[++i]);
+    }
+  }
+
+  return config;
+}
+
+function loadRecorded(symbols, timeframe) {
+  const repo = new CandleRepository({ offline: true });
+  const candles = {};
+
+  for (const symbol of symbols) {
+    try {
+      candles[symbol] = repo.getLocalCandles(symbol, timeframe);
+      console.log(`[KuCoinSim] ${symbol}: replaying ${candles[symbol].length} ${timeframe} candles`);
+    } catch (error) {
+      console.warn(`[KuCoinSim] ${symbol}: ${error.message}, using synthetic data`);
+    }
+  }
+
+  return candles;
+}
+
+async function main() {
+  const config = parseArgs();
+  const credentials = process.env.KUCOIN_API_KEY
+    ? {
+        apiKey: process.env.KUCOIN_API_KEY,
+        apiSecret: process.env.KUCOIN_API_SECRET,
+        apiPassphrase: process.env.KUCOIN_API_PASSPHRASE,
+        apiVersion: process.env.KUCOIN_API_VERSION || '2'
+      }
+    : null;
+
+  const server = new KuCoinSimServer({
+    port: config.port,
+    symbols: config.symbols,
+    intervalMs: CandleRepository.timeframeToMs(config.timeframe),
+    candles: config.replay ? loadRecorded(config.symbols, config.timeframe) : undefined,
+    tickMs: config.tickMs || null,
+    seed: config.seed,
+    balance: config.balance,
+    credentials
+  });
+
+  const { restBase } = await server.start();
+  console.log(`[KuCoinSim] Signature checks: ${credentials ? 'on' : 'off'}`);
+  console.log(`[KuCoinSim] Use KUCOIN_FUTURES_REST=${restBase}`);
+
+  process.on('SIGUSR2', () => server.step());
+  process.on('SIGINT', async () => {
+    await server.stop();
+    console.log(`[KuCoinSim] Stopped after ${server.stats.steps} steps, ${server.stats.requests} requests`);
+    process.exit(0);
+  });
+}
+
+main().catch(error => {
+  console.error('[KuCoinSim] Failed to start:', error.message);
+  process.exit(1);
+});
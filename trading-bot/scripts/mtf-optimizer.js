@@ -3,25 +3,29 @@
  *
  * Tests all timeframe combinations and indicator parameter variations
  * to find optimal settings for signal generation.
+ *
+ * Every pick reports overfitting diagnostics over all the variations tried
+ * (research/optimize/overfitting.js); picks that fail the promotion
+ * thresholds are not recommended.
+ *
+ * Usage: node scripts/mtf-optimizer.js [--offline]
  */
 
-const axios = require('axios');
+const CandleRepository = require('../src/data/CandleRepository');
+const { DEFAULT_THRESHOLDS, diagnoseTrials, formatDiagnostics } = require('../research/optimize/overfitting');
 
-// KuCoin API base
-const API_BASE = 'https://api-futures.kucoin.com';
+// Candle source: local store with --offline, KuCoin REST otherwise
+const repository = new CandleRepository({ offline: process.argv.includes('--offline') });
 
 // All available timeframes
 const TIMEFRAMES = ['5min', '15min', '30min', '1hour', '2hour', '4hour'];
 
-// Timeframe to granularity mapping
-const TF_GRANULARITY = {
-  '1min': 1, '5min': 5, '15min': 15, '30min': 30,
-  '1hour': 60, '2hour': 120, '4hour': 240, '8hour': 480, '12hour': 720, '1day': 1440
-};
-
 // Test symbols (high volume for reliable data)
 const TEST_SYMBOLS = ['XBTUSDTM', 'ETHUSDTM', 'SOLUSDTM', 'XRPUSDTM', 'DOGEUSDTM'];
 
+// Overfitting gate for recommended settings
+const PROMOTION_THRESHOLDS = { ...DEFAULT_THRESHOLDS };
+
 // ============================================================================
 // INDICATOR PARAMETER RANGES TO TEST
 // ============================================================================
@@ -72,21 +76,8 @@ const PARAM_RANGES = {
 // ============================================================================
 
 async function fetchCandles(symbol, timeframe, limit = 500) {
-  const granularity = TF_GRANULARITY[timeframe];
-  const endpoint = `${API_BASE}/api/v1/kline/query?symbol=${symbol}&granularity=${granularity}&from=${Date.now() - limit * granularity * 60 * 1000}&to=${Date.now()}`;
-
   try {
-    const response = await axios.get(endpoint);
-    if (response.data.code === '200000' && response.data.data) {
-      return response.data.data.map(c => ({
-        ts: c[0],
-        open: parseFloat(c[1]),
-        high: parseFloat(c[2]),
-        low: parseFloat(c[3]),
-        close: parseFloat(c[4]),
-        volume: parseFloat(c[5])
-      }));
-    }
+    return await repository.getCandles(symbol, timeframe, { limit });
   } catch (e) {
     console.error(`Failed to fetch ${symbol} ${timeframe}:`, e.message);
   }
@@ -396,7 +387,8 @@ function simulateTrades(candles, scores, threshold = 50) {
         trades.push({
           direction: position.direction,
           pnl: pnl,
-          holdTime: holdTime
+          holdTime: holdTime,
+          exitIndex: i
         });
         position = null;
       }
@@ -406,6 +398,15 @@ function simulateTrades(candles, scores, threshold = 50) {
   return trades;
 }
 
+// Trial series for overfitting diagnostics: per-candle returns (trade PnL on its exit candle)
+function tradeSeries(trades, length) {
+  const returns = new Array(length).fill(0);
+  for (const trade of trades) {
+    if (trade.exitIndex < length) returns[trade.exitIndex] += trade.pnl / 100;
+  }
+  return { returns, trades: trades.map(t => ({ pnl: t.pnl })) };
+}
+
 function evaluatePerformance(trades) {
   if (trades.length === 0) return { winRate: 0, profitFactor: 0, totalPnl: 0, trades: 0 };
 
@@ -433,6 +434,7 @@ async function testTimeframePair(primary, secondary, params) {
 
   let totalPerf = { winRate: 0, profitFactor: 0, totalPnl: 0, trades: 0 };
   let symbolCount = 0;
+  const allTrades = [];
 
   for (const symbol of TEST_SYMBOLS) {
     const primaryCandles = await fetchCandles(symbol, primary, 500);
@@ -464,6 +466,7 @@ async function testTimeframePair(primary, secondary, params) {
 
     const trades = simulateTrades(primaryCandles.slice(50), adjustedScores, 50);
     const perf = evaluatePerformance(trades);
+    allTrades.push(...trades);
 
     totalPerf.winRate += perf.winRate;
     totalPerf.profitFactor += perf.profitFactor;
@@ -482,7 +485,9 @@ async function testTimeframePair(primary, secondary, params) {
     winRate: totalPerf.winRate / symbolCount,
     profitFactor: totalPerf.profitFactor / symbolCount,
     totalPnl: totalPerf.totalPnl,
-    trades: totalPerf.trades
+    trades: totalPerf.trades,
+    // Pairs don't share a time axis: per-trade returns, no PBO
+    series: { returns: allTrades.map(t => t.pnl / 100), trades: allTrades.map(t => ({ pnl: t.pnl })) }
   };
 }
 
@@ -490,6 +495,7 @@ async function optimizeIndicator(indicatorName, paramRange, baseParams, candles)
   console.log(`\n  Optimizing ${indicatorName}...`);
 
   const results = [];
+  const trials = [];
   const keys = Object.keys(paramRange);
 
   // Generate all combinations
@@ -515,10 +521,12 @@ async function optimizeIndicator(indicatorName, paramRange, baseParams, candles)
 
     const trades = simulateTrades(candles.slice(50), scores, 50);
     const perf = evaluatePerformance(trades);
+    trials.push(tradeSeries(trades, scores.length));
 
     if (perf.trades >= 5) {
       results.push({
         params: combo,
+        trialIndex: trials.length - 1,
         ...perf
       });
     }
@@ -527,7 +535,17 @@ async function optimizeIndicator(indicatorName, paramRange, baseParams, candles)
   // Sort by combined score (winRate * profitFactor)
   results.sort((a, b) => (b.winRate * b.profitFactor) - (a.winRate * a.profitFactor));
 
-  return results[0] || null;
+  const best = results[0];
+  if (!best) return null;
+
+  const report = diagnoseTrials(trials, { candidates: [best.trialIndex], thresholds: PROMOTION_THRESHOLDS });
+  const { trialIndex, ...pick } = best;
+  return { ...pick, diagnostics: summarizeDiagnostics(report), summary: formatDiagnostics(report) };
+}
+
+function summarizeDiagnostics(report) {
+  const { index, ...candidate } = report.candidates[0];
+  return { trials: report.trials, pbo: report.pbo, ...candidate };
 }
 
 function sleep(ms) {
@@ -581,6 +599,20 @@ async function runOptimization() {
   // Sort by combined metric
   tfResults.sort((a, b) => (b.winRate * b.profitFactor) - (a.winRate * a.profitFactor));
 
+  if (tfResults.length === 0) {
+    console.log('No timeframe pair had enough data');
+    return;
+  }
+
+  const tfReport = diagnoseTrials(tfResults.map(r => r.series), {
+    candidates: [0],
+    pbo: false,
+    thresholds: PROMOTION_THRESHOLDS
+  });
+  const tfDiagnostics = summarizeDiagnostics(tfReport);
+  for (const result of tfResults) delete result.series;
+  console.log(`\nBest pair diagnostics: ${formatDiagnostics(tfReport)}`);
+
   console.log('\n─────────────────────────────────────────────────────────────');
   console.log('TOP 3 TIMEFRAME PAIRS:');
   console.log('─────────────────────────────────────────────────────────────');
@@ -613,6 +645,7 @@ async function runOptimization() {
   }
 
   let optimizedParams = { ...defaultParams };
+  const indicatorDiagnostics = {};
 
   // Optimize each indicator
   const indicators = ['stochRsi', 'williamsR', 'stochastic', 'ema', 'bollinger', 'kdj', 'ao', 'obv', 'cmf'];
@@ -620,9 +653,14 @@ async function runOptimization() {
   for (const ind of indicators) {
     const best = await optimizeIndicator(ind, PARAM_RANGES[ind], optimizedParams, optCandles);
     if (best) {
-      optimizedParams[ind] = best.params;
+      indicatorDiagnostics[ind] = { params: best.params, ...best.diagnostics };
       console.log(`    ${ind}: ${JSON.stringify(best.params)}`);
-      console.log(`      → WR=${best.winRate.toFixed(1)}% PF=${best.profitFactor.toFixed(2)}\n`);
+      console.log(`      → WR=${best.winRate.toFixed(1)}% PF=${best.profitFactor.toFixed(2)}`);
+      console.log(`      → ${best.summary}\n`);
+      // Refused picks keep the current parameters
+      if (best.diagnostics.promote) {
+        optimizedParams[ind] = best.params;
+      }
     }
     await sleep(200);
   }
@@ -639,6 +677,11 @@ async function runOptimization() {
     console.log(`  ${i + 1}. PRIMARY: ${tf.primary} | SECONDARY: ${tf.secondary}`);
   });
 
+  const refused = Object.entries(indicatorDiagnostics).filter(([, d]) => !d.promote).map(([name]) => name);
+  if (refused.length > 0) {
+    console.log(`\nREFUSED (kept current parameters): ${refused.join(', ')}`);
+  }
+
   console.log('\nOPTIMIZED INDICATOR PARAMETERS:');
   console.log(JSON.stringify(optimizedParams, null, 2));
 
@@ -646,10 +689,14 @@ async function runOptimization() {
   console.log('.ENV SETTINGS TO UPDATE:');
   console.log('─────────────────────────────────────────────────────────────\n');
 
-  console.log(`PRIMARY_TIMEFRAME=${bestTF.primary}`);
-  console.log(`SECONDARY_TIMEFRAME=${bestTF.secondary}`);
-  console.log(`MTF_LTF_TIMEFRAMES=${top3TF[2]?.primary || '5min'},${top3TF[1]?.primary || '15min'}`);
-  console.log(`MTF_HTF_TIMEFRAMES=${top3TF[0]?.secondary || '1hour'},${top3TF[1]?.secondary || '4hour'}`);
+  if (tfDiagnostics.promote) {
+    console.log(`PRIMARY_TIMEFRAME=${bestTF.primary}`);
+    console.log(`SECONDARY_TIMEFRAME=${bestTF.secondary}`);
+    console.log(`MTF_LTF_TIMEFRAMES=${top3TF[2]?.primary || '5min'},${top3TF[1]?.primary || '15min'}`);
+    console.log(`MTF_HTF_TIMEFRAMES=${top3TF[0]?.secondary || '1hour'},${top3TF[1]?.secondary || '4hour'}`);
+  } else {
+    console.log(`# Timeframes unchanged - best pair refused: ${tfDiagnostics.failures.join('; ')}`);
+  }
   console.log('');
   console.log(`# StochRSI: rsiPeriod=${optimizedParams.stochRsi.rsiPeriod}, stochPeriod=${optimizedParams.stochRsi.stochPeriod}, kSmooth=${optimizedParams.stochRsi.kSmooth}, dSmooth=${optimizedParams.stochRsi.dSmooth}`);
   console.log(`# Williams %R: period=${optimizedParams.williamsR.period}`);
@@ -665,7 +712,12 @@ async function runOptimization() {
   const results = {
     timestamp: new Date().toISOString(),
     topTimeframePairs: top3TF,
-    optimizedParams: optimizedParams
+    optimizedParams: optimizedParams,
+    diagnostics: {
+      thresholds: PROMOTION_THRESHOLDS,
+      timeframePair: tfDiagnostics,
+      indicators: indicatorDiagnostics
+    }
   };
 
   require('fs').writeFileSync(
@@ -5,12 +5,21 @@
  * This script runs continuous optimization cycles to maximize
  * trading bot profitability. Designed for use with Claude Code.
  * 
- * Usage: node scripts/optimize.js [--cycles N] [--symbol SYMBOL] [--aggressive]
+ * Usage: node scripts/optimize.js [--cycles N] [--symbol SYMBOL] [--aggressive] [--workers N] [--offline]
+ *                                 [--min-dsr P] [--max-pbo P] [--min-trades N]
+ *
+ * The best config is only applied when it passes the overfitting gate
+ * (research/optimize/overfitting.js): deflated Sharpe, PBO and bootstrap
+ * bounds on win rate and profit factor.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { execSync, spawn } = require('child_process');
+const WorkerPool = require('../research/optimize/worker-pool');
+const CandleRepository = require('../src/data/CandleRepository');
+const backtestRunner = require('./backtest-runner');
+const { DEFAULT_THRESHOLDS, seriesFromBacktest, diagnoseTrials, formatDiagnostics } = require('../research/optimize/overfitting');
 
 // Configuration
 const CONFIG = {
@@ -83,9 +92,15 @@ const CONFIG = {
     days: 30,
     initialBalance: 10000,
     defaultLeverage: 50,
-    riskPercent: 2
+    riskPercent: 2,
+    workers: 0,       // >1 runs grid search in worker threads (--workers N)
+    offline: false    // Local candles only (--offline)
   },
   
+  // Overfitting gate: the best config is only applied if it passes all of these
+  // (--min-dsr, --max-pbo, --min-trades override)
+  promotion: { ...DEFAULT_THRESHOLDS },
+  
   // Output paths
   paths: {
     results: './logs/optimization_results.json',
@@ -141,7 +156,8 @@ async function runBacktest(symbol, timeframe, params = {}) {
     .map(([k, v]) => `${k}=${v}`)
     .join(' ');
   
-  const cmd = `${envVars} node scripts/backtest-runner.js --symbol ${symbol} --timeframe ${timeframe} --days ${CONFIG.backtest.days} --balance ${CONFIG.backtest.initialBalance}`;
+  const offlineFlag = CONFIG.backtest.offline ? ' --offline' : '';
+  const cmd = `${envVars} node scripts/backtest-runner.js --symbol ${symbol} --timeframe ${timeframe} --days ${CONFIG.backtest.days} --balance ${CONFIG.backtest.initialBalance}${offlineFlag}`;
   
   try {
     const result = execSync(cmd, { encoding: 'utf-8', stdio: 'pipe' });
@@ -171,13 +187,99 @@ async function runBacktest(symbol, timeframe, params = {}) {
       }
     }
     
-    return { success: true, metrics, params };
+    return { success: true, metrics, params, series: loadSeries(result) };
   } catch (e) {
     log(`Backtest failed: ${e.message}`, 'ERROR');
     return { success: false, error: e.message };
   }
 }
 
+// Return series and trades for overfitting diagnostics, from the results file the runner saved
+function loadSeries(output) {
+  const saved = output.match(/Results saved to: (.+)/);
+  const results = saved ? loadJSON(saved[1].trim()) : null;
+  return results ? seriesFromBacktest(results) : { returns: [], trades: [] };
+}
+
+/**
+ * Worker task for one parameter set: the config backtest-runner.js resolves
+ * when the serial path runs it with these parameters in the environment
+ */
+function buildWorkerTask(params, fundingRates = null) {
+  const config = {
+    ...backtestRunner.resolveConfig({ ...process.env, ...params }),
+    days: CONFIG.backtest.days,
+    initialBalance: CONFIG.backtest.initialBalance
+  };
+
+  return {
+    dataset: 'grid',
+    engineConfig: backtestRunner.engineConfig(config),
+    indicatorParams: config.indicatorParams,
+    backtestConfig: { ...backtestRunner.backtestOptions(config), fundingRates },
+    includeTrades: true
+  };
+}
+
+// BacktestEngine results are formatted percentages; match the parsed runner output
+function toMetrics(results) {
+  return {
+    winRate: parseFloat(results.winRate) / 100 || 0,
+    profitFactor: parseFloat(results.profitFactor) || 0,
+    sharpeRatio: parseFloat(results.sharpeRatio) || 0,
+    maxDrawdown: parseFloat(results.maxDrawdown) / 100 || 0,
+    totalReturn: parseFloat(results.totalReturn) / 100 || 0,
+    totalTrades: results.totalTrades
+  };
+}
+
+// Evaluate parameter sets in worker threads. Candles and funding are loaded once, the
+// way backtest-runner.js loads them, and cloned into each worker.
+async function runParallelBacktests(symbol, timeframe, paramSets, options = {}) {
+  backtestRunner.setRepository(options.repository || new CandleRepository({ offline: CONFIG.backtest.offline }));
+
+  const endTime = Date.now();
+  const startTime = endTime - CONFIG.backtest.days * 24 * 60 * 60 * 1000;
+  const candles = await backtestRunner.fetchHistoricalCandles(symbol, timeframe, startTime, endTime);
+  if (candles.length < 100) {
+    log(`Insufficient data for ${symbol} ${timeframe} (${candles.length} candles)`, 'ERROR');
+    return paramSets.map(() => ({ success: false, error: 'Insufficient data' }));
+  }
+  const fundingRates = await backtestRunner.fetchFundingRates(backtestRunner.resolveConfig(), symbol, candles);
+
+  const pool = new WorkerPool({
+    maxWorkers: CONFIG.backtest.workers,
+    workerData: { datasets: { grid: candles } }
+  });
+
+  try {
+    await pool.initialize();
+
+    const outcomes = await pool.map(paramSets.map(params => buildWorkerTask(params, fundingRates)), {
+      onProgress: (done, total) => {
+        if (done % 10 === 0) {
+          log(`Progress: ${done}/${total} (${(done/total*100).toFixed(1)}%)`);
+        }
+      }
+    });
+
+    return outcomes.map((outcome, i) => {
+      if (!outcome.ok) {
+        log(`Backtest failed: ${outcome.error.message}`, 'ERROR');
+        return { success: false, error: outcome.error.message };
+      }
+      return {
+        success: true,
+        metrics: toMetrics(outcome.value),
+        params: paramSets[i],
+        series: seriesFromBacktest(outcome.value)
+      };
+    });
+  } finally {
+    await pool.shutdown();
+  }
+}
+
 // Calculate composite score for a set of metrics
 function calculateScore(metrics) {
   if (!metrics || metrics.totalTrades < 10) return -Infinity;
@@ -233,20 +335,33 @@ async function gridSearchOptimize(symbol, timeframe, paramSubset) {
   const combinations = [...cartesian(paramValues)];
   log(`Testing ${combinations.length} parameter combinations`);
   
-  let tested = 0;
-  for (const values of combinations) {
+  const paramSets = combinations.map(values => {
     const params = {};
     paramNames.forEach((name, i) => params[name] = values[i]);
-    
-    const result = await runBacktest(symbol, timeframe, params);
-    if (result.success) {
-      result.score = calculateScore(result.metrics);
-      results.push(result);
+    return params;
+  });
+  
+  if (CONFIG.backtest.workers > 1) {
+    const parallelResults = await runParallelBacktests(symbol, timeframe, paramSets);
+    for (const result of parallelResults) {
+      if (result.success) {
+        result.score = calculateScore(result.metrics);
+        results.push(result);
+      }
     }
-    
-    tested++;
-    if (tested % 10 === 0) {
-      log(`Progress: ${tested}/${combinations.length} (${(tested/combinations.length*100).toFixed(1)}%)`);
+  } else {
+    let tested = 0;
+    for (const params of paramSets) {
+      const result = await runBacktest(symbol, timeframe, params);
+      if (result.success) {
+        result.score = calculateScore(result.metrics);
+        results.push(result);
+      }
+      
+      tested++;
+      if (tested % 10 === 0) {
+        log(`Progress: ${tested}/${paramSets.length} (${(tested/paramSets.length*100).toFixed(1)}%)`);
+      }
     }
   }
   
@@ -295,6 +410,7 @@ async function geneticOptimize(symbol, timeframe, generations = 20, populationSi
   let population = Array(populationSize).fill(null).map(() => randomIndividual());
   let bestEver = null;
   let bestScore = -Infinity;
+  const tested = new Map();  // Distinct configs evaluated, for overfitting diagnostics
   
   for (let gen = 0; gen < generations; gen++) {
     log(`Generation ${gen + 1}/${generations}`);
@@ -306,6 +422,7 @@ async function geneticOptimize(symbol, timeframe, generations = 20, populationSi
       if (result.success) {
         const score = calculateScore(result.metrics);
         evaluated.push({ individual, metrics: result.metrics, score });
+        tested.set(JSON.stringify(individual), result.series);
         
         if (score > bestScore) {
           bestScore = score;
@@ -333,6 +450,10 @@ async function geneticOptimize(symbol, timeframe, generations = 20, populationSi
     }
   }
   
+  if (bestEver) {
+    bestEver.trialSeries = [...tested.values()];
+    bestEver.trialIndex = [...tested.keys()].indexOf(JSON.stringify(bestEver.individual));
+  }
   return bestEver;
 }
 
@@ -413,6 +534,8 @@ async function runOptimizationCycle(options = {}) {
   
   const symbols = symbol ? [symbol] : CONFIG.symbols;
   const allResults = [];
+  const searches = [];  // { entry, trialSeries, trialIndex } per search, for diagnostics
+  let trialsTested = 0;
   
   // Load baseline metrics if available
   const baseline = loadJSON(CONFIG.paths.baseline);
@@ -437,9 +560,13 @@ async function runOptimizationCycle(options = {}) {
         };
         
         const gridResults = await gridSearchOptimize(sym, tf, quickParams);
+        trialsTested += gridResults.length;
         if (gridResults.length > 0) {
           log(`Grid search best: Score=${gridResults[0].score.toFixed(2)}`);
-          allResults.push({ symbol: sym, timeframe: tf, type: 'grid', ...gridResults[0] });
+          const { series, ...best } = gridResults[0];
+          const entry = { symbol: sym, timeframe: tf, type: 'grid', ...best };
+          allResults.push(entry);
+          searches.push({ entry, trialSeries: gridResults.map(r => r.series), trialIndex: 0 });
         }
         
         // Phase 2: Genetic optimization if aggressive mode
@@ -447,12 +574,28 @@ async function runOptimizationCycle(options = {}) {
           const geneticResult = await geneticOptimize(sym, tf, 10, 20);
           if (geneticResult) {
             log(`Genetic optimization best: Score=${geneticResult.score.toFixed(2)}`);
-            allResults.push({ symbol: sym, timeframe: tf, type: 'genetic', ...geneticResult });
+            const { trialSeries, trialIndex, ...best } = geneticResult;
+            const entry = { symbol: sym, timeframe: tf, type: 'genetic', ...best };
+            allResults.push(entry);
+            searches.push({ entry, trialSeries, trialIndex });
+            trialsTested += trialSeries.length;
           }
         }
       }
     }
     
+    // Deflate every search's best by all the configs tried this cycle, not just its own
+    for (const { entry, trialSeries, trialIndex } of searches.splice(0)) {
+      const report = diagnoseTrials(trialSeries, {
+        candidates: [trialIndex],
+        trialCount: trialsTested,
+        thresholds: CONFIG.promotion
+      });
+      const { index, ...candidate } = report.candidates[0];
+      entry.diagnostics = { trials: report.trials, pbo: report.pbo, ...candidate };
+      log(`Diagnostics ${entry.symbol} ${entry.timeframe} ${entry.type}: ${formatDiagnostics(report)}`);
+    }
+    
     // Find overall best
     allResults.sort((a, b) => b.score - a.score);
     const best = allResults[0];
@@ -469,9 +612,13 @@ async function runOptimizationCycle(options = {}) {
       log(`Sharpe Ratio: ${best.metrics.sharpeRatio.toFixed(2)}`);
       log(`Max Drawdown: ${(best.metrics.maxDrawdown * 100).toFixed(1)}%`);
       log(`Parameters: ${JSON.stringify(best.params || best.individual)}`);
+      log(`Trials tested: ${best.diagnostics.trials}`);
+      log(`Deflated Sharpe: ${best.diagnostics.deflatedSharpe.toFixed(3)} | PBO: ${best.diagnostics.pbo ? best.diagnostics.pbo.pbo.toFixed(3) : 'n/a'}`);
       
       // Check if better than baseline
-      if (baseline) {
+      if (!best.diagnostics.promote) {
+        log('\n✗ PROMOTION REFUSED: ' + best.diagnostics.failures.join('; '), 'WARN');
+      } else if (baseline) {
         const baselineScore = calculateScore(baseline);
         if (best.score > baselineScore) {
           log('\n✓ IMPROVEMENT OVER BASELINE DETECTED');
@@ -498,7 +645,9 @@ async function runOptimizationCycle(options = {}) {
         timeframe: best.timeframe,
         score: best.score,
         metrics: best.metrics,
-        params: best.params || best.individual
+        params: best.params || best.individual,
+        diagnostics: best.diagnostics,
+        promoted: best.diagnostics.promote
       });
     }
     
@@ -579,6 +728,25 @@ async function main() {
     if (args[i] === '--analyze') {
       options.analyze = true;
     }
+    if (args[i] === '--workers' && args[i + 1]) {
+      CONFIG.backtest.workers = parseInt(args[i + 1]);
+      i++;
+    }
+    if (args[i] === '--offline') {
+      CONFIG.backtest.offline = true;
+    }
+    if (args[i] === '--min-dsr' && args[i + 1]) {
+      CONFIG.promotion.minDeflatedSharpe = parseFloat(args[i + 1]);
+      i++;
+    }
+    if (args[i] === '--max-pbo' && args[i + 1]) {
+      CONFIG.promotion.maxPBO = parseFloat(args[i + 1]);
+      i++;
+    }
+    if (args[i] === '--min-trades' && args[i + 1]) {
+      CONFIG.promotion.minTrades = parseInt(args[i + 1]);
+      i++;
+    }
     if (args[i] === '--help') {
       console.log(`
 Autonomous Optimization Engine
@@ -590,6 +758,11 @@ Options:
   --symbol SYM    Optimize specific symbol only
   --aggressive    Use genetic algorithm (slower but more thorough)
   --analyze       Analyze historical optimization performance
+  --workers N     Run grid search in N worker threads
+  --offline       Use local candle dumps only
+  --min-dsr P     Min deflated Sharpe to apply the best config (default: ${DEFAULT_THRESHOLDS.minDeflatedSharpe})
+  --max-pbo P     Max probability of backtest overfitting (default: ${DEFAULT_THRESHOLDS.maxPBO})
+  --min-trades N  Min trades of the best config (default: ${DEFAULT_THRESHOLDS.minTrades})
   --help          Show this help message
 
 Examples:
@@ -622,6 +795,8 @@ module.exports = {
   runOptimizationCycle,
   runBacktest,
   gridSearchOptimize,
+  runParallelBacktests,
+  buildWorkerTask,
   geneticOptimize,
   analyzePerformance,
   CONFIG
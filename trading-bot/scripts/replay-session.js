@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Session Replay Script
+ *
+ * Re-runs a session journal (SESSION_JOURNAL=true, logs/journals/*.jsonl)
+ * through the trading engine and reports decisions that diverge.
+ * Usage: node scripts/replay-session.js --journal logs/journals/session-paper-20260301T120000.jsonl
+ * Add --report out.json to save the full report. Exits 1 when the replay diverges.
+ */
+
+const fs = require('fs');
+
+const SessionReplayer = require('../src/trading/SessionReplayer');
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = { journal: null, report: null, tolerance: undefined };
+
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace('--', '');
+    const value = args[i + 1];
+
+    switch (key) {
+      case 'journal': config.journal = value; break;
+      case 'report': config.report = value; break;
+      case 'tolerance': config.tolerance = parseFloat(value); break;
+    }
+  }
+
+  return config;
+}
+
+async function main() {
+  const config = parseArgs();
+  if (!config.journal) {
+    console.error('Usage: node scripts/replay-session.js --journal <file> [--report out.json] [--tolerance 1e-9]');
+    process.exit(2);
+  }
+
+  const replayer = new SessionReplayer({ tolerance: config.tolerance });
+  const report = await replayer.replay(config.journal);
+
+  console.log('\n' + '='.repeat(60));
+  console.log('SESSION REPLAY');
+  console.log('='.repeat(60));
+  console.log(`Journal: ${config.journal}`);
+  console.log(SessionReplayer.formatReport(report));
+  console.log('='.repeat(60) + '\n');
+
+  if (config.report) {
+    fs.writeFileSync(config.report, JSON.stringify(report, null, 2));
+    console.log(`Report saved to: ${config.report}`);
+  }
+
+  process.exit(report.identical ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('Replay failed:', error.message);
+  process.exit(2);
+});
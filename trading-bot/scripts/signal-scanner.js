@@ -2,6 +2,7 @@
 /**
  * Signal Scanner - Single Timeframe Mode
  * Scans all active KuCoin futures contracts using 15min timeframe
+ * Usage: node scripts/signal-scanner.js [--score 80] [--max 200] [--offline]
  */
 
 const axios = require('axios');
@@ -17,11 +18,13 @@ const {
   OBVIndicator
 } = require('../src/indicators');
 const SignalGeneratorV2 = require('../src/lib/SignalGeneratorV2');
+const CandleRepository = require('../src/data/CandleRepository');
 
 const KUCOIN_FUTURES_REST = 'https://api-futures.kucoin.com';
 
-// Parse command line args
-const args = process.argv.slice(2);
+// Parse command line args (--offline is a bare flag)
+const args = process.argv.slice(2).filter(a => a !== '--offline');
+const repository = new CandleRepository({ offline: process.argv.includes('--offline') });
 let minScore = 80;
 let maxSymbols = 200;  // Scan top 200 by volume (limited by API rate)
 
@@ -33,6 +36,10 @@ for (let i = 0; i < args.length; i += 2) {
 }
 
 async function getActiveContracts() {
+  if (repository.offline) {
+    return getLocalContracts();
+  }
+
   try {
     const response = await axios.get(`${KUCOIN_FUTURES_REST}/api/v1/contracts/active`);
     if (response.data.code !== '200000') {
@@ -56,27 +63,32 @@ async function getActiveContracts() {
   }
 }
 
-async function fetchCandles(symbol, granularity, count = 300) {
-  try {
-    const now = Date.now();
-    const start = now - count * granularity * 60 * 1000;
-
-    const response = await axios.get(`${KUCOIN_FUTURES_REST}/api/v1/kline/query`, {
-      params: { symbol, granularity, from: start, to: now }
+// Offline universe: every KuCoin perpetual in the local candle store
+async function getLocalContracts() {
+  const contracts = [];
+
+  for (const symbol of repository.listSymbols('15min').filter(s => s.endsWith('USDTM'))) {
+    const candles = await fetchCandles(symbol, 15, 96);
+    if (candles.length === 0) continue;
+
+    const first = candles[0];
+    const last = candles[candles.length - 1];
+    contracts.push({
+      symbol,
+      price: last.close,
+      volume24h: candles.reduce((sum, c) => sum + c.close * c.volume, 0),
+      change24h: ((last.close - first.open) / first.open * 100).toFixed(2)
     });
+  }
 
-    if (response.data.code !== '200000' || !response.data.data) {
-      return [];
-    }
+  return contracts
+    .sort((a, b) => b.volume24h - a.volume24h)
+    .slice(0, maxSymbols);
+}
 
-    return response.data.data.map(c => ({
-      ts: c[0],
-      open: parseFloat(c[1]),
-      high: parseFloat(c[2]),
-      low: parseFloat(c[3]),
-      close: parseFloat(c[4]),
-      volume: parseFloat(c[5])
-    }));
+async function fetchCandles(symbol, granularity, count = 300) {
+  try {
+    return await repository.getCandles(symbol, granularity, { limit: count });
   } catch (error) {
     return [];
   }
@@ -183,7 +195,9 @@ async function main() {
       process.stdout.write('Scanned ' + scanned + '/' + contracts.length + ' symbols...\r');
     }
 
-    await new Promise(r => setTimeout(r, 100));
+    if (!repository.offline) {
+      await new Promise(r => setTimeout(r, 100));
+    }
   }
 
   console.log('\n');
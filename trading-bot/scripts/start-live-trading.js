@@ -10,6 +10,9 @@
  * 2. Valid KuCoin API credentials required
  * 3. API must have Futures trading permission
  *
+ * KUCOIN_FUTURES_REST overrides the REST base (e.g. the local simulator,
+ * scripts/kucoin-sim-server.js); the WebSocket endpoint comes from bullet-private.
+ *
  * Usage: node scripts/start-live-trading.js [options]
  *   --symbols XBTUSDTM,ETHUSDTM  Comma-separated symbols to trade
  *   --timeframe 15min            Primary timeframe
@@ -17,12 +20,15 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 const WebSocket = require('ws');
-const axios = require('axios');
-const crypto = require('crypto');
 const readline = require('readline');
 
 const TradingEngineV3 = require('../src/trading/TradingEngineV3');
+const OptimizerEngine = require('../src/optimizer/optimizerEngine');
+const StrategyRouter = require('../switches/strategyRouter');
+const KuCoinAdapter = require('../src/exchange/KuCoinAdapter');
+const ConfigService = require('../src/config/ConfigService');
 const {
   RSIIndicator,
   MACDIndicator,
@@ -32,10 +38,14 @@ const {
   AwesomeOscillator,
   StochasticIndicator,
   KDJIndicator,
-  OBVIndicator
+  OBVIndicator,
+  ATRIndicator
 } = require('../src/indicators');
+const IndicatorCheckpoint = require('../src/data/IndicatorCheckpoint');
+const { timeframeToMs } = require('../src/data/CandleRepository');
 
-const KUCOIN_REST = 'https://api-futures.kucoin.com';
+// Credentials and REST base (KUCOIN_FUTURES_REST) come from the environment
+const exchange = new KuCoinAdapter();
 
 // ANSI color codes
 const RED = '\x1b[31m';
@@ -94,52 +104,16 @@ function runSafetyChecks() {
 
 // Verify API connection and permissions
 async function verifyAPIConnection() {
-  const apiKey = process.env.KUCOIN_API_KEY;
-  const apiSecret = process.env.KUCOIN_API_SECRET;
-  const apiPassphrase = process.env.KUCOIN_API_PASSPHRASE;
-  const apiVersion = process.env.KUCOIN_API_VERSION || '2';
-
-  const timestamp = Date.now().toString();
-  const endpoint = '/api/v1/account-overview';
-  const method = 'GET';
-
-  const signString = timestamp + method + endpoint;
-  const signature = crypto
-    .createHmac('sha256', apiSecret)
-    .update(signString)
-    .digest('base64');
-
-  let passphrase = apiPassphrase;
-  if (apiVersion === '2') {
-    passphrase = crypto
-      .createHmac('sha256', apiSecret)
-      .update(apiPassphrase)
-      .digest('base64');
-  }
-
-  try {
-    const response = await axios.get(`${KUCOIN_REST}${endpoint}`, {
-      headers: {
-        'KC-API-KEY': apiKey,
-        'KC-API-SIGN': signature,
-        'KC-API-TIMESTAMP': timestamp,
-        'KC-API-PASSPHRASE': passphrase,
-        'KC-API-KEY-VERSION': apiVersion
-      },
-      timeout: 10000
-    });
+  const result = await exchange.request('GET', '/api/v1/account-overview?currency=USDT');
 
-    if (response.data.code === '200000') {
-      return {
-        success: true,
-        balance: response.data.data
-      };
-    }
-
-    return { success: false, error: response.data.msg };
-  } catch (error) {
-    return { success: false, error: error.message };
+  if (result.ok) {
+    return {
+      success: true,
+      balance: result.value
+    };
   }
+
+  return { success: false, error: result.error.message };
 }
 
 // User confirmation prompt
@@ -214,49 +188,39 @@ function createIndicators() {
     obv: new OBVIndicator({
       slopeWindow: parseInt(process.env.OBV_SLOPE_WINDOW) || 10,
       smoothingEma: parseInt(process.env.OBV_SMOOTHING) || 5
+    }),
+    // Feeds the engine's ATR%-based leverage and sizing
+    atr: new ATRIndicator({
+      period: parseInt(process.env.ATR_PERIOD) || 14
     })
   };
 }
 
-// Get authenticated WebSocket token
-async function getWsToken() {
-  const apiKey = process.env.KUCOIN_API_KEY;
-  const apiSecret = process.env.KUCOIN_API_SECRET;
-  const apiPassphrase = process.env.KUCOIN_API_PASSPHRASE;
-  const apiVersion = process.env.KUCOIN_API_VERSION || '2';
-
-  const timestamp = Date.now().toString();
-  const endpoint = '/api/v1/bullet-private';
-  const method = 'POST';
-
-  const signString = timestamp + method + endpoint;
-  const signature = crypto
-    .createHmac('sha256', apiSecret)
-    .update(signString)
-    .digest('base64');
-
-  let passphrase = apiPassphrase;
-  if (apiVersion === '2') {
-    passphrase = crypto
-      .createHmac('sha256', apiSecret)
-      .update(apiPassphrase)
-      .digest('base64');
+// Advance every indicator by one closed candle
+function feedIndicators(indicators, candle) {
+  const candleData = {
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume
+  };
+
+  const results = {};
+  for (const [name, indicator] of Object.entries(indicators)) {
+    results[name] = indicator.update(candleData);
   }
+  return results;
+}
 
-  const response = await axios.post(`${KUCOIN_REST}${endpoint}`, {}, {
-    headers: {
-      'KC-API-KEY': apiKey,
-      'KC-API-SIGN': signature,
-      'KC-API-TIMESTAMP': timestamp,
-      'KC-API-PASSPHRASE': passphrase,
-      'KC-API-KEY-VERSION': apiVersion
-    }
-  });
+// Get authenticated WebSocket token
+async function getWsToken() {
+  const result = await exchange.request('POST', '/api/v1/bullet-private');
 
-  if (response.data.code === '200000') {
-    return response.data.data;
+  if (result.ok) {
+    return result.value;
   }
-  throw new Error('Failed to get WebSocket token');
+  throw new Error(`Failed to get WebSocket token: ${result.error.message}`);
 }
 
 // Fetch initial candles
@@ -269,32 +233,13 @@ async function fetchInitialCandles(symbol, timeframe, count = 250) {
   const endTime = Date.now();
   const startTime = endTime - count * granularity * 60 * 1000;
 
-  try {
-    const response = await axios.get(`${KUCOIN_REST}/api/v1/kline/query`, {
-      params: {
-        symbol,
-        granularity,
-        from: startTime,
-        to: endTime
-      }
-    });
-
-    if (response.data.code === '200000' && response.data.data) {
-      return response.data.data.map(c => ({
-        ts: c[0],
-        open: parseFloat(c[1]),
-        high: parseFloat(c[2]),
-        low: parseFloat(c[3]),
-        close: parseFloat(c[4]),
-        volume: parseFloat(c[5])
-      })).sort((a, b) => a.ts - b.ts);
-    }
-
-    return [];
-  } catch (error) {
-    console.error(`Error fetching candles for ${symbol}:`, error.message);
+  const result = await exchange.getKlines(symbol, granularity, { from: startTime, to: endTime });
+  if (!result.ok) {
+    console.error(`Error fetching candles for ${symbol}:`, result.error.message);
     return [];
   }
+
+  return result.value.sort((a, b) => a.ts - b.ts);
 }
 
 // Main function
@@ -348,39 +293,87 @@ async function main() {
 
   // Create trading engine in live mode
   const engine = new TradingEngineV3({
-    mode: 'live'
+    mode: 'live',
+    exchange
+  });
+
+  // Hot-reloaded weights/profile and trading overrides, applied to the engine through updateConfig()
+  const configService = new ConfigService({
+    tradingDefaults: engine.getTradingSettings(),
+    historyFile: path.join(__dirname, '../logs/config-versions-live.jsonl')
   });
+  const configStarted = configService.start();
+  if (configStarted.ok) {
+    configService.attach(engine);
+    configService.on('change', ({ version, diff }) => {
+      console.log(`Config version ${version.version} by ${version.author}: ${diff.map(d => d.path).join(', ') || 'no changes'}`);
+    });
+  } else {
+    console.log(`Config service unavailable, keeping startup config: ${configStarted.error.message}`);
+  }
+
+  // Shadow-evaluates every profile on the same feed (OPTIMIZER_AUTO_SWITCH=true lets it switch the live one)
+  const optimizer = process.env.OPTIMIZER_ENABLED === 'true'
+    ? new OptimizerEngine({
+      enabled: true,
+      autoSwitch: process.env.OPTIMIZER_AUTO_SWITCH === 'true',
+      router: new StrategyRouter({ defaultStrategy: process.env.SIGNAL_PROFILE || 'neutral' }),
+      liveEngine: engine
+    })
+    : null;
 
   // Symbol state tracking
   const symbolState = new Map();
 
+  // Indicator checkpoints: restart warm from logs/indicator-checkpoint-live.json (INDICATOR_CHECKPOINT=false disables)
+  const checkpoint = process.env.INDICATOR_CHECKPOINT !== 'false'
+    ? new IndicatorCheckpoint({
+      file: path.join(__dirname, '../logs/indicator-checkpoint-live.json'),
+      intervalMs: parseInt(process.env.INDICATOR_CHECKPOINT_INTERVAL_MS) || 60000
+    })
+    : null;
+  if (checkpoint) {
+    const loaded = checkpoint.load();
+    if (!loaded.ok) console.log(`${YELLOW}Ignoring indicator checkpoint: ${loaded.error.message}${RESET}`);
+  }
+
+  // Snapshot of an unfed set = the indicator config; a change invalidates the checkpoint
+  const indicatorParams = IndicatorCheckpoint.serializeAll(createIndicators());
+  const timeframeMs = timeframeToMs(config.timeframe);
+
   // Initialize indicators and fetch warmup data
   console.log('Initializing indicators...\n');
 
   for (const symbol of config.symbols) {
     console.log(`  ${symbol}: Fetching initial data...`);
 
-    const indicators = createIndicators();
     const candles = await fetchInitialCandles(symbol, config.timeframe);
-
-    console.log(`  ${symbol}: Warming up with ${candles.length} candles...`);
-
-    for (const candle of candles) {
-      const candleData = {
-        high: candle.high,
-        low: candle.low,
-        close: candle.close,
-        volume: candle.volume
-      };
-
-      for (const [name, indicator] of Object.entries(indicators)) {
-        indicator.update(candleData);
-      }
+    const now = Date.now();
+    const closed = candles.filter(c => c.ts + timeframeMs <= now);
+    const forming = candles.find(c => c.ts + timeframeMs > now) || null;
+
+    let indicators;
+    if (checkpoint) {
+      const warm = checkpoint.warm(symbol, createIndicators, {
+        timeframe: config.timeframe,
+        params: indicatorParams,
+        candles: closed,
+        feed: feedIndicators
+      });
+      indicators = warm.components;
+      console.log(warm.resumed
+        ? `  ${symbol}: Restored from checkpoint, replayed ${warm.fed} candles`
+        : `  ${symbol}: Warmed up with ${warm.fed} candles${warm.reason !== 'NO_CHECKPOINT' ? ` (checkpoint rejected: ${warm.reason})` : ''}`);
+    } else {
+      indicators = createIndicators();
+      console.log(`  ${symbol}: Warming up with ${closed.length} candles...`);
+      for (const candle of closed) feedIndicators(indicators, candle);
     }
 
     symbolState.set(symbol, {
       indicators,
-      lastCandle: candles[candles.length - 1] || null,
+      lastCandle: forming,
+      lastClosed: closed[closed.length - 1] || null,
       candleBuffer: candles.slice(-100)
     });
 
@@ -388,6 +381,19 @@ async function main() {
     await new Promise(r => setTimeout(r, 200));
   }
 
+  const collectCheckpoint = (cp) => {
+    for (const [symbol, state] of symbolState) {
+      if (!state.lastClosed) continue;
+      cp.set(symbol, {
+        timeframe: config.timeframe,
+        params: indicatorParams,
+        lastCandle: state.lastClosed,
+        state: IndicatorCheckpoint.serializeAll(state.indicators)
+      });
+    }
+  };
+  if (checkpoint) checkpoint.start(collectCheckpoint);
+
   console.log('\nConnecting to authenticated WebSocket...');
 
   // Get private WebSocket token
@@ -405,11 +411,20 @@ async function main() {
       ws.send(JSON.stringify({
         id: Date.now(),
         type: 'subscribe',
-        topic: `/contractMarket/candle:${symbol}_${config.timeframe}`,
+        topic: `/contractMarket/limitCandle:${symbol}_${config.timeframe}`,
         response: true
       }));
     }
 
+    // Ticker, book and funding pushes are only needed for the session journal
+    if (engine.journal) {
+      for (const symbol of config.symbols) {
+        for (const topic of KuCoinAdapter.marketDataTopics(symbol)) {
+          ws.send(JSON.stringify({ id: Date.now(), type: 'subscribe', topic, response: true }));
+        }
+      }
+    }
+
     // Subscribe to position updates
     ws.send(JSON.stringify({
       id: Date.now(),
@@ -420,6 +435,7 @@ async function main() {
 
     // Start engine
     engine.start();
+    if (optimizer) optimizer.start();
     console.log(`${GREEN}Live trading started.${RESET} Press Ctrl+C to stop.\n`);
   });
 
@@ -429,9 +445,15 @@ async function main() {
 
       if (message.type === 'pong') return;
 
+      const marketData = KuCoinAdapter.parseWsMarketData(message);
+      if (marketData) {
+        engine.recordMarketData(marketData.type, marketData.symbol, marketData.data);
+        return;
+      }
+
       // Handle candle data
-      if (message.topic && message.topic.includes('/contractMarket/candle:')) {
-        const symbolMatch = message.topic.match(/candle:([A-Z]+)/);
+      if (message.topic && message.topic.includes('/contractMarket/limitCandle:')) {
+        const symbolMatch = message.topic.match(/limitCandle:([A-Z0-9]+)_/);
         if (!symbolMatch) return;
 
         const symbol = symbolMatch[1];
@@ -441,35 +463,26 @@ async function main() {
         const candle = message.data?.candles;
         if (!candle || candle.length < 6) return;
 
-        const candleData = {
-          ts: candle[0],
-          open: parseFloat(candle[1]),
-          high: parseFloat(candle[2]),
-          low: parseFloat(candle[3]),
-          close: parseFloat(candle[4]),
-          volume: parseFloat(candle[5])
-        };
+        // [startSec, open, close, high, low, volume, turnover]
+        const candleData = KuCoinAdapter.parseWsCandle(message.data);
 
         const isNewCandle = !state.lastCandle || candleData.ts !== state.lastCandle.ts;
 
         if (isNewCandle && state.lastCandle) {
-          const closedCandle = {
-            high: state.lastCandle.high,
-            low: state.lastCandle.low,
-            close: state.lastCandle.close,
-            volume: state.lastCandle.volume
-          };
-
-          const indicatorResults = {};
-          for (const [name, indicator] of Object.entries(state.indicators)) {
-            indicatorResults[name] = indicator.update(closedCandle);
-          }
+          const indicatorResults = feedIndicators(state.indicators, state.lastCandle);
+          state.lastClosed = state.lastCandle;
 
           // Process in trading engine
           const result = await engine.processUpdate(symbol, {
             candle: state.lastCandle,
             indicators: indicatorResults
           });
+          if (optimizer) {
+            await optimizer.processUpdate(symbol, {
+              candle: state.lastCandle,
+              indicators: indicatorResults
+            });
+          }
 
           if (result && result.signal) {
             const sig = result.signal;
@@ -541,6 +554,13 @@ async function main() {
 
     clearInterval(heartbeat);
     clearInterval(statusInterval);
+    if (optimizer) optimizer.stop();
+    configService.stop();
+    if (checkpoint) {
+      checkpoint.stop();
+      collectCheckpoint(checkpoint);
+      checkpoint.save();
+    }
 
     // Close all positions
     console.log('Closing all positions...');
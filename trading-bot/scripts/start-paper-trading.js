@@ -12,10 +12,15 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 const WebSocket = require('ws');
 const axios = require('axios');
 
 const TradingEngineV3 = require('../src/trading/TradingEngineV3');
+const OptimizerEngine = require('../src/optimizer/optimizerEngine');
+const StrategyRouter = require('../switches/strategyRouter');
+const KuCoinAdapter = require('../src/exchange/KuCoinAdapter');
+const ConfigService = require('../src/config/ConfigService');
 const {
   RSIIndicator,
   MACDIndicator,
@@ -25,8 +30,11 @@ const {
   AwesomeOscillator,
   StochasticIndicator,
   KDJIndicator,
-  OBVIndicator
+  OBVIndicator,
+  ATRIndicator
 } = require('../src/indicators');
+const IndicatorCheckpoint = require('../src/data/IndicatorCheckpoint');
+const { timeframeToMs } = require('../src/data/CandleRepository');
 
 const KUCOIN_REST = 'https://api-futures.kucoin.com';
 
@@ -103,10 +111,31 @@ function createIndicators() {
     obv: new OBVIndicator({
       slopeWindow: parseInt(process.env.OBV_SLOPE_WINDOW) || 10,
       smoothingEma: parseInt(process.env.OBV_SMOOTHING) || 5
+    }),
+    // Feeds the engine's ATR%-based leverage and sizing
+    atr: new ATRIndicator({
+      period: parseInt(process.env.ATR_PERIOD) || 14
     })
   };
 }
 
+// Advance every indicator by one closed candle
+function feedIndicators(indicators, candle) {
+  const candleData = {
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume
+  };
+
+  const results = {};
+  for (const [name, indicator] of Object.entries(indicators)) {
+    results[name] = indicator.update(candleData);
+  }
+  return results;
+}
+
 // Get WebSocket token
 async function getWsToken() {
   try {
@@ -178,37 +207,84 @@ async function main() {
     initialBalance: config.balance
   });
 
+  // Hot-reloaded weights/profile and trading overrides, applied to the engine through updateConfig()
+  const configService = new ConfigService({
+    tradingDefaults: engine.getTradingSettings(),
+    historyFile: path.join(__dirname, '../logs/config-versions-paper.jsonl')
+  });
+  const configStarted = configService.start();
+  if (configStarted.ok) {
+    configService.attach(engine);
+    configService.on('change', ({ version, diff }) => {
+      console.log(`Config version ${version.version} by ${version.author}: ${diff.map(d => d.path).join(', ') || 'no changes'}`);
+    });
+  } else {
+    console.log(`Config service unavailable, keeping startup config: ${configStarted.error.message}`);
+  }
+
+  // Shadow-evaluates every profile on the same feed (OPTIMIZER_AUTO_SWITCH=true lets it switch the live one)
+  const optimizer = process.env.OPTIMIZER_ENABLED === 'true'
+    ? new OptimizerEngine({
+      enabled: true,
+      autoSwitch: process.env.OPTIMIZER_AUTO_SWITCH === 'true',
+      router: new StrategyRouter({ defaultStrategy: process.env.SIGNAL_PROFILE || 'neutral' }),
+      liveEngine: engine
+    })
+    : null;
+
   // Symbol state tracking
   const symbolState = new Map();
 
+  // Indicator checkpoints: restart warm from logs/indicator-checkpoint-paper.json (INDICATOR_CHECKPOINT=false disables)
+  const checkpoint = process.env.INDICATOR_CHECKPOINT !== 'false'
+    ? new IndicatorCheckpoint({
+      file: path.join(__dirname, '../logs/indicator-checkpoint-paper.json'),
+      intervalMs: parseInt(process.env.INDICATOR_CHECKPOINT_INTERVAL_MS) || 60000
+    })
+    : null;
+  if (checkpoint) {
+    const loaded = checkpoint.load();
+    if (!loaded.ok) console.log(`Ignoring indicator checkpoint: ${loaded.error.message}`);
+  }
+
+  // Snapshot of an unfed set = the indicator config; a change invalidates the checkpoint
+  const indicatorParams = IndicatorCheckpoint.serializeAll(createIndicators());
+  const timeframeMs = timeframeToMs(config.timeframe);
+
   // Initialize indicators and fetch warmup data for each symbol
   console.log('Initializing indicators and fetching warmup data...\n');
 
   for (const symbol of config.symbols) {
     console.log(`  ${symbol}: Fetching initial data...`);
 
-    const indicators = createIndicators();
     const candles = await fetchInitialCandles(symbol, config.timeframe);
-
-    console.log(`  ${symbol}: Warming up indicators with ${candles.length} candles...`);
-
-    // Warm up indicators
-    for (const candle of candles) {
-      const candleData = {
-        high: candle.high,
-        low: candle.low,
-        close: candle.close,
-        volume: candle.volume
-      };
-
-      for (const [name, indicator] of Object.entries(indicators)) {
-        indicator.update(candleData);
-      }
+    const now = Date.now();
+    const closed = candles.filter(c => c.ts + timeframeMs <= now);
+    const forming = candles.find(c => c.ts + timeframeMs > now) || null;
+
+    // Warm up indicators (from the checkpoint when it still matches the exchange)
+    let indicators;
+    if (checkpoint) {
+      const warm = checkpoint.warm(symbol, createIndicators, {
+        timeframe: config.timeframe,
+        params: indicatorParams,
+        candles: closed,
+        feed: feedIndicators
+      });
+      indicators = warm.components;
+      console.log(warm.resumed
+        ? `  ${symbol}: Restored from checkpoint, replayed ${warm.fed} candles`
+        : `  ${symbol}: Warmed up indicators with ${warm.fed} candles${warm.reason !== 'NO_CHECKPOINT' ? ` (checkpoint rejected: ${warm.reason})` : ''}`);
+    } else {
+      indicators = createIndicators();
+      console.log(`  ${symbol}: Warming up indicators with ${closed.length} candles...`);
+      for (const candle of closed) feedIndicators(indicators, candle);
     }
 
     symbolState.set(symbol, {
       indicators,
-      lastCandle: candles[candles.length - 1] || null,
+      lastCandle: forming,
+      lastClosed: closed[closed.length - 1] || null,
       candleBuffer: candles.slice(-100)
     });
 
@@ -218,6 +294,19 @@ async function main() {
     await new Promise(r => setTimeout(r, 200));
   }
 
+  const collectCheckpoint = (cp) => {
+    for (const [symbol, state] of symbolState) {
+      if (!state.lastClosed) continue;
+      cp.set(symbol, {
+        timeframe: config.timeframe,
+        params: indicatorParams,
+        lastCandle: state.lastClosed,
+        state: IndicatorCheckpoint.serializeAll(state.indicators)
+      });
+    }
+  };
+  if (checkpoint) checkpoint.start(collectCheckpoint);
+
   console.log('\nConnecting to WebSocket...');
 
   // Get WebSocket token
@@ -242,8 +331,18 @@ async function main() {
       ws.send(JSON.stringify(subMessage));
     }
 
+    // Ticker, book and funding pushes are only needed for the session journal
+    if (engine.journal) {
+      for (const symbol of config.symbols) {
+        for (const topic of KuCoinAdapter.marketDataTopics(symbol)) {
+          ws.send(JSON.stringify({ id: Date.now(), type: 'subscribe', topic, response: true }));
+        }
+      }
+    }
+
     // Start engine
     engine.start();
+    if (optimizer) optimizer.start();
     console.log('Paper trading started. Press Ctrl+C to stop.\n');
   });
 
@@ -254,6 +353,12 @@ async function main() {
       // Handle ping
       if (message.type === 'pong') return;
 
+      const marketData = KuCoinAdapter.parseWsMarketData(message);
+      if (marketData) {
+        engine.recordMarketData(marketData.type, marketData.symbol, marketData.data);
+        return;
+      }
+
       // Handle candle data
       if (message.topic && message.topic.includes('/contractMarket/candle:')) {
         const symbolMatch = message.topic.match(/candle:([A-Z]+)/);
@@ -266,37 +371,28 @@ async function main() {
         const candle = message.data?.candles;
         if (!candle || candle.length < 6) return;
 
-        const candleData = {
-          ts: candle[0],
-          open: parseFloat(candle[1]),
-          high: parseFloat(candle[2]),
-          low: parseFloat(candle[3]),
-          close: parseFloat(candle[4]),
-          volume: parseFloat(candle[5])
-        };
+        // [startSec, open, close, high, low, volume, turnover] - same open time (ms) as the REST warmup
+        const candleData = KuCoinAdapter.parseWsCandle(message.data);
 
         // Check if new candle
         const isNewCandle = !state.lastCandle || candleData.ts !== state.lastCandle.ts;
 
         if (isNewCandle && state.lastCandle) {
           // Update indicators with closed candle
-          const closedCandle = {
-            high: state.lastCandle.high,
-            low: state.lastCandle.low,
-            close: state.lastCandle.close,
-            volume: state.lastCandle.volume
-          };
-
-          const indicatorResults = {};
-          for (const [name, indicator] of Object.entries(state.indicators)) {
-            indicatorResults[name] = indicator.update(closedCandle);
-          }
+          const indicatorResults = feedIndicators(state.indicators, state.lastCandle);
+          state.lastClosed = state.lastCandle;
 
           // Process update in trading engine
           const result = await engine.processUpdate(symbol, {
             candle: state.lastCandle,
             indicators: indicatorResults
           });
+          if (optimizer) {
+            await optimizer.processUpdate(symbol, {
+              candle: state.lastCandle,
+              indicators: indicatorResults
+            });
+          }
 
           if (result && result.signal) {
             const sig = result.signal;
@@ -356,6 +452,13 @@ async function main() {
 
     clearInterval(heartbeat);
     clearInterval(statusInterval);
+    if (optimizer) optimizer.stop();
+    configService.stop();
+    if (checkpoint) {
+      checkpoint.stop();
+      collectCheckpoint(checkpoint);
+      checkpoint.save();
+    }
 
     // Close all positions
     await engine.closeAllPositions('SHUTDOWN');
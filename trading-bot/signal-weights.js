@@ -284,7 +284,7 @@ module.exports = {
     emaCrossWithRSI: 15,           // EMA cross + RSI confirmation = +15
     divergenceWithTrend: 20,       // Divergence + trend alignment = +20
     pullbackEntry: 12,             // Valid pullback entry = +12
-    multiTimeframeAlign: 18,       // Both timeframes agree = +18
+    multiTimeframeAlign: 18,       // Both timeframes agree = +18 (unused: SignalGeneratorV2 has no HTF input)
     strongADXTrend: 10             // ADX > 40 trend = +10
   }
 };
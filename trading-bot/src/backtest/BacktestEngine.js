@@ -4,13 +4,26 @@
  * Historical strategy testing with:
  * - Candle-by-candle simulation
  * - Realistic slippage and fees
+ * - Pluggable fill model (src/backtest/FillModel): intrabar paths, lower-timeframe
+ *   candles, gap-through stops, limit entries, volume-proportional slippage
+ * - Partial take-profit ladders (src/utils/TakeProfitLadder, shared with TradingEngineV3)
+ * - Funding settlements (src/utils/FundingSchedule) and forced liquidation at the
+ *   PositionCalculator liquidation price
  * - Walk-forward validation
- * - Performance metrics calculation
+ * - Multi-symbol portfolio simulation (shared balance, risk-agent limits)
+ * - Microstructure replay (recorded order book / trade tape, see research/data/replay_source.js)
+ * - Intrabar entries: signals scored on the forming bar (IndicatorPipeline.calculateIntrabarSeries)
+ * - Performance metrics calculation; per-trade excursions (src/utils/ExcursionTracker)
+ *   and entry signal breakdown for src/backtest/ReportGenerator
  */
 
 const Decimal = require('decimal.js');
 const PositionCalculator = require('../utils/PositionCalculator');
+const TakeProfitLadder = require('../utils/TakeProfitLadder');
 const SignalGeneratorV2 = require('../lib/SignalGeneratorV2');
+const FundingSchedule = require('../utils/FundingSchedule');
+const ExcursionTracker = require('../utils/ExcursionTracker');
+const FillModel = require('./FillModel');
 
 class BacktestEngine {
   constructor(config = {}) {
@@ -30,14 +43,33 @@ class BacktestEngine {
     this.breakEvenActivation = config.breakEvenActivation || 10; // ROI% to activate
     this.breakEvenBuffer = config.breakEvenBuffer || 2; // Buffer above break-even
 
+    // Scale-out ladder (replaces the single takeProfitROI; remainder runs on the trailing stop)
+    this.takeProfitLadder = TakeProfitLadder.from(config.takeProfitLadder);
+
+    // Default fill model; runBacktest/runPortfolioBacktest config.fillModel overrides it per run
+    this.defaultFillModel = FillModel.from(config.fillModel);
+    this.fillModel = this.defaultFillModel;
+
+    // Positions crossing their liquidation price lose their margin (liquidation: false disables)
+    this.liquidationEnabled = config.liquidation !== false;
+
+    // Portfolio limits - same defaults as agents/risk-agent.js
+    this.maxOpenPositions = config.maxOpenPositions || 5;
+    this.maxPositionPercent = config.maxPositionPercent || 2.0;
+    this.maxTotalExposure = config.maxTotalExposure || 10.0; // Sum of margin % of equity
+
     this.positionCalc = new PositionCalculator({
       leverage: this.leverage,
-      takerFee: this.commission
+      takerFee: this.commission,
+      maintenanceMargin: config.maintenanceMargin
     });
 
+    // signalWeights: optional signal-weights.js-shaped override (ablation, optimization)
+    // Microstructure only scores when a run supplies replayed series (config.microstructure)
     this.signalGenerator = new SignalGeneratorV2({
       enhancedMode: true,
-      includeMicrostructure: false
+      includeMicrostructure: config.includeMicrostructure !== false,
+      weights: config.signalWeights
     });
 
     this.reset();
@@ -47,6 +79,7 @@ class BacktestEngine {
     this.balance = new Decimal(this.initialBalance);
     this.equity = [{ ts: 0, value: this.initialBalance }];
     this.positions = [];
+    this.pendingEntries = [];
     this.trades = [];
     this.stats = {
       totalTrades: 0,
@@ -56,62 +89,127 @@ class BacktestEngine {
       maxDrawdown: 0,
       peakEquity: this.initialBalance
     };
+
+    // Portfolio state (per-symbol attribution); set by runPortfolioBacktest
+    this.portfolioRun = false;
+    this.lastPrices = {};
+    this.symbolPnL = {};
+    this.symbolEquity = {};
+    this.rejectedEntries = {};
+    this.lastSignal = null;
+    this.intrabarEntries = 0;
+
+    // Fill model state
+    this.intrabar = {};
+    this.fillStats = { limitOrders: 0, limitFilled: 0, limitExpired: 0, gappedStops: 0 };
+
+    // Funding state: symbol -> { schedule, lastTs }
+    this.funding = {};
+    this.fundingStats = { payments: 0, paid: 0, received: 0 };
+    this.symbolFunding = {};
+    this.liquidations = 0;
+  }
+
+  /**
+   * Attach each symbol's funding schedule (series or flat rate)
+   * @param {Object} sources - { [symbol]: fundingRates }
+   */
+  _prepareFunding(sources) {
+    for (const [symbol, rates] of Object.entries(sources)) {
+      const schedule = FundingSchedule.from(rates);
+      if (schedule) this.funding[symbol] = { schedule, lastTs: null };
+    }
   }
 
+  /**
+   * Settle funding due since the symbol's previous bar on its open positions.
+   * Positions pay or receive on their value at the bar's open.
+   */
+  _settleFunding(candle, symbol = 'BACKTEST') {
+    const funding = this.funding[symbol];
+    if (!funding) return;
+
+    const settlements = funding.lastTs === null ? [] : funding.schedule.between(funding.lastTs, candle.ts);
+    funding.lastTs = candle.ts;
+
+    for (const { ts, rate } of settlements) {
+      for (const position of this.positions) {
+        if (position.symbol !== symbol || position.entryTime >= ts) continue;
+
+        const price = candle.open ?? candle.close;
+        const value = new Decimal(position.margin).mul(this.leverage).mul(price).div(position.entryPrice);
+        const payment = FundingSchedule.payment(position.side, value, rate);
+
+        this.balance = this.balance.plus(payment);
+        this._attributePnL(symbol, payment);
+        this.symbolFunding[symbol] = (this.symbolFunding[symbol] || new Decimal(0)).plus(payment);
+        position.fundingPnL = (position.fundingPnL || 0) + payment.toNumber();
+
+        this.fundingStats.payments++;
+        if (payment.isNegative()) {
+          this.fundingStats.paid += payment.negated().toNumber();
+        } else {
+          this.fundingStats.received += payment.toNumber();
+        }
+      }
+    }
+  }
+
+  /**
+   * Select the run's fill model and index its lower-timeframe candles
+   * @param {Object} intrabar - { [symbol]: { candles, intrabarCandles } }
+   */
+  _prepareFills(config, intrabar) {
+    this.fillModel = config.fillModel ? FillModel.from(config.fillModel) : this.defaultFillModel;
+
+    for (const [symbol, { candles, intrabarCandles }] of Object.entries(intrabar)) {
+      if (intrabarCandles && intrabarCandles.length > 0) {
+        this.intrabar[symbol] = FillModel.groupIntrabar(candles, intrabarCandles);
+      }
+    }
+  }
+
+  /**
+   * @param {Array} candles - OHLCV candles
+   * @param {Object} indicators - { [name]: series[] } aligned with candles
+   * @param {Object} config - warmupPeriod, stopLossROI, takeProfitROI, minSignalScore, invertSignals,
+   *   microstructure: optional { buySellRatio, priceRatio, fundingRate } series aligned with candles,
+   *   fillModel: preset name / options / FillModel, intrabarCandles: lower-timeframe candles,
+   *   fundingRates: funding series [{ ts, rate }] or a flat rate settled every 8 hours,
+   *   intrabarSignals: IndicatorPipeline.calculateIntrabarSeries() output - entries are also
+   *   evaluated while each bar forms, before its close
+   */
   async runBacktest(candles, indicators, config = {}) {
     this.reset();
+    this._prepareFills(config, { BACKTEST: { candles, intrabarCandles: config.intrabarCandles } });
+    this._prepareFunding({ BACKTEST: config.fundingRates });
     
     const warmupPeriod = config.warmupPeriod || 50;
     const stopLossROI = config.stopLossROI || 0.5;
     const takeProfitROI = config.takeProfitROI || 2.0;
+    const microstructure = config.microstructure || {};
     
     for (let i = warmupPeriod; i < candles.length; i++) {
       const candle = candles[i];
       const indicatorValues = this._getIndicatorValuesAtIndex(indicators, i);
+      const busy = this.positions.length > 0 || this.pendingEntries.length > 0;
       
+      this._settleFunding(candle);
       this._checkExits(candle);
+      this._fillPendingEntries(candle, stopLossROI, takeProfitROI);
       
-      if (this.positions.length === 0) {
-        const signal = this.signalGenerator.generate(indicatorValues, {});
-        const minScore = config.minSignalScore || 30;
-        const invertSignals = config.invertSignals || false;
-
-        // Signal inversion: swap buy/sell when invertSignals is true
-        const isBuySignal = signal.type.includes('BUY') && signal.indicatorScore >= minScore;
-        const isSellSignal = signal.type.includes('SELL') && signal.indicatorScore <= -minScore;
-
-        if (invertSignals) {
-          // Inverted: BUY signal opens SHORT, SELL signal opens LONG
-          if (isBuySignal) {
-            this._openPosition(candle, 'short', stopLossROI, takeProfitROI);
-          } else if (isSellSignal) {
-            this._openPosition(candle, 'long', stopLossROI, takeProfitROI);
-          }
-        } else {
-          // Normal: BUY signal opens LONG, SELL signal opens SHORT
-          if (isBuySignal) {
-            this._openPosition(candle, 'long', stopLossROI, takeProfitROI);
-          } else if (isSellSignal) {
-            this._openPosition(candle, 'short', stopLossROI, takeProfitROI);
-          }
+      if (this.positions.length === 0 && this.pendingEntries.length === 0) {
+        const microValues = this._getIndicatorValuesAtIndex(microstructure, i);
+        const steps = !busy && config.intrabarSignals ? config.intrabarSignals[i] : null;
+        const enteredIntrabar = steps && this._enterIntrabar(steps, config, microValues, stopLossROI, takeProfitROI);
+        const side = enteredIntrabar ? null : this._evaluateEntry(indicatorValues, config, microValues);
+        if (side) {
+          this._enter(candle, side, stopLossROI, takeProfitROI);
         }
       }
       
       const currentEquity = this._calculateEquity(candle.close);
-      this.equity.push({ ts: candle.ts, value: currentEquity.toNumber() });
-      
-      if (currentEquity.greaterThan(this.stats.peakEquity)) {
-        this.stats.peakEquity = currentEquity.toNumber();
-      }
-      
-      const drawdown = new Decimal(this.stats.peakEquity)
-        .minus(currentEquity)
-        .div(this.stats.peakEquity)
-        .toNumber();
-      
-      if (drawdown > this.stats.maxDrawdown) {
-        this.stats.maxDrawdown = drawdown;
-      }
+      this._recordEquity(candle.ts, currentEquity);
     }
     
     this._closeAllPositions(candles[candles.length - 1]);
@@ -119,6 +217,213 @@ class BacktestEngine {
     return this._calculateResults();
   }
 
+  /**
+   * Run a portfolio backtest over several symbols at once
+   *
+   * Candles from every symbol are merged into one timestamp-ordered event
+   * loop sharing a single balance. Entries are gated by the same limits the
+   * live RiskAgent enforces: max open positions, per-trade position percent
+   * and total margin exposure.
+   *
+   * @param {Object} streams - { [symbol]: { candles, indicators, microstructure, intrabarCandles, fundingRates, intrabarSignals } }
+   * @param {Object} config - Same options as runBacktest()
+   * @returns {Object} Aggregate results plus per-symbol breakdown
+   */
+  async runPortfolioBacktest(streams, config = {}) {
+    this.reset();
+    this.portfolioRun = true;
+    this._prepareFills(config, streams);
+    this._prepareFunding(Object.fromEntries(
+      Object.entries(streams).map(([symbol, stream]) => [symbol, stream.fundingRates])));
+
+    const warmupPeriod = config.warmupPeriod || 50;
+    const stopLossROI = config.stopLossROI || 0.5;
+    const takeProfitROI = config.takeProfitROI || 2.0;
+    const symbols = Object.keys(streams).sort();
+
+    for (const symbol of symbols) {
+      this.symbolPnL[symbol] = new Decimal(0);
+      this.symbolEquity[symbol] = [{ ts: 0, value: 0 }];
+    }
+
+    const timeline = this._buildTimeline(streams, symbols, warmupPeriod);
+
+    for (const [ts, events] of timeline) {
+      // Exits first so freed slots are available to entries at the same timestamp
+      const busy = new Set([...this.positions, ...this.pendingEntries].map(p => p.symbol));
+      for (const { symbol, index } of events) {
+        const candle = streams[symbol].candles[index];
+        this.lastPrices[symbol] = candle.close;
+        this._settleFunding(candle, symbol);
+        this._checkExits(candle, symbol);
+        this._fillPendingEntries(candle, stopLossROI, takeProfitROI, symbol);
+      }
+
+      for (const { symbol, index } of events) {
+        if (this.positions.some(p => p.symbol === symbol)) continue;
+        if (this.pendingEntries.some(o => o.symbol === symbol)) continue;
+
+        const candle = streams[symbol].candles[index];
+        const indicatorValues = this._getIndicatorValuesAtIndex(streams[symbol].indicators, index);
+        const microValues = this._getIndicatorValuesAtIndex(streams[symbol].microstructure || {}, index);
+
+        const steps = !busy.has(symbol) && streams[symbol].intrabarSignals ? streams[symbol].intrabarSignals[index] : null;
+        if (steps && !this._checkPortfolioLimits() &&
+          this._enterIntrabar(steps, config, microValues, stopLossROI, takeProfitROI, symbol)) continue;
+
+        const side = this._evaluateEntry(indicatorValues, config, microValues);
+        if (!side) continue;
+
+        const rejection = this._checkPortfolioLimits();
+        if (rejection) {
+          this.rejectedEntries[rejection] = (this.rejectedEntries[rejection] || 0) + 1;
+          continue;
+        }
+
+        this._enter(candle, side, stopLossROI, takeProfitROI, symbol);
+      }
+
+      for (const symbol of symbols) {
+        this.symbolEquity[symbol].push({ ts, value: this._calculateSymbolEquity(symbol).toNumber() });
+      }
+      this._recordEquity(ts, this._calculatePortfolioEquity());
+    }
+
+    for (const symbol of symbols) {
+      const candles = streams[symbol].candles;
+      if (candles.length > 0) {
+        this._closeAllPositions(candles[candles.length - 1], symbol);
+      }
+    }
+
+    return {
+      ...this._calculateResults(),
+      symbols,
+      rejectedEntries: this.rejectedEntries,
+      perSymbol: this._calculateSymbolResults(symbols)
+    };
+  }
+
+  /**
+   * Merge per-symbol candle indices into [ts, events[]] ordered by time
+   */
+  _buildTimeline(streams, symbols, warmupPeriod) {
+    const byTs = new Map();
+
+    for (const symbol of symbols) {
+      const candles = streams[symbol].candles || [];
+      for (let i = warmupPeriod; i < candles.length; i++) {
+        const ts = candles[i].ts;
+        if (!byTs.has(ts)) byTs.set(ts, []);
+        byTs.get(ts).push({ symbol, index: i });
+      }
+    }
+
+    return Array.from(byTs.entries()).sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Percent of balance an entry risks: riskPerTrade, capped at the RiskAgent
+   * max position size in portfolio runs only
+   */
+  _positionPercent() {
+    return this.portfolioRun ? Math.min(this.riskPerTrade, this.maxPositionPercent) : this.riskPerTrade;
+  }
+
+  /**
+   * Mirror of RiskAgent max-position and exposure checks
+   * (position size is capped by _positionPercent() rather than rejected)
+   * @returns {string|null} Rejection code or null when the entry is allowed
+   */
+  _checkPortfolioLimits() {
+    // Resting limit entries hold a slot until they fill or expire
+    if (this.positions.length + this.pendingEntries.length >= this.maxOpenPositions) {
+      return 'MAX_POSITIONS';
+    }
+
+    const equity = this._calculatePortfolioEquity();
+    const openMargin = this.positions.reduce((sum, p) => sum.plus(p.margin), new Decimal(0));
+    const currentExposure = equity.greaterThan(0) ? openMargin.div(equity).mul(100).toNumber() : Infinity;
+    if (currentExposure + this._positionPercent() > this.maxTotalExposure) {
+      return 'TOTAL_EXPOSURE';
+    }
+
+    return null;
+  }
+
+  /**
+   * Enter on the first provisional signal while the bar forms
+   *
+   * Only runs for a symbol that was flat when the bar opened, so the entry
+   * can't precede an exit taken on the same bar. A market entry fills at the
+   * partial bar's close and is then checked for exits over the rest of the
+   * bar; a limit entry rests from the next bar as usual.
+   *
+   * @param {Array} steps - This bar's calculateIntrabarSeries() steps
+   * @returns {boolean} True if an entry was made
+   */
+  _enterIntrabar(steps, config, microValues, stopLossROI, takeProfitROI, symbol = 'BACKTEST') {
+    for (const step of steps) {
+      const side = this._evaluateEntry(step.indicators, config, microValues, { intrabar: true, barProgress: step.progress });
+      if (!side) continue;
+
+      this.intrabarEntries++;
+      this._enter(step.candle, side, stopLossROI, takeProfitROI, symbol);
+
+      if (step.rest.length > 0 && this.positions.some(p => p.symbol === symbol)) {
+        const rest = step.rest;
+        this._checkExits({
+          ts: step.candle.ts,
+          open: rest[0].open,
+          high: Math.max(...rest.map(c => c.high)),
+          low: Math.min(...rest.map(c => c.low)),
+          close: rest[rest.length - 1].close,
+          volume: rest.reduce((sum, c) => sum + c.volume, 0),
+          path: rest
+        }, symbol);
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Decide entry side from the signal generator output
+   * @param {Object} options - SignalGeneratorV2.generate() options (intrabar, barProgress)
+   * @returns {'long'|'short'|null}
+   */
+  _evaluateEntry(indicatorValues, config, microValues = {}, options = {}) {
+    const signal = this.signalGenerator.generate(indicatorValues, microValues, options);
+    this.lastSignal = signal;
+    const minScore = config.minSignalScore || 30;
+    const invertSignals = config.invertSignals || false;
+
+    const isBuySignal = signal.type.includes('BUY') && signal.indicatorScore >= minScore;
+    const isSellSignal = signal.type.includes('SELL') && signal.indicatorScore <= -minScore;
+
+    // Signal inversion: BUY signal opens SHORT, SELL signal opens LONG
+    if (isBuySignal) return invertSignals ? 'short' : 'long';
+    if (isSellSignal) return invertSignals ? 'long' : 'short';
+    return null;
+  }
+
+  _recordEquity(ts, currentEquity) {
+    this.equity.push({ ts, value: currentEquity.toNumber() });
+
+    if (currentEquity.greaterThan(this.stats.peakEquity)) {
+      this.stats.peakEquity = currentEquity.toNumber();
+    }
+
+    const drawdown = new Decimal(this.stats.peakEquity)
+      .minus(currentEquity)
+      .div(this.stats.peakEquity)
+      .toNumber();
+
+    if (drawdown > this.stats.maxDrawdown) {
+      this.stats.maxDrawdown = drawdown;
+    }
+  }
+
   _getIndicatorValuesAtIndex(indicators, index) {
     const values = {};
     
@@ -131,14 +436,100 @@ class BacktestEngine {
     return values;
   }
 
-  _openPosition(candle, side, stopLossROI, takeProfitROI) {
-    const slippageMultiplier = side === 'long' ? 1 + this.slippage : 1 - this.slippage;
-    const entryPrice = new Decimal(candle.close).mul(slippageMultiplier).toNumber();
+  /**
+   * Act on an entry signal: market fill at the close, or rest a limit order
+   */
+  _enter(candle, side, stopLossROI, takeProfitROI, symbol = 'BACKTEST') {
+    const entrySignal = this._signalSnapshot(this.lastSignal);
+
+    if (this.fillModel.entry !== 'limit') {
+      this._openPosition(candle, side, stopLossROI, takeProfitROI, symbol, null, entrySignal);
+      return;
+    }
+
+    this.fillStats.limitOrders++;
+    this.pendingEntries.push({
+      symbol,
+      side,
+      price: this.fillModel.limitPrice(side, candle.close),
+      placedAt: candle.ts,
+      barsLeft: this.fillModel.limitTimeoutBars,
+      entrySignal
+    });
+  }
+
+  /**
+   * Compact copy of the signal that opened a trade (scores and per-indicator contributions)
+   */
+  _signalSnapshot(signal) {
+    if (!signal) return null;
+
+    const contributions = (group = {}) => Object.fromEntries(Object.entries(group).map(([name, result]) => [
+      name,
+      {
+        value: typeof result.value === 'number' ? result.value : null,
+        contribution: result.contribution,
+        signals: (result.signals || []).map(s => s.type)
+      }
+    ]));
+
+    return {
+      type: signal.type,
+      score: signal.score,
+      indicatorScore: signal.indicatorScore,
+      microstructureScore: signal.microstructureScore,
+      combinationBonus: signal.combinationBonus,
+      confidence: signal.confidence,
+      regime: signal.regime ? signal.regime.mode : null,
+      intrabar: !!signal.intrabar,
+      barProgress: signal.intrabar ? signal.barProgress : null,
+      indicators: contributions(signal.breakdown && signal.breakdown.indicators),
+      microstructure: contributions(signal.breakdown && signal.breakdown.microstructure)
+    };
+  }
+
+  /**
+   * Fill resting limit entries the candle trades through; expire the rest when their time is up.
+   * Runs after exits, so a position filled on this bar is first checked for exits on the next one.
+   */
+  _fillPendingEntries(candle, stopLossROI, takeProfitROI, symbol = 'BACKTEST') {
+    for (const order of [...this.pendingEntries]) {
+      if (order.symbol !== symbol) continue;
+
+      const fillPrice = this.fillModel.limitFill(order.side, order.price, candle);
+      if (fillPrice !== null) {
+        this.pendingEntries = this.pendingEntries.filter(o => o !== order);
+        this.fillStats.limitFilled++;
+        this._openPosition(candle, order.side, stopLossROI, takeProfitROI, symbol, fillPrice, order.entrySignal);
+        continue;
+      }
+
+      order.barsLeft--;
+      if (order.barsLeft <= 0) {
+        this.pendingEntries = this.pendingEntries.filter(o => o !== order);
+        this.fillStats.limitExpired++;
+      }
+    }
+  }
+
+  /**
+   * @param {number|null} limitPrice - Resting limit fill (no slippage); null fills at market on the close
+   * @param {Object|null} entrySignal - _signalSnapshot() of the signal that triggered the entry
+   */
+  _openPosition(candle, side, stopLossROI, takeProfitROI, symbol = 'BACKTEST', limitPrice = null, entrySignal = null) {
+    let entryPrice = limitPrice;
+    if (entryPrice === null) {
+      // Size isn't known before the price is; the risk budget at full leverage stands in for it
+      const notional = this.balance.toNumber() * this._positionPercent() / 100 * this.leverage;
+      const slippage = this.fillModel.slippageRate(this.slippage, notional, candle);
+      const slippageMultiplier = side === 'long' ? 1 + slippage : 1 - slippage;
+      entryPrice = new Decimal(candle.close).mul(slippageMultiplier).toNumber();
+    }
 
     // KuCoin futures: 1 contract = 0.001 BTC (multiplier), minimum lot = 1 contract
     const positionDetails = this.positionCalc.calculatePosition({
       balance: this.balance.toNumber(),
-      riskPercent: this.riskPerTrade,
+      riskPercent: this._positionPercent(),
       entryPrice,
       leverage: this.leverage,
       side,
@@ -148,29 +539,54 @@ class BacktestEngine {
       lotSize: 1          // Minimum 1 contract
     });
     
-    this.positions.push({
-      id: `pos-${Date.now()}`,
-      symbol: 'BACKTEST',
+    const position = {
+      id: `pos-${symbol}-${candle.ts}`,
+      symbol,
       side,
       entryPrice,
       size: positionDetails.size,
       stopLoss: positionDetails.stopLoss,
       takeProfit: positionDetails.takeProfit,
+      liquidationPrice: positionDetails.liquidation,
       entryTime: candle.ts,
-      margin: positionDetails.margin
+      margin: positionDetails.margin,
+      excursion: ExcursionTracker.start({ side, entryPrice, leverage: this.leverage, time: candle.ts, barTime: candle.ts }),
+      regime: entrySignal ? entrySignal.regime : null,
+      entrySignal
+    };
+
+    // Too small to split: falls back to the single take-profit
+    const ladder = this.takeProfitLadder && this.takeProfitLadder.build({
+      side,
+      entryPrice,
+      leverage: this.leverage,
+      size: positionDetails.size,
+      lotSize: 1,
+      feeRate: this.commission
     });
+    if (ladder && ladder.length > 0) {
+      Object.assign(position, {
+        ladder,
+        takeProfit: null,
+        initialSize: positionDetails.size,
+        initialMargin: positionDetails.margin,
+        realizedPnl: 0,
+        fills: []
+      });
+    }
+
+    this.positions.push(position);
     
     const entryFee = new Decimal(positionDetails.notional).mul(this.commission);
     this.balance = this.balance.minus(entryFee);
+    this._attributePnL(symbol, entryFee.negated());
   }
 
-  _checkExits(candle) {
+  _checkExits(candle, symbol = null) {
     const toClose = [];
 
     for (const position of this.positions) {
-      let shouldClose = false;
-      let exitPrice = null;
-      let reason = '';
+      if (symbol && position.symbol !== symbol) continue;
 
       // Calculate current ROI
       const currentROI = this._calculateCurrentROI(position, candle.close);
@@ -197,8 +613,8 @@ class BacktestEngine {
         }
       }
 
-      // Trailing Stop: Once activated, trail behind highest ROI
-      if (this.trailingStopEnabled && position.highestROI >= this.trailingStopActivation) {
+      // Trailing Stop: Once activated, trail behind highest ROI (ladder runners trail immediately)
+      if (this.trailingStopEnabled && (position.runner || position.highestROI >= this.trailingStopActivation)) {
         const trailPercent = this.trailingStopTrail / 100 / this.leverage;
         if (position.side === 'long') {
           // Calculate trailing stop price based on highest price seen
@@ -218,37 +634,136 @@ class BacktestEngine {
         }
       }
 
-      // Check stop loss and take profit
-      if (position.side === 'long') {
-        if (candle.low <= position.stopLoss) {
-          shouldClose = true;
-          exitPrice = position.stopLoss;
-          reason = position.trailingActive ? 'trailing_stop' : (position.breakEvenTriggered ? 'break_even' : 'stop_loss');
-        } else if (candle.high >= position.takeProfit) {
-          shouldClose = true;
-          exitPrice = position.takeProfit;
-          reason = 'take_profit';
-        }
-      } else {
-        if (candle.high >= position.stopLoss) {
-          shouldClose = true;
-          exitPrice = position.stopLoss;
-          reason = position.trailingActive ? 'trailing_stop' : (position.breakEvenTriggered ? 'break_even' : 'stop_loss');
-        } else if (candle.low <= position.takeProfit) {
-          shouldClose = true;
-          exitPrice = position.takeProfit;
-          reason = 'take_profit';
-        }
+      // Walk the bar's intrabar path (fill model) for the first stop or target it reaches
+      const bars = this._intrabarCandles(candle, position.symbol);
+      const exit = this._walkPath(position, this.fillModel.pathPoints(position.side, bars), candle);
+
+      if (exit) {
+        toClose.push({ position, ...exit, exitTime: candle.ts, candle });
       }
+    }
 
-      if (shouldClose) {
-        toClose.push({ position, exitPrice, reason, exitTime: candle.ts });
+    for (const { position, exitPrice, reason, exitTime, candle: bar } of toClose) {
+      this._closePosition(position, exitPrice, reason, exitTime, bar);
+    }
+  }
+
+  _intrabarCandles(candle, symbol) {
+    // Rest of a bar after an intrabar entry
+    if (candle.path) return candle.path;
+
+    const groups = this.intrabar[symbol];
+    return (groups && groups.get(candle.ts)) || [candle];
+  }
+
+  /**
+   * Follow the price path, filling ladder levels on favorable moves
+   * @returns {Object|null} { exitPrice, reason } when the position is fully closed
+   */
+  _walkPath(position, points, candle) {
+    const long = position.side === 'long';
+    const stopHit = price => (long ? price <= position.stopLoss : price >= position.stopLoss);
+    const targetsAtOpen = this.fillModel.checksTargetsAtOpen();
+    const liquidated = price => this.liquidationEnabled &&
+      (long ? price <= position.liquidationPrice : price >= position.liquidationPrice);
+    // A stop beyond the liquidation price never gets the chance to fill
+    const stopFirst = long ? position.stopLoss > position.liquidationPrice : position.stopLoss < position.liquidationPrice;
+    let last = null;
+
+    for (const { price, gap } of points) {
+      const adverse = last === null || (long ? price < last : price > last);
+
+      // A gap through both levels liquidates unless stops are idealized to fill at their price
+      if ((gap || adverse) && liquidated(price) && (!stopFirst || (gap && this.fillModel.gapStops))) {
+        return { exitPrice: position.liquidationPrice, reason: 'liquidation' };
+      }
+
+      if ((gap || adverse) && stopHit(price)) {
+        const gapped = gap && this.fillModel.gapStops && price !== position.stopLoss;
+        if (gapped) this.fillStats.gappedStops++;
+        return {
+          exitPrice: gapped ? price : position.stopLoss,
+          reason: position.trailingActive ? 'trailing_stop' : (position.breakEvenTriggered ? 'break_even' : 'stop_loss')
+        };
+      }
+
+      if ((gap && targetsAtOpen) || (!gap && !adverse)) {
+        if (position.ladder) {
+          const exitPrice = this._fillLadderLevels(position, price, candle);
+          if (exitPrice !== null) return { exitPrice, reason: 'take_profit' };
+        } else if (long ? price >= position.takeProfit : price <= position.takeProfit) {
+          return { exitPrice: position.takeProfit, reason: 'take_profit' };
+        }
       }
+
+      // Points past an exit are never reached; the exit price itself is tracked on close
+      ExcursionTracker.update(position.excursion, price, candle.ts, candle.ts);
+      last = price;
     }
 
-    for (const { position, exitPrice, reason, exitTime } of toClose) {
-      this._closePosition(position, exitPrice, reason, exitTime);
+    return null;
+  }
+
+  /**
+   * Fill every ladder level the candle reached, moving the stop after each.
+   * The level that would leave nothing open is not filled here - its price is
+   * returned so _closePosition books it as the final fill.
+   * @returns {number|null} Exit price when the position is fully taken out
+   */
+  _fillLadderLevels(position, price, candle) {
+    for (const level of position.ladder) {
+      if (level.filled) continue;
+
+      const reached = position.side === 'long' ? price >= level.price : price <= level.price;
+      if (!reached) break;
+
+      if (level.size >= position.size) {
+        level.filled = true;
+        return level.price;
+      }
+      this._fillLadderLevel(position, level, candle);
     }
+
+    return null;
+  }
+
+  _fillLadderLevel(position, level, candle) {
+    const exitTime = candle.ts;
+    const notional = new Decimal(position.margin).mul(level.size).div(position.size).mul(this.leverage).toNumber();
+    const slippage = this.fillModel.slippageRate(this.slippage, notional, candle);
+    const slippageMultiplier = position.side === 'long' ? 1 - slippage : 1 + slippage;
+    const fillPrice = new Decimal(level.price).mul(slippageMultiplier).toNumber();
+
+    const roi = this.positionCalc.calculateROI({
+      entryPrice: position.entryPrice,
+      exitPrice: fillPrice,
+      leverage: this.leverage,
+      side: position.side
+    });
+
+    const margin = new Decimal(position.margin).mul(level.size).div(position.size);
+    const pnl = margin.mul(roi.netROI).div(100);
+    this.balance = this.balance.plus(pnl);
+    this._attributePnL(position.symbol, pnl);
+
+    position.fills.push({
+      level: level.level,
+      price: fillPrice,
+      size: level.size,
+      fee: margin.mul(roi.feesPercent).div(100).toNumber(),
+      pnl: pnl.toNumber(),
+      time: exitTime
+    });
+    position.realizedPnl += pnl.toNumber();
+    position.size -= level.size;
+    position.margin = new Decimal(position.margin).minus(margin).toNumber();
+    level.filled = true;
+
+    const improves = position.side === 'long' ? level.stopPrice > position.stopLoss : level.stopPrice < position.stopLoss;
+    if (improves) position.stopLoss = level.stopPrice;
+
+    // Last level done with contracts left: the runner rides the trailing stop
+    if (position.ladder.every(l => l.filled)) position.runner = true;
   }
 
   _calculateCurrentROI(position, currentPrice) {
@@ -266,19 +781,59 @@ class BacktestEngine {
     return pnlPercent.mul(this.leverage).mul(100).toNumber();
   }
 
-  _closePosition(position, exitPrice, reason, exitTime) {
-    const slippageMultiplier = position.side === 'long' ? 1 - this.slippage : 1 + this.slippage;
-    const adjustedExitPrice = new Decimal(exitPrice).mul(slippageMultiplier).toNumber();
-    
-    const roi = this.positionCalc.calculateROI({
-      entryPrice: position.entryPrice,
-      exitPrice: adjustedExitPrice,
-      leverage: this.leverage,
-      side: position.side
-    });
+  _closePosition(position, exitPrice, reason, exitTime, candle = null) {
+    const excursion = ExcursionTracker.finish(position.excursion, exitPrice, exitTime, exitTime);
+
+    let adjustedExitPrice;
+    let roi;
+    if (reason === 'liquidation') {
+      // The exchange takes over at the liquidation price and the whole margin is gone
+      this.liquidations++;
+      adjustedExitPrice = exitPrice;
+      roi = { netROI: -100, feesPercent: 0 };
+    } else {
+      const slippage = this.fillModel.slippageRate(this.slippage, position.margin * this.leverage, candle);
+      const slippageMultiplier = position.side === 'long' ? 1 - slippage : 1 + slippage;
+      adjustedExitPrice = new Decimal(exitPrice).mul(slippageMultiplier).toNumber();
+
+      roi = this.positionCalc.calculateROI({
+        entryPrice: position.entryPrice,
+        exitPrice: adjustedExitPrice,
+        leverage: this.leverage,
+        side: position.side
+      });
+    }
     
-    const pnl = new Decimal(position.margin).mul(roi.netROI).div(100);
-    this.balance = this.balance.plus(pnl);
+    const closePnl = new Decimal(position.margin).mul(roi.netROI).div(100);
+    this.balance = this.balance.plus(closePnl);
+    this._attributePnL(position.symbol, closePnl);
+
+    // Ladder positions: one trade per position, PnL summed over every fill
+    let pnl = closePnl;
+    let tradeROI = roi.netROI;
+    const ladderFields = {};
+    if (position.ladder) {
+      pnl = closePnl.plus(position.realizedPnl);
+      tradeROI = pnl.div(position.initialMargin).mul(100).toNumber();
+      ladderFields.size = position.initialSize;
+      ladderFields.margin = position.initialMargin;
+      const finalLevel = position.ladder.find(l => l.filled && !position.fills.some(f => f.level === l.level));
+      ladderFields.fills = [...position.fills, {
+        level: finalLevel ? finalLevel.level : null,
+        price: adjustedExitPrice,
+        size: position.size,
+        fee: new Decimal(position.margin).mul(roi.feesPercent).div(100).toNumber(),
+        pnl: closePnl.toNumber(),
+        time: exitTime,
+        reason
+      }];
+    }
+
+    // Funding settled while open is part of the trade's result
+    if (position.fundingPnL) {
+      pnl = pnl.plus(position.fundingPnL);
+      tradeROI = pnl.div(position.initialMargin || position.margin).mul(100).toNumber();
+    }
     
     this.stats.totalTrades++;
     this.stats.totalPnL += pnl.toNumber();
@@ -289,21 +844,26 @@ class BacktestEngine {
       this.stats.losingTrades++;
     }
     
+    const { excursion: _state, ...fields } = position;
     this.trades.push({
-      ...position,
+      ...fields,
+      ...ladderFields,
+      ...excursion,
       exitPrice: adjustedExitPrice,
       exitTime,
       reason,
       pnl: pnl.toNumber(),
-      roi: roi.netROI
+      fundingPnL: position.fundingPnL || 0,
+      roi: tradeROI
     });
     
     this.positions = this.positions.filter(p => p.id !== position.id);
   }
 
-  _closeAllPositions(candle) {
+  _closeAllPositions(candle, symbol = null) {
     for (const position of [...this.positions]) {
-      this._closePosition(position, candle.close, 'end_of_backtest', candle.ts);
+      if (symbol && position.symbol !== symbol) continue;
+      this._closePosition(position, candle.close, 'end_of_backtest', candle.ts, candle);
     }
   }
 
@@ -318,6 +878,62 @@ class BacktestEngine {
     return equity;
   }
 
+  _calculatePortfolioEquity() {
+    let equity = this.balance;
+
+    for (const position of this.positions) {
+      const price = this.lastPrices[position.symbol] ?? position.entryPrice;
+      equity = equity.plus(this._calculateUnrealizedPnL(position, price));
+    }
+
+    return equity;
+  }
+
+  _calculateSymbolEquity(symbol) {
+    let value = this.symbolPnL[symbol] || new Decimal(0);
+
+    for (const position of this.positions) {
+      if (position.symbol !== symbol) continue;
+      const price = this.lastPrices[symbol] ?? position.entryPrice;
+      value = value.plus(this._calculateUnrealizedPnL(position, price));
+    }
+
+    return value;
+  }
+
+  _attributePnL(symbol, amount) {
+    if (!this.symbolPnL[symbol]) {
+      this.symbolPnL[symbol] = new Decimal(0);
+    }
+    this.symbolPnL[symbol] = this.symbolPnL[symbol].plus(amount);
+  }
+
+  _calculateSymbolResults(symbols) {
+    const perSymbol = {};
+
+    for (const symbol of symbols) {
+      const trades = this.trades.filter(t => t.symbol === symbol);
+      const winners = trades.filter(t => t.pnl > 0);
+      const losers = trades.filter(t => t.pnl < 0);
+      const grossProfit = winners.reduce((s, t) => s + t.pnl, 0);
+      const grossLoss = Math.abs(losers.reduce((s, t) => s + t.pnl, 0));
+
+      perSymbol[symbol] = {
+        totalTrades: trades.length,
+        winningTrades: winners.length,
+        losingTrades: losers.length,
+        winRate: (trades.length > 0 ? (winners.length / trades.length) * 100 : 0).toFixed(2),
+        profitFactor: (grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0)).toFixed(2),
+        netPnL: (this.symbolPnL[symbol] || new Decimal(0)).toNumber(),
+        fundingPnL: (this.symbolFunding[symbol] || new Decimal(0)).toNumber(),
+        liquidations: trades.filter(t => t.reason === 'liquidation').length,
+        equity: this.symbolEquity[symbol] || []
+      };
+    }
+
+    return perSymbol;
+  }
+
   _calculateUnrealizedPnL(position, currentPrice) {
     const entryD = new Decimal(position.entryPrice);
     const currentD = new Decimal(currentPrice);
@@ -387,6 +1003,12 @@ class BacktestEngine {
       maxDrawdown: (this.stats.maxDrawdown * 100).toFixed(2),
       avgWin: avgWin.toFixed(2),
       avgLoss: avgLoss.toFixed(2),
+      fillModel: this.fillModel.toJSON(),
+      fillStats: this.fillStats,
+      fundingPnL: Object.values(this.symbolFunding).reduce((sum, v) => sum.plus(v), new Decimal(0)).toNumber(),
+      fundingStats: this.fundingStats,
+      liquidations: this.liquidations,
+      intrabarEntries: this.intrabarEntries,
       trades: this.trades,
       equity: this.equity
     };
@@ -0,0 +1,189 @@
+/**
+ * Fill Model
+ *
+ * How BacktestEngine turns candles into fills. Selected per engine
+ * (config.fillModel) or per run (runBacktest/runPortfolioBacktest config.fillModel)
+ * as a preset name, an options object ({ preset, ...overrides }) or an instance.
+ *
+ * Options:
+ * - path:     intrabar order of prices inside a bar
+ *             'stop_first' - adverse extreme before favorable (open->low->high for longs);
+ *                            stops moved by a fill act from the next bar (original engine behaviour)
+ *             'ohlc'       - open->high->low->close
+ *             'olhc'       - open->low->high->close
+ *             'nearest'    - whichever extreme is closer to the open comes first
+ *             Lower-timeframe candles (intrabarCandles) replace the bar with their own paths.
+ * - gapStops: a stop already crossed at a bar's open fills at the open (the worse price)
+ *             instead of the stop price
+ * - entry:    'market' fills at the signal close with slippage; 'limit' rests an order
+ *             limitOffset away from the close (ExecutionAgent's 9th book level by default)
+ *             that fills only if a later bar trades through it within limitTimeoutBars
+ * - slippage: 'fixed' uses the engine rate; 'volume' adds volumeImpact x order notional /
+ *             bar notional (volume x close), capped at maxSlippage
+ */
+
+// ExecutionAgent enters at book level 9; its synthetic book spaces levels 1bp apart
+const DEFAULT_LIMIT_OFFSET = 9 * 0.0001;
+
+const PATHS = ['stop_first', 'ohlc', 'olhc', 'nearest'];
+
+const PRESETS = {
+  legacy: { path: 'stop_first', gapStops: false, entry: 'market', slippage: 'fixed' },
+  conservative: { path: 'stop_first', gapStops: true, entry: 'market', slippage: 'volume' },
+  realistic: { path: 'nearest', gapStops: true, entry: 'market', slippage: 'volume' },
+  limit: { path: 'nearest', gapStops: true, entry: 'limit', slippage: 'volume' }
+};
+
+class FillModel {
+  constructor(options = {}) {
+    const preset = options.preset || 'legacy';
+    if (!PRESETS[preset]) {
+      throw new Error(`Unknown fill model preset: ${preset}`);
+    }
+    const resolved = { ...PRESETS[preset], ...options };
+
+    this.name = options.name || (Object.keys(options).every(k => k === 'preset') ? preset : 'custom');
+    this.path = resolved.path;
+    this.gapStops = Boolean(resolved.gapStops);
+    this.entry = resolved.entry;
+    this.limitOffset = resolved.limitOffset ?? DEFAULT_LIMIT_OFFSET;
+    this.limitTimeoutBars = resolved.limitTimeoutBars || 1;
+    this.slippage = resolved.slippage;
+    this.volumeImpact = resolved.volumeImpact ?? 0.1;
+    this.maxSlippage = resolved.maxSlippage ?? 0.01;
+
+    if (!PATHS.includes(this.path)) {
+      throw new Error(`Unknown intrabar path: ${this.path}`);
+    }
+    if (!['market', 'limit'].includes(this.entry)) {
+      throw new Error(`Unknown entry order type: ${this.entry}`);
+    }
+    if (!['fixed', 'volume'].includes(this.slippage)) {
+      throw new Error(`Unknown slippage model: ${this.slippage}`);
+    }
+  }
+
+  /**
+   * Normalize any accepted definition - falsy means the legacy model
+   * @returns {FillModel}
+   */
+  static from(definition) {
+    if (!definition) return new FillModel();
+    if (definition instanceof FillModel) return definition;
+    if (typeof definition === 'string') return new FillModel({ preset: definition, name: definition });
+    if (typeof definition === 'object') return new FillModel(definition);
+    throw new Error('Unsupported fill model definition');
+  }
+
+  /**
+   * Assign lower-timeframe candles to the bar they fall in
+   * @returns {Map} bar ts -> sub-candles in time order
+   */
+  static groupIntrabar(candles, subCandles = []) {
+    const groups = new Map();
+    if (candles.length === 0 || subCandles.length === 0) return groups;
+
+    const step = candles.length > 1 ? candles[1].ts - candles[0].ts : Infinity;
+    const sorted = [...subCandles].sort((a, b) => a.ts - b.ts);
+    let i = 0;
+
+    for (const sub of sorted) {
+      while (i + 1 < candles.length && candles[i + 1].ts <= sub.ts) i++;
+      const bar = candles[i];
+      const end = i + 1 < candles.length ? candles[i + 1].ts : bar.ts + step;
+      if (sub.ts < bar.ts || sub.ts >= end) continue;
+
+      if (!groups.has(bar.ts)) groups.set(bar.ts, []);
+      groups.get(bar.ts).push(sub);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Price sequence a position sees across one bar (or its sub-candles)
+   * @returns {Array} [{ price, gap }] - gap marks an open, reached by jumping from the last price
+   */
+  pathPoints(side, bars) {
+    const points = [];
+
+    for (const bar of bars) {
+      points.push({ price: bar.open ?? bar.close, gap: true });
+
+      let order;
+      if (this.path === 'stop_first') {
+        order = side === 'long' ? [bar.low, bar.high] : [bar.high, bar.low];
+      } else if (this.path === 'ohlc' || (this.path === 'nearest' && this._highFirst(bar))) {
+        order = [bar.high, bar.low, bar.close];
+      } else {
+        order = [bar.low, bar.high, bar.close];
+      }
+
+      for (const price of order) points.push({ price, gap: false });
+    }
+
+    return points;
+  }
+
+  /**
+   * stop_first only looks for stops at an open, so a bar spanning both levels stops out
+   */
+  checksTargetsAtOpen() {
+    return this.path !== 'stop_first';
+  }
+
+  /**
+   * Slippage rate for an order of the given notional on this bar
+   */
+  slippageRate(baseRate, notional, candle) {
+    if (this.slippage === 'fixed') return baseRate;
+
+    const barNotional = (candle?.volume || 0) * (candle?.close || 0);
+    if (!(barNotional > 0)) return baseRate;
+
+    return Math.min(this.maxSlippage, baseRate + this.volumeImpact * notional / barNotional);
+  }
+
+  /**
+   * Resting limit price for an entry signalled at `reference`
+   */
+  limitPrice(side, reference) {
+    return side === 'long' ? reference * (1 - this.limitOffset) : reference * (1 + this.limitOffset);
+  }
+
+  /**
+   * Fill price when the bar trades through a resting limit, else null
+   * A bar that opens through the limit fills at the open (the better price).
+   */
+  limitFill(side, price, candle) {
+    const open = candle.open ?? candle.close;
+    if (side === 'long') {
+      if (open <= price) return open;
+      return candle.low <= price ? price : null;
+    }
+    if (open >= price) return open;
+    return candle.high >= price ? price : null;
+  }
+
+  _highFirst(bar) {
+    const open = bar.open ?? bar.close;
+    return Math.abs(bar.high - open) <= Math.abs(open - bar.low);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      path: this.path,
+      gapStops: this.gapStops,
+      entry: this.entry,
+      limitOffset: this.limitOffset,
+      limitTimeoutBars: this.limitTimeoutBars,
+      slippage: this.slippage,
+      volumeImpact: this.volumeImpact,
+      maxSlippage: this.maxSlippage
+    };
+  }
+}
+
+module.exports = FillModel;
+module.exports.PRESETS = PRESETS;
@@ -0,0 +1,183 @@
+/**
+ * Indicator Pipeline
+ *
+ * Builds per-candle indicator result series for BacktestEngine from the
+ * production indicators in src/indicators. Defaults match the tuned
+ * settings used by scripts/backtest-runner.js.
+ *
+ * calculateIntrabarSeries() adds what the indicators would have shown while
+ * each bar was still forming, replayed from lower-timeframe candles with
+ * peek(), for BacktestEngine's intrabar entry mode.
+ *
+ * Usage:
+ *   const series = calculateIndicatorSeries(candles, { rsi: { period: 21 }, macd: false });
+ *   await engine.runBacktest(candles, series, config);
+ */
+
+const FillModel = require('./FillModel');
+const {
+  RSIIndicator,
+  MACDIndicator,
+  BollingerBands,
+  EMATrend,
+  WilliamsRIndicator,
+  AwesomeOscillator,
+  StochasticIndicator,
+  StochasticRSI,
+  KDJIndicator,
+  OBVIndicator,
+  ADXIndicator
+} = require('../indicators');
+
+const INDICATOR_CLASSES = {
+  rsi: RSIIndicator,
+  macd: MACDIndicator,
+  bollinger: BollingerBands,
+  emaTrend: EMATrend,
+  williamsR: WilliamsRIndicator,
+  ao: AwesomeOscillator,
+  stochastic: StochasticIndicator,
+  stochRSI: StochasticRSI,
+  kdj: KDJIndicator,
+  obv: OBVIndicator,
+  adx: ADXIndicator
+};
+
+// OPTIMIZED 2026-01-14: Tighter thresholds for higher conviction signals
+// DOM excluded - requires live data. stochRSI/adx are opt-in.
+const DEFAULT_INDICATOR_PARAMS = {
+  rsi: { period: 14, oversold: 35, overbought: 65 },
+  macd: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+  bollinger: { period: 20, stdDev: 2.5 },
+  emaTrend: { shortPeriod: 9, mediumPeriod: 21, longPeriod: 50 },
+  williamsR: { period: 14, oversold: -85, overbought: -15 },
+  ao: { fastPeriod: 5, slowPeriod: 34 },
+  stochastic: { kPeriod: 14, dPeriod: 3, smooth: 3 },
+  kdj: { kPeriod: 21, dPeriod: 3, smooth: 3 },
+  obv: { slopeWindow: 14, smoothingEma: 5 }
+};
+
+/**
+ * Resolve indicator params: defaults, overridden per indicator,
+ * `false` disables an indicator, params for opt-in indicators enable them
+ */
+function resolveIndicatorParams(params = {}) {
+  const resolved = {};
+
+  for (const name of Object.keys(INDICATOR_CLASSES)) {
+    const override = params[name];
+    if (override === false) continue;
+
+    const defaults = DEFAULT_INDICATOR_PARAMS[name];
+    if (!defaults && !override) continue;
+
+    resolved[name] = { ...(defaults || {}), ...(override || {}) };
+  }
+
+  return resolved;
+}
+
+function createIndicators(params = {}) {
+  const indicators = {};
+  for (const [name, config] of Object.entries(resolveIndicatorParams(params))) {
+    indicators[name] = new INDICATOR_CLASSES[name](config);
+  }
+  return indicators;
+}
+
+/**
+ * Run every candle through fresh indicator instances
+ * @returns {Object} { [name]: result[] } aligned with candles
+ */
+function calculateIndicatorSeries(candles, params = {}) {
+  const instances = createIndicators(params);
+  const series = {};
+
+  for (const name of Object.keys(instances)) {
+    series[name] = [];
+  }
+
+  for (const candle of candles) {
+    // All indicators need high/low/close/volume for proper calculation
+    const candleData = {
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume
+    };
+
+    for (const [name, indicator] of Object.entries(instances)) {
+      series[name].push(indicator.update(candleData));
+    }
+  }
+
+  return series;
+}
+
+/**
+ * Indicator results at every lower-timeframe step inside each bar
+ *
+ * For bar i, step k peeks the indicators (state after bar i-1) with the
+ * partial bar built from its first k+1 sub-candles. The step that completes
+ * the bar is left out: that's the close, already in calculateIndicatorSeries().
+ *
+ * @param {Array} candles - Bar candles
+ * @param {Array} subCandles - Lower-timeframe candles covering them
+ * @returns {Array} Aligned with candles: [{ progress, candle, rest, indicators: { [name]: result } }]
+ *   per step (empty for bars without sub-candles). candle is the partial bar (ts = bar open),
+ *   rest the sub-candles still to come, progress the share of the bar elapsed (0-1).
+ */
+function calculateIntrabarSeries(candles, subCandles, params = {}) {
+  const instances = createIndicators(params);
+  const groups = FillModel.groupIntrabar(candles, subCandles);
+  const barMs = candles.length > 1 ? candles[1].ts - candles[0].ts : Infinity;
+  const sorted = [...subCandles].sort((a, b) => a.ts - b.ts);
+  const subMs = sorted.length > 1 ? sorted[1].ts - sorted[0].ts : 0;
+  const series = [];
+
+  for (const bar of candles) {
+    const steps = [];
+    const subs = groups.get(bar.ts) || [];
+
+    let partial = null;
+    for (let k = 0; k < subs.length; k++) {
+      const sub = subs[k];
+      const elapsed = sub.ts + subMs - bar.ts;
+      if (elapsed >= barMs) break;
+
+      partial = partial
+        ? {
+            ...partial,
+            high: Math.max(partial.high, sub.high),
+            low: Math.min(partial.low, sub.low),
+            close: sub.close,
+            volume: partial.volume + sub.volume
+          }
+        : { ts: bar.ts, open: sub.open, high: sub.high, low: sub.low, close: sub.close, volume: sub.volume };
+
+      const indicators = {};
+      for (const [name, indicator] of Object.entries(instances)) {
+        indicators[name] = indicator.peek({ high: partial.high, low: partial.low, close: partial.close, volume: partial.volume });
+      }
+
+      steps.push({ progress: elapsed / barMs, candle: partial, rest: subs.slice(k + 1), indicators });
+    }
+    series.push(steps);
+
+    const candleData = { high: bar.high, low: bar.low, close: bar.close, volume: bar.volume };
+    for (const indicator of Object.values(instances)) {
+      indicator.update(candleData);
+    }
+  }
+
+  return series;
+}
+
+module.exports = {
+  INDICATOR_CLASSES,
+  DEFAULT_INDICATOR_PARAMS,
+  resolveIndicatorParams,
+  createIndicators,
+  calculateIndicatorSeries,
+  calculateIntrabarSeries
+};
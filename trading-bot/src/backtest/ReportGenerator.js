@@ -0,0 +1,556 @@
+/**
+ * Backtest Report Generator
+ *
+ * Turns BacktestEngine results into a self-contained HTML page (inline SVG/CSS,
+ * no external assets) plus machine-readable JSON:
+ * - Summary metrics, equity and drawdown curves
+ * - Monthly returns heatmap
+ * - Breakdown per exit reason (stop_loss, break_even, trailing_stop, take_profit, ...)
+ * - MAE/MFE scatter (ROI% excursions recorded per trade)
+ * - Per-trade rows that expand to the SignalGeneratorV2 breakdown at entry
+ *
+ * Several reports (or saved results / report JSON files) render side by side
+ * with renderComparison() / writeComparison().
+ *
+ * Usage:
+ *   const generator = new ReportGenerator();
+ *   const { html, json } = generator.write(results, { name: 'SOL 15min', outputDir: 'logs' });
+ *   generator.writeComparison([reportA, reportB], 'logs/compare.html');
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_KIND = 'backtest-report';
+const REPORT_VERSION = 1;
+
+// Reasons the engine emits, in display order; anything else is appended
+const EXIT_REASONS = ['stop_loss', 'break_even', 'trailing_stop', 'take_profit', 'liquidation', 'end_of_backtest'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+
+function toNumber(value) {
+  const n = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(n) ? n : (n === Infinity ? Infinity : null);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function fmt(value, digits = 2, suffix = '') {
+  if (value === null || value === undefined) return '-';
+  if (value === Infinity) return '∞';
+  return `${Number(value).toFixed(digits)}${suffix}`;
+}
+
+function fmtTime(ts) {
+  return ts ? new Date(ts).toISOString().replace('T', ' ').slice(0, 16) : '-';
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Keep at most maxPoints evenly spaced points (always keeping the last)
+ */
+function downsample(points, maxPoints) {
+  if (points.length <= maxPoints) return points;
+  const step = points.length / maxPoints;
+  const sampled = [];
+  for (let i = 0; i < maxPoints - 1; i++) sampled.push(points[Math.floor(i * step)]);
+  sampled.push(points[points.length - 1]);
+  return sampled;
+}
+
+class ReportGenerator {
+  constructor(config = {}) {
+    this.maxChartPoints = config.maxChartPoints || 800;
+    this.maxTradeRows = config.maxTradeRows || 2000;
+  }
+
+  // ===========================================================================
+  // DATA
+  // ===========================================================================
+
+  /**
+   * Build the JSON report from BacktestEngine results
+   * @param {Object} results - runBacktest() / runPortfolioBacktest() output
+   * @param {Object} meta - { name, symbol, symbols, timeframe, config }
+   */
+  build(results, meta = {}) {
+    const trades = results.trades || [];
+    const equity = (results.equity || []).filter(p => p.ts > 0);
+    const initialBalance = toNumber(results.initialBalance);
+
+    return {
+      kind: REPORT_KIND,
+      version: REPORT_VERSION,
+      name: meta.name || meta.symbol || (results.symbols || []).join(',') || 'backtest',
+      generatedAt: new Date().toISOString(),
+      meta: {
+        symbol: meta.symbol || null,
+        symbols: meta.symbols || results.symbols || null,
+        timeframe: meta.timeframe || null,
+        config: meta.config || null,
+        fillModel: results.fillModel || null,
+        start: equity.length > 0 ? equity[0].ts : null,
+        end: equity.length > 0 ? equity[equity.length - 1].ts : null
+      },
+      summary: this._summary(results, trades),
+      equity: equity.map(p => ({ ts: p.ts, value: p.value })),
+      drawdown: this._drawdown(equity),
+      monthlyReturns: this._monthlyReturns(equity, initialBalance),
+      exitReasons: this._exitReasons(trades),
+      excursions: trades
+        .filter(t => Number.isFinite(t.mae) && Number.isFinite(t.mfe))
+        .map(t => ({ id: t.id, mae: t.mae, mfe: t.mfe, roi: t.roi, pnl: t.pnl, reason: t.reason })),
+      perSymbol: results.perSymbol
+        ? Object.fromEntries(Object.entries(results.perSymbol).map(([symbol, r]) => {
+          const { equity: symbolEquity, ...rest } = r;
+          return [symbol, rest];
+        }))
+        : null,
+      trades: trades.map(t => this._tradeRow(t))
+    };
+  }
+
+  _summary(results, trades) {
+    const pnls = trades.map(t => t.pnl);
+    const holds = trades.filter(t => t.exitTime && t.entryTime).map(t => t.exitTime - t.entryTime);
+
+    return {
+      initialBalance: toNumber(results.initialBalance),
+      finalBalance: toNumber(results.finalBalance),
+      totalReturn: toNumber(results.totalReturn),
+      totalTrades: toNumber(results.totalTrades),
+      winningTrades: toNumber(results.winningTrades),
+      losingTrades: toNumber(results.losingTrades),
+      winRate: toNumber(results.winRate),
+      profitFactor: toNumber(results.profitFactor),
+      sharpeRatio: toNumber(results.sharpeRatio),
+      maxDrawdown: toNumber(results.maxDrawdown),
+      avgWin: toNumber(results.avgWin),
+      avgLoss: toNumber(results.avgLoss),
+      expectancy: mean(pnls),
+      avgMAE: mean(trades.filter(t => Number.isFinite(t.mae)).map(t => t.mae)),
+      avgMFE: mean(trades.filter(t => Number.isFinite(t.mfe)).map(t => t.mfe)),
+      avgHoldHours: holds.length > 0 ? mean(holds) / 3600000 : null,
+      fundingPnL: toNumber(results.fundingPnL ?? 0),
+      liquidations: toNumber(results.liquidations ?? 0)
+    };
+  }
+
+  _drawdown(equity) {
+    let peak = -Infinity;
+    return equity.map(p => {
+      if (p.value > peak) peak = p.value;
+      return { ts: p.ts, value: peak > 0 ? ((peak - p.value) / peak) * 100 : 0 };
+    });
+  }
+
+  /**
+   * Return per calendar month (UTC), each month measured from the previous month's close
+   * @returns {Array} [{ month: 'YYYY-MM', year, month index, return % }]
+   */
+  _monthlyReturns(equity, initialBalance) {
+    const closes = new Map();
+    for (const point of equity) {
+      const date = new Date(point.ts);
+      const key = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+      closes.set(key, point.value);
+    }
+
+    let previous = initialBalance || (equity.length > 0 ? equity[0].value : null);
+    const months = [];
+    for (const [key, close] of closes) {
+      const [year, month] = key.split('-').map(Number);
+      months.push({
+        month: key,
+        year,
+        monthIndex: month - 1,
+        return: previous ? ((close - previous) / previous) * 100 : 0
+      });
+      previous = close;
+    }
+    return months;
+  }
+
+  _exitReasons(trades) {
+    const reasons = [...EXIT_REASONS];
+    for (const trade of trades) {
+      if (!reasons.includes(trade.reason)) reasons.push(trade.reason);
+    }
+
+    const breakdown = {};
+    for (const reason of reasons) {
+      const group = trades.filter(t => t.reason === reason);
+      if (group.length === 0 && !EXIT_REASONS.slice(0, 4).includes(reason)) continue;
+
+      const pnl = group.reduce((s, t) => s + t.pnl, 0);
+      breakdown[reason] = {
+        count: group.length,
+        share: trades.length > 0 ? (group.length / trades.length) * 100 : 0,
+        winRate: group.length > 0 ? (group.filter(t => t.pnl > 0).length / group.length) * 100 : null,
+        totalPnL: pnl,
+        avgPnL: group.length > 0 ? pnl / group.length : null,
+        avgROI: mean(group.map(t => t.roi))
+      };
+    }
+    return breakdown;
+  }
+
+  _tradeRow(trade) {
+    return {
+      id: trade.id,
+      symbol: trade.symbol,
+      side: trade.side,
+      entryTime: trade.entryTime,
+      exitTime: trade.exitTime,
+      entryPrice: trade.entryPrice,
+      exitPrice: trade.exitPrice,
+      size: trade.size,
+      reason: trade.reason,
+      pnl: trade.pnl,
+      roi: trade.roi,
+      mae: Number.isFinite(trade.mae) ? trade.mae : null,
+      mfe: Number.isFinite(trade.mfe) ? trade.mfe : null,
+      timeToMFE: Number.isFinite(trade.timeToMFE) ? trade.timeToMFE : null,
+      barsHeld: Number.isFinite(trade.barsHeld) ? trade.barsHeld : null,
+      fundingPnL: trade.fundingPnL || 0,
+      fills: trade.fills ? trade.fills.length : 0,
+      entrySignal: trade.entrySignal || null
+    };
+  }
+
+  /**
+   * Load a report from disk; raw BacktestEngine results files are built on the fly
+   */
+  load(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.kind === REPORT_KIND) return data;
+    return this.build(data, { name: path.basename(file, '.json') });
+  }
+
+  // ===========================================================================
+  // OUTPUT
+  // ===========================================================================
+
+  /**
+   * Write <name>.html and <name>.json
+   * @returns {Object} { report, html, json } - html/json are file paths
+   */
+  write(results, options = {}) {
+    const report = results.kind === REPORT_KIND ? results : this.build(results, options);
+    const outputDir = options.outputDir || path.join(process.cwd(), 'logs');
+    const base = options.fileName || `report_${String(report.name).replace(/[^A-Za-z0-9_.-]+/g, '_')}_${Date.now()}`;
+
+    if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+    const html = path.join(outputDir, `${base}.html`);
+    const json = path.join(outputDir, `${base}.json`);
+    fs.writeFileSync(html, this.renderHTML(report));
+    fs.writeFileSync(json, JSON.stringify(report, null, 2));
+
+    return { report, html, json };
+  }
+
+  writeComparison(reports, file) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, this.renderComparison(reports));
+    return file;
+  }
+
+  // ===========================================================================
+  // HTML
+  // ===========================================================================
+
+  renderHTML(report) {
+    const s = report.summary;
+    const body = `
+<h1>${escapeHtml(report.name)}</h1>
+<p class="muted">${escapeHtml(this._describe(report))}</p>
+${this._summaryTable([report])}
+<h2>Equity</h2>
+${this._lineChart([{ name: report.name, color: COLORS[0], points: report.equity }], { format: v => fmt(v, 0) })}
+<h2>Drawdown</h2>
+${this._lineChart([{ name: report.name, color: COLORS[1], points: report.drawdown }], { format: v => fmt(v, 1, '%'), invert: true })}
+<h2>Monthly Returns</h2>
+${this._heatmap(report.monthlyReturns)}
+<h2>Exit Reasons</h2>
+${this._exitTable(report.exitReasons)}
+<h2>MAE / MFE</h2>
+<p class="muted">Maximum adverse (x) and favorable (y) excursion per trade, ROI%. Avg MAE ${fmt(s.avgMAE, 1, '%')}, avg MFE ${fmt(s.avgMFE, 1, '%')}.</p>
+${this._scatter(report.excursions)}
+<h2>Trades</h2>
+${this._tradeList(report.trades)}`;
+
+    return this._page(report.name, body);
+  }
+
+  /**
+   * Side-by-side page for several reports (report objects, or results to build)
+   */
+  renderComparison(reports) {
+    const built = reports.map((r, i) => (r.kind === REPORT_KIND ? r : this.build(r, { name: `Run ${i + 1}` })));
+    const normalized = built.map((report, i) => {
+      const base = report.summary.initialBalance || (report.equity[0] && report.equity[0].value) || 1;
+      return {
+        name: report.name,
+        color: COLORS[i % COLORS.length],
+        points: report.equity.map(p => ({ ts: p.ts, value: ((p.value - base) / base) * 100 }))
+      };
+    });
+    const drawdowns = built.map((report, i) => ({
+      name: report.name,
+      color: COLORS[i % COLORS.length],
+      points: report.drawdown
+    }));
+
+    const columns = built.map((report, i) => `
+<div class="column">
+  <h3 style="color:${COLORS[i % COLORS.length]}">${escapeHtml(report.name)}</h3>
+  <p class="muted">${escapeHtml(this._describe(report))}</p>
+  <h4>Exit Reasons</h4>
+  ${this._exitTable(report.exitReasons)}
+  <h4>Monthly Returns</h4>
+  ${this._heatmap(report.monthlyReturns)}
+  <h4>MAE / MFE</h4>
+  ${this._scatter(report.excursions, { width: 420, height: 300 })}
+</div>`).join('');
+
+    const body = `
+<h1>Backtest Comparison</h1>
+${this._summaryTable(built)}
+<h2>Return</h2>
+${this._lineChart(normalized, { format: v => fmt(v, 1, '%') })}
+<h2>Drawdown</h2>
+${this._lineChart(drawdowns, { format: v => fmt(v, 1, '%'), invert: true })}
+<div class="columns" style="grid-template-columns:repeat(${built.length}, 1fr)">${columns}</div>`;
+
+    return this._page('Backtest Comparison', body);
+  }
+
+  _describe(report) {
+    const m = report.meta || {};
+    const parts = [];
+    if (m.symbols && m.symbols.length) parts.push(m.symbols.join(', '));
+    else if (m.symbol) parts.push(m.symbol);
+    if (m.timeframe) parts.push(m.timeframe);
+    if (m.start) parts.push(`${fmtTime(m.start)} → ${fmtTime(m.end)}`);
+    if (m.fillModel) parts.push(`fills: ${m.fillModel.name}`);
+    return parts.join(' · ');
+  }
+
+  _summaryTable(reports) {
+    const rows = [
+      ['Final balance', s => fmt(s.finalBalance)],
+      ['Total return', s => fmt(s.totalReturn, 2, '%')],
+      ['Trades', s => fmt(s.totalTrades, 0)],
+      ['Win rate', s => fmt(s.winRate, 1, '%')],
+      ['Profit factor', s => fmt(s.profitFactor)],
+      ['Sharpe', s => fmt(s.sharpeRatio)],
+      ['Max drawdown', s => fmt(s.maxDrawdown, 2, '%')],
+      ['Avg win', s => fmt(s.avgWin)],
+      ['Avg loss', s => fmt(s.avgLoss)],
+      ['Expectancy', s => fmt(s.expectancy)],
+      ['Avg MAE', s => fmt(s.avgMAE, 1, '%')],
+      ['Avg MFE', s => fmt(s.avgMFE, 1, '%')],
+      ['Avg hold', s => fmt(s.avgHoldHours, 1, 'h')],
+      ['Funding PnL', s => fmt(s.fundingPnL)],
+      ['Liquidations', s => fmt(s.liquidations, 0)]
+    ];
+
+    const header = reports.length > 1
+      ? `<tr><th></th>${reports.map((r, i) => `<th style="color:${COLORS[i % COLORS.length]}">${escapeHtml(r.name)}</th>`).join('')}</tr>`
+      : '';
+    const body = rows.map(([label, value]) =>
+      `<tr><th>${label}</th>${reports.map(r => `<td>${value(r.summary)}</td>`).join('')}</tr>`).join('');
+
+    return `<table class="summary">${header}${body}</table>`;
+  }
+
+  _lineChart(series, options = {}) {
+    const width = options.width || 960;
+    const height = options.height || 260;
+    const pad = { left: 70, right: 16, top: 12, bottom: 28 };
+    const all = series.flatMap(s => s.points);
+    if (all.length === 0) return '<p class="muted">No data</p>';
+
+    // reduce, not spread: long equity curves exceed the argument limit
+    const xMin = all.reduce((m, p) => Math.min(m, p.ts), Infinity);
+    const xMax = all.reduce((m, p) => Math.max(m, p.ts), -Infinity);
+    let yMin = all.reduce((m, p) => Math.min(m, p.value), Infinity);
+    let yMax = all.reduce((m, p) => Math.max(m, p.value), -Infinity);
+    if (yMax === yMin) { yMax += 1; yMin -= 1; }
+
+    const x = ts => pad.left + (xMax > xMin ? (ts - xMin) / (xMax - xMin) : 0) * (width - pad.left - pad.right);
+    // Drawdowns grow downwards
+    const y = v => options.invert
+      ? pad.top + ((v - yMin) / (yMax - yMin)) * (height - pad.top - pad.bottom)
+      : pad.top + ((yMax - v) / (yMax - yMin)) * (height - pad.top - pad.bottom);
+
+    const lines = series.map(s => {
+      const points = downsample(s.points, this.maxChartPoints);
+      const d = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.ts).toFixed(1)},${y(p.value).toFixed(1)}`).join('');
+      return `<path d="${d}" fill="none" stroke="${s.color}" stroke-width="1.5"><title>${escapeHtml(s.name)}</title></path>`;
+    }).join('');
+
+    const format = options.format || (v => fmt(v));
+    const top = options.invert ? yMin : yMax;
+    const bottom = options.invert ? yMax : yMin;
+    const legend = series.length > 1
+      ? series.map(s => `<span class="legend" style="color:${s.color}">■ ${escapeHtml(s.name)}</span>`).join(' ')
+      : '';
+
+    return `<div>${legend}<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%">
+<line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" class="axis"/>
+<line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" class="axis"/>
+<text x="${pad.left - 6}" y="${pad.top + 10}" text-anchor="end">${format(top)}</text>
+<text x="${pad.left - 6}" y="${height - pad.bottom}" text-anchor="end">${format(bottom)}</text>
+<text x="${pad.left}" y="${height - 8}">${fmtTime(xMin)}</text>
+<text x="${width - pad.right}" y="${height - 8}" text-anchor="end">${fmtTime(xMax)}</text>
+${lines}</svg></div>`;
+  }
+
+  _heatmap(monthlyReturns) {
+    if (monthlyReturns.length === 0) return '<p class="muted">No data</p>';
+
+    const maxAbs = Math.max(...monthlyReturns.map(m => Math.abs(m.return)), 1e-9);
+    const years = [...new Set(monthlyReturns.map(m => m.year))].sort();
+    const color = r => {
+      const alpha = Math.min(1, Math.abs(r) / maxAbs) * 0.85 + 0.1;
+      return r >= 0 ? `rgba(22,163,74,${alpha.toFixed(2)})` : `rgba(220,38,38,${alpha.toFixed(2)})`;
+    };
+
+    const rows = years.map(year => {
+      const months = monthlyReturns.filter(m => m.year === year);
+      const total = (months.reduce((acc, m) => acc * (1 + m.return / 100), 1) - 1) * 100;
+      const cells = MONTHS.map((_, i) => {
+        const month = months.find(m => m.monthIndex === i);
+        return month
+          ? `<td style="background:${color(month.return)}" title="${month.month}">${fmt(month.return, 1)}</td>`
+          : '<td></td>';
+      }).join('');
+      return `<tr><th>${year}</th>${cells}<td class="total">${fmt(total, 1)}</td></tr>`;
+    }).join('');
+
+    return `<table class="heatmap"><tr><th></th>${MONTHS.map(m => `<th>${m}</th>`).join('')}<th>Year</th></tr>${rows}</table>`;
+  }
+
+  _exitTable(exitReasons) {
+    const rows = Object.entries(exitReasons).map(([reason, r]) => `<tr>
+<th>${escapeHtml(reason)}</th><td>${r.count}</td><td>${fmt(r.share, 1, '%')}</td><td>${fmt(r.winRate, 1, '%')}</td>
+<td class="${r.totalPnL >= 0 ? 'pos' : 'neg'}">${fmt(r.totalPnL)}</td><td>${fmt(r.avgPnL)}</td><td>${fmt(r.avgROI, 1, '%')}</td></tr>`).join('');
+
+    return `<table class="exits"><tr><th>Reason</th><th>Trades</th><th>Share</th><th>Win rate</th><th>PnL</th><th>Avg PnL</th><th>Avg ROI</th></tr>${rows}</table>`;
+  }
+
+  _scatter(excursions, options = {}) {
+    const width = options.width || 640;
+    const height = options.height || 380;
+    const pad = 44;
+    if (excursions.length === 0) return '<p class="muted">No excursion data</p>';
+
+    const xMax = Math.max(...excursions.map(e => e.mae), 1);
+    const yMax = Math.max(...excursions.map(e => e.mfe), 1);
+    const x = v => pad + (v / xMax) * (width - pad * 1.5);
+    const y = v => height - pad - (v / yMax) * (height - pad * 1.5);
+
+    const dots = excursions.map(e => `<circle cx="${x(e.mae).toFixed(1)}" cy="${y(e.mfe).toFixed(1)}" r="3.5" class="${e.pnl > 0 ? 'win' : 'loss'}">` +
+      `<title>${escapeHtml(e.id)} ${escapeHtml(e.reason)}: MAE ${fmt(e.mae, 1)}% MFE ${fmt(e.mfe, 1)}% ROI ${fmt(e.roi, 1)}%</title></circle>`).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}">
+<line x1="${pad}" y1="${height - pad}" x2="${width - pad / 2}" y2="${height - pad}" class="axis"/>
+<line x1="${pad}" y1="${pad / 2}" x2="${pad}" y2="${height - pad}" class="axis"/>
+<text x="${width - pad / 2}" y="${height - pad + 16}" text-anchor="end">MAE ${fmt(xMax, 0)}%</text>
+<text x="${pad - 6}" y="${pad / 2 + 10}" text-anchor="end">${fmt(yMax, 0)}%</text>
+<text x="${pad}" y="${height - 8}">0</text>
+<text x="${width / 2}" y="${height - 8}" text-anchor="middle">adverse excursion (ROI%) → favorable ↑</text>
+${dots}</svg>`;
+  }
+
+  _tradeList(trades) {
+    if (trades.length === 0) return '<p class="muted">No trades</p>';
+
+    const shown = trades.slice(0, this.maxTradeRows);
+    const rows = shown.map((t, i) => `<details class="trade">
+<summary><span>${i + 1}</span><span>${escapeHtml(t.symbol)}</span><span>${escapeHtml(t.side)}</span>
+<span>${fmtTime(t.entryTime)}</span><span>${fmtTime(t.exitTime)}</span><span>${fmt(t.entryPrice, 4)}</span>
+<span>${fmt(t.exitPrice, 4)}</span><span>${escapeHtml(t.reason)}</span>
+<span class="${t.pnl >= 0 ? 'pos' : 'neg'}">${fmt(t.pnl)}</span><span>${fmt(t.roi, 1, '%')}</span>
+<span>${fmt(t.mae, 1, '%')}</span><span>${fmt(t.mfe, 1, '%')}</span></summary>
+${this._signalDetail(t)}
+</details>`).join('');
+
+    const more = trades.length > shown.length
+      ? `<p class="muted">${trades.length - shown.length} more trades in the JSON report</p>`
+      : '';
+
+    return `<div class="trades"><div class="trade-head"><span>#</span><span>Symbol</span><span>Side</span><span>Entry</span>
+<span>Exit</span><span>Entry px</span><span>Exit px</span><span>Reason</span><span>PnL</span><span>ROI</span><span>MAE</span><span>MFE</span></div>
+${rows}</div>${more}`;
+  }
+
+  _signalDetail(trade) {
+    const extra = `<p class="muted">Funding ${fmt(trade.fundingPnL)} · ladder fills ${trade.fills}</p>`;
+    const signal = trade.entrySignal;
+    if (!signal) return `<div class="detail">${extra}<p class="muted">No signal recorded</p></div>`;
+
+    const rows = group => Object.entries(group || {})
+      .sort((a, b) => Math.abs(b[1].contribution) - Math.abs(a[1].contribution))
+      .map(([name, r]) => `<tr><th>${escapeHtml(name)}</th><td>${fmt(r.value)}</td>
+<td class="${r.contribution >= 0 ? 'pos' : 'neg'}">${fmt(r.contribution, 1)}</td><td>${escapeHtml(r.signals.join(', '))}</td></tr>`)
+      .join('');
+
+    return `<div class="detail">
+<p><b>${escapeHtml(signal.type)}</b> score ${fmt(signal.score, 1)} (indicators ${fmt(signal.indicatorScore, 1)},
+microstructure ${fmt(signal.microstructureScore, 1)}, bonus ${fmt(signal.combinationBonus, 1)}) ·
+confidence ${fmt(signal.confidence, 0)} · regime ${escapeHtml(signal.regime || '-')}</p>
+${extra}
+<table><tr><th>Indicator</th><th>Value</th><th>Contribution</th><th>Signals</th></tr>${rows(signal.indicators)}${rows(signal.microstructure)}</table>
+</div>`;
+  }
+
+  _page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font: 13px/1.45 -apple-system, 'Segoe UI', Roboto, sans-serif; margin: 24px; color: #1f2937; background: #fff; }
+h1 { font-size: 20px; margin: 0 0 4px; } h2 { font-size: 16px; margin: 28px 0 8px; } h3, h4 { margin: 16px 0 6px; }
+.muted { color: #6b7280; }
+table { border-collapse: collapse; margin: 4px 0; }
+th, td { padding: 3px 8px; border-bottom: 1px solid #e5e7eb; text-align: right; }
+th:first-child { text-align: left; }
+.summary td { min-width: 110px; }
+.heatmap td { min-width: 44px; text-align: center; } .heatmap .total { font-weight: 600; }
+.pos { color: #15803d; } .neg { color: #b91c1c; }
+.chart { max-width: 100%; } .chart text { font-size: 11px; fill: #6b7280; } .axis { stroke: #9ca3af; }
+.win { fill: rgba(22,163,74,.65); } .loss { fill: rgba(220,38,38,.65); }
+.legend { margin-right: 12px; font-weight: 600; }
+.trades summary, .trade-head { display: grid; grid-template-columns: 40px 100px 50px 130px 130px 90px 90px 120px 80px 70px 60px 60px; gap: 4px; padding: 3px 0; }
+.trade-head { font-weight: 600; border-bottom: 2px solid #d1d5db; }
+.trade summary { cursor: pointer; border-bottom: 1px solid #f3f4f6; } .trade[open] summary { background: #f9fafb; }
+.detail { padding: 6px 12px 12px 44px; background: #f9fafb; }
+.columns { display: grid; gap: 24px; } .column { min-width: 0; overflow-x: auto; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = ReportGenerator;
+module.exports.REPORT_KIND = REPORT_KIND;
+module.exports.EXIT_REASONS = EXIT_REASONS;
@@ -3,7 +3,13 @@
  */
 
 const BacktestEngine = require('./BacktestEngine');
+const IndicatorPipeline = require('./IndicatorPipeline');
+const FillModel = require('./FillModel');
+const ReportGenerator = require('./ReportGenerator');
 
 module.exports = {
-  BacktestEngine
+  BacktestEngine,
+  FillModel,
+  ReportGenerator,
+  ...IndicatorPipeline
 };
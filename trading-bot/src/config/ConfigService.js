@@ -0,0 +1,537 @@
+/**
+ * Config Service
+ *
+ * Hot-reloadable signal configuration with a versioned history.
+ *
+ * The active config is { profile, weights, trading }:
+ * - weights: signal-weights.js (watched; edits are picked up without a restart)
+ * - profile: a switches/signalProfiles profile applied on top (watched too)
+ * - trading: runtime overrides for the dashboard's trading settings
+ *
+ * Every change, whether from a file edit, update() or rollback(), is validated
+ * against SignalConfigSchema, applied to all attached SignalGeneratorV2 /
+ * TradingEngineV3 instances (all or none; engines also get the trading
+ * settings through updateConfig), then appended to the history file
+ * as a new version with who, when and a field diff. The history survives
+ * restarts: start() resumes from the latest version unless the files changed
+ * while the process was down.
+ *
+ * Results follow the { ok, value } / { ok: false, error: { code, message } } convention.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const { resolveWeights } = require('../lib/SignalScoring');
+const { validateSignalConfig, validateWeights } = require('./SignalConfigSchema');
+
+const ROOT = path.join(__dirname, '../..');
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, patch) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(patch)) {
+    out[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return out;
+}
+
+/**
+ * Changed fields between two JSON values as [{ path, from, to }]
+ */
+function diffConfig(a, b, prefix = '') {
+  if (isObject(a) && isObject(b)) {
+    const changes = [];
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      changes.push(...diffConfig(a[key], b[key], prefix ? `${prefix}.${key}` : key));
+    }
+    return changes;
+  }
+  if (JSON.stringify(a) === JSON.stringify(b)) return [];
+  return [{ path: prefix, from: a === undefined ? null : a, to: b === undefined ? null : b }];
+}
+
+class ConfigService extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {string} config.weightsFile - Weights module (default signal-weights.js)
+   * @param {string} config.profileDir - Profile modules (default switches/signalProfiles)
+   * @param {string} config.profile - Profile for the first version (default SIGNAL_PROFILE env, none)
+   * @param {string} config.historyFile - Version history (default logs/config-versions.jsonl)
+   * @param {Object} config.tradingDefaults - Trading settings that `trading` may override
+   * @param {Function} config.validateTrading - Extra check for trading overrides (throws on error)
+   * @param {boolean} config.watch - Watch the files for changes (default true)
+   * @param {number} config.pollInterval - File poll interval in ms (default 1000)
+   * @param {Function} config.clock - Time source (default Date.now)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.weightsFile = config.weightsFile || path.join(ROOT, 'signal-weights.js');
+    this.profileDir = config.profileDir || path.join(ROOT, 'switches/signalProfiles');
+    this.initialProfile = config.profile !== undefined ? config.profile : (process.env.SIGNAL_PROFILE || null);
+    this.historyFile = config.historyFile || path.join(config.logDir || path.join(ROOT, 'logs'), 'config-versions.jsonl');
+    this.tradingDefaults = config.tradingDefaults || {};
+    this.validateTradingHook = config.validateTrading || null;
+    this.watch = config.watch !== false;
+    this.pollInterval = config.pollInterval || 1000;
+    this.clock = config.clock || (() => Date.now());
+
+    this.history = [];
+    this.current = null;
+    this.targets = new Set();
+    this.watchedFiles = [];
+    this.started = false;
+  }
+
+  // ============================================================================
+  // LIFECYCLE
+  // ============================================================================
+
+  /**
+   * Load the history, pick up file changes made while stopped, start watching
+   * @returns {Object} Result with the active version
+   */
+  start() {
+    if (this.started) return { ok: true, value: this._summary(this.current) };
+
+    try {
+      this.history = this._readHistory();
+    } catch (error) {
+      return { ok: false, error: { code: 'HISTORY_UNREADABLE', message: error.message } };
+    }
+
+    const latest = this.history[this.history.length - 1] || null;
+    const profile = latest ? latest.config.profile : this.initialProfile;
+
+    let files;
+    try {
+      files = this._loadFiles(profile);
+    } catch (error) {
+      if (!latest) return { ok: false, error: { code: 'LOAD_FAILED', message: error.message } };
+      console.warn(`[ConfigService] Cannot read config files, keeping version ${latest.version}: ${error.message}`);
+    }
+
+    this.current = latest;
+    this.started = true;
+
+    if (files && (!latest || !this._sameFiles(latest.files, files.hashes))) {
+      const base = latest ? latest.config : { profile, trading: {} };
+      const result = this._commit(
+        { ...base, weights: files.weights },
+        files.profileDefinition,
+        files.hashes,
+        { author: 'startup', source: 'file', reason: latest ? 'Files changed while stopped' : 'Initial version' }
+      );
+      if (!result.ok) {
+        if (!latest) {
+          this.started = false;
+          return result;
+        }
+        console.warn(`[ConfigService] Files rejected, keeping version ${latest.version}: ${result.error.message}`);
+      }
+    }
+
+    if (this.watch) this._startWatching();
+    console.log(`[ConfigService] Active config version ${this.current.version} (profile: ${this.current.config.profile || 'none'})`);
+
+    return { ok: true, value: this._summary(this.current) };
+  }
+
+  stop() {
+    for (const file of this.watchedFiles) {
+      fs.unwatchFile(file);
+    }
+    this.watchedFiles = [];
+    this.started = false;
+  }
+
+  // ============================================================================
+  // TARGETS
+  // ============================================================================
+
+  /**
+   * Keep a SignalGeneratorV2 (applyWeights) or TradingEngineV3 (updateConfig
+   * with { weights, trading }) in sync
+   * The current config is applied immediately when the service is started.
+   */
+  attach(target) {
+    if (typeof target.applyWeights !== 'function' && typeof target.updateConfig !== 'function') {
+      throw new Error('Config target must implement applyWeights(weights) or updateConfig(patch)');
+    }
+    if (this.current) this._applyTo(target, this._effectiveOf(this.current));
+    this.targets.add(target);
+    return () => this.detach(target);
+  }
+
+  detach(target) {
+    this.targets.delete(target);
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  /**
+   * Active version: { version, ts, author, source, profile, weights, trading }
+   */
+  getCurrent() {
+    if (!this.current) return null;
+    return { ...this._summary(this.current), ...clone(this.current.config) };
+  }
+
+  /**
+   * Weights with the active profile applied, as handed to SignalGeneratorV2
+   */
+  getEffectiveWeights() {
+    if (!this.current) return null;
+    return resolveWeights(this.current.profileDefinition, this.current.config.weights);
+  }
+
+  /**
+   * Trading settings: tradingDefaults with the active overrides applied
+   */
+  getTradingConfig() {
+    return this._tradingOf(this.current ? this.current.config : {});
+  }
+
+  /**
+   * All versions, oldest first, without the full config
+   */
+  getHistory() {
+    return this.history.map(entry => ({ ...this._summary(entry), diff: entry.diff }));
+  }
+
+  /**
+   * One version including its full config
+   */
+  getVersion(version) {
+    const entry = this.history.find(e => e.version === Number(version));
+    return entry ? clone(entry) : null;
+  }
+
+  // ============================================================================
+  // CHANGES
+  // ============================================================================
+
+  /**
+   * Apply a partial change
+   * @param {Object} patch - { profile, weights (merged deeply), trading (merged) }
+   * @param {Object} meta - { author, reason }
+   * @returns {Object} Result with the new version (unchanged config returns the current one)
+   */
+  update(patch = {}, meta = {}) {
+    if (!this.current) {
+      return { ok: false, error: { code: 'NOT_STARTED', message: 'Config service not started' } };
+    }
+    if (!isObject(patch)) {
+      return { ok: false, error: { code: 'INVALID_CONFIG', message: 'Config patch must be an object', details: [] } };
+    }
+
+    const next = clone(this.current.config);
+    let profileDefinition = this.current.profileDefinition;
+    let files = this.current.files;
+
+    if ('profile' in patch && patch.profile !== next.profile) {
+      next.profile = patch.profile || null;
+      if (next.profile) {
+        if (!this.listProfiles().includes(next.profile)) {
+          return this._invalid([`Unknown profile: ${next.profile} (available: ${this.listProfiles().join(', ')})`]);
+        }
+        try {
+          profileDefinition = this._loadModule(this._profileFile(next.profile));
+        } catch (error) {
+          return { ok: false, error: { code: 'LOAD_FAILED', message: error.message } };
+        }
+      } else {
+        profileDefinition = null;
+      }
+      files = { ...files, profile: next.profile ? this._hash(this._profileFile(next.profile)) : null };
+    }
+    if (patch.weights !== undefined) {
+      if (!isObject(patch.weights)) return this._invalid(['weights must be an object']);
+      next.weights = merge(next.weights, patch.weights);
+    }
+    if (patch.trading !== undefined) {
+      if (!isObject(patch.trading)) return this._invalid(['trading must be an object']);
+      next.trading = { ...next.trading, ...patch.trading };
+    }
+
+    return this._commit(next, profileDefinition, files, {
+      author: meta.author || 'api',
+      source: 'api',
+      reason: meta.reason || null
+    });
+  }
+
+  /**
+   * Make an earlier version active again (recorded as a new version)
+   */
+  rollback(version, meta = {}) {
+    const target = this.history.find(e => e.version === Number(version));
+    if (!target) {
+      return { ok: false, error: { code: 'VERSION_NOT_FOUND', message: `No config version ${version}` } };
+    }
+
+    return this._commit(clone(target.config), clone(target.profileDefinition), this.current.files, {
+      author: meta.author || 'api',
+      source: 'rollback',
+      reason: meta.reason || null,
+      rollbackOf: target.version
+    });
+  }
+
+  /**
+   * Re-read the weights and active profile files; a new version if they changed
+   */
+  reload(author = 'file') {
+    if (!this.current) {
+      return { ok: false, error: { code: 'NOT_STARTED', message: 'Config service not started' } };
+    }
+
+    let files;
+    try {
+      files = this._loadFiles(this.current.config.profile);
+    } catch (error) {
+      return this._reject({ ok: false, error: { code: 'LOAD_FAILED', message: error.message } });
+    }
+
+    if (this._sameFiles(this.current.files, files.hashes)) {
+      return { ok: true, value: this._summary(this.current) };
+    }
+
+    const result = this._commit(
+      { ...clone(this.current.config), weights: files.weights },
+      files.profileDefinition,
+      files.hashes,
+      { author, source: 'file', reason: null }
+    );
+    if (!result.ok) return this._reject(result);
+
+    return result;
+  }
+
+  listProfiles() {
+    if (!fs.existsSync(this.profileDir)) return [];
+    return fs.readdirSync(this.profileDir)
+      .filter(file => file.endsWith('.js'))
+      .map(file => path.basename(file, '.js'))
+      .sort();
+  }
+
+  // ============================================================================
+  // INTERNALS
+  // ============================================================================
+
+  /**
+   * Validate, apply to every target (or none), then persist as a new version
+   */
+  _commit(config, profileDefinition, files, meta) {
+    config.trading = config.trading || {};
+    const errors = validateSignalConfig(config, { profiles: this.listProfiles(), tradingDefaults: this.tradingDefaults });
+
+    let effective = null;
+    if (errors.length === 0) {
+      try {
+        effective = resolveWeights(profileDefinition, config.weights);
+        errors.push(...validateWeights(effective).map(e => `with profile ${config.profile}: ${e}`));
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    if (errors.length === 0 && this.validateTradingHook && Object.keys(config.trading).length > 0) {
+      try {
+        this.validateTradingHook(config.trading);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    if (errors.length > 0) return this._invalid(errors);
+
+    const previous = this.current;
+    const diff = previous ? this._diffVersions(previous, config, profileDefinition) : [];
+    if (previous && diff.length === 0 && !meta.rollbackOf) {
+      return { ok: true, value: this._summary(previous) };
+    }
+
+    const applied = this._applyAll({ weights: effective, trading: this._tradingOf(config) }, previous);
+    if (!applied.ok) return applied;
+
+    const entry = {
+      version: (previous ? previous.version : 0) + 1,
+      ts: this.clock(),
+      author: meta.author,
+      source: meta.source,
+      reason: meta.reason || null,
+      rollbackOf: meta.rollbackOf || null,
+      diff,
+      config,
+      profileDefinition: clone(profileDefinition) || null,
+      files
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+      fs.appendFileSync(this.historyFile, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      if (previous) this._applyAll(this._effectiveOf(previous), null);
+      return { ok: false, error: { code: 'PERSIST_FAILED', message: error.message } };
+    }
+
+    this.history.push(entry);
+    this.current = entry;
+
+    console.log(`[ConfigService] Version ${entry.version} by ${entry.author} (${entry.source}): ${diff.length} field(s) changed`);
+    this.emit('change', { version: this._summary(entry), diff, previous: previous ? previous.version : null });
+
+    return { ok: true, value: this._summary(entry) };
+  }
+
+  /**
+   * Field diff against the previous version. With the same profile active, an
+   * edited profile file shows up under profileDefinition.*
+   */
+  _diffVersions(previous, config, profileDefinition) {
+    const diff = diffConfig(previous.config, config);
+    if (previous.config.profile === config.profile) {
+      diff.push(...diffConfig(previous.profileDefinition || null, clone(profileDefinition) || null, 'profileDefinition'));
+    }
+    return diff;
+  }
+
+  _applyAll(effective, previous) {
+    const applied = [];
+    for (const target of this.targets) {
+      try {
+        this._applyTo(target, effective);
+        applied.push(target);
+      } catch (error) {
+        if (previous) {
+          const restore = this._effectiveOf(previous);
+          for (const done of applied) this._applyTo(done, restore);
+        }
+        return { ok: false, error: { code: 'APPLY_FAILED', message: error.message } };
+      }
+    }
+    return { ok: true, value: applied.length };
+  }
+
+  /**
+   * @param {Object} effective - { weights (profile applied), trading (defaults + overrides) }
+   */
+  _applyTo(target, effective) {
+    if (typeof target.applyWeights === 'function') {
+      target.applyWeights(clone(effective.weights));
+    } else {
+      target.updateConfig({ weights: clone(effective.weights), trading: clone(effective.trading) });
+    }
+  }
+
+  _effectiveOf(entry) {
+    return {
+      weights: resolveWeights(entry.profileDefinition, entry.config.weights),
+      trading: this._tradingOf(entry.config)
+    };
+  }
+
+  _tradingOf(config) {
+    return { ...this.tradingDefaults, ...(config.trading || {}) };
+  }
+
+  _invalid(details) {
+    return {
+      ok: false,
+      error: { code: 'INVALID_CONFIG', message: `Config validation failed: ${details.join('; ')}`, details }
+    };
+  }
+
+  _reject(result) {
+    console.warn(`[ConfigService] Reload rejected, keeping version ${this.current.version}: ${result.error.message}`);
+    this.emit('rejected', result.error);
+    return result;
+  }
+
+  _summary(entry) {
+    return {
+      version: entry.version,
+      ts: entry.ts,
+      author: entry.author,
+      source: entry.source,
+      reason: entry.reason,
+      rollbackOf: entry.rollbackOf,
+      profile: entry.config.profile
+    };
+  }
+
+  _loadFiles(profile) {
+    const weights = clone(this._loadModule(this.weightsFile));
+    const profileFile = profile ? this._profileFile(profile) : null;
+    return {
+      weights,
+      profileDefinition: profileFile ? clone(this._loadModule(profileFile)) : null,
+      hashes: {
+        weights: this._hash(this.weightsFile),
+        profile: profileFile ? this._hash(profileFile) : null
+      }
+    };
+  }
+
+  _loadModule(file) {
+    const resolved = require.resolve(file);
+    delete require.cache[resolved];
+    return require(resolved);
+  }
+
+  _profileFile(name) {
+    return path.join(this.profileDir, `${name}.js`);
+  }
+
+  _hash(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+  }
+
+  _sameFiles(a, b) {
+    return !!a && !!b && a.weights === b.weights && a.profile === b.profile;
+  }
+
+  _readHistory() {
+    if (!fs.existsSync(this.historyFile)) return [];
+
+    const lines = fs.readFileSync(this.historyFile, 'utf8').split('\n').filter(line => line.trim() !== '');
+    const entries = [];
+    lines.forEach((line, i) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append leaves at most one partial line at the end
+        if (i === lines.length - 1) return;
+        throw new Error(`${this.historyFile}:${i + 1}: ${error.message}`);
+      }
+    });
+    return entries;
+  }
+
+  _startWatching() {
+    const files = [this.weightsFile, ...this.listProfiles().map(name => this._profileFile(name))];
+    for (const file of files) {
+      fs.watchFile(file, { interval: this.pollInterval }, (curr, prev) => {
+        if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+        this.reload(`file:${path.relative(ROOT, file)}`);
+      });
+      this.watchedFiles.push(file);
+    }
+  }
+}
+
+ConfigService.diffConfig = diffConfig;
+
+module.exports = ConfigService;
@@ -0,0 +1,248 @@
+/**
+ * Signal Config Schema
+ *
+ * Validation rules for the hot-reloadable signal configuration: weights in
+ * signal-weights.js shape (before and after a profile is applied), the active
+ * profile name and runtime trading overrides.
+ *
+ * Fields not listed here are passed through untouched; listed fields must
+ * match their rule. validateSignalConfig() returns every problem at once.
+ */
+
+const INDICATOR_NAMES = [
+  'rsi', 'macd', 'williamsR', 'ao', 'emaTrend', 'stochRSI', 'stochastic',
+  'bollinger', 'kdj', 'obv', 'dom', 'adx'
+];
+
+const MICROSTRUCTURE_NAMES = ['buySellRatio', 'priceRatio', 'fundingRate'];
+
+const CLASSIFICATION_NAMES = [
+  'EXTREME_BUY', 'STRONG_BUY', 'BUY', 'BUY_WEAK', 'NEUTRAL',
+  'SELL_WEAK', 'SELL', 'STRONG_SELL', 'EXTREME_SELL'
+];
+
+const SignalConfigSchema = {
+  // indicators.<name> and microstructure.<name>
+  entry: {
+    maxWeight: { type: 'number', min: 0, max: 200 },
+    enabled: { type: 'boolean' },
+    liveOnly: { type: 'boolean' }
+  },
+  // indicators.<name>.signals.<key>
+  subSignal: {
+    weight: { type: 'number', min: 0, max: 10 },
+    priority: { type: 'number', min: 0, max: 100 },
+    enabled: { type: 'boolean' }
+  },
+  strengthMultiplier: { type: 'number', min: 0, max: 10 },
+  caps: {
+    indicatorScore: { type: 'number', min: 1, max: 1000 },
+    microstructureScore: { type: 'number', min: 0, max: 1000 },
+    totalScore: { type: 'number', min: 1, max: 1000 }
+  },
+  classification: {
+    min: { type: 'number', min: -1000, max: 1000 },
+    max: { type: 'number', min: -1000, max: 1000 }
+  },
+  entryRequirements: {
+    minScore: { type: 'number', min: 0, max: 1000 },
+    minConfidence: { type: 'number', min: 0, max: 100 },
+    minIndicatorsAgreeing: { type: 'number', min: 0, max: 20 },
+    requireDivergence: { type: 'boolean' },
+    requireTrendAlignment: { type: 'boolean' }
+  },
+  regimeStrategy: {
+    adxTrendThreshold: { type: 'number', min: 0, max: 100 },
+    adxStrongTrendThreshold: { type: 'number', min: 0, max: 100 }
+  },
+  combinationBonus: { type: 'number', min: -100, max: 100 }
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkValue(value, rules, field, errors) {
+  if (value === undefined) return;
+
+  switch (rules.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${field} must be a number, got ${JSON.stringify(value)}`);
+      } else if (value < rules.min || value > rules.max) {
+        errors.push(`${field} must be between ${rules.min} and ${rules.max}, got ${value}`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${field} must be a boolean, got ${JSON.stringify(value)}`);
+      }
+      break;
+
+    default:
+      errors.push(`Unknown type "${rules.type}" for ${field}`);
+  }
+}
+
+function checkFields(object, fields, prefix, errors) {
+  if (!isObject(object)) {
+    errors.push(`${prefix} must be an object`);
+    return;
+  }
+  for (const [field, rules] of Object.entries(fields)) {
+    checkValue(object[field], rules, `${prefix}.${field}`, errors);
+  }
+}
+
+function checkEntries(section, names, prefix, errors) {
+  if (section === undefined) return;
+  if (!isObject(section)) {
+    errors.push(`${prefix} must be an object`);
+    return;
+  }
+
+  for (const [name, entry] of Object.entries(section)) {
+    const field = `${prefix}.${name}`;
+    if (!names.includes(name)) {
+      errors.push(`Unknown ${prefix} entry: ${name}`);
+      continue;
+    }
+    checkFields(entry, SignalConfigSchema.entry, field, errors);
+    if (isObject(entry) && entry.signals !== undefined) {
+      if (!isObject(entry.signals)) {
+        errors.push(`${field}.signals must be an object`);
+        continue;
+      }
+      for (const [key, signal] of Object.entries(entry.signals)) {
+        checkFields(signal, SignalConfigSchema.subSignal, `${field}.signals.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate weights in signal-weights.js shape
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateWeights(weights) {
+  const errors = [];
+  if (!isObject(weights)) {
+    return ['weights must be an object'];
+  }
+  if (!isObject(weights.indicators)) {
+    errors.push('weights.indicators must be an object');
+  }
+
+  checkEntries(weights.indicators, INDICATOR_NAMES, 'weights.indicators', errors);
+  checkEntries(weights.microstructure, MICROSTRUCTURE_NAMES, 'weights.microstructure', errors);
+
+  if (weights.strengthMultipliers !== undefined) {
+    if (!isObject(weights.strengthMultipliers)) {
+      errors.push('weights.strengthMultipliers must be an object');
+    } else {
+      for (const [name, value] of Object.entries(weights.strengthMultipliers)) {
+        checkValue(value, SignalConfigSchema.strengthMultiplier, `weights.strengthMultipliers.${name}`, errors);
+      }
+    }
+  }
+
+  if (weights.caps !== undefined) {
+    checkFields(weights.caps, SignalConfigSchema.caps, 'weights.caps', errors);
+  }
+
+  if (weights.classifications !== undefined) {
+    if (!isObject(weights.classifications)) {
+      errors.push('weights.classifications must be an object');
+    } else {
+      for (const [name, range] of Object.entries(weights.classifications)) {
+        const field = `weights.classifications.${name}`;
+        if (!CLASSIFICATION_NAMES.includes(name)) {
+          errors.push(`Unknown classification: ${name}`);
+          continue;
+        }
+        checkFields(range, SignalConfigSchema.classification, field, errors);
+        if (isObject(range) && range.min > range.max) {
+          errors.push(`${field}.min must not exceed max (${range.min} > ${range.max})`);
+        }
+      }
+    }
+  }
+
+  if (weights.entryRequirements !== undefined) {
+    checkFields(weights.entryRequirements, SignalConfigSchema.entryRequirements, 'weights.entryRequirements', errors);
+  }
+
+  if (weights.regimeStrategy !== undefined) {
+    checkFields(weights.regimeStrategy, SignalConfigSchema.regimeStrategy, 'weights.regimeStrategy', errors);
+  }
+
+  if (weights.combinationBonuses !== undefined) {
+    if (!isObject(weights.combinationBonuses)) {
+      errors.push('weights.combinationBonuses must be an object');
+    } else {
+      for (const [name, value] of Object.entries(weights.combinationBonuses)) {
+        checkValue(value, SignalConfigSchema.combinationBonus, `weights.combinationBonuses.${name}`, errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate runtime trading overrides against the values they override
+ *
+ * Only keys present in `defaults` with a number, boolean or string value can
+ * be overridden, and only with a value of the same type.
+ */
+function validateTrading(trading, defaults = {}) {
+  const errors = [];
+  if (!isObject(trading)) {
+    return ['trading must be an object'];
+  }
+
+  for (const [field, value] of Object.entries(trading)) {
+    const current = defaults[field];
+    if (!['number', 'boolean', 'string'].includes(typeof current)) {
+      errors.push(`Unknown or read-only trading field: ${field}`);
+    } else if (typeof value !== typeof current || (typeof value === 'number' && !Number.isFinite(value))) {
+      errors.push(`trading.${field} must be a ${typeof current}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a full signal config document
+ * @param {Object} config - { profile, weights, trading }
+ * @param {Object} options - { profiles: names allowed for `profile`, tradingDefaults }
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateSignalConfig(config, options = {}) {
+  if (!isObject(config)) {
+    return ['config must be an object'];
+  }
+
+  const errors = [];
+  const profiles = options.profiles || [];
+
+  if (config.profile !== null && config.profile !== undefined) {
+    if (typeof config.profile !== 'string' || !profiles.includes(config.profile)) {
+      errors.push(`Unknown profile: ${config.profile} (available: ${profiles.join(', ') || 'none'})`);
+    }
+  }
+
+  errors.push(...validateWeights(config.weights));
+  errors.push(...validateTrading(config.trading || {}, options.tradingDefaults));
+
+  return errors;
+}
+
+module.exports = {
+  SignalConfigSchema,
+  validateSignalConfig,
+  validateWeights,
+  validateTrading
+};
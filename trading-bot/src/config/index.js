@@ -0,0 +1,11 @@
+/**
+ * Config Module Exports
+ */
+
+const ConfigService = require('./ConfigService');
+const SignalConfigSchema = require('./SignalConfigSchema');
+
+module.exports = {
+  ConfigService,
+  ...SignalConfigSchema
+};
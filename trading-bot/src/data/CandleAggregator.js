@@ -0,0 +1,114 @@
+/**
+ * Candle Aggregator
+ *
+ * Streaming counterpart of CandleRepository.resample: closed candles of a
+ * lower timeframe go in one at a time, higher-timeframe candles come out as
+ * soon as their last lower-timeframe candle closes. Buckets are aligned to
+ * epoch multiples of the target timeframe, same as resample().
+ *
+ * A bucket whose last candle never arrives (missing bar) is emitted when the
+ * next bucket starts, built from the candles it did get.
+ *
+ * Usage:
+ *   const hourly = new CandleAggregator('15min', '1hour');
+ *   for (const bar of hourly.push(closed15m)) indicators.update(bar);
+ */
+
+const { timeframeToMs } = require('./CandleRepository');
+const StateSnapshot = require('../utils/StateSnapshot');
+
+class CandleAggregator {
+  /**
+   * @param {string} fromTimeframe - Timeframe of the candles pushed in
+   * @param {string} toTimeframe - Timeframe of the candles emitted
+   */
+  constructor(fromTimeframe, toTimeframe) {
+    this.fromMs = timeframeToMs(fromTimeframe);
+    this.toMs = timeframeToMs(toTimeframe);
+
+    if (this.toMs < this.fromMs || this.toMs % this.fromMs !== 0) {
+      throw new Error(`Cannot aggregate ${fromTimeframe} into ${toTimeframe}`);
+    }
+
+    this.fromTimeframe = fromTimeframe;
+    this.toTimeframe = toTimeframe;
+    this.current = null;   // Bucket being built
+    this.lastTs = null;    // Last candle accepted
+  }
+
+  bucketOf(ts) {
+    return Math.floor(ts / this.toMs) * this.toMs;
+  }
+
+  /**
+   * Add a closed lower-timeframe candle
+   * Candles at or before the last one accepted are ignored.
+   * @returns {Object[]} Higher-timeframe candles completed by this one (usually none or one)
+   */
+  push(candle) {
+    if (this.lastTs !== null && candle.ts <= this.lastTs) return [];
+    this.lastTs = candle.ts;
+
+    const completed = [];
+    const bucketTs = this.bucketOf(candle.ts);
+
+    if (this.current && this.current.ts !== bucketTs) {
+      completed.push(this._emit());
+    }
+
+    if (!this.current) {
+      this.current = {
+        ts: bucketTs,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume
+      };
+    } else {
+      this.current.high = Math.max(this.current.high, candle.high);
+      this.current.low = Math.min(this.current.low, candle.low);
+      this.current.close = candle.close;
+      this.current.volume += candle.volume;
+    }
+
+    // Last lower-timeframe candle of the bucket closes the bucket
+    if (candle.ts + this.fromMs >= bucketTs + this.toMs) {
+      completed.push(this._emit());
+    }
+
+    return completed;
+  }
+
+  /**
+   * Higher-timeframe candle still forming (null between buckets)
+   */
+  getForming() {
+    return this.current ? { ...this.current } : null;
+  }
+
+  serialize() {
+    return StateSnapshot.capture(this, 'CandleAggregator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize() (the bucket being built included)
+   * @throws {Error} If the snapshot aggregates different timeframes
+   */
+  restore(snapshot) {
+    StateSnapshot.check(snapshot, 'CandleAggregator');
+    const { fromTimeframe, toTimeframe } = snapshot.state;
+    if (fromTimeframe !== this.fromTimeframe || toTimeframe !== this.toTimeframe) {
+      throw new Error(`Snapshot aggregates ${fromTimeframe} into ${toTimeframe}, not ${this.fromTimeframe} into ${this.toTimeframe}`);
+    }
+    return StateSnapshot.apply(this, snapshot, 'CandleAggregator');
+  }
+
+  _emit() {
+    const candle = this.current;
+    this.current = null;
+    return candle;
+  }
+}
+
+module.exports = CandleAggregator;
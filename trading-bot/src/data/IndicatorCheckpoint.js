@@ -0,0 +1,273 @@
+/**
+ * Indicator Checkpoint
+ *
+ * Periodic on-disk checkpoints of indicator state (anything with the
+ * serialize() / restore() contract of utils/StateSnapshot), so a restarted
+ * bot resumes warm instead of replaying a full warmup history.
+ *
+ * Each entry (one per symbol/timeframe) stores the snapshots, a fingerprint of
+ * the params they were built with, and the last candle they saw. On boot,
+ * resume() accepts the entry only if:
+ * - the timeframe and params fingerprint are unchanged;
+ * - the freshly fetched candles still contain the checkpoint's last candle,
+ *   with the same OHLCV (no gap, no revised bar).
+ * The caller restores the snapshots and feeds the candles that closed since,
+ * ending up with the same values as a cold warmup over the full history.
+ *
+ * Writes go to a temp file renamed over the checkpoint, so a crash mid-write
+ * leaves the previous checkpoint intact.
+ *
+ * Usage:
+ *   const checkpoint = new IndicatorCheckpoint({ file: 'logs/indicator-checkpoint-live.json' });
+ *   checkpoint.load();
+ *   const { components: indicators, resumed } = checkpoint.warm(symbol, createIndicators, { timeframe, params, candles, feed });
+ *   checkpoint.start(cp => cp.set(symbol, { timeframe, params, lastCandle, state: IndicatorCheckpoint.serializeAll(indicators) }));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Relative tolerance when matching the checkpoint's last candle against the exchange
+const PRICE_TOLERANCE = 1e-9;
+
+class IndicatorCheckpoint {
+  /**
+   * @param {Object} config
+   * @param {string} config.file - Checkpoint path
+   * @param {number} config.intervalMs - Period of start()'s writes
+   * @param {Function} config.clock - Time source (ms)
+   */
+  constructor(config = {}) {
+    this.file = config.file || path.join(__dirname, '../../logs/indicator-checkpoint.json');
+    this.intervalMs = config.intervalMs || DEFAULT_INTERVAL_MS;
+    this.clock = config.clock || (() => Date.now());
+
+    this.entries = new Map();
+    this.timer = null;
+  }
+
+  // ===========================================================================
+  // ENTRIES
+  // ===========================================================================
+
+  /**
+   * Record the current state for a key (written on the next save())
+   * @param {string} key - e.g. symbol or `${symbol}:${timeframe}`
+   * @param {Object} entry - { timeframe, params, lastCandle, state }
+   */
+  set(key, { timeframe, params, lastCandle, state }) {
+    this.entries.set(key, {
+      timeframe,
+      fingerprint: IndicatorCheckpoint.fingerprint(params),
+      lastCandle: lastCandle ? IndicatorCheckpoint._ohlcv(lastCandle) : null,
+      savedAt: this.clock(),
+      state
+    });
+  }
+
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  // ===========================================================================
+  // DISK
+  // ===========================================================================
+
+  /**
+   * Write every entry atomically
+   * @returns {Object} Result { file, entries }
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({
+        savedAt: this.clock(),
+        entries: Object.fromEntries(this.entries)
+      }));
+      fs.renameSync(tmp, this.file);
+      return { ok: true, value: { file: this.file, entries: this.entries.size } };
+    } catch (error) {
+      return { ok: false, error: { code: 'CHECKPOINT_WRITE_FAILED', message: error.message } };
+    }
+  }
+
+  /**
+   * Read the checkpoint file (a missing file loads nothing)
+   * @returns {Object} Result with the number of entries loaded
+   */
+  load() {
+    this.entries = new Map();
+    if (!fs.existsSync(this.file)) return { ok: true, value: 0 };
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const [key, entry] of Object.entries(data.entries || {})) {
+        this.entries.set(key, entry);
+      }
+      return { ok: true, value: this.entries.size };
+    } catch (error) {
+      return { ok: false, error: { code: 'CHECKPOINT_READ_FAILED', message: error.message } };
+    }
+  }
+
+  /**
+   * Save every intervalMs; collect(checkpoint) refreshes the entries first
+   */
+  start(collect = null) {
+    this.stop();
+    this.timer = setInterval(() => {
+      if (collect) collect(this);
+      this.save();
+    }, this.intervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // ===========================================================================
+  // BOOT VALIDATION
+  // ===========================================================================
+
+  /**
+   * Validate a key's checkpoint against freshly fetched closed candles
+   *
+   * @param {string} key
+   * @param {Object} current - { timeframe, params, candles } (candles sorted, closed only)
+   * @returns {Object} Result { state, lastCandle, replay: candles after the checkpoint } or
+   *   error NO_CHECKPOINT | TIMEFRAME_CHANGED | PARAMS_CHANGED | GAP | CANDLE_MISMATCH
+   */
+  resume(key, { timeframe, params, candles }) {
+    const entry = this.entries.get(key);
+    if (!entry || !entry.lastCandle) {
+      return { ok: false, error: { code: 'NO_CHECKPOINT', message: `No checkpoint for ${key}` } };
+    }
+    if (entry.timeframe !== timeframe) {
+      return { ok: false, error: { code: 'TIMEFRAME_CHANGED', message: `Checkpoint for ${key} is on ${entry.timeframe}, not ${timeframe}` } };
+    }
+    if (entry.fingerprint !== IndicatorCheckpoint.fingerprint(params)) {
+      return { ok: false, error: { code: 'PARAMS_CHANGED', message: `Indicator params for ${key} changed since the checkpoint` } };
+    }
+
+    const last = entry.lastCandle;
+    const index = candles.findIndex(c => c.ts === last.ts);
+    if (index === -1) {
+      return { ok: false, error: { code: 'GAP', message: `Fetched candles for ${key} don't reach back to the checkpoint (${new Date(last.ts).toISOString()})` } };
+    }
+    if (!IndicatorCheckpoint._sameCandle(candles[index], last)) {
+      return { ok: false, error: { code: 'CANDLE_MISMATCH', message: `Candle ${new Date(last.ts).toISOString()} for ${key} differs from the checkpoint` } };
+    }
+
+    return {
+      ok: true,
+      value: {
+        state: entry.state,
+        lastCandle: last,
+        replay: candles.slice(index + 1)
+      }
+    };
+  }
+
+  /**
+   * Build a { name: instance } set and bring it up to date: restore the
+   * checkpoint and feed the candles since, or feed every candle (cold warmup)
+   * when the checkpoint is unusable.
+   *
+   * @param {string} key
+   * @param {Function} create - Returns a fresh component set
+   * @param {Object} current - { timeframe, params, candles, feed(components, candle) }
+   * @returns {Object} { components, resumed, fed, reason }
+   */
+  warm(key, create, { timeframe, params, candles, feed }) {
+    const resumed = this.resume(key, { timeframe, params, candles });
+    let reason = resumed.ok ? null : resumed.error.code;
+
+    if (resumed.ok) {
+      try {
+        const components = IndicatorCheckpoint.restoreAll(create(), resumed.value.state);
+        for (const candle of resumed.value.replay) feed(components, candle);
+        return { components, resumed: true, fed: resumed.value.replay.length, reason };
+      } catch (error) {
+        reason = 'RESTORE_FAILED';
+      }
+    }
+
+    const components = create();
+    for (const candle of candles) feed(components, candle);
+    return { components, resumed: false, fed: candles.length, reason };
+  }
+
+  // ===========================================================================
+  // HELPERS
+  // ===========================================================================
+
+  /**
+   * Stable hash of a params value (object key order doesn't matter)
+   */
+  static fingerprint(params) {
+    return crypto.createHash('sha1').update(IndicatorCheckpoint._stable(params ?? null)).digest('hex');
+  }
+
+  /**
+   * Snapshot every component of a { name: instance } set
+   */
+  static serializeAll(components) {
+    const state = {};
+    for (const [name, component] of Object.entries(components)) {
+      state[name] = component.serialize();
+    }
+    return state;
+  }
+
+  /**
+   * Restore a { name: instance } set from serializeAll() output
+   * @throws {Error} If a component is missing from the snapshot or rejects it
+   */
+  static restoreAll(components, state) {
+    for (const [name, component] of Object.entries(components)) {
+      if (!state || !state[name]) throw new Error(`Checkpoint has no ${name} state`);
+      component.restore(state[name]);
+    }
+    return components;
+  }
+
+  static _stable(value) {
+    if (Array.isArray(value)) return `[${value.map(v => IndicatorCheckpoint._stable(v)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).sort();
+      return `{${keys.map(k => `${JSON.stringify(k)}:${IndicatorCheckpoint._stable(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  static _ohlcv(candle) {
+    return {
+      ts: candle.ts,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume
+    };
+  }
+
+  static _sameCandle(a, b) {
+    return ['open', 'high', 'low', 'close', 'volume'].every(field => {
+      const x = Number(a[field]);
+      const y = Number(b[field]);
+      return Math.abs(x - y) <= PRICE_TOLERANCE * Math.max(1, Math.abs(x), Math.abs(y));
+    });
+  }
+}
+
+module.exports = IndicatorCheckpoint;
@@ -0,0 +1,13 @@
+/**
+ * Data Module Exports
+ */
+
+const CandleRepository = require('./CandleRepository');
+const CandleAggregator = require('./CandleAggregator');
+const IndicatorCheckpoint = require('./IndicatorCheckpoint');
+
+module.exports = {
+  CandleRepository,
+  CandleAggregator,
+  IndicatorCheckpoint
+};
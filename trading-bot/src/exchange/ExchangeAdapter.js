@@ -0,0 +1,144 @@
+/**
+ * Exchange Adapter Contract
+ *
+ * Every engine and agent talks to an exchange through this interface so the
+ * same code path runs against KuCoin Futures or the in-process simulator.
+ *
+ * All methods are async and return result objects:
+ *   { ok: true, value }
+ *   { ok: false, error: { code, message } }
+ *
+ * Normalized shapes:
+ *   contract  { symbol, baseCurrency, quoteCurrency, multiplier, tickSize, lotSize, maxLeverage,
+ *               makerFee, takerFee, maintMarginRate, status, turnover24h }
+ *   ticker    { symbol, price, bestBid, bestAsk, bestBidSize, bestAskSize, ts }
+ *   candle    { ts, open, high, low, close, volume }
+ *   orderBook { symbol, bids: [{ price, size }], asks: [{ price, size }], sequence, ts }  (best first)
+ *   order     { orderId, clientOid, symbol, side, type, price, size, filledSize, status,
+ *               stop, stopPrice, reduceOnly, closeOrder, leverage, createdAt }
+ *   position  { symbol, side: 'long'|'short', size (contracts), entryPrice, markPrice, leverage,
+ *               margin, unrealisedPnl, realisedPnl, liquidationPrice }
+ *   balance   { currency, equity, available, positionMargin, orderMargin, unrealisedPnl }
+ *   funding   { symbol, rate, predictedRate, fundingTime, nextFundingTime }
+ *
+ * Sizes are in contracts (lots); notional = size * multiplier * price.
+ */
+
+const METHODS = [
+  'getServerTime',
+  'getContracts',
+  'getContract',
+  'getTicker',
+  'getKlines',
+  'getOrderBook',
+  'getFundingRate',
+  'getBalance',
+  'getPositions',
+  'getPosition',
+  'setLeverage',
+  'placeOrder',
+  'cancelOrder',
+  'cancelAllOrders',
+  'getOrder',
+  'getOpenOrders',
+  'placeStopOrder',
+  'cancelStopOrder',
+  'cancelAllStopOrders',
+  'getStopOrders',
+  'getWebSocketToken'
+];
+
+class ExchangeAdapter {
+  constructor(config = {}) {
+    this.name = config.name || 'exchange';
+    // Simulated adapters move no real funds; engines may relax live-trading gates for them
+    this.simulated = false;
+  }
+
+  /**
+   * List contract methods missing from an adapter instance
+   * @returns {string[]}
+   */
+  static missingMethods(adapter) {
+    return METHODS.filter(method => typeof adapter?.[method] !== 'function');
+  }
+
+  _ok(value) {
+    return { ok: true, value };
+  }
+
+  _fail(code, message) {
+    return { ok: false, error: { code, message } };
+  }
+
+  _notSupported(method) {
+    return this._fail('NOT_SUPPORTED', `${this.name} does not support ${method}`);
+  }
+
+  async getServerTime() { return this._notSupported('getServerTime'); }
+
+  /** @returns {Promise<Object>} contract[] */
+  async getContracts() { return this._notSupported('getContracts'); }
+
+  async getContract(symbol) { return this._notSupported('getContract'); }
+
+  async getTicker(symbol) { return this._notSupported('getTicker'); }
+
+  /**
+   * @param {string} symbol
+   * @param {number} granularity - Minutes per candle
+   * @param {Object} range - { from, to } in ms
+   */
+  async getKlines(symbol, granularity, range = {}) { return this._notSupported('getKlines'); }
+
+  async getOrderBook(symbol, depth = 20) { return this._notSupported('getOrderBook'); }
+
+  async getFundingRate(symbol) { return this._notSupported('getFundingRate'); }
+
+  async getBalance(currency = 'USDT') { return this._notSupported('getBalance'); }
+
+  async getPositions() { return this._notSupported('getPositions'); }
+
+  /** @returns {Promise<Object>} position or null when flat */
+  async getPosition(symbol) { return this._notSupported('getPosition'); }
+
+  async setLeverage(symbol, leverage) { return this._notSupported('setLeverage'); }
+
+  /**
+   * @param {Object} params - { symbol, side: 'buy'|'sell', type: 'market'|'limit', size, price,
+   *   leverage, clientOid, reduceOnly, closeOrder, timeInForce, postOnly }
+   * @returns {Promise<Object>} { orderId, clientOid }
+   */
+  async placeOrder(params) { return this._notSupported('placeOrder'); }
+
+  async cancelOrder(orderId) { return this._notSupported('cancelOrder'); }
+
+  async cancelAllOrders(symbol = null) { return this._notSupported('cancelAllOrders'); }
+
+  async getOrder(orderId) { return this._notSupported('getOrder'); }
+
+  async getOpenOrders(symbol = null) { return this._notSupported('getOpenOrders'); }
+
+  /**
+   * @param {Object} params - { symbol, side, size, stop: 'up'|'down', stopPrice, stopPriceType,
+   *   type: 'market'|'limit', price, leverage, clientOid, reduceOnly, closeOrder }
+   * @returns {Promise<Object>} { orderId, clientOid }
+   */
+  async placeStopOrder(params) { return this._notSupported('placeStopOrder'); }
+
+  async cancelStopOrder(orderId) { return this._notSupported('cancelStopOrder'); }
+
+  async cancelAllStopOrders(symbol = null) { return this._notSupported('cancelAllStopOrders'); }
+
+  async getStopOrders(symbol = null) { return this._notSupported('getStopOrders'); }
+
+  /**
+   * @param {Object} options - { private: boolean }
+   * @returns {Promise<Object>} { token, endpoint, pingInterval }
+   */
+  async getWebSocketToken(options = {}) { return this._notSupported('getWebSocketToken'); }
+}
+
+ExchangeAdapter.METHODS = METHODS;
+
+module.exports = ExchangeAdapter;
@@ -0,0 +1,546 @@
+/**
+ * KuCoin Futures Adapter
+ *
+ * The one place KuCoin REST requests are signed, throttled and retried.
+ *
+ * request() is the low-level escape hatch (returns the unwrapped `data` field);
+ * the ExchangeAdapter methods return normalized shapes.
+ *
+ * Signing (API key version 2):
+ *   KC-API-SIGN       = base64(HMAC-SHA256(secret, timestamp + METHOD + endpoint + body))
+ *   KC-API-PASSPHRASE = base64(HMAC-SHA256(secret, passphrase))
+ * where endpoint includes the query string.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const ExchangeAdapter = require('./ExchangeAdapter');
+
+const KUCOIN_FUTURES_REST = 'https://api-futures.kucoin.com';
+
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN']);
+
+// Only these are resent; a POST that timed out may already have been accepted
+const RETRYABLE_METHODS = new Set(['GET', 'DELETE']);
+
+const num = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+/**
+ * KuCoin mixes ms and ns timestamps
+ */
+function toMillis(ts) {
+  let value = Number(ts);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  while (value > 1e13) value /= 1000;
+  return Math.floor(value);
+}
+
+/**
+ * Parse a limitCandle (candle.stick) push: candles = [startSec, open, close, high, low, volume, turnover]
+ */
+function parseWsCandle(data) {
+  const [start, open, close, high, low, volume] = data.candles;
+  return {
+    ts: Number(start) * 1000,
+    open: parseFloat(open),
+    high: parseFloat(high),
+    low: parseFloat(low),
+    close: parseFloat(close),
+    volume: parseFloat(volume)
+  };
+}
+
+// Public push subjects journaled as market data (SessionJournal input types)
+const MARKET_DATA_SUBJECTS = {
+  tickerV2: 'TICKER',
+  level2: 'BOOK',
+  'funding.rate': 'FUNDING'
+};
+
+/**
+ * Topics carrying the TICKER, BOOK and FUNDING pushes for a symbol
+ */
+function marketDataTopics(symbol) {
+  return [
+    `/contractMarket/tickerV2:${symbol}`,
+    `/contractMarket/level2:${symbol}`,
+    `/contract/instrument:${symbol}`
+  ];
+}
+
+/**
+ * Classify a market-data push for TradingEngineV3.recordMarketData()
+ * @returns {{type: string, symbol: string, data: Object}|null} null for other messages
+ */
+function parseWsMarketData(message) {
+  const type = MARKET_DATA_SUBJECTS[message.subject];
+  if (!type || message.type !== 'message' || !message.data) return null;
+
+  const symbol = message.data.symbol || String(message.topic || '').split(':')[1];
+  return symbol ? { type, symbol, data: message.data } : null;
+}
+
+class KuCoinAdapter extends ExchangeAdapter {
+  /**
+   * @param {Object} config
+   * @param {string} config.apiKey - Defaults to KUCOIN_API_KEY
+   * @param {string} config.apiSecret - Defaults to KUCOIN_API_SECRET
+   * @param {string} config.apiPassphrase - Defaults to KUCOIN_API_PASSPHRASE
+   * @param {string} config.apiVersion - '2' encrypts the passphrase (default)
+   * @param {string} config.baseUrl - REST base URL (defaults to KUCOIN_FUTURES_REST, then production)
+   * @param {number} config.timeoutMs - Request timeout
+   * @param {number} config.minIntervalMs - Minimum spacing between requests
+   * @param {number} config.retryAttempts - Retries for 429 / 5xx / network errors
+   * @param {number} config.retryDelayMs - Base delay, doubled per retry
+   * @param {Function} config.onRetry - (attempt, delayMs, error) hook for callers that log elsewhere
+   * @param {Function} config.clock - Time source for request timestamps
+   */
+  constructor(config = {}) {
+    super({ name: 'kucoin' });
+
+    this.apiKey = config.apiKey !== undefined ? config.apiKey : process.env.KUCOIN_API_KEY;
+    this.apiSecret = config.apiSecret !== undefined ? config.apiSecret : process.env.KUCOIN_API_SECRET;
+    this.apiPassphrase = config.apiPassphrase !== undefined ? config.apiPassphrase : process.env.KUCOIN_API_PASSPHRASE;
+    this.apiVersion = String(config.apiVersion || process.env.KUCOIN_API_VERSION || '2');
+    this.baseUrl = config.baseUrl || process.env.KUCOIN_FUTURES_REST || KUCOIN_FUTURES_REST;
+
+    this.timeoutMs = config.timeoutMs || 10000;
+    this.minIntervalMs = config.minIntervalMs !== undefined ? config.minIntervalMs : 100;
+    this.retryAttempts = config.retryAttempts !== undefined ? config.retryAttempts : 2;
+    this.retryDelayMs = config.retryDelayMs || 500;
+    this.onRetry = config.onRetry || null;
+    this.clock = config.clock || (() => Date.now());
+
+    this.lastRequest = 0;
+    this.leverage = new Map();
+  }
+
+  hasCredentials() {
+    return Boolean(this.apiKey && this.apiSecret && this.apiPassphrase);
+  }
+
+  /**
+   * Build signed headers for a request
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Path including query string
+   * @param {string} body - JSON body ('' for none)
+   */
+  signHeaders(method, endpoint, body = '') {
+    const timestamp = String(this.clock());
+    const signature = crypto
+      .createHmac('sha256', this.apiSecret)
+      .update(timestamp + method.toUpperCase() + endpoint + body)
+      .digest('base64');
+
+    const passphrase = this.apiVersion === '2'
+      ? crypto.createHmac('sha256', this.apiSecret).update(this.apiPassphrase).digest('base64')
+      : this.apiPassphrase;
+
+    return {
+      'KC-API-KEY': this.apiKey,
+      'KC-API-SIGN': signature,
+      'KC-API-TIMESTAMP': timestamp,
+      'KC-API-PASSPHRASE': passphrase,
+      'KC-API-KEY-VERSION': this.apiVersion,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Signed (or public) REST request
+   *
+   * GET and DELETE are retried on 429, 5xx and network errors. Other methods are
+   * sent once; when their outcome is unknown (timeout, 5xx) the error carries
+   * uncertain: true so callers can check the exchange before acting.
+   *
+   * @param {string} method - GET | POST | DELETE
+   * @param {string} endpoint - Path including query string
+   * @param {Object} data - JSON body
+   * @param {Object} options - { auth: false } for public endpoints
+   * @returns {Promise<Object>} { ok, value: response.data.data } or { ok: false, error: { code, message, status } }
+   */
+  async request(method, endpoint, data = null, options = {}) {
+    const auth = options.auth !== false;
+    if (auth && !this.hasCredentials()) {
+      return this._fail('NO_CREDENTIALS', 'API credentials not configured');
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this._throttle();
+
+      let error;
+      try {
+        const body = data ? JSON.stringify(data) : '';
+        const response = await axios({
+          method,
+          url: `${this.baseUrl}${endpoint}`,
+          headers: auth ? this.signHeaders(method, endpoint, body) : { 'Content-Type': 'application/json' },
+          data: data || undefined,
+          timeout: this.timeoutMs
+        });
+
+        const payload = response.data || {};
+        if (payload.code === '200000') {
+          return this._ok(payload.data);
+        }
+
+        error = { code: String(payload.code || 'API_ERROR'), message: payload.msg || 'API Error', retryable: payload.code === '429000' };
+      } catch (e) {
+        const status = e.response?.status;
+        error = {
+          code: e.response?.data?.code || (status === 429 ? '429000' : 'API_ERROR'),
+          message: e.response?.data?.msg || e.message,
+          status,
+          retryable: status === 429 || status >= 500 || RETRYABLE_NETWORK_CODES.has(e.code)
+        };
+      }
+
+      const canRetry = RETRYABLE_METHODS.has(method.toUpperCase());
+      if (!error.retryable || !canRetry || attempt >= this.retryAttempts) {
+        const { retryable, ...details } = error;
+        if (retryable && !canRetry && details.status !== 429) details.uncertain = true;
+        return { ok: false, error: details };
+      }
+
+      const delay = this.retryDelayMs * Math.pow(2, attempt);
+      if (this.onRetry) {
+        this.onRetry(attempt + 1, delay, error);
+      } else {
+        console.warn(`[KuCoinAdapter] Retry ${attempt + 1}/${this.retryAttempts} after ${delay}ms: ${method} ${endpoint} - ${error.message}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // ===========================================================================
+  // MARKET DATA
+  // ===========================================================================
+
+  async getServerTime() {
+    return this.request('GET', '/api/v1/timestamp', null, { auth: false });
+  }
+
+  async getContracts() {
+    const result = await this.request('GET', '/api/v1/contracts/active', null, { auth: false });
+    if (!result.ok) return result;
+    return this._ok(result.value.map(c => this._normalizeContract(c)));
+  }
+
+  async getContract(symbol) {
+    const result = await this.request('GET', `/api/v1/contracts/${symbol}`, null, { auth: false });
+    if (!result.ok) return result;
+    return this._ok(this._normalizeContract(result.value));
+  }
+
+  async getTicker(symbol) {
+    const result = await this.request('GET', `/api/v1/ticker?symbol=${symbol}`, null, { auth: false });
+    if (!result.ok) return result;
+
+    const t = result.value;
+    return this._ok({
+      symbol,
+      price: num(t.price),
+      bestBid: num(t.bestBidPrice),
+      bestAsk: num(t.bestAskPrice),
+      bestBidSize: num(t.bestBidSize),
+      bestAskSize: num(t.bestAskSize),
+      size: num(t.size),
+      ts: toMillis(t.ts) || this.clock()
+    });
+  }
+
+  async getKlines(symbol, granularity, range = {}) {
+    const to = range.to || this.clock();
+    const from = range.from || to - 200 * granularity * 60000;
+    const endpoint = `/api/v1/kline/query?symbol=${symbol}&granularity=${granularity}&from=${from}&to=${to}`;
+
+    const result = await this.request('GET', endpoint, null, { auth: false });
+    if (!result.ok) return result;
+
+    return this._ok((result.value || []).map(c => ({
+      ts: c[0],
+      open: parseFloat(c[1]),
+      high: parseFloat(c[2]),
+      low: parseFloat(c[3]),
+      close: parseFloat(c[4]),
+      volume: parseFloat(c[5])
+    })));
+  }
+
+  async getOrderBook(symbol, depth = 20) {
+    // Partial depth endpoints are cheaper than the full snapshot
+    const endpoint = depth <= 20
+      ? `/api/v1/level2/depth20?symbol=${symbol}`
+      : depth <= 100 ? `/api/v1/level2/depth100?symbol=${symbol}` : `/api/v1/level2/snapshot?symbol=${symbol}`;
+
+    const result = await this.request('GET', endpoint, null, { auth: false });
+    if (!result.ok) return result;
+
+    const level = ([price, size]) => ({ price: parseFloat(price), size: parseFloat(size) });
+    return this._ok({
+      symbol,
+      bids: (result.value.bids || []).slice(0, depth).map(level),
+      asks: (result.value.asks || []).slice(0, depth).map(level),
+      sequence: result.value.sequence,
+      ts: toMillis(result.value.ts) || this.clock()
+    });
+  }
+
+  async getFundingRate(symbol) {
+    const result = await this.request('GET', `/api/v1/funding-rate/${symbol}/current`, null, { auth: false });
+    if (!result.ok) return result;
+
+    const f = result.value;
+    return this._ok({
+      symbol,
+      rate: num(f.value),
+      predictedRate: num(f.predictedValue),
+      fundingTime: f.timePoint || null,
+      nextFundingTime: f.timePoint && f.granularity ? f.timePoint + f.granularity : null
+    });
+  }
+
+  async getWebSocketToken(options = {}) {
+    const result = options.private
+      ? await this.request('POST', '/api/v1/bullet-private')
+      : await this.request('POST', '/api/v1/bullet-public', null, { auth: false });
+    if (!result.ok) return result;
+
+    const server = result.value.instanceServers?.[0];
+    if (!server) return this._fail('NO_WS_SERVER', 'No WebSocket servers available');
+
+    return this._ok({
+      token: result.value.token,
+      endpoint: `${server.endpoint}?token=${result.value.token}`,
+      pingInterval: server.pingInterval || 18000
+    });
+  }
+
+  // ===========================================================================
+  // ACCOUNT
+  // ===========================================================================
+
+  async getBalance(currency = 'USDT') {
+    const result = await this.request('GET', `/api/v1/account-overview?currency=${currency}`);
+    if (!result.ok) return result;
+
+    const a = result.value;
+    return this._ok({
+      currency,
+      equity: num(a.accountEquity),
+      available: num(a.availableBalance),
+      marginBalance: num(a.marginBalance),
+      positionMargin: num(a.positionMargin),
+      orderMargin: num(a.orderMargin),
+      unrealisedPnl: num(a.unrealisedPNL)
+    });
+  }
+
+  async getPositions() {
+    const result = await this.request('GET', '/api/v1/positions');
+    if (!result.ok) return result;
+    return this._ok((result.value || []).filter(p => p.isOpen !== false && p.currentQty).map(p => this._normalizePosition(p)));
+  }
+
+  async getPosition(symbol) {
+    const result = await this.request('GET', `/api/v1/position?symbol=${symbol}`);
+    if (!result.ok) return result;
+    if (!result.value || !result.value.currentQty) return this._ok(null);
+    return this._ok(this._normalizePosition(result.value));
+  }
+
+  /**
+   * Leverage is set per order on isolated margin; remember it for orders that omit it
+   */
+  async setLeverage(symbol, leverage) {
+    this.leverage.set(symbol, leverage);
+    return this._ok({ symbol, leverage });
+  }
+
+  // ===========================================================================
+  // ORDERS
+  // ===========================================================================
+
+  async placeOrder(params) {
+    const order = this._buildOrder(params, 'bot');
+    if (!order.ok) return order;
+    return this._submitOrder(order.value);
+  }
+
+  async placeStopOrder(params) {
+    if (!params.stop || params.stopPrice === undefined) {
+      return this._fail('INVALID_ORDER', 'Stop orders require stop and stopPrice');
+    }
+    const order = this._buildOrder({ reduceOnly: true, ...params }, 'stop');
+    if (!order.ok) return order;
+    return this._submitOrder(order.value);
+  }
+
+  async cancelOrder(orderId) {
+    return this.request('DELETE', `/api/v1/orders/${orderId}`);
+  }
+
+  async cancelStopOrder(orderId) {
+    return this.request('DELETE', `/api/v1/orders/${orderId}`);
+  }
+
+  async cancelAllOrders(symbol = null) {
+    return this.request('DELETE', symbol ? `/api/v1/orders?symbol=${symbol}` : '/api/v1/orders');
+  }
+
+  async cancelAllStopOrders(symbol = null) {
+    return this.request('DELETE', symbol ? `/api/v1/stopOrders?symbol=${symbol}` : '/api/v1/stopOrders');
+  }
+
+  async getOrder(orderId) {
+    const result = await this.request('GET', `/api/v1/orders/${orderId}`);
+    if (!result.ok) return result;
+    return this._ok(this._normalizeOrder(result.value));
+  }
+
+  /**
+   * Look an order up by its clientOid
+   * @returns {Promise<Object>} { ok, value: order | null }
+   */
+  async getOrderByClientOid(clientOid) {
+    const result = await this.request('GET', `/api/v1/orders/byClientOid?clientOid=${encodeURIComponent(clientOid)}`);
+    if (!result.ok) return result;
+    return this._ok(result.value ? this._normalizeOrder(result.value) : null);
+  }
+
+  async getOpenOrders(symbol = null) {
+    const query = symbol ? `status=active&symbol=${symbol}` : 'status=active';
+    const result = await this.request('GET', `/api/v1/orders?${query}`);
+    if (!result.ok) return result;
+    return this._ok((result.value.items || []).map(o => this._normalizeOrder(o)));
+  }
+
+  async getStopOrders(symbol = null) {
+    const result = await this.request('GET', symbol ? `/api/v1/stopOrders?symbol=${symbol}` : '/api/v1/stopOrders');
+    if (!result.ok) return result;
+    return this._ok((result.value.items || []).map(o => this._normalizeOrder(o)));
+  }
+
+  // ===========================================================================
+  // HELPERS
+  // ===========================================================================
+
+  /**
+   * Send an order once. If the outcome is unknown the order is looked up by its
+   * clientOid; when it can't be found the original error is returned rather than
+   * resending, which could open a second position or stop.
+   */
+  async _submitOrder(order) {
+    const result = await this.request('POST', '/api/v1/orders', order);
+    if (result.ok || !result.error.uncertain) return result;
+
+    const lookup = await this.getOrderByClientOid(order.clientOid);
+    if (lookup.ok && lookup.value) {
+      return this._ok({ orderId: lookup.value.orderId, clientOid: order.clientOid });
+    }
+    return result;
+  }
+
+  _buildOrder(params, prefix) {
+    const { symbol, side, size } = params;
+    if (!symbol || (side !== 'buy' && side !== 'sell') || !(Number(size) > 0)) {
+      return this._fail('INVALID_ORDER', 'Orders require symbol, side (buy|sell) and a positive size');
+    }
+
+    const type = params.type || 'market';
+    if (type === 'limit' && params.price === undefined) {
+      return this._fail('INVALID_ORDER', 'Limit orders require a price');
+    }
+
+    const leverage = params.leverage || this.leverage.get(symbol);
+    const order = {
+      clientOid: params.clientOid || `${prefix}_${this.clock()}_${Math.random().toString(36).slice(2, 8)}`,
+      symbol,
+      side,
+      type,
+      size: String(size),
+      leverage: leverage ? String(leverage) : undefined,
+      price: type === 'limit' ? String(params.price) : undefined,
+      timeInForce: type === 'limit' ? (params.timeInForce || 'GTC') : undefined,
+      postOnly: params.postOnly || undefined,
+      reduceOnly: params.reduceOnly || undefined,
+      closeOrder: params.closeOrder || undefined,
+      stop: params.stop,
+      stopPrice: params.stopPrice !== undefined ? String(params.stopPrice) : undefined,
+      stopPriceType: params.stop ? (params.stopPriceType || 'TP') : undefined
+    };
+
+    Object.keys(order).forEach(key => order[key] === undefined && delete order[key]);
+    return this._ok(order);
+  }
+
+  _normalizeContract(c) {
+    return {
+      symbol: c.symbol,
+      baseCurrency: c.baseCurrency,
+      quoteCurrency: c.quoteCurrency,
+      multiplier: num(c.multiplier),
+      tickSize: num(c.tickSize),
+      lotSize: num(c.lotSize),
+      maxLeverage: num(c.maxLeverage),
+      makerFee: num(c.makerFeeRate),
+      takerFee: num(c.takerFeeRate),
+      maintMarginRate: num(c.maintainMargin),
+      status: c.status,
+      turnover24h: num(c.turnoverOf24h)
+    };
+  }
+
+  _normalizeOrder(o) {
+    return {
+      orderId: o.id || o.orderId,
+      clientOid: o.clientOid,
+      symbol: o.symbol,
+      side: o.side,
+      type: o.type,
+      price: num(o.price),
+      size: num(o.size),
+      filledSize: num(o.filledSize !== undefined ? o.filledSize : o.dealSize) || 0,
+      status: o.isActive ? 'open' : (o.cancelExist ? 'cancelled' : (o.status || 'done')),
+      stop: o.stop || null,
+      stopPrice: num(o.stopPrice),
+      reduceOnly: Boolean(o.reduceOnly),
+      closeOrder: Boolean(o.closeOrder),
+      leverage: num(o.leverage),
+      createdAt: o.createdAt || null
+    };
+  }
+
+  _normalizePosition(p) {
+    const qty = parseFloat(p.currentQty);
+    return {
+      symbol: p.symbol,
+      side: qty > 0 ? 'long' : 'short',
+      size: Math.abs(qty),
+      entryPrice: num(p.avgEntryPrice),
+      markPrice: num(p.markPrice),
+      leverage: num(p.realLeverage || p.leverage),
+      margin: num(p.posMargin),
+      unrealisedPnl: num(p.unrealisedPnl),
+      realisedPnl: num(p.realisedPnl),
+      liquidationPrice: num(p.liquidationPrice)
+    };
+  }
+
+  async _throttle() {
+    const elapsed = Date.now() - this.lastRequest;
+    if (elapsed < this.minIntervalMs) {
+      await new Promise(resolve => setTimeout(resolve, this.minIntervalMs - elapsed));
+    }
+    this.lastRequest = Date.now();
+  }
+}
+
+KuCoinAdapter.BASE_URL = KUCOIN_FUTURES_REST;
+KuCoinAdapter.toMillis = toMillis;
+KuCoinAdapter.parseWsCandle = parseWsCandle;
+KuCoinAdapter.marketDataTopics = marketDataTopics;
+KuCoinAdapter.parseWsMarketData = parseWsMarketData;
+
+module.exports = KuCoinAdapter;
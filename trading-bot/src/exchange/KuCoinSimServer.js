@@ -0,0 +1,1106 @@
+/**
+ * KuCoin Futures Simulation Server
+ *
+ * Local HTTP + WebSocket server speaking the KuCoin Futures wire format, so
+ * DataAgent, ScreenerEngine, scripts/start-live-trading.js and the recorder
+ * run end-to-end with only KUCOIN_FUTURES_REST pointed at it.
+ *
+ * Orders are matched by SimulatedExchange. Market data is synthetic (seeded
+ * random walk) or replayed from recorded candles; recorded bars are re-timed
+ * so the last history bar closes at the server start time.
+ *
+ * REST (envelope { code: '200000', data }):
+ *   public  timestamp, status, contracts, ticker, level2 snapshot/depth20/depth100,
+ *           kline/query, funding-rate, bullet-public
+ *   private bullet-private, account-overview, position(s), orders, stopOrders,
+ *           risk-limit / auto-deposit stubs
+ *
+ * WebSocket topics:
+ *   /contractMarket/limitCandle:{symbol}_{tf}   candle.stick
+ *   /contractMarket/tickerV2:{symbol}           tickerV2
+ *   /contractMarket/ticker:{symbol}             ticker
+ *   /contractMarket/execution:{symbol}          match
+ *   /contractMarket/level2:{symbol}             level2
+ *   /contract/instrument:{symbol}               mark.index.price, funding.rate
+ *   /contractMarket/tradeOrders[:{symbol}]      orderChange            (private)
+ *   /contract/position:{symbol}                 position.change        (private)
+ *   /contractAccount/wallet                     availableBalance.change (private)
+ *
+ * Errors follow KuCoin codes: 400001-400005 auth, 400100 parameters,
+ * 404000 unknown URL, 429000 rate limit (HTTP 429), 300003 balance.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const SimulatedExchange = require('./SimulatedExchange');
+const CandleRepository = require('../data/CandleRepository');
+const { createRng, gaussian } = require('../../research/optimize/rng');
+
+const FUNDING_INTERVAL_MS = 8 * 60 * 60 * 1000;
+const TIMESTAMP_TOLERANCE_MS = 5000;
+
+// Closest KuCoin codes for SimulatedExchange failures
+const EXCHANGE_ERROR_CODES = {
+  INSUFFICIENT_BALANCE: '300003',
+  INVALID_ORDER: '400100',
+  INVALID_LEVERAGE: '400100',
+  ORDER_NOT_FOUND: '100004',
+  ORDER_NOT_ACTIVE: '100004',
+  NO_PRICE: '300000'
+};
+
+class ApiError extends Error {
+  constructor(code, message, status = 200) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const ns = (ms) => ms * 1e6;
+
+function decimalsOf(step) {
+  const text = String(step);
+  if (text.includes('e-')) return parseInt(text.split('e-')[1], 10);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+class KuCoinSimServer extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.symbols - Contracts to serve (defaults to keys of candles)
+   * @param {string} options.host - Bind address
+   * @param {number} options.port - Port (0 picks a free one)
+   * @param {number} options.intervalMs - Length of one market step / base candle
+   * @param {number} options.startTime - Market time of the first live bar (default: now, bar-aligned)
+   * @param {number} options.historyBars - Bars available to kline queries before the first step
+   * @param {Object} options.candles - Recorded candles per symbol { SYM: [{ open, high, low, close, volume }] }
+   * @param {Object} options.prices - Synthetic start prices per symbol
+   * @param {number} options.volatility - Synthetic per-bar log-return stdev
+   * @param {number} options.seed - RNG seed for synthetic bars, trades and book sizes
+   * @param {number} options.tickMs - Advance one bar every tickMs of wall time (null = manual step())
+   * @param {number} options.bookDepth - Levels per book side
+   * @param {number} options.tradesPerBar - Execution messages per step
+   * @param {number} options.fundingRate - Funding rate published and settled every 8h
+   * @param {Object} options.credentials - { apiKey, apiSecret, apiPassphrase, apiVersion }; null skips signature checks
+   * @param {Object|boolean} options.rateLimit - { capacity, refillPerSec } token bucket, false disables
+   * @param {Object} options.contracts - Contract overrides passed to SimulatedExchange
+   * @param {SimulatedExchange} options.exchange - Matching engine (created from balance/fees when omitted)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.intervalMs = options.intervalMs || 60 * 1000;
+    this.historyBars = options.historyBars !== undefined ? options.historyBars : 500;
+    this.startTime = options.startTime || Math.floor(Date.now() / this.intervalMs) * this.intervalMs;
+    this.tickMs = options.tickMs || null;
+    this.bookDepth = options.bookDepth || 20;
+    this.tradesPerBar = options.tradesPerBar || 4;
+    this.volatility = options.volatility || 0.002;
+    this.fundingRate = options.fundingRate !== undefined ? options.fundingRate : 0.0001;
+    this.credentials = options.credentials || null;
+    this.rateLimit = options.rateLimit === false ? null : { capacity: 60, refillPerSec: 20, ...options.rateLimit };
+    this.rng = createRng(options.seed !== undefined ? options.seed : 1);
+
+    const recorded = options.candles || {};
+    this.symbols = options.symbols || Object.keys(recorded);
+    if (this.symbols.length === 0) this.symbols = ['XBTUSDTM'];
+
+    this.now = this.startTime;
+    this.exchange = options.exchange || new SimulatedExchange({
+      balance: options.balance !== undefined ? options.balance : 10000,
+      makerFee: options.makerFee,
+      takerFee: options.takerFee,
+      contracts: options.contracts,
+      clock: () => this.now
+    });
+
+    this.market = new Map();
+    for (const symbol of this.symbols) {
+      this._initMarket(symbol, recorded[symbol], (options.prices || {})[symbol]);
+    }
+
+    this.tokens = new Map();      // token -> { private }
+    this.clients = new Set();
+    this.faults = [];
+    this.bucket = this.rateLimit ? { tokens: this.rateLimit.capacity, lastRefill: Date.now() } : null;
+    this.stats = { requests: 0, rejected: 0, messages: 0, steps: 0 };
+
+    this.server = null;
+    this.wss = null;
+    this.timer = null;
+    this.routes = this._buildRoutes();
+  }
+
+  // ===========================================================================
+  // LIFECYCLE
+  // ===========================================================================
+
+  /**
+   * @returns {Promise<Object>} { restBase, wsEndpoint }
+   */
+  start() {
+    this.server = http.createServer((req, res) => this._handleHttp(req, res));
+    this.wss = new WebSocket.Server({ server: this.server, path: '/endpoint' });
+    this.wss.on('connection', (ws, req) => this._handleConnection(ws, req));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        if (this.tickMs) {
+          this.timer = setInterval(() => this.step(), this.tickMs);
+        }
+        console.log(`[KuCoinSim] Listening on ${this.restBase} (${this.symbols.join(', ')})`);
+        resolve({ restBase: this.restBase, wsEndpoint: this.wsEndpoint });
+      });
+    });
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    for (const ws of this.clients) ws.terminate();
+    this.clients.clear();
+
+    if (this.wss) await new Promise(resolve => this.wss.close(resolve));
+    if (this.server) await new Promise(resolve => this.server.close(resolve));
+    this.wss = null;
+    this.server = null;
+  }
+
+  get restBase() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  get wsEndpoint() {
+    return `ws://${this.host}:${this.port}/endpoint`;
+  }
+
+  /**
+   * Make the next matching request(s) fail
+   * @param {Object} fault - { method, path, status, code, msg, times }
+   */
+  injectFault(fault) {
+    this.faults.push({ status: 500, code: '500000', msg: 'Internal Server Error', times: 1, ...fault });
+  }
+
+  // ===========================================================================
+  // MARKET
+  // ===========================================================================
+
+  /**
+   * Advance the market by one bar per symbol
+   * @param {number} count - Bars to advance
+   */
+  step(count = 1) {
+    for (let i = 0; i < count; i++) {
+      const ts = this.now;
+      this.now += this.intervalMs;
+
+      for (const symbol of this.symbols) {
+        this._advance(symbol, ts);
+      }
+      this.stats.steps++;
+      this.emit('step', { ts, now: this.now });
+    }
+  }
+
+  getBars(symbol) {
+    return this.market.get(symbol)?.bars || [];
+  }
+
+  _initMarket(symbol, recorded, startPrice) {
+    const state = {
+      bars: [],
+      queue: [],
+      price: startPrice || 100,
+      tick: 0.01,
+      sequence: 1,
+      tradeId: 1,
+      book: { bids: new Map(), asks: new Map() }
+    };
+    this.market.set(symbol, state);
+
+    // Recorded bars: the first historyBars become history, the rest are replayed by step()
+    if (recorded && recorded.length > 0) {
+      const historyCount = Math.min(this.historyBars, recorded.length - 1);
+      state.queue = recorded.slice(historyCount).map(c => ({ ...c }));
+      const history = recorded.slice(0, historyCount);
+      history.forEach((c, i) => {
+        state.bars.push(this._bar(this.startTime - (historyCount - i) * this.intervalMs, c));
+      });
+      state.price = (history.length > 0 ? history[history.length - 1].close : recorded[0].open);
+    }
+
+    const contract = this.exchange._contract(symbol);
+    state.tick = this.exchange.contracts.has(symbol)
+      ? contract.tickSize
+      : Math.pow(10, Math.floor(Math.log10(state.price)) - 4);
+    if (!this.exchange.contracts.has(symbol)) {
+      this.exchange.contracts.set(symbol, { ...contract, symbol, tickSize: state.tick });
+    }
+
+    // Synthetic history walks backwards from the start price
+    if (state.bars.length === 0 && this.historyBars > 0) {
+      let close = state.price;
+      const back = [];
+      for (let i = 1; i <= this.historyBars; i++) {
+        const bar = this._syntheticBar(symbol, close, this.startTime - i * this.intervalMs);
+        // Reverse the bar so it ends where the later one begins
+        back.push({ ...bar, open: bar.close, close: bar.open });
+        close = bar.close;
+      }
+      state.bars = back.reverse();
+      state.price = state.bars[state.bars.length - 1].close;
+    }
+
+    this.exchange.loadCandles(symbol, state.bars);
+    this.exchange.setPrice(symbol, state.price);
+    this.exchange.setFundingRate(symbol, {
+      rate: this.fundingRate,
+      nextFundingTime: Math.ceil((this.startTime + 1) / FUNDING_INTERVAL_MS) * FUNDING_INTERVAL_MS
+    });
+    this._rebuildBook(symbol, false);
+  }
+
+  _advance(symbol, ts) {
+    const state = this.market.get(symbol);
+    const source = state.queue.shift();
+    const bar = source ? this._bar(ts, source) : this._syntheticBar(symbol, state.price, ts);
+
+    state.bars.push(bar);
+    if (state.bars.length > Math.max(this.historyBars, 1000) * 2) state.bars.shift();
+
+    const fillCount = this.exchange.fills.length;
+    this.exchange.pushCandle(symbol, { ...bar, intervalMs: this.intervalMs });
+    state.price = bar.close;
+
+    this._publishTrades(symbol, bar);
+    this._rebuildBook(symbol, true);
+    this._publishTicker(symbol);
+    this._publishCandles(symbol, bar);
+    this._publishInstrument(symbol);
+    this._publishAccount(symbol, fillCount).catch(error => console.error('[KuCoinSim] Account update failed:', error.message));
+  }
+
+  _bar(ts, c) {
+    return {
+      ts,
+      open: +c.open,
+      high: +c.high,
+      low: +c.low,
+      close: +c.close,
+      volume: +(c.volume || 0)
+    };
+  }
+
+  _syntheticBar(symbol, open, ts) {
+    const close = this._round(symbol, open * Math.exp(gaussian(this.rng) * this.volatility));
+    const high = this._round(symbol, Math.max(open, close) * (1 + Math.abs(gaussian(this.rng)) * this.volatility / 2));
+    const low = this._round(symbol, Math.min(open, close) * (1 - Math.abs(gaussian(this.rng)) * this.volatility / 2));
+    const volume = Math.round(500 + this.rng() * 1500);
+    return { ts, open, high, low, close, volume };
+  }
+
+  _round(symbol, price) {
+    const tick = this.market.get(symbol).tick;
+    return Number((Math.round(price / tick) * tick).toFixed(decimalsOf(tick)));
+  }
+
+  /**
+   * Rebuild the book around the last price and publish level2 changes
+   */
+  _rebuildBook(symbol, publish) {
+    const state = this.market.get(symbol);
+    const tick = state.tick;
+    const levelStep = tick * Math.max(1, Math.round(state.price * 0.0001 / tick));
+    const bestBid = this._round(symbol, state.price - tick / 2);
+    const bestAsk = this._round(symbol, Math.max(bestBid + tick, state.price + tick / 2));
+
+    const next = { bids: new Map(), asks: new Map() };
+    for (let i = 0; i < this.bookDepth; i++) {
+      next.bids.set(this._round(symbol, bestBid - i * levelStep), Math.round(50 + this.rng() * 950));
+      next.asks.set(this._round(symbol, bestAsk + i * levelStep), Math.round(50 + this.rng() * 950));
+    }
+
+    if (publish) {
+      for (const [sideName, wireSide] of [['bids', 'buy'], ['asks', 'sell']]) {
+        const before = state.book[sideName];
+        const after = next[sideName];
+        for (const price of before.keys()) {
+          if (!after.has(price)) this._publishLevel2(symbol, price, wireSide, 0);
+        }
+        for (const [price, size] of after) {
+          if (before.get(price) !== size) this._publishLevel2(symbol, price, wireSide, size);
+        }
+      }
+    }
+
+    state.book = next;
+    this.exchange.setOrderBook(symbol, this._bookLevels(symbol));
+  }
+
+  _bookLevels(symbol, depth = this.bookDepth) {
+    const { book } = this.market.get(symbol);
+    return {
+      bids: [...book.bids].sort((a, b) => b[0] - a[0]).slice(0, depth),
+      asks: [...book.asks].sort((a, b) => a[0] - b[0]).slice(0, depth)
+    };
+  }
+
+  /**
+   * Candle for a timeframe covering ts, built from base bars (partial while in progress)
+   */
+  _candleAt(symbol, timeframe, ts) {
+    const tfMs = CandleRepository.timeframeToMs(timeframe);
+    const bucket = Math.floor(ts / tfMs) * tfMs;
+    const bars = this.getBars(symbol).filter(b => b.ts >= bucket && b.ts < bucket + tfMs);
+    if (bars.length === 0) return null;
+
+    return {
+      ts: bucket,
+      open: bars[0].open,
+      high: Math.max(...bars.map(b => b.high)),
+      low: Math.min(...bars.map(b => b.low)),
+      close: bars[bars.length - 1].close,
+      volume: bars.reduce((sum, b) => sum + b.volume, 0)
+    };
+  }
+
+  // ===========================================================================
+  // WEBSOCKET
+  // ===========================================================================
+
+  _handleConnection(ws, req) {
+    const url = new URL(req.url, this.restBase);
+    const token = url.searchParams.get('token');
+    const connectId = url.searchParams.get('connectId') || String(Date.now());
+    const session = this.tokens.get(token);
+
+    if (!session) {
+      ws.send(JSON.stringify({ id: connectId, type: 'error', code: 401, data: 'token is invalid' }));
+      ws.close(4001, 'token is invalid');
+      return;
+    }
+
+    ws.subscriptions = new Set();
+    ws.isPrivate = session.private;
+    this.clients.add(ws);
+
+    ws.on('message', (raw) => this._handleWsMessage(ws, raw));
+    ws.on('close', () => this.clients.delete(ws));
+    ws.on('error', () => this.clients.delete(ws));
+
+    ws.send(JSON.stringify({ id: connectId, type: 'welcome' }));
+  }
+
+  _handleWsMessage(ws, raw) {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch {
+      ws.send(JSON.stringify({ type: 'error', code: 400, data: 'malformed message' }));
+      return;
+    }
+
+    switch (msg.type) {
+      case 'ping':
+        ws.send(JSON.stringify({ id: msg.id, type: 'pong', timestamp: Date.now() }));
+        return;
+      case 'subscribe':
+      case 'unsubscribe': {
+        const topics = this._expandTopic(msg.topic);
+        if (!topics) {
+          ws.send(JSON.stringify({ id: msg.id, type: 'error', code: 404, data: `topic ${msg.topic} is not found` }));
+          return;
+        }
+        if (msg.type === 'subscribe' && topics.some(t => this._isPrivateTopic(t)) && !ws.isPrivate) {
+          ws.send(JSON.stringify({ id: msg.id, type: 'error', code: 401, data: 'private topic requires a private token' }));
+          return;
+        }
+        for (const topic of topics) {
+          if (msg.type === 'subscribe') ws.subscriptions.add(topic);
+          else ws.subscriptions.delete(topic);
+        }
+        if (msg.response) ws.send(JSON.stringify({ id: msg.id, type: 'ack' }));
+        return;
+      }
+      default:
+        ws.send(JSON.stringify({ id: msg.id, type: 'error', code: 400, data: `unknown message type ${msg.type}` }));
+    }
+  }
+
+  /**
+   * Split "prefix:A,B" into one topic per symbol; null for unknown prefixes
+   */
+  _expandTopic(topic) {
+    if (typeof topic !== 'string') return null;
+
+    const [prefix, targets] = topic.split(':');
+    const known = [
+      '/contractMarket/limitCandle', '/contractMarket/tickerV2', '/contractMarket/ticker',
+      '/contractMarket/execution', '/contractMarket/level2', '/contract/instrument',
+      '/contractMarket/tradeOrders', '/contract/position', '/contractAccount/wallet'
+    ];
+    if (!known.includes(prefix)) return null;
+    if (targets === undefined) return [prefix];
+
+    return targets.split(',').map(target => `${prefix}:${target}`);
+  }
+
+  _isPrivateTopic(topic) {
+    return topic.startsWith('/contractMarket/tradeOrders') ||
+      topic.startsWith('/contract/position') ||
+      topic.startsWith('/contractAccount/wallet');
+  }
+
+  _publish(topic, subject, data) {
+    const privateChannel = this._isPrivateTopic(topic);
+    let payload = null;
+
+    for (const ws of this.clients) {
+      if (!ws.subscriptions.has(topic) || ws.readyState !== WebSocket.OPEN) continue;
+      payload = payload || JSON.stringify({
+        type: 'message',
+        topic,
+        subject,
+        data,
+        ...(privateChannel ? { channelType: 'private', userId: 'sim' } : {})
+      });
+      ws.send(payload);
+      this.stats.messages++;
+    }
+  }
+
+  _hasSubscribers(prefix) {
+    for (const ws of this.clients) {
+      for (const topic of ws.subscriptions) {
+        if (topic.startsWith(prefix)) return true;
+      }
+    }
+    return false;
+  }
+
+  _publishTrades(symbol, bar) {
+    if (!this._hasSubscribers(`/contractMarket/execution:${symbol}`)) return;
+
+    const state = this.market.get(symbol);
+    const up = bar.close >= bar.open;
+    // Path: open -> low/high -> high/low -> close
+    const path = up ? [bar.open, bar.low, bar.high, bar.close] : [bar.open, bar.high, bar.low, bar.close];
+    const tradeTs = (i) => bar.ts + Math.floor((i + 1) * this.intervalMs / (this.tradesPerBar + 1));
+
+    let prev = bar.open;
+    for (let i = 0; i < this.tradesPerBar; i++) {
+      const t = this.tradesPerBar === 1 ? 1 : i / (this.tradesPerBar - 1);
+      const segment = Math.min(2, Math.floor(t * 3));
+      const price = this._round(symbol, path[segment] + (path[segment + 1] - path[segment]) * (t * 3 - segment));
+
+      this._publish(`/contractMarket/execution:${symbol}`, 'match', {
+        symbol,
+        sequence: state.tradeId,
+        side: price >= prev ? 'buy' : 'sell',
+        size: Math.max(1, Math.round(bar.volume / this.tradesPerBar)),
+        price: String(price),
+        takerOrderId: `sim-taker-${state.tradeId}`,
+        makerOrderId: `sim-maker-${state.tradeId}`,
+        tradeId: String(state.tradeId++),
+        ts: ns(tradeTs(i))
+      });
+      prev = price;
+    }
+  }
+
+  _publishLevel2(symbol, price, side, size) {
+    const state = this.market.get(symbol);
+    state.sequence++;
+    this._publish(`/contractMarket/level2:${symbol}`, 'level2', {
+      sequence: state.sequence,
+      change: `${price},${side},${size}`,
+      timestamp: this.now
+    });
+  }
+
+  _publishTicker(symbol) {
+    const state = this.market.get(symbol);
+    const book = this._bookLevels(symbol, 1);
+    const top = {
+      bestBidPrice: String(book.bids[0][0]),
+      bestBidSize: book.bids[0][1],
+      bestAskPrice: String(book.asks[0][0]),
+      bestAskSize: book.asks[0][1]
+    };
+
+    this._publish(`/contractMarket/tickerV2:${symbol}`, 'tickerV2', {
+      symbol, sequence: state.sequence, ...top, ts: ns(this.now)
+    });
+    this._publish(`/contractMarket/ticker:${symbol}`, 'ticker', {
+      symbol, sequence: state.sequence, side: 'buy', price: String(state.price), size: 1,
+      tradeId: String(state.tradeId), ...top, ts: ns(this.now)
+    });
+  }
+
+  _publishCandles(symbol, bar) {
+    const prefix = `/contractMarket/limitCandle:${symbol}_`;
+    const timeframes = new Set();
+    for (const ws of this.clients) {
+      for (const topic of ws.subscriptions) {
+        if (topic.startsWith(prefix)) timeframes.add(topic.slice(prefix.length));
+      }
+    }
+
+    for (const tf of timeframes) {
+      let tfMs;
+      try {
+        tfMs = CandleRepository.timeframeToMs(tf);
+      } catch {
+        continue;
+      }
+
+      const wire = (c) => ({
+        symbol,
+        candles: [String(c.ts / 1000), String(c.open), String(c.close), String(c.high), String(c.low),
+          String(c.volume), String(c.volume * c.close)],
+        time: this.now
+      });
+
+      const candle = this._candleAt(symbol, tf, bar.ts);
+      if (candle) this._publish(`${prefix}${tf}`, 'candle.stick', wire(candle));
+
+      // A bar that completes its bucket is followed by the first tick of the next one
+      if (this.now % tfMs === 0) {
+        const price = bar.close;
+        this._publish(`${prefix}${tf}`, 'candle.stick', wire({
+          ts: this.now, open: price, high: price, low: price, close: price, volume: 0
+        }));
+      }
+    }
+  }
+
+  _publishInstrument(symbol) {
+    const state = this.market.get(symbol);
+    const topic = `/contract/instrument:${symbol}`;
+    this._publish(topic, 'mark.index.price', {
+      granularity: 1000,
+      indexPrice: state.price,
+      markPrice: state.price,
+      timestamp: this.now
+    });
+    this._publish(topic, 'funding.rate', {
+      granularity: 60000,
+      fundingRate: this.fundingRate,
+      timestamp: this.now
+    });
+  }
+
+  /**
+   * Private channel updates for fills since fillCount
+   */
+  async _publishAccount(symbol, fillCount) {
+    const fills = this.exchange.fills.slice(fillCount);
+    if (fills.length === 0) return;
+
+    for (const fill of fills) {
+      if (!fill.orderId) continue;
+      const order = this.exchange.orders.get(fill.orderId);
+      this._publishOrderChange(order, 'match', { matchPrice: fill.price, matchSize: fill.size });
+      if (order.status === 'done') this._publishOrderChange(order, 'filled');
+    }
+
+    this._publishPosition(symbol);
+    await this._publishWallet();
+  }
+
+  _publishOrderChange(order, type, extra = {}) {
+    const data = {
+      orderId: order.orderId,
+      symbol: order.symbol,
+      type,
+      status: order.status === 'open' ? 'open' : 'done',
+      orderType: order.type,
+      side: order.side,
+      price: order.price !== null ? String(order.price) : '0',
+      size: String(order.size),
+      remainSize: String(order.size - order.filledSize),
+      filledSize: String(order.filledSize),
+      canceledSize: order.status === 'cancelled' ? String(order.size - order.filledSize) : '0',
+      clientOid: order.clientOid,
+      orderTime: ns(order.createdAt),
+      ts: ns(this.now),
+      ...(extra.matchPrice !== undefined ? { matchPrice: String(extra.matchPrice), matchSize: String(extra.matchSize) } : {})
+    };
+
+    this._publish('/contractMarket/tradeOrders', 'orderChange', data);
+    this._publish(`/contractMarket/tradeOrders:${order.symbol}`, 'orderChange', data);
+  }
+
+  _publishPosition(symbol) {
+    const wire = this._positionWire(symbol);
+    this._publish(`/contract/position:${symbol}`, 'position.change', { ...wire, currentTimestamp: this.now });
+  }
+
+  async _publishWallet() {
+    const balance = (await this.exchange.getBalance()).value;
+    this._publish('/contractAccount/wallet', 'availableBalance.change', {
+      availableBalance: String(balance.available),
+      holdBalance: String(balance.orderMargin),
+      currency: balance.currency,
+      timestamp: String(this.now)
+    });
+  }
+
+  // ===========================================================================
+  // HTTP
+  // ===========================================================================
+
+  _handleHttp(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      this.stats.requests++;
+      const url = new URL(req.url, this.restBase);
+
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      try {
+        const fault = this._takeFault(req.method, url.pathname);
+        if (fault) throw new ApiError(fault.code, fault.msg, fault.status);
+
+        if (!this._consumeRateLimit()) {
+          this.stats.rejected++;
+          throw new ApiError('429000', 'Too Many Requests', 429);
+        }
+
+        const route = this._matchRoute(req.method, url.pathname);
+        if (!route) throw new ApiError('404000', 'Url Not Found', 404);
+
+        if (route.auth) this._authenticate(req, body);
+
+        let data = null;
+        if (body) {
+          try {
+            data = JSON.parse(body);
+          } catch {
+            throw new ApiError('400100', 'Invalid JSON body', 400);
+          }
+        }
+
+        const query = Object.fromEntries(url.searchParams);
+        const value = await route.handler({ params: route.params, query, body: data || {} });
+        send(200, { code: '200000', data: value });
+      } catch (error) {
+        if (error instanceof ApiError) {
+          send(error.status, { code: error.code, msg: error.message });
+        } else {
+          console.error('[KuCoinSim] Handler error:', error.message);
+          send(500, { code: '500000', msg: error.message });
+        }
+      }
+    });
+  }
+
+  _takeFault(method, pathname) {
+    const index = this.faults.findIndex(f =>
+      (!f.method || f.method === method) && (!f.path || f.path === pathname));
+    if (index === -1) return null;
+
+    const fault = this.faults[index];
+    if (--fault.times <= 0) this.faults.splice(index, 1);
+    return fault;
+  }
+
+  _consumeRateLimit() {
+    if (!this.bucket) return true;
+
+    const now = Date.now();
+    const refill = ((now - this.bucket.lastRefill) / 1000) * this.rateLimit.refillPerSec;
+    this.bucket.tokens = Math.min(this.rateLimit.capacity, this.bucket.tokens + refill);
+    this.bucket.lastRefill = now;
+
+    if (this.bucket.tokens < 1) return false;
+    this.bucket.tokens--;
+    return true;
+  }
+
+  _authenticate(req, body) {
+    const key = req.headers['kc-api-key'];
+    const sign = req.headers['kc-api-sign'];
+    const timestamp = req.headers['kc-api-timestamp'];
+    const passphrase = req.headers['kc-api-passphrase'];
+
+    if (!key || !sign || !timestamp || !passphrase) {
+      throw new ApiError('400001', 'Please check the header of your request for KC-API-KEY, KC-API-SIGN, KC-API-TIMESTAMP, KC-API-PASSPHRASE', 401);
+    }
+    if (!this.credentials) return;
+
+    const { apiKey, apiSecret, apiPassphrase } = this.credentials;
+    if (key !== apiKey) throw new ApiError('400003', 'KC-API-KEY not exists', 401);
+
+    if (Math.abs(Date.now() - Number(timestamp)) > TIMESTAMP_TOLERANCE_MS) {
+      throw new ApiError('400002', 'KC-API-TIMESTAMP Invalid', 401);
+    }
+
+    const version = String(req.headers['kc-api-key-version'] || this.credentials.apiVersion || '2');
+    const expectedPassphrase = version === '2'
+      ? crypto.createHmac('sha256', apiSecret).update(apiPassphrase).digest('base64')
+      : apiPassphrase;
+    if (passphrase !== expectedPassphrase) throw new ApiError('400004', 'Invalid KC-API-PASSPHRASE', 401);
+
+    const expectedSign = crypto.createHmac('sha256', apiSecret)
+      .update(timestamp + req.method + req.url + body)
+      .digest('base64');
+    if (sign !== expectedSign) throw new ApiError('400005', 'Invalid KC-API-SIGN', 401);
+  }
+
+  _matchRoute(method, pathname) {
+    for (const route of this.routes) {
+      if (route.method !== method) continue;
+      const match = route.pattern.exec(pathname);
+      if (match) return { ...route, params: match.slice(1) };
+    }
+    return null;
+  }
+
+  _buildRoutes() {
+    const route = (method, path, handler, auth = false) => ({
+      method,
+      pattern: new RegExp(`^${path.replace(/:\w+/g, '([^/]+)')}$`),
+      handler: handler.bind(this),
+      auth
+    });
+
+    return [
+      // Public
+      route('GET', '/api/v1/timestamp', () => Date.now()),
+      route('GET', '/api/v1/status', () => ({ status: 'open', msg: '' })),
+      route('GET', '/api/v1/contracts/active', () => this.symbols.map(s => this._contractWire(s))),
+      route('GET', '/api/v1/contracts/:symbol', ({ params }) => this._contractWire(this._requireSymbol(params[0]))),
+      route('GET', '/api/v1/ticker', ({ query }) => this._tickerWire(this._requireSymbol(query.symbol))),
+      route('GET', '/api/v1/level2/snapshot', ({ query }) => this._bookWire(this._requireSymbol(query.symbol))),
+      route('GET', '/api/v1/level2/depth20', ({ query }) => this._bookWire(this._requireSymbol(query.symbol), 20)),
+      route('GET', '/api/v1/level2/depth100', ({ query }) => this._bookWire(this._requireSymbol(query.symbol), 100)),
+      route('GET', '/api/v1/kline/query', ({ query }) => this._klines(query)),
+      route('GET', '/api/v1/funding-rate/:symbol/current', ({ params }) => this._fundingWire(this._requireSymbol(params[0]))),
+      route('POST', '/api/v1/bullet-public', () => this._issueToken(false)),
+
+      // Private
+      route('POST', '/api/v1/bullet-private', () => this._issueToken(true), true),
+      route('GET', '/api/v1/account-overview', ({ query }) => this._accountWire(query.currency), true),
+      route('GET', '/api/v1/positions', () => this._positions(), true),
+      route('GET', '/api/v1/position', ({ query }) => this._positionWire(this._requireSymbol(query.symbol)), true),
+      route('POST', '/api/v1/position/risk-limit-level/change', () => true, true),
+      route('POST', '/api/v1/position/margin/auto-deposit-status', () => true, true),
+      route('POST', '/api/v1/orders', ({ body }) => this._placeOrder(body), true),
+      route('GET', '/api/v1/orders', ({ query }) => this._listOrders(query, false), true),
+      route('DELETE', '/api/v1/orders', ({ query }) => this._cancelAll(query.symbol, false), true),
+      route('GET', '/api/v1/orders/byClientOid', ({ query }) => this._orderByClientOid(query.clientOid), true),
+      route('GET', '/api/v1/orders/:orderId', ({ params }) => this._orderDetail(params[0]), true),
+      route('DELETE', '/api/v1/orders/:orderId', ({ params }) => this._cancelOrder(params[0]), true),
+      route('GET', '/api/v1/stopOrders', ({ query }) => this._listOrders({ ...query, status: 'active' }, true), true),
+      route('DELETE', '/api/v1/stopOrders', ({ query }) => this._cancelAll(query.symbol, true), true)
+    ];
+  }
+
+  // ===========================================================================
+  // REST HANDLERS
+  // ===========================================================================
+
+  _requireSymbol(symbol) {
+    if (!symbol) throw new ApiError('400100', 'symbol is required', 400);
+    if (!this.market.has(symbol)) throw new ApiError('400100', `Contract ${symbol} does not exist`, 400);
+    return symbol;
+  }
+
+  _issueToken(isPrivate) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    this.tokens.set(token, { private: isPrivate });
+    return {
+      token,
+      instanceServers: [{
+        endpoint: this.wsEndpoint,
+        encrypt: false,
+        protocol: 'websocket',
+        pingInterval: 18000,
+        pingTimeout: 10000
+      }]
+    };
+  }
+
+  _contractWire(symbol) {
+    const spec = this.exchange._contract(symbol);
+    const state = this.market.get(symbol);
+    const turnover = state.bars.slice(-Math.ceil(86400000 / this.intervalMs))
+      .reduce((sum, b) => sum + b.volume * b.close * spec.multiplier, 0);
+
+    return {
+      symbol,
+      rootSymbol: 'USDT',
+      type: 'FFWCSX',
+      baseCurrency: spec.baseCurrency || symbol.replace(/USDTM$/, ''),
+      quoteCurrency: 'USDT',
+      settleCurrency: 'USDT',
+      multiplier: spec.multiplier,
+      tickSize: state.tick,
+      lotSize: spec.lotSize,
+      maxLeverage: spec.maxLeverage,
+      makerFeeRate: this.exchange.makerFee,
+      takerFeeRate: this.exchange.takerFee,
+      maintainMargin: spec.maintMarginRate,
+      status: 'Open',
+      lastTradePrice: state.price,
+      markPrice: state.price,
+      indexPrice: state.price,
+      fundingFeeRate: this.fundingRate,
+      predictedFundingFeeRate: this.fundingRate,
+      nextFundingRateTime: this.exchange.funding.get(symbol).nextFundingTime - this.now,
+      turnoverOf24h: turnover,
+      volumeOf24h: turnover / state.price
+    };
+  }
+
+  _tickerWire(symbol) {
+    const state = this.market.get(symbol);
+    const book = this._bookLevels(symbol, 1);
+    return {
+      sequence: state.sequence,
+      symbol,
+      side: 'buy',
+      size: 1,
+      price: String(state.price),
+      bestBidSize: book.bids[0][1],
+      bestBidPrice: String(book.bids[0][0]),
+      bestAskPrice: String(book.asks[0][0]),
+      bestAskSize: book.asks[0][1],
+      tradeId: String(state.tradeId),
+      ts: ns(this.now)
+    };
+  }
+
+  _bookWire(symbol, depth = this.bookDepth) {
+    const book = this._bookLevels(symbol, depth);
+    return {
+      symbol,
+      sequence: this.market.get(symbol).sequence,
+      bids: book.bids,
+      asks: book.asks,
+      ts: ns(this.now)
+    };
+  }
+
+  _klines(query) {
+    const symbol = this._requireSymbol(query.symbol);
+    const granularity = parseInt(query.granularity, 10);
+    let timeframe;
+    try {
+      timeframe = CandleRepository.normalizeTimeframe(granularity);
+    } catch {
+      throw new ApiError('400100', `Invalid granularity ${query.granularity}`, 400);
+    }
+
+    const tfMs = granularity * 60 * 1000;
+    if (tfMs < this.intervalMs) {
+      throw new ApiError('400100', `Granularity below the simulated ${this.intervalMs / 60000}min bar`, 400);
+    }
+
+    const from = query.from ? Number(query.from) : 0;
+    const to = query.to ? Number(query.to) : this.now;
+    const bars = this.getBars(symbol).filter(b => b.ts >= from - tfMs && b.ts <= to);
+    const candles = tfMs === this.intervalMs
+      ? bars
+      : CandleRepository.resample(bars, Math.round(this.intervalMs / 60000), timeframe, { allowPartial: true });
+
+    return candles
+      .filter(c => c.ts >= from && c.ts <= to)
+      .slice(-500)
+      .map(c => [c.ts, c.open, c.high, c.low, c.close, c.volume, c.volume * c.close]);
+  }
+
+  _fundingWire(symbol) {
+    const next = this.exchange.funding.get(symbol).nextFundingTime;
+    return {
+      symbol: `.${symbol}FPI8H`,
+      granularity: FUNDING_INTERVAL_MS,
+      timePoint: next - FUNDING_INTERVAL_MS,
+      value: this.fundingRate,
+      predictedValue: this.fundingRate
+    };
+  }
+
+  async _accountWire(currency = 'USDT') {
+    const b = (await this.exchange.getBalance(currency)).value;
+    return {
+      accountEquity: b.equity,
+      unrealisedPNL: b.unrealisedPnl,
+      marginBalance: b.marginBalance,
+      positionMargin: b.positionMargin,
+      orderMargin: b.orderMargin,
+      frozenFunds: 0,
+      availableBalance: b.available,
+      currency
+    };
+  }
+
+  _positionWire(symbol) {
+    const pos = this.exchange.positions.has(symbol) ? this.exchange._positionInfo(symbol) : null;
+    if (!pos) {
+      return { symbol, isOpen: false, currentQty: 0, realisedPnl: 0, unrealisedPnl: 0 };
+    }
+
+    const qty = pos.side === 'long' ? pos.size : -pos.size;
+    return {
+      id: `sim-pos-${symbol}`,
+      symbol,
+      isOpen: true,
+      crossMode: false,
+      currentQty: qty,
+      currentCost: qty * pos.entryPrice * this.exchange._contract(symbol).multiplier,
+      avgEntryPrice: pos.entryPrice,
+      markPrice: pos.markPrice,
+      markValue: qty * pos.markPrice * this.exchange._contract(symbol).multiplier,
+      realLeverage: pos.leverage,
+      leverage: pos.leverage,
+      posMargin: pos.margin,
+      unrealisedPnl: pos.unrealisedPnl,
+      realisedPnl: pos.realisedPnl,
+      liquidationPrice: pos.liquidationPrice,
+      settleCurrency: 'USDT'
+    };
+  }
+
+  _positions() {
+    return [...this.exchange.positions.keys()].map(symbol => this._positionWire(symbol));
+  }
+
+  async _placeOrder(body) {
+    if (!body.clientOid) throw new ApiError('400100', 'clientOid is required', 400);
+    this._requireSymbol(body.symbol);
+    if (body.side !== 'buy' && body.side !== 'sell') throw new ApiError('400100', 'side must be buy or sell', 400);
+
+    const params = {
+      clientOid: body.clientOid,
+      symbol: body.symbol,
+      side: body.side,
+      type: body.type || 'limit',
+      size: body.size !== undefined ? Number(body.size) : undefined,
+      price: body.price !== undefined ? Number(body.price) : undefined,
+      leverage: body.leverage !== undefined ? Number(body.leverage) : undefined,
+      reduceOnly: body.reduceOnly === true || body.reduceOnly === 'true',
+      closeOrder: body.closeOrder === true || body.closeOrder === 'true',
+      timeInForce: body.timeInForce,
+      stop: body.stop,
+      stopPrice: body.stopPrice !== undefined ? Number(body.stopPrice) : undefined
+    };
+
+    const fillCount = this.exchange.fills.length;
+    const result = body.stop
+      ? await this.exchange.placeStopOrder(params)
+      : await this.exchange.placeOrder(params);
+
+    if (!result.ok) {
+      throw new ApiError(EXCHANGE_ERROR_CODES[result.error.code] || '300000', result.error.message);
+    }
+
+    const order = this.exchange.orders.get(result.value.orderId);
+    if (order.status === 'open') {
+      this._publishOrderChange(order, 'open');
+    } else if (order.status === 'cancelled') {
+      this._publishOrderChange(order, 'canceled');
+    }
+    await this._publishAccount(body.symbol, fillCount);
+
+    return { orderId: result.value.orderId, clientOid: result.value.clientOid };
+  }
+
+  _orderWire(order) {
+    return {
+      id: order.orderId,
+      clientOid: order.clientOid,
+      symbol: order.symbol,
+      type: order.type,
+      side: order.side,
+      price: order.price !== null ? String(order.price) : null,
+      size: order.size,
+      value: String(order.size * (order.avgFillPrice || order.price || 0)),
+      filledSize: order.filledSize,
+      dealSize: order.filledSize,
+      dealValue: String(order.filledSize * (order.avgFillPrice || 0)),
+      stop: order.stop || '',
+      stopPriceType: order.stop ? 'TP' : '',
+      stopTriggered: Boolean(order.triggeredAt),
+      stopPrice: order.stopPrice !== null ? String(order.stopPrice) : null,
+      leverage: String(order.leverage),
+      reduceOnly: order.reduceOnly,
+      closeOrder: order.closeOrder,
+      isActive: order.status === 'open',
+      cancelExist: order.status === 'cancelled',
+      status: order.status === 'open' ? 'open' : 'done',
+      settleCurrency: 'USDT',
+      createdAt: order.createdAt,
+      updatedAt: this.now
+    };
+  }
+
+  _orderByClientOid(clientOid) {
+    for (const order of this.exchange.orders.values()) {
+      if (order.clientOid === clientOid) return this._orderWire(order);
+    }
+    return null;
+  }
+
+  _orderDetail(orderId) {
+    const order = this.exchange.orders.get(orderId);
+    if (!order) throw new ApiError('100004', 'The order does not exist', 404);
+    return this._orderWire(order);
+  }
+
+  _listOrders(query, stops) {
+    const wanted = query.status || 'active';
+    const items = [...this.exchange.orders.values()]
+      .filter(o => Boolean(o.stop) === stops)
+      .filter(o => !query.symbol || o.symbol === query.symbol)
+      .filter(o => (wanted === 'active' ? o.status === 'open' : o.status !== 'open'))
+      .map(o => this._orderWire(o));
+
+    return { currentPage: 1, pageSize: items.length, totalNum: items.length, totalPage: 1, items };
+  }
+
+  async _cancelOrder(orderId) {
+    const order = this.exchange.orders.get(orderId);
+    if (!order) throw new ApiError('100004', 'The order does not exist', 404);
+
+    const result = order.stop
+      ? await this.exchange.cancelStopOrder(orderId)
+      : await this.exchange.cancelOrder(orderId);
+    if (!result.ok) throw new ApiError(EXCHANGE_ERROR_CODES[result.error.code] || '300000', result.error.message);
+
+    this._publishOrderChange(order, 'canceled');
+    return result.value;
+  }
+
+  async _cancelAll(symbol, stops) {
+    const result = stops
+      ? await this.exchange.cancelAllStopOrders(symbol || null)
+      : await this.exchange.cancelAllOrders(symbol || null);
+
+    for (const orderId of result.value.cancelledOrderIds) {
+      this._publishOrderChange(this.exchange.orders.get(orderId), 'canceled');
+    }
+    return result.value;
+  }
+}
+
+KuCoinSimServer.ApiError = ApiError;
+KuCoinSimServer.EXCHANGE_ERROR_CODES = EXCHANGE_ERROR_CODES;
+
+module.exports = KuCoinSimServer;
@@ -0,0 +1,700 @@
+/**
+ * Simulated Exchange
+ *
+ * In-process implementation of the ExchangeAdapter contract. Prices come from
+ * candles and order books pushed in by the caller; nothing touches the network.
+ *
+ * Matching model:
+ * - Market orders walk the order book when one is set, otherwise fill at the
+ *   last price plus/minus slippage (taker fee)
+ * - Marketable limit orders fill at once (taker); others rest and fill when a
+ *   pushed candle trades through the limit price (maker)
+ * - Stop orders trigger on candle high/low; a candle that opens past the stop
+ *   fills at the open (gap-through)
+ * - Positions are netted per symbol; PnL is realized on reduce
+ * - Funding settles when a pushed candle crosses the next funding time
+ */
+
+const Decimal = require('decimal.js');
+
+const ExchangeAdapter = require('./ExchangeAdapter');
+
+const FUNDING_INTERVAL_MS = 8 * 60 * 60 * 1000;
+
+const DEFAULT_CONTRACT = {
+  multiplier: 1,
+  tickSize: 0.0001,
+  lotSize: 1,
+  maxLeverage: 100,
+  maintMarginRate: 0.005
+};
+
+const toLevel = (level) => (Array.isArray(level)
+  ? { price: parseFloat(level[0]), size: parseFloat(level[1]) }
+  : { price: parseFloat(level.price), size: parseFloat(level.size) });
+
+class SimulatedExchange extends ExchangeAdapter {
+  /**
+   * @param {Object} config
+   * @param {number} config.balance - Starting wallet balance
+   * @param {string} config.currency - Settlement currency
+   * @param {number} config.makerFee - Fee rate for resting limit fills
+   * @param {number} config.takerFee - Fee rate for market / marketable fills
+   * @param {number} config.slippage - Fractional slippage for market fills without a book
+   * @param {number} config.defaultLeverage - Leverage when neither order nor setLeverage gives one
+   * @param {Object} config.contracts - Per-symbol overrides { multiplier, tickSize, lotSize, maxLeverage, ... }
+   * @param {Function} config.clock - Time source for order timestamps
+   */
+  constructor(config = {}) {
+    super({ name: 'simulated' });
+    this.simulated = true;
+
+    this.currency = config.currency || 'USDT';
+    this.makerFee = config.makerFee !== undefined ? config.makerFee : 0.0002;
+    this.takerFee = config.takerFee !== undefined ? config.takerFee : 0.0006;
+    this.slippage = config.slippage !== undefined ? config.slippage : 0.0005;
+    this.defaultLeverage = config.defaultLeverage || 10;
+    this.clock = config.clock || (() => Date.now());
+
+    this.contracts = new Map();
+    for (const [symbol, spec] of Object.entries(config.contracts || {})) {
+      this.contracts.set(symbol, { ...DEFAULT_CONTRACT, ...spec, symbol });
+    }
+
+    this.balance = new Decimal(config.balance !== undefined ? config.balance : 10000);
+    this.positions = new Map();   // symbol -> { qty (signed), entryPrice, leverage, margin, realisedPnl }
+    this.orders = new Map();      // orderId -> order (including stops)
+    this.leverage = new Map();
+    this.candles = new Map();
+    this.books = new Map();
+    this.funding = new Map();
+    this.lastPrice = new Map();
+    this.fills = [];
+    this.nextOrderId = 1;
+  }
+
+  // ===========================================================================
+  // MARKET DATA INPUT
+  // ===========================================================================
+
+  /**
+   * Seed kline history without triggering orders
+   */
+  loadCandles(symbol, candles) {
+    const normalized = candles.map(c => this._normalizeCandle(c));
+    this.candles.set(symbol, normalized);
+    if (normalized.length > 0) {
+      this.lastPrice.set(symbol, normalized[normalized.length - 1].close);
+    }
+  }
+
+  /**
+   * Advance the market by one candle: trigger stops, fill resting limits, settle funding
+   * @returns {Object[]} Fills produced by this candle
+   */
+  pushCandle(symbol, candle) {
+    const c = this._normalizeCandle(candle);
+    if (!this.candles.has(symbol)) this.candles.set(symbol, []);
+    this.candles.get(symbol).push(c);
+
+    const fillCount = this.fills.length;
+
+    for (const order of this._activeOrders(symbol)) {
+      if (order.stop) {
+        this._checkStop(order, c);
+      } else if (order.type === 'limit') {
+        this._checkLimit(order, c);
+      }
+    }
+
+    this.lastPrice.set(symbol, c.close);
+    this._settleFunding(symbol, c);
+
+    return this.fills.slice(fillCount);
+  }
+
+  /**
+   * @param {Object} book - { bids, asks } as [{ price, size }] or [[price, size]], best first
+   */
+  setOrderBook(symbol, book) {
+    this.books.set(symbol, {
+      bids: (book.bids || []).map(toLevel),
+      asks: (book.asks || []).map(toLevel)
+    });
+  }
+
+  /**
+   * @param {Object} funding - { rate, predictedRate, nextFundingTime }
+   */
+  setFundingRate(symbol, funding) {
+    this.funding.set(symbol, {
+      rate: funding.rate || 0,
+      predictedRate: funding.predictedRate !== undefined ? funding.predictedRate : funding.rate || 0,
+      nextFundingTime: funding.nextFundingTime || null
+    });
+  }
+
+  setPrice(symbol, price) {
+    this.lastPrice.set(symbol, price);
+  }
+
+  // ===========================================================================
+  // MARKET DATA
+  // ===========================================================================
+
+  async getServerTime() {
+    return this._ok(this.clock());
+  }
+
+  async getContracts() {
+    const symbols = new Set([...this.contracts.keys(), ...this.lastPrice.keys()]);
+    return this._ok([...symbols].map(symbol => this._contractInfo(symbol)));
+  }
+
+  async getContract(symbol) {
+    return this._ok(this._contractInfo(symbol));
+  }
+
+  async getTicker(symbol) {
+    const price = this.lastPrice.get(symbol);
+    if (price === undefined) return this._fail('NO_PRICE', `No market data for ${symbol}`);
+
+    const book = this._book(symbol);
+    return this._ok({
+      symbol,
+      price,
+      bestBid: book.bids[0].price,
+      bestAsk: book.asks[0].price,
+      bestBidSize: book.bids[0].size,
+      bestAskSize: book.asks[0].size,
+      size: 0,
+      ts: this.clock()
+    });
+  }
+
+  /**
+   * Candles are returned at the interval they were loaded; granularity is not resampled
+   */
+  async getKlines(symbol, granularity, range = {}) {
+    const candles = this.candles.get(symbol) || [];
+    const from = range.from || 0;
+    const to = range.to || Infinity;
+    return this._ok(candles.filter(c => c.ts >= from && c.ts <= to).map(c => ({ ...c })));
+  }
+
+  async getOrderBook(symbol, depth = 20) {
+    if (!this.lastPrice.has(symbol) && !this.books.has(symbol)) {
+      return this._fail('NO_PRICE', `No market data for ${symbol}`);
+    }
+
+    const book = this._book(symbol, depth);
+    return this._ok({
+      symbol,
+      bids: book.bids.slice(0, depth).map(l => ({ ...l })),
+      asks: book.asks.slice(0, depth).map(l => ({ ...l })),
+      sequence: null,
+      ts: this.clock()
+    });
+  }
+
+  async getFundingRate(symbol) {
+    const funding = this.funding.get(symbol) || { rate: 0, predictedRate: 0, nextFundingTime: null };
+    return this._ok({
+      symbol,
+      rate: funding.rate,
+      predictedRate: funding.predictedRate,
+      fundingTime: funding.nextFundingTime ? funding.nextFundingTime - FUNDING_INTERVAL_MS : null,
+      nextFundingTime: funding.nextFundingTime
+    });
+  }
+
+  // ===========================================================================
+  // ACCOUNT
+  // ===========================================================================
+
+  async getBalance(currency = this.currency) {
+    let positionMargin = new Decimal(0);
+    let unrealised = new Decimal(0);
+    for (const [symbol, pos] of this.positions) {
+      positionMargin = positionMargin.plus(pos.margin);
+      unrealised = unrealised.plus(this._unrealised(symbol, pos));
+    }
+
+    let orderMargin = new Decimal(0);
+    for (const order of this._activeOrders()) {
+      if (!order.stop && order.type === 'limit' && !order.reduceOnly && !order.closeOrder) {
+        orderMargin = orderMargin.plus(this._requiredMargin(order.symbol, order.size, order.price, order.leverage));
+      }
+    }
+
+    return this._ok({
+      currency,
+      equity: this.balance.plus(unrealised).toNumber(),
+      available: this.balance.minus(positionMargin).minus(orderMargin).toNumber(),
+      marginBalance: this.balance.toNumber(),
+      positionMargin: positionMargin.toNumber(),
+      orderMargin: orderMargin.toNumber(),
+      unrealisedPnl: unrealised.toNumber()
+    });
+  }
+
+  async getPositions() {
+    return this._ok([...this.positions.keys()].map(symbol => this._positionInfo(symbol)));
+  }
+
+  async getPosition(symbol) {
+    return this._ok(this.positions.has(symbol) ? this._positionInfo(symbol) : null);
+  }
+
+  async setLeverage(symbol, leverage) {
+    const max = this._contract(symbol).maxLeverage;
+    if (!(leverage > 0) || leverage > max) {
+      return this._fail('INVALID_LEVERAGE', `Leverage must be between 1 and ${max}`);
+    }
+    this.leverage.set(symbol, leverage);
+    return this._ok({ symbol, leverage });
+  }
+
+  // ===========================================================================
+  // ORDERS
+  // ===========================================================================
+
+  async placeOrder(params) {
+    const order = this._createOrder(params);
+    if (!order.ok) return order;
+    return this._submit(order.value);
+  }
+
+  async placeStopOrder(params) {
+    if ((params.stop !== 'up' && params.stop !== 'down') || !(params.stopPrice > 0)) {
+      return this._fail('INVALID_ORDER', "Stop orders require stop ('up'|'down') and stopPrice");
+    }
+
+    const order = this._createOrder({ reduceOnly: true, ...params });
+    if (!order.ok) return order;
+
+    this.orders.set(order.value.orderId, order.value);
+    return this._ok({ orderId: order.value.orderId, clientOid: order.value.clientOid });
+  }
+
+  async cancelOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order || order.stop) return this._fail('ORDER_NOT_FOUND', `Order ${orderId} not found`);
+    if (order.status !== 'open') return this._fail('ORDER_NOT_ACTIVE', `Order ${orderId} is ${order.status}`);
+
+    order.status = 'cancelled';
+    return this._ok({ cancelledOrderIds: [orderId] });
+  }
+
+  async cancelStopOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order || !order.stop) return this._fail('ORDER_NOT_FOUND', `Stop order ${orderId} not found`);
+    if (order.status !== 'open') return this._fail('ORDER_NOT_ACTIVE', `Stop order ${orderId} is ${order.status}`);
+
+    order.status = 'cancelled';
+    return this._ok({ cancelledOrderIds: [orderId] });
+  }
+
+  async cancelAllOrders(symbol = null) {
+    return this._cancelWhere(order => !order.stop && (!symbol || order.symbol === symbol));
+  }
+
+  async cancelAllStopOrders(symbol = null) {
+    return this._cancelWhere(order => order.stop && (!symbol || order.symbol === symbol));
+  }
+
+  async getOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) return this._fail('ORDER_NOT_FOUND', `Order ${orderId} not found`);
+    return this._ok({ ...order });
+  }
+
+  async getOpenOrders(symbol = null) {
+    return this._ok(this._activeOrders(symbol).filter(o => !o.stop).map(o => ({ ...o })));
+  }
+
+  async getStopOrders(symbol = null) {
+    return this._ok(this._activeOrders(symbol).filter(o => o.stop).map(o => ({ ...o })));
+  }
+
+  // ===========================================================================
+  // MATCHING
+  // ===========================================================================
+
+  _createOrder(params) {
+    const { symbol, side } = params;
+    const size = Number(params.size);
+    const type = params.type || 'market';
+
+    if (!symbol || (side !== 'buy' && side !== 'sell')) {
+      return this._fail('INVALID_ORDER', 'Orders require symbol and side (buy|sell)');
+    }
+    if (!params.closeOrder && !(size > 0)) {
+      return this._fail('INVALID_ORDER', 'Order size must be positive');
+    }
+    if (type === 'limit' && !(params.price > 0)) {
+      return this._fail('INVALID_ORDER', 'Limit orders require a price');
+    }
+
+    const orderId = `sim-${this.nextOrderId++}`;
+    return this._ok({
+      orderId,
+      clientOid: params.clientOid || orderId,
+      symbol,
+      side,
+      type,
+      price: type === 'limit' ? Number(params.price) : null,
+      size: size || 0,
+      filledSize: 0,
+      avgFillPrice: null,
+      status: 'open',
+      stop: params.stop || null,
+      stopPrice: params.stopPrice !== undefined ? Number(params.stopPrice) : null,
+      reduceOnly: Boolean(params.reduceOnly),
+      closeOrder: Boolean(params.closeOrder),
+      leverage: Number(params.leverage) || this.leverage.get(symbol) || this.defaultLeverage,
+      createdAt: this.clock()
+    });
+  }
+
+  /**
+   * Match a new (or newly triggered) order against the current market
+   */
+  _submit(order, triggerPrice = null) {
+    this.orders.set(order.orderId, order);
+
+    const size = this._executableSize(order);
+    if (size <= 0) {
+      order.status = 'cancelled';
+      order.cancelReason = 'no position to reduce';
+      return this._ok({ orderId: order.orderId, clientOid: order.clientOid });
+    }
+    order.size = size;
+
+    let price;
+    let liquidity = 'taker';
+    if (triggerPrice !== null && order.type === 'market') {
+      price = triggerPrice;
+    } else if (order.type === 'market') {
+      price = this._marketPrice(order.symbol, order.side, size);
+    } else {
+      const book = this._book(order.symbol);
+      const marketable = order.side === 'buy'
+        ? book.asks.length > 0 && order.price >= book.asks[0].price
+        : book.bids.length > 0 && order.price <= book.bids[0].price;
+      if (marketable) {
+        price = order.side === 'buy' ? Math.min(order.price, book.asks[0].price) : Math.max(order.price, book.bids[0].price);
+      } else {
+        liquidity = 'maker';
+      }
+    }
+
+    if (price === null || price === undefined) {
+      if (order.type === 'market') {
+        order.status = 'cancelled';
+        return this._fail('NO_PRICE', `No market data for ${order.symbol}`);
+      }
+    }
+
+    const marginCheck = this._checkMargin(order, price !== undefined && price !== null ? price : order.price);
+    if (!marginCheck.ok) {
+      order.status = 'rejected';
+      return marginCheck;
+    }
+
+    if (liquidity === 'taker') {
+      this._fill(order, price, 'taker');
+    }
+
+    return this._ok({ orderId: order.orderId, clientOid: order.clientOid });
+  }
+
+  _executableSize(order) {
+    const pos = this.positions.get(order.symbol);
+    const reducing = pos && ((pos.qty > 0 && order.side === 'sell') || (pos.qty < 0 && order.side === 'buy'));
+
+    if (order.closeOrder) return reducing ? Math.abs(pos.qty) : 0;
+    if (order.reduceOnly) return reducing ? Math.min(order.size, Math.abs(pos.qty)) : 0;
+    return order.size;
+  }
+
+  _checkMargin(order, price) {
+    if (order.reduceOnly || order.closeOrder) return this._ok(null);
+
+    const pos = this.positions.get(order.symbol);
+    const signed = order.side === 'buy' ? order.size : -order.size;
+    const current = pos ? pos.qty : 0;
+    const opening = Math.max(0, Math.abs(current + signed) - Math.abs(current));
+    if (opening === 0) return this._ok(null);
+
+    const required = this._requiredMargin(order.symbol, opening, price, order.leverage)
+      .plus(this._notional(order.symbol, opening, price).mul(this.takerFee));
+
+    let positionMargin = new Decimal(0);
+    for (const p of this.positions.values()) positionMargin = positionMargin.plus(p.margin);
+    const available = this.balance.minus(positionMargin);
+
+    if (required.gt(available)) {
+      return this._fail('INSUFFICIENT_BALANCE', `Requires ${required.toFixed(2)} ${this.currency}, available ${available.toFixed(2)}`);
+    }
+    return this._ok(null);
+  }
+
+  _fill(order, price, liquidity) {
+    const { symbol, side, size } = order;
+    const feeRate = liquidity === 'maker' ? this.makerFee : this.takerFee;
+    const fee = this._notional(symbol, size, price).mul(feeRate);
+    const multiplier = this._contract(symbol).multiplier;
+
+    let pos = this.positions.get(symbol);
+    let remaining = side === 'buy' ? size : -size;
+    let realised = new Decimal(0);
+
+    // Reduce the opposite side first
+    if (pos && Math.sign(pos.qty) !== Math.sign(remaining)) {
+      const closing = Math.min(Math.abs(pos.qty), Math.abs(remaining));
+      const direction = pos.qty > 0 ? 1 : -1;
+      realised = new Decimal(price).minus(pos.entryPrice).mul(closing).mul(multiplier).mul(direction);
+
+      const released = new Decimal(pos.margin).mul(closing).div(Math.abs(pos.qty));
+      pos.margin = new Decimal(pos.margin).minus(released).toNumber();
+      pos.qty -= direction * closing;
+      pos.realisedPnl = new Decimal(pos.realisedPnl).plus(realised).toNumber();
+      remaining += direction * closing;
+
+      if (pos.qty === 0) {
+        this.positions.delete(symbol);
+        pos = null;
+      }
+    }
+
+    // Open or add with the remainder
+    if (remaining !== 0) {
+      const margin = this._requiredMargin(symbol, Math.abs(remaining), price, order.leverage);
+      if (!pos) {
+        pos = { qty: 0, entryPrice: price, leverage: order.leverage, margin: 0, realisedPnl: 0, openedAt: this.clock() };
+        this.positions.set(symbol, pos);
+      }
+      const totalQty = Math.abs(pos.qty) + Math.abs(remaining);
+      pos.entryPrice = new Decimal(pos.entryPrice).mul(Math.abs(pos.qty))
+        .plus(new Decimal(price).mul(Math.abs(remaining))).div(totalQty).toNumber();
+      pos.qty += remaining;
+      pos.margin = new Decimal(pos.margin).plus(margin).toNumber();
+    }
+
+    if (pos) pos.realisedPnl = new Decimal(pos.realisedPnl).minus(fee).toNumber();
+    this.balance = this.balance.plus(realised).minus(fee);
+
+    order.filledSize = size;
+    order.avgFillPrice = price;
+    order.status = 'done';
+
+    const fill = {
+      orderId: order.orderId,
+      symbol,
+      side,
+      size,
+      price,
+      fee: fee.toNumber(),
+      liquidity,
+      realisedPnl: realised.toNumber(),
+      ts: this.clock()
+    };
+    this.fills.push(fill);
+    return fill;
+  }
+
+  _checkStop(order, candle) {
+    let fillPrice = null;
+    if (order.stop === 'down' && candle.low <= order.stopPrice) {
+      fillPrice = Math.min(candle.open, order.stopPrice);
+    } else if (order.stop === 'up' && candle.high >= order.stopPrice) {
+      fillPrice = Math.max(candle.open, order.stopPrice);
+    }
+    if (fillPrice === null) return;
+
+    order.triggeredAt = this.clock();
+    if (order.type === 'limit') {
+      // Triggered stop-limits become ordinary resting limits
+      order.stop = null;
+      this._submit(order);
+    } else {
+      this._submit(order, fillPrice);
+    }
+  }
+
+  _checkLimit(order, candle) {
+    let fillPrice = null;
+    if (order.side === 'buy' && candle.low <= order.price) {
+      fillPrice = Math.min(candle.open, order.price);
+    } else if (order.side === 'sell' && candle.high >= order.price) {
+      fillPrice = Math.max(candle.open, order.price);
+    }
+    if (fillPrice === null) return;
+
+    const size = this._executableSize(order);
+    if (size <= 0) {
+      order.status = 'cancelled';
+      order.cancelReason = 'no position to reduce';
+      return;
+    }
+    order.size = size;
+    this._fill(order, fillPrice, 'maker');
+  }
+
+  _settleFunding(symbol, candle) {
+    const funding = this.funding.get(symbol);
+    if (!funding || !funding.nextFundingTime) return;
+
+    const candleEnd = candle.ts + (candle.intervalMs || 0);
+    while (funding.nextFundingTime <= candleEnd) {
+      const pos = this.positions.get(symbol);
+      if (pos && funding.rate) {
+        // Positive rate: longs pay shorts
+        const payment = this._notional(symbol, Math.abs(pos.qty), candle.close).mul(funding.rate).mul(Math.sign(pos.qty));
+        this.balance = this.balance.minus(payment);
+        pos.realisedPnl = new Decimal(pos.realisedPnl).minus(payment).toNumber();
+        this.fills.push({
+          orderId: null, symbol, side: 'funding', size: Math.abs(pos.qty), price: candle.close,
+          fee: payment.toNumber(), liquidity: 'funding', realisedPnl: 0, ts: funding.nextFundingTime
+        });
+      }
+      funding.nextFundingTime += FUNDING_INTERVAL_MS;
+    }
+  }
+
+  _marketPrice(symbol, side, size) {
+    const book = this.books.get(symbol);
+    if (book) {
+      const levels = side === 'buy' ? book.asks : book.bids;
+      let remaining = size;
+      let cost = new Decimal(0);
+      for (const level of levels) {
+        const take = Math.min(remaining, level.size);
+        cost = cost.plus(new Decimal(level.price).mul(take));
+        remaining -= take;
+        if (remaining <= 0) break;
+      }
+      if (levels.length > 0) {
+        // Anything beyond visible depth fills at the worst visible level
+        if (remaining > 0) cost = cost.plus(new Decimal(levels[levels.length - 1].price).mul(remaining));
+        return cost.div(size).toNumber();
+      }
+    }
+
+    const last = this.lastPrice.get(symbol);
+    if (last === undefined) return null;
+    return side === 'buy' ? last * (1 + this.slippage) : last * (1 - this.slippage);
+  }
+
+  // ===========================================================================
+  // HELPERS
+  // ===========================================================================
+
+  _book(symbol, depth = 20) {
+    if (this.books.has(symbol)) return this.books.get(symbol);
+
+    // Synthetic book: one tick-sized step per level around the last price
+    const last = this.lastPrice.get(symbol);
+    if (last === undefined) return { bids: [], asks: [] };
+    const step = Math.max(this._contract(symbol).tickSize, last * 0.0001);
+    const half = last * this.slippage;
+    return {
+      bids: Array.from({ length: depth }, (_, i) => ({ price: last - half - step * i, size: 1000 })),
+      asks: Array.from({ length: depth }, (_, i) => ({ price: last + half + step * i, size: 1000 }))
+    };
+  }
+
+  _activeOrders(symbol = null) {
+    return [...this.orders.values()].filter(o => o.status === 'open' && (!symbol || o.symbol === symbol));
+  }
+
+  _cancelWhere(predicate) {
+    const cancelledOrderIds = [];
+    for (const order of this._activeOrders()) {
+      if (predicate(order)) {
+        order.status = 'cancelled';
+        cancelledOrderIds.push(order.orderId);
+      }
+    }
+    return this._ok({ cancelledOrderIds });
+  }
+
+  _contract(symbol) {
+    return this.contracts.get(symbol) || DEFAULT_CONTRACT;
+  }
+
+  _contractInfo(symbol) {
+    const spec = this._contract(symbol);
+    return {
+      symbol,
+      baseCurrency: spec.baseCurrency || symbol.replace(/USDTM$|USDM$/, ''),
+      quoteCurrency: this.currency,
+      multiplier: spec.multiplier,
+      tickSize: spec.tickSize,
+      lotSize: spec.lotSize,
+      maxLeverage: spec.maxLeverage,
+      makerFee: this.makerFee,
+      takerFee: this.takerFee,
+      maintMarginRate: spec.maintMarginRate,
+      status: 'Open',
+      turnover24h: spec.turnover24h || 0
+    };
+  }
+
+  _notional(symbol, size, price) {
+    return new Decimal(size).mul(this._contract(symbol).multiplier).mul(price);
+  }
+
+  _requiredMargin(symbol, size, price, leverage) {
+    return this._notional(symbol, size, price).div(leverage || this.defaultLeverage);
+  }
+
+  _unrealised(symbol, pos) {
+    const price = this.lastPrice.get(symbol);
+    if (price === undefined) return new Decimal(0);
+    return new Decimal(price).minus(pos.entryPrice).mul(pos.qty).mul(this._contract(symbol).multiplier);
+  }
+
+  _positionInfo(symbol) {
+    const pos = this.positions.get(symbol);
+    const spec = this._contract(symbol);
+    const size = Math.abs(pos.qty);
+    const direction = pos.qty > 0 ? 1 : -1;
+    // Isolated margin: liquidation where loss eats margin down to maintenance
+    const buffer = new Decimal(pos.margin).div(new Decimal(size).mul(spec.multiplier));
+    const maintenance = new Decimal(pos.entryPrice).mul(spec.maintMarginRate);
+
+    return {
+      symbol,
+      side: pos.qty > 0 ? 'long' : 'short',
+      size,
+      entryPrice: pos.entryPrice,
+      markPrice: this.lastPrice.get(symbol) ?? pos.entryPrice,
+      leverage: pos.leverage,
+      margin: pos.margin,
+      unrealisedPnl: this._unrealised(symbol, pos).toNumber(),
+      realisedPnl: pos.realisedPnl,
+      liquidationPrice: new Decimal(pos.entryPrice).minus(buffer.minus(maintenance).mul(direction)).toNumber()
+    };
+  }
+
+  _normalizeCandle(c) {
+    if (Array.isArray(c)) {
+      return { ts: c[0], open: +c[1], high: +c[2], low: +c[3], close: +c[4], volume: +c[5] };
+    }
+    return {
+      ts: c.ts !== undefined ? c.ts : c.timestamp,
+      open: +c.open,
+      high: +c.high,
+      low: +c.low,
+      close: +c.close,
+      volume: +(c.volume || 0),
+      ...(c.intervalMs ? { intervalMs: c.intervalMs } : {})
+    };
+  }
+}
+
+SimulatedExchange.FUNDING_INTERVAL_MS = FUNDING_INTERVAL_MS;
+
+module.exports = SimulatedExchange;
@@ -0,0 +1,33 @@
+/**
+ * Exchange Adapter Exports
+ * Contract, KuCoin Futures implementation and in-process simulator
+ */
+
+const ExchangeAdapter = require('./ExchangeAdapter');
+const KuCoinAdapter = require('./KuCoinAdapter');
+const SimulatedExchange = require('./SimulatedExchange');
+
+/**
+ * Build an adapter by name
+ * @param {Object} config - { exchange: 'kucoin'|'simulated', ...adapter config }; EXCHANGE env var when omitted
+ */
+function createExchange(config = {}) {
+  const name = (config.exchange || process.env.EXCHANGE || 'kucoin').toLowerCase();
+
+  switch (name) {
+    case 'kucoin':
+      return new KuCoinAdapter(config);
+    case 'simulated':
+    case 'sim':
+      return new SimulatedExchange(config);
+    default:
+      throw new Error(`Unknown exchange: ${name}`);
+  }
+}
+
+module.exports = {
+  ExchangeAdapter,
+  KuCoinAdapter,
+  SimulatedExchange,
+  createExchange
+};
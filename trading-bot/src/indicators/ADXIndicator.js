@@ -9,6 +9,9 @@
  * trend vs range conditions before entry.
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
 class ADXIndicator {
   constructor(config = {}) {
     this.period = config.period || 14;
@@ -297,6 +300,111 @@ class ADXIndicator {
     this.adxHistory = [];
     this.candleCount = 0;
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'ADXIndicator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'ADXIndicator');
+  }
+
+  /**
+   * ADX and directional indexes over a whole series, identical to calling
+   * update() bar by bar (input and output format: BatchSeries; the regime
+   * label follows from adx and the thresholds)
+   * @returns {Object} { value: { adx, plusDI, minusDI, isTrending, trendStrength }, signals }
+   *   isTrending is a Uint8Array
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new ADXIndicator(config);
+    const { period, trendThreshold, maxHistory } = view;
+    const { high, low, close, length } = series;
+    const adx = BatchSeries.series(length);
+    const plusDI = BatchSeries.series(length);
+    const minusDI = BatchSeries.series(length);
+    const isTrending = new Uint8Array(length);
+
+    const tr = new Float64Array(length);
+    const plusDM = new Float64Array(length);
+    const minusDM = new Float64Array(length);
+    for (let i = 1; i < length; i++) {
+      tr[i] = Math.max(
+        high[i] - low[i],
+        Math.abs(high[i] - close[i - 1]),
+        Math.abs(low[i] - close[i - 1])
+      );
+      const upMove = high[i] - high[i - 1];
+      const downMove = low[i - 1] - low[i];
+      plusDM[i] = upMove > downMove && upMove > 0 ? upMove : 0;
+      minusDM[i] = downMove > upMove && downMove > 0 ? downMove : 0;
+    }
+
+    // The DIs keep their last value (null before the first) while smoothed TR is 0
+    let smoothedTR = 0;
+    let smoothedPlusDM = 0;
+    let smoothedMinusDM = 0;
+    let currentPlusDI = null;
+    let currentMinusDI = null;
+    let smoothedDX = null;
+    for (let i = period; i < length; i++) {
+      if (i === period) {
+        for (let j = 1; j <= period; j++) {
+          smoothedTR += tr[j];
+          smoothedPlusDM += plusDM[j];
+          smoothedMinusDM += minusDM[j];
+        }
+      } else {
+        smoothedTR = smoothedTR - (smoothedTR / period) + tr[i];
+        smoothedPlusDM = smoothedPlusDM - (smoothedPlusDM / period) + plusDM[i];
+        smoothedMinusDM = smoothedMinusDM - (smoothedMinusDM / period) + minusDM[i];
+      }
+
+      if (smoothedTR !== 0) {
+        currentPlusDI = (smoothedPlusDM / smoothedTR) * 100;
+        currentMinusDI = (smoothedMinusDM / smoothedTR) * 100;
+      }
+
+      const diSum = currentPlusDI + currentMinusDI;
+      const diDiff = Math.abs(currentPlusDI - currentMinusDI);
+      const dx = diSum !== 0 ? (diDiff / diSum) * 100 : 0;
+
+      smoothedDX = smoothedDX === null ? dx : ((smoothedDX * (period - 1)) + dx) / period;
+      adx[i] = smoothedDX;
+      if (currentPlusDI !== null) {
+        plusDI[i] = currentPlusDI;
+        minusDI[i] = currentMinusDI;
+      }
+      isTrending[i] = adx[i] >= trendThreshold ? 1 : 0;
+    }
+
+    const signals = BatchSeries.signals(view, length, i => {
+      if (i < period) return false;
+      view.currentADX = adx[i];
+      view.currentPlusDI = Number.isNaN(plusDI[i]) ? null : plusDI[i];
+      view.currentMinusDI = Number.isNaN(minusDI[i]) ? null : minusDI[i];
+      view.prevADX = BatchSeries.previous(adx, period, i);
+      view.adxHistory = BatchSeries.window(adx, period, i, maxHistory);
+      return true;
+    }, options.signals !== false);
+
+    return { value: { adx, plusDI, minusDI, isTrending, trendStrength: adx }, signals };
+  }
 }
 
 module.exports = ADXIndicator;
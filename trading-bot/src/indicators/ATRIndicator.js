@@ -0,0 +1,350 @@
+/**
+ * ATR Indicator - Volatility Estimators
+ * Signals: ATR Expansion, High/Low Volatility (realized-vol percentile rank)
+ *
+ * Values (volatility figures are percent per bar, not annualized):
+ * - atr: Average True Range, SMA of the last `period` true ranges
+ *   (smoothing: 'wilder' for Wilder's running average)
+ * - atrPercent: ATR / close × 100 - the figure leverage and sizing tiers read
+ * - parkinson: sqrt(Σ ln(H/L)² / (4 ln2 · n)) over the last volPeriod candles
+ * - garmanKlass: sqrt(Σ [0.5 ln(H/L)² − (2 ln2 − 1) ln(C/O)²] / n)
+ * - realizedVol: standard deviation of log close-to-close returns
+ * - volRank: percentile (0-100) of realizedVol among the previous rankLookback readings
+ * - expansion: ATR / average true range of the previous expansionLookback bars
+ *
+ * Consumers that only need the ATR% take any reading through readAtrPercent(),
+ * and assume FALLBACK_ATR_PERCENT while it returns null.
+ */
+
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
+// ATR% assumed until a reading is available (the high-volatility tier)
+const FALLBACK_ATR_PERCENT = 2.0;
+
+class ATRIndicator {
+  constructor(config = {}) {
+    this.period = config.period || 14;
+    this.smoothing = config.smoothing === 'wilder' ? 'wilder' : 'sma';
+    this.volPeriod = config.volPeriod || 20;
+    this.rankLookback = config.rankLookback || 100;
+    this.minRankSamples = config.minRankSamples || 20;
+    this.expansionLookback = config.expansionLookback || 20;
+    this.expansionThreshold = config.expansionThreshold || 1.5;
+    this.highRank = config.highRank || 80;
+    this.lowRank = config.lowRank || 20;
+
+    this.prevClose = null;
+    this.trHistory = [];
+    this.rangeTerms = [];
+    this.gkTerms = [];
+    this.returns = [];
+    this.volHistory = [];
+
+    this.trueRange = null;
+    this.atr = null;
+    this.atrPercent = null;
+    this.expansion = null;
+    this.parkinson = null;
+    this.garmanKlass = null;
+    this.realizedVol = null;
+    this.volRank = null;
+  }
+
+  update(candle) {
+    const { high, low, close } = candle;
+    // Without an open (close-only feeds) the bar opens at the previous close
+    const open = candle.open !== undefined ? candle.open : (this.prevClose !== null ? this.prevClose : close);
+
+    const logHL = ATRIndicator._log(high, low);
+    const logCO = ATRIndicator._log(close, open);
+    this._push(this.rangeTerms, logHL * logHL, this.volPeriod);
+    this._push(this.gkTerms, 0.5 * logHL * logHL - (2 * Math.LN2 - 1) * logCO * logCO, this.volPeriod);
+
+    if (this.prevClose !== null) {
+      this.trueRange = ATRIndicator.trueRange(high, low, this.prevClose);
+      this._push(this.trHistory, this.trueRange, Math.max(this.period, this.expansionLookback + 1));
+      this._push(this.returns, ATRIndicator._log(close, this.prevClose), this.volPeriod);
+
+      if (this.smoothing === 'wilder' && this.atr !== null) {
+        this.atr = ((this.atr * (this.period - 1)) + this.trueRange) / this.period;
+      } else if (this.trHistory.length >= this.period) {
+        this.atr = ATRIndicator.average(this.trHistory.slice(-this.period));
+      }
+
+      if (this.atr !== null) {
+        this.atrPercent = close !== 0 ? (this.atr / close) * 100 : null;
+        this._updateExpansion();
+      }
+    }
+    this.prevClose = close;
+
+    if (this.rangeTerms.length >= this.volPeriod) {
+      this.parkinson = Math.sqrt(ATRIndicator.average(this.rangeTerms) / (4 * Math.LN2)) * 100;
+      this.garmanKlass = Math.sqrt(Math.max(0, ATRIndicator.average(this.gkTerms))) * 100;
+    }
+    if (this.returns.length >= this.volPeriod) {
+      this.realizedVol = ATRIndicator.stdDev(this.returns) * 100;
+      this._push(this.volHistory, this.realizedVol, this.rankLookback + 1);
+      this.volRank = ATRIndicator.percentRank(this.volHistory, this.minRankSamples);
+    }
+
+    return this.getResult();
+  }
+
+  _updateExpansion() {
+    if (this.trHistory.length < this.expansionLookback + 1) return;
+
+    const avgRange = ATRIndicator.average(this.trHistory.slice(-this.expansionLookback - 1, -1));
+    this.expansion = avgRange > 0 ? this.atr / avgRange : null;
+  }
+
+  _push(history, value, cap) {
+    history.push(value);
+    if (history.length > cap) history.shift();
+  }
+
+  // SIGNAL 1: ATR expanding against the recent true ranges
+  getExpansionSignal() {
+    if (this.expansion === null || this.expansion < this.expansionThreshold) return null;
+
+    return {
+      type: 'atr_expansion',
+      direction: 'neutral',
+      strength: this.expansion >= this.expansionThreshold * 1.5 ? 'strong' : 'moderate',
+      message: `ATR expanding (${this.expansion.toFixed(2)}x recent range, ATR ${this.atrPercent !== null ? this.atrPercent.toFixed(2) : '-'}%)`,
+      metadata: { atr: this.atr, atrPercent: this.atrPercent, expansion: this.expansion }
+    };
+  }
+
+  // SIGNAL 2: Realized volatility at an extreme of its own history
+  getVolatilityRegime() {
+    if (this.volRank === null) return null;
+
+    if (this.volRank >= this.highRank) {
+      return {
+        type: 'high_volatility',
+        direction: 'neutral',
+        strength: this.volRank >= 95 ? 'strong' : 'moderate',
+        message: `Realized volatility high (${this.volRank.toFixed(0)}th percentile)`,
+        metadata: { realizedVol: this.realizedVol, volRank: this.volRank, threshold: this.highRank }
+      };
+    }
+
+    if (this.volRank <= this.lowRank) {
+      return {
+        type: 'low_volatility',
+        direction: 'neutral',
+        strength: this.volRank <= 5 ? 'strong' : 'moderate',
+        message: `Realized volatility compressed (${this.volRank.toFixed(0)}th percentile)`,
+        metadata: { realizedVol: this.realizedVol, volRank: this.volRank, threshold: this.lowRank }
+      };
+    }
+
+    return null;
+  }
+
+  getSignals() {
+    const signals = [];
+
+    const expansion = this.getExpansionSignal();
+    if (expansion) signals.push(expansion);
+
+    const regime = this.getVolatilityRegime();
+    if (regime) signals.push(regime);
+
+    return signals;
+  }
+
+  getResult() {
+    return {
+      value: {
+        atr: this.atr,
+        atrPercent: this.atrPercent,
+        trueRange: this.trueRange,
+        parkinson: this.parkinson,
+        garmanKlass: this.garmanKlass,
+        realizedVol: this.realizedVol,
+        volRank: this.volRank,
+        expansion: this.expansion
+      },
+      signals: this.atr !== null ? this.getSignals() : []
+    };
+  }
+
+  reset() {
+    this.prevClose = null;
+    this.trHistory = [];
+    this.rangeTerms = [];
+    this.gkTerms = [];
+    this.returns = [];
+    this.volHistory = [];
+    this.trueRange = null;
+    this.atr = null;
+    this.atrPercent = null;
+    this.expansion = null;
+    this.parkinson = null;
+    this.garmanKlass = null;
+    this.realizedVol = null;
+    this.volRank = null;
+  }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'ATRIndicator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'ATRIndicator');
+  }
+
+  /**
+   * Every value over a whole series, identical to calling update() bar by bar
+   * (input and output format: BatchSeries)
+   * @returns {Object} { value: { atr, atrPercent, trueRange, parkinson, garmanKlass, realizedVol, volRank, expansion }, signals }
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new ATRIndicator(config);
+    const { period, volPeriod, rankLookback, minRankSamples, expansionLookback } = view;
+    const { open, high, low, close, length } = series;
+    const value = {};
+    for (const field of ['atr', 'atrPercent', 'trueRange', 'parkinson', 'garmanKlass', 'realizedVol', 'volRank', 'expansion']) {
+      value[field] = BatchSeries.series(length);
+    }
+    const { atr, trueRange } = value;
+
+    const rangeTerms = new Float64Array(length);
+    const gkTerms = new Float64Array(length);
+    const returns = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+      const barOpen = !Number.isNaN(open[i]) ? open[i] : (i > 0 ? close[i - 1] : close[i]);
+      const logHL = ATRIndicator._log(high[i], low[i]);
+      const logCO = ATRIndicator._log(close[i], barOpen);
+      rangeTerms[i] = logHL * logHL;
+      gkTerms[i] = 0.5 * logHL * logHL - (2 * Math.LN2 - 1) * logCO * logCO;
+
+      if (i > 0) {
+        trueRange[i] = ATRIndicator.trueRange(high[i], low[i], close[i - 1]);
+        returns[i] = ATRIndicator._log(close[i], close[i - 1]);
+
+        if (view.smoothing === 'wilder' && i > period) {
+          atr[i] = ((atr[i - 1] * (period - 1)) + trueRange[i]) / period;
+        } else if (i >= period) {
+          atr[i] = ATRIndicator._sum(trueRange, i + 1 - period, i + 1) / period;
+        }
+
+        if (i >= period) {
+          value.atrPercent[i] = close[i] !== 0 ? (atr[i] / close[i]) * 100 : NaN;
+          if (i >= expansionLookback + 1) {
+            const avgRange = ATRIndicator._sum(trueRange, i - expansionLookback, i) / expansionLookback;
+            if (avgRange > 0) value.expansion[i] = atr[i] / avgRange;
+          }
+        }
+      }
+
+      if (i >= volPeriod - 1) {
+        value.parkinson[i] = Math.sqrt((ATRIndicator._sum(rangeTerms, i + 1 - volPeriod, i + 1) / volPeriod) / (4 * Math.LN2)) * 100;
+        value.garmanKlass[i] = Math.sqrt(Math.max(0, ATRIndicator._sum(gkTerms, i + 1 - volPeriod, i + 1) / volPeriod)) * 100;
+      }
+      if (i >= volPeriod) {
+        value.realizedVol[i] = ATRIndicator.stdDev(returns.subarray(i + 1 - volPeriod, i + 1)) * 100;
+        const readings = BatchSeries.window(value.realizedVol, volPeriod, i, rankLookback + 1);
+        const rank = ATRIndicator.percentRank(readings, minRankSamples);
+        value.volRank[i] = rank !== null ? rank : NaN;
+      }
+    }
+
+    const signals = BatchSeries.signals(view, length, i => {
+      if (i < period) return false;
+      view.atr = atr[i];
+      view.atrPercent = Number.isNaN(value.atrPercent[i]) ? null : value.atrPercent[i];
+      view.expansion = Number.isNaN(value.expansion[i]) ? null : value.expansion[i];
+      view.realizedVol = Number.isNaN(value.realizedVol[i]) ? null : value.realizedVol[i];
+      view.volRank = Number.isNaN(value.volRank[i]) ? null : value.volRank[i];
+      return true;
+    }, options.signals !== false);
+
+    return { value, signals };
+  }
+
+  // ===========================================================================
+  // SHARED HELPERS
+  // ===========================================================================
+
+  static trueRange(high, low, prevClose) {
+    return Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+  }
+
+  static average(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+  }
+
+  /**
+   * Population standard deviation
+   */
+  static stdDev(values) {
+    const mean = ATRIndicator.average(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length);
+  }
+
+  /**
+   * Percentile (0-100) of the last reading among the ones before it, ties
+   * counted half; null with fewer than minSamples earlier readings
+   */
+  static percentRank(readings, minSamples = 1) {
+    const previous = readings.length - 1;
+    if (previous < minSamples) return null;
+
+    const current = readings[previous];
+    let below = 0;
+    let equal = 0;
+    for (let i = 0; i < previous; i++) {
+      if (readings[i] < current) below++;
+      else if (readings[i] === current) equal++;
+    }
+    return ((below + equal / 2) / previous) * 100;
+  }
+
+  /**
+   * ATR% from any volatility reading: a number, an ATRIndicator, its
+   * getResult() or result value, or the legacy { percentValue } shape
+   * @returns {number|null}
+   */
+  static readAtrPercent(source) {
+    if (source === null || source === undefined) return null;
+    if (typeof source === 'number') return Number.isFinite(source) ? source : null;
+    if (source instanceof ATRIndicator) return source.atrPercent;
+
+    const reading = source.value && typeof source.value === 'object' ? source.value : source;
+    const atrPercent = reading.atrPercent !== undefined ? reading.atrPercent : reading.percentValue;
+    return typeof atrPercent === 'number' && Number.isFinite(atrPercent) ? atrPercent : null;
+  }
+
+  static _log(numerator, denominator) {
+    return numerator > 0 && denominator > 0 ? Math.log(numerator / denominator) : 0;
+  }
+
+  static _sum(values, start, end) {
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += values[i];
+    return sum;
+  }
+}
+
+ATRIndicator.FALLBACK_ATR_PERCENT = FALLBACK_ATR_PERCENT;
+
+module.exports = ATRIndicator;
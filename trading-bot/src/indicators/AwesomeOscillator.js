@@ -3,6 +3,9 @@
  * Signals: Zero Cross, Saucer, Twin Peaks, Divergence
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
 class AwesomeOscillator {
   constructor(config = {}) {
     this.fastPeriod = config.fastPeriod || 5;
@@ -266,6 +269,72 @@ class AwesomeOscillator {
     this.aoHistory = [];
     this.priceHistory = [];
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'AwesomeOscillator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'AwesomeOscillator');
+  }
+
+  /**
+   * AO over a whole series, identical to calling update() bar by bar
+   * (input and output format: BatchSeries)
+   * @returns {Object} { value: Float64Array, signals: { [type]: Uint8Array } }
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new AwesomeOscillator(config);
+    const { fastPeriod, slowPeriod, maxHistory } = view;
+    const { high, low, close, length } = series;
+    const value = BatchSeries.series(length);
+    const median = new Float64Array(length);
+    const prices = new Float64Array(length);
+
+    // Running sums, dropping the oldest median like the streaming windows
+    let fastSum = 0;
+    let slowSum = 0;
+    for (let i = 0; i < length; i++) {
+      median[i] = (high[i] + low[i]) / 2;
+      prices[i] = close[i] || median[i];
+
+      fastSum += median[i];
+      if (i + 1 > fastPeriod) fastSum -= median[i - fastPeriod];
+      slowSum += median[i];
+      if (i + 1 > slowPeriod) slowSum -= median[i - slowPeriod];
+
+      if (i + 1 >= slowPeriod) {
+        value[i] = fastSum / fastPeriod - slowSum / slowPeriod;
+      }
+    }
+
+    const first = slowPeriod - 1;
+    const signals = BatchSeries.signals(view, length, i => {
+      if (i < first) return false;
+      view.currentAO = value[i];
+      view.prevAO = BatchSeries.previous(value, first, i);
+      view.aoHistory = BatchSeries.window(value, first, i, maxHistory);
+      view.priceHistory = BatchSeries.window(prices, first, i, maxHistory);
+      return true;
+    }, options.signals !== false);
+
+    return { value, signals };
+  }
 }
 
 module.exports = AwesomeOscillator;
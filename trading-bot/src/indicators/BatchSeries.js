@@ -0,0 +1,139 @@
+/**
+ * Batch Series
+ *
+ * Input and plumbing for the indicators' static batch() API: a whole OHLCV
+ * series in, whole result series out, for research workloads (parameter
+ * sweeps, signal studies) that would otherwise feed update() bar by bar.
+ *
+ * batch(input, config, options) accepts candles, closes, an object of
+ * { open, high, low, close, volume } arrays, or a BatchSeries (convert once,
+ * reuse across a sweep) and returns, aligned with the input:
+ *
+ *   { value: Float64Array | { [field]: Float64Array }, signals: { [type]: Uint8Array } }
+ *
+ * Values are the numeric fields of update()'s result, with NaN where update()
+ * reports null. signals[type][i] is 1 when update() would include a signal of
+ * that type on bar i; types that never fire are absent. options.signals = false
+ * skips the signal pass when only values are needed.
+ *
+ * Results are identical to update(): values run in loops with the same
+ * arithmetic order, and signals come from the indicator's own getSignals(),
+ * called on a view instance holding each bar's history windows.
+ *
+ * Every candle indicator has batch(); DOMAnalyzer reads order books, not
+ * candles, and has none.
+ *
+ * Usage:
+ *   const series = BatchSeries.from(candles);
+ *   const rsi = RSIIndicator.batch(series, { period: 14 });
+ *   const stochRSI = StochasticRSI.batch(series, { rsiPeriod: 14 }, { rsi: rsi.value });
+ */
+
+const FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+class BatchSeries {
+  /**
+   * @param {Object} fields - { open, high, low, close, volume } Float64Arrays of equal length
+   */
+  constructor(fields) {
+    this.length = fields.close.length;
+    for (const field of FIELDS) {
+      this[field] = fields[field];
+    }
+  }
+
+  /**
+   * Normalize batch() input (a BatchSeries is returned as-is)
+   * @param {Array|Object} input - Candles, closes, or { close, high, ... } arrays
+   * @returns {BatchSeries}
+   */
+  static from(input) {
+    if (input instanceof BatchSeries) return input;
+
+    if (Array.isArray(input)) {
+      const length = input.length;
+      const fields = {};
+      for (const field of FIELDS) fields[field] = BatchSeries.series(length);
+
+      for (let i = 0; i < length; i++) {
+        const candle = input[i];
+        if (typeof candle === 'number') {
+          fields.close[i] = candle;
+          continue;
+        }
+        for (const field of FIELDS) {
+          if (candle[field] !== undefined) fields[field][i] = candle[field];
+        }
+      }
+      return new BatchSeries(fields);
+    }
+
+    if (!input || !input.close) {
+      throw new Error('Batch input needs candles or a close series');
+    }
+
+    const length = input.close.length;
+    const fields = {};
+    for (const field of FIELDS) {
+      const values = input[field];
+      if (!values) {
+        fields[field] = BatchSeries.series(length);
+      } else if (values.length !== length) {
+        throw new Error(`Batch ${field} series has ${values.length} bars, close has ${length}`);
+      } else {
+        fields[field] = values instanceof Float64Array ? values : Float64Array.from(values);
+      }
+    }
+    return new BatchSeries(fields);
+  }
+
+  /**
+   * NaN-filled result series
+   */
+  static series(length) {
+    return new Float64Array(length).fill(NaN);
+  }
+
+  /**
+   * The history a streaming instance holds at bar `index`: entries from bar
+   * `first` on, capped to the last `cap` (a subarray, not a copy)
+   */
+  static window(values, first, index, cap = Infinity) {
+    return values.subarray(Math.max(first, index + 1 - cap), index + 1);
+  }
+
+  /**
+   * Value at the bar before `index`, or null when that bar precedes `first`
+   * (the streaming instance's prev* fields)
+   */
+  static previous(values, first, index) {
+    return index > first ? values[index - 1] : null;
+  }
+
+  /**
+   * Per-bar signal flags from the indicator's getSignals()
+   *
+   * @param {Object} view - Indicator instance whose fields prepare() sets per bar
+   * @param {number} length - Bars
+   * @param {Function} prepare - (index) => true when update() would evaluate signals on that bar
+   * @param {boolean} enabled - false returns no flags without evaluating
+   * @returns {Object} { [type]: Uint8Array }
+   */
+  static signals(view, length, prepare, enabled = true) {
+    const flags = {};
+    if (!enabled) return flags;
+
+    for (let i = 0; i < length; i++) {
+      if (!prepare(i)) continue;
+      for (const signal of view.getSignals()) {
+        if (!flags[signal.type]) flags[signal.type] = new Uint8Array(length);
+        flags[signal.type][i] = 1;
+      }
+    }
+    return flags;
+  }
+}
+
+BatchSeries.FIELDS = FIELDS;
+
+module.exports = BatchSeries;
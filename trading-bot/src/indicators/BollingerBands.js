@@ -3,6 +3,9 @@
  * Signals: Band Touch, Squeeze, Breakout, %B Analysis
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
 class BollingerBands {
   constructor(config = {}) {
     this.period = config.period || 20;
@@ -219,6 +222,79 @@ class BollingerBands {
     this.bandwidthHistory = [];
     this.priceHistory = [];
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'BollingerBands');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'BollingerBands');
+  }
+
+  /**
+   * Bands, bandwidth and %B over a whole series, identical to calling update()
+   * bar by bar (input and output format: BatchSeries)
+   * @returns {Object} { value: { upper, middle, lower, bandwidth, percentB }, signals }
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new BollingerBands(config);
+    const { period, stdDev, maxHistory } = view;
+    const { close, length } = series;
+    const upper = BatchSeries.series(length);
+    const middle = BatchSeries.series(length);
+    const lower = BatchSeries.series(length);
+    const bandwidth = BatchSeries.series(length);
+    const percentB = BatchSeries.series(length);
+
+    const first = period - 1;
+    for (let i = first; i < length; i++) {
+      let sum = 0;
+      for (let j = i + 1 - period; j <= i; j++) sum += close[j];
+      const mean = sum / period;
+
+      let squaredSum = 0;
+      for (let j = i + 1 - period; j <= i; j++) squaredSum += Math.pow(close[j] - mean, 2);
+      const std = Math.sqrt(squaredSum / period);
+
+      middle[i] = mean;
+      upper[i] = mean + (std * stdDev);
+      lower[i] = mean - (std * stdDev);
+      bandwidth[i] = (upper[i] - lower[i]) / mean * 100;
+      percentB[i] = (close[i] - lower[i]) / (upper[i] - lower[i]);
+    }
+
+    const signals = BatchSeries.signals(view, length, i => {
+      if (i < first) return false;
+      view.upper = upper[i];
+      view.middle = middle[i];
+      view.lower = lower[i];
+      view.bandwidth = bandwidth[i];
+      view.percentB = percentB[i];
+      view.prevUpper = BatchSeries.previous(upper, first, i);
+      view.prevLower = BatchSeries.previous(lower, first, i);
+      view.prevBandwidth = BatchSeries.previous(bandwidth, first, i);
+      view.bandwidthHistory = BatchSeries.window(bandwidth, first, i, maxHistory);
+      view.priceHistory = BatchSeries.window(close, first, i, maxHistory);
+      return true;
+    }, options.signals !== false);
+
+    return { value: { upper, middle, lower, bandwidth, percentB }, signals };
+  }
 }
 
 module.exports = BollingerBands;
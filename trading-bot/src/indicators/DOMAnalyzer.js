@@ -8,6 +8,8 @@
  * Signals: Imbalance, Wall Detection, Microprice Bias
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+
 class DOMAnalyzer {
   constructor(config = {}) {
     this.depthLevels = config.depthLevels || [5, 10, 25];
@@ -258,6 +260,27 @@ class DOMAnalyzer {
     this.lastOrderBook = null;
     this.imbalanceHistory = [];
   }
+
+  /**
+   * Result for an order book without recording it in the history
+   */
+  peek(orderBook) {
+    return StateSnapshot.provisional(this, () => this.update(orderBook));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'DOMAnalyzer');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'DOMAnalyzer');
+  }
 }
 
 module.exports = DOMAnalyzer;
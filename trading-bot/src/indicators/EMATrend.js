@@ -3,6 +3,9 @@
  * Signals: EMA Crosses, Golden/Death Cross, Slope Analysis, Distance
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
 class EMATrend {
   constructor(config = {}) {
     this.shortPeriod = config.shortPeriod || 9;
@@ -231,6 +234,84 @@ class EMATrend {
     this.priceHistory = [];
     this.emaHistory = [];
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'EMATrend');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'EMATrend');
+  }
+
+  /**
+   * Short / medium / long / trend EMAs over a whole series, identical to
+   * calling update() bar by bar (input and output format: BatchSeries)
+   * @returns {Object} { value: { emaShort, emaMedium, emaLong, emaTrend, short, medium, long, trend }, signals }
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new EMATrend(config);
+    const { trendPeriod, maxHistory } = view;
+    const { close, length } = series;
+    const first = trendPeriod - 1;
+    const lines = [
+      [view.shortPeriod, view.shortMultiplier],
+      [view.mediumPeriod, view.mediumMultiplier],
+      [view.longPeriod, view.longMultiplier],
+      [trendPeriod, view.trendMultiplier]
+    ].map(([period, multiplier]) => {
+      const ema = BatchSeries.series(length);
+      if (first >= length) return ema;
+
+      // Seeded with the SMA of the last `period` closes of the first trendPeriod
+      let sum = 0;
+      for (let j = Math.max(0, trendPeriod - period); j <= first; j++) sum += close[j];
+      ema[first] = sum / period;
+      for (let i = first + 1; i < length; i++) {
+        ema[i] = (close[i] - ema[i - 1]) * multiplier + ema[i - 1];
+      }
+      return ema;
+    });
+    const [emaShort, emaMedium, emaLong, emaTrend] = lines;
+
+    view.emaHistory = [];
+    const signals = BatchSeries.signals(view, length, i => {
+      if (i < first) return false;
+      view.shortEMA = emaShort[i];
+      view.mediumEMA = emaMedium[i];
+      view.longEMA = emaLong[i];
+      view.trendEMA = emaTrend[i];
+      view.prevShortEMA = BatchSeries.previous(emaShort, first, i);
+      view.prevMediumEMA = BatchSeries.previous(emaMedium, first, i);
+      view.prevLongEMA = BatchSeries.previous(emaLong, first, i);
+      view.priceHistory = BatchSeries.window(close, 0, i, trendPeriod);
+      view.emaHistory.push({ short: emaShort[i], long: emaLong[i] });
+      if (view.emaHistory.length > maxHistory) view.emaHistory.shift();
+      return true;
+    }, options.signals !== false);
+
+    return {
+      value: {
+        emaShort, emaMedium, emaLong, emaTrend,
+        short: emaShort, medium: emaMedium, long: emaLong, trend: emaTrend
+      },
+      signals
+    };
+  }
 }
 
 module.exports = EMATrend;
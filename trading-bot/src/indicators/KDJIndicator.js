@@ -9,6 +9,9 @@
  * J = 3K - 2D
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
 class KDJIndicator {
   constructor(config = {}) {
     this.kPeriod = config.kPeriod || 9;
@@ -252,6 +255,76 @@ class KDJIndicator {
     this.priceHistory = [];
     this.initialized = false;
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'KDJIndicator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'KDJIndicator');
+  }
+
+  /**
+   * K / D / J over a whole series, identical to calling update() bar by bar
+   * (input and output format: BatchSeries). Like update(), the lines read 50
+   * until kPeriod bars have been seen.
+   * @returns {Object} { value: { k, d, j }, signals } - Float64Arrays / Uint8Array flags
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new KDJIndicator(config);
+    const { kPeriod, maxHistory } = view;
+    const { high, low, close, length } = series;
+    const k = new Float64Array(length).fill(50);
+    const d = new Float64Array(length).fill(50);
+    const j = new Float64Array(length).fill(50);
+
+    const first = kPeriod - 1;
+    let currentK = 50;
+    let currentD = 50;
+    for (let i = first; i < length; i++) {
+      const highestHigh = Math.max(...high.subarray(i + 1 - kPeriod, i + 1));
+      const lowestLow = Math.min(...low.subarray(i + 1 - kPeriod, i + 1));
+      const range = highestHigh - lowestLow;
+      const rsv = range === 0 ? 50 : ((close[i] - lowestLow) / range) * 100;
+
+      currentK = (2/3) * currentK + (1/3) * rsv;
+      currentD = (2/3) * currentD + (1/3) * currentK;
+      k[i] = currentK;
+      d[i] = currentD;
+      j[i] = 3 * currentK - 2 * currentD;
+    }
+
+    view.initialized = true;
+    const signals = BatchSeries.signals(view, length, i => {
+      if (i < first) return false;
+      view.currentK = k[i];
+      view.currentD = d[i];
+      view.currentJ = j[i];
+      view.prevK = i > 0 ? k[i - 1] : 50;
+      view.prevD = i > 0 ? d[i - 1] : 50;
+      view.prevJ = i > 0 ? j[i - 1] : 50;
+      view.jHistory = BatchSeries.window(j, first, i, maxHistory);
+      view.priceHistory = BatchSeries.window(close, first, i, maxHistory);
+      return true;
+    }, options.signals !== false);
+
+    return { value: { k, d, j }, signals };
+  }
 }
 
 module.exports = KDJIndicator;
@@ -5,6 +5,9 @@
  * Formula: EMA-based (verified)
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
 class MACDIndicator {
   constructor(config = {}) {
     this.fastPeriod = config.fastPeriod || 12;
@@ -331,6 +334,98 @@ class MACDIndicator {
     this.histogramHistory = [];
     this.priceHistory = [];
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'MACDIndicator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'MACDIndicator');
+  }
+
+  /**
+   * MACD over a whole series, identical to calling update() bar by bar
+   * (input and output format: BatchSeries)
+   * @returns {Object} { value: { macd, signal, histogram }, signals } - Float64Arrays / Uint8Array flags
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new MACDIndicator(config);
+    const { fastPeriod, slowPeriod, signalPeriod, maxHistory } = view;
+    const { close, length } = series;
+    const macd = BatchSeries.series(length);
+    const signal = BatchSeries.series(length);
+    const histogram = BatchSeries.series(length);
+
+    let priceSum = 0;
+    let fastEMA = null;
+    let slowEMA = null;
+    let signalEMA = null;
+
+    for (let i = 0; i < length; i++) {
+      priceSum += close[i];
+      const count = i + 1;
+
+      if (count === slowPeriod) {
+        slowEMA = priceSum / slowPeriod;
+        const start = Math.max(0, count - maxHistory, count - fastPeriod);
+        let recentSum = 0;
+        for (let j = start; j <= i; j++) recentSum += close[j];
+        fastEMA = recentSum / fastPeriod;
+      } else if (count > slowPeriod) {
+        fastEMA = (close[i] - fastEMA) * view.fastMultiplier + fastEMA;
+        slowEMA = (close[i] - slowEMA) * view.slowMultiplier + slowEMA;
+        macd[i] = fastEMA - slowEMA;
+
+        // MACD history before this bar (capped like macdHistory)
+        const macdCount = Math.min(i - slowPeriod, maxHistory);
+        if (signalEMA === null && macdCount >= signalPeriod) {
+          let sum = 0;
+          for (let j = i - signalPeriod; j < i; j++) sum += macd[j];
+          signalEMA = sum / signalPeriod;
+        } else if (signalEMA !== null) {
+          signalEMA = (macd[i] - signalEMA) * view.signalMultiplier + signalEMA;
+        }
+
+        if (signalEMA !== null) {
+          signal[i] = signalEMA;
+          histogram[i] = macd[i] - signalEMA;
+        }
+      }
+    }
+
+    const first = slowPeriod;
+    const firstSignal = signal.findIndex(v => !Number.isNaN(v));
+    const hasSignal = i => firstSignal !== -1 && i >= firstSignal;
+    const signals = BatchSeries.signals(view, length, i => {
+      if (i < first) return false;
+      view.currentMACD = macd[i];
+      view.currentSignal = hasSignal(i) ? signal[i] : null;
+      view.currentHistogram = hasSignal(i) ? histogram[i] : null;
+      view.prevMACD = BatchSeries.previous(macd, first, i);
+      view.prevSignal = hasSignal(i - 1) ? signal[i - 1] : null;
+      view.macdHistory = BatchSeries.window(macd, first, i, maxHistory);
+      view.histogramHistory = hasSignal(i) ? BatchSeries.window(histogram, firstSignal, i, maxHistory) : [];
+      view.priceHistory = BatchSeries.window(close, 0, i, maxHistory);
+      return true;
+    }, options.signals !== false);
+
+    return { value: { macd, signal, histogram }, signals };
+  }
 }
 
 module.exports = MACDIndicator;
@@ -8,6 +8,9 @@
  * if Close = Close_prev: OBV = OBV_prev
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
 class OBVIndicator {
   constructor(config = {}) {
     this.slopeWindow = config.slopeWindow || 14;
@@ -249,6 +252,87 @@ class OBVIndicator {
     this.priceHistory = [];
     this.slopeHistory = [];
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'OBVIndicator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'OBVIndicator');
+  }
+
+  /**
+   * OBV, slope and slope z-score over a whole series, identical to calling
+   * update() bar by bar (input and output format: BatchSeries)
+   * @returns {Object} { value: { obv, slope, zScore }, signals } - Float64Arrays / Uint8Array flags
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new OBVIndicator(config);
+    const { slopeWindow, zScoreCap, maxHistory } = view;
+    const { close, volume, length } = series;
+    const obv = new Float64Array(length);
+    const rawSlope = BatchSeries.series(length);
+    const slope = new Float64Array(length);
+    const zScore = new Float64Array(length);
+
+    let currentOBV = 0;
+    let firstSlope = -1;
+    for (let i = 0; i < length; i++) {
+      if (i > 0) {
+        if (close[i] > close[i - 1]) {
+          currentOBV += volume[i];
+        } else if (close[i] < close[i - 1]) {
+          currentOBV -= volume[i];
+        }
+      }
+      obv[i] = currentOBV;
+
+      // obvHistory holds up to maxHistory + 1 values when the slope is taken
+      if (Math.min(i + 1, maxHistory + 1) >= slopeWindow) {
+        rawSlope[i] = (obv[i] - obv[i - slopeWindow + 1]) / slopeWindow;
+        if (firstSlope < 0) firstSlope = i;
+      }
+      if (firstSlope < 0) continue;
+
+      const slopes = BatchSeries.window(rawSlope, firstSlope, i, maxHistory);
+      let sum = 0;
+      for (const s of slopes) sum += s;
+      const avgSlope = sum / slopes.length;
+      let squaredSum = 0;
+      for (const s of slopes) squaredSum += Math.pow(s - avgSlope, 2);
+      const stdDev = Math.sqrt(squaredSum / slopes.length);
+
+      slope[i] = slopes[slopes.length - 1];
+      const z = stdDev > 0 ? (slope[i] - avgSlope) / stdDev : 0;
+      zScore[i] = Math.max(-zScoreCap, Math.min(zScoreCap, z));
+    }
+
+    const signals = BatchSeries.signals(view, length, i => {
+      if (Math.min(i + 1, maxHistory) < slopeWindow) return false;
+      view.currentOBV = obv[i];
+      view.obvHistory = BatchSeries.window(obv, 0, i, maxHistory);
+      view.priceHistory = BatchSeries.window(close, 0, i, maxHistory);
+      view.slopeHistory = firstSlope < 0 || i < firstSlope ? [] : BatchSeries.window(rawSlope, firstSlope, i, maxHistory);
+      return true;
+    }, options.signals !== false);
+
+    return { value: { obv, slope, zScore }, signals };
+  }
 }
 
 module.exports = OBVIndicator;
@@ -11,6 +11,10 @@
  * Signals: Pump Warning, Dump Warning, Extreme Conditions
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+const ATRIndicator = require('./ATRIndicator');
+
 class PumpAlertIndicator {
   constructor(config = {}) {
     // Volume spike detection
@@ -62,12 +66,7 @@ class PumpAlertIndicator {
     // Calculate ATR
     if (this.candleHistory.length >= 2) {
       const prevCandle = this.candleHistory[this.candleHistory.length - 2];
-      const tr = Math.max(
-        high - low,
-        Math.abs(high - prevCandle.close),
-        Math.abs(low - prevCandle.close)
-      );
-      this.atrHistory.push(tr);
+      this.atrHistory.push(ATRIndicator.trueRange(high, low, prevCandle.close));
     }
 
     // Trim histories
@@ -115,12 +114,10 @@ class PumpAlertIndicator {
     if (this.atrHistory.length < this.atrLookback + 1) return;
 
     // Calculate current ATR (SMA of true ranges)
-    const recentTR = this.atrHistory.slice(-this.atrPeriod);
-    this.currentATR = recentTR.reduce((a, b) => a + b, 0) / recentTR.length;
+    this.currentATR = ATRIndicator.average(this.atrHistory.slice(-this.atrPeriod));
 
     // Calculate average ATR over lookback period
-    const lookbackTR = this.atrHistory.slice(-this.atrLookback - 1, -1);
-    const avgATR = lookbackTR.reduce((a, b) => a + b, 0) / lookbackTR.length;
+    const avgATR = ATRIndicator.average(this.atrHistory.slice(-this.atrLookback - 1, -1));
 
     if (avgATR > 0) {
       const atrRatio = this.currentATR / avgATR;
@@ -329,6 +326,129 @@ class PumpAlertIndicator {
     this.currentVolumeRatio = 0;
     this.currentMomentum = 0;
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'PumpAlertIndicator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'PumpAlertIndicator');
+  }
+
+  /**
+   * Risk level, conditions and their inputs over a whole series, identical to
+   * calling update() bar by bar (input and output format: BatchSeries; the
+   * alert type label follows from conditionsMet and the momentum sign).
+   * volumeRatio, atr and momentum keep their last value on bars where update()
+   * doesn't recompute them.
+   * @returns {Object} { value: { riskLevel, conditionsMet, volumeRatio, atr, momentum, conditions }, signals }
+   *   conditions: { volumeSpike, atrExpansion, priceMomentum, volumeExtreme } Uint8Arrays
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new PumpAlertIndicator(config);
+    const { volumeLookback, atrPeriod, atrLookback, momentumPeriod, maxHistory } = view;
+    const { high, low, close, volume, length } = series;
+    const riskLevel = new Float64Array(length);
+    const conditionsMet = new Float64Array(length);
+    const volumeRatio = new Float64Array(length);
+    const atr = new Float64Array(length);
+    const momentum = new Float64Array(length);
+    const conditions = {
+      volumeSpike: new Uint8Array(length),
+      atrExpansion: new Uint8Array(length),
+      priceMomentum: new Uint8Array(length),
+      volumeExtreme: new Uint8Array(length)
+    };
+
+    const trueRange = new Float64Array(length);
+    for (let i = 1; i < length; i++) {
+      trueRange[i] = ATRIndicator.trueRange(high[i], low[i], close[i - 1]);
+    }
+
+    let currentVolumeRatio = 0;
+    let currentATR = 0;
+    let currentMomentum = 0;
+    for (let i = 0; i < length; i++) {
+      const held = Math.min(i + 1, maxHistory);
+
+      if (held >= volumeLookback + 1) {
+        let sum = 0;
+        for (let j = i - volumeLookback; j < i; j++) sum += volume[j];
+        const avgVolume = sum / volumeLookback;
+        if (avgVolume > 0) {
+          currentVolumeRatio = volume[i] / avgVolume;
+          conditions.volumeExtreme[i] = currentVolumeRatio >= view.volumeExtremeThreshold ? 1 : 0;
+          conditions.volumeSpike[i] = currentVolumeRatio >= view.volumeSpikeThreshold ? 1 : 0;
+        }
+      }
+
+      // atrHistory starts at bar 1 (true range needs the previous close)
+      const ranges = Math.min(i, maxHistory);
+      if (ranges >= atrLookback + 1) {
+        const recent = Math.min(atrPeriod, ranges);
+        let sum = 0;
+        for (let j = i + 1 - recent; j <= i; j++) sum += trueRange[j];
+        currentATR = sum / recent;
+
+        let lookbackSum = 0;
+        for (let j = i - atrLookback; j < i; j++) lookbackSum += trueRange[j];
+        const avgATR = lookbackSum / atrLookback;
+        if (avgATR > 0 && currentATR / avgATR >= view.atrExpansionThreshold) {
+          conditions.atrExpansion[i] = 1;
+        }
+      }
+
+      if (held >= momentumPeriod + 1) {
+        const pastPrice = close[i - momentumPeriod];
+        if (pastPrice > 0) {
+          currentMomentum = ((close[i] - pastPrice) / pastPrice) * 100;
+          if (Math.abs(currentMomentum) >= view.momentumThreshold) conditions.priceMomentum[i] = 1;
+        }
+      }
+
+      volumeRatio[i] = currentVolumeRatio;
+      atr[i] = currentATR;
+      momentum[i] = currentMomentum;
+      view.conditions = PumpAlertIndicator._batchConditions(conditions, i);
+      conditionsMet[i] = view.countConditionsMet();
+      riskLevel[i] = view.getRiskLevel();
+    }
+
+    const signals = BatchSeries.signals(view, length, i => {
+      if (Math.min(i + 1, maxHistory) < volumeLookback) return false;
+      view.conditions = PumpAlertIndicator._batchConditions(conditions, i);
+      view.currentVolumeRatio = volumeRatio[i];
+      view.currentATR = atr[i];
+      view.currentMomentum = momentum[i];
+      return true;
+    }, options.signals !== false);
+
+    return { value: { riskLevel, conditionsMet, volumeRatio, atr, momentum, conditions }, signals };
+  }
+
+  static _batchConditions(conditions, index) {
+    return {
+      volumeSpike: conditions.volumeSpike[index] === 1,
+      atrExpansion: conditions.atrExpansion[index] === 1,
+      priceMomentum: conditions.priceMomentum[index] === 1,
+      volumeExtreme: conditions.volumeExtreme[index] === 1
+    };
+  }
 }
 
 module.exports = PumpAlertIndicator;
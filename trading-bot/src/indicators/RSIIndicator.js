@@ -5,6 +5,9 @@
  * Formula: Wilder Smoothing (verified)
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
 class RSIIndicator {
   constructor(config = {}) {
     this.period = config.period || 14;
@@ -286,6 +289,80 @@ class RSIIndicator {
     this.rsiHistory = [];
     this.priceHistory = [];
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'RSIIndicator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'RSIIndicator');
+  }
+
+  /**
+   * RSI over a whole series, identical to calling update() bar by bar
+   * (input and output format: BatchSeries)
+   * @returns {Object} { value: Float64Array, signals: { [type]: Uint8Array } }
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new RSIIndicator(config);
+    const { period, maxHistory } = view;
+    const { close, length } = series;
+    const value = BatchSeries.series(length);
+
+    let sumGain = 0;
+    let sumLoss = 0;
+    let avgGain = null;
+    let avgLoss = null;
+
+    for (let i = 1; i < length; i++) {
+      const change = close[i] - close[i - 1];
+      const gain = change > 0 ? change : 0;
+      const loss = change < 0 ? Math.abs(change) : 0;
+
+      if (i <= period) {
+        sumGain += gain;
+        sumLoss += loss;
+        if (i === period) {
+          avgGain = sumGain / period;
+          avgLoss = sumLoss / period;
+        }
+      } else {
+        avgGain = ((avgGain * (period - 1)) + gain) / period;
+        avgLoss = ((avgLoss * (period - 1)) + loss) / period;
+      }
+
+      if (avgGain !== null) {
+        value[i] = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+      }
+    }
+
+    const first = period;
+    const signals = BatchSeries.signals(view, length, i => {
+      if (i < first) return false;
+      view.currentValue = value[i];
+      view.prevValue = BatchSeries.previous(value, first, i);
+      view.rsiHistory = BatchSeries.window(value, first, i, maxHistory);
+      view.priceHistory = BatchSeries.window(close, first, i, maxHistory);
+      return true;
+    }, options.signals !== false);
+
+    return { value, signals };
+  }
 }
 
 module.exports = RSIIndicator;
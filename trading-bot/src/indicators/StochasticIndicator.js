@@ -3,6 +3,9 @@
  * Signals: K/D Crossover, Zone Analysis, Divergence
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
 class StochasticIndicator {
   constructor(config = {}) {
     this.kPeriod = config.kPeriod || 14;
@@ -239,6 +242,78 @@ class StochasticIndicator {
     this.kHistory = [];
     this.priceHistory = [];
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'StochasticIndicator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'StochasticIndicator');
+  }
+
+  /**
+   * %K / %D over a whole series, identical to calling update() bar by bar
+   * (input and output format: BatchSeries)
+   * @returns {Object} { value: { k, d }, signals } - Float64Arrays / Uint8Array flags
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new StochasticIndicator(config);
+    const { kPeriod, dPeriod, smooth, maxHistory } = view;
+    const { high, low, close, length } = series;
+    const rawK = new Float64Array(length);
+    const k = BatchSeries.series(length);
+    const d = BatchSeries.series(length);
+
+    const first = kPeriod - 1;
+    for (let i = first; i < length; i++) {
+      const highestHigh = Math.max(...high.subarray(i + 1 - kPeriod, i + 1));
+      const lowestLow = Math.min(...low.subarray(i + 1 - kPeriod, i + 1));
+      const range = highestHigh - lowestLow;
+      rawK[i] = range === 0 ? 50 : ((close[i] - lowestLow) / range) * 100;
+
+      const start = Math.max(first, i + 1 - smooth);
+      let sum = 0;
+      for (let j = start; j <= i; j++) sum += rawK[j];
+      k[i] = sum / (i + 1 - start);
+
+      // kHistory holds up to maxHistory + 1 values when %D is taken
+      if (Math.min(i - first + 1, maxHistory + 1) > dPeriod) {
+        let dSum = 0;
+        for (let j = i + 1 - dPeriod; j <= i; j++) dSum += k[j];
+        d[i] = dSum / dPeriod;
+      } else if (i > first) {
+        d[i] = d[i - 1];
+      }
+    }
+
+    const signals = BatchSeries.signals(view, length, i => {
+      if (i < first) return false;
+      view.currentK = k[i];
+      view.currentD = Number.isNaN(d[i]) ? null : d[i];
+      view.prevK = BatchSeries.previous(k, first, i);
+      view.prevD = i > first && !Number.isNaN(d[i - 1]) ? d[i - 1] : null;
+      view.kHistory = BatchSeries.window(k, first, i, maxHistory);
+      view.priceHistory = BatchSeries.window(close, first, i, maxHistory);
+      return true;
+    }, options.signals !== false);
+
+    return { value: { k, d }, signals };
+  }
 }
 
 module.exports = StochasticIndicator;
@@ -9,6 +9,10 @@
  * Signals: Crossovers, Overbought/Oversold, Divergence
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+const RSIIndicator = require('./RSIIndicator');
+
 class StochasticRSI {
   constructor(config = {}) {
     // RSI parameters
@@ -117,7 +121,6 @@ class StochasticRSI {
       }
     }
 
-    this.prevClose = close;
     return this.getResult();
   }
 
@@ -128,6 +131,7 @@ class StochasticRSI {
     }
 
     const change = close - this.prevClose;
+    this.prevClose = close;
     const gain = change > 0 ? change : 0;
     const loss = change < 0 ? Math.abs(change) : 0;
 
@@ -339,6 +343,94 @@ class StochasticRSI {
     this.priceHistory = [];
     this.stochRSIHistory = [];
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'StochasticRSI');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'StochasticRSI');
+  }
+
+  /**
+   * %K / %D / RSI over a whole series, identical to calling update() bar by bar
+   * (input and output format: BatchSeries)
+   *
+   * options.rsi reuses an RSIIndicator.batch() value series computed with the
+   * same period, so a sweep over stochastic settings runs the RSI once.
+   * @returns {Object} { value: { k, d, rsi }, signals } - Float64Arrays / Uint8Array flags
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new StochasticRSI(config);
+    const { rsiPeriod, stochPeriod, kSmooth, dSmooth, maxHistory } = view;
+    const { close, length } = series;
+
+    let rsi = options.rsi;
+    if (rsi) {
+      if (rsi.length !== length) {
+        throw new Error(`StochasticRSI batch rsi series has ${rsi.length} bars, close has ${length}`);
+      }
+      rsi = rsi instanceof Float64Array ? rsi : Float64Array.from(rsi, v => (v === null ? NaN : v));
+    } else {
+      rsi = RSIIndicator.batch(series, { period: rsiPeriod }, { signals: false }).value;
+    }
+
+    const raw = BatchSeries.series(length);
+    const kLine = BatchSeries.series(length);
+    const k = BatchSeries.series(length);
+    const d = BatchSeries.series(length);
+    const firstRaw = rsiPeriod + stochPeriod - 1;
+    const firstK = firstRaw + kSmooth - 1;
+    const firstD = firstK + dSmooth - 1;
+
+    for (let i = firstRaw; i < length; i++) {
+      const window = rsi.subarray(i + 1 - stochPeriod, i + 1);
+      const highestRSI = Math.max(...window);
+      const lowestRSI = Math.min(...window);
+      const range = highestRSI - lowestRSI;
+      raw[i] = range === 0 ? 50 : ((rsi[i] - lowestRSI) / range) * 100;
+      if (i < firstK) continue;
+
+      let sum = 0;
+      for (let j = i + 1 - kSmooth; j <= i; j++) sum += raw[j];
+      kLine[i] = sum / kSmooth;
+      if (i < firstD) continue;
+
+      // %K is only reported once %D can be taken from it
+      let dSum = 0;
+      for (let j = i + 1 - dSmooth; j <= i; j++) dSum += kLine[j];
+      k[i] = kLine[i];
+      d[i] = dSum / dSmooth;
+    }
+
+    const signals = BatchSeries.signals(view, length, i => {
+      if (i < firstD) return false;
+      view.currentK = k[i];
+      view.currentD = d[i];
+      view.prevK = BatchSeries.previous(k, firstD, i);
+      view.prevD = BatchSeries.previous(d, firstD, i);
+      view.stochRSIHistory = BatchSeries.window(k, firstD, i, maxHistory);
+      view.priceHistory = BatchSeries.window(close, firstD, i, maxHistory);
+      return true;
+    }, options.signals !== false);
+
+    return { value: { k, d, rsi }, signals };
+  }
 }
 
 module.exports = StochasticRSI;
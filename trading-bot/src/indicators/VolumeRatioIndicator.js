@@ -11,6 +11,9 @@
  * - volumeRatio = buyVolume / sellVolume
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
 class VolumeRatioIndicator {
   constructor(config = {}) {
     // Lookback period for volume calculation
@@ -358,6 +361,82 @@ class VolumeRatioIndicator {
     this.currentSellVolume = 0;
     this.currentRatio = 1.0;
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'VolumeRatioIndicator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'VolumeRatioIndicator');
+  }
+
+  /**
+   * Buy/sell volume, ratio and strength over a whole series, identical to
+   * calling update() bar by bar (input and output format: BatchSeries; the
+   * BUY/SELL/NEUTRAL label follows from ratio and the thresholds)
+   * @returns {Object} { value: { ratio, buyVolume, sellVolume, strength }, signals }
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new VolumeRatioIndicator(config);
+    const { lookback, maxHistory } = view;
+    const { open, close, volume, length } = series;
+    const ratio = new Float64Array(length);
+    const buyVolume = new Float64Array(length);
+    const sellVolume = new Float64Array(length);
+    const strength = new Float64Array(length);
+
+    for (let i = 0; i < length; i++) {
+      let buyVol = 0;
+      let sellVol = 0;
+      for (let j = Math.max(0, i + 1 - Math.min(lookback, maxHistory)); j <= i; j++) {
+        if (close[j] > open[j]) {
+          buyVol += volume[j];
+        } else if (close[j] < open[j]) {
+          sellVol += volume[j];
+        } else {
+          buyVol += volume[j] * 0.5;
+          sellVol += volume[j] * 0.5;
+        }
+      }
+      buyVolume[i] = buyVol;
+      sellVolume[i] = sellVol;
+      ratio[i] = buyVol / (sellVol + 1e-9);
+
+      view.currentRatio = ratio[i];
+      view.ratioHistory = BatchSeries.window(ratio, 0, i, maxHistory);
+      strength[i] = view.getSignalStrength();
+    }
+
+    view.candleHistory = [];
+    const signals = BatchSeries.signals(view, length, i => {
+      view.candleHistory.push({ open: open[i], close: close[i], volume: volume[i] });
+      if (view.candleHistory.length > maxHistory) view.candleHistory.shift();
+      if (view.candleHistory.length < lookback) return false;
+
+      view.currentRatio = ratio[i];
+      view.currentBuyVolume = buyVolume[i];
+      view.currentSellVolume = sellVolume[i];
+      view.ratioHistory = BatchSeries.window(ratio, 0, i, maxHistory);
+      return true;
+    }, options.signals !== false);
+
+    return { value: { ratio, buyVolume, sellVolume, strength }, signals };
+  }
 }
 
 module.exports = VolumeRatioIndicator;
@@ -3,6 +3,9 @@
  * Signals: Crossovers, Failure Swings, Divergence, Zone Analysis
  */
 
+const StateSnapshot = require('../utils/StateSnapshot');
+const BatchSeries = require('./BatchSeries');
+
 class WilliamsRIndicator {
   constructor(config = {}) {
     this.period = config.period || 14;
@@ -253,6 +256,60 @@ class WilliamsRIndicator {
     this.wrHistory = [];
     this.priceHistory = [];
   }
+
+  /**
+   * Result as if the forming candle closed now; the indicator's state is left
+   * untouched, so the bar is still counted once when update() closes it
+   */
+  peek(candle) {
+    return StateSnapshot.provisional(this, () => this.update(candle));
+  }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'WilliamsRIndicator');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'WilliamsRIndicator');
+  }
+
+  /**
+   * Williams %R over a whole series, identical to calling update() bar by bar
+   * (input and output format: BatchSeries)
+   * @returns {Object} { value: Float64Array, signals: { [type]: Uint8Array } }
+   */
+  static batch(input, config = {}, options = {}) {
+    const series = BatchSeries.from(input);
+    const view = new WilliamsRIndicator(config);
+    const { period, maxHistory } = view;
+    const { high, low, close, length } = series;
+    const value = BatchSeries.series(length);
+
+    for (let i = period - 1; i < length; i++) {
+      const highestHigh = Math.max(...high.subarray(i + 1 - period, i + 1));
+      const lowestLow = Math.min(...low.subarray(i + 1 - period, i + 1));
+      const range = highestHigh - lowestLow;
+      value[i] = range === 0 ? -50 : ((highestHigh - close[i]) / range) * -100;
+    }
+
+    const first = period - 1;
+    const signals = BatchSeries.signals(view, length, i => {
+      if (i < first) return false;
+      view.currentValue = value[i];
+      view.prevValue = BatchSeries.previous(value, first, i);
+      view.wrHistory = BatchSeries.window(value, first, i, maxHistory);
+      view.priceHistory = BatchSeries.window(close, first, i, maxHistory);
+      return true;
+    }, options.signals !== false);
+
+    return { value, signals };
+  }
 }
 
 module.exports = WilliamsRIndicator;
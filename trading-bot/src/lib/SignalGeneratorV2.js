@@ -24,6 +24,34 @@ try {
   signalWeights = null;
 }
 
+// Signal types that don't contain their signal-weights.js sub-signal key
+// Anything else matches when the type contains the key (longest key wins)
+const SUB_SIGNAL_ALIASES = {
+  golden_death_cross: ['golden_cross', 'death_cross'],
+  trend_direction: ['bullish_trend', 'bearish_trend'],
+  kd_crossover: ['crossover'],
+  breakout: ['breakout', 'breakdown'],
+  percentB: ['percentb'],
+  j_line: ['j_overbought', 'j_oversold'],
+  histogram: ['momentum_accelerating', 'momentum_weakening'],
+  basis: ['premium', 'discount'],
+  convergence: ['converging', 'diverging'],
+  extreme_rate: ['extreme_positive_funding', 'extreme_negative_funding', 'high_positive_funding', 'high_negative_funding'],
+  rate_change: ['funding_increasing', 'funding_decreasing'],
+  funding_timing: ['funding_imminent']
+};
+
+// Combination bonuses _calculateCombinationBonus() awards; multiTimeframeAlign has no
+// higher-timeframe input here (the screener applies its own MTF bonuses)
+const APPLIED_COMBINATION_BONUSES = ['emaCrossWithRSI', 'divergenceWithTrend', 'pullbackEntry', 'strongADXTrend'];
+
+// Instance fields derived from the weights (replaced together by applyWeights)
+const WEIGHT_FIELDS = [
+  'weights', 'indicatorWeights', 'microstructureWeights', 'strengthMultipliers',
+  'signalTypeMultipliers', 'indicatorScoreCap', 'microstructureScoreCap', 'totalScoreCap',
+  'entryRequirements', 'regimeStrategy', 'combinationBonuses', 'disabledSubSignals'
+];
+
 class SignalGeneratorV2 {
   constructor(config = {}) {
     this.config = config;
@@ -31,8 +59,10 @@ class SignalGeneratorV2 {
     // Cloud orchestrator for optional AI analysis (disabled by default)
     this.cloudOrchestrator = config.cloudOrchestrator || null;
 
-    // Use weights from signal-weights.js or defaults
-    const weights = signalWeights?.indicators || {};
+    // Use weights from signal-weights.js (or config.weights, same shape) or defaults
+    const source = config.weights || signalWeights;
+    const weights = source?.indicators || {};
+    this.weights = source;
 
     // Indicator weights - OPTIMIZED based on win rates
     this.indicatorWeights = {
@@ -42,7 +72,7 @@ class SignalGeneratorV2 {
       ao: { max: weights.ao?.maxWeight || 10, enabled: weights.ao?.enabled ?? true },
       emaTrend: { max: weights.emaTrend?.maxWeight || 18, enabled: weights.emaTrend?.enabled ?? true },
       stochRSI: { max: weights.stochRSI?.maxWeight || 18, enabled: weights.stochRSI?.enabled ?? true },
-      stochastic: { max: 10, enabled: true },  // Legacy compatibility
+      stochastic: { max: weights.stochastic?.maxWeight || 10, enabled: weights.stochastic?.enabled ?? true },  // Legacy compatibility
       bollinger: { max: weights.bollinger?.maxWeight || 12, enabled: weights.bollinger?.enabled ?? true },
       kdj: { max: weights.kdj?.maxWeight || 25, enabled: weights.kdj?.enabled ?? true },
       obv: { max: weights.obv?.maxWeight || 14, enabled: weights.obv?.enabled ?? true },
@@ -51,7 +81,7 @@ class SignalGeneratorV2 {
     };
 
     // Microstructure weights
-    const microWeights = signalWeights?.microstructure || {};
+    const microWeights = source?.microstructure || {};
     this.microstructureWeights = {
       buySellRatio: { max: microWeights.buySellRatio?.maxWeight || 25, enabled: microWeights.buySellRatio?.enabled ?? true },
       priceRatio: { max: microWeights.priceRatio?.maxWeight || 20, enabled: microWeights.priceRatio?.enabled ?? true },
@@ -59,7 +89,7 @@ class SignalGeneratorV2 {
     };
 
     // Strength multipliers - OPTIMIZED: Higher impact for strong signals
-    this.strengthMultipliers = signalWeights?.strengthMultipliers || {
+    this.strengthMultipliers = source?.strengthMultipliers || {
       'very_strong': 1.4,   // Divergence signals
       'strong': 1.0,
       'moderate': 0.6,
@@ -78,13 +108,13 @@ class SignalGeneratorV2 {
     };
 
     // Score caps - OPTIMIZED: Higher for conviction
-    const caps = signalWeights?.caps || {};
+    const caps = source?.caps || {};
     this.indicatorScoreCap = caps.indicatorScore || 120;
     this.microstructureScoreCap = caps.microstructureScore || 35;
     this.totalScoreCap = caps.totalScore || 150;
 
     // Entry requirements - UPDATED 2026-01-15
-    this.entryRequirements = signalWeights?.entryRequirements || {
+    this.entryRequirements = source?.entryRequirements || {
       minScore: 80,
       minConfidence: 70,
       minIndicatorsAgreeing: 4,
@@ -93,7 +123,7 @@ class SignalGeneratorV2 {
     };
 
     // Regime strategy - NEW for 78%+ win rate
-    this.regimeStrategy = signalWeights?.regimeStrategy || {
+    this.regimeStrategy = source?.regimeStrategy || {
       adxTrendThreshold: 25,
       adxStrongTrendThreshold: 40,
       trendMode: {
@@ -115,7 +145,7 @@ class SignalGeneratorV2 {
     };
 
     // Combination bonuses
-    this.combinationBonuses = signalWeights?.combinationBonuses || {
+    this.combinationBonuses = source?.combinationBonuses || {
       emaCrossWithRSI: 15,
       divergenceWithTrend: 20,
       pullbackEntry: 12,
@@ -123,19 +153,45 @@ class SignalGeneratorV2 {
       strongADXTrend: 10
     };
 
+    // Sub-signals switched off with `enabled: false` (used by ablation studies)
+    this.disabledSubSignals = {};
+    for (const [name, entry] of Object.entries({ ...weights, ...microWeights })) {
+      const disabled = Object.entries(entry?.signals || {})
+        .filter(([, signalConfig]) => signalConfig.enabled === false)
+        .map(([key]) => key);
+      if (disabled.length > 0) {
+        this.disabledSubSignals[name] = { keys: Object.keys(entry.signals), disabled: new Set(disabled) };
+      }
+    }
+
     // Mode
     this.enhancedMode = config.enhancedMode !== false;
     this.includeMicrostructure = config.includeMicrostructure !== false;
   }
 
+  /**
+   * Swap in new weights (signal-weights.js shape) without rebuilding the generator
+   *
+   * Everything derived from the weights is built on a staging instance first,
+   * so a bad config throws before any field of this one changes.
+   */
+  applyWeights(weights) {
+    const staged = new SignalGeneratorV2({ ...this.config, weights });
+    for (const field of WEIGHT_FIELDS) {
+      this[field] = staged[field];
+    }
+  }
+
   /**
    * Generate comprehensive signal
    *
    * @param {Object} indicators - Indicator results { rsi, macd, ... }
    * @param {Object} microstructure - Microstructure results { buySellRatio, priceRatio, fundingRate }
+   * @param {Object} options - { intrabar: true, barProgress } when the indicators come from
+   *   peek() on a forming candle; the result is marked provisional (intrabar: true)
    * @returns {Object} Signal result
    */
-  generate(indicators = {}, microstructure = {}) {
+  generate(indicators = {}, microstructure = {}, options = {}) {
     const breakdown = {
       indicators: {},
       microstructure: {}
@@ -235,8 +291,10 @@ class SignalGeneratorV2 {
       indicatorsAgreeing: Math.max(indicatorsAgreeing.bullish, indicatorsAgreeing.bearish),
       meetsEntryRequirements: meetsRequirements,
       regime: regimeInfo,
+      intrabar: !!options.intrabar,
       timestamp: Date.now()
     };
+    if (result.intrabar) result.barProgress = options.barProgress ?? null;
 
     // NEW: Optional Claude AI analysis (disabled by default, non-blocking)
     // If cloud orchestrator is available, trigger async analysis but don't wait
@@ -383,6 +441,8 @@ class SignalGeneratorV2 {
     const processedSignals = [];
 
     for (const signal of data.signals) {
+      if (this._isSubSignalDisabled(name, signal.type)) continue;
+
       // Get strength multiplier
       const strengthMult = this.strengthMultipliers[signal.strength] || 0.5;
 
@@ -486,6 +546,7 @@ class SignalGeneratorV2 {
     for (const signal of data.signals) {
       // Skip non-directional signals
       if (signal.direction === 'neutral') continue;
+      if (this._isSubSignalDisabled(name, signal.type)) continue;
 
       // Check for avoid entry warnings
       if (signal.metadata?.warning === 'AVOID_ENTRY') {
@@ -525,6 +586,27 @@ class SignalGeneratorV2 {
     };
   }
 
+  /**
+   * Map a signal type onto its signal-weights.js sub-signal and check if it is disabled
+   */
+  _isSubSignalDisabled(name, type) {
+    const entry = this.disabledSubSignals[name];
+    if (!entry || !type) return false;
+
+    let matchedKey = null;
+    let matchedLength = 0;
+    for (const key of entry.keys) {
+      for (const pattern of SUB_SIGNAL_ALIASES[key] || [key]) {
+        if (type.includes(pattern) && pattern.length > matchedLength) {
+          matchedKey = key;
+          matchedLength = pattern.length;
+        }
+      }
+    }
+
+    return matchedKey !== null && entry.disabled.has(matchedKey);
+  }
+
   _calculateConfidence(breakdown, signals, indicatorsAgreeing, divergenceCount) {
     // Count agreeing vs disagreeing signals
     let bullishStrength = 0;
@@ -625,9 +707,12 @@ class SignalGeneratorV2 {
       indicatorsAgreeing: result.indicatorsAgreeing,
       hasMicrostructure: result.hasMicrostructure,
       meetsRequirements: result.meetsEntryRequirements,
+      intrabar: result.intrabar,
       entryWarning: this.hasEntryWarning(result)
     };
   }
 }
 
+SignalGeneratorV2.APPLIED_COMBINATION_BONUSES = APPLIED_COMBINATION_BONUSES;
+
 module.exports = SignalGeneratorV2;
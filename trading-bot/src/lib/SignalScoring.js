@@ -0,0 +1,355 @@
+/**
+ * Signal Scoring
+ *
+ * One scoring engine for every signal consumer. The execution engines,
+ * backtests, dashboard server, screeners and agents all score through
+ * SignalGeneratorV2 configured from signal-weights.js, optionally reshaped by
+ * a profile from switches/signalProfiles (indicator and microstructure max
+ * weights, entry thresholds).
+ *
+ * Callers that compute their own indicators hand them to normalizeIndicators()
+ * first: it maps their field names onto the engine's, so the same candle gives
+ * the same score whichever entry point it goes through. Indicators carrying
+ * { value, signals } are scored from their signals; bare values are scored by
+ * the engine's static levels (RSI, Williams %R, MACD histogram, AO, KDJ J,
+ * Stochastic RSI K). Snapshot Stochastic, Bollinger, EMA and OBV values get
+ * the level signals their src/indicators classes would emit (zones, band
+ * touches, %B extremes, trend alignment, OBV trend); crossovers, divergences,
+ * squeezes and breakouts need bar history and only come from the classes.
+ * CMF, volume and the AO momentum label are not engine indicators and are
+ * dropped.
+ *
+ * Usage:
+ *   const engine = getScoringEngine({ profile: 'conservative' });
+ *   const result = engine.generate(normalizeIndicators({ rsi: 28, williamsR: -88 }));
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SignalGeneratorV2 = require('./SignalGeneratorV2');
+const signalWeights = require('../../signal-weights');
+
+const PROFILE_DIR = path.join(__dirname, '../../switches/signalProfiles');
+
+// Names other callers use for the engine's indicators
+const INDICATOR_ALIASES = {
+  ema: 'emaTrend',
+  stochRsi: 'stochRSI'
+};
+
+const INDICATOR_NAMES = new Set([
+  'rsi', 'macd', 'williamsR', 'ao', 'emaTrend', 'stochRSI', 'stochastic',
+  'bollinger', 'kdj', 'obv', 'dom', 'adx'
+]);
+
+// Engine classifications collapsed onto the BUY/SELL tiers older callers report
+const SIGNAL_TIERS = {
+  EXTREME_BUY: { signal: 'STRONG_BUY', strength: 'strong' },
+  STRONG_BUY: { signal: 'STRONG_BUY', strength: 'strong' },
+  BUY: { signal: 'BUY', strength: 'moderate' },
+  BUY_WEAK: { signal: 'BUY', strength: 'weak' },
+  EXTREME_SELL: { signal: 'STRONG_SELL', strength: 'strong' },
+  STRONG_SELL: { signal: 'STRONG_SELL', strength: 'strong' },
+  SELL: { signal: 'SELL', strength: 'moderate' },
+  SELL_WEAK: { signal: 'SELL', strength: 'weak' }
+};
+
+// StochasticIndicator zone levels
+const STOCH_OVERSOLD = 20;
+const STOCH_OVERBOUGHT = 80;
+
+const engines = new Map();
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Names of the profiles in switches/signalProfiles
+ */
+function listProfiles() {
+  return fs.readdirSync(PROFILE_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.basename(file, '.js'))
+    .sort();
+}
+
+/**
+ * Profile by name (switches/signalProfiles/<name>.js) or as given; null means none
+ */
+function loadProfile(profile) {
+  if (!profile) return null;
+  if (typeof profile === 'object') return profile;
+  if (!listProfiles().includes(profile)) {
+    throw new Error(`Unknown signal profile: ${profile} (available: ${listProfiles().join(', ')})`);
+  }
+  return require(path.join(PROFILE_DIR, profile));
+}
+
+/**
+ * signal-weights.js with a profile's max weights and entry thresholds applied
+ *
+ * Profile weights are either a number or { max, enabled }; indicators missing
+ * from signal-weights.js (e.g. the legacy stochastic) are added.
+ *
+ * @param {string|Object} profile - Profile name or object (null = signal-weights.js as is)
+ * @param {Object} base - Weights in signal-weights.js shape
+ * @returns {Object} Weights for SignalGeneratorV2
+ */
+function resolveWeights(profile = null, base = signalWeights) {
+  const weights = clone(base);
+  const resolved = loadProfile(profile);
+  if (!resolved) return weights;
+
+  const apply = (section, overrides) => {
+    for (const [name, override] of Object.entries(overrides || {})) {
+      const max = typeof override === 'number' ? override : override?.max;
+      const entry = weights[section][name] || (weights[section][name] = { enabled: true });
+      if (max !== undefined) entry.maxWeight = max;
+      if (override && override.enabled !== undefined) entry.enabled = override.enabled;
+    }
+  };
+  apply('indicators', resolved.weights);
+  apply('microstructure', resolved.microstructure);
+
+  const thresholds = resolved.thresholds || {};
+  const minScore = thresholds.minScoreForEntry !== undefined ? thresholds.minScoreForEntry : thresholds.buy;
+  weights.entryRequirements = {
+    ...weights.entryRequirements,
+    ...(minScore !== undefined && { minScore }),
+    ...(thresholds.minConfidence !== undefined && { minConfidence: thresholds.minConfidence }),
+    ...(thresholds.minIndicatorsAgreeing !== undefined && { minIndicatorsAgreeing: thresholds.minIndicatorsAgreeing })
+  };
+  weights.profile = resolved.name || null;
+
+  return weights;
+}
+
+/**
+ * Shared scoring engine for a profile (cached for named profiles)
+ * @param {Object} options - { profile, includeMicrostructure }
+ * @returns {SignalGeneratorV2}
+ */
+function getScoringEngine(options = {}) {
+  const profile = options.profile || null;
+  const includeMicrostructure = options.includeMicrostructure !== false;
+  const create = () => new SignalGeneratorV2({
+    weights: resolveWeights(profile),
+    enhancedMode: true,
+    includeMicrostructure
+  });
+
+  if (profile && typeof profile === 'object') return create();
+
+  const key = `${profile || 'default'}:${includeMicrostructure}`;
+  if (!engines.has(key)) engines.set(key, create());
+  return engines.get(key);
+}
+
+/**
+ * Stochastic zone signal (StochasticIndicator.getZone)
+ */
+function stochasticSignals({ k, d }) {
+  if (k < STOCH_OVERSOLD) {
+    return [{
+      type: 'oversold_zone',
+      direction: 'bullish',
+      strength: k < 10 ? 'extreme' : 'moderate',
+      message: `Stochastic in oversold zone (%K: ${k.toFixed(1)})`,
+      metadata: { k, d, threshold: STOCH_OVERSOLD }
+    }];
+  }
+  if (k > STOCH_OVERBOUGHT) {
+    return [{
+      type: 'overbought_zone',
+      direction: 'bearish',
+      strength: k > 90 ? 'extreme' : 'moderate',
+      message: `Stochastic in overbought zone (%K: ${k.toFixed(1)})`,
+      metadata: { k, d, threshold: STOCH_OVERBOUGHT }
+    }];
+  }
+  return [];
+}
+
+/**
+ * Band touch and %B signals (BollingerBands.getBandTouch / getPercentBSignal)
+ *
+ * %B is taken from the price and bands: snapshots disagree on its scale
+ * (the screener reports 0-100, the indicator 0-1).
+ */
+function bollingerSignals({ upper, lower }, price) {
+  if (price === undefined || !(upper > lower)) return [];
+
+  const percentB = (price - lower) / (upper - lower);
+  const signals = [];
+
+  if (price <= lower * 1.001) {
+    signals.push({
+      type: 'lower_band_touch',
+      direction: 'bullish',
+      strength: 'moderate',
+      message: `Price touched lower Bollinger Band (${lower.toFixed(2)})`,
+      metadata: { price, lower, percentB }
+    });
+  } else if (price >= upper * 0.999) {
+    signals.push({
+      type: 'upper_band_touch',
+      direction: 'bearish',
+      strength: 'moderate',
+      message: `Price touched upper Bollinger Band (${upper.toFixed(2)})`,
+      metadata: { price, upper, percentB }
+    });
+  }
+
+  if (percentB < 0) {
+    signals.push({
+      type: 'percentb_oversold',
+      direction: 'bullish',
+      strength: percentB < -0.2 ? 'strong' : 'moderate',
+      message: `%B extreme oversold (${(percentB * 100).toFixed(1)}%)`,
+      metadata: { percentB }
+    });
+  } else if (percentB > 1) {
+    signals.push({
+      type: 'percentb_overbought',
+      direction: 'bearish',
+      strength: percentB > 1.2 ? 'strong' : 'moderate',
+      message: `%B extreme overbought (${(percentB * 100).toFixed(1)}%)`,
+      metadata: { percentB }
+    });
+  }
+
+  return signals;
+}
+
+/**
+ * Trend alignment signal (EMATrend.getTrendDirection, with the slow EMA as
+ * the trend line); a medium EMA, when given, must sit between the other two
+ */
+function emaTrendSignals({ short, medium, long }, price) {
+  if (price === undefined || !(long > 0)) return [];
+
+  const distance = ((price - long) / long) * 100;
+  const strength = Math.abs(distance) > 5 ? 'strong' : 'moderate';
+  const stacked = (a, b, c) => medium === undefined ? a > c : a > b && b > c;
+
+  if (price > long && stacked(short, medium, long)) {
+    return [{
+      type: 'bullish_trend',
+      direction: 'bullish',
+      strength,
+      message: `Bullish trend (${distance.toFixed(1)}% above slow EMA)`,
+      metadata: { distance, currentPrice: price, trendEMA: long }
+    }];
+  }
+  if (price < long && stacked(long, medium, short)) {
+    return [{
+      type: 'bearish_trend',
+      direction: 'bearish',
+      strength,
+      message: `Bearish trend (${Math.abs(distance).toFixed(1)}% below slow EMA)`,
+      metadata: { distance, currentPrice: price, trendEMA: long }
+    }];
+  }
+  return [];
+}
+
+/**
+ * OBV slope signal from a snapshot's trend against its SMA
+ */
+function obvSignals({ value, sma, trend }) {
+  if (trend !== 'bullish' && trend !== 'bearish') return [];
+  return [{
+    type: `${trend}_obv_slope`,
+    direction: trend,
+    strength: 'moderate',
+    message: `OBV ${trend === 'bullish' ? 'above' : 'below'} its average`,
+    metadata: { obv: value, sma }
+  }];
+}
+
+const SNAPSHOT_SIGNALS = {
+  stochastic: (data) => typeof data.k === 'number' ? stochasticSignals(data) : null,
+  bollinger: (data, price) => data.upper !== undefined ? bollingerSignals(data, price) : null,
+  obv: (data) => data.trend !== undefined ? obvSignals(data) : null
+};
+
+/**
+ * Map any caller's indicator set onto the engine's names
+ *
+ * Accepts engine-shaped results, SignalAgent's (ema, stochRsi) and the flat
+ * values of the dashboard (macdHistogram, stochK/stochD, ema50/ema200,
+ * bollingerUpper/Lower) and screeners (emaFast/emaMid/emaSlow). Snapshot values
+ * without a signals array become { value, signals } with their level signals;
+ * the price comes from price or currentPrice. Unknown fields are dropped.
+ */
+function normalizeIndicators(input = {}) {
+  const indicators = {};
+  const price = input.price !== undefined ? input.price : input.currentPrice;
+
+  for (const [key, data] of Object.entries(input)) {
+    const name = INDICATOR_ALIASES[key] || key;
+    if (INDICATOR_NAMES.has(name) && data !== undefined && data !== null) {
+      indicators[name] = data;
+    }
+  }
+
+  if (input.macdHistogram !== undefined) {
+    indicators.macd = { macd: input.macd, signal: input.macdSignal, histogram: input.macdHistogram };
+  }
+
+  if (input.stochK !== undefined) {
+    indicators.stochastic = { k: input.stochK, d: input.stochD };
+  }
+
+  if (input.bollingerUpper !== undefined) {
+    indicators.bollinger = { upper: input.bollingerUpper, middle: input.bollingerMiddle, lower: input.bollingerLower };
+  }
+
+  for (const [name, build] of Object.entries(SNAPSHOT_SIGNALS)) {
+    const data = indicators[name];
+    if (!data || typeof data !== 'object' || Array.isArray(data.signals)) continue;
+    const signals = build(data, price);
+    if (signals) indicators[name] = { value: data.value !== undefined ? data.value : data, signals };
+  }
+
+  const fast = input.emaFast !== undefined ? input.emaFast : input.ema50;
+  const slow = input.emaSlow !== undefined ? input.emaSlow : input.ema200;
+  if (!indicators.emaTrend && fast !== undefined && slow !== undefined) {
+    const ema = { short: fast, medium: input.emaMid, long: slow };
+    indicators.emaTrend = {
+      value: { ...ema, trend_direction: fast > slow ? 'bullish' : fast < slow ? 'bearish' : 'neutral' },
+      signals: emaTrendSignals(ema, price)
+    };
+  }
+
+  return indicators;
+}
+
+/**
+ * BUY/SELL tier of an engine classification ({ signal: 'NEUTRAL', strength: 'none' } otherwise)
+ */
+function signalTier(type) {
+  return SIGNAL_TIERS[type] || { signal: 'NEUTRAL', strength: 'none' };
+}
+
+/**
+ * Normalize and score in one step
+ * @returns {Object} SignalGeneratorV2 result
+ */
+function scoreIndicators(input, options = {}) {
+  return getScoringEngine(options).generate(normalizeIndicators(input), options.microstructure || {});
+}
+
+module.exports = {
+  INDICATOR_ALIASES,
+  SIGNAL_TIERS,
+  listProfiles,
+  loadProfile,
+  resolveWeights,
+  getScoringEngine,
+  normalizeIndicators,
+  signalTier,
+  scoreIndicators
+};
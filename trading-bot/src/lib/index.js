@@ -5,9 +5,11 @@
 const SignalGeneratorV2 = require('./SignalGeneratorV2');
 const IndicatorEnhancer = require('./IndicatorEnhancer');
 const CoinRankerV2 = require('./CoinRankerV2');
+const SignalScoring = require('./SignalScoring');
 
 module.exports = {
   SignalGeneratorV2,
   IndicatorEnhancer,
-  CoinRankerV2
+  CoinRankerV2,
+  SignalScoring
 };
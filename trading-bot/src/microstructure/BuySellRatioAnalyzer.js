@@ -14,6 +14,7 @@
 
 const EventEmitter = require('events');
 const Decimal = require('decimal.js');
+const StateSnapshot = require('../utils/StateSnapshot');
 
 class BuySellRatioAnalyzer extends EventEmitter {
   constructor(config = {}) {
@@ -32,6 +33,9 @@ class BuySellRatioAnalyzer extends EventEmitter {
     // Require more trades to confirm signal
     this.minTradesForSignal = config.minTradesForSignal || 100; // (was 50)
     this.maxWeight = config.maxWeight || 15;
+
+    // Time source - replay injects event time so windows age like they did live
+    this.clock = config.clock || (() => Date.now());
     
     // Trade storage
     this.trades = [];
@@ -85,7 +89,7 @@ class BuySellRatioAnalyzer extends EventEmitter {
   processTrade(trade) {
     if (!this.isLiveMode) return this.getResult();
     
-    const now = Date.now();
+    const now = this.clock();
     const tradeData = {
       ts: trade.ts || now,
       side: trade.side,
@@ -143,7 +147,7 @@ class BuySellRatioAnalyzer extends EventEmitter {
     // Store in history
     if (this.currentRatio !== null) {
       this.ratioHistory.push({
-        ts: Date.now(),
+        ts: this.clock(),
         ratio: this.currentRatio,
         shortRatio: this.shortRatio,
         delta: this.ratioDelta
@@ -433,6 +437,20 @@ class BuySellRatioAnalyzer extends EventEmitter {
     this.totalTrades = 0;
     this.ratioHistory = [];
   }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'BuySellRatioAnalyzer');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'BuySellRatioAnalyzer');
+  }
 }
 
 module.exports = BuySellRatioAnalyzer;
@@ -11,6 +11,7 @@
  */
 
 const Decimal = require('decimal.js');
+const StateSnapshot = require('../utils/StateSnapshot');
 
 class FundingRateAnalyzer {
   constructor(config = {}) {
@@ -21,6 +22,9 @@ class FundingRateAnalyzer {
     this.changeThreshold = config.changeThreshold || 0.005;    // 0.5% (was 0.3%) - bigger change required
     this.fundingInterval = config.fundingInterval || 8 * 60 * 60 * 1000;
     this.maxWeight = config.maxWeight || 15;
+
+    // Time source - replay injects event time for funding countdowns
+    this.clock = config.clock || (() => Date.now());
     
     this.currentFundingRate = null;
     this.predictedFundingRate = null;
@@ -62,7 +66,7 @@ class FundingRateAnalyzer {
     
     if (this.currentFundingRate !== null) {
       this.fundingHistory.push({
-        ts: Date.now(),
+        ts: this.clock(),
         rate: this.currentFundingRate,
         predicted: this.predictedFundingRate,
         change: prevRate !== null ? this.currentFundingRate - prevRate : 0
@@ -78,7 +82,7 @@ class FundingRateAnalyzer {
 
   getTimeUntilFunding() {
     if (!this.nextFundingTime) return null;
-    return Math.max(0, this.nextFundingTime - Date.now());
+    return Math.max(0, this.nextFundingTime - this.clock());
   }
 
   isFundingImminent() {
@@ -238,6 +242,20 @@ class FundingRateAnalyzer {
     this.nextFundingTime = null;
     this.fundingHistory = [];
   }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'FundingRateAnalyzer');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'FundingRateAnalyzer');
+  }
 }
 
 module.exports = FundingRateAnalyzer;
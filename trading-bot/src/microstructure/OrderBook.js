@@ -0,0 +1,140 @@
+/**
+ * Order Book
+ *
+ * Sequence-checked L2 book built from KuCoin Futures level2 data:
+ * - Full snapshot from /api/v1/level2/snapshot
+ * - Incremental changes from /contractMarket/level2 ("price,side,size", size 0 = remove)
+ *
+ * Shared by the live recorder (to write periodic snapshots) and the replay
+ * source (to rebuild the book DOMAnalyzer sees).
+ */
+
+const StateSnapshot = require('../utils/StateSnapshot');
+
+class OrderBook {
+  constructor(config = {}) {
+    this.symbol = config.symbol || null;
+    this.reset();
+  }
+
+  reset() {
+    this.bids = new Map();
+    this.asks = new Map();
+    this.sequence = null;
+    this.ts = null;
+    this.synced = false;
+  }
+
+  /**
+   * Replace the book with a snapshot
+   * @param {Object} snapshot - { sequence, bids: [[price, size]], asks: [[price, size]], ts }
+   */
+  applySnapshot(snapshot) {
+    this.bids = new Map();
+    this.asks = new Map();
+
+    for (const [price, size] of snapshot.bids || []) {
+      if (parseFloat(size) > 0) this.bids.set(parseFloat(price), parseFloat(size));
+    }
+    for (const [price, size] of snapshot.asks || []) {
+      if (parseFloat(size) > 0) this.asks.set(parseFloat(price), parseFloat(size));
+    }
+
+    this.sequence = snapshot.sequence !== undefined ? Number(snapshot.sequence) : null;
+    this.ts = snapshot.ts || null;
+    this.synced = true;
+  }
+
+  /**
+   * Apply one incremental change
+   *
+   * Changes at or below the current sequence are stale and ignored. A gap
+   * marks the book unsynced until the next snapshot.
+   *
+   * @param {Object} delta - { sequence, price, side: 'buy'|'sell', size, ts }
+   * @returns {boolean} True if the change was applied
+   */
+  applyDelta(delta) {
+    if (!this.synced) return false;
+
+    const sequence = delta.sequence !== undefined ? Number(delta.sequence) : null;
+    if (sequence !== null && this.sequence !== null) {
+      if (sequence <= this.sequence) return false;
+      if (sequence !== this.sequence + 1) {
+        this.synced = false;
+        return false;
+      }
+    }
+
+    const side = delta.side === 'buy' ? this.bids : this.asks;
+    const price = parseFloat(delta.price);
+    const size = parseFloat(delta.size);
+
+    if (size > 0) {
+      side.set(price, size);
+    } else {
+      side.delete(price);
+    }
+
+    if (sequence !== null) this.sequence = sequence;
+    if (delta.ts) this.ts = delta.ts;
+    return true;
+  }
+
+  /**
+   * Top-of-book levels in DOMAnalyzer format
+   * @param {number} levels - Levels per side (0 = all)
+   * @returns {Object} { bids: [[price, size]] best first, asks: [[price, size]] best first }
+   */
+  getDepth(levels = 0) {
+    const bids = Array.from(this.bids.entries()).sort((a, b) => b[0] - a[0]);
+    const asks = Array.from(this.asks.entries()).sort((a, b) => a[0] - b[0]);
+
+    return {
+      bids: levels > 0 ? bids.slice(0, levels) : bids,
+      asks: levels > 0 ? asks.slice(0, levels) : asks
+    };
+  }
+
+  getBestBid() {
+    let best = null;
+    for (const price of this.bids.keys()) {
+      if (best === null || price > best) best = price;
+    }
+    return best;
+  }
+
+  getBestAsk() {
+    let best = null;
+    for (const price of this.asks.keys()) {
+      if (best === null || price < best) best = price;
+    }
+    return best;
+  }
+
+  /**
+   * Snapshot of the book and its sequence (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'OrderBook');
+  }
+
+  /**
+   * Load a snapshot taken by serialize()
+   * Deltas after the saved sequence apply on top; a sequence gap still
+   * unsyncs the book until the next exchange snapshot.
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'OrderBook');
+  }
+
+  /**
+   * Parse a KuCoin level2 change string "price,side,size"
+   */
+  static parseChange(change) {
+    const [price, side, size] = String(change).split(',');
+    return { price: parseFloat(price), side, size: parseFloat(size) };
+  }
+}
+
+module.exports = OrderBook;
@@ -12,6 +12,7 @@
  */
 
 const Decimal = require('decimal.js');
+const StateSnapshot = require('../utils/StateSnapshot');
 
 class PriceRatioAnalyzer {
   constructor(config = {}) {
@@ -23,6 +24,9 @@ class PriceRatioAnalyzer {
     this.convergenceThreshold = config.convergenceThreshold || 0.05;        // (was 0.02) - stronger convergence
     this.divergenceThreshold = config.divergenceThreshold || 0.15;          // (was 0.08) - stronger divergence
     this.maxWeight = config.maxWeight || 15;
+
+    // Time source - replay injects event time into spread/basis history
+    this.clock = config.clock || (() => Date.now());
     
     this.bidPrice = null;
     this.askPrice = null;
@@ -75,7 +79,7 @@ class PriceRatioAnalyzer {
       this.spread = this.askPrice.minus(this.bidPrice).div(mid).mul(100).toNumber();
       this.spreadBps = this.spread * 100;
       
-      this.spreadHistory.push({ ts: Date.now(), spread: this.spread });
+      this.spreadHistory.push({ ts: this.clock(), spread: this.spread });
       if (this.spreadHistory.length > this.maxHistory) {
         this.spreadHistory.shift();
       }
@@ -85,7 +89,7 @@ class PriceRatioAnalyzer {
       this.basis = this.markPrice.minus(this.indexPrice).div(this.indexPrice).mul(100).toNumber();
       this.basisBps = this.basis * 100;
       
-      this.basisHistory.push({ ts: Date.now(), basis: this.basis });
+      this.basisHistory.push({ ts: this.clock(), basis: this.basis });
       if (this.basisHistory.length > this.maxHistory) {
         this.basisHistory.shift();
       }
@@ -269,6 +273,20 @@ class PriceRatioAnalyzer {
     this.basisHistory = [];
     this.spreadHistory = [];
   }
+
+  /**
+   * Snapshot of the running state (see utils/StateSnapshot)
+   */
+  serialize() {
+    return StateSnapshot.capture(this, 'PriceRatioAnalyzer');
+  }
+
+  /**
+   * Load a snapshot taken by serialize(); later updates continue from it
+   */
+  restore(snapshot) {
+    return StateSnapshot.apply(this, snapshot, 'PriceRatioAnalyzer');
+  }
 }
 
 module.exports = PriceRatioAnalyzer;
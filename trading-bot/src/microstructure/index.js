@@ -1,14 +1,16 @@
 /**
  * Unified Microstructure Analyzer Exports
- * All 3 microstructure analyzers in one module
+ * All 3 microstructure analyzers plus the shared L2 order book
  */
 
 const BuySellRatioAnalyzer = require('./BuySellRatioAnalyzer');
 const PriceRatioAnalyzer = require('./PriceRatioAnalyzer');
 const FundingRateAnalyzer = require('./FundingRateAnalyzer');
+const OrderBook = require('./OrderBook');
 
 module.exports = {
   BuySellRatioAnalyzer,
   PriceRatioAnalyzer,
-  FundingRateAnalyzer
+  FundingRateAnalyzer,
+  OrderBook
 };
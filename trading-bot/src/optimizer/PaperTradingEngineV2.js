@@ -5,11 +5,14 @@
  * - Microstructure signal integration
  * - Entry filtering based on spread/funding
  * - Position sizing based on market conditions
+ * - Funding settlements every 8h and forced liquidation of leveraged positions
  */
 
 const EventEmitter = require('events');
 const Decimal = require('decimal.js');
 const SignalGeneratorV2 = require('../lib/SignalGeneratorV2');
+const PositionCalculator = require('../utils/PositionCalculator');
+const FundingSchedule = require('../utils/FundingSchedule');
 
 class PaperTradingEngineV2 extends EventEmitter {
   constructor(config = {}) {
@@ -21,6 +24,20 @@ class PaperTradingEngineV2 extends EventEmitter {
     this.initialBalance = config.initialBalance || 10000;
     this.maxConcurrentStrategies = config.maxConcurrent || 10;
     this.evaluationPeriod = config.evaluationPeriod || 7 * 24 * 60 * 60 * 1000;
+
+    // Leverage scales the risked margin into position value (1 = unlevered)
+    this.leverage = config.leverage || 1;
+    this.positionCalc = new PositionCalculator({
+      leverage: this.leverage,
+      maintenanceMargin: config.maintenanceMargin
+    });
+
+    // Funding per symbol (series or flat rate); symbols without one settle at the
+    // live rate from the funding-rate analyzer
+    this.fundingSchedules = {};
+    for (const [symbol, rates] of Object.entries(config.fundingRates || {})) {
+      this.fundingSchedules[symbol] = FundingSchedule.from(rates);
+    }
     
     this.microstructureFilters = {
       maxSpread: config.maxSpread || 0.03,
@@ -46,6 +63,9 @@ class PaperTradingEngineV2 extends EventEmitter {
         positions: [],
         trades: [],
         metrics: {},
+        fundingPnL: new Decimal(0),
+        liquidations: 0,
+        fundingCursor: {},
         microstructureStats: {
           filteredEntries: 0,
           microstructureBoosts: 0,
@@ -66,9 +86,15 @@ class PaperTradingEngineV2 extends EventEmitter {
     for (const [id, { strategy, state }] of this.strategies) {
       try {
         const signal = this.signalGenerator.generate(indicators, microstructure);
+
+        this._settleFunding(state, symbol, candle, microstructure);
         
-        for (const position of state.positions) {
+        for (const position of [...state.positions]) {
           if (position.symbol === symbol) {
+            if (this._isLiquidated(position, candle)) {
+              this._closePosition(id, position, position.liquidationPrice, 'Liquidation');
+              continue;
+            }
             const exitResult = await this._checkExit(strategy, position, candle, signal, microstructure);
             if (exitResult.shouldExit) {
               this._closePosition(id, position, candle.close, exitResult.reason);
@@ -81,7 +107,7 @@ class PaperTradingEngineV2 extends EventEmitter {
         if (entryAllowed && !this._hasPosition(state, symbol)) {
           if (signal.type !== 'NEUTRAL' && !this.signalGenerator.hasEntryWarning(signal)) {
             const sizeMod = this._calculateSizeModifier(signal, microstructure);
-            this._openPosition(id, symbol, candle.close, signal, sizeMod);
+            this._openPosition(id, symbol, candle.close, signal, sizeMod, this._marketTime(candle));
           }
         }
         
@@ -108,6 +134,45 @@ class PaperTradingEngineV2 extends EventEmitter {
     return results;
   }
 
+  _marketTime(candle) {
+    return candle.ts ?? candle.timestamp ?? Date.now();
+  }
+
+  /**
+   * Settle funding due since the symbol's previous update on the strategy's open positions
+   */
+  _settleFunding(state, symbol, candle, microstructure) {
+    const now = this._marketTime(candle);
+    const from = state.fundingCursor[symbol];
+    state.fundingCursor[symbol] = now;
+    if (from === undefined) return;
+
+    let schedule = this.fundingSchedules[symbol];
+    if (!schedule) {
+      // Analyzer reports the rate in percent
+      const liveRate = microstructure.fundingRate?.value?.currentRate;
+      if (liveRate === null || liveRate === undefined) return;
+      schedule = new FundingSchedule(liveRate / 100);
+    }
+
+    for (const { ts, rate } of schedule.between(from, now)) {
+      for (const position of state.positions) {
+        if (position.symbol !== symbol || position.fundingFrom >= ts) continue;
+
+        const payment = FundingSchedule.payment(position.side, new Decimal(position.size).mul(candle.close), rate);
+        state.balance = state.balance.plus(payment);
+        state.fundingPnL = state.fundingPnL.plus(payment);
+        position.fundingPnL = (position.fundingPnL || 0) + payment.toNumber();
+      }
+    }
+  }
+
+  _isLiquidated(position, candle) {
+    const low = candle.low ?? candle.close;
+    const high = candle.high ?? candle.close;
+    return position.side === 'long' ? low <= position.liquidationPrice : high >= position.liquidationPrice;
+  }
+
   _checkMicrostructureFilters(microstructure, state) {
     if (microstructure.priceRatio?.value?.spread > this.microstructureFilters.maxSpread) {
       state.microstructureStats.filteredEntries++;
@@ -174,18 +239,29 @@ class PaperTradingEngineV2 extends EventEmitter {
     return { shouldExit: false };
   }
 
-  _openPosition(strategyId, symbol, price, signal, sizeModifier = 1.0) {
+  _openPosition(strategyId, symbol, price, signal, sizeModifier = 1.0, marketTime = Date.now()) {
     const { state } = this.strategies.get(strategyId);
     
     const riskPercent = 2 * sizeModifier;
-    const positionSize = state.balance.mul(riskPercent / 100).div(price);
+    const margin = state.balance.mul(riskPercent / 100);
+    const positionSize = margin.mul(this.leverage).div(price);
+    const side = signal.type.includes('BUY') ? 'long' : 'short';
     
     const position = {
       id: `${strategyId}-${Date.now()}`,
       symbol,
-      side: signal.type.includes('BUY') ? 'long' : 'short',
+      side,
       entryPrice: price,
       size: positionSize.toNumber(),
+      leverage: this.leverage,
+      margin: margin.toNumber(),
+      liquidationPrice: this.positionCalc.calculateLiquidationPrice({
+        entryPrice: price,
+        leverage: this.leverage,
+        side
+      }).liquidationPrice,
+      fundingFrom: marketTime,
+      fundingPnL: 0,
       entryTime: Date.now(),
       signal: this.signalGenerator.getSummary(signal),
       sizeModifier,
@@ -208,16 +284,21 @@ class PaperTradingEngineV2 extends EventEmitter {
       ? ((exitPrice - position.entryPrice) / position.entryPrice) * 100
       : ((position.entryPrice - exitPrice) / position.entryPrice) * 100;
     
-    const pnlValue = new Decimal(position.size).mul(position.entryPrice).mul(pnlPercent / 100);
+    // Liquidation forfeits the margin
+    const pnlValue = reason === 'Liquidation'
+      ? new Decimal(position.margin).negated()
+      : new Decimal(position.size).mul(position.entryPrice).mul(pnlPercent / 100);
     
     state.balance = state.balance.plus(pnlValue);
+    if (reason === 'Liquidation') state.liquidations++;
     
+    // Funding was settled into the balance while open; the trade reports it in its result
     const trade = {
       ...position,
       exitPrice,
       exitTime: Date.now(),
       pnlPercent,
-      pnlValue: pnlValue.toNumber(),
+      pnlValue: pnlValue.plus(position.fundingPnL || 0).toNumber(),
       reason
     };
     
@@ -260,6 +341,8 @@ class PaperTradingEngineV2 extends EventEmitter {
         metrics,
         trades: state.trades.length,
         finalBalance: state.balance.toNumber(),
+        fundingPnL: state.fundingPnL.toNumber(),
+        liquidations: state.liquidations,
         microstructureStats: state.microstructureStats
       });
     }
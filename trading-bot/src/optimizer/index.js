@@ -5,9 +5,13 @@
 const PaperTradingEngine = require('./PaperTradingEngine');
 const PaperTradingEngineV2 = require('./PaperTradingEngineV2');
 const IndicatorEnhancer = require('./IndicatorEnhancer');
+const OptimizerEngine = require('./optimizerEngine');
+const OptimizerScoring = require('./optimizerScoring');
 
 module.exports = {
   PaperTradingEngine,
   PaperTradingEngineV2,
-  IndicatorEnhancer
+  IndicatorEnhancer,
+  OptimizerEngine,
+  OptimizerScoring
 };
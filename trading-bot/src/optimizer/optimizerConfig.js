@@ -25,6 +25,12 @@ module.exports = {
   // Profile switching
   autoSwitch: false,  // Automatically switch to best performing profile
   switchCooldown: 4 * 60 * 60 * 1000,  // 4 hours between switches
+  significanceLevel: 0.05,  // Max one-sided p-value (Welch t-test on trade returns) to switch
+
+  // Shadow evaluation: every profile paper-trades the live feed
+  shadowEvaluation: true,
+  initialBalance: 10000,  // Shadow balance and base for trade returns
+  shadowLogDir: null,  // null = logs/shadow/<profile>
   
   // Logging
   logInterval: 60 * 60 * 1000,  // Log stats every hour
@@ -1,17 +1,46 @@
 /**
  * OPTIMIZER ENGINE
- * Live strategy optimizer (placeholder implementation)
+ * Live strategy optimizer
+ *
+ * Every profile in the router's registry paper-trades the live feed in a
+ * shadow TradingEngineV3 (processUpdate() fans each update out to them).
+ * Their closed trades, and any recorded with recordTrade(), are scored on
+ * win rate, profit factor, Sharpe and drawdown over the evaluation window.
+ * With autoSwitch on, the live profile changes only when the best profile
+ * beats the active one with a one-sided Welch t-test on trade returns at
+ * `significanceLevel`, and not within `switchCooldown` of the last switch.
+ *
+ * A switch goes through the ConfigService when one is given (versioned,
+ * applied to every attached engine), otherwise straight to `liveEngine`.
  */
 
+const EventEmitter = require('events');
+const path = require('path');
+
 const config = require('./optimizerConfig');
 const OptimizerScoring = require('./optimizerScoring');
-const StrategyRouter = require('../strategyRouter');
+const StrategyRouter = require('../../switches/strategyRouter');
+const TradingEngineV3 = require('../trading/TradingEngineV3');
+const { resolveWeights } = require('../lib/SignalScoring');
 
-class OptimizerEngine {
+class OptimizerEngine extends EventEmitter {
+  /**
+   * @param {Object} customConfig - optimizerConfig overrides plus
+   *   { router, liveEngine, configService, createShadowEngine(profile), clock }
+   */
   constructor(customConfig = {}) {
-    this.config = { ...config, ...customConfig };
-    this.router = new StrategyRouter();
-    this.metrics = new Map();
+    super();
+    const { router, liveEngine, configService, createShadowEngine, clock, ...settings } = customConfig;
+
+    this.config = { ...config, ...settings };
+    this.clock = clock || (() => Date.now());
+    this.router = router || new StrategyRouter();
+    this.liveEngine = liveEngine || null;
+    this.configService = configService || null;
+    this.createShadowEngine = createShadowEngine || (profile => this._createShadowEngine(profile));
+
+    this.metrics = new Map();  // profile -> { trades: [{ profit, time }] }
+    this.shadows = new Map();  // profile -> engine
     this.lastSwitch = null;
   }
 
@@ -23,9 +52,26 @@ class OptimizerEngine {
       console.log('[Optimizer] Optimizer is disabled');
       return;
     }
+    if (this.evaluationInterval) return;
 
     console.log('[Optimizer] Starting live optimizer...');
-    
+
+    // Follow the profile the service is already running
+    const current = this.configService && this.configService.getCurrent();
+    if (current && current.profile && current.profile !== this.router.activeProfile) {
+      this.router.switchProfile(current.profile);
+    } else if (!this.configService && this.liveEngine && this.config.autoSwitch) {
+      // The optimizer owns the live profile from here on
+      this.router.applyProfile(this.liveEngine);
+    }
+
+    if (this.config.shadowEvaluation) {
+      for (const profile of this.router.listProfiles()) {
+        this._startShadow(profile);
+      }
+      console.log(`[Optimizer] Shadow evaluation: ${this.shadows.size} profile(s)`);
+    }
+
     // Set up periodic evaluation
     this.evaluationInterval = setInterval(() => {
       this.evaluateProfiles();
@@ -38,69 +84,82 @@ class OptimizerEngine {
   stop() {
     if (this.evaluationInterval) {
       clearInterval(this.evaluationInterval);
+      this.evaluationInterval = null;
+    }
+    for (const engine of this.shadows.values()) {
+      engine.removeAllListeners('positionClosed');
+      engine.stop();
     }
+    this.shadows.clear();
     console.log('[Optimizer] Stopped');
   }
 
+  /**
+   * Feed a market update to every shadow engine (same arguments as
+   * TradingEngineV3.processUpdate, called alongside the live engine)
+   */
+  async processUpdate(symbol, data) {
+    const updates = [];
+    for (const [profile, engine] of this.shadows) {
+      updates.push(engine.processUpdate(symbol, data).catch(error => {
+        console.error(`[Optimizer] Shadow ${profile} failed on ${symbol}: ${error.message}`);
+      }));
+    }
+    await Promise.all(updates);
+  }
+
   /**
    * Record trade result
    * @param {string} profile - Profile name
-   * @param {Object} trade - Trade result
+   * @param {Object} trade - Trade result ({ profit } or a TradingEngineV3 trade)
    */
   recordTrade(profile, trade) {
     if (!this.metrics.has(profile)) {
-      this.metrics.set(profile, {
-        trades: [],
-        wins: 0,
-        losses: 0,
-        totalProfit: 0,
-        totalLoss: 0
-      });
+      this.metrics.set(profile, { trades: [] });
     }
 
-    const profileMetrics = this.metrics.get(profile);
-    profileMetrics.trades.push(trade);
-
-    if (trade.profit > 0) {
-      profileMetrics.wins++;
-      profileMetrics.totalProfit += trade.profit;
-    } else {
-      profileMetrics.losses++;
-      profileMetrics.totalLoss += Math.abs(trade.profit);
-    }
+    const profit = trade.profit !== undefined ? trade.profit : trade.realizedPnl;
+    this.metrics.get(profile).trades.push({
+      profit: Number(profit) || 0,
+      time: trade.exitTime || trade.timestamp || this.clock()
+    });
   }
 
   /**
    * Evaluate all profiles
+   * @returns {Object} { scores: [{ profile, score, stats }], decision }
    */
   evaluateProfiles() {
     console.log('[Optimizer] Evaluating profiles...');
-    
+
     const scores = [];
     for (const profileName of this.router.listProfiles()) {
-      const score = this.evaluateProfile(profileName);
-      if (score !== null) {
-        scores.push({ profile: profileName, score });
+      const stats = this.getProfileStats(profileName);
+      if (stats && stats.qualified) {
+        scores.push({ profile: profileName, score: stats.score, stats });
       }
     }
 
+    let decision = null;
     if (scores.length > 0) {
       scores.sort((a, b) => b.score - a.score);
-      
+
       console.log('[Optimizer] Profile scores:');
-      for (const { profile, score } of scores) {
-        console.log(`  ${profile}: ${(score * 100).toFixed(2)}%`);
+      for (const { profile, score, stats } of scores) {
+        console.log(`  ${profile}: ${(score * 100).toFixed(2)}% ` +
+          `(Sharpe ${stats.sharpeRatio.toFixed(2)}, DD ${(stats.maxDrawdown * 100).toFixed(2)}%, ${stats.trades} trades)`);
       }
 
       // Auto-switch if enabled
-      if (this.config.autoSwitch && this.canSwitch()) {
-        const best = scores[0];
-        if (best.profile !== this.router.activeProfile) {
-          this.router.switchProfile(best.profile);
-          this.lastSwitch = Date.now();
-        }
+      if (this.config.autoSwitch) {
+        decision = this._switchDecision(scores[0]);
+        console.log(`[Optimizer] ${decision.switched ? 'Switched to' : 'Kept'} ${this.router.activeProfile}: ${decision.reason}`);
       }
     }
+
+    const result = { scores, decision };
+    this.emit('evaluated', result);
+    return result;
   }
 
   /**
@@ -109,33 +168,43 @@ class OptimizerEngine {
    * @returns {number|null} Score or null
    */
   evaluateProfile(profileName) {
+    const stats = this.getProfileStats(profileName);
+    return stats && stats.qualified ? stats.score : null;
+  }
+
+  /**
+   * Metrics, score and confidence of a profile's trades in the evaluation window
+   * @param {string} profileName - Profile name
+   * @returns {Object|null} Null until the profile has the minimum trade count
+   */
+  getProfileStats(profileName) {
     const profileMetrics = this.metrics.get(profileName);
-    if (!profileMetrics || profileMetrics.trades.length < this.config.minTradesForEvaluation) {
+    if (!profileMetrics) return null;
+
+    // Drop trades that have aged out of the window
+    const since = this.clock() - this.config.evaluationWindow;
+    profileMetrics.trades = profileMetrics.trades.filter(t => t.time >= since);
+    if (profileMetrics.trades.length < this.config.minTradesForEvaluation) {
       return null;
     }
 
-    // Calculate metrics
-    const winRate = profileMetrics.wins / profileMetrics.trades.length;
-    const profitFactor = profileMetrics.totalLoss > 0 
-      ? profileMetrics.totalProfit / profileMetrics.totalLoss 
-      : 0;
-
-    const metrics = {
-      winRate,
-      profitFactor,
-      sharpeRatio: 0,  // Placeholder
-      maxDrawdown: 0   // Placeholder
-    };
-
+    const metrics = OptimizerScoring.tradeMetrics(profileMetrics.trades, {
+      initialBalance: this.config.initialBalance,
+      periodMs: this.config.evaluationWindow
+    });
     const score = OptimizerScoring.calculateScore(metrics, this.config);
     const confidence = OptimizerScoring.calculateConfidence(
       profileMetrics.trades.length,
       this.config.minTradesForEvaluation
     );
 
-    return OptimizerScoring.gateDecision(confidence, this.config.minConfidenceScore) 
-      ? score 
-      : null;
+    return {
+      profile: profileName,
+      ...metrics,
+      score,
+      confidence,
+      qualified: OptimizerScoring.gateDecision(confidence, this.config.minConfidenceScore)
+    };
   }
 
   /**
@@ -144,7 +213,98 @@ class OptimizerEngine {
    */
   canSwitch() {
     if (!this.lastSwitch) return true;
-    return Date.now() - this.lastSwitch >= this.config.switchCooldown;
+    return this.clock() - this.lastSwitch >= this.config.switchCooldown;
+  }
+
+  /**
+   * Switch the live profile (ConfigService, live engine, then router)
+   * @param {string} profile - Profile name
+   * @param {string} reason - Recorded with the config version
+   * @returns {boolean} Success
+   */
+  switchProfile(profile, reason = 'optimizer') {
+    if (!this.router.getProfile(profile)) {
+      console.error(`[Optimizer] Profile ${profile} not found`);
+      return false;
+    }
+
+    if (this.configService) {
+      const result = this.configService.update({ profile }, { author: 'optimizer', reason });
+      if (!result.ok) {
+        console.error(`[Optimizer] Switch to ${profile} rejected: ${result.error.message}`);
+        return false;
+      }
+    } else if (this.liveEngine) {
+      this.liveEngine.updateConfig({ weights: resolveWeights(this.router.getProfile(profile)) });
+    }
+
+    const previous = this.router.activeProfile;
+    this.router.switchProfile(profile);
+    this.lastSwitch = this.clock();
+    this.emit('profileSwitched', { from: previous, to: profile, reason });
+    return true;
+  }
+
+  /**
+   * Switch to the best profile if it significantly beats the active one
+   */
+  _switchDecision(best) {
+    const active = this.router.activeProfile;
+    const decision = { switched: false, from: active, to: best.profile, pValue: null, reason: '' };
+
+    if (best.profile === active) {
+      decision.reason = 'active profile scores best';
+      return decision;
+    }
+
+    const activeStats = this.getProfileStats(active);
+    if (!activeStats) {
+      decision.reason = `not enough ${active} trades to compare`;
+      return decision;
+    }
+
+    const test = OptimizerScoring.welchTTest(best.stats.returns, activeStats.returns);
+    decision.pValue = test.pValue;
+    if (test.pValue > this.config.significanceLevel) {
+      decision.reason = `${best.profile} not significantly better (p=${test.pValue.toFixed(3)})`;
+      return decision;
+    }
+
+    if (!this.canSwitch()) {
+      decision.reason = `${best.profile} better (p=${test.pValue.toFixed(3)}) but switch cooldown active`;
+      return decision;
+    }
+
+    const reason = `${best.profile} outperforms ${active} (p=${test.pValue.toFixed(3)})`;
+    decision.switched = this.switchProfile(best.profile, reason);
+    decision.reason = decision.switched ? reason : `switch to ${best.profile} failed`;
+    return decision;
+  }
+
+  _startShadow(profile) {
+    const engine = this.createShadowEngine(profile);
+    engine.on('positionClosed', trade => this.recordTrade(profile, trade));
+    engine.start();
+    this.shadows.set(profile, engine);
+  }
+
+  /**
+   * Paper engine scoring with a profile over the live base weights
+   */
+  _createShadowEngine(profile) {
+    const logRoot = this.config.shadowLogDir || path.join(__dirname, '../../logs/shadow');
+    const engine = new TradingEngineV3({
+      mode: 'paper',
+      initialBalance: this.config.initialBalance,
+      logDir: path.join(logRoot, profile),
+      clock: this.clock,
+      journal: false,
+      reconcile: false
+    });
+
+    const base = this.configService ? this.configService.getCurrent().weights : undefined;
+    engine.signalGenerator.applyWeights(resolveWeights(this.router.getProfile(profile), base));
+    return engine;
   }
 }
 
@@ -3,6 +3,8 @@
  * Scoring logic for strategy evaluation
  */
 
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
 class OptimizerScoring {
   /**
    * Calculate composite score for a strategy
@@ -62,6 +64,196 @@ class OptimizerScoring {
   static gateDecision(confidence, threshold) {
     return confidence >= threshold;
   }
+
+  // ============================================================================
+  // TRADE STATISTICS
+  // ============================================================================
+
+  /**
+   * Performance metrics from a sequence of closed trades
+   *
+   * Each trade's return is its profit over the equity before it, starting
+   * from initialBalance. Sharpe is annualized by the trade rate over
+   * `periodMs` (the evaluation window); drawdown is the deepest fall from an
+   * equity peak, as a fraction.
+   *
+   * @param {Array<Object>} trades - [{ profit }] in close order
+   * @param {Object} options - { initialBalance, periodMs }
+   * @returns {Object} { trades, winRate, profitFactor, sharpeRatio, maxDrawdown, totalReturn, returns }
+   */
+  static tradeMetrics(trades, options = {}) {
+    const initialBalance = options.initialBalance || 10000;
+    let equity = initialBalance;
+    let peak = initialBalance;
+    let maxDrawdown = 0;
+    let grossProfit = 0;
+    let grossLoss = 0;
+    let wins = 0;
+    const returns = [];
+
+    for (const trade of trades) {
+      returns.push(equity > 0 ? trade.profit / equity : 0);
+      equity += trade.profit;
+
+      if (trade.profit > 0) {
+        wins++;
+        grossProfit += trade.profit;
+      } else {
+        grossLoss += Math.abs(trade.profit);
+      }
+
+      if (equity > peak) {
+        peak = equity;
+      } else if (peak > 0) {
+        maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+      }
+    }
+
+    const periodsPerYear = options.periodMs ? trades.length * (YEAR_MS / options.periodMs) : 1;
+
+    return {
+      trades: trades.length,
+      winRate: trades.length > 0 ? wins / trades.length : 0,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+      sharpeRatio: OptimizerScoring.sharpeRatio(returns, periodsPerYear),
+      maxDrawdown,
+      totalReturn: (equity - initialBalance) / initialBalance,
+      returns
+    };
+  }
+
+  /**
+   * Sharpe ratio of a return series (risk-free rate 0, sample standard deviation)
+   * @param {Array<number>} returns - Per-period returns
+   * @param {number} periodsPerYear - Annualization factor (1 = per period)
+   * @returns {number}
+   */
+  static sharpeRatio(returns, periodsPerYear = 1) {
+    if (returns.length < 2) return 0;
+
+    const { mean, variance } = OptimizerScoring._moments(returns);
+    if (variance <= 0) return 0;
+
+    return (mean / Math.sqrt(variance)) * Math.sqrt(periodsPerYear);
+  }
+
+  /**
+   * Welch's t-test that sample `a` has a higher mean than sample `b`
+   * @param {Array<number>} a - Candidate returns
+   * @param {Array<number>} b - Baseline returns
+   * @returns {Object} { t, df, pValue } (one-sided; pValue 1 when untestable)
+   */
+  static welchTTest(a, b) {
+    if (a.length < 2 || b.length < 2) {
+      return { t: 0, df: 0, pValue: 1 };
+    }
+
+    const ma = OptimizerScoring._moments(a);
+    const mb = OptimizerScoring._moments(b);
+    const va = ma.variance / a.length;
+    const vb = mb.variance / b.length;
+    const diff = ma.mean - mb.mean;
+
+    if (va + vb === 0) {
+      return { t: diff > 0 ? Infinity : 0, df: a.length + b.length - 2, pValue: diff > 0 ? 0 : 1 };
+    }
+
+    const t = diff / Math.sqrt(va + vb);
+    const df = Math.pow(va + vb, 2) /
+      (Math.pow(va, 2) / (a.length - 1) + Math.pow(vb, 2) / (b.length - 1));
+
+    return { t, df, pValue: 1 - OptimizerScoring.studentTCdf(t, df) };
+  }
+
+  /**
+   * Student's t cumulative distribution function
+   * @param {number} t - Statistic
+   * @param {number} df - Degrees of freedom
+   * @returns {number} P(T <= t)
+   */
+  static studentTCdf(t, df) {
+    if (!Number.isFinite(t)) return t > 0 ? 1 : 0;
+
+    const tail = 0.5 * OptimizerScoring._incompleteBeta(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+  }
+
+  static _moments(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length - 1);
+    return { mean, variance };
+  }
+
+  /**
+   * Regularized incomplete beta I_x(a, b) (continued fraction, Lentz's method)
+   */
+  static _incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    // The continued fraction converges fastest below the mean
+    if (x > (a + 1) / (a + b + 2)) {
+      return 1 - OptimizerScoring._incompleteBeta(1 - x, b, a);
+    }
+
+    const front = Math.exp(
+      OptimizerScoring._logGamma(a + b) - OptimizerScoring._logGamma(a) - OptimizerScoring._logGamma(b) +
+      a * Math.log(x) + b * Math.log(1 - x)
+    ) / a;
+
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let f = d;
+
+    for (let m = 1; m <= 200; m++) {
+      // Even step
+      let numerator = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+      d = 1 + numerator * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + numerator / c;
+      c = Math.abs(c) < tiny ? tiny : c;
+      f *= c * d;
+
+      // Odd step
+      numerator = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+      d = 1 + numerator * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + numerator / c;
+      c = Math.abs(c) < tiny ? tiny : c;
+      const delta = c * d;
+      f *= delta;
+
+      if (Math.abs(delta - 1) < 1e-12) break;
+    }
+
+    return front * f;
+  }
+
+  /**
+   * ln Γ(z) (Lanczos approximation, g = 7)
+   */
+  static _logGamma(z) {
+    const coefficients = [
+      0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+      771.32342877765313, -176.61502916214059, 12.507343278686905,
+      -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+
+    if (z < 0.5) {
+      return Math.log(Math.PI / Math.sin(Math.PI * z)) - OptimizerScoring._logGamma(1 - z);
+    }
+
+    z -= 1;
+    let sum = coefficients[0];
+    for (let i = 1; i < 9; i++) {
+      sum += coefficients[i] / (z + i);
+    }
+    const t = z + 7.5;
+
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+  }
 }
 
 module.exports = OptimizerScoring;
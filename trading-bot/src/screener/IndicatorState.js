@@ -0,0 +1,266 @@
+/**
+ * Indicator State
+ *
+ * Incremental screener indicators for one symbol on one timeframe. Each
+ * closed candle advances the production indicators in src/indicators by one
+ * bar, so a rescan reads the current values instead of recomputing them from
+ * a full candle history.
+ *
+ * getIndicators() returns the flat set ScreenerAgent scores and ranks
+ * (stochRsi {k, d}, williamsR, emaFast/Mid/Slow, bollinger.percentB 0-100,
+ * ao {value, prevValue, signal}, obv {value, sma, trend}, atr, ...). CMF and
+ * average volume come from the rolling candle window.
+ *
+ * serialize() / restore() carry the whole state (indicators and candle
+ * window) between processes; see utils/StateSnapshot.
+ *
+ * Usage:
+ *   const state = new IndicatorState({ timeframe: '15min' });
+ *   state.update(closedCandle);
+ *   if (state.isReady()) score(state.getIndicators());
+ */
+
+const {
+  StochasticRSI,
+  WilliamsRIndicator,
+  StochasticIndicator,
+  EMATrend,
+  BollingerBands,
+  KDJIndicator,
+  AwesomeOscillator,
+  OBVIndicator,
+  ATRIndicator
+} = require('../indicators');
+const StateSnapshot = require('../utils/StateSnapshot');
+
+// OPTIMIZED indicator parameters (from backtesting: 64.7% WR, 8.89 PF)
+const OPTIMIZED_PARAMS = {
+  stochRsi: {
+    rsiPeriod: parseInt(process.env.STOCHRSI_RSI_PERIOD) || 21,
+    stochPeriod: parseInt(process.env.STOCHRSI_STOCH_PERIOD) || 9,
+    kSmooth: parseInt(process.env.STOCHRSI_K_SMOOTH) || 3,
+    dSmooth: parseInt(process.env.STOCHRSI_D_SMOOTH) || 3
+  },
+  ema: {
+    fast: parseInt(process.env.EMA_FAST) || 5,
+    mid: parseInt(process.env.EMA_MID) || 13,
+    slow: parseInt(process.env.EMA_SLOW) || 50
+  },
+  bollinger: {
+    period: parseInt(process.env.BOLLINGER_PERIOD) || 10,
+    stdDev: parseFloat(process.env.BOLLINGER_STDDEV) || 1.5
+  },
+  ao: {
+    fast: parseInt(process.env.AO_FAST) || 5,
+    slow: parseInt(process.env.AO_SLOW) || 55
+  },
+  williams: { period: parseInt(process.env.WILLIAMS_PERIOD) || 14 },
+  stochastic: { period: parseInt(process.env.STOCHASTIC_PERIOD) || 14 },
+  kdj: { period: parseInt(process.env.KDJ_PERIOD) || 9 },
+  obv: { smaPeriod: parseInt(process.env.OBV_SMA_PERIOD) || 10 },
+  cmf: { period: parseInt(process.env.CMF_PERIOD) || 20 }
+};
+
+// Bars before a timeframe is scored (matches the old REST screener)
+const MIN_BARS = 50;
+
+const ATR_PERIOD = 14;
+const VOLUME_PERIOD = 20;
+
+class IndicatorState {
+  /**
+   * @param {Object} config
+   * @param {string} config.timeframe - Timeframe of the candles fed in
+   * @param {Object} config.params - OPTIMIZED_PARAMS overrides
+   * @param {number} config.historyLength - Closed candles kept (regime classification, 24h change)
+   */
+  constructor(config = {}) {
+    this.timeframe = config.timeframe;
+    this.params = { ...OPTIMIZED_PARAMS, ...(config.params || {}) };
+    this.historyLength = config.historyLength || 200;
+
+    const p = this.params;
+    this.indicators = {
+      stochRsi: new StochasticRSI(p.stochRsi),
+      williamsR: new WilliamsRIndicator({ period: p.williams.period }),
+      stochastic: new StochasticIndicator({ kPeriod: p.stochastic.period }),
+      // EMATrend seeds every EMA once trendPeriod bars are in; the screener has no 200 trend line
+      ema: new EMATrend({ shortPeriod: p.ema.fast, mediumPeriod: p.ema.mid, longPeriod: p.ema.slow, trendPeriod: p.ema.slow }),
+      bollinger: new BollingerBands({ period: p.bollinger.period, stdDev: p.bollinger.stdDev }),
+      kdj: new KDJIndicator({ kPeriod: p.kdj.period }),
+      ao: new AwesomeOscillator({ fastPeriod: p.ao.fast, slowPeriod: p.ao.slow }),
+      obv: new OBVIndicator({ slopeWindow: p.obv.smaPeriod }),
+      atr: new ATRIndicator({ period: ATR_PERIOD })
+    };
+
+    this.candles = [];
+    this.results = {};
+    this.prevAO = null;
+    this.obvValues = [];
+    this.bars = 0;
+    this.version = 0;
+    this._cache = null;
+  }
+
+  /**
+   * Advance every indicator by one closed candle
+   */
+  update(candle) {
+    const bar = {
+      ts: candle.ts,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume
+    };
+
+    this.prevAO = this.results.ao ? this.results.ao.value : null;
+    for (const [name, indicator] of Object.entries(this.indicators)) {
+      this.results[name] = indicator.update(bar);
+    }
+
+    this.obvValues.push(this.results.obv.value.obv);
+    if (this.obvValues.length > this.params.obv.smaPeriod) this.obvValues.shift();
+
+    this.candles.push(bar);
+    if (this.candles.length > this.historyLength) this.candles.shift();
+
+    this.bars++;
+    this.version++;
+    this._cache = null;
+  }
+
+  isReady() {
+    return this.bars >= MIN_BARS;
+  }
+
+  lastCandle() {
+    return this.candles.length > 0 ? this.candles[this.candles.length - 1] : null;
+  }
+
+  /**
+   * Screener indicator set at the last closed candle ({} until MIN_BARS)
+   */
+  getIndicators() {
+    if (!this.isReady()) return {};
+    if (!this._cache) this._cache = this._build();
+    return this._cache;
+  }
+
+  serialize() {
+    const snapshot = StateSnapshot.capture(this, 'IndicatorState', ['indicators', '_cache']);
+    snapshot.state.indicators = {};
+    for (const [name, indicator] of Object.entries(this.indicators)) {
+      snapshot.state.indicators[name] = indicator.serialize();
+    }
+    return snapshot;
+  }
+
+  /**
+   * Load a snapshot taken by serialize()
+   * @throws {Error} If it was taken on another timeframe or with other params
+   */
+  restore(snapshot) {
+    StateSnapshot.check(snapshot, 'IndicatorState');
+    const { indicators, ...fields } = snapshot.state;
+    const { timeframe, params } = fields;
+    if (timeframe !== this.timeframe) {
+      throw new Error(`Snapshot is for ${timeframe}, not ${this.timeframe}`);
+    }
+    if (JSON.stringify(params) !== JSON.stringify(this.params)) {
+      throw new Error(`Snapshot for ${timeframe} was taken with different indicator params`);
+    }
+
+    for (const [name, indicator] of Object.entries(this.indicators)) {
+      indicator.restore(indicators[name]);
+    }
+    StateSnapshot.apply(this, { ...snapshot, state: fields }, 'IndicatorState');
+    this._cache = null;
+    return this;
+  }
+
+  _build() {
+    const r = this.results;
+    const candles = this.candles;
+    const close = candles[candles.length - 1].close;
+    const volumes = candles.slice(-VOLUME_PERIOD).map(c => c.volume);
+
+    const stochRsi = r.stochRsi.value;
+    const stochastic = r.stochastic.value;
+    const ema = r.ema.value;
+    const bb = r.bollinger.value;
+
+    return {
+      stochRsi: stochRsi.k === null ? { k: 50, d: 50 } : { k: stochRsi.k, d: stochRsi.d ?? stochRsi.k },
+      williamsR: r.williamsR.value ?? -50,
+      stochastic: stochastic.k === null ? { k: 50, d: 50 } : { k: stochastic.k, d: stochastic.d ?? stochastic.k },
+      emaFast: ema.short ?? close,
+      emaMid: ema.medium ?? close,
+      emaSlow: ema.long ?? close,
+      currentPrice: close,
+      atr: r.atr.value.atr ?? 0,
+      volume: candles[candles.length - 1].volume,
+      avgVolume: volumes.reduce((a, b) => a + b, 0) / volumes.length,
+      cmf: this._cmf(),
+      bollinger: bb.upper === null
+        ? { upper: 0, middle: 0, lower: 0, percentB: 50 }
+        : {
+            upper: bb.upper,
+            middle: bb.middle,
+            lower: bb.lower,
+            percentB: bb.upper === bb.lower ? 50 : bb.percentB * 100
+          },
+      kdj: { ...r.kdj.value },
+      ao: this._ao(),
+      obv: this._obv()
+    };
+  }
+
+  /**
+   * Chaikin Money Flow: Sum(MFV, period) / Sum(Volume, period)
+   */
+  _cmf() {
+    const period = this.params.cmf.period;
+    if (this.candles.length < period) return 0;
+
+    let sumMFV = 0;
+    let sumVolume = 0;
+    for (const { high, low, close, volume } of this.candles.slice(-period)) {
+      const range = high - low;
+      const mfm = range === 0 ? 0 : ((close - low) - (high - close)) / range;
+      sumMFV += mfm * volume;
+      sumVolume += volume;
+    }
+    return sumVolume === 0 ? 0 : sumMFV / sumVolume;
+  }
+
+  _ao() {
+    const ao = this.results.ao.value;
+    if (ao === null) return { value: 0, signal: 'neutral' };
+
+    const prev = this.prevAO ?? ao;
+    let signal = 'neutral';
+    if (ao > 0 && ao > prev) signal = 'bullish';
+    else if (ao < 0 && ao < prev) signal = 'bearish';
+    else if (ao > 0 && ao < prev) signal = 'weakening_bull';
+    else if (ao < 0 && ao > prev) signal = 'weakening_bear';
+
+    return { value: ao, prevValue: prev, signal };
+  }
+
+  _obv() {
+    const obv = this.results.obv.value.obv;
+    const sma = this.obvValues.reduce((a, b) => a + b, 0) / this.obvValues.length;
+
+    let trend = 'neutral';
+    if (obv > sma * 1.05) trend = 'bullish';
+    else if (obv < sma * 0.95) trend = 'bearish';
+
+    return { value: obv, sma, trend };
+  }
+}
+
+module.exports = IndicatorState;
+module.exports.OPTIMIZED_PARAMS = OPTIMIZED_PARAMS;
+module.exports.MIN_BARS = MIN_BARS;
@@ -0,0 +1,279 @@
+/**
+ * Symbol Stream
+ *
+ * Streaming candle state for one symbol: a base timeframe fed by kline
+ * WebSocket pushes, and every higher timeframe built locally from it with
+ * CandleAggregator. Each timeframe keeps an IndicatorState.
+ *
+ * Kline topics push the forming candle repeatedly; a push with a newer open
+ * time closes the previous one. When that newer candle skips bars (dropped
+ * messages, reconnect), push() reports the gap and holds later closes until
+ * fill() delivers the missing candles (REST backfill), so indicators always
+ * advance in order.
+ *
+ * serialize() / restore() carry the stream between processes. After a
+ * restore the first push reports the bars missed while down as a gap, so the
+ * usual backfill brings the indicators up to date.
+ *
+ * Usage:
+ *   const stream = new SymbolStream({ symbol, baseTimeframe: '15min', timeframes: ['15min', '1hour'] });
+ *   stream.seed({ '15min': restCandles, '1hour': restHourly }, Date.now());
+ *   const { gap } = stream.push(wsCandle);
+ *   if (gap) stream.fill(await fetchRange(gap.from, gap.to));
+ */
+
+const CandleAggregator = require('../data/CandleAggregator');
+const { timeframeToMs, resample, fillGaps, dedupeCandles } = require('../data/CandleRepository');
+const IndicatorState = require('./IndicatorState');
+const StateSnapshot = require('../utils/StateSnapshot');
+
+class SymbolStream {
+  /**
+   * @param {Object} config
+   * @param {string} config.symbol
+   * @param {string} config.baseTimeframe - Timeframe of the streamed candles
+   * @param {string[]} config.timeframes - Timeframes to keep (base included or not)
+   * @param {Object} config.params - IndicatorState params
+   * @param {number} config.historyLength - Closed candles kept per timeframe
+   */
+  constructor(config = {}) {
+    this.symbol = config.symbol;
+    this.baseTimeframe = config.baseTimeframe;
+    this.baseMs = timeframeToMs(this.baseTimeframe);
+    this.timeframes = [...new Set([this.baseTimeframe, ...(config.timeframes || [])])];
+
+    const stateConfig = { params: config.params, historyLength: config.historyLength };
+    this.states = {};
+    this.aggregators = {};
+    for (const tf of this.timeframes) {
+      this.states[tf] = new IndicatorState({ ...stateConfig, timeframe: tf });
+      if (tf !== this.baseTimeframe) {
+        this.aggregators[tf] = new CandleAggregator(this.baseTimeframe, tf);
+      }
+    }
+
+    this.forming = null;       // Base candle still open
+    this.lastClosedTs = null;  // Last base candle fed to the indicators
+    this.pendingGap = null;    // { from, to } awaiting fill()
+    this.queued = [];          // Closed candles held behind the gap
+    this.seeded = false;
+    this.lastUpdate = null;
+  }
+
+  // ===========================================================================
+  // SEEDING
+  // ===========================================================================
+
+  /**
+   * Warm every timeframe from REST history
+   *
+   * Candles still open at `now` are left out of the indicators; the base one
+   * becomes the forming candle. Higher timeframes missing from `candlesByTf`
+   * are resampled from the base history. Base candles inside each higher
+   * timeframe's open bucket are replayed into its aggregator.
+   *
+   * @param {Object} candlesByTf - { [timeframe]: candles[] }
+   * @param {number} now - Current time (ms)
+   */
+  seed(candlesByTf, now) {
+    const base = dedupeCandles(candlesByTf[this.baseTimeframe] || []);
+    const baseClosed = fillGaps(base.filter(c => c.ts + this.baseMs <= now), this.baseTimeframe);
+    const forming = base.find(c => c.ts + this.baseMs > now) || null;
+
+    for (const candle of baseClosed) {
+      this.states[this.baseTimeframe].update(candle);
+    }
+
+    for (const [tf, aggregator] of Object.entries(this.aggregators)) {
+      const tfMs = timeframeToMs(tf);
+      const openBucket = aggregator.bucketOf(now);
+      const history = candlesByTf[tf] && candlesByTf[tf].length > 0
+        ? dedupeCandles(candlesByTf[tf])
+        : resample(baseClosed, this.baseTimeframe, tf);
+
+      for (const candle of history) {
+        if (candle.ts + tfMs <= openBucket) this.states[tf].update(candle);
+      }
+      for (const candle of baseClosed) {
+        if (candle.ts >= openBucket) aggregator.push(candle);
+      }
+    }
+
+    this.lastClosedTs = baseClosed.length > 0 ? baseClosed[baseClosed.length - 1].ts : null;
+    this.forming = forming;
+    this.seeded = true;
+    this.lastUpdate = now;
+  }
+
+  // ===========================================================================
+  // STREAMING
+  // ===========================================================================
+
+  /**
+   * Apply a pushed base-timeframe candle (forming or newer)
+   * @returns {Object} { closed: timeframes that closed a bar, gap: { from, to } | null }
+   */
+  push(candle, now = Date.now()) {
+    const result = { closed: [], gap: null };
+    this.lastUpdate = now;
+
+    if (!this.forming) {
+      if (this.lastClosedTs === null || candle.ts > this.lastClosedTs) {
+        if (this.lastClosedTs !== null) result.gap = this._checkGap(candle.ts, this.lastClosedTs);
+        this.forming = candle;
+      }
+      return result;
+    }
+
+    if (candle.ts < this.forming.ts) return result;
+    if (candle.ts === this.forming.ts) {
+      this.forming = candle;
+      return result;
+    }
+
+    result.closed = this._close(this.forming);
+    result.gap = this._checkGap(candle.ts, this.forming.ts);
+    this.forming = candle;
+    return result;
+  }
+
+  /**
+   * Deliver candles for the pending gap, then release the queued closes
+   * Bars the exchange has no candle for are filled flat (zero volume).
+   * @returns {string[]} Timeframes that closed a bar
+   */
+  fill(candles) {
+    if (!this.pendingGap) return [];
+
+    const { to } = this.pendingGap;
+    const anchor = this.lastClosedTs !== null ? this.states[this.baseTimeframe].lastCandle() : null;
+    const after = c => anchor === null || c.ts > anchor.ts;
+
+    // Queued closes come last so they win over REST candles with the same open time
+    const merged = dedupeCandles([...candles.filter(c => c.ts <= to), ...this.queued]).filter(after);
+    const sequence = fillGaps(anchor ? [anchor, ...merged] : merged, this.baseTimeframe).filter(after);
+
+    // Flat bars up to the end of the gap when the exchange returned nothing at the tail
+    let last = sequence.length > 0 ? sequence[sequence.length - 1] : anchor;
+    while (last && last.ts < to) {
+      last = { ts: last.ts + this.baseMs, open: last.close, high: last.close, low: last.close, close: last.close, volume: 0, filled: true };
+      sequence.push(last);
+    }
+
+    this.pendingGap = null;
+    this.queued = [];
+
+    const closed = new Set();
+    for (const candle of sequence) {
+      for (const tf of this._close(candle)) closed.add(tf);
+    }
+    return Array.from(closed);
+  }
+
+  /**
+   * Give up on the pending gap (backfill failed) and continue from the queued closes
+   */
+  skipGap() {
+    this.pendingGap = null;
+    const queued = this.queued;
+    this.queued = [];
+    for (const candle of queued) this._close(candle);
+  }
+
+  // ===========================================================================
+  // READ
+  // ===========================================================================
+
+  getState(timeframe) {
+    return this.states[timeframe] || null;
+  }
+
+  /**
+   * Latest price seen: the forming candle's close, else the last closed one
+   */
+  getPrice() {
+    if (this.forming) return this.forming.close;
+    const last = this.states[this.baseTimeframe].lastCandle();
+    return last ? last.close : null;
+  }
+
+  // ===========================================================================
+  // SNAPSHOT
+  // ===========================================================================
+
+  serialize() {
+    const snapshot = StateSnapshot.capture(this, 'SymbolStream', ['states', 'aggregators']);
+    snapshot.state.states = {};
+    snapshot.state.aggregators = {};
+    for (const tf of this.timeframes) {
+      snapshot.state.states[tf] = this.states[tf].serialize();
+      if (this.aggregators[tf]) snapshot.state.aggregators[tf] = this.aggregators[tf].serialize();
+    }
+    return snapshot;
+  }
+
+  /**
+   * Load a snapshot taken by serialize()
+   * The forming candle is dropped: its final version arrives with the next
+   * push or the backfill that push triggers.
+   * @throws {Error} If the snapshot was taken for other timeframes
+   */
+  restore(snapshot) {
+    StateSnapshot.check(snapshot, 'SymbolStream');
+    const { states, aggregators, ...fields } = snapshot.state;
+    if (fields.baseTimeframe !== this.baseTimeframe || [...fields.timeframes].sort().join() !== [...this.timeframes].sort().join()) {
+      throw new Error(`Snapshot streams ${fields.timeframes.join(', ')} from ${fields.baseTimeframe}`);
+    }
+
+    for (const tf of this.timeframes) {
+      this.states[tf].restore(states[tf]);
+      if (this.aggregators[tf]) this.aggregators[tf].restore(aggregators[tf]);
+    }
+    StateSnapshot.apply(this, { ...snapshot, state: fields }, 'SymbolStream');
+    this.forming = null;
+    return this;
+  }
+
+  // ===========================================================================
+  // INTERNAL
+  // ===========================================================================
+
+  /**
+   * Gap between the previous base candle and a newer one
+   * A second gap while one is pending widens it; bars the backfill already
+   * in flight doesn't cover are filled flat.
+   */
+  _checkGap(ts, prevTs) {
+    const expected = prevTs + this.baseMs;
+    if (ts <= expected) return null;
+
+    if (this.pendingGap) {
+      this.pendingGap.to = Math.max(this.pendingGap.to, ts - this.baseMs);
+      return null;
+    }
+
+    this.pendingGap = { from: expected, to: ts - this.baseMs };
+    return { ...this.pendingGap };
+  }
+
+  _close(candle) {
+    if (this.pendingGap) {
+      this.queued.push(candle);
+      return [];
+    }
+    if (this.lastClosedTs !== null && candle.ts <= this.lastClosedTs) return [];
+
+    this.states[this.baseTimeframe].update(candle);
+    this.lastClosedTs = candle.ts;
+
+    const closed = [this.baseTimeframe];
+    for (const [tf, aggregator] of Object.entries(this.aggregators)) {
+      const completed = aggregator.push(candle);
+      for (const bar of completed) this.states[tf].update(bar);
+      if (completed.length > 0) closed.push(tf);
+    }
+    return closed;
+  }
+}
+
+module.exports = SymbolStream;
@@ -3,7 +3,11 @@
  */
 
 const CoinRankerV2 = require('./CoinRankerV2');
+const IndicatorState = require('./IndicatorState');
+const SymbolStream = require('./SymbolStream');
 
 module.exports = {
-  CoinRankerV2
+  CoinRankerV2,
+  IndicatorState,
+  SymbolStream
 };
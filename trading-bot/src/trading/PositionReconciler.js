@@ -0,0 +1,218 @@
+/**
+ * Position Reconciler
+ *
+ * Brings the engine's local positions back in line with the exchange after a
+ * restart and on a timer. The exchange is the source of truth:
+ * - exchange position with no local record   -> adopted (SL/TP from current risk config)
+ * - local position the exchange no longer has -> dropped
+ * - opposite sides                            -> local dropped, exchange position adopted
+ * - different sizes                           -> flagged only
+ * - missing stop-loss / take-profit           -> re-placed
+ * - stop orders on a flat symbol              -> cancelled
+ * - pending local entry (order in flight)     -> skipped until the next pass
+ *
+ * Every correction is written to the audit log: AuditAgent.logReconciliation()
+ * when an audit sink is given, otherwise a JSONL file in logDir.
+ *
+ * The engine must expose: positions (Map of { side, quantity, stopLoss,
+ * takeProfit, status }), adoptPosition(info), dropPosition(symbol, reason) and
+ * placeProtectiveStop(position, type). TradingEngineV3 and the dashboard
+ * server (core/server.js) are reconciled.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const PROTECTIVE_STOPS = ['stopLoss', 'takeProfit'];
+
+/**
+ * Trigger direction of a protective stop for a position side
+ */
+function stopDirection(side, type) {
+  const down = (side === 'long') === (type === 'stopLoss');
+  return down ? 'down' : 'up';
+}
+
+class PositionReconciler extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {ExchangeAdapter} config.exchange - Exchange to reconcile against
+   * @param {Object} config.engine - Local position owner (TradingEngineV3)
+   * @param {number} config.intervalMs - Timer period (RECONCILE_INTERVAL_MS, default 60s; 0 disables the timer)
+   * @param {number} config.sizeTolerance - Contracts of difference tolerated before flagging
+   * @param {Object} config.audit - Sink with logReconciliation(entry), e.g. AuditAgent
+   * @param {string} config.logDir - Directory for reconciliation.jsonl when no audit sink is given
+   * @param {string[]} config.protectiveStops - Stops kept on the exchange (default stopLoss and takeProfit)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.exchange = config.exchange;
+    this.engine = config.engine;
+    this.intervalMs = config.intervalMs !== undefined
+      ? config.intervalMs
+      : parseInt(process.env.RECONCILE_INTERVAL_MS) || 60000;
+    this.sizeTolerance = config.sizeTolerance || 0;
+    this.audit = config.audit || null;
+    this.auditFile = path.join(config.logDir || './logs', 'reconciliation.jsonl');
+    this.clock = config.clock || (() => Date.now());
+    this.protectiveStops = config.protectiveStops || PROTECTIVE_STOPS;
+
+    this.timer = null;
+    this.inProgress = false;
+    this.lastResult = null;
+  }
+
+  /**
+   * Reconcile now, then every intervalMs
+   */
+  start() {
+    if (this.timer) return;
+
+    this._run();
+    if (this.intervalMs > 0) {
+      this.timer = setInterval(() => this._run(), this.intervalMs);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One reconciliation pass
+   * @returns {Promise<Object>} { ok, value: { checkedAt, symbols, corrections } }
+   */
+  async reconcile() {
+    if (this.inProgress) {
+      return { ok: false, error: { code: 'IN_PROGRESS', message: 'Reconciliation already running' } };
+    }
+    this.inProgress = true;
+
+    try {
+      // Positions opened or closed while the exchange is queried are left for the next pass
+      const known = new Map(this.engine.positions);
+      const [positionsResult, stopsResult] = [await this.exchange.getPositions(), await this.exchange.getStopOrders()];
+      const failed = !positionsResult.ok ? positionsResult : !stopsResult.ok ? stopsResult : null;
+      if (failed) {
+        this._record({ type: 'RECONCILE_FAILED', symbol: null, details: failed.error });
+        return failed;
+      }
+
+      const remote = new Map(positionsResult.value.filter(p => p.size > 0).map(p => [p.symbol, p]));
+      const stops = stopsResult.value;
+      const symbols = new Set([...this.engine.positions.keys(), ...remote.keys(), ...stops.map(s => s.symbol)]);
+      const corrections = [];
+
+      for (const symbol of symbols) {
+        const local = this.engine.positions.get(symbol);
+        if (local !== known.get(symbol)) continue;
+        // The exchange may not show an in-flight entry yet, nor its stops
+        if (local && local.status === 'pending') continue;
+        const symbolStops = stops.filter(s => s.symbol === symbol);
+        corrections.push(...await this._reconcileSymbol(symbol, remote.get(symbol) || null, symbolStops));
+      }
+
+      for (const correction of corrections) this._record(correction);
+
+      const summary = { checkedAt: this.clock(), symbols: symbols.size, corrections };
+      this.lastResult = summary;
+      if (corrections.length > 0) {
+        console.log(`[Reconciler] ${corrections.length} correction(s): ${corrections.map(c => `${c.type} ${c.symbol}`).join(', ')}`);
+      }
+      this.emit('reconciled', summary);
+
+      return { ok: true, value: summary };
+    } catch (error) {
+      this._record({ type: 'RECONCILE_FAILED', symbol: null, details: { message: error.message } });
+      return { ok: false, error: { code: 'RECONCILE_ERROR', message: error.message } };
+    } finally {
+      this.inProgress = false;
+    }
+  }
+
+  async _reconcileSymbol(symbol, remote, stops) {
+    const corrections = [];
+    let local = this.engine.positions.get(symbol) || null;
+
+    if (local && !remote) {
+      this.engine.dropPosition(symbol, 'CLOSED_ON_EXCHANGE');
+      corrections.push({ type: 'LOCAL_POSITION_DROPPED', symbol, details: { side: local.side, size: this._localSize(local) } });
+      local = null;
+    } else if (!local && remote) {
+      local = this.engine.adoptPosition(remote);
+      corrections.push({ type: 'ORPHAN_ADOPTED', symbol, details: this._remoteDetails(remote) });
+    } else if (local && remote && local.side !== remote.side) {
+      const localSide = local.side;
+      this.engine.dropPosition(symbol, 'SIDE_MISMATCH');
+      local = this.engine.adoptPosition(remote);
+      corrections.push({ type: 'SIDE_MISMATCH', symbol, details: { localSide, ...this._remoteDetails(remote) } });
+    } else if (local && remote && Math.abs(this._localSize(local) - remote.size) > this.sizeTolerance) {
+      corrections.push({ type: 'SIZE_MISMATCH', symbol, details: { localSize: this._localSize(local), exchangeSize: remote.size } });
+    }
+
+    if (!local) {
+      if (stops.length > 0) {
+        const cancelled = await this.exchange.cancelAllStopOrders(symbol);
+        corrections.push({
+          type: cancelled.ok ? 'ORPHAN_STOPS_CANCELLED' : 'ORPHAN_STOPS_CANCEL_FAILED',
+          symbol,
+          details: cancelled.ok ? { orderIds: cancelled.value.cancelledOrderIds } : cancelled.error
+        });
+      }
+      return corrections;
+    }
+
+    for (const type of this.protectiveStops) {
+      // Ladder runners trail with no take-profit
+      if (!local[type]) continue;
+
+      const direction = stopDirection(local.side, type);
+      if (stops.some(s => s.stop === direction)) continue;
+
+      const placed = await this.engine.placeProtectiveStop(local, type);
+      const price = local[type].toNumber ? local[type].toNumber() : local[type];
+      corrections.push(placed && placed.ok
+        ? { type: 'STOP_REPLACED', symbol, details: { stop: type, direction, price, orderId: placed.value.orderId } }
+        : { type: 'STOP_REPLACE_FAILED', symbol, details: { stop: type, direction, price, error: placed?.error || null } });
+    }
+
+    return corrections;
+  }
+
+  _localSize(position) {
+    return Math.floor(position.quantity.toNumber ? position.quantity.toNumber() : position.quantity);
+  }
+
+  _remoteDetails(remote) {
+    return { side: remote.side, size: remote.size, entryPrice: remote.entryPrice, leverage: remote.leverage };
+  }
+
+  _run() {
+    this.reconcile().catch(error => console.error('[Reconciler] Unexpected failure:', error.message));
+  }
+
+  _record(correction) {
+    const entry = { timestamp: this.clock(), source: 'reconciler', ...correction };
+
+    if (this.audit && typeof this.audit.logReconciliation === 'function') {
+      this.audit.logReconciliation(entry);
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.auditFile), { recursive: true });
+      fs.appendFileSync(this.auditFile, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error('[Reconciler] Failed to write audit entry:', error.message);
+    }
+  }
+}
+
+PositionReconciler.stopDirection = stopDirection;
+
+module.exports = PositionReconciler;
@@ -0,0 +1,110 @@
+/**
+ * Session Journal
+ *
+ * Append-only, sequence-numbered record of a trading session for
+ * deterministic replay (see SessionReplayer):
+ * - meta      SESSION_START: mode, risk/signal config, balance, open positions
+ * - input     everything from outside the engine: CANDLE (candle + indicators +
+ *             microstructure), TICKER, BOOK, FUNDING, CONFIG_CHANGE, COMMAND,
+ *             EXCHANGE_ADOPT / EXCHANGE_DROP (reconciler corrections)
+ * - decision  everything the engine decided: SIGNAL, ENTRY, EXIT, STOP_MOVE, SCALE_OUT
+ *
+ * Each decision carries `cause`, the seq of the input being processed.
+ * Lines are written synchronously so a crash loses at most the line in flight.
+ *
+ * Entry: { seq, ts, kind, type, symbol, cause?, data }
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const KINDS = ['meta', 'input', 'decision'];
+
+class SessionJournal extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {string} config.file - JSONL path; omit to keep entries in memory only
+   * @param {Function} config.clock - Time source for entry timestamps
+   */
+  constructor(config = {}) {
+    super();
+
+    this.file = config.file || null;
+    this.clock = config.clock || (() => Date.now());
+    this.seq = 0;
+    this.cause = null;
+    this.entries = this.file ? null : [];
+
+    if (this.file) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+  }
+
+  /**
+   * Journal for a new session file under dir
+   */
+  static create(dir, mode, clock) {
+    const stamp = new Date((clock || Date.now)()).toISOString().replace(/[-:]/g, '').replace(/\..+/, '');
+    return new SessionJournal({ file: path.join(dir, `session-${mode}-${stamp}.jsonl`), clock });
+  }
+
+  /**
+   * Read a journal file back into entries (blank / truncated last line skipped)
+   */
+  static read(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    const entries = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      try {
+        entries.push(JSON.parse(lines[i]));
+      } catch (error) {
+        if (i < lines.length - 2) throw new Error(`${file}:${i + 1}: ${error.message}`);
+      }
+    }
+
+    return entries;
+  }
+
+  meta(type, data) {
+    return this._append('meta', type, null, data);
+  }
+
+  /**
+   * Record an input; decisions recorded until the next input point back to it
+   */
+  input(type, symbol, data) {
+    const entry = this._append('input', type, symbol, data);
+    this.cause = entry.seq;
+    return entry;
+  }
+
+  decision(type, symbol, data) {
+    return this._append('decision', type, symbol, data, this.cause);
+  }
+
+  _append(kind, type, symbol, data, cause = undefined) {
+    if (!KINDS.includes(kind)) throw new Error(`Unknown journal kind: ${kind}`);
+
+    const raw = { seq: ++this.seq, ts: this.clock(), kind, type, symbol };
+    if (cause !== undefined) raw.cause = cause;
+    raw.data = data === undefined ? null : data;
+
+    // Stored exactly as replay will read it back (Decimals as strings, no undefined)
+    const line = JSON.stringify(raw);
+    const entry = JSON.parse(line);
+
+    if (this.file) {
+      fs.appendFileSync(this.file, line + '\n');
+    } else {
+      this.entries.push(entry);
+    }
+
+    this.emit('entry', entry);
+    return entry;
+  }
+}
+
+module.exports = SessionJournal;
@@ -0,0 +1,265 @@
+/**
+ * Session Replayer
+ *
+ * Re-runs a SessionJournal through TradingEngineV3 and reports where the
+ * replayed decisions differ from the recorded ones.
+ *
+ * The engine starts from the SESSION_START snapshot, its clock is pinned to
+ * each input's timestamp, and every input is dispatched the way it originally
+ * reached the engine (candles to processUpdate, CONFIG_CHANGE to updateConfig,
+ * commands to start/stop/reset/closeAllPositions, reconciler corrections to
+ * adoptPosition/dropPosition). Live sessions replay against a SimulatedExchange
+ * so no orders leave the process.
+ *
+ * Decisions are compared per input (recorded entries whose `cause` is the
+ * input's seq vs. what the replay emitted while handling it), in order, by
+ * type, symbol and data. Timestamps and ids derived from the clock are ignored.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TradingEngineV3 = require('./TradingEngineV3');
+const SessionJournal = require('./SessionJournal');
+const SimulatedExchange = require('../exchange/SimulatedExchange');
+
+// Fields that identify or time a decision rather than describe it
+const IGNORED_FIELDS = new Set(['id', 'time', 'timestamp', 'entryTime', 'exitTime', 'duration']);
+
+const COMMANDS = ['start', 'stop', 'reset', 'closeAllPositions'];
+
+// Context-only inputs: journaled for the record, not consumed by the engine
+const MARKET_DATA = ['TICKER', 'BOOK', 'FUNDING'];
+
+class SessionReplayer {
+  /**
+   * @param {Object} config
+   * @param {number} config.tolerance - Relative tolerance for numeric fields (default 1e-9)
+   * @param {Object} config.engineConfig - Extra TradingEngineV3 config for the replay engine
+   */
+  constructor(config = {}) {
+    this.tolerance = config.tolerance !== undefined ? config.tolerance : 1e-9;
+    this.engineConfig = config.engineConfig || {};
+  }
+
+  /**
+   * Replay a journal file or an array of journal entries
+   * @returns {Promise<Object>} Report (see _buildReport)
+   */
+  async replay(source) {
+    const entries = typeof source === 'string' ? SessionJournal.read(source) : source;
+    const meta = entries.find(e => e.kind === 'meta' && e.type === 'SESSION_START');
+    if (!meta) {
+      throw new Error('Journal has no SESSION_START entry');
+    }
+
+    const recorded = new Map();
+    for (const entry of entries) {
+      if (entry.kind !== 'decision' || entry.cause == null) continue;
+      if (!recorded.has(entry.cause)) recorded.set(entry.cause, []);
+      recorded.get(entry.cause).push(entry);
+    }
+
+    let now = meta.ts;
+    const clock = () => now;
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-replay-'));
+    const journal = new SessionJournal({ clock });
+    const exchange = meta.data.mode === 'live'
+      ? new SimulatedExchange({ balance: 1e12, slippage: 0, clock })
+      : undefined;
+
+    const inputs = entries.filter(e => e.kind === 'input');
+    const divergences = [];
+    const errors = [];
+    const inputCounts = {};
+    let replayedCount = 0;
+
+    try {
+      const engine = new TradingEngineV3({
+        ...this.engineConfig,
+        mode: meta.data.mode,
+        exchange,
+        logDir,
+        clock,
+        journal,
+        reconcile: false
+      });
+      engine.restoreSnapshot(meta.data);
+
+      let replayed = [];
+      journal.on('entry', entry => {
+        if (entry.kind === 'decision') replayed.push(entry);
+      });
+
+      for (const input of inputs) {
+        now = input.ts;
+        replayed = [];
+        inputCounts[input.type] = (inputCounts[input.type] || 0) + 1;
+
+        try {
+          await this._dispatch(engine, exchange, input);
+        } catch (error) {
+          errors.push({ inputSeq: input.seq, inputType: input.type, symbol: input.symbol, message: error.message });
+        }
+
+        replayedCount += replayed.length;
+        divergences.push(...this._compare(input, recorded.get(input.seq) || [], replayed));
+      }
+
+      engine.stop();
+      return this._buildReport(meta, inputCounts, recorded, replayedCount, divergences, errors, engine);
+    } finally {
+      fs.rmSync(logDir, { recursive: true, force: true });
+    }
+  }
+
+  async _dispatch(engine, exchange, input) {
+    const { type, symbol, data } = input;
+
+    switch (type) {
+      case 'CANDLE':
+        if (exchange && data.candle) exchange.setPrice(symbol, data.candle.close);
+        await engine.processUpdate(symbol, data);
+        break;
+      case 'CONFIG_CHANGE':
+        engine.updateConfig(data);
+        break;
+      case 'COMMAND':
+        if (!COMMANDS.includes(data.name)) {
+          throw new Error(`Unknown command: ${data.name}`);
+        }
+        await engine[data.name](...(data.args || []));
+        break;
+      case 'EXCHANGE_ADOPT':
+        if (exchange && data.markPrice) exchange.setPrice(symbol, data.markPrice);
+        engine.adoptPosition(data);
+        break;
+      case 'EXCHANGE_DROP':
+        engine.dropPosition(symbol, data.reason);
+        break;
+      default:
+        if (!MARKET_DATA.includes(type)) {
+          throw new Error(`Unknown input type: ${type}`);
+        }
+        engine.recordMarketData(type, symbol, data);
+    }
+  }
+
+  /**
+   * Pair recorded and replayed decisions of one input in order
+   */
+  _compare(input, recorded, replayed) {
+    const divergences = [];
+    const base = { inputSeq: input.seq, inputType: input.type, symbol: input.symbol, ts: input.ts };
+
+    for (let i = 0; i < Math.max(recorded.length, replayed.length); i++) {
+      const rec = recorded[i] || null;
+      const rep = replayed[i] || null;
+
+      if (rec && rep && rec.type === rep.type && rec.symbol === rep.symbol) {
+        const fields = this._diffFields(rec.data, rep.data);
+        if (fields.length > 0) {
+          divergences.push({ ...base, kind: 'CHANGED', recorded: rec, replayed: rep, fields });
+        }
+        continue;
+      }
+
+      if (rec) divergences.push({ ...base, kind: 'MISSING', recorded: rec, replayed: null, fields: [] });
+      if (rep) divergences.push({ ...base, kind: 'EXTRA', recorded: null, replayed: rep, fields: [] });
+    }
+
+    return divergences;
+  }
+
+  /**
+   * Paths of fields that differ between two JSON values
+   */
+  _diffFields(a, b, prefix = '') {
+    if (typeof a === 'number' && typeof b === 'number') {
+      return this._numbersEqual(a, b) ? [] : [prefix || '(value)'];
+    }
+    if (typeof a === 'string' && typeof b === 'string' && a !== b && a.trim() !== '' && b.trim() !== '') {
+      // Decimal fields are journaled as strings
+      const x = Number(a);
+      const y = Number(b);
+      if (Number.isFinite(x) && Number.isFinite(y)) {
+        return this._numbersEqual(x, y) ? [] : [prefix || '(value)'];
+      }
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object' && Array.isArray(a) === Array.isArray(b)) {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      const fields = [];
+      for (const key of keys) {
+        if (IGNORED_FIELDS.has(key)) continue;
+        const field = prefix ? `${prefix}.${key}` : key;
+        fields.push(...this._diffFields(a[key], b[key], field));
+      }
+      return fields;
+    }
+    return a === b ? [] : [prefix || '(value)'];
+  }
+
+  _numbersEqual(a, b) {
+    if (a === b) return true;
+    return Math.abs(a - b) <= this.tolerance * Math.max(Math.abs(a), Math.abs(b), 1);
+  }
+
+  _buildReport(meta, inputCounts, recorded, replayedCount, divergences, errors, engine) {
+    let recordedCount = 0;
+    for (const list of recorded.values()) recordedCount += list.length;
+
+    return {
+      mode: meta.data.mode,
+      startedAt: meta.ts,
+      inputs: inputCounts,
+      decisions: { recorded: recordedCount, replayed: replayedCount },
+      identical: divergences.length === 0 && errors.length === 0,
+      firstDivergence: divergences[0] || null,
+      divergences,
+      errors,
+      finalState: {
+        balance: engine.balance.toNumber(),
+        positions: engine.getPositions().map(p => p.symbol),
+        trades: engine.trades.length
+      }
+    };
+  }
+
+  /**
+   * Human-readable summary of a replay report
+   */
+  static formatReport(report, maxDivergences = 20) {
+    const lines = [];
+    const inputs = Object.entries(report.inputs).map(([type, n]) => `${type}=${n}`).join(' ') || 'none';
+
+    lines.push(`Mode: ${report.mode}`);
+    lines.push(`Inputs: ${inputs}`);
+    lines.push(`Decisions: recorded=${report.decisions.recorded} replayed=${report.decisions.replayed}`);
+    lines.push(`Final balance: ${report.finalState.balance.toFixed(2)} (${report.finalState.trades} trades, open: ${report.finalState.positions.join(', ') || 'none'})`);
+
+    if (report.identical) {
+      lines.push('Result: IDENTICAL');
+      return lines.join('\n');
+    }
+
+    lines.push(`Result: DIVERGED (${report.divergences.length} divergence(s), ${report.errors.length} error(s))`);
+    for (const d of report.divergences.slice(0, maxDivergences)) {
+      const decision = d.recorded || d.replayed;
+      const detail = d.kind === 'CHANGED' ? ` fields: ${d.fields.join(', ')}` : '';
+      lines.push(`  #${d.inputSeq} ${d.inputType} ${d.symbol || '-'} -> ${d.kind} ${decision.type}${detail}`);
+    }
+    if (report.divergences.length > maxDivergences) {
+      lines.push(`  ... ${report.divergences.length - maxDivergences} more`);
+    }
+    for (const e of report.errors) {
+      lines.push(`  #${e.inputSeq} ${e.inputType} ${e.symbol || '-'} -> ERROR ${e.message}`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+SessionReplayer.IGNORED_FIELDS = IGNORED_FIELDS;
+
+module.exports = SessionReplayer;
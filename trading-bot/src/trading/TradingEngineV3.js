@@ -10,6 +10,7 @@
  * - Implements risk management: 5x leverage, 8% SL, 25% TP
  * - Safety kill switches for live trading
  * - Break-even and trailing stop protection
+ * - Per-trade MAE/MFE, time-to-MFE and bars held (src/utils/ExcursionTracker)
  *
  * Usage:
  *   const engine = new TradingEngineV3({ mode: 'paper' });  // or 'live'
@@ -20,10 +21,14 @@ const EventEmitter = require('events');
 const Decimal = require('decimal.js');
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-const axios = require('axios');
 
 const SignalGeneratorV2 = require('../lib/SignalGeneratorV2');
+const KuCoinAdapter = require('../exchange/KuCoinAdapter');
+const PositionReconciler = require('./PositionReconciler');
+const TakeProfitLadder = require('../utils/TakeProfitLadder');
+const SessionJournal = require('./SessionJournal');
+const ExcursionTracker = require('../utils/ExcursionTracker');
+const ATRIndicator = require('../indicators/ATRIndicator');
 
 // Load signal weights
 let signalWeights;
@@ -33,6 +38,13 @@ try {
   signalWeights = null;
 }
 
+// Position fields held as Decimal (serialized as strings in positions-live.json)
+const DECIMAL_POSITION_FIELDS = [
+  'entryPrice', 'currentPrice', 'quantity', 'marginUsed', 'positionValue',
+  'stopLoss', 'initialStopLoss', 'takeProfit', 'unrealizedPnl',
+  'initialQuantity', 'initialMarginUsed', 'realizedPnl'
+];
+
 class TradingEngineV3 extends EventEmitter {
   constructor(config = {}) {
     super();
@@ -40,8 +52,17 @@ class TradingEngineV3 extends EventEmitter {
     // Trading mode: 'paper' or 'live'
     this.mode = config.mode || process.env.BOT_MODE || 'paper';
 
-    // SAFETY: Live trading requires explicit enable
-    this.liveEnabled = process.env.ENABLE_LIVE_TRADING === 'true';
+    // Time source (injected for deterministic replay)
+    this.clock = config.clock || (() => Date.now());
+
+    // Bar length for bars-held when candles carry no open time
+    this.barMs = config.barMs || ExcursionTracker.DEFAULT_BAR_MS;
+
+    // Exchange adapter (KuCoin unless one is injected)
+    this.exchange = config.exchange || new KuCoinAdapter();
+
+    // SAFETY: Live trading requires explicit enable (simulated exchanges move no funds)
+    this.liveEnabled = process.env.ENABLE_LIVE_TRADING === 'true' || this.exchange.simulated === true;
 
     if (this.mode === 'live' && !this.liveEnabled) {
       console.warn('[TradingEngineV3] SAFETY: Live trading disabled. Set ENABLE_LIVE_TRADING=true in .env');
@@ -52,13 +73,6 @@ class TradingEngineV3 extends EventEmitter {
     this.initialBalance = new Decimal(config.initialBalance || parseFloat(process.env.INITIAL_BALANCE) || 10000);
     this.balance = new Decimal(this.initialBalance);
 
-    // API Configuration
-    this.apiKey = process.env.KUCOIN_API_KEY;
-    this.apiSecret = process.env.KUCOIN_API_SECRET;
-    this.apiPassphrase = process.env.KUCOIN_API_PASSPHRASE;
-    this.apiVersion = process.env.KUCOIN_API_VERSION || '2';
-    this.apiBase = 'https://api-futures.kucoin.com';
-
     // Risk Management - OPTIMIZED 2026-01-14
     this.riskConfig = {
       // Leverage
@@ -70,6 +84,9 @@ class TradingEngineV3 extends EventEmitter {
       stopLossROI: parseFloat(process.env.STOP_LOSS_ROI) || 10,      // 10% ROI
       takeProfitROI: parseFloat(process.env.TAKE_PROFIT_ROI) || 30,  // 30% ROI
 
+      // Scale-out ladder, e.g. "10:40,20:30" (replaces takeProfitROI; remainder trails)
+      takeProfitLadder: TakeProfitLadder.from(config.takeProfitLadder || process.env.TP_LADDER),
+
       // Break-Even Protection
       breakEvenEnabled: process.env.BREAK_EVEN_ENABLED !== 'false',
       breakEvenActivation: parseFloat(process.env.BREAK_EVEN_ACTIVATION) || 8,  // 8% ROI
@@ -135,15 +152,42 @@ class TradingEngineV3 extends EventEmitter {
     };
 
     // Logging
-    this.logDir = path.join(__dirname, '../../logs');
-    this.logFile = path.join(this.logDir, `trading-${this.mode}-${Date.now()}.log`);
+    this.logDir = config.logDir || path.join(__dirname, '../../logs');
+    this.logFile = path.join(this.logDir, `trading-${this.mode}-${this.clock()}.log`);
 
     this._ensureLogDir();
+
+    // Live positions survive restarts and are checked against the exchange on start
+    this.positionsFile = path.join(this.logDir, `positions-${this.mode}.json`);
+    this.reconciler = null;
+    if (this.mode === 'live') {
+      this._loadPositions();
+    }
+    if (this.mode === 'live' && config.reconcile !== false) {
+      this.reconciler = new PositionReconciler({
+        exchange: this.exchange,
+        engine: this,
+        intervalMs: config.reconcileIntervalMs,
+        audit: config.audit,
+        logDir: this.logDir
+      });
+    }
+
     this._log('info', `TradingEngineV3 initialized in ${this.mode.toUpperCase()} mode`, {
       balance: this.balance.toNumber(),
       riskConfig: this.riskConfig,
       signalConfig: this.signalConfig
     });
+
+    // Session journal for replay (config.journal: SessionJournal instance or true, or SESSION_JOURNAL=true)
+    const journal = config.journal !== undefined ? config.journal : process.env.SESSION_JOURNAL === 'true';
+    this.journal = journal instanceof SessionJournal
+      ? journal
+      : journal ? SessionJournal.create(path.join(this.logDir, 'journals'), this.mode, this.clock) : null;
+    if (this.journal) {
+      this.journal.meta('SESSION_START', this.getSessionSnapshot());
+      this._log('info', `Session journal: ${this.journal.file || 'in memory'}`);
+    }
   }
 
   // ============================================================================
@@ -156,6 +200,7 @@ class TradingEngineV3 extends EventEmitter {
   async processUpdate(symbol, data) {
     if (!this.isRunning) return null;
 
+    this._journalInput('CANDLE', symbol, data);
     const { candle, indicators, microstructure } = data;
 
     if (!candle || !indicators) {
@@ -166,6 +211,7 @@ class TradingEngineV3 extends EventEmitter {
     // Generate signal
     const signal = this.signalGenerator.generate(indicators, microstructure || {});
     this.signals.set(symbol, signal);
+    this._journalDecision('SIGNAL', symbol, this.signalGenerator.getSummary(signal));
 
     // Update existing position
     if (this.positions.has(symbol)) {
@@ -191,7 +237,7 @@ class TradingEngineV3 extends EventEmitter {
   async _checkEntry(symbol, candle, signal, indicators, microstructure) {
     // Check cooldown
     const lastSignal = this.lastSignalTime.get(symbol) || 0;
-    if (Date.now() - lastSignal < this.signalConfig.cooldownMs) {
+    if (this.clock() - lastSignal < this.signalConfig.cooldownMs) {
       return;
     }
 
@@ -231,7 +277,7 @@ class TradingEngineV3 extends EventEmitter {
     const side = signal.type.includes('BUY') ? 'long' : 'short';
 
     // Calculate position parameters
-    const atrPercent = indicators.atr?.percentValue || 2.0;
+    const atrPercent = ATRIndicator.readAtrPercent(indicators.atr) ?? ATRIndicator.FALLBACK_ATR_PERCENT;
     const leverage = this._calculateLeverage(atrPercent);
     const positionSizeUSD = this._calculatePositionSize(signal, atrPercent);
 
@@ -245,17 +291,18 @@ class TradingEngineV3 extends EventEmitter {
       positionSizeUSD: limitedSize,
       leverage,
       signal,
-      atrPercent
+      atrPercent,
+      barTime: candle.ts ?? null
     });
 
-    this.lastSignalTime.set(symbol, Date.now());
+    this.lastSignalTime.set(symbol, this.clock());
   }
 
   /**
    * Enter a new position
    */
   async _enterPosition(symbol, config) {
-    const { side, entryPrice, positionSizeUSD, leverage, signal, atrPercent } = config;
+    const { side, entryPrice, positionSizeUSD, leverage, signal, atrPercent, barTime = null } = config;
 
     // Calculate position details
     const marginUsed = new Decimal(positionSizeUSD);
@@ -263,24 +310,11 @@ class TradingEngineV3 extends EventEmitter {
     const quantity = positionValue.div(entryPrice);
 
     // Calculate stop loss and take profit (ROI-based)
-    const slROI = this.riskConfig.stopLossROI;
-    const tpROI = this.riskConfig.takeProfitROI;
-
-    // Convert ROI to price distance (ROI = price_change * leverage / entry)
-    const slPriceChange = (slROI / 100) / leverage;
-    const tpPriceChange = (tpROI / 100) / leverage;
-
-    const stopLoss = side === 'long'
-      ? new Decimal(entryPrice).mul(1 - slPriceChange)
-      : new Decimal(entryPrice).mul(1 + slPriceChange);
-
-    const takeProfit = side === 'long'
-      ? new Decimal(entryPrice).mul(1 + tpPriceChange)
-      : new Decimal(entryPrice).mul(1 - tpPriceChange);
+    const { stopLoss, takeProfit } = this._protectiveLevels(side, entryPrice, leverage);
 
     // Create position object
     const position = {
-      id: `${symbol}-${Date.now()}`,
+      id: `${symbol}-${this.clock()}`,
       symbol,
       side,
       entryPrice: new Decimal(entryPrice),
@@ -298,17 +332,38 @@ class TradingEngineV3 extends EventEmitter {
       unrealizedPnl: new Decimal(0),
       unrealizedROI: 0,
       signal: this.signalGenerator.getSummary(signal),
-      entryTime: Date.now(),
+      regime: ExcursionTracker.regimeOf(signal),
+      entryTime: this.clock(),
+      excursion: ExcursionTracker.start({ side, entryPrice, leverage, time: this.clock(), barTime, barMs: this.barMs }),
       atrPercent,
-      status: 'open'
+      // Live entries stay pending while the order is in flight; the reconciler skips them
+      status: this.mode === 'live' ? 'pending' : 'open'
     };
 
+    this._attachLadder(position);
+
     // Save position
     this.positions.set(symbol, position);
+    this._journalDecision('ENTRY', symbol, {
+      side,
+      entryPrice,
+      quantity: quantity.toNumber(),
+      leverage,
+      marginUsed: marginUsed.toNumber(),
+      stopLoss: stopLoss.toNumber(),
+      takeProfit: position.takeProfit.toNumber(),
+      ladder: position.ladder ? position.ladder.map(l => ({ price: l.price, size: l.size })) : null
+    });
 
     // Execute on exchange (live mode)
     if (this.mode === 'live') {
-      await this._executeLiveEntry(position);
+      try {
+        await this._executeLiveEntry(position);
+      } finally {
+        // Filled or not, the exchange now knows: the next reconcile pass settles it
+        position.status = 'open';
+      }
+      this._savePositions();
     }
 
     this._log('info', `ENTRY: ${symbol} ${side.toUpperCase()}`, {
@@ -316,7 +371,8 @@ class TradingEngineV3 extends EventEmitter {
       size: positionSizeUSD.toFixed(2),
       leverage: `${leverage}x`,
       sl: stopLoss.toFixed(4),
-      tp: takeProfit.toFixed(4),
+      tp: position.takeProfit.toFixed(4),
+      ladder: position.ladder ? position.ladder.map(l => `${l.percent}%@${l.price.toFixed(4)}`).join(' ') : undefined,
       score: signal.score,
       confidence: signal.confidence
     });
@@ -325,6 +381,133 @@ class TradingEngineV3 extends EventEmitter {
     return position;
   }
 
+  /**
+   * Stop loss and take profit prices for an entry (ROI-based)
+   */
+  _protectiveLevels(side, entryPrice, leverage) {
+    const slROI = this.riskConfig.stopLossROI;
+    const tpROI = this.riskConfig.takeProfitROI;
+
+    // Convert ROI to price distance (ROI = price_change * leverage / entry)
+    const slPriceChange = (slROI / 100) / leverage;
+    const tpPriceChange = (tpROI / 100) / leverage;
+
+    const stopLoss = side === 'long'
+      ? new Decimal(entryPrice).mul(1 - slPriceChange)
+      : new Decimal(entryPrice).mul(1 + slPriceChange);
+
+    const takeProfit = side === 'long'
+      ? new Decimal(entryPrice).mul(1 + tpPriceChange)
+      : new Decimal(entryPrice).mul(1 - tpPriceChange);
+
+    return { stopLoss, takeProfit };
+  }
+
+  /**
+   * Split the take-profit into the configured ladder. Sizes are whole
+   * contracts in live mode; positions too small to split keep the single TP.
+   */
+  _attachLadder(position) {
+    const ladder = this.riskConfig.takeProfitLadder;
+    if (!ladder) return;
+
+    const plan = ladder.build({
+      side: position.side,
+      entryPrice: position.entryPrice.toNumber(),
+      leverage: position.leverage,
+      size: position.quantity.toNumber(),
+      lotSize: this.mode === 'live' ? 1 : 0,
+      feeRate: this.riskConfig.takerFee
+    });
+    if (plan.length === 0) return;
+
+    Object.assign(position, {
+      ladder: plan,
+      takeProfit: new Decimal(plan[0].price),
+      initialQuantity: position.quantity,
+      initialMarginUsed: position.marginUsed,
+      realizedPnl: new Decimal(0),
+      fills: []
+    });
+  }
+
+  /**
+   * Take over a position found on the exchange with no local record
+   * (crash between order fill and state write, manual trade, etc.)
+   * @param {Object} info - Normalized exchange position { symbol, side, size, entryPrice, leverage, markPrice }
+   */
+  adoptPosition(info) {
+    this._journalInput('EXCHANGE_ADOPT', info.symbol, info);
+    const leverage = info.leverage || this.riskConfig.leverageDefault;
+    const entryPrice = new Decimal(info.entryPrice);
+    const quantity = new Decimal(info.size);
+    const positionValue = quantity.mul(entryPrice);
+    const { stopLoss, takeProfit } = this._protectiveLevels(info.side, entryPrice, leverage);
+
+    const position = {
+      id: `${info.symbol}-${this.clock()}`,
+      symbol: info.symbol,
+      side: info.side,
+      entryPrice,
+      currentPrice: new Decimal(info.markPrice || info.entryPrice),
+      quantity,
+      leverage,
+      marginUsed: positionValue.div(leverage),
+      positionValue,
+      stopLoss,
+      initialStopLoss: stopLoss,
+      takeProfit,
+      breakEvenActivated: false,
+      trailingActivated: false,
+      highestPnlROI: 0,
+      unrealizedPnl: new Decimal(0),
+      unrealizedROI: 0,
+      signal: null,
+      regime: null,
+      entryTime: this.clock(),
+      excursion: ExcursionTracker.start({ side: info.side, entryPrice, leverage, time: this.clock(), barMs: this.barMs }),
+      atrPercent: null,
+      adopted: true,
+      status: 'open'
+    };
+    this._attachLadder(position);
+
+    this.positions.set(info.symbol, position);
+    this._savePositions();
+
+    this._log('warn', `ADOPTED: ${info.symbol} ${info.side.toUpperCase()} from exchange`, {
+      size: info.size,
+      entry: info.entryPrice,
+      leverage: `${leverage}x`,
+      sl: stopLoss.toFixed(4),
+      tp: position.takeProfit.toFixed(4)
+    });
+
+    this.emit('positionAdopted', position);
+    return position;
+  }
+
+  /**
+   * Forget a local position the exchange no longer holds.
+   * No trade is recorded: the exit price and fees are unknown.
+   */
+  dropPosition(symbol, reason) {
+    const position = this.positions.get(symbol);
+    if (!position) return null;
+    this._journalInput('EXCHANGE_DROP', symbol, { reason });
+
+    this.positions.delete(symbol);
+    this._savePositions();
+
+    this._log('warn', `DROPPED: ${symbol} ${position.side.toUpperCase()} (${reason})`, {
+      entry: position.entryPrice.toFixed(4),
+      size: Math.floor(position.quantity.toNumber())
+    });
+
+    this.emit('positionDropped', { position, reason });
+    return position;
+  }
+
   /**
    * Update existing position with new price
    */
@@ -334,6 +517,7 @@ class TradingEngineV3 extends EventEmitter {
 
     const currentPrice = new Decimal(candle.close);
     position.currentPrice = currentPrice;
+    ExcursionTracker.update(position.excursion, candle.close, this.clock(), candle.ts ?? null);
 
     // Calculate unrealized P&L
     const priceDiff = position.side === 'long'
@@ -373,17 +557,117 @@ class TradingEngineV3 extends EventEmitter {
       ? currentPrice.lte(position.stopLoss)
       : currentPrice.gte(position.stopLoss);
 
-    const tpHit = position.side === 'long'
+    // Runner (ladder fully taken) has no take-profit
+    const tpHit = position.takeProfit !== null && (position.side === 'long'
       ? currentPrice.gte(position.takeProfit)
-      : currentPrice.lte(position.takeProfit);
+      : currentPrice.lte(position.takeProfit));
 
     if (slHit) {
       await this._closePosition(symbol, 'STOP_LOSS', position.stopLoss);
+    } else if (tpHit && position.ladder) {
+      await this._scaleOut(symbol, currentPrice);
     } else if (tpHit) {
       await this._closePosition(symbol, 'TAKE_PROFIT', position.takeProfit);
+    } else if (this.mode === 'live') {
+      this._savePositions();
     }
   }
 
+  /**
+   * Fill every ladder level the price has reached. The level that would
+   * leave nothing open closes the position instead (one trade, all fills).
+   */
+  async _scaleOut(symbol, currentPrice) {
+    const position = this.positions.get(symbol);
+
+    for (const level of position.ladder) {
+      if (level.filled) continue;
+
+      const reached = position.side === 'long' ? currentPrice.gte(level.price) : currentPrice.lte(level.price);
+      if (!reached) break;
+
+      const remaining = this.mode === 'live' ? position.quantity.floor() : position.quantity;
+      if (remaining.lte(level.size)) {
+        level.filled = true;
+        await this._closePosition(symbol, 'TAKE_PROFIT', new Decimal(level.price));
+        return;
+      }
+
+      await this._fillLadderLevel(position, level);
+    }
+
+    if (this.mode === 'live') this._savePositions();
+  }
+
+  /**
+   * Book one ladder level: PnL and fees pro rata, stop moved, next level armed
+   */
+  async _fillLadderLevel(position, level) {
+    const price = new Decimal(level.price);
+    const fraction = new Decimal(level.size).div(position.quantity);
+    const valueClosed = position.positionValue.mul(fraction);
+    const marginClosed = position.marginUsed.mul(fraction);
+
+    const priceDiff = position.side === 'long'
+      ? price.minus(position.entryPrice)
+      : position.entryPrice.minus(price);
+    const fee = valueClosed.mul(this.riskConfig.takerFee * 2);
+    const netPnl = priceDiff.div(position.entryPrice).mul(valueClosed).minus(fee);
+
+    if (this.mode === 'live') {
+      await this._executeLiveScaleOut(position, level);
+    }
+
+    this.balance = this.balance.plus(netPnl);
+    position.quantity = position.quantity.minus(level.size);
+    position.positionValue = position.positionValue.minus(valueClosed);
+    position.marginUsed = position.marginUsed.minus(marginClosed);
+    position.realizedPnl = position.realizedPnl.plus(netPnl);
+    level.filled = true;
+
+    const fill = {
+      level: level.level,
+      price: level.price,
+      size: level.size,
+      fee: fee.toNumber(),
+      pnl: netPnl.toNumber(),
+      time: this.clock()
+    };
+    position.fills.push(fill);
+
+    // Lock in profit: stop to break-even after the first level, previous level after later ones
+    const stopPrice = new Decimal(level.stopPrice);
+    const isImprovement = position.side === 'long' ? stopPrice.gt(position.stopLoss) : stopPrice.lt(position.stopLoss);
+    if (isImprovement) {
+      this._journalStopMove(position, stopPrice, 'ladder');
+      position.stopLoss = stopPrice;
+      position.breakEvenActivated = true;
+    }
+
+    const next = position.ladder.find(l => !l.filled);
+    position.takeProfit = next ? new Decimal(next.price) : null;
+    if (!next) {
+      position.trailingActivated = this.riskConfig.trailingEnabled;
+    }
+
+    this._log('info', `SCALE-OUT: ${position.symbol} TP${level.level} ${level.percent}%`, {
+      price: level.price.toFixed(4),
+      size: level.size,
+      pnl: `${netPnl.gte(0) ? '+' : ''}$${netPnl.toFixed(2)}`,
+      sl: position.stopLoss.toFixed(4),
+      next: next ? next.price.toFixed(4) : 'runner'
+    });
+
+    if (this.mode === 'live') {
+      await this.placeProtectiveStop(position, 'stopLoss');
+      if (position.takeProfit) await this.placeProtectiveStop(position, 'takeProfit');
+    }
+
+    this._journalDecision('SCALE_OUT', position.symbol, fill);
+    this.emit('positionScaledOut', { position, fill });
+    return fill;
+  }
+
   /**
    * Activate break-even stop
    */
@@ -403,6 +687,7 @@ class TradingEngineV3 extends EventEmitter {
       : breakEvenPrice.lt(position.stopLoss);
 
     if (isImprovement) {
+      this._journalStopMove(position, breakEvenPrice, 'break_even');
       position.stopLoss = breakEvenPrice;
       position.breakEvenActivated = true;
       this._log('info', `${position.symbol}: Break-even activated at ${breakEvenPrice.toFixed(4)}`);
@@ -426,6 +711,7 @@ class TradingEngineV3 extends EventEmitter {
       : newStopLoss.lt(position.stopLoss);
 
     if (isImprovement) {
+      this._journalStopMove(position, newStopLoss, 'trailing');
       position.stopLoss = newStopLoss;
     }
   }
@@ -460,19 +746,49 @@ class TradingEngineV3 extends EventEmitter {
     }
 
     // Record trade
+    const { excursion: _state, ...fields } = position;
     const trade = {
-      ...position,
+      ...fields,
+      ...ExcursionTracker.finish(position.excursion, exitPrice, this.clock()),
       exitPrice,
-      exitTime: Date.now(),
-      duration: Date.now() - position.entryTime,
+      exitTime: this.clock(),
+      duration: this.clock() - position.entryTime,
       realizedPnl: netPnl.toNumber(),
       realizedROI,
       reason,
       status: 'closed'
     };
 
+    // Ladder: one trade per position, PnL and fees summed over every fill
+    if (position.ladder) {
+      const finalLevel = position.ladder.find(l => l.filled && !position.fills.some(f => f.level === l.level));
+      const totalPnl = netPnl.plus(position.realizedPnl);
+      Object.assign(trade, {
+        quantity: position.initialQuantity,
+        marginUsed: position.initialMarginUsed,
+        positionValue: position.initialQuantity.mul(position.entryPrice),
+        realizedPnl: totalPnl.toNumber(),
+        realizedROI: totalPnl.div(position.initialMarginUsed).mul(100).toNumber(),
+        fills: [...position.fills, {
+          level: finalLevel ? finalLevel.level : null,
+          price: exitPrice.toNumber(),
+          size: position.quantity.toNumber(),
+          fee: fees.toNumber(),
+          pnl: netPnl.toNumber(),
+          time: trade.exitTime,
+          reason
+        }]
+      });
+    }
+
     this.trades.push(trade);
     this.positions.delete(symbol);
+    this._journalDecision('EXIT', symbol, {
+      reason,
+      exitPrice: exitPrice.toNumber(),
+      realizedPnl: trade.realizedPnl,
+      realizedROI: trade.realizedROI
+    });
 
     // Update metrics
     this._updateMetrics(trade);
@@ -480,14 +796,15 @@ class TradingEngineV3 extends EventEmitter {
     this._log('info', `EXIT: ${symbol} ${reason}`, {
       entry: position.entryPrice.toFixed(4),
       exit: exitPrice.toFixed(4),
-      pnl: `${netPnl.gte(0) ? '+' : ''}$${netPnl.toFixed(2)}`,
-      roi: `${realizedROI >= 0 ? '+' : ''}${realizedROI.toFixed(2)}%`,
-      duration: `${Math.round((Date.now() - position.entryTime) / 60000)}m`,
+      pnl: `${trade.realizedPnl >= 0 ? '+' : ''}$${trade.realizedPnl.toFixed(2)}`,
+      roi: `${trade.realizedROI >= 0 ? '+' : ''}${trade.realizedROI.toFixed(2)}%`,
+      duration: `${Math.round(trade.duration / 60000)}m`,
       balance: `$${this.balance.toFixed(2)}`
     });
 
     this.emit('positionClosed', trade);
     this._saveTrades();
+    if (this.mode === 'live') this._savePositions();
 
     return trade;
   }
@@ -497,9 +814,10 @@ class TradingEngineV3 extends EventEmitter {
   // ============================================================================
 
   /**
-   * Calculate leverage based on volatility (ATR)
+   * Calculate leverage based on volatility (ATR% number or ATRIndicator reading)
    */
-  _calculateLeverage(atrPercent) {
+  _calculateLeverage(volatility) {
+    const atrPercent = ATRIndicator.readAtrPercent(volatility) ?? ATRIndicator.FALLBACK_ATR_PERCENT;
     const { leverageMin, leverageMax, leverageDefault } = this.riskConfig;
 
     // Lower leverage in high volatility
@@ -580,23 +898,24 @@ class TradingEngineV3 extends EventEmitter {
 
     try {
       // Set leverage
-      await this._apiRequest('POST', '/api/v1/position/risk-limit-level/change', {
-        symbol: position.symbol,
-        level: this._getLeverageLevel(position.leverage)
-      });
+      await this.exchange.setLeverage(position.symbol, position.leverage);
 
       // Place market order
       const orderSide = position.side === 'long' ? 'buy' : 'sell';
-      const orderResult = await this._apiRequest('POST', '/api/v1/orders', {
+      const orderResult = await this.exchange.placeOrder({
         clientOid: position.id,
         symbol: position.symbol,
         side: orderSide,
         type: 'market',
-        leverage: position.leverage.toString(),
+        leverage: position.leverage,
         size: Math.floor(position.quantity.toNumber())  // Contract quantity
       });
 
-      position.orderId = orderResult?.data?.orderId;
+      if (!orderResult.ok) {
+        throw new Error(`${orderResult.error.code}: ${orderResult.error.message}`);
+      }
+
+      position.orderId = orderResult.value.orderId;
       this._log('info', `Live order placed: ${position.orderId}`);
 
       // Place stop loss order
@@ -617,120 +936,101 @@ class TradingEngineV3 extends EventEmitter {
   async _executeLiveExit(position, exitPrice) {
     if (this.mode !== 'live') return;
 
-    try {
-      // Cancel any existing stop orders
-      await this._apiRequest('DELETE', `/api/v1/stopOrders?symbol=${position.symbol}`);
+    // Cancel any existing stop orders
+    await this.exchange.cancelAllStopOrders(position.symbol);
 
-      // Close position with market order
-      const orderSide = position.side === 'long' ? 'sell' : 'buy';
-      await this._apiRequest('POST', '/api/v1/orders', {
-        clientOid: `${position.id}-exit`,
-        symbol: position.symbol,
-        side: orderSide,
-        type: 'market',
-        size: Math.floor(position.quantity.toNumber()),
-        reduceOnly: true
-      });
+    // Close position with market order
+    const orderSide = position.side === 'long' ? 'sell' : 'buy';
+    const result = await this.exchange.placeOrder({
+      clientOid: `${position.id}-exit`,
+      symbol: position.symbol,
+      side: orderSide,
+      type: 'market',
+      size: Math.floor(position.quantity.toNumber()),
+      reduceOnly: true
+    });
 
-      this._log('info', `Live exit executed: ${position.symbol}`);
+    if (!result.ok) {
+      this._log('error', `Live exit failed: ${result.error.message}`, { symbol: position.symbol, code: result.error.code });
+      return;
+    }
 
-    } catch (error) {
-      this._log('error', `Live exit failed: ${error.message}`, { symbol: position.symbol });
+    this._log('info', `Live exit executed: ${position.symbol}`);
+  }
+
+  /**
+   * Reduce the exchange position by one ladder level. Skipped when the
+   * level's own take-profit stop already filled on the exchange.
+   */
+  async _executeLiveScaleOut(position, level) {
+    if (this.mode !== 'live') return;
+
+    await this.exchange.cancelAllStopOrders(position.symbol);
+
+    const expectedAfter = Math.floor(position.quantity.toNumber()) - level.size;
+    const current = await this.exchange.getPosition(position.symbol);
+    if (current.ok && current.value && current.value.size <= expectedAfter) {
+      this._log('info', `TP${level.level} already filled on exchange: ${position.symbol}`);
+      return;
+    }
+
+    const result = await this.exchange.placeOrder({
+      clientOid: `${position.id}-tp${level.level}`,
+      symbol: position.symbol,
+      side: position.side === 'long' ? 'sell' : 'buy',
+      type: 'market',
+      size: level.size,
+      reduceOnly: true
+    });
+
+    if (!result.ok) {
+      this._log('error', `Live scale-out failed: ${result.error.message}`, { symbol: position.symbol, code: result.error.code, level: level.level });
     }
   }
 
+  /**
+   * Re-place a missing stop loss / take profit for an open position.
+   * A fresh clientOid is used since the original may already be taken.
+   */
+  async placeProtectiveStop(position, type) {
+    return this._placeStopOrder(position, type, `${position.id}-${type}-${this.clock()}`);
+  }
+
   /**
    * Place stop order on KuCoin
    */
-  async _placeStopOrder(position, type) {
-    if (this.mode !== 'live') return;
+  async _placeStopOrder(position, type, clientOid = `${position.id}-${type}`) {
+    if (this.mode !== 'live') return null;
 
     const isStopLoss = type === 'stopLoss';
     const price = isStopLoss ? position.stopLoss : position.takeProfit;
+    if (!price) return null;
+
+    // Ladder take-profit covers only the next level
+    const nextLevel = !isStopLoss && position.ladder ? position.ladder.find(l => !l.filled) : null;
+    const size = nextLevel ? nextLevel.size : Math.floor(position.quantity.toNumber());
     const side = position.side === 'long' ? 'sell' : 'buy';
     const triggerType = (isStopLoss)
       ? (position.side === 'long' ? 'down' : 'up')
       : (position.side === 'long' ? 'up' : 'down');
 
-    await this._apiRequest('POST', '/api/v1/stopOrders', {
-      clientOid: `${position.id}-${type}`,
+    const result = await this.exchange.placeStopOrder({
+      clientOid,
       symbol: position.symbol,
       side,
       type: 'market',
       stop: triggerType,
       stopPrice: price.toFixed(4),
       stopPriceType: 'TP',
-      size: Math.floor(position.quantity.toNumber()),
+      size,
       reduceOnly: true
     });
-  }
 
-  /**
-   * Get leverage level from leverage value
-   */
-  _getLeverageLevel(leverage) {
-    // KuCoin uses risk limit levels, not direct leverage
-    // This is a simplified mapping
-    if (leverage <= 5) return 1;
-    if (leverage <= 10) return 2;
-    if (leverage <= 15) return 3;
-    return 1;
-  }
-
-  /**
-   * Make authenticated API request to KuCoin
-   */
-  async _apiRequest(method, endpoint, data = null) {
-    const timestamp = Date.now().toString();
-    const body = data ? JSON.stringify(data) : '';
-    const path = endpoint.split('?')[0];
-
-    // Create signature
-    const signString = timestamp + method + path + body;
-    const signature = crypto
-      .createHmac('sha256', this.apiSecret)
-      .update(signString)
-      .digest('base64');
-
-    // Encrypt passphrase for API v2
-    let passphrase = this.apiPassphrase;
-    if (this.apiVersion === '2') {
-      passphrase = crypto
-        .createHmac('sha256', this.apiSecret)
-        .update(this.apiPassphrase)
-        .digest('base64');
+    if (!result.ok) {
+      this._log('error', `Stop order failed: ${result.error.message}`, { symbol: position.symbol, type });
     }
 
-    const headers = {
-      'KC-API-KEY': this.apiKey,
-      'KC-API-SIGN': signature,
-      'KC-API-TIMESTAMP': timestamp,
-      'KC-API-PASSPHRASE': passphrase,
-      'KC-API-KEY-VERSION': this.apiVersion,
-      'Content-Type': 'application/json'
-    };
-
-    try {
-      const response = await axios({
-        method,
-        url: `${this.apiBase}${endpoint}`,
-        headers,
-        data: data || undefined,
-        timeout: 10000
-      });
-
-      if (response.data.code !== '200000') {
-        throw new Error(response.data.msg || 'API Error');
-      }
-
-      return response.data;
-    } catch (error) {
-      this._log('error', `API request failed: ${method} ${endpoint}`, {
-        error: error.message,
-        code: error.response?.data?.code
-      });
-      throw error;
-    }
+    return result;
   }
 
   // ============================================================================
@@ -803,7 +1103,7 @@ class TradingEngineV3 extends EventEmitter {
       entryPrice: p.entryPrice.toNumber(),
       currentPrice: p.currentPrice.toNumber(),
       stopLoss: p.stopLoss.toNumber(),
-      takeProfit: p.takeProfit.toNumber(),
+      takeProfit: p.takeProfit ? p.takeProfit.toNumber() : null,
       marginUsed: p.marginUsed.toNumber(),
       positionValue: p.positionValue.toNumber(),
       unrealizedPnl: p.unrealizedPnl.toNumber()
@@ -837,6 +1137,175 @@ class TradingEngineV3 extends EventEmitter {
     }
   }
 
+  /**
+   * Persist open positions (live mode) so a restart can reconcile them
+   */
+  _savePositions() {
+    try {
+      const data = {
+        mode: this.mode,
+        positions: Array.from(this.positions.values()).map(p => this._serializePosition(p)),
+        timestamp: new Date().toISOString()
+      };
+
+      fs.writeFileSync(this.positionsFile, JSON.stringify(data, null, 2));
+    } catch (error) {
+      this._log('warn', `Failed to save positions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore positions saved by a previous run
+   */
+  _loadPositions() {
+    if (!fs.existsSync(this.positionsFile)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.positionsFile, 'utf8'));
+      for (const saved of data.positions || []) {
+        const position = this._restorePosition(saved);
+        this.positions.set(position.symbol, position);
+      }
+      console.log(`[TradingEngineV3] Restored ${this.positions.size} position(s) from ${this.positionsFile}`);
+    } catch (error) {
+      console.warn(`[TradingEngineV3] Failed to load positions: ${error.message}`);
+    }
+  }
+
+  _serializePosition(position) {
+    const out = { ...position };
+    for (const field of DECIMAL_POSITION_FIELDS) {
+      if (position[field] != null) out[field] = position[field].toString();
+    }
+    return out;
+  }
+
+  _restorePosition(saved) {
+    // Saved while another entry was in flight: reconciled like any open position
+    const position = { ...saved, status: saved.status === 'pending' ? 'open' : saved.status };
+    for (const field of DECIMAL_POSITION_FIELDS) {
+      if (saved[field] != null) position[field] = new Decimal(saved[field]);
+    }
+    // Saved before excursions were tracked: measured from the restart on
+    position.excursion = saved.excursion ? { ...saved.excursion } : ExcursionTracker.start({
+      side: position.side,
+      entryPrice: position.entryPrice,
+      leverage: position.leverage,
+      time: position.entryTime,
+      barMs: this.barMs
+    });
+    return position;
+  }
+
+  // ============================================================================
+  // SESSION JOURNAL
+  // ============================================================================
+
+  /**
+   * Everything a replay needs to start from the same state as this session
+   */
+  getSessionSnapshot() {
+    return {
+      mode: this.mode,
+      initialBalance: this.initialBalance.toString(),
+      balance: this.balance.toString(),
+      riskConfig: this.riskConfig,
+      signalConfig: this.signalConfig,
+      signalWeights: this.signalGenerator.weights || null,
+      positions: Array.from(this.positions.values()).map(p => this._serializePosition(p)),
+      lastSignalTime: Object.fromEntries(this.lastSignalTime)
+    };
+  }
+
+  /**
+   * Load a getSessionSnapshot() result (SessionReplayer)
+   */
+  restoreSnapshot(snapshot) {
+    this.initialBalance = new Decimal(snapshot.initialBalance);
+    this.balance = new Decimal(snapshot.balance);
+    this.metrics.peakBalance = new Decimal(snapshot.balance);
+    this.riskConfig = {
+      ...snapshot.riskConfig,
+      takeProfitLadder: TakeProfitLadder.from(snapshot.riskConfig.takeProfitLadder)
+    };
+    this.signalConfig = { ...snapshot.signalConfig };
+    if (snapshot.signalWeights) {
+      this.signalGenerator.applyWeights(snapshot.signalWeights);
+    }
+    this.positions = new Map(snapshot.positions.map(saved => [saved.symbol, this._restorePosition(saved)]));
+    this.lastSignalTime = new Map(Object.entries(snapshot.lastSignalTime || {}));
+  }
+
+  /**
+   * Scalar risk and signal settings as one flat object (ConfigService tradingDefaults)
+   */
+  getTradingSettings() {
+    const settings = {};
+    for (const section of [this.riskConfig, this.signalConfig]) {
+      for (const [field, value] of Object.entries(section)) {
+        if (['number', 'boolean', 'string'].includes(typeof value)) settings[field] = value;
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * Change risk / signal settings at runtime (journaled as CONFIG_CHANGE)
+   * @param {Object} patch - { riskConfig: {...}, signalConfig: {...}, weights: <signal-weights.js shape>,
+   *   trading: flat getTradingSettings() fields (others are ignored) }
+   */
+  updateConfig(patch = {}) {
+    this._journalInput('CONFIG_CHANGE', null, patch);
+
+    // First, so weights that fail to build leave the rest of the config untouched
+    if (patch.weights) {
+      this.signalGenerator.applyWeights(patch.weights);
+    }
+    if (patch.trading) {
+      for (const [field, value] of Object.entries(patch.trading)) {
+        if (field in this.signalConfig) this.signalConfig[field] = value;
+        else if (field in this.riskConfig && field !== 'takeProfitLadder') this.riskConfig[field] = value;
+      }
+    }
+    if (patch.riskConfig) {
+      Object.assign(this.riskConfig, patch.riskConfig);
+      if ('takeProfitLadder' in patch.riskConfig) {
+        this.riskConfig.takeProfitLadder = TakeProfitLadder.from(patch.riskConfig.takeProfitLadder);
+      }
+    }
+    if (patch.signalConfig) {
+      Object.assign(this.signalConfig, patch.signalConfig);
+    }
+
+    this._log('info', 'Config updated', patch);
+    this.emit('configChanged', patch);
+  }
+
+  /**
+   * Journal market data the engine doesn't consume directly (TICKER, BOOK, FUNDING)
+   * so a replay sees the same context the microstructure inputs were built from
+   */
+  recordMarketData(type, symbol, data) {
+    this._journalInput(type, symbol, data);
+  }
+
+  _journalInput(type, symbol, data) {
+    if (this.journal) this.journal.input(type, symbol, data);
+  }
+
+  _journalDecision(type, symbol, data) {
+    if (this.journal) this.journal.decision(type, symbol, data);
+  }
+
+  _journalStopMove(position, to, trigger) {
+    if (!this.journal) return;
+    this.journal.decision('STOP_MOVE', position.symbol, {
+      from: position.stopLoss.toNumber(),
+      to: to.toNumber(),
+      trigger
+    });
+  }
+
   // ============================================================================
   // CONTROL
   // ============================================================================
@@ -847,7 +1316,9 @@ class TradingEngineV3 extends EventEmitter {
   start() {
     if (this.isRunning) return;
 
+    this._journalInput('COMMAND', null, { name: 'start', args: [] });
     this.isRunning = true;
+    if (this.reconciler) this.reconciler.start();
     this._log('info', `TradingEngineV3 started in ${this.mode.toUpperCase()} mode`);
     this.emit('started', { mode: this.mode });
   }
@@ -856,7 +1327,9 @@ class TradingEngineV3 extends EventEmitter {
    * Stop trading engine
    */
   stop() {
+    this._journalInput('COMMAND', null, { name: 'stop', args: [] });
     this.isRunning = false;
+    if (this.reconciler) this.reconciler.stop();
     this._log('info', 'TradingEngineV3 stopped');
     this.emit('stopped');
   }
@@ -865,6 +1338,7 @@ class TradingEngineV3 extends EventEmitter {
    * Reset engine (paper mode only)
    */
   reset() {
+    this._journalInput('COMMAND', null, { name: 'reset', args: [] });
     if (this.mode === 'live') {
       this._log('warn', 'Cannot reset in live mode');
       return;
@@ -895,6 +1369,7 @@ class TradingEngineV3 extends EventEmitter {
    * Force close all positions
    */
   async closeAllPositions(reason = 'MANUAL_CLOSE') {
+    this._journalInput('COMMAND', null, { name: 'closeAllPositions', args: [reason] });
     const symbols = Array.from(this.positions.keys());
     for (const symbol of symbols) {
       await this._closePosition(symbol, reason);
@@ -913,7 +1388,7 @@ class TradingEngineV3 extends EventEmitter {
   }
 
   _log(level, message, data = null) {
-    const timestamp = new Date().toISOString();
+    const timestamp = new Date(this.clock()).toISOString();
     const prefix = `[${timestamp}] [${this.mode.toUpperCase()}] [${level.toUpperCase()}]`;
     const logMessage = `${prefix} ${message}`;
 
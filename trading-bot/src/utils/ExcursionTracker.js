@@ -0,0 +1,112 @@
+/**
+ * Excursion Tracker
+ *
+ * Maximum adverse and maximum favorable excursion (MAE / MFE) of a position,
+ * shared by TradingEngineV3, ExecutionAgent, BacktestEngine and
+ * DemoTradingEngine so every closed trade carries the same fields:
+ *
+ * - mae / mfe      worst and best ROI% (price change × leverage) reached, both >= 0
+ * - timeToMAE/MFE  ms from entry until each extreme was first reached (null if never)
+ * - barsHeld       bar boundaries crossed between entry and exit
+ * - exitROI        ROI% at the exit price, before fees (same basis as mae/mfe)
+ *
+ * The state is a plain object kept on the position, so it survives JSON
+ * persistence (positions-live.json) without a class to restore.
+ *
+ * Bars come from the candle open time when the caller has one, otherwise
+ * from the wall clock bucketed by `barMs` (ticker-driven engines).
+ *
+ * Usage:
+ *   position.excursion = ExcursionTracker.start({ side, entryPrice, leverage, time });
+ *   ExcursionTracker.update(position.excursion, price, time);
+ *   Object.assign(trade, ExcursionTracker.finish(position.excursion, exitPrice, exitTime));
+ */
+
+const DEFAULT_BAR_MS = 15 * 60 * 1000;
+
+class ExcursionTracker {
+  /**
+   * @param {Object} entry - { side, entryPrice, leverage, time, barTime?, barMs? }
+   * @returns {Object} Excursion state
+   */
+  static start({ side, entryPrice, leverage = 1, time, barTime = null, barMs = DEFAULT_BAR_MS }) {
+    return {
+      side,
+      entryPrice: Number(entryPrice),
+      leverage: Number(leverage) || 1,
+      entryTime: time,
+      barMs,
+      bar: barTime ?? ExcursionTracker.barOf(time, barMs),
+      bars: 0,
+      mae: 0,
+      mfe: 0,
+      maeTime: null,
+      mfeTime: null
+    };
+  }
+
+  static barOf(time, barMs = DEFAULT_BAR_MS) {
+    return Math.floor(time / barMs) * barMs;
+  }
+
+  /**
+   * ROI% at a price (positive in the position's favor)
+   */
+  static roi(state, price) {
+    const move = (Number(price) - state.entryPrice) / state.entryPrice;
+    return (state.side === 'long' ? move : -move) * state.leverage * 100;
+  }
+
+  /**
+   * Record a price seen while the position is open
+   * @param {number|null} barTime - Open time of the candle the price belongs to
+   * @returns {number} ROI% at the price
+   */
+  static update(state, price, time, barTime = null) {
+    const bar = barTime ?? ExcursionTracker.barOf(time, state.barMs);
+    if (bar > state.bar) {
+      state.bars++;
+      state.bar = bar;
+    }
+
+    const roi = ExcursionTracker.roi(state, price);
+    if (roi > state.mfe) {
+      state.mfe = roi;
+      state.mfeTime = time;
+    }
+    if (-roi > state.mae) {
+      state.mae = -roi;
+      state.maeTime = time;
+    }
+    return roi;
+  }
+
+  /**
+   * Trade fields, the exit price counted as the last price seen
+   * @returns {Object} { mae, mfe, timeToMAE, timeToMFE, barsHeld, exitROI }
+   */
+  static finish(state, exitPrice, exitTime, barTime = null) {
+    const exitROI = ExcursionTracker.update(state, exitPrice, exitTime, barTime);
+
+    return {
+      mae: state.mae,
+      mfe: state.mfe,
+      timeToMAE: state.maeTime === null ? null : state.maeTime - state.entryTime,
+      timeToMFE: state.mfeTime === null ? null : state.mfeTime - state.entryTime,
+      barsHeld: state.bars,
+      exitROI
+    };
+  }
+
+  /**
+   * Regime label of an entry signal: SignalGeneratorV2 result ({ mode }) or a plain string
+   */
+  static regimeOf(signal) {
+    const regime = signal && signal.regime;
+    if (!regime) return null;
+    return typeof regime === 'string' ? regime : regime.mode || null;
+  }
+}
+
+module.exports = ExcursionTracker;
+module.exports.DEFAULT_BAR_MS = DEFAULT_BAR_MS;
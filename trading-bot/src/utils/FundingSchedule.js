@@ -0,0 +1,129 @@
+/**
+ * Funding Schedule
+ *
+ * Perpetual funding settlements shared by BacktestEngine, PaperTradingEngineV2
+ * and DemoTradingEngine, so simulated PnL carries the same funding the
+ * PositionManager accumulates live (accumulatedFundingFees).
+ *
+ * KuCoin settles every 8 hours (00:00, 08:00, 16:00 UTC). A positive rate
+ * means longs pay shorts; a negative rate means shorts pay longs. The amount
+ * is position value × rate at the settlement time.
+ *
+ * A schedule is either:
+ * - a historical series [{ ts, rate }] (KuCoin /contract/funding-rates rows
+ *   { timepoint, fundingRate } are accepted as-is), settling at each ts
+ * - a flat rate (number), settling at every interval boundary
+ *
+ * Rates are fractions (0.0001 = 0.01%).
+ */
+
+const Decimal = require('decimal.js');
+
+const FUNDING_INTERVAL_MS = 8 * 60 * 60 * 1000;
+
+function normalizeRate(raw) {
+  return {
+    ts: Number(raw.ts ?? raw.timepoint ?? raw.timestamp ?? raw.time),
+    rate: parseFloat(raw.rate ?? raw.fundingRate ?? raw.value)
+  };
+}
+
+class FundingSchedule {
+  /**
+   * @param {Array<Object>|number} rates - Series of { ts, rate } or one flat rate
+   * @param {Object} options - { intervalMs } spacing of flat-rate settlements
+   */
+  constructor(rates, options = {}) {
+    this.intervalMs = options.intervalMs || FUNDING_INTERVAL_MS;
+
+    if (typeof rates === 'number') {
+      if (!Number.isFinite(rates)) throw new Error(`Invalid funding rate: ${rates}`);
+      this.flatRate = rates;
+      this.series = null;
+      return;
+    }
+
+    if (!Array.isArray(rates)) {
+      throw new Error('Funding schedule needs a rate series or a flat rate');
+    }
+
+    const byTs = new Map();
+    for (const row of rates.map(normalizeRate)) {
+      if (Number.isFinite(row.ts) && Number.isFinite(row.rate)) byTs.set(row.ts, row);
+    }
+    this.flatRate = null;
+    this.series = Array.from(byTs.values()).sort((a, b) => a.ts - b.ts);
+  }
+
+  /**
+   * Normalize any accepted definition - null/undefined means no funding
+   * @returns {FundingSchedule|null}
+   */
+  static from(definition, options = {}) {
+    if (definition === null || definition === undefined) return null;
+    if (definition instanceof FundingSchedule) return definition;
+    return new FundingSchedule(definition, options);
+  }
+
+  /**
+   * PnL of one settlement for a position (negative = paid)
+   * @returns {Decimal}
+   */
+  static payment(side, positionValue, rate) {
+    const amount = new Decimal(positionValue).mul(rate);
+    return side === 'long' ? amount.negated() : amount;
+  }
+
+  /**
+   * Next settlement strictly after ts on the interval grid
+   */
+  static nextSettlement(ts, intervalMs = FUNDING_INTERVAL_MS) {
+    return (Math.floor(ts / intervalMs) + 1) * intervalMs;
+  }
+
+  /**
+   * Settlements in (from, to]
+   * @returns {Array} [{ ts, rate }] in time order
+   */
+  between(from, to) {
+    if (!(to > from)) return [];
+
+    if (this.series) {
+      const settlements = [];
+      for (let i = this._firstAfter(from); i < this.series.length && this.series[i].ts <= to; i++) {
+        settlements.push(this.series[i]);
+      }
+      return settlements;
+    }
+
+    const settlements = [];
+    for (let ts = FundingSchedule.nextSettlement(from, this.intervalMs); ts <= to; ts += this.intervalMs) {
+      settlements.push({ ts, rate: this.flatRate });
+    }
+    return settlements;
+  }
+
+  /**
+   * Rate in force at ts (the last settlement at or before it)
+   */
+  rateAt(ts) {
+    if (!this.series) return this.flatRate;
+    const i = this._firstAfter(ts) - 1;
+    return i >= 0 ? this.series[i].rate : null;
+  }
+
+  _firstAfter(ts) {
+    let lo = 0;
+    let hi = this.series.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.series[mid].ts <= ts) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+}
+
+module.exports = FundingSchedule;
+module.exports.FUNDING_INTERVAL_MS = FUNDING_INTERVAL_MS;
+module.exports.normalizeRate = normalizeRate;
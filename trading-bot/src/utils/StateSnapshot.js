@@ -0,0 +1,145 @@
+/**
+ * State Snapshot
+ *
+ * The serialize() / restore() contract shared by every indicator, the
+ * microstructure analyzers and the screener/agent candle state. A snapshot is
+ * plain JSON, so it can be written to disk and read back by a later process:
+ *
+ *   { type: 'RSIIndicator', version: 1, state: { period, avgGain, rsiHistory, ... } }
+ *
+ * capture() copies the instance's own data fields. Functions (injected clocks)
+ * and EventEmitter bookkeeping are left out and stay with the live instance on
+ * restore. Values JSON can't carry are tagged: Decimal as its string,
+ * Map as entries, NaN/Infinity by name.
+ *
+ * Restoring into an instance built with the same config and then feeding it
+ * the candles that came after the snapshot gives the same values, bar for
+ * bar, as an instance that saw the whole history.
+ *
+ * Usage:
+ *   serialize() { return StateSnapshot.capture(this, 'RSIIndicator'); }
+ *   restore(snapshot) { return StateSnapshot.apply(this, snapshot, 'RSIIndicator'); }
+ */
+
+const Decimal = require('decimal.js');
+
+const VERSION = 1;
+
+// EventEmitter internals - listeners belong to the running process
+const SKIPPED_FIELDS = new Set(['_events', '_eventsCount', '_maxListeners']);
+
+class StateSnapshot {
+  /**
+   * @param {Object} instance
+   * @param {string} type - Class name recorded in the snapshot and checked on restore
+   * @param {string[]} exclude - Extra fields to leave out (caches, derived state)
+   * @returns {Object} { type, version, state }
+   */
+  static capture(instance, type, exclude = []) {
+    const skip = new Set(exclude);
+    const state = {};
+
+    for (const [key, value] of Object.entries(instance)) {
+      if (SKIPPED_FIELDS.has(key) || skip.has(key) || typeof value === 'function') continue;
+      state[key] = StateSnapshot.encode(value);
+    }
+
+    return { type, version: VERSION, state };
+  }
+
+  /**
+   * Load a snapshot into an instance (functions and listeners are kept)
+   * @throws {Error} If the snapshot is for another class or format version
+   * @returns {Object} The instance
+   */
+  static apply(instance, snapshot, type) {
+    StateSnapshot.check(snapshot, type);
+
+    for (const [key, value] of Object.entries(snapshot.state)) {
+      if (typeof instance[key] === 'function') continue;
+      instance[key] = StateSnapshot.decode(value);
+    }
+    return instance;
+  }
+
+  /**
+   * Run fn against the instance, then put every data field back as it was
+   * Backs the indicators' peek(): update() on a forming candle without
+   * committing it.
+   * @returns {*} fn's return value
+   */
+  static provisional(instance, fn) {
+    const saved = {};
+    for (const [key, value] of Object.entries(instance)) {
+      if (SKIPPED_FIELDS.has(key) || typeof value === 'function') continue;
+      saved[key] = StateSnapshot.encode(value);
+    }
+
+    try {
+      return fn();
+    } finally {
+      for (const [key, value] of Object.entries(instance)) {
+        if (!(key in saved) && !SKIPPED_FIELDS.has(key) && typeof value !== 'function') delete instance[key];
+      }
+      for (const [key, value] of Object.entries(saved)) {
+        instance[key] = StateSnapshot.decode(value);
+      }
+    }
+  }
+
+  /**
+   * @throws {Error} If the snapshot is missing, for another class or format version
+   */
+  static check(snapshot, type) {
+    if (!snapshot || typeof snapshot !== 'object' || !snapshot.state) {
+      throw new Error(`Invalid ${type} snapshot`);
+    }
+    if (snapshot.type !== type) {
+      throw new Error(`Snapshot is for ${snapshot.type}, not ${type}`);
+    }
+    if (snapshot.version !== VERSION) {
+      throw new Error(`Unsupported ${type} snapshot version ${snapshot.version}`);
+    }
+  }
+
+  static encode(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : { $number: String(value) };
+    }
+    if (typeof value !== 'object') return value;
+
+    if (Decimal.isDecimal(value)) return { $decimal: value.toString() };
+    if (value instanceof Map) {
+      return { $map: Array.from(value.entries()).map(([k, v]) => [StateSnapshot.encode(k), StateSnapshot.encode(v)]) };
+    }
+    if (Array.isArray(value)) return value.map(v => StateSnapshot.encode(v));
+
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (typeof v !== 'function') out[key] = StateSnapshot.encode(v);
+    }
+    return out;
+  }
+
+  static decode(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(v => StateSnapshot.decode(v));
+
+    if ('$number' in value) return Number(value.$number);
+    if ('$decimal' in value) return new Decimal(value.$decimal);
+    if ('$map' in value) {
+      return new Map(value.$map.map(([k, v]) => [StateSnapshot.decode(k), StateSnapshot.decode(v)]));
+    }
+
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      out[key] = StateSnapshot.decode(v);
+    }
+    return out;
+  }
+}
+
+StateSnapshot.VERSION = VERSION;
+
+module.exports = StateSnapshot;
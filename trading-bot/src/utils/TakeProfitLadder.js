@@ -0,0 +1,144 @@
+/**
+ * Take-Profit Ladder
+ *
+ * Multi-level scale-out definition shared by TradingEngineV3 (paper + live)
+ * and BacktestEngine, so backtests measure the exits that are traded.
+ *
+ * A ladder is a list of levels { roi, percent, stopROI? }:
+ * - roi      ROI% (price change × leverage) at which the level fills
+ * - percent  share of the initial position closed at that level
+ * - stopROI  where the stop moves once the level fills; defaults to
+ *            break-even + round-trip fees after the first level and the
+ *            previous level's ROI after later ones
+ *
+ * Whatever the levels leave open is the runner, which exits on the trailing stop.
+ *
+ * String form (TP_LADDER env, --tp-ladder): "roi:percent[:stopROI],..."
+ *   "10:40,20:30"  -> 40% at 10% ROI, 30% at 20% ROI, 30% runner
+ */
+
+const Decimal = require('decimal.js');
+
+class TakeProfitLadder {
+  /**
+   * @param {Array<Object>} levels - [{ roi, percent, stopROI }] in ascending ROI order
+   */
+  constructor(levels) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+      throw new Error('Take-profit ladder needs at least one level');
+    }
+
+    this.levels = levels.map((level, i) => {
+      const roi = Number(level.roi);
+      const percent = Number(level.percent);
+      const stopROI = level.stopROI !== undefined && level.stopROI !== null ? Number(level.stopROI) : null;
+
+      if (!(roi > 0) || !(percent > 0)) {
+        throw new Error(`Ladder level ${i + 1}: roi and percent must be positive`);
+      }
+      if (i > 0 && roi <= Number(levels[i - 1].roi)) {
+        throw new Error(`Ladder level ${i + 1}: roi must increase (${roi} <= ${levels[i - 1].roi})`);
+      }
+      if (stopROI !== null && !(stopROI < roi)) {
+        throw new Error(`Ladder level ${i + 1}: stopROI must be below the level roi`);
+      }
+
+      return { roi, percent, stopROI };
+    });
+
+    const total = this.levels.reduce((sum, l) => sum + l.percent, 0);
+    if (total > 100 + 1e-9) {
+      throw new Error(`Ladder percents sum to ${total}%, more than the position`);
+    }
+  }
+
+  /**
+   * Normalize any accepted definition (instance, array, { levels }, string) - falsy means no ladder
+   * @returns {TakeProfitLadder|null}
+   */
+  static from(definition) {
+    if (!definition) return null;
+    if (definition instanceof TakeProfitLadder) return definition;
+    if (typeof definition === 'string') return TakeProfitLadder.parse(definition);
+    if (Array.isArray(definition)) return new TakeProfitLadder(definition);
+    if (Array.isArray(definition.levels)) return new TakeProfitLadder(definition.levels);
+    throw new Error('Unsupported take-profit ladder definition');
+  }
+
+  /**
+   * Parse "roi:percent[:stopROI],..."
+   */
+  static parse(text) {
+    const levels = text.split(',').map(s => s.trim()).filter(Boolean).map(part => {
+      const [roi, percent, stopROI] = part.split(':').map(s => s.trim());
+      if (roi === undefined || percent === undefined || roi === '' || percent === '') {
+        throw new Error(`Invalid ladder level "${part}" (expected roi:percent[:stopROI])`);
+      }
+      return { roi: parseFloat(roi), percent: parseFloat(percent), stopROI: stopROI ? parseFloat(stopROI) : null };
+    });
+    return new TakeProfitLadder(levels);
+  }
+
+  /**
+   * Price at a given ROI: entry × (1 ± ROI / leverage / 100)
+   */
+  static roiToPrice(side, entryPrice, roi, leverage) {
+    const move = new Decimal(roi).div(100).div(leverage);
+    const factor = side === 'long' ? new Decimal(1).plus(move) : new Decimal(1).minus(move);
+    return new Decimal(entryPrice).mul(factor).toNumber();
+  }
+
+  /**
+   * Share of the position left for the trailing runner
+   */
+  get runnerPercent() {
+    return Math.max(0, 100 - this.levels.reduce((sum, l) => sum + l.percent, 0));
+  }
+
+  /**
+   * Concrete fill plan for one position
+   *
+   * Sizes are floored to lotSize (0 = no rounding). When the levels cover the
+   * whole position the last level takes the rounding remainder. Levels that
+   * round to zero are dropped.
+   *
+   * @param {Object} params - side, entryPrice, leverage, size, lotSize, feeRate (per side, for break-even)
+   * @returns {Array<Object>} [{ level, roi, percent, price, size, stopPrice, filled }]
+   */
+  build({ side, entryPrice, leverage, size, lotSize = 0, feeRate = 0 }) {
+    const total = new Decimal(size);
+    const breakEvenROI = feeRate * 2 * leverage * 100;
+    let allocated = new Decimal(0);
+
+    const plan = this.levels.map((level, i) => {
+      let levelSize = total.mul(level.percent).div(100);
+      if (lotSize > 0) levelSize = levelSize.div(lotSize).floor().mul(lotSize);
+      if (i === this.levels.length - 1 && this.runnerPercent === 0) levelSize = total.minus(allocated);
+      allocated = allocated.plus(levelSize);
+
+      const stopROI = level.stopROI !== null ? level.stopROI : (i === 0 ? breakEvenROI : this.levels[i - 1].roi);
+
+      return {
+        level: i + 1,
+        roi: level.roi,
+        percent: level.percent,
+        price: TakeProfitLadder.roiToPrice(side, entryPrice, level.roi, leverage),
+        size: levelSize.toNumber(),
+        stopPrice: TakeProfitLadder.roiToPrice(side, entryPrice, stopROI, leverage),
+        filled: false
+      };
+    });
+
+    return plan.filter(level => level.size > 0);
+  }
+
+  toString() {
+    return this.levels.map(l => `${l.roi}:${l.percent}${l.stopROI !== null ? `:${l.stopROI}` : ''}`).join(',');
+  }
+
+  toJSON() {
+    return this.levels;
+  }
+}
+
+module.exports = TakeProfitLadder;
@@ -3,7 +3,15 @@
  */
 
 const PositionCalculator = require('./PositionCalculator');
+const TakeProfitLadder = require('./TakeProfitLadder');
+const FundingSchedule = require('./FundingSchedule');
+const ExcursionTracker = require('./ExcursionTracker');
+const StateSnapshot = require('./StateSnapshot');
 
 module.exports = {
-  PositionCalculator
+  PositionCalculator,
+  TakeProfitLadder,
+  FundingSchedule,
+  ExcursionTracker,
+  StateSnapshot
 };
@@ -3,9 +3,16 @@
  * 
  * Routes signals to appropriate strategy handlers.
  * Supports multiple concurrent strategies with priority-based execution.
+ *
+ * The only router: strategies are the profiles in switches/signalProfiles,
+ * the same registry SignalScoring and ConfigService read, so a profile name
+ * means the same weights everywhere. "Strategy" and "profile" are the same
+ * thing here; the profile methods (listProfiles, switchProfile,
+ * activeProfile) are what OptimizerEngine drives.
  */
 
 const EventEmitter = require('events');
+const { listProfiles, loadProfile, resolveWeights } = require('../src/lib/SignalScoring');
 
 class StrategyRouter extends EventEmitter {
   constructor(config = {}) {
@@ -20,9 +27,9 @@ class StrategyRouter extends EventEmitter {
 
   _loadDefaultStrategies() {
     try {
-      this.registerStrategy('conservative', require('./signalProfiles/conservative'));
-      this.registerStrategy('aggressive', require('./signalProfiles/aggressive'));
-      this.registerStrategy('neutral', require('./signalProfiles/neutral'));
+      for (const name of listProfiles()) {
+        this.registerStrategy(name, loadProfile(name));
+      }
     } catch (error) {
       console.warn('[StrategyRouter] Could not load default profiles:', error.message);
     }
@@ -41,9 +48,10 @@ class StrategyRouter extends EventEmitter {
     if (!this.strategies.has(name)) {
       throw new Error(`Strategy '${name}' not found`);
     }
+    const previous = this.activeStrategy;
     this.activeStrategy = name;
     console.log(`[StrategyRouter] Active strategy set to: ${name}`);
-    this.emit('strategyChanged', { strategy: name });
+    this.emit('strategyChanged', { strategy: name, previous });
   }
 
   getActiveStrategy() {
@@ -151,6 +159,67 @@ class StrategyRouter extends EventEmitter {
     return Math.min(sizePercent, riskConfig.maxPositionPercent);
   }
 
+  // ============================================================================
+  // PROFILES
+  // ============================================================================
+
+  get activeProfile() {
+    return this.activeStrategy;
+  }
+
+  /**
+   * Names of the registered profiles
+   * @returns {Array<string>}
+   */
+  listProfiles() {
+    return Array.from(this.strategies.keys());
+  }
+
+  /**
+   * Switch to a different profile
+   * @param {string} name - Profile name
+   * @returns {boolean} Success
+   */
+  switchProfile(name) {
+    if (!this.strategies.has(name)) {
+      console.error(`[StrategyRouter] Profile ${name} not found`);
+      return false;
+    }
+    this.setActiveStrategy(name);
+    return true;
+  }
+
+  getProfile(name) {
+    return this.strategies.get(name) || null;
+  }
+
+  getActiveProfile() {
+    return this.getActiveStrategy();
+  }
+
+  /**
+   * Apply the active profile to a signal generator
+   *
+   * Profile-aware generators (core/SignalGenerator-configurable) switch by
+   * name; SignalGeneratorV2 and TradingEngineV3 get the resolved weights.
+   *
+   * @param {Object} signalGenerator - Generator or engine
+   * @returns {Object} Active profile
+   */
+  applyProfile(signalGenerator) {
+    const profile = this.getActiveProfile();
+
+    if (typeof signalGenerator.switchProfile === 'function') {
+      signalGenerator.switchProfile(this.activeStrategy);
+    } else if (typeof signalGenerator.applyWeights === 'function') {
+      signalGenerator.applyWeights(resolveWeights(profile));
+    } else if (typeof signalGenerator.updateConfig === 'function') {
+      signalGenerator.updateConfig({ weights: resolveWeights(profile) });
+    }
+
+    return profile;
+  }
+
   listStrategies() {
     return Array.from(this.strategies.entries()).map(([name, strategy]) => ({
       name,
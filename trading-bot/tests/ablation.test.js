@@ -0,0 +1,164 @@
+/**
+ * Ablation Test Suite
+ *
+ * Tests the research ablation runner for:
+ * - Variant enumeration from the signal-weights.js shape
+ * - Variants applied without touching the base weights
+ * - Backtest scoring, importance ranking and bootstrap intervals
+ */
+
+const AblationTester = require('../research/optimize/ablation');
+const signalWeights = require('../signal-weights');
+const SignalGeneratorV2 = require('../src/lib/SignalGeneratorV2');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+// Oscillating candles so the indicators produce crossovers and divergences
+function generateCandles(count, phase = 0) {
+  const candles = [];
+  let price = 100;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price = price * (1 + Math.sin((i + phase) / 9) * 0.006 + Math.cos((i + phase) / 4) * 0.003);
+    candles.push({
+      ts: 1700000000000 + i * 15 * 60 * 1000,
+      open,
+      high: Math.max(open, price) * 1.003,
+      low: Math.min(open, price) * 0.997,
+      close: price,
+      volume: 1000 + ((i * 37) % 23) * 40
+    });
+  }
+  return candles;
+}
+
+async function testVariants(runner) {
+  console.log('\n📋 Testing Variant Enumeration...');
+
+  const tester = new AblationTester();
+  const variants = tester.buildVariants();
+  const ids = variants.map(v => v.id);
+
+  const indicatorCount = Object.values(signalWeights.indicators).filter(i => i.enabled).length;
+  runner.assert(variants.filter(v => v.group === 'indicator').length === indicatorCount,
+    'One variant per enabled indicator');
+  runner.assert(ids.includes('rsi.signals.divergence') && ids.includes('bollinger.signals.squeeze'),
+    'Sub-signal variants use indicator.signals.key ids');
+  runner.assert(variants.filter(v => v.group === 'microstructure').length === 3, 'Microstructure inputs included');
+  const bonusIds = variants.filter(v => v.group === 'bonus').map(v => v.id);
+  runner.assert(bonusIds.length === SignalGeneratorV2.APPLIED_COMBINATION_BONUSES.length,
+    'One variant per applied combination bonus', JSON.stringify(bonusIds));
+  runner.assert(!bonusIds.includes('combinationBonuses.multiTimeframeAlign'),
+    'Bonuses the generator never applies are not ablation targets');
+  runner.assert(variants.find(v => v.id === 'dom').liveOnly && variants.find(v => v.id === 'fundingRate').liveOnly,
+    'DOM and microstructure flagged live-only');
+
+  const divergence = variants.find(v => v.id === 'rsi.signals.divergence');
+  const modified = tester.applyVariant(divergence);
+  runner.assert(modified.indicators.rsi.signals.divergence.enabled === false &&
+    modified.indicators.rsi.signals.divergence.weight === signalWeights.indicators.rsi.signals.divergence.weight,
+    'Sub-signal variant sets enabled: false and keeps weight');
+  runner.assert(tester.baseWeights.indicators.rsi.signals.divergence.enabled === undefined,
+    'Base weights untouched by variants');
+
+  const bonus = tester.applyVariant(variants.find(v => v.id === 'combinationBonuses.pullbackEntry'));
+  runner.assert(bonus.combinationBonuses.pullbackEntry === 0, 'Bonus variant zeroes the bonus');
+
+  const filtered = new AblationTester({ groups: ['indicator'] }).buildVariants();
+  runner.assert(filtered.every(v => v.group === 'indicator'), 'groups option filters variants');
+}
+
+async function testRun(runner) {
+  console.log('\n📋 Testing Ablation Run...');
+
+  const datasets = [
+    { symbol: 'AAAUSDTM', timeframe: '15min', candles: generateCandles(500) },
+    { symbol: 'BBBUSDTM', timeframe: '15min', candles: generateCandles(500, 40) }
+  ];
+
+  const tester = new AblationTester({
+    groups: ['indicator', 'bonus'],
+    backtestConfig: { warmupPeriod: 60, minSignalScore: 30 },
+    bootstrapSamples: 200,
+    seed: 7
+  });
+  const results = await tester.runTests(datasets);
+
+  const baseline = results.get('baseline');
+  runner.assert(baseline.trades > 0, 'Baseline produces trades', `trades=${baseline.trades}`);
+  runner.assert(baseline.perDataset.length === 2, 'Baseline broken down per dataset');
+  runner.assert(results.get('dom').skipped === 'live-only input', 'Live-only variants are skipped');
+
+  const ranking = tester.getImportanceRanking();
+  runner.assert(ranking.every((r, i) => i === 0 || ranking[i - 1].impact >= r.impact), 'Ranking sorted by impact');
+  runner.assert(ranking.every(r => r.ci[0] <= r.ci[1]), 'Confidence intervals are ordered');
+  runner.assert(ranking.some(r => r.impact !== 0), 'At least one component changes results');
+
+  const unchanged = ranking.filter(r => r.importance === 'no effect');
+  runner.assert(unchanged.every(r => r.impact === 0 && r.ci[0] === 0 && r.ci[1] === 0),
+    'Components that never change a trade report no effect');
+
+  const changed = ranking.find(r => r.importance !== 'no effect');
+  runner.assert(changed && changed.ci[0] <= changed.impact && changed.impact <= changed.ci[1],
+    'Impact lies inside its bootstrap interval');
+
+  const repeat = new AblationTester({
+    groups: ['indicator', 'bonus'],
+    backtestConfig: { warmupPeriod: 60, minSignalScore: 30 },
+    bootstrapSamples: 200,
+    seed: 7
+  });
+  await repeat.runTests(datasets);
+  runner.assert(JSON.stringify(repeat.getImportanceRanking()) === JSON.stringify(ranking), 'Seeded runs are reproducible');
+
+  runner.assert(tester.formatTable().includes('Skipped (live-only): dom'), 'Table lists skipped live-only inputs');
+}
+
+async function runAllTests() {
+  console.log('Starting Ablation Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    await testVariants(runner);
+    await testRun(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,332 @@
+/**
+ * ATR Indicator Test Suite
+ *
+ * Tests src/indicators/ATRIndicator.js and its consumers:
+ * - ATR / ATR% against a hand calculation (SMA and Wilder smoothing)
+ * - Parkinson, Garman-Klass and realized volatility, percentile rank
+ * - Signals, peek() and serialize() / restore()
+ * - readAtrPercent() on every reading shape
+ * - LeverageCalculator, RiskAgent, TradingEngineV3, RegimeAgent and the
+ *   screener IndicatorState reading the shared indicator
+ */
+
+const { ATRIndicator, RSIIndicator } = require('../src/indicators');
+const LeverageCalculator = require('../config/leverage-calculator');
+const RiskAgent = require('../agents/risk-agent');
+const RegimeAgent = require('../agents/regime-agent');
+const TradingEngineV3 = require('../src/trading/TradingEngineV3');
+const { IndicatorState } = require('../src/screener');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+// Deterministic random walk; the second half trades in a wider range
+function makeCandles(count, seed = 7) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+
+  const candles = [];
+  let price = 100;
+  for (let i = 0; i < count; i++) {
+    const swing = i < count / 2 ? 0.006 : 0.03;
+    const open = price;
+    const close = price * (1 + (random() - 0.5) * swing);
+    candles.push({
+      ts: i * 60000,
+      open,
+      high: Math.max(open, close) * (1 + random() * swing / 4),
+      low: Math.min(open, close) * (1 - random() * swing / 4),
+      close,
+      volume: 100 + random() * 900
+    });
+    price = close;
+  }
+  return candles;
+}
+
+function trueRanges(candles) {
+  const ranges = [];
+  for (let i = 1; i < candles.length; i++) {
+    const { high, low } = candles[i];
+    const prevClose = candles[i - 1].close;
+    ranges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+  return ranges;
+}
+
+function run(candles, config) {
+  const atr = new ATRIndicator(config);
+  let result = null;
+  for (const candle of candles) result = atr.update(candle);
+  return { atr, result };
+}
+
+// ============================================================================
+// VALUES
+// ============================================================================
+
+function testAtr(runner) {
+  console.log('\n📋 Testing ATR / ATR%...');
+
+  const candles = makeCandles(60);
+  const ranges = trueRanges(candles);
+  const last = candles[candles.length - 1];
+
+  const warm = run(candles.slice(0, 14), { period: 14 }).result;
+  runner.assert(warm.value.atr === null && warm.value.atrPercent === null, 'No ATR before period true ranges');
+  runner.assert(warm.signals.length === 0, 'No signals before ATR');
+
+  const { result } = run(candles, { period: 14 });
+  const expected = ranges.slice(-14).reduce((a, b) => a + b, 0) / 14;
+  runner.assertClose(result.value.atr, expected, 1e-12, 'ATR is the SMA of the last 14 true ranges');
+  runner.assertClose(result.value.atrPercent, (expected / last.close) * 100, 1e-12, 'ATR% is ATR over close');
+  runner.assertClose(result.value.trueRange, ranges[ranges.length - 1], 1e-12, 'Reports the last true range');
+
+  let wilder = ranges.slice(0, 5).reduce((a, b) => a + b, 0) / 5;
+  for (let i = 5; i < ranges.length; i++) wilder = (wilder * 4 + ranges[i]) / 5;
+  const smoothed = run(candles, { period: 5, smoothing: 'wilder' }).result;
+  runner.assertClose(smoothed.value.atr, wilder, 1e-12, 'Wilder smoothing seeds from the SMA, then recurses');
+
+  const prior = ranges.slice(-21, -1).reduce((a, b) => a + b, 0) / 20;
+  runner.assertClose(result.value.expansion, expected / prior, 1e-12, 'Expansion is ATR over the previous 20 true ranges');
+
+  // Close-only feed: high = low = close, the true range is the close-to-close move
+  const closes = run([100, 101, 99, 102].map(close => ({ high: close, low: close, close })), { period: 3 }).result;
+  runner.assertClose(closes.value.atr, (1 + 2 + 3) / 3, 1e-12, 'Close-only candles give close-to-close ATR');
+}
+
+function testEstimators(runner) {
+  console.log('\n📋 Testing volatility estimators...');
+
+  const candles = makeCandles(120);
+  const window = candles.slice(-20);
+  const { atr, result } = run(candles, { volPeriod: 20, rankLookback: 50, minRankSamples: 10 });
+
+  const hl = window.map(c => Math.pow(Math.log(c.high / c.low), 2));
+  const parkinson = Math.sqrt(hl.reduce((a, b) => a + b, 0) / 20 / (4 * Math.LN2)) * 100;
+  runner.assertClose(result.value.parkinson, parkinson, 1e-9, 'Parkinson estimator');
+
+  const gk = window.map(c => 0.5 * Math.pow(Math.log(c.high / c.low), 2) -
+    (2 * Math.LN2 - 1) * Math.pow(Math.log(c.close / c.open), 2));
+  const garmanKlass = Math.sqrt(gk.reduce((a, b) => a + b, 0) / 20) * 100;
+  runner.assertClose(result.value.garmanKlass, garmanKlass, 1e-9, 'Garman-Klass estimator');
+
+  const returns = candles.slice(-21).map((c, i, all) => (i === 0 ? null : Math.log(c.close / all[i - 1].close))).slice(1);
+  const mean = returns.reduce((a, b) => a + b, 0) / 20;
+  const realized = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / 20) * 100;
+  runner.assertClose(result.value.realizedVol, realized, 1e-9, 'Realized volatility of log returns');
+
+  const history = atr.volHistory;
+  const previous = history.slice(0, -1);
+  const rank = (previous.filter(v => v < realized).length + previous.filter(v => v === realized).length / 2) / previous.length * 100;
+  runner.assertClose(result.value.volRank, rank, 1e-9, 'Percentile rank among previous readings');
+  runner.assert(history.length === 51, 'Rank history keeps rankLookback + 1 readings', `got ${history.length}`);
+
+  runner.assert(ATRIndicator.percentRank([1, 2, 3], 3) === null, 'No rank below minRankSamples');
+  runner.assert(ATRIndicator.percentRank([1, 2, 2, 3, 2], 1) === 50, 'Ties count half');
+  runner.assert(ATRIndicator.percentRank([1, 2, 3, 4], 1) === 100, 'New high ranks 100');
+}
+
+function testSignals(runner) {
+  console.log('\n📋 Testing signals...');
+
+  // Calm half then wide half: volatility breaks out of its history
+  const candles = makeCandles(200);
+  const atr = new ATRIndicator({ rankLookback: 60 });
+  const seen = new Set();
+  let neutral = true;
+  candles.forEach((candle, i) => {
+    for (const signal of atr.update(candle).signals) {
+      if (signal.direction !== 'neutral') neutral = false;
+      seen.add(`${signal.type}:${i < 100 ? 'calm' : 'wide'}`);
+    }
+  });
+  runner.assert(seen.has('high_volatility:wide'), 'High volatility fires after the breakout');
+  runner.assert(seen.has('low_volatility:calm'), 'Low volatility fires in the calm stretch');
+  runner.assert(neutral, 'Volatility signals are direction-neutral');
+
+  // One-point ranges, then a 12-point bar: ATR jumps against the recent ranges
+  const spike = new ATRIndicator();
+  let last = null;
+  for (let i = 0; i < 30; i++) last = spike.update({ high: 100.5, low: 99.5, close: 100 });
+  runner.assert(!last.signals.some(s => s.type === 'atr_expansion'), 'No expansion on constant ranges');
+  last = spike.update({ high: 112, low: 100, close: 111 });
+  const expansion = last.signals.find(s => s.type === 'atr_expansion');
+  runner.assert(expansion && expansion.metadata.expansion === 25 / 14, 'ATR expansion fires on a range spike',
+    JSON.stringify(last.value));
+}
+
+function testSnapshot(runner) {
+  console.log('\n📋 Testing peek() and serialize() / restore()...');
+
+  const candles = makeCandles(150);
+  const atr = run(candles.slice(0, 100)).atr;
+
+  const saved = JSON.parse(JSON.stringify(atr.serialize()));
+  const peeked = atr.peek(candles[100]);
+  runner.assert(JSON.stringify(atr.serialize()) === JSON.stringify(saved), 'peek() leaves state unchanged');
+
+  const copy = new ATRIndicator();
+  copy.restore(saved);
+  runner.assert(JSON.stringify(copy.update(candles[100])) === JSON.stringify(peeked), 'peek() matches update() on a restored copy');
+
+  atr.update(candles[100]);
+  let same = true;
+  for (const candle of candles.slice(101)) {
+    if (JSON.stringify(atr.update(candle)) !== JSON.stringify(copy.update(candle))) same = false;
+  }
+  runner.assert(same, 'Restored copy tracks the original bar for bar');
+
+  let threw = false;
+  try {
+    new ATRIndicator().restore(new RSIIndicator().serialize());
+  } catch (error) {
+    threw = true;
+  }
+  runner.assert(threw, 'restore() rejects another indicator\'s snapshot');
+}
+
+function testReadAtrPercent(runner) {
+  console.log('\n📋 Testing readAtrPercent()...');
+
+  const { atr, result } = run(makeCandles(40));
+  const atrPercent = result.value.atrPercent;
+
+  runner.assert(ATRIndicator.readAtrPercent(1.25) === 1.25, 'Number');
+  runner.assert(ATRIndicator.readAtrPercent(atr) === atrPercent, 'Indicator instance');
+  runner.assert(ATRIndicator.readAtrPercent(result) === atrPercent, 'getResult()');
+  runner.assert(ATRIndicator.readAtrPercent(result.value) === atrPercent, 'Result value');
+  runner.assert(ATRIndicator.readAtrPercent({ percentValue: 0.7 }) === 0.7, 'Legacy { percentValue }');
+  runner.assert(ATRIndicator.readAtrPercent(new ATRIndicator()) === null, 'Warming-up indicator');
+  runner.assert(ATRIndicator.readAtrPercent(undefined) === null, 'Missing reading');
+  runner.assert(ATRIndicator.readAtrPercent(NaN) === null, 'NaN');
+  runner.assert(ATRIndicator.readAtrPercent({ value: 3 }) === null, 'Unrelated result');
+}
+
+// ============================================================================
+// CONSUMERS
+// ============================================================================
+
+function testLeverage(runner) {
+  console.log('\n📋 Testing leverage consumers...');
+
+  const calm = run(makeCandles(80).slice(0, 40)).result;
+  const atrPercent = calm.value.atrPercent;
+
+  const calculator = new LeverageCalculator();
+  runner.assert(calculator.calculateOptimalLeverage(calm) === calculator.calculateOptimalLeverage(atrPercent),
+    'LeverageCalculator reads an ATR result like its ATR%');
+  runner.assert(calculator.calculateOptimalLeverage(0.4) === 75, 'LeverageCalculator tiers unchanged');
+  const fallback = ATRIndicator.FALLBACK_ATR_PERCENT;
+  runner.assert(calculator.calculateOptimalLeverage(new ATRIndicator()) === calculator.calculateOptimalLeverage(fallback),
+    'LeverageCalculator assumes the fallback ATR% without ATR');
+  runner.assert(calculator.recommendSettings(calm, 1000).atrPercent === atrPercent, 'recommendSettings() reports the ATR%');
+  const unknown = calculator.recommendSettings(null, 1000);
+  runner.assert(unknown.volatilityCategory === 'unknown' && unknown.positionSizePercent === 0.25,
+    'recommendSettings() sizes smallest without ATR');
+
+  const risk = new RiskAgent();
+  runner.assert(risk.calculateAutoLeverage(calm) === risk.calculateAutoLeverage(atrPercent), 'RiskAgent reads an ATR result');
+  runner.assert(risk.calculateAutoLeverage(0.8) === 50, 'RiskAgent tiers unchanged');
+  runner.assert(risk.calculateAutoLeverage(undefined) === risk.calculateAutoLeverage(fallback), 'RiskAgent assumes the fallback ATR% without ATR');
+
+  const engine = new TradingEngineV3({ mode: 'paper' });
+  runner.assert(engine._calculateLeverage(calm) === engine._calculateLeverage(atrPercent), 'TradingEngineV3 reads an ATR result');
+  runner.assert(engine._calculateLeverage({ percentValue: 3.0 }) === engine._calculateLeverage(3.0), 'TradingEngineV3 reads legacy { percentValue }');
+  runner.assert(engine._calculateLeverage(null) === engine._calculateLeverage(fallback), 'TradingEngineV3 assumes the fallback ATR% without ATR');
+}
+
+async function testRegime(runner) {
+  console.log('\n📋 Testing RegimeAgent volatility...');
+
+  const candles = makeCandles(160);
+  const ranges = trueRanges(candles);
+  const atr = ranges.slice(-14).reduce((a, b) => a + b, 0) / 14;
+
+  const agent = new RegimeAgent({});
+  const result = await agent.classifyRegime('TEST', candles);
+  runner.assert(result.ok, 'Classifies with the shared indicator');
+
+  const { indicators } = result.value;
+  runner.assert(indicators.atr === Math.round(atr * 10000) / 10000, 'ATR matches the previous SMA calculation');
+  runner.assert(indicators.volatilityPct === Math.round((atr / candles[159].close) * 10000) / 100, 'Volatility % is ATR%');
+  runner.assert(indicators.realizedVol > 0 && indicators.volatilityRank >= 0 && indicators.volatilityRank <= 100,
+    'Reports realized volatility and its rank');
+}
+
+function testScreener(runner) {
+  console.log('\n📋 Testing screener IndicatorState ATR...');
+
+  const candles = makeCandles(80);
+  const state = new IndicatorState({ timeframe: '1min' });
+  for (const candle of candles) state.update(candle);
+
+  const ranges = trueRanges(candles);
+  runner.assertClose(state.getIndicators().atr, ranges.slice(-14).reduce((a, b) => a + b, 0) / 14, 1e-12,
+    'IndicatorState ATR comes from ATRIndicator');
+}
+
+async function runAllTests() {
+  console.log('Starting ATR Indicator Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    testAtr(runner);
+    testEstimators(runner);
+    testSignals(runner);
+    testSnapshot(runner);
+    testReadAtrPercent(runner);
+    testLeverage(runner);
+    await testRegime(runner);
+    testScreener(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,224 @@
+/**
+ * BacktestEngine Test Suite
+ *
+ * Tests the backtest engine for:
+ * - Single-symbol simulation
+ * - Multi-symbol portfolio simulation
+ * - Risk limits (max positions, total exposure)
+ * - Per-symbol and aggregate equity curves
+ */
+
+const BacktestEngine = require('../src/backtest/BacktestEngine');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const INTERVAL = 15 * 60 * 1000;
+
+// Deterministic trending candles
+function generateCandles(count, startPrice = 100, drift = 0.002, startTs = 1700000000000) {
+  const candles = [];
+  let price = startPrice;
+
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price = price * (1 + drift + Math.sin(i / 3) * 0.001);
+    candles.push({
+      ts: startTs + i * INTERVAL,
+      open,
+      high: Math.max(open, price) * 1.001,
+      low: Math.min(open, price) * 0.999,
+      close: price,
+      volume: 1000 + (i % 10) * 100
+    });
+  }
+
+  return candles;
+}
+
+function bullishIndicator() {
+  return {
+    value: 25,
+    signals: [
+      { type: 'bullish_divergence', direction: 'bullish', strength: 'very_strong', message: 'divergence' },
+      { type: 'bullish_crossover', direction: 'bullish', strength: 'strong', message: 'crossover' }
+    ]
+  };
+}
+
+// Every bar carries a strong bullish signal so entries are always wanted
+function generateBullishIndicators(count) {
+  const names = ['rsi', 'williamsR', 'kdj', 'stochRSI', 'obv'];
+  const indicators = {};
+  for (const name of names) {
+    indicators[name] = Array.from({ length: count }, bullishIndicator);
+  }
+  return indicators;
+}
+
+function createStreams(symbols, count) {
+  const streams = {};
+  symbols.forEach((symbol, i) => {
+    streams[symbol] = {
+      candles: generateCandles(count, 100 + i * 10),
+      indicators: generateBullishIndicators(count)
+    };
+  });
+  return streams;
+}
+
+const baseConfig = {
+  warmupPeriod: 10,
+  stopLossROI: 10,
+  takeProfitROI: 30,
+  minSignalScore: 30
+};
+
+async function testSingleSymbol(runner) {
+  console.log('\n📋 Testing Single-Symbol Backtest...');
+
+  const engine = new BacktestEngine({ initialBalance: 10000, leverage: 10, riskPerTrade: 1 });
+  const candles = generateCandles(100);
+  const results = await engine.runBacktest(candles, generateBullishIndicators(100), baseConfig);
+
+  runner.assert(results.totalTrades > 0, 'Single-symbol backtest opens trades', `trades=${results.totalTrades}`);
+  runner.assert(results.trades.every(t => t.symbol === 'BACKTEST'), 'Single-symbol trades keep BACKTEST symbol');
+  runner.assert(results.equity.length === 100 - baseConfig.warmupPeriod + 1, 'Equity point recorded per candle');
+}
+
+async function testPortfolioLimits(runner) {
+  console.log('\n📋 Testing Portfolio Risk Limits...');
+
+  const symbols = ['AAAUSDTM', 'BBBUSDTM', 'CCCUSDTM', 'DDDUSDTM'];
+  const engine = new BacktestEngine({
+    initialBalance: 10000,
+    leverage: 10,
+    riskPerTrade: 1,
+    maxOpenPositions: 2,
+    maxTotalExposure: 10
+  });
+
+  let maxConcurrent = 0;
+  const originalOpen = engine._openPosition.bind(engine);
+  engine._openPosition = (...args) => {
+    originalOpen(...args);
+    maxConcurrent = Math.max(maxConcurrent, engine.positions.length);
+  };
+
+  const results = await engine.runPortfolioBacktest(createStreams(symbols, 80), baseConfig);
+
+  runner.assert(maxConcurrent === 2, 'Never exceeds maxOpenPositions', `max=${maxConcurrent}`);
+  runner.assert(results.rejectedEntries.MAX_POSITIONS > 0, 'Entries beyond the limit are rejected and counted');
+  runner.assert(results.symbols.length === 4, 'Results list every symbol');
+
+  const tradedSymbols = new Set(results.trades.map(t => t.symbol));
+  runner.assert(tradedSymbols.size >= 2, 'Trades span several symbols', `symbols=${[...tradedSymbols]}`);
+
+  const exposureEngine = new BacktestEngine({
+    initialBalance: 10000,
+    leverage: 10,
+    riskPerTrade: 2,
+    maxOpenPositions: 5,
+    maxTotalExposure: 3
+  });
+  const exposureResults = await exposureEngine.runPortfolioBacktest(createStreams(symbols, 40), baseConfig);
+  runner.assert(exposureResults.rejectedEntries.TOTAL_EXPOSURE > 0, 'Total exposure limit rejects entries');
+
+  // Default riskPerTrade/maxPositionPercent must not refuse every entry
+  const defaultResults = await new BacktestEngine({ riskPerTrade: 3 }).runPortfolioBacktest(createStreams(symbols, 40), baseConfig);
+  runner.assert(defaultResults.totalTrades > 0 && !defaultResults.rejectedEntries.POSITION_SIZE,
+    'Per-trade risk above maxPositionPercent still trades', JSON.stringify(defaultResults.rejectedEntries));
+
+  const sizeResults = await new BacktestEngine({ riskPerTrade: 5, maxPositionPercent: 2 })
+    .runPortfolioBacktest(createStreams(symbols, 40), baseConfig);
+  const cappedResults = await new BacktestEngine({ riskPerTrade: 2, maxPositionPercent: 2 })
+    .runPortfolioBacktest(createStreams(symbols, 40), baseConfig);
+  runner.assert(sizeResults.totalTrades === cappedResults.totalTrades &&
+    sizeResults.trades.every((t, i) => t.margin === cappedResults.trades[i].margin),
+  'Per-trade risk is capped at maxPositionPercent',
+  JSON.stringify({ size: sizeResults.trades.map(t => t.margin), capped: cappedResults.trades.map(t => t.margin) }));
+
+  // Single-symbol runs size at riskPerTrade as given
+  const { candles, indicators } = createStreams(['AAAUSDTM'], 40).AAAUSDTM;
+  const single = await new BacktestEngine({ riskPerTrade: 5, maxPositionPercent: 2 }).runBacktest(candles, indicators, baseConfig);
+  // Margin is rounded down to whole contracts
+  runner.assert(single.trades.length > 0 && Math.abs(single.trades[0].margin - 10000 * 0.05) < 1,
+    'Single-symbol runs are not capped at maxPositionPercent', JSON.stringify(single.trades.map(t => t.margin)));
+}
+
+async function testPortfolioEquity(runner) {
+  console.log('\n📋 Testing Portfolio Equity Curves...');
+
+  const symbols = ['AAAUSDTM', 'BBBUSDTM'];
+  const streams = createStreams(symbols, 60);
+  // Offset the second symbol so timestamps only partially overlap
+  streams.BBBUSDTM.candles.forEach(c => { c.ts += 5 * INTERVAL; });
+
+  const engine = new BacktestEngine({ initialBalance: 10000, leverage: 10, riskPerTrade: 1 });
+  const results = await engine.runPortfolioBacktest(streams, baseConfig);
+
+  const timestamps = results.equity.slice(1).map(e => e.ts);
+  const sorted = [...timestamps].sort((a, b) => a - b);
+  runner.assert(JSON.stringify(timestamps) === JSON.stringify(sorted), 'Aggregate equity is timestamp ordered');
+  runner.assert(new Set(timestamps).size === timestamps.length, 'One aggregate equity point per timestamp');
+  runner.assert(timestamps.length === 55, 'Merged timeline covers both symbols', `points=${timestamps.length}`);
+
+  const perSymbolTotal = symbols.reduce((sum, s) => sum + results.perSymbol[s].netPnL, 0);
+  const balanceChange = results.finalBalance - results.initialBalance;
+  runner.assert(Math.abs(perSymbolTotal - balanceChange) < 1e-6,
+    'Per-symbol PnL sums to aggregate balance change', `${perSymbolTotal} vs ${balanceChange}`);
+
+  for (const symbol of symbols) {
+    runner.assert(results.perSymbol[symbol].equity.length === timestamps.length + 1,
+      `${symbol} equity curve aligned with aggregate curve`);
+  }
+}
+
+async function runAllTests() {
+  console.log('Starting BacktestEngine Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    await testSingleSymbol(runner);
+    await testPortfolioLimits(runner);
+    await testPortfolioEquity(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
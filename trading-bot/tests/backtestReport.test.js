@@ -0,0 +1,272 @@
+/**
+ * Backtest Report Test Suite
+ *
+ * Tests src/backtest/ReportGenerator.js and the data BacktestEngine records for it:
+ * - Per-trade MAE/MFE and the entry signal breakdown
+ * - Summary, drawdown, monthly returns and exit-reason breakdown
+ * - Self-contained HTML with charts, heatmap and expandable trades
+ * - JSON round trip and side-by-side comparison
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BacktestEngine = require('../src/backtest/BacktestEngine');
+const ReportGenerator = require('../src/backtest/ReportGenerator');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const INTERVAL = 15 * 60 * 1000;
+const START = Date.UTC(2026, 0, 1);
+const FLAT = [100, 100.05, 99.95, 100];
+
+// Flat warmup at 100, then [open, high, low, close] bars; the first bar is the entry bar
+function barCandles(bars, warmup = 10) {
+  const flat = Array.from({ length: warmup }, () => FLAT);
+  return [...flat, ...bars].map(([open, high, low, close], i) => ({
+    ts: START + i * INTERVAL,
+    open,
+    high,
+    low,
+    close,
+    volume: 1000
+  }));
+}
+
+function bullishIndicators(count) {
+  const indicator = () => ({
+    value: 25,
+    signals: [
+      { type: 'bullish_divergence', direction: 'bullish', strength: 'very_strong', message: 'divergence' },
+      { type: 'bullish_crossover', direction: 'bullish', strength: 'strong', message: 'crossover' }
+    ]
+  });
+  const indicators = {};
+  for (const name of ['rsi', 'williamsR', 'kdj', 'stochRSI', 'obv']) {
+    indicators[name] = Array.from({ length: count }, indicator);
+  }
+  return indicators;
+}
+
+async function runEngine(bars) {
+  const candles = barCandles(bars);
+  const engine = new BacktestEngine({
+    initialBalance: 10000,
+    leverage: 10,
+    riskPerTrade: 1,
+    trailingStopEnabled: false,
+    breakEvenEnabled: false
+  });
+  return engine.runBacktest(candles, bullishIndicators(candles.length),
+    { warmupPeriod: 10, stopLossROI: 10, takeProfitROI: 30, minSignalScore: 30 });
+}
+
+// Hand-built results spanning January and February: up 200 over 20 days, then down 5 a day
+function syntheticResults(name = 'synthetic', drift = 1) {
+  const equity = [{ ts: 0, value: 10000 }];
+  for (let d = 0; d < 59; d++) {
+    equity.push({ ts: START + d * DAY, value: 10000 + drift * (d < 20 ? d * 10 : 200 - (d - 20) * 5) });
+  }
+  const trade = (id, reason, pnl, mae, mfe) => ({
+    id, symbol: 'AAAUSDTM', side: 'long', entryTime: START, exitTime: START + DAY, entryPrice: 100,
+    exitPrice: 101, reason, pnl, roi: pnl / 10, mae, mfe, entrySignal: null
+  });
+
+  return {
+    initialBalance: 10000,
+    finalBalance: equity[equity.length - 1].value,
+    totalReturn: '0.00',
+    totalTrades: 4,
+    winningTrades: 2,
+    losingTrades: 2,
+    winRate: '50.00',
+    profitFactor: '1.50',
+    sharpeRatio: '0.10',
+    maxDrawdown: '1.00',
+    avgWin: '30.00',
+    avgLoss: '20.00',
+    name,
+    trades: [
+      trade('t1', 'stop_loss', -20, 10, 2),
+      trade('t2', 'stop_loss', -20, 10, 4),
+      trade('t3', 'trailing_stop', 50, 3, 40),
+      trade('t4', 'take_profit', 10, 1, 30)
+    ],
+    equity
+  };
+}
+
+// ============================================================================
+// ENGINE DATA
+// ============================================================================
+
+async function testEngineData(runner) {
+  console.log('\n📋 Testing Engine Excursions & Entry Signals...');
+
+  // Entry at 100; next bar rallies to 102 (+20% ROI at 10x) then falls through the stop
+  const results = await runEngine([FLAT, [100, 102, 100, 101.5], [101.5, 101.6, 98.5, 99]]);
+  const trade = results.trades[0];
+
+  runner.assert(trade.reason === 'stop_loss', 'Trade stops out', trade.reason);
+  runner.assertClose(trade.mfe, (102 / trade.entryPrice - 1) * 1000, 1e-9, 'MFE is the best ROI reached');
+  runner.assertClose(trade.mae, 10, 1e-9, 'MAE stops at the stop price, not the bar low');
+
+  const signal = trade.entrySignal;
+  runner.assert(signal && signal.type.includes('BUY') && signal.score > 0, 'Entry signal recorded on the trade');
+  runner.assert(signal.indicators.rsi && typeof signal.indicators.rsi.contribution === 'number',
+    'Per-indicator contributions recorded');
+  runner.assert(signal.indicators.rsi.signals.includes('bullish_divergence'), 'Indicator signal types recorded');
+  runner.assert(!('timestamp' in signal) && !('breakdown' in signal), 'Snapshot is compact and deterministic');
+
+  const open = await runEngine([FLAT, FLAT]);
+  runner.assert(open.trades[0].reason === 'end_of_backtest' && open.trades[0].mae >= 0 && open.trades[0].mfe >= 0,
+    'Excursions recorded on end-of-backtest closes');
+}
+
+// ============================================================================
+// REPORT DATA
+// ============================================================================
+
+function testBuild(runner) {
+  console.log('\n📋 Testing Report Data...');
+
+  const generator = new ReportGenerator();
+  const report = generator.build(syntheticResults(), { name: 'Run A', symbol: 'AAAUSDTM', timeframe: '15min' });
+
+  runner.assert(report.kind === 'backtest-report' && report.name === 'Run A', 'Report is tagged and named');
+  runner.assert(report.summary.winRate === 50 && report.summary.profitFactor === 1.5, 'Summary metrics parsed to numbers');
+  runner.assertClose(report.summary.expectancy, 5, 1e-9, 'Expectancy is the mean trade PnL');
+  runner.assertClose(report.summary.avgMAE, 6, 1e-9, 'Average MAE');
+  runner.assert(report.equity.length === 59 && report.equity[0].ts === START, 'Placeholder equity point dropped');
+
+  const maxDd = Math.max(...report.drawdown.map(p => p.value));
+  runner.assertClose(maxDd, (10200 - 10010) / 10200 * 100, 1e-9, 'Drawdown measured from the running peak');
+
+  const months = report.monthlyReturns;
+  runner.assert(months.length === 2 && months[0].month === '2026-01' && months[1].monthIndex === 1, 'One entry per month');
+  const janClose = 10000 + 200 - (30 - 20) * 5;
+  runner.assertClose(months[0].return, (janClose - 10000) / 10000 * 100, 1e-9, 'First month measured from the initial balance');
+  runner.assertClose(months[1].return, (report.equity[58].value - janClose) / janClose * 100, 1e-9,
+    'Later months measured from the previous close');
+
+  const exits = report.exitReasons;
+  runner.assert(exits.stop_loss.count === 2 && exits.stop_loss.winRate === 0, 'Stop losses grouped');
+  runner.assert(exits.break_even.count === 0, 'Core exit reasons always listed');
+  runner.assert(!('liquidation' in exits), 'Unused extra reasons omitted');
+  runner.assertClose(exits.trailing_stop.share, 25, 1e-9, 'Share of trades per reason');
+  runner.assertClose(exits.stop_loss.totalPnL, -40, 1e-9, 'PnL per reason');
+
+  runner.assert(report.excursions.length === 4 && report.excursions[2].mfe === 40, 'Excursions listed per trade');
+  runner.assert(report.trades.length === 4 && report.trades[0].entrySignal === null, 'Trade rows kept');
+}
+
+// ============================================================================
+// HTML & FILES
+// ============================================================================
+
+async function testHtml(runner) {
+  console.log('\n📋 Testing HTML & Files...');
+
+  const generator = new ReportGenerator();
+  const results = await runEngine([FLAT, [100, 102, 100, 101.5], [101.5, 101.6, 98.5, 99]]);
+  const report = generator.build(results, { name: 'SOL <15min>' });
+  const html = generator.renderHTML(report);
+
+  runner.assert(html.startsWith('<!DOCTYPE html>') && !/<(script|link)[^>]+(src|href)=/.test(html),
+    'HTML is self-contained');
+  runner.assert(html.includes('SOL &lt;15min&gt;') && !html.includes('SOL <15min>'), 'Names are escaped');
+  runner.assert((html.match(/<svg/g) || []).length === 3, 'Equity, drawdown and MAE/MFE charts');
+  runner.assert(html.includes('class="heatmap"'), 'Monthly heatmap rendered');
+  runner.assert(html.includes('class="exits"') && html.includes('trailing_stop'), 'Exit reason table rendered');
+  runner.assert(html.includes('<details class="trade">') && html.includes('bullish_divergence'),
+    'Trades expand to the entry signal breakdown');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+  try {
+    const written = generator.write(results, { name: 'Run A', outputDir: dir, fileName: 'run_a' });
+    runner.assert(fs.existsSync(written.html) && fs.existsSync(written.json), 'HTML and JSON written');
+
+    const loaded = generator.load(written.json);
+    runner.assert(loaded.kind === 'backtest-report' && loaded.summary.totalTrades === report.summary.totalTrades,
+      'Report JSON loads back');
+
+    const rawFile = path.join(dir, 'backtest_raw.json');
+    fs.writeFileSync(rawFile, JSON.stringify(syntheticResults()));
+    const fromRaw = generator.load(rawFile);
+    runner.assert(fromRaw.kind === 'backtest-report' && fromRaw.name === 'backtest_raw',
+      'Raw results files are built on load');
+
+    const compareFile = generator.writeComparison([loaded, fromRaw], path.join(dir, 'compare.html'));
+    const comparison = fs.readFileSync(compareFile, 'utf8');
+    runner.assert(comparison.includes('Run A') && comparison.includes('backtest_raw'), 'Comparison names both runs');
+    runner.assert((comparison.match(/class="column"/g) || []).length === 2, 'Runs laid out side by side');
+    runner.assert((comparison.match(/class="heatmap"/g) || []).length === 2, 'Heatmap per run');
+    runner.assert(/<path[^>]+#2563eb[\s\S]*<path[^>]+#dc2626/.test(comparison), 'Equity curves overlaid');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const large = syntheticResults();
+  large.equity = Array.from({ length: 200000 }, (_, i) => ({ ts: START + i * INTERVAL, value: 10000 + Math.sin(i / 500) * 100 }));
+  const bigHtml = generator.renderHTML(generator.build(large));
+  runner.assert(bigHtml.length < 2e6, 'Long equity curves downsampled for charts', `${bigHtml.length} chars`);
+}
+
+async function runAllTests() {
+  console.log('Starting Backtest Report Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    await testEngineData(runner);
+    testBuild(runner);
+    await testHtml(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,294 @@
+/**
+ * Batch Indicators Test Suite
+ *
+ * Tests the static batch() API:
+ * - Parity with update(): every value field and every bar's signal types, for
+ *   each candle indicator on default and alternate configs (short histories)
+ * - BatchSeries input forms and errors
+ * - signals: false, StochasticRSI reusing an RSI series
+ * - OptimizerAgent scoring from batch series
+ */
+
+const indicators = require('../src/indicators');
+const BatchSeries = require('../src/indicators/BatchSeries');
+const OptimizerAgent = require('../agents/optimizer-agent');
+
+const { RSIIndicator, StochasticRSI, BollingerBands, PumpAlertIndicator } = indicators;
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+// Deterministic random walk with flat stretches (zero ranges), zero-volume
+// bars and volume spikes, so every guard in the indicators gets exercised
+function makeCandles(count, seed = 3) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+
+  const candles = [];
+  let price = 100;
+  for (let i = 0; i < count; i++) {
+    const flat = i % 97 < 6;
+    const open = price;
+    const close = flat ? price : price * (1 + (random() - 0.5) * 0.03);
+    candles.push({
+      ts: i * 60000,
+      open,
+      high: flat ? price : Math.max(open, close) * (1 + random() * 0.01),
+      low: flat ? price : Math.min(open, close) * (1 - random() * 0.01),
+      close,
+      volume: i % 50 === 0 ? 0 : random() * 1000 * (i % 37 === 0 ? 8 : 1)
+    });
+    price = close;
+  }
+  return candles;
+}
+
+const CONFIGS = {
+  RSIIndicator: [{}, { period: 5, oversold: 35, overbought: 65, historyLength: 20 }],
+  MACDIndicator: [{}, { fastPeriod: 5, slowPeriod: 13, signalPeriod: 4, historyLength: 8 }],
+  WilliamsRIndicator: [{}, { period: 6, historyLength: 21 }],
+  AwesomeOscillator: [{}, { fastPeriod: 3, slowPeriod: 10, historyLength: 12 }],
+  StochasticIndicator: [{}, { kPeriod: 5, dPeriod: 4, smooth: 2, historyLength: 3 }],
+  StochasticRSI: [{}, { rsiPeriod: 7, stochPeriod: 5, kSmooth: 2, dSmooth: 4, historyLength: 25 }],
+  BollingerBands: [{}, { period: 10, stdDev: 1.5, historyLength: 15 }],
+  EMATrend: [{}, { shortPeriod: 5, mediumPeriod: 40, longPeriod: 12, trendPeriod: 30, historyLength: 4 }],
+  KDJIndicator: [{}, { kPeriod: 1, historyLength: 22 }],
+  OBVIndicator: [{}, { slopeWindow: 6, zScoreCap: 1.2, historyLength: 8 }],
+  VolumeRatioIndicator: [{}, { lookback: 5, historyLength: 25, buyThreshold: 1.2 }],
+  PumpAlertIndicator: [{}, { volumeLookback: 8, atrPeriod: 4, atrLookback: 6, volumeSpikeThreshold: 1.5, momentumThreshold: 0.8 }],
+  ADXIndicator: [{}, { period: 5, trendThreshold: 20, historyLength: 3 }, { period: 1 }],
+  ATRIndicator: [{}, { period: 5, smoothing: 'wilder', volPeriod: 8, rankLookback: 30, minRankSamples: 5, expansionLookback: 6, expansionThreshold: 1.2 }]
+};
+
+function sameValue(actual, expected) {
+  if (expected === null || Number.isNaN(expected)) return Number.isNaN(actual);
+  return actual === (typeof expected === 'boolean' ? +expected : expected);
+}
+
+// Compare batch output against update() bar by bar; returns the first mismatch
+function compareWithUpdate(Indicator, config, candles) {
+  const batch = Indicator.batch(candles, config);
+  const streaming = new Indicator(config);
+  let signalCount = 0;
+
+  for (let i = 0; i < candles.length; i++) {
+    const result = streaming.update({ ...candles[i] });
+    const fields = typeof result.value === 'object' && result.value !== null ? result.value : { '': result.value };
+
+    for (const [field, expected] of Object.entries(fields)) {
+      // Labels (regime, alert type, BUY/SELL) and nested objects are derived, not batched
+      if (typeof expected === 'string' || (expected !== null && typeof expected === 'object')) continue;
+      if (Indicator === indicators.ADXIndicator && field === 'regime') continue;
+
+      const series = field === '' ? batch.value : batch.value[field];
+      if (!series) return `bar ${i}: no ${field} series`;
+      if (!sameValue(series[i], expected)) return `bar ${i}: ${field} ${series[i]} != ${expected}`;
+    }
+
+    const expectedTypes = result.signals.map(s => s.type).sort().join(',');
+    const batchTypes = Object.keys(batch.signals).filter(type => batch.signals[type][i]).sort().join(',');
+    if (expectedTypes !== batchTypes) return `bar ${i}: signals [${batchTypes}] != [${expectedTypes}]`;
+    signalCount += result.signals.length;
+  }
+
+  return signalCount > 0 ? null : 'no signals fired';
+}
+
+function testParity(runner) {
+  console.log('\n📋 Testing batch() parity with update()...');
+
+  const candles = makeCandles(800);
+  for (const [name, configs] of Object.entries(CONFIGS)) {
+    for (const config of configs) {
+      const mismatch = compareWithUpdate(indicators[name], config, candles);
+      runner.assert(mismatch === null, `${name} ${JSON.stringify(config)} matches update()`, mismatch);
+    }
+  }
+
+  // Short input: everything still in warmup
+  const short = makeCandles(10);
+  const rsi = RSIIndicator.batch(short);
+  runner.assert(rsi.value.length === 10 && rsi.value.every(Number.isNaN), 'Warmup bars are NaN');
+  runner.assert(Object.keys(rsi.signals).length === 0, 'No signal flags during warmup');
+  runner.assert(RSIIndicator.batch([]).value.length === 0, 'Empty input gives empty series');
+
+  // Nested condition flags PumpAlert reports per bar
+  const pump = PumpAlertIndicator.batch(candles, CONFIGS.PumpAlertIndicator[1]);
+  const streaming = new PumpAlertIndicator(CONFIGS.PumpAlertIndicator[1]);
+  let conditionsMatch = true;
+  candles.forEach((candle, i) => {
+    const { conditions } = streaming.update(candle).value;
+    for (const [key, flag] of Object.entries(conditions)) {
+      if (pump.value.conditions[key][i] !== +flag) conditionsMatch = false;
+    }
+  });
+  runner.assert(conditionsMatch, 'PumpAlert condition flags match update()');
+}
+
+function testSeriesInput(runner) {
+  console.log('\n📋 Testing BatchSeries input...');
+
+  const candles = makeCandles(120);
+  const closes = candles.map(c => c.close);
+  const fromCandles = BollingerBands.batch(candles).value.middle;
+
+  const series = BatchSeries.from(candles);
+  runner.assert(series.length === 120 && series.close instanceof Float64Array, 'Candles convert to Float64Array fields');
+  runner.assert(BatchSeries.from(series) === series, 'BatchSeries passes through unchanged');
+
+  const fromCloses = BollingerBands.batch(closes).value.middle;
+  const fromObject = BollingerBands.batch({ close: closes }).value.middle;
+  runner.assert(fromCloses.every((v, i) => sameValue(v, fromCandles[i])), 'Close array gives the same result');
+  runner.assert(fromObject.every((v, i) => sameValue(v, fromCandles[i])), 'Close series object gives the same result');
+  runner.assert(Number.isNaN(BatchSeries.from(closes).high[0]), 'Fields missing from the input are NaN');
+
+  let lengthError = null;
+  try {
+    BatchSeries.from({ close: closes, high: closes.slice(1) });
+  } catch (error) {
+    lengthError = error.message;
+  }
+  runner.assert(lengthError === 'Batch high series has 119 bars, close has 120', 'Mismatched field lengths throw', lengthError);
+
+  let missingError = null;
+  try {
+    BatchSeries.from({ high: closes });
+  } catch (error) {
+    missingError = error.message;
+  }
+  runner.assert(missingError === 'Batch input needs candles or a close series', 'Input without closes throws', missingError);
+}
+
+function testOptions(runner) {
+  console.log('\n📋 Testing batch() options...');
+
+  const candles = makeCandles(400);
+  const series = BatchSeries.from(candles);
+
+  const full = StochasticRSI.batch(series);
+  const valuesOnly = StochasticRSI.batch(series, {}, { signals: false });
+  runner.assert(Object.keys(valuesOnly.signals).length === 0, 'signals: false returns no flags');
+  runner.assert(valuesOnly.value.k.every((v, i) => sameValue(v, full.value.k[i])), 'signals: false leaves values unchanged');
+
+  // StochRSI's own RSI is RSIIndicator's, so a sweep can share one RSI series
+  const rsi = RSIIndicator.batch(series, { period: 14 }, { signals: false });
+  runner.assert(full.value.rsi.every((v, i) => sameValue(v, rsi.value[i])), 'StochasticRSI RSI equals RSIIndicator');
+
+  const reused = StochasticRSI.batch(series, { rsiPeriod: 14, stochPeriod: 10 }, { rsi: rsi.value });
+  const computed = StochasticRSI.batch(series, { rsiPeriod: 14, stochPeriod: 10 });
+  runner.assert(reused.value.d.every((v, i) => sameValue(v, computed.value.d[i])), 'Reused RSI gives the same %D');
+  runner.assert(
+    Object.keys(reused.signals).every(type => reused.signals[type].every((f, i) => f === computed.signals[type][i])),
+    'Reused RSI gives the same signals'
+  );
+
+  let rsiError = null;
+  try {
+    StochasticRSI.batch(series, {}, { rsi: rsi.value.subarray(1) });
+  } catch (error) {
+    rsiError = error.message;
+  }
+  runner.assert(rsiError === 'StochasticRSI batch rsi series has 399 bars, close has 400', 'Short RSI series throws', rsiError);
+
+  // Streaming StochRSI tracks the previous close through RSI warmup
+  const streaming = new StochasticRSI();
+  const streamedRSI = candles.map(c => streaming.update(c).value.rsi);
+  runner.assertClose(streamedRSI[14], rsi.value[14], 1e-12, 'Streaming StochasticRSI seeds RSI like RSIIndicator');
+}
+
+function testOptimizerScoring(runner) {
+  console.log('\n📋 Testing OptimizerAgent batch scoring...');
+
+  const candles = makeCandles(600, 11);
+  const agent = new OptimizerAgent({});
+  const inputs = agent._scoreIndicators(candles);
+
+  const stochRSI = new StochasticRSI({ rsiPeriod: 14, stochPeriod: 14, kSmooth: 3, dSmooth: 3 });
+  const bands = new BollingerBands({ period: 20, stdDev: 2 });
+  let matches = true;
+  candles.forEach((candle, i) => {
+    const { k } = stochRSI.update(candle).value;
+    const { lower } = bands.update(candle).value;
+    if (!sameValue(inputs.stochRsi.k[i], k) || !sameValue(inputs.bb.lower[i], lower)) matches = false;
+  });
+  runner.assert(matches, 'Score inputs equal the streaming indicators');
+
+  // EMA series equals the SMA-seeded EMA over each prefix
+  const closes = candles.map(c => c.close);
+  const ema = (values, period) => {
+    let value = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    for (let i = period; i < values.length; i++) value = (values[i] - value) * (2 / (period + 1)) + value;
+    return value;
+  };
+  runner.assert(inputs.ema21[20] === ema(closes.slice(0, 21), 21), 'EMA series seeds from the first SMA');
+  runner.assert(inputs.ema21[450] === ema(closes.slice(0, 451), 21), 'EMA series matches the prefix EMA');
+  runner.assert(inputs.ema50[10] === closes[10], 'EMA series is the raw value before its period');
+
+  runner.assert(agent._quickScore(inputs, 30) === 0, 'No score before 50 bars');
+  const scores = candles.map((_, i) => agent._quickScore(inputs, i)).slice(200);
+  runner.assert(scores.some(s => s > 0) && scores.some(s => s < 0), 'Scores both directions');
+
+  const result = agent._simulateTrades(candles, { minScore: 30 });
+  runner.assert(result.totalTrades > 0, 'Simulation trades on batch scores', `trades: ${result.totalTrades}`);
+}
+
+async function runAllTests() {
+  console.log('Starting Batch Indicators Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    testParity(runner);
+    testSeriesInput(runner);
+    testOptions(runner);
+    testOptimizerScoring(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
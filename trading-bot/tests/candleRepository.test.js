@@ -0,0 +1,222 @@
+/**
+ * CandleRepository Test Suite
+ *
+ * Tests the local candle store for:
+ * - Indexing dumps by symbol/timeframe
+ * - Index built from dump metadata, candles loaded on first query
+ * - Time range and last-N queries
+ * - Gap filling
+ * - Resampling lower timeframes
+ * - Offline mode never touching the network
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CandleRepository = require('../src/data/CandleRepository');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const FIVE_MIN = 5 * 60 * 1000;
+const START_TS = 1767225600000; // 2026-01-01T00:00:00Z, aligned to every timeframe
+
+function makeCandles(count, step, skip = []) {
+  const candles = [];
+  for (let i = 0; i < count; i++) {
+    if (skip.includes(i)) continue;
+    const base = 100 + i;
+    candles.push({ ts: START_TS + i * step, open: base, high: base + 2, low: base - 1, close: base + 1, volume: 10 });
+  }
+  return candles;
+}
+
+function createStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'candle-repo-'));
+
+  fs.writeFileSync(path.join(dir, 'XBTUSDTM_5min_1d.json'), JSON.stringify({
+    symbol: 'XBTUSDTM',
+    interval: '5min',
+    source: 'kucoin_futures',
+    candles: makeCandles(48, FIVE_MIN, [5, 6])
+  }));
+
+  fs.writeFileSync(path.join(dir, 'BTCUSDT_15m_1d.json'), JSON.stringify({
+    symbol: 'BTCUSDT',
+    interval: '15m',
+    source: 'binance_futures',
+    candles: makeCandles(16, 3 * FIVE_MIN)
+  }));
+
+  // JSONL dump with legacy `timestamp` field (research/data/fetch_ohlcv.js format)
+  fs.writeFileSync(path.join(dir, 'ETHUSDTM_1h.jsonl'),
+    makeCandles(4, 12 * FIVE_MIN).map(c => JSON.stringify({ ...c, timestamp: c.ts, ts: undefined })).join('\n'));
+
+  return dir;
+}
+
+async function testIndexing(runner, repo) {
+  console.log('\n📋 Testing Index...');
+
+  const available = repo.listAvailable();
+  runner.assert(available.length === 3, 'Indexes every dump', `found ${available.length}`);
+  runner.assert(repo.hasLocal('XBTUSDTM', '5m'), 'Accepts timeframe aliases');
+  runner.assert(repo.hasLocal('ETHUSDTM', 60), 'Accepts timeframe in minutes');
+  runner.assert(repo.listSymbols('1hour').includes('XBTUSDTM'), 'Lists symbols servable by resampling');
+  runner.assert(repo.cache.size === 0, 'Indexing keeps no candles in memory', `cached ${repo.cache.size}`);
+}
+
+async function testQueries(runner, repo) {
+  console.log('\n📋 Testing Queries...');
+
+  const all = await repo.getCandles('XBTUSDTM', '5min');
+  runner.assert(all.length === 48, 'Gap-filled series has every bar', `got ${all.length}`);
+  runner.assert(all[5].filled === true && all[5].volume === 0, 'Missing bar is flagged and zero-volume');
+  runner.assert(all[5].close === all[4].close, 'Filled bar carries previous close');
+
+  const raw = await repo.getCandles('XBTUSDTM', '5min', { fillGaps: false });
+  runner.assert(raw.length === 46, 'fillGaps: false returns stored bars only');
+
+  const last = await repo.getCandles('XBTUSDTM', '5min', { limit: 10 });
+  runner.assert(last.length === 10 && last[9].ts === all[47].ts, 'limit returns newest N anchored to stored data');
+
+  const range = await repo.getCandles('XBTUSDTM', '5min', { start: START_TS + 10 * FIVE_MIN, end: START_TS + 19 * FIVE_MIN });
+  runner.assert(range.length === 10, 'start/end range is inclusive', `got ${range.length}`);
+
+  const eth = await repo.getCandles('ETHUSDTM', '1hour');
+  runner.assert(eth.length === 4 && eth[0].ts === START_TS, 'JSONL dumps with timestamp field are normalized');
+}
+
+async function testResampling(runner, repo) {
+  console.log('\n📋 Testing Resampling...');
+
+  // XBT has kucoin 5min data, BTC has binance 15m: same-venue resampling wins
+  const m15 = await repo.getCandles('XBTUSDTM', '15min');
+  runner.assert(m15.length === 16, 'Resamples 5min into 15min', `got ${m15.length}`);
+  runner.assert(m15[0].open === 100 && m15[0].close === 103 && m15[0].high === 104 && m15[0].low === 99,
+    'Resampled OHLC uses first open, last close, max high, min low');
+  runner.assert(m15[0].volume === 30, 'Resampled volume is summed');
+
+  const binance = await repo.getCandles('XBTUSDTM', '15min', { source: 'binance_futures' });
+  runner.assert(binance.length === 16 && binance[1].open === 101, 'source option selects a specific venue');
+
+  const h1 = CandleRepository.resample(makeCandles(10, FIVE_MIN), '5min', '1hour');
+  runner.assert(h1.length === 0, 'Incomplete buckets are dropped');
+
+  const partial = CandleRepository.resample(makeCandles(10, FIVE_MIN), '5min', '1hour', { allowPartial: true });
+  runner.assert(partial.length === 1 && partial[0].close === 110, 'allowPartial keeps the forming bucket');
+
+  let threw = false;
+  try {
+    CandleRepository.resample(makeCandles(10, FIVE_MIN), '15min', '5min');
+  } catch (e) {
+    threw = true;
+  }
+  runner.assert(threw, 'Refuses to resample into a lower timeframe');
+}
+
+async function testOffline(runner, repo) {
+  console.log('\n📋 Testing Offline Mode...');
+
+  let error = null;
+  try {
+    await repo.getCandles('SOLUSDTM', '15min');
+  } catch (e) {
+    error = e;
+  }
+  runner.assert(error && /No local candles/.test(error.message), 'Missing local data throws instead of fetching');
+
+  error = null;
+  try {
+    await repo.fetchRemote('XBTUSDTM', '5min', 0, 1);
+  } catch (e) {
+    error = e;
+  }
+  runner.assert(error && /Offline mode/.test(error.message), 'fetchRemote is refused offline');
+}
+
+async function testLazyLoading(runner, dir) {
+  console.log('\n📋 Testing Metadata Index and Lazy Loading...');
+
+  const candles = makeCandles(24, 3 * FIVE_MIN);
+  const file = new CandleRepository({ dataDirs: [dir], offline: true }).save('ADAUSDTM', '15min', candles);
+
+  const repo = new CandleRepository({ dataDirs: [dir], offline: true });
+  const readFileSync = fs.readFileSync;
+  const fullReads = [];
+  fs.readFileSync = (target, ...rest) => {
+    fullReads.push(target);
+    return readFileSync(target, ...rest);
+  };
+  let entry;
+  try {
+    entry = repo.listAvailable().find(e => e.symbol === 'ADAUSDTM');
+  } finally {
+    fs.readFileSync = readFileSync;
+  }
+
+  runner.assert(entry && entry.start === candles[0].ts && entry.end === candles[23].ts && entry.count === 24,
+    'Index range comes from the dump metadata', JSON.stringify(entry));
+  runner.assert(!fullReads.includes(file), 'Dumps with metadata are not read in full while indexing');
+  runner.assert(entry && entry.source === 'kucoin_futures' && entry.timeframe === '15min', 'Metadata source and interval indexed');
+  runner.assert(!repo.cache.has(file), 'Candles are not cached by indexing');
+
+  const loaded = await repo.getCandles('ADAUSDTM', '15min');
+  runner.assert(loaded.length === 24 && repo.cache.has(file), 'Candles load on first query');
+}
+
+async function runAllTests() {
+  console.log('Starting CandleRepository Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const dir = createStore();
+  const repo = new CandleRepository({ dataDirs: [dir], offline: true });
+
+  try {
+    await testIndexing(runner, repo);
+    await testQueries(runner, repo);
+    await testResampling(runner, repo);
+    await testOffline(runner, repo);
+    await testLazyLoading(runner, dir);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
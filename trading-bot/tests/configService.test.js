@@ -0,0 +1,382 @@
+/**
+ * Config Service Test Suite
+ *
+ * Tests hot-reloadable signal configuration:
+ * - SignalConfigSchema validation of weights, profiles and trading overrides
+ * - Atomic application to SignalGeneratorV2 and TradingEngineV3 instances
+ *   (weights, and trading settings for engines)
+ * - Versioned history (author, time, diff), persistence across restarts, rollback
+ * - Reloading and watching the weights/profile files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ConfigService = require('../src/config/ConfigService');
+const { validateWeights, validateTrading, validateSignalConfig } = require('../src/config/SignalConfigSchema');
+const SignalGeneratorV2 = require('../src/lib/SignalGeneratorV2');
+const TradingEngineV3 = require('../src/trading/TradingEngineV3');
+const SessionJournal = require('../src/trading/SessionJournal');
+const signalWeights = require('../signal-weights');
+const balanced = require('../switches/signalProfiles/balanced');
+const conservative = require('../switches/signalProfiles/conservative');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const START = Date.UTC(2026, 2, 1);
+const TRADING_DEFAULTS = { MAX_POSITIONS: 5, DEFAULT_LEVERAGE: 10, TRAILING_MODE: 'staircase' };
+
+/**
+ * Weights/profile files in a scratch dir so edits don't touch the repo
+ */
+function setupFiles(dir, rsiWeight = 35) {
+  const weights = JSON.parse(JSON.stringify(signalWeights));
+  weights.indicators.rsi.maxWeight = rsiWeight;
+  const weightsFile = path.join(dir, 'signal-weights.js');
+  const profileDir = path.join(dir, 'profiles');
+
+  fs.mkdirSync(profileDir, { recursive: true });
+  writeModule(weightsFile, weights);
+  writeModule(path.join(profileDir, 'balanced.js'), balanced);
+  writeModule(path.join(profileDir, 'conservative.js'), conservative);
+
+  return { weightsFile, profileDir, weights };
+}
+
+function writeModule(file, value) {
+  fs.writeFileSync(file, `module.exports = ${JSON.stringify(value, null, 2)};\n`);
+  // Step the mtime forward so pollers always see the edit
+  const stamp = new Date(Date.now() + 1000 * (1 + Math.random()));
+  fs.utimesSync(file, stamp, stamp);
+}
+
+function createService(dir, files, extra = {}) {
+  const clockRef = extra.clockRef || { now: START };
+  return new ConfigService({
+    weightsFile: files.weightsFile,
+    profileDir: files.profileDir,
+    historyFile: path.join(dir, 'config-versions.jsonl'),
+    tradingDefaults: TRADING_DEFAULTS,
+    watch: false,
+    clock: () => clockRef.now,
+    ...extra
+  });
+}
+
+function waitFor(emitter, event, timeoutMs) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve(null), timeoutMs);
+    emitter.once(event, payload => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+function testSchema(runner) {
+  console.log('\n--- Schema ---');
+
+  runner.assert(validateWeights(signalWeights).length === 0, 'signal-weights.js is valid');
+
+  const bad = JSON.parse(JSON.stringify(signalWeights));
+  bad.indicators.rsi.maxWeight = -5;
+  bad.indicators.rsi.signals.divergence.weight = 'high';
+  bad.indicators.vwap = { maxWeight: 10 };
+  bad.classifications.BUY = { min: 80, max: 60 };
+  bad.entryRequirements.minConfidence = 140;
+  const errors = validateWeights(bad);
+  runner.assert(errors.some(e => e.includes('weights.indicators.rsi.maxWeight')), 'Out-of-range weight rejected', errors.join('; '));
+  runner.assert(errors.some(e => e.includes('signals.divergence.weight')), 'Non-numeric sub-signal weight rejected');
+  runner.assert(errors.some(e => e.includes('Unknown weights.indicators entry: vwap')), 'Unknown indicator rejected');
+  runner.assert(errors.some(e => e.includes('classifications.BUY.min must not exceed max')), 'Inverted classification range rejected');
+  runner.assert(errors.some(e => e.includes('minConfidence')), 'Confidence above 100 rejected');
+  runner.assert(errors.length === 5, 'Every problem reported at once', `${errors.length}`);
+
+  runner.assert(validateTrading({ MAX_POSITIONS: 3 }, TRADING_DEFAULTS).length === 0, 'Trading override of a known field accepted');
+  runner.assert(validateTrading({ MAX_POSITIONS: '3' }, TRADING_DEFAULTS).length === 1, 'Trading override of the wrong type rejected');
+  runner.assert(validateTrading({ ENABLE_LIVE_TRADING: true }, TRADING_DEFAULTS).length === 1, 'Unknown trading field rejected');
+  runner.assert(validateSignalConfig({ profile: 'moon', weights: signalWeights }, { profiles: ['balanced'] }).some(e => e.includes('Unknown profile')),
+    'Unknown profile rejected');
+}
+
+// ============================================================================
+// VERSIONS
+// ============================================================================
+
+function testVersions(runner, dir) {
+  console.log('\n--- Versions and Targets ---');
+
+  const files = setupFiles(dir);
+  const clockRef = { now: START };
+  const service = createService(dir, files, { clockRef });
+
+  const started = service.start();
+  runner.assert(started.ok && started.value.version === 1 && started.value.source === 'file', 'First start records version 1 from the files');
+  runner.assert(fs.readFileSync(path.join(dir, 'config-versions.jsonl'), 'utf8').trim().split('\n').length === 1, 'Version persisted to the history file');
+  runner.assert(service.getCurrent().weights.indicators.rsi.maxWeight === 35 && service.getCurrent().profile === null, 'Current config from the weights file');
+
+  const generator = new SignalGeneratorV2();
+  const engine = new TradingEngineV3({
+    mode: 'paper', logDir: path.join(dir, 'engine'), clock: () => clockRef.now, journal: new SessionJournal({ clock: () => clockRef.now })
+  });
+  service.attach(generator);
+  service.attach(engine);
+
+  clockRef.now = START + 60000;
+  const updated = service.update(
+    { weights: { indicators: { rsi: { maxWeight: 42 } } }, trading: { MAX_POSITIONS: 3 } },
+    { author: 'alice', reason: 'tighten' }
+  );
+  runner.assert(updated.ok && updated.value.version === 2, 'Update creates version 2');
+  runner.assert(generator.indicatorWeights.rsi.max === 42 && engine.signalGenerator.indicatorWeights.rsi.max === 42,
+    'Update applied to generator and engine', `${generator.indicatorWeights.rsi.max}/${engine.signalGenerator.indicatorWeights.rsi.max}`);
+  runner.assert(service.getCurrent().weights.indicators.williamsR.maxWeight === signalWeights.indicators.williamsR.maxWeight,
+    'Partial weights merged into the current weights');
+  runner.assert(service.getTradingConfig().MAX_POSITIONS === 3 && service.getTradingConfig().DEFAULT_LEVERAGE === 10, 'Trading overrides merged over defaults');
+
+  const change = engine.journal.entries.filter(e => e.type === 'CONFIG_CHANGE').pop();
+  runner.assert(change && change.data.weights.indicators.rsi.maxWeight === 42, 'Engine journals the weight change');
+
+  const v2 = service.getHistory()[1];
+  runner.assert(v2.author === 'alice' && v2.reason === 'tighten' && v2.ts === START + 60000, 'History records who, why and when');
+  const paths = v2.diff.map(d => d.path).sort();
+  runner.assert(paths.join() === 'trading.MAX_POSITIONS,weights.indicators.rsi.maxWeight', 'History records the field diff', paths.join());
+  runner.assert(v2.diff.find(d => d.path === 'weights.indicators.rsi.maxWeight').from === 35, 'Diff keeps the previous value');
+
+  const noop = service.update({ weights: { indicators: { rsi: { maxWeight: 42 } } } });
+  runner.assert(noop.ok && noop.value.version === 2, 'Unchanged config creates no version');
+
+  const invalid = service.update({ weights: { indicators: { rsi: { maxWeight: 500 } } } });
+  runner.assert(!invalid.ok && invalid.error.code === 'INVALID_CONFIG' && invalid.error.details.length === 1, 'Invalid update rejected');
+  runner.assert(generator.indicatorWeights.rsi.max === 42 && service.getCurrent().version === 2, 'Rejected update changes nothing');
+
+  const badTrading = service.update({ trading: { ENABLE_LIVE_TRADING: true } });
+  runner.assert(!badTrading.ok && badTrading.error.message.includes('ENABLE_LIVE_TRADING'), 'Unknown trading field rejected by update');
+
+  // A target that fails mid-apply rolls the others back
+  let calls = 0;
+  const flaky = { applyWeights: () => { if (++calls > 1) throw new Error('flaky target'); } };
+  service.attach(flaky);
+  const failed = service.update({ weights: { indicators: { rsi: { maxWeight: 20 } } } });
+  runner.assert(!failed.ok && failed.error.code === 'APPLY_FAILED', 'Failing target aborts the change');
+  runner.assert(generator.indicatorWeights.rsi.max === 42 && engine.signalGenerator.indicatorWeights.rsi.max === 42,
+    'Already-updated targets restored', `${generator.indicatorWeights.rsi.max}`);
+  runner.assert(service.getCurrent().version === 2 && service.getHistory().length === 2, 'Failed change not recorded');
+  service.detach(flaky);
+
+  const profiled = service.update({ profile: 'balanced' }, { author: 'bob' });
+  runner.assert(profiled.ok && profiled.value.profile === 'balanced', 'Profile switch creates a version');
+  runner.assert(generator.indicatorWeights.rsi.max === balanced.weights.rsi.max, 'Profile weights applied over the file weights');
+  runner.assert(service.getEffectiveWeights().entryRequirements.minScore === balanced.thresholds.buy, 'Profile thresholds in effective weights');
+  runner.assert(!service.update({ profile: 'moonshot' }).ok, 'Unknown profile rejected');
+
+  clockRef.now = START + 120000;
+  const rolled = service.rollback(1, { author: 'carol' });
+  runner.assert(rolled.ok && rolled.value.version === 4 && rolled.value.rollbackOf === 1 && rolled.value.source === 'rollback',
+    'Rollback recorded as a new version');
+  runner.assert(generator.indicatorWeights.rsi.max === 35 && service.getCurrent().profile === null, 'Rollback restores weights and profile');
+  runner.assert(service.getTradingConfig().MAX_POSITIONS === 5, 'Rollback restores trading settings');
+  runner.assert(!service.rollback(99).ok && service.rollback(99).error.code === 'VERSION_NOT_FOUND', 'Rollback to an unknown version rejected');
+  runner.assert(service.getVersion(2).config.weights.indicators.rsi.maxWeight === 42, 'Any version retrievable with its full config');
+
+  const snapshot = engine.getSessionSnapshot();
+  const restored = new TradingEngineV3({ mode: 'paper', logDir: path.join(dir, 'restored') });
+  restored.restoreSnapshot(JSON.parse(JSON.stringify(snapshot)));
+  runner.assert(restored.signalGenerator.indicatorWeights.rsi.max === engine.signalGenerator.indicatorWeights.rsi.max,
+    'Session snapshot carries the active weights');
+
+  service.stop();
+  return files;
+}
+
+// ============================================================================
+// RESTART AND FILES
+// ============================================================================
+
+async function testRestartAndFiles(runner, dir, files) {
+  console.log('\n--- Restart and File Reload ---');
+
+  const restarted = createService(dir, files);
+  const resumed = restarted.start();
+  runner.assert(resumed.ok && resumed.value.version === 4 && restarted.getHistory().length === 4, 'Restart resumes the latest version');
+
+  restarted.update({ trading: { MAX_POSITIONS: 2 } }, { author: 'dave' });
+  restarted.stop();
+  const again = createService(dir, files);
+  again.start();
+  runner.assert(again.getTradingConfig().MAX_POSITIONS === 2, 'API changes survive a restart');
+  again.stop();
+
+  // Edited while stopped
+  const edited = JSON.parse(JSON.stringify(files.weights));
+  edited.indicators.rsi.maxWeight = 30;
+  writeModule(files.weightsFile, edited);
+  const afterEdit = createService(dir, files);
+  const picked = afterEdit.start();
+  runner.assert(picked.value.version === 6 && picked.value.source === 'file' && picked.value.author === 'startup',
+    'File edited while stopped becomes a new version');
+  runner.assert(afterEdit.getCurrent().weights.indicators.rsi.maxWeight === 30 && afterEdit.getTradingConfig().MAX_POSITIONS === 2,
+    'File version keeps the trading overrides');
+
+  const generator = new SignalGeneratorV2();
+  afterEdit.attach(generator);
+  runner.assert(generator.indicatorWeights.rsi.max === 30, 'Attach applies the current weights');
+
+  runner.assert(afterEdit.reload().value.version === 6, 'Reload without changes is a no-op');
+
+  edited.indicators.rsi.maxWeight = 28;
+  writeModule(files.weightsFile, edited);
+  const reloaded = afterEdit.reload();
+  runner.assert(reloaded.ok && reloaded.value.version === 7 && generator.indicatorWeights.rsi.max === 28, 'Reload applies an edited file');
+
+  let rejected = null;
+  afterEdit.once('rejected', error => { rejected = error; });
+  edited.indicators.rsi.maxWeight = -1;
+  writeModule(files.weightsFile, edited);
+  const invalid = afterEdit.reload();
+  runner.assert(!invalid.ok && rejected && rejected.code === 'INVALID_CONFIG', 'Invalid file rejected with an event');
+  runner.assert(generator.indicatorWeights.rsi.max === 28 && afterEdit.getCurrent().version === 7, 'Invalid file leaves the config in place');
+
+  fs.writeFileSync(files.weightsFile, 'module.exports = { indicators: ');
+  const broken = afterEdit.reload();
+  runner.assert(!broken.ok && broken.error.code === 'LOAD_FAILED', 'Unparseable file rejected');
+
+  // Watching picks up edits without an explicit reload
+  afterEdit.stop();
+  const watched = createService(dir, files, { watch: true, pollInterval: 50 });
+  watched.start();
+  watched.attach(generator);
+  const changed = waitFor(watched, 'change', 5000);
+  edited.indicators.rsi.maxWeight = 24;
+  writeModule(files.weightsFile, edited);
+  const event = await changed;
+  watched.stop();
+  runner.assert(event && event.version.source === 'file' && event.version.author.startsWith('file:'), 'Watched file edit emits a change',
+    JSON.stringify(event && event.version));
+  runner.assert(generator.indicatorWeights.rsi.max === 24, 'Watched edit applied to attached generators');
+
+  // A crash mid-append leaves a partial last line
+  fs.appendFileSync(path.join(dir, 'config-versions.jsonl'), '{"version": 99, "con');
+  const afterCrash = createService(dir, files);
+  runner.assert(afterCrash.start().ok && afterCrash.getCurrent().version === 8, 'Truncated last history line ignored');
+  afterCrash.stop();
+}
+
+function testEngineTrading(runner, dir) {
+  console.log('\n--- Engine Trading Settings ---');
+
+  const root = path.join(dir, 'engine-trading');
+  const files = setupFiles(root);
+  const engine = new TradingEngineV3({ mode: 'paper', logDir: path.join(root, 'engine') });
+  const service = createService(root, files, { tradingDefaults: engine.getTradingSettings() });
+  service.start();
+  service.attach(engine);
+
+  runner.assert(!('takeProfitLadder' in engine.getTradingSettings()) && engine.getTradingSettings().minScore === engine.signalConfig.minScore,
+    'Engine trading settings are its scalar risk and signal fields');
+
+  const updated = service.update({ trading: { maxPositions: 2, minScore: 95 } }, { author: 'ops' });
+  runner.assert(updated.ok && engine.riskConfig.maxPositions === 2 && engine.signalConfig.minScore === 95,
+    'Trading overrides reach the attached engine');
+
+  service.rollback(1);
+  runner.assert(engine.riskConfig.maxPositions === 5 && engine.signalConfig.minScore === 85, 'Rollback restores the engine settings');
+  runner.assert(!service.update({ trading: { maxPositions: 'many' } }).ok && engine.riskConfig.maxPositions === 5,
+    'Mistyped override rejected before reaching the engine');
+
+  service.stop();
+}
+
+function testProfileFileEdit(runner, dir) {
+  console.log('\n--- Profile File Reload ---');
+
+  const profileRoot = path.join(dir, 'profile-edit');
+  const files = setupFiles(profileRoot);
+  const service = createService(profileRoot, files, { profile: 'conservative' });
+  service.start();
+  const generator = new SignalGeneratorV2();
+  service.attach(generator);
+  runner.assert(generator.indicatorWeights.rsi.max === conservative.weights.rsi, 'Active profile weights applied');
+
+  const edited = JSON.parse(JSON.stringify(conservative));
+  edited.weights.rsi = conservative.weights.rsi + 7;
+  writeModule(path.join(files.profileDir, 'conservative.js'), edited);
+  const reloaded = service.reload();
+  runner.assert(reloaded.ok && reloaded.value.version === 2, 'Edited profile file becomes a new version',
+    JSON.stringify(reloaded.value));
+  runner.assert(generator.indicatorWeights.rsi.max === edited.weights.rsi &&
+    service.getEffectiveWeights().indicators.rsi.maxWeight === edited.weights.rsi, 'Edited profile weights applied');
+  runner.assert(service.getHistory()[1].diff.some(change => change.path === 'profileDefinition.weights.rsi' && change.to === edited.weights.rsi),
+    'Profile edit recorded in the diff');
+  runner.assert(service.reload().value.version === 2, 'Reload of an unchanged profile is a no-op');
+
+  service.stop();
+}
+
+async function runAllTests() {
+  console.log('Starting Config Service Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-service-'));
+
+  try {
+    testSchema(runner);
+    const files = testVersions(runner, dir);
+    await testRestartAndFiles(runner, dir, files);
+    testEngineTrading(runner, dir);
+    testProfileFileEdit(runner, dir);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
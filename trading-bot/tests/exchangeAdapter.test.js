@@ -0,0 +1,540 @@
+/**
+ * Exchange Adapter Test Suite
+ *
+ * Tests the exchange adapter contract:
+ * - KuCoinAdapter signing, envelope handling, retries and normalization (local HTTP server)
+ * - SimulatedExchange matching, fees, stops, margin and funding
+ * - ExecutionAgent, DataAgent and TradingEngineV3 live paths against the simulator
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const Decimal = require('decimal.js');
+
+const { ExchangeAdapter, KuCoinAdapter, SimulatedExchange, createExchange } = require('../src/exchange');
+const DataAgent = require('../agents/data-agent');
+const ExecutionAgent = require('../agents/execution-agent');
+const TradingEngineV3 = require('../src/trading/TradingEngineV3');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const SYMBOL = 'XBTUSDTM';
+const SECRET = 'test-secret';
+const T0 = Date.UTC(2026, 0, 5, 0, 0, 0);
+const MINUTE = 60 * 1000;
+
+function candle(ts, open, high, low, close) {
+  return { ts, open, high, low, close, volume: 100 };
+}
+
+// ============================================================================
+// MOCK KUCOIN SERVER
+// ============================================================================
+
+function startMockKuCoin() {
+  const state = { requests: [], flaky: 0, badSignatures: 0 };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      state.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.headers['kc-api-key']) {
+        const expected = crypto.createHmac('sha256', SECRET)
+          .update(req.headers['kc-api-timestamp'] + req.method + req.url + body)
+          .digest('base64');
+        if (expected !== req.headers['kc-api-sign']) {
+          state.badSignatures++;
+          return send(401, { code: '400005', msg: 'Invalid KC-API-SIGN' });
+        }
+      }
+
+      const url = req.url.split('?')[0];
+      switch (`${req.method} ${url}`) {
+        case 'GET /api/v1/ticker':
+          return send(200, { code: '200000', data: {
+            symbol: SYMBOL, price: '50000.5', bestBidPrice: '50000', bestAskPrice: '50001',
+            bestBidSize: 10, bestAskSize: 12, size: 3, ts: 1767571200000000000
+          } });
+        case 'GET /api/v1/contracts/active':
+          return send(200, { code: '200000', data: [{
+            symbol: SYMBOL, baseCurrency: 'XBT', quoteCurrency: 'USDT', multiplier: 0.001, tickSize: 0.1,
+            lotSize: 1, maxLeverage: 125, makerFeeRate: 0.0002, takerFeeRate: 0.0006,
+            maintainMargin: 0.004, status: 'Open', turnoverOf24h: 123456789
+          }] });
+        case 'GET /api/v1/level2/depth20':
+          return send(200, { code: '200000', data: {
+            symbol: SYMBOL, sequence: 42, ts: 1767571200000000000,
+            bids: [['50000', '10'], ['49999', '5']], asks: [['50001', '3'], ['50002', '8']]
+          } });
+        case 'GET /api/v1/position':
+          return send(200, { code: '200000', data: {
+            symbol: SYMBOL, currentQty: -5, avgEntryPrice: '50100', markPrice: '50000',
+            realLeverage: 10, posMargin: '25.05', unrealisedPnl: '0.5', realisedPnl: '-0.1', liquidationPrice: '54000'
+          } });
+        case 'POST /api/v1/orders': {
+          const { clientOid } = JSON.parse(body);
+          // lost-*: accepted but the reply fails; slow-*: accepted but never answered; gone-*: refused with a 5xx
+          if (clientOid.startsWith('slow')) return;
+          if (clientOid.startsWith('lost') || clientOid.startsWith('gone')) {
+            return send(503, { code: '503000', msg: 'Service unavailable' });
+          }
+          return send(200, { code: '200000', data: { orderId: 'kc-1', clientOid } });
+        }
+        case 'GET /api/v1/orders/byClientOid': {
+          const clientOid = new URL(req.url, 'http://mock').searchParams.get('clientOid');
+          const placed = clientOid.startsWith('lost') || clientOid.startsWith('slow');
+          return send(200, { code: '200000', data: placed
+            ? { id: `kc-${clientOid}`, clientOid, symbol: SYMBOL, side: 'buy', type: 'market', size: 1, isActive: false }
+            : null });
+        }
+        case 'GET /api/v1/flaky':
+          state.flaky++;
+          return state.flaky < 2 ? send(503, { code: '503000', msg: 'Service unavailable' }) : send(200, { code: '200000', data: 'recovered' });
+        case 'GET /api/v1/down':
+          return send(500, { code: '500000', msg: 'Internal error' });
+        case 'GET /api/v1/insufficient':
+          return send(200, { code: '300003', msg: 'Balance insufficient' });
+        default:
+          return send(404, { code: '404000', msg: 'Not found' });
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, state, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+function testContract(runner) {
+  console.log('\n--- Adapter Contract ---');
+
+  const kucoin = new KuCoinAdapter({ apiKey: 'k', apiSecret: 's', apiPassphrase: 'p' });
+  const sim = new SimulatedExchange();
+
+  runner.assert(ExchangeAdapter.missingMethods(kucoin).length === 0, 'KuCoinAdapter implements every method',
+    ExchangeAdapter.missingMethods(kucoin).join(', '));
+  runner.assert(ExchangeAdapter.missingMethods(sim).length === 0, 'SimulatedExchange implements every method',
+    ExchangeAdapter.missingMethods(sim).join(', '));
+  runner.assert(sim.simulated === true && kucoin.simulated === false, 'Simulated flag distinguishes adapters');
+
+  runner.assert(createExchange({ exchange: 'simulated' }) instanceof SimulatedExchange, 'createExchange builds simulator');
+  runner.assert(createExchange({ exchange: 'kucoin' }) instanceof KuCoinAdapter, 'createExchange builds KuCoin');
+
+  let threw = false;
+  try {
+    createExchange({ exchange: 'nope' });
+  } catch (e) {
+    threw = true;
+  }
+  runner.assert(threw, 'createExchange rejects unknown exchanges');
+}
+
+function testSigning(runner) {
+  console.log('\n--- KuCoin Signing ---');
+
+  const adapter = new KuCoinAdapter({ apiKey: 'key', apiSecret: SECRET, apiPassphrase: 'pass', clock: () => 1700000000000 });
+  const headers = adapter.signHeaders('GET', '/api/v1/orders?status=active', '');
+
+  const expected = crypto.createHmac('sha256', SECRET)
+    .update('1700000000000GET/api/v1/orders?status=active')
+    .digest('base64');
+  runner.assert(headers['KC-API-SIGN'] === expected, 'Signature covers timestamp, method, path and query');
+  runner.assert(headers['KC-API-PASSPHRASE'] === crypto.createHmac('sha256', SECRET).update('pass').digest('base64'),
+    'v2 passphrase is HMAC encrypted');
+  runner.assert(headers['KC-API-TIMESTAMP'] === '1700000000000', 'Timestamp comes from clock');
+
+  const v1 = new KuCoinAdapter({ apiKey: 'key', apiSecret: SECRET, apiPassphrase: 'pass', apiVersion: '1' });
+  runner.assert(v1.signHeaders('GET', '/x')['KC-API-PASSPHRASE'] === 'pass', 'v1 passphrase is sent plain');
+}
+
+async function testKuCoinAdapter(runner) {
+  console.log('\n--- KuCoin Adapter (mock server) ---');
+
+  const { server, state, baseUrl } = await startMockKuCoin();
+  const retries = [];
+  const adapter = new KuCoinAdapter({
+    apiKey: 'key', apiSecret: SECRET, apiPassphrase: 'pass',
+    baseUrl, minIntervalMs: 0, retryDelayMs: 5, retryAttempts: 2,
+    onRetry: (attempt, delay) => retries.push({ attempt, delay })
+  });
+
+  try {
+    const ticker = await adapter.getTicker(SYMBOL);
+    runner.assert(ticker.ok && ticker.value.price === 50000.5 && ticker.value.bestAsk === 50001, 'Ticker unwrapped and parsed');
+    runner.assert(ticker.value.ts === 1767571200000, 'Nanosecond timestamps normalized to ms', String(ticker.value.ts));
+    runner.assert(!state.requests[0].headers['kc-api-key'], 'Public endpoints are unsigned');
+
+    const contracts = await adapter.getContracts();
+    const c = contracts.value[0];
+    runner.assert(contracts.ok && c.multiplier === 0.001 && c.maintMarginRate === 0.004 && c.turnover24h === 123456789,
+      'Contracts normalized');
+
+    const book = await adapter.getOrderBook(SYMBOL, 20);
+    runner.assert(book.ok && book.value.bids[0].price === 50000 && book.value.asks[1].size === 8 && book.value.sequence === 42,
+      'Order book levels normalized to { price, size }');
+
+    const position = await adapter.getPosition(SYMBOL);
+    runner.assert(position.ok && position.value.side === 'short' && position.value.size === 5 && position.value.entryPrice === 50100,
+      'Signed currentQty becomes side + size');
+    runner.assert(state.badSignatures === 0, 'Server accepts signatures including query strings');
+
+    await adapter.setLeverage(SYMBOL, 7);
+    const order = await adapter.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'limit', price: 50000, size: 2 });
+    const sent = JSON.parse(state.requests[state.requests.length - 1].body);
+    runner.assert(order.ok && order.value.orderId === 'kc-1', 'Order placement returns orderId');
+    runner.assert(sent.leverage === '7' && sent.price === '50000' && sent.size === '2' && sent.timeInForce === 'GTC',
+      'Order body stringified with remembered leverage');
+
+    const stop = await adapter.placeStopOrder({ symbol: SYMBOL, side: 'sell', size: 2, stop: 'down', stopPrice: 49000, closeOrder: true });
+    const stopSent = JSON.parse(state.requests[state.requests.length - 1].body);
+    runner.assert(stop.ok && stopSent.stop === 'down' && stopSent.stopPrice === '49000' && stopSent.reduceOnly === true,
+      'Stop orders are reduce-only by default');
+
+    const invalid = await adapter.placeOrder({ symbol: SYMBOL, side: 'long', size: 1 });
+    runner.assert(!invalid.ok && invalid.error.code === 'INVALID_ORDER', 'Invalid orders rejected before sending');
+
+    const posts = () => state.requests.filter(r => r.method === 'POST' && r.url === '/api/v1/orders').length;
+    let postsBefore = posts();
+    const lost = await adapter.placeOrder({ symbol: SYMBOL, side: 'buy', size: 1, clientOid: 'lost-1' });
+    runner.assert(lost.ok && lost.value.orderId === 'kc-lost-1' && posts() === postsBefore + 1,
+      'Order with a failed reply is found by clientOid, not resent', JSON.stringify(lost));
+
+    postsBefore = posts();
+    const gone = await adapter.placeStopOrder({ symbol: SYMBOL, side: 'sell', size: 1, stop: 'down', stopPrice: 49000, clientOid: 'gone-1' });
+    runner.assert(!gone.ok && gone.error.status === 503 && gone.error.uncertain === true && posts() === postsBefore + 1,
+      'Order missing after a 5xx returns the error without resending', JSON.stringify(gone));
+    runner.assert(retries.length === 0, 'Order POSTs are never retried');
+
+    const impatient = new KuCoinAdapter({ apiKey: 'key', apiSecret: SECRET, apiPassphrase: 'pass', baseUrl, minIntervalMs: 0, timeoutMs: 100, retryDelayMs: 5 });
+    postsBefore = posts();
+    const slow = await impatient.placeOrder({ symbol: SYMBOL, side: 'buy', size: 1, clientOid: 'slow-1' });
+    runner.assert(slow.ok && slow.value.orderId === 'kc-slow-1' && posts() === postsBefore + 1,
+      'Timed-out order is looked up instead of resent', JSON.stringify(slow));
+
+    const flaky = await adapter.request('GET', '/api/v1/flaky');
+    runner.assert(flaky.ok && flaky.value === 'recovered', '5xx retried until success');
+    runner.assert(retries.length === 1 && retries[0].delay === 5, 'onRetry reports attempt and backoff');
+
+    const down = await adapter.request('GET', '/api/v1/down');
+    runner.assert(!down.ok && down.error.status === 500 && down.error.code === '500000', 'Persistent 5xx fails with status');
+    runner.assert(retries.length === 3 && retries[2].delay === 10, 'Backoff doubles per retry');
+
+    const insufficient = await adapter.request('GET', '/api/v1/insufficient');
+    runner.assert(!insufficient.ok && insufficient.error.code === '300003' && insufficient.error.message === 'Balance insufficient',
+      'KuCoin error codes passed through');
+
+    const anonymous = new KuCoinAdapter({ apiKey: '', apiSecret: '', apiPassphrase: '', baseUrl });
+    const before = state.requests.length;
+    const denied = await anonymous.getBalance();
+    runner.assert(!denied.ok && denied.error.code === 'NO_CREDENTIALS' && state.requests.length === before,
+      'Private calls without credentials fail locally');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+async function testSimulatedMatching(runner) {
+  console.log('\n--- Simulated Exchange: Matching ---');
+
+  const sim = new SimulatedExchange({ balance: 1000, takerFee: 0.001, makerFee: 0.0005, slippage: 0, clock: () => T0 });
+  sim.loadCandles(SYMBOL, [candle(T0 - MINUTE, 100, 101, 99, 100)]);
+
+  const klines = await sim.getKlines(SYMBOL, 1, { from: T0 - MINUTE, to: T0 });
+  runner.assert(klines.ok && klines.value.length === 1 && klines.value[0].close === 100, 'Loaded candles served by getKlines');
+
+  // Market buy 10 @ 100, leverage 5: margin 200, fee 1
+  await sim.setLeverage(SYMBOL, 5);
+  const buy = await sim.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'market', size: 10 });
+  let pos = (await sim.getPosition(SYMBOL)).value;
+  let balance = (await sim.getBalance()).value;
+  runner.assert(buy.ok && pos.side === 'long' && pos.size === 10 && pos.entryPrice === 100, 'Market buy opens long');
+  runner.assertClose(pos.margin, 200, 1e-9, 'Margin = notional / leverage');
+  runner.assertClose(balance.marginBalance, 999, 1e-9, 'Taker fee charged');
+  runner.assertClose(balance.available, 799, 1e-9, 'Available excludes position margin');
+
+  // Price rises; sell half at 110
+  sim.setPrice(SYMBOL, 110);
+  balance = (await sim.getBalance()).value;
+  runner.assertClose(balance.unrealisedPnl, 100, 1e-9, 'Unrealised PnL marks to last price');
+
+  await sim.placeOrder({ symbol: SYMBOL, side: 'sell', type: 'market', size: 5 });
+  pos = (await sim.getPosition(SYMBOL)).value;
+  balance = (await sim.getBalance()).value;
+  runner.assert(pos.size === 5 && pos.entryPrice === 100, 'Partial reduce keeps entry price');
+  runner.assertClose(pos.margin, 100, 1e-9, 'Margin released pro rata');
+  runner.assertClose(balance.marginBalance, 999 + 50 - 0.55, 1e-9, 'Realized PnL minus fee credited');
+
+  // Flip: sell 8 -> close 5 long, open 3 short
+  await sim.placeOrder({ symbol: SYMBOL, side: 'sell', type: 'market', size: 8 });
+  pos = (await sim.getPosition(SYMBOL)).value;
+  runner.assert(pos.side === 'short' && pos.size === 3 && pos.entryPrice === 110, 'Oversized sell flips to short');
+
+  // Margin rejection
+  const huge = await sim.placeOrder({ symbol: SYMBOL, side: 'sell', type: 'market', size: 1000 });
+  runner.assert(!huge.ok && huge.error.code === 'INSUFFICIENT_BALANCE', 'Orders beyond available margin rejected');
+
+  // Reduce-only with no matching position is cancelled
+  const flat = new SimulatedExchange({ balance: 1000 });
+  flat.setPrice(SYMBOL, 100);
+  const ro = await flat.placeOrder({ symbol: SYMBOL, side: 'sell', type: 'market', size: 1, reduceOnly: true });
+  const roOrder = (await flat.getOrder(ro.value.orderId)).value;
+  runner.assert(ro.ok && roOrder.status === 'cancelled' && (await flat.getPosition(SYMBOL)).value === null,
+    'Reduce-only without position is cancelled');
+
+  const noPrice = await new SimulatedExchange().placeOrder({ symbol: 'NOPEUSDTM', side: 'buy', size: 1 });
+  runner.assert(!noPrice.ok && noPrice.error.code === 'NO_PRICE', 'Market order without price data fails');
+}
+
+async function testSimulatedBook(runner) {
+  console.log('\n--- Simulated Exchange: Book & Limits ---');
+
+  const sim = new SimulatedExchange({ balance: 100000, takerFee: 0, makerFee: 0 });
+  sim.setPrice(SYMBOL, 100);
+  sim.setOrderBook(SYMBOL, { bids: [[99.9, 5], [99.8, 5]], asks: [[100.1, 5], [100.2, 5], [100.5, 5]] });
+
+  await sim.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'market', size: 8 });
+  const pos = (await sim.getPosition(SYMBOL)).value;
+  runner.assertClose(pos.entryPrice, (100.1 * 5 + 100.2 * 3) / 8, 1e-9, 'Market order walks the book');
+
+  // Resting limit fills when a candle trades through it
+  const limit = await sim.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'limit', price: 99, size: 2 });
+  let order = (await sim.getOrder(limit.value.orderId)).value;
+  runner.assert(order.status === 'open', 'Non-marketable limit rests');
+  runner.assert((await sim.getOpenOrders(SYMBOL)).value.length === 1, 'Resting limit listed as open');
+
+  sim.pushCandle(SYMBOL, candle(T0, 100, 100.5, 99.5, 100));
+  order = (await sim.getOrder(limit.value.orderId)).value;
+  runner.assert(order.status === 'open', 'Limit untouched while price stays above');
+
+  const fills = sim.pushCandle(SYMBOL, candle(T0 + MINUTE, 99.5, 99.8, 98.5, 99));
+  order = (await sim.getOrder(limit.value.orderId)).value;
+  runner.assert(order.status === 'done' && fills.length === 1 && fills[0].price === 99 && fills[0].liquidity === 'maker',
+    'Limit fills at its price as maker');
+
+  const marketable = await sim.placeOrder({ symbol: SYMBOL, side: 'sell', type: 'limit', price: 99, size: 1 });
+  runner.assert((await sim.getOrder(marketable.value.orderId)).value.filledSize === 1, 'Marketable limit fills immediately');
+
+  const cancelTarget = await sim.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'limit', price: 90, size: 1 });
+  const cancelled = await sim.cancelOrder(cancelTarget.value.orderId);
+  runner.assert(cancelled.ok && (await sim.getOpenOrders()).value.length === 0, 'cancelOrder removes resting order');
+}
+
+async function testSimulatedStops(runner) {
+  console.log('\n--- Simulated Exchange: Stops & Funding ---');
+
+  const sim = new SimulatedExchange({ balance: 10000, takerFee: 0, makerFee: 0, slippage: 0 });
+  sim.setPrice(SYMBOL, 100);
+  await sim.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'market', size: 10, leverage: 10 });
+
+  const sl = await sim.placeStopOrder({ symbol: SYMBOL, side: 'sell', size: 10, stop: 'down', stopPrice: 95, closeOrder: true });
+  const tp = await sim.placeStopOrder({ symbol: SYMBOL, side: 'sell', size: 10, stop: 'up', stopPrice: 110, closeOrder: true });
+  runner.assert((await sim.getStopOrders(SYMBOL)).value.length === 2, 'Stop orders listed');
+
+  const invalidStop = await sim.placeStopOrder({ symbol: SYMBOL, side: 'sell', size: 1, stopPrice: 90 });
+  runner.assert(!invalidStop.ok && invalidStop.error.code === 'INVALID_ORDER', 'Stop without direction rejected');
+
+  sim.pushCandle(SYMBOL, candle(T0, 100, 102, 96, 97));
+  runner.assert((await sim.getPosition(SYMBOL)).value !== null, 'Stop not triggered above stop price');
+
+  // Gap down through the stop: fill at the open, not the stop
+  const fills = sim.pushCandle(SYMBOL, candle(T0 + MINUTE, 93, 94, 90, 91));
+  runner.assert(fills.length === 1 && fills[0].price === 93, 'Gap-through stop fills at open', JSON.stringify(fills));
+  runner.assert((await sim.getPosition(SYMBOL)).value === null, 'Stop closed the position');
+  runner.assertClose(fills[0].realisedPnl, -70, 1e-9, 'Stop loss realized');
+
+  // The take profit now has nothing to close
+  sim.pushCandle(SYMBOL, candle(T0 + 2 * MINUTE, 100, 115, 99, 112));
+  const tpOrder = (await sim.getOrder(tp.value.orderId)).value;
+  runner.assert(tpOrder.status === 'cancelled', 'Close-order stop with no position is cancelled');
+  runner.assert((await sim.getOrder(sl.value.orderId)).value.status === 'done', 'Triggered stop marked done');
+
+  // Funding: positive rate, long pays
+  const funded = new SimulatedExchange({ balance: 1000, takerFee: 0, slippage: 0 });
+  funded.setPrice(SYMBOL, 100);
+  funded.setFundingRate(SYMBOL, { rate: 0.001, nextFundingTime: T0 + 30 * MINUTE });
+  await funded.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'market', size: 10 });
+  funded.pushCandle(SYMBOL, candle(T0, 100, 100, 100, 100));
+  runner.assertClose((await funded.getBalance()).value.marginBalance, 1000, 1e-9, 'No funding before funding time');
+  funded.pushCandle(SYMBOL, candle(T0 + 30 * MINUTE, 100, 100, 100, 100));
+  runner.assertClose((await funded.getBalance()).value.marginBalance, 999, 1e-9, 'Long pays positive funding');
+  const nextFunding = (await funded.getFundingRate(SYMBOL)).value.nextFundingTime;
+  runner.assert(nextFunding === T0 + 30 * MINUTE + SimulatedExchange.FUNDING_INTERVAL_MS, 'Funding time advances by interval');
+}
+
+async function testAgents(runner, dir) {
+  console.log('\n--- Agents on Simulated Exchange ---');
+
+  const sim = new SimulatedExchange({ balance: 100000, takerFee: 0.0006, makerFee: 0.0002 });
+  sim.setPrice(SYMBOL, 100);
+  // DataAgent requests klines relative to wall-clock time
+  sim.loadCandles(SYMBOL, [candle(Date.now() - MINUTE, 100, 100.5, 99.5, 100)]);
+
+  const dataAgent = new DataAgent({ exchange: sim });
+  const execution = new ExecutionAgent({
+    mode: 'live',
+    exchange: sim,
+    dataAgent,
+    logDir: path.join(dir, 'execution')
+  });
+
+  const candles = await dataAgent.fetchCandles(SYMBOL, '1min', 10);
+  runner.assert(candles.ok && candles.value.length === 1 && dataAgent.getTicker(SYMBOL).price === 100,
+    'DataAgent fetches candles through adapter');
+
+  const book = await dataAgent.fetchOrderBook(SYMBOL, 20);
+  runner.assert(book.ok && book.value.bids.length === 20 && book.value.bids[0].price < book.value.asks[0].price,
+    'DataAgent order book through adapter');
+
+  const instruments = await dataAgent.fetchInstruments();
+  runner.assert(instruments.ok && instruments.value[0].symbol === SYMBOL && instruments.value[0].status === 'Open',
+    'DataAgent instruments through adapter');
+
+  const trade = await execution.executeTrade({
+    symbol: SYMBOL, direction: 'long', size: 10, leverage: 5, stopLoss: 95, takeProfit: 110, entryPrice: 100
+  });
+  runner.assert(trade.ok && trade.value.orderId, 'ExecutionAgent places live entry', JSON.stringify(trade.error || {}));
+  runner.assert((await sim.getStopOrders(SYMBOL)).value.length === 2, 'SL and TP stops placed');
+
+  const entry = (await sim.getOrder(trade.value.orderId)).value;
+  runner.assert(entry.type === 'limit' && entry.status === 'open' && entry.price < 100, 'Entry rests at the 9th bid level');
+
+  sim.pushCandle(SYMBOL, candle(T0 + MINUTE, 100, 100.2, 99.5, 99.9));
+  const pos = (await sim.getPosition(SYMBOL)).value;
+  runner.assert(pos && pos.side === 'long' && pos.size === 10 && pos.leverage === 5, 'Entry filled into a long');
+
+  const close = await execution.closePosition(SYMBOL, 'manual');
+  runner.assert(close.ok && (await sim.getPosition(SYMBOL)).value === null, 'ExecutionAgent closes live position');
+
+  const again = await execution.closePosition(SYMBOL, 'manual');
+  runner.assert(!again.ok && again.error.code === 'NO_POSITION', 'Closing a flat symbol reports NO_POSITION');
+
+  const cancelled = await execution.cancelAllOrders(SYMBOL);
+  runner.assert(cancelled.ok, 'cancelAllOrders routed to adapter');
+
+  // Failures from the adapter open the circuit breaker
+  const broken = new DataAgent({ exchange: new SimulatedExchange() });
+  for (let i = 0; i < 5; i++) await broken.fetchTicker('NOPEUSDTM');
+  const blocked = await broken.fetchTicker('NOPEUSDTM');
+  runner.assert(!blocked.ok && blocked.error.code === 'CIRCUIT_OPEN', 'Adapter failures trip DataAgent circuit breaker');
+}
+
+async function testTradingEngine(runner, dir) {
+  console.log('\n--- TradingEngineV3 on Simulated Exchange ---');
+
+  const sim = new SimulatedExchange({ balance: 100000, slippage: 0 });
+  sim.setPrice(SYMBOL, 100);
+
+  const engine = new TradingEngineV3({ mode: 'live', exchange: sim, logDir: path.join(dir, 'engine') });
+  runner.assert(engine.mode === 'live', 'Simulated exchange satisfies live-trading gate');
+
+  await engine._enterPosition(SYMBOL, {
+    side: 'short', entryPrice: 100, positionSizeUSD: 100, leverage: 5,
+    signal: { type: 'SELL', score: -90, confidence: 80, indicatorsAgreeing: 5, signals: [] }, atrPercent: 2
+  });
+
+  let pos = (await sim.getPosition(SYMBOL)).value;
+  runner.assert(pos && pos.side === 'short' && pos.size === 5, 'Engine entry opens short on exchange');
+  const stops = (await sim.getStopOrders(SYMBOL)).value;
+  runner.assert(stops.length === 2 && stops.find(s => s.stop === 'up').stopPrice > 100, 'Engine places protective stops');
+
+  sim.setPrice(SYMBOL, 98);
+  await engine._closePosition(SYMBOL, 'manual', new Decimal(98));
+  pos = (await sim.getPosition(SYMBOL)).value;
+  runner.assert(pos === null && (await sim.getStopOrders(SYMBOL)).value.length === 0, 'Engine exit flattens and clears stops');
+
+  const poor = new SimulatedExchange({ balance: 1, slippage: 0 });
+  poor.setPrice(SYMBOL, 100);
+  const failing = new TradingEngineV3({ mode: 'live', exchange: poor, logDir: path.join(dir, 'engine') });
+  let error = null;
+  try {
+    await failing._enterPosition(SYMBOL, {
+      side: 'long', entryPrice: 100, positionSizeUSD: 100, leverage: 5,
+      signal: { type: 'BUY', score: 90, confidence: 80, indicatorsAgreeing: 5, signals: [] }, atrPercent: 2
+    });
+  } catch (e) {
+    error = e;
+  }
+  runner.assert(error && error.message.includes('INSUFFICIENT_BALANCE'), 'Rejected live entry throws');
+}
+
+async function runAllTests() {
+  console.log('Starting Exchange Adapter Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exchange-adapter-'));
+
+  try {
+    testContract(runner);
+    testSigning(runner);
+    await testKuCoinAdapter(runner);
+    await testSimulatedMatching(runner);
+    await testSimulatedBook(runner);
+    await testSimulatedStops(runner);
+    await testAgents(runner, dir);
+    await testTradingEngine(runner, dir);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,355 @@
+/**
+ * Excursion Tracking Test Suite
+ *
+ * Tests src/utils/ExcursionTracker.js, the excursion fields every engine
+ * records on closed trades, and research/optimize/excursions.js:
+ * - MAE/MFE (ROI%), time-to-MFE and bars held
+ * - TradingEngineV3, ExecutionAgent, BacktestEngine and DemoTradingEngine trades
+ * - Per-symbol / per-regime grouping and stop / target / trailing suggestions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcursionTracker = require('../src/utils/ExcursionTracker');
+const BacktestEngine = require('../src/backtest/BacktestEngine');
+const TradingEngineV3 = require('../src/trading/TradingEngineV3');
+const DemoTradingEngine = require('../core/DemoTradingEngine');
+const ExecutionAgent = require('../agents/execution-agent');
+const SimulatedExchange = require('../src/exchange/SimulatedExchange');
+const {
+  extractTrades,
+  normalizeTrade,
+  percentile,
+  bestTarget,
+  suggestSettings,
+  analyzeExcursions
+} = require('../research/optimize/excursions');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const MINUTE = 60 * 1000;
+const BAR = 15 * MINUTE;
+const START = Date.UTC(2026, 0, 1);
+const FLAT = [100, 100.05, 99.95, 100];
+
+// Silence engine logging for the duration of fn
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// ============================================================================
+// TRACKER
+// ============================================================================
+
+function testTracker(runner) {
+  console.log('\n📋 Testing ExcursionTracker...');
+
+  const long = ExcursionTracker.start({ side: 'long', entryPrice: 100, leverage: 10, time: START, barMs: BAR });
+  ExcursionTracker.update(long, 99, START + 5 * MINUTE);
+  ExcursionTracker.update(long, 102, START + 20 * MINUTE);
+  ExcursionTracker.update(long, 101, START + 40 * MINUTE);
+  const trade = ExcursionTracker.finish(long, 101.5, START + 50 * MINUTE);
+
+  runner.assertClose(trade.mae, 10, 1e-9, 'MAE in ROI% (1% against at 10x)');
+  runner.assertClose(trade.mfe, 20, 1e-9, 'MFE in ROI%');
+  runner.assert(trade.timeToMAE === 5 * MINUTE && trade.timeToMFE === 20 * MINUTE, 'Time to each extreme');
+  runner.assert(trade.barsHeld === 3, 'Bars held from the clock bucketed by barMs', trade.barsHeld);
+  runner.assertClose(trade.exitROI, 15, 1e-9, 'Exit ROI before fees');
+
+  const short = ExcursionTracker.start({ side: 'short', entryPrice: 100, leverage: 5, time: START, barTime: START });
+  ExcursionTracker.update(short, 98, START + MINUTE, START);
+  ExcursionTracker.update(short, 101, START + 2 * MINUTE, START + BAR);
+  const shortTrade = ExcursionTracker.finish(short, 100, START + 3 * MINUTE, START + BAR);
+  runner.assertClose(shortTrade.mfe, 10, 1e-9, 'Short MFE on a fall');
+  runner.assertClose(shortTrade.mae, 5, 1e-9, 'Short MAE on a rise');
+  runner.assert(shortTrade.barsHeld === 1, 'Bars held from candle open times');
+
+  const flat = ExcursionTracker.finish(
+    ExcursionTracker.start({ side: 'long', entryPrice: 100, time: START }), 100, START + MINUTE);
+  runner.assert(flat.mae === 0 && flat.mfe === 0 && flat.timeToMFE === null, 'Never-reached extremes have no time');
+
+  const restored = JSON.parse(JSON.stringify(long));
+  ExcursionTracker.update(restored, 103, START + 60 * MINUTE);
+  runner.assertClose(restored.mfe, 30, 1e-9, 'State survives JSON persistence');
+
+  runner.assert(ExcursionTracker.regimeOf({ regime: { mode: 'trending' } }) === 'trending' &&
+    ExcursionTracker.regimeOf({ regime: 'ranging' }) === 'ranging' &&
+    ExcursionTracker.regimeOf({}) === null, 'Regime from signal object or string');
+}
+
+// ============================================================================
+// ENGINES
+// ============================================================================
+
+function bullishIndicators(count) {
+  const indicator = () => ({
+    value: 25,
+    signals: [
+      { type: 'bullish_divergence', direction: 'bullish', strength: 'very_strong', message: 'divergence' },
+      { type: 'bullish_crossover', direction: 'bullish', strength: 'strong', message: 'crossover' }
+    ]
+  });
+  const indicators = {};
+  for (const name of ['rsi', 'williamsR', 'kdj', 'stochRSI', 'obv']) {
+    indicators[name] = Array.from({ length: count }, indicator);
+  }
+  return indicators;
+}
+
+async function testBacktestEngine(runner) {
+  console.log('\n📋 Testing BacktestEngine trades...');
+
+  // Entry on bar 10 at 100; bar 12 reaches 102, bar 13 stops out at 99 (10x, 10% stop)
+  const bars = [...Array(10).fill(FLAT), FLAT, FLAT, [100, 102, 100, 101.5], [101.5, 101.6, 98.5, 99]];
+  const candles = bars.map(([open, high, low, close], i) => ({ ts: START + i * BAR, open, high, low, close, volume: 1000 }));
+  const engine = new BacktestEngine({
+    initialBalance: 10000, leverage: 10, riskPerTrade: 1, trailingStopEnabled: false, breakEvenEnabled: false
+  });
+  const results = await engine.runBacktest(candles, bullishIndicators(candles.length),
+    { warmupPeriod: 10, stopLossROI: 10, takeProfitROI: 30, minSignalScore: 30 });
+  const trade = results.trades[0];
+
+  runner.assert(trade.reason === 'stop_loss', 'Backtest trade stops out', trade.reason);
+  runner.assertClose(trade.mfe, (102 / trade.entryPrice - 1) * 1000, 1e-9, 'Backtest MFE');
+  runner.assertClose(trade.mae, 10, 1e-9, 'Backtest MAE at the stop');
+  runner.assert(trade.timeToMFE === 2 * BAR, 'Backtest time to MFE in bar time', trade.timeToMFE);
+  runner.assert(trade.barsHeld === 3, 'Backtest bars held', trade.barsHeld);
+  runner.assertClose(trade.exitROI, -10, 1e-9, 'Backtest exit ROI');
+  runner.assert(trade.regime === trade.entrySignal.regime, 'Backtest trade carries the entry regime');
+  runner.assert(!('excursion' in trade), 'Tracker state not copied onto the trade');
+}
+
+async function testTradingEngineV3(runner) {
+  console.log('\n📋 Testing TradingEngineV3 trades...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'excursions-v3-'));
+  const clock = { now: START };
+  try {
+    await quietly(async () => {
+      const engine = new TradingEngineV3({ mode: 'paper', logDir: dir, clock: () => clock.now, journal: false });
+      engine.riskConfig.breakEvenEnabled = false;
+      engine.riskConfig.trailingEnabled = false;
+
+      const signal = { score: 90, type: 'BUY', confidence: 80, signals: [], regime: { mode: 'trending' } };
+      await engine._enterPosition('AAAUSDTM', {
+        side: 'long', entryPrice: 100, positionSizeUSD: 100, leverage: 10, signal, atrPercent: 2, barTime: START
+      });
+      runner.assert(engine.positions.get('AAAUSDTM').regime === 'trending', 'V3 position records the regime');
+
+      const candle = (ts, close) => ({ ts, open: close, high: close, low: close, close, volume: 1 });
+      clock.now = START + BAR;
+      await engine._updatePosition('AAAUSDTM', candle(START + BAR, 102), signal);
+      clock.now = START + 2 * BAR;
+      await engine._updatePosition('AAAUSDTM', candle(START + 2 * BAR, 99.5), signal);
+
+      // Restart from the saved position keeps the excursion so far
+      const saved = JSON.parse(JSON.stringify(engine._serializePosition(engine.positions.get('AAAUSDTM'))));
+      engine.positions.set('AAAUSDTM', engine._restorePosition(saved));
+
+      clock.now = START + 3 * BAR;
+      await engine._updatePosition('AAAUSDTM', candle(START + 3 * BAR, 98.9), signal);
+      const trade = engine.trades[0];
+
+      runner.assert(trade && trade.reason === 'STOP_LOSS', 'V3 trade stops out', trade && trade.reason);
+      runner.assertClose(trade.mfe, 20, 1e-9, 'V3 MFE');
+      runner.assertClose(trade.mae, 11, 1e-9, 'V3 MAE includes the close that hit the stop');
+      runner.assert(trade.timeToMFE === BAR, 'V3 time to MFE from the engine clock');
+      runner.assert(trade.barsHeld === 3, 'V3 bars held', trade.barsHeld);
+      runner.assert(!('excursion' in trade), 'V3 trade drops the tracker state');
+
+      const legacy = engine._restorePosition({ ...saved, excursion: undefined, entryTime: START });
+      runner.assert(legacy.excursion && legacy.excursion.mae === 0, 'Positions saved without excursions get a fresh tracker');
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testDemoEngine(runner) {
+  console.log('\n📋 Testing DemoTradingEngine trades...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'excursions-demo-'));
+  try {
+    await quietly(async () => {
+      const engine = new DemoTradingEngine();
+      engine.logFile = path.join(dir, 'demo-trading.log');
+      engine.setEnabled(true);
+
+      await engine.enterPosition('AAAUSDTM', {
+        side: 'short', entryPrice: 100, positionSize: 2, leverage: 10,
+        signalScore: -80, confluence: 4, indicators: {}, atrPercent: 2, regime: 'ranging'
+      });
+      await engine.updatePosition('AAAUSDTM', { marketData: { price: 100.1 } });
+      await engine.updatePosition('AAAUSDTM', { marketData: { price: 99.5 } });
+      await engine.closePosition('AAAUSDTM', 'Manual', 99.7);
+      const trade = engine.trades[0];
+
+      runner.assertClose(trade.mae, 1, 1e-9, 'Demo MAE');
+      runner.assertClose(trade.mfe, 5, 1e-9, 'Demo MFE');
+      runner.assert(Number.isFinite(trade.timeToMFE) && Number.isInteger(trade.barsHeld), 'Demo time to MFE and bars held');
+      runner.assert(trade.regime === 'ranging' && !('excursion' in trade), 'Demo trade carries the regime');
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testExecutionAgent(runner) {
+  console.log('\n📋 Testing ExecutionAgent paper trades...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'excursions-agent-'));
+  try {
+    await quietly(async () => {
+      const agent = new ExecutionAgent({ mode: 'paper', exchange: new SimulatedExchange(), logDir: dir });
+      const opened = await agent.executeTrade({
+        symbol: 'AAAUSDTM', direction: 'long', size: 100, leverage: 10, stopLoss: 98, takeProfit: 104,
+        entryPrice: 100, score: 90, regime: 'trending'
+      });
+      runner.assert(opened.ok, 'Paper trade opened', JSON.stringify(opened.error || {}));
+
+      const entry = opened.value.entryPrice;
+      agent.checkPaperPositions({ AAAUSDTM: entry * 1.01 });
+      agent.checkPaperPositions({ AAAUSDTM: entry * 0.995 });
+      agent.checkPaperPositions({ AAAUSDTM: entry * 0.979 });
+      const trade = agent.orderHistory[0];
+
+      runner.assert(trade && trade.reason === 'stop_loss', 'Paper trade stops out', trade && trade.reason);
+      runner.assertClose(trade.mfe, 10, 1e-9, 'Agent MFE');
+      runner.assertClose(trade.mae, 21, 1e-9, 'Agent MAE at the exit price');
+      runner.assert(trade.regime === 'trending' && Number.isInteger(trade.barsHeld), 'Agent trade carries regime and bars');
+
+      const log = JSON.parse(fs.readFileSync(path.join(dir, 'trades.json'), 'utf8')).trades;
+      const exit = log.find(t => t.type === 'EXIT');
+      runner.assert(exit && exit.mae === trade.mae && exit.mfe === trade.mfe && 'timeToMFE' in exit,
+        'Excursions written to trades.json');
+      runner.assert(extractTrades({ trades: log }).length === 1, 'Analysis reads EXIT rows only');
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+function syntheticTrades() {
+  const trades = [];
+  // 30 ETH trending trades: 20 winners (MAE 1..5, MFE 25..44), 10 losers (MAE 10, MFE 0..9)
+  for (let i = 0; i < 20; i++) {
+    trades.push({ symbol: 'ETHUSDTM', regime: 'trending', pnl: 10, mae: 1 + (i % 5), mfe: 25 + i, exitROI: 20 + i, barsHeld: 10 });
+  }
+  for (let i = 0; i < 10; i++) {
+    trades.push({ symbol: 'ETHUSDTM', regime: 'trending', pnl: -10, mae: 10, mfe: i, exitROI: -10, barsHeld: 4 });
+  }
+  // A handful of SOL ranging trades, one from a backtest report row (regime on the entry signal)
+  for (let i = 0; i < 4; i++) {
+    trades.push({ symbol: 'SOLUSDTM', entrySignal: { regime: 'ranging' }, pnl: i % 2 ? 5 : -5, mae: 3, mfe: 6, roi: 2 });
+  }
+  trades.push({ symbol: 'SOLUSDTM', pnl: 1 });
+  return trades;
+}
+
+function testAnalysis(runner) {
+  console.log('\n📋 Testing excursion analysis...');
+
+  runner.assert(percentile([1, 2, 3, 4], 0.5) === 2.5 && percentile([], 0.5) === null, 'Interpolated percentile');
+
+  const target = bestTarget([5, 10, 20, 40]);
+  runner.assert(target.target === 20 && target.hitRate === 0.5 && target.capture === 10, 'Target maximizes level × hit rate');
+
+  const normalized = normalizeTrade({ symbol: 'X', entrySignal: { regime: 'ranging' }, realizedPnl: 3, mae: 1, mfe: 2, realizedROI: 4 });
+  runner.assert(normalized.regime === 'ranging' && normalized.win && normalized.exitROI === 4, 'Trades normalized across engines');
+  runner.assert(normalizeTrade({ symbol: 'X', pnl: 1 }) === null, 'Trades without excursions skipped');
+
+  const analysis = analyzeExcursions(syntheticTrades(), { minTrades: 20 });
+  runner.assert(analysis.trades === 34 && analysis.skipped === 1, 'Counts analysed and skipped trades');
+
+  const keys = analysis.groups.map(g => g.key);
+  runner.assert(['ALL', 'ETHUSDTM', 'SOLUSDTM', 'regime:trending', 'regime:ranging', 'ETHUSDTM/trending', 'SOLUSDTM/ranging']
+    .every(k => keys.includes(k)), 'Groups overall, per symbol, per regime and per symbol × regime');
+
+  const sol = analysis.groups.find(g => g.key === 'SOLUSDTM');
+  runner.assert(sol.insufficient && sol.suggestion === null && sol.mae.p50 === 3, 'Small groups get statistics but no suggestion');
+
+  const eth = analysis.groups.find(g => g.key === 'ETHUSDTM/trending');
+  const s = eth.suggestion;
+  runner.assert(eth.trades === 30 && Math.abs(eth.winRate - 66.667) < 0.01, 'Group win rate');
+  runner.assert(s.stopLossROI === 6, 'Stop clears 90% of winners\' MAE plus the buffer', s.stopLossROI);
+  runner.assert(s.evidence.winnersWithinStop === 1 && s.evidence.losersBeyondStop === 1, 'Stop evidence');
+  runner.assert(s.takeProfitROI === 25, 'Target at the best level × hit rate', s.takeProfitROI);
+  runner.assertClose(s.evidence.targetHitRate, 20 / 30, 1e-9, 'Target hit rate');
+  runner.assert(s.trailingActivation === 34.5, 'Trailing activation at the winners\' median MFE', s.trailingActivation);
+  runner.assert(s.trailingDistance === 5, 'Trailing distance from the median giveback', s.trailingDistance);
+  runner.assert(eth.barsHeld.p50 === 10 && eth.winnerMAE.max === 5, 'Bars held and winner MAE distributions');
+
+  runner.assert(suggestSettings([{ win: false, mae: 5, mfe: 1, exitROI: -5 }]) === null, 'No suggestion without winners');
+}
+
+async function runAllTests() {
+  console.log('Starting Excursion Tracking Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    testTracker(runner);
+    await testBacktestEngine(runner);
+    await testTradingEngineV3(runner);
+    await testDemoEngine(runner);
+    await testExecutionAgent(runner);
+    testAnalysis(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,318 @@
+/**
+ * Fill Model Test Suite
+ *
+ * Tests src/backtest/FillModel.js and its use in BacktestEngine:
+ * - Presets, overrides and per-run selection
+ * - Intrabar path assumptions and lower-timeframe resolution
+ * - Gap-through stop fills
+ * - Limit entries that fill or expire
+ * - Volume-proportional slippage
+ */
+
+const BacktestEngine = require('../src/backtest/BacktestEngine');
+const FillModel = require('../src/backtest/FillModel');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const INTERVAL = 15 * 60 * 1000;
+const START = 1700000000000;
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+// Flat warmup at 100, then [open, high, low, close] bars; the first bar is the entry bar
+function barCandles(bars, warmup = 10, volume = 1000) {
+  const flat = Array.from({ length: warmup }, () => [100, 100.05, 99.95, 100]);
+  return [...flat, ...bars].map(([open, high, low, close], i) => ({
+    ts: START + i * INTERVAL,
+    open,
+    high,
+    low,
+    close,
+    volume
+  }));
+}
+
+function bullishIndicators(count) {
+  const indicator = () => ({
+    value: 25,
+    signals: [
+      { type: 'bullish_divergence', direction: 'bullish', strength: 'very_strong', message: 'divergence' },
+      { type: 'bullish_crossover', direction: 'bullish', strength: 'strong', message: 'crossover' }
+    ]
+  });
+  const indicators = {};
+  for (const name of ['rsi', 'williamsR', 'kdj', 'stochRSI', 'obv']) {
+    indicators[name] = Array.from({ length: count }, indicator);
+  }
+  return indicators;
+}
+
+const backtestConfig = { warmupPeriod: 10, stopLossROI: 10, takeProfitROI: 30, minSignalScore: 30 };
+
+function createEngine(config = {}) {
+  return new BacktestEngine({
+    initialBalance: 10000,
+    leverage: 10,
+    riskPerTrade: 1,
+    trailingStopEnabled: false,
+    breakEvenEnabled: false,
+    ...config
+  });
+}
+
+async function firstTrade(bars, runConfig = {}, engineConfig = {}) {
+  const candles = barCandles(bars);
+  const engine = createEngine(engineConfig);
+  const results = await engine.runBacktest(candles, bullishIndicators(candles.length), { ...backtestConfig, ...runConfig });
+  return { engine, results, trade: results.trades[0] };
+}
+
+// Entry at 100 (+slippage): stop ~99.05, target ~103.05 at 10x
+const ENTRY_BAR = [100, 100.05, 99.95, 100];
+const BOTH_LEVELS = [100, 103.5, 98.9, 100];
+const BOTH_LEVELS_NEAR_HIGH = [102.9, 103.5, 98.9, 100];
+
+// ============================================================================
+// DEFINITION
+// ============================================================================
+
+function testDefinition(runner) {
+  console.log('\n--- Fill Model Definition ---');
+
+  const legacy = FillModel.from(null);
+  runner.assert(legacy.name === 'legacy' && legacy.path === 'stop_first' && !legacy.gapStops &&
+    legacy.entry === 'market' && legacy.slippage === 'fixed', 'No definition is the legacy model');
+
+  const conservative = FillModel.from('conservative');
+  runner.assert(conservative.name === 'conservative' && conservative.gapStops && conservative.slippage === 'volume',
+    'Preset by name');
+
+  const custom = FillModel.from({ preset: 'realistic', entry: 'limit', limitTimeoutBars: 3 });
+  runner.assert(custom.name === 'custom' && custom.path === 'nearest' && custom.entry === 'limit' &&
+    custom.limitTimeoutBars === 3, 'Options override a preset');
+  runner.assert(FillModel.from(custom) === custom, 'Instances pass through');
+  runner.assertClose(custom.limitOffset, 0.0009, 1e-12, 'Limit offset defaults to the 9th book level');
+
+  runner.assert(throws(() => FillModel.from('optimistic')), 'Unknown preset rejected');
+  runner.assert(throws(() => FillModel.from({ path: 'random' })), 'Unknown path rejected');
+  runner.assert(throws(() => FillModel.from({ entry: 'stop' })), 'Unknown entry type rejected');
+  runner.assert(throws(() => FillModel.from({ slippage: 'sqrt' })), 'Unknown slippage model rejected');
+
+  const bar = { open: 100, high: 101, low: 98, close: 99 };
+  const prices = (model, side) => model.pathPoints(side, [bar]).map(p => p.price).join(',');
+  runner.assert(prices(legacy, 'long') === '100,98,101' && prices(legacy, 'short') === '100,101,98',
+    'stop_first visits the adverse extreme first');
+  runner.assert(prices(FillModel.from({ path: 'ohlc' }), 'long') === '100,101,98,99', 'ohlc path');
+  runner.assert(prices(FillModel.from({ path: 'olhc' }), 'long') === '100,98,101,99', 'olhc path');
+  runner.assert(prices(FillModel.from({ path: 'nearest' }), 'long') === '100,101,98,99', 'nearest goes to the closer extreme');
+
+  const candles = barCandles([ENTRY_BAR, ENTRY_BAR], 0);
+  const subs = [0, 5, 10, 15, 20, 25, 40].map(m => ({ ts: START + m * 60000, open: 1, high: 1, low: 1, close: 1 }));
+  const groups = FillModel.groupIntrabar(candles, subs);
+  runner.assert(groups.get(candles[0].ts).length === 3 && groups.get(candles[1].ts).length === 3,
+    'Sub-candles grouped by parent bar');
+  runner.assert(groups.size === 2, 'Sub-candles past the last bar dropped');
+}
+
+// ============================================================================
+// SLIPPAGE
+// ============================================================================
+
+async function testSlippage(runner) {
+  console.log('\n--- Slippage ---');
+
+  const fixed = FillModel.from('legacy');
+  const volume = FillModel.from('realistic');
+  const bar = { close: 100, volume: 1000 };
+
+  runner.assertClose(fixed.slippageRate(0.0005, 1000, bar), 0.0005, 1e-12, 'Fixed slippage ignores size');
+  runner.assertClose(volume.slippageRate(0.0005, 1000, bar), 0.0015, 1e-12, 'Volume slippage grows with participation');
+  runner.assertClose(volume.slippageRate(0.0005, 1e9, bar), 0.01, 1e-12, 'Volume slippage capped');
+  runner.assertClose(volume.slippageRate(0.0005, 1000, { close: 100, volume: 0 }), 0.0005, 1e-12,
+    'No volume falls back to the base rate');
+
+  const thin = barCandles([ENTRY_BAR, [100, 100.05, 99.95, 100]], 10, 10);
+  const legacy = await createEngine().runBacktest(thin, bullishIndicators(thin.length), backtestConfig);
+  const realistic = await createEngine().runBacktest(thin, bullishIndicators(thin.length), { ...backtestConfig, fillModel: 'realistic' });
+  runner.assert(realistic.trades[0].entryPrice > legacy.trades[0].entryPrice, 'Thin bars fill entries worse',
+    `${realistic.trades[0].entryPrice} vs ${legacy.trades[0].entryPrice}`);
+}
+
+// ============================================================================
+// INTRABAR PATHS
+// ============================================================================
+
+async function testPaths(runner) {
+  console.log('\n--- Intrabar Paths ---');
+
+  const legacy = await firstTrade([ENTRY_BAR, BOTH_LEVELS]);
+  runner.assert(legacy.trade.reason === 'stop_loss', 'Default model stops out a bar spanning both levels', legacy.trade.reason);
+  runner.assert(legacy.results.fillModel.name === 'legacy', 'Results name the fill model');
+
+  const ohlc = await firstTrade([ENTRY_BAR, BOTH_LEVELS], { fillModel: { path: 'ohlc' } });
+  runner.assert(ohlc.trade.reason === 'take_profit', 'ohlc reaches the target first', ohlc.trade.reason);
+  runner.assertClose(ohlc.trade.exitPrice, ohlc.trade.takeProfit * (1 - 0.0005), 1e-9, 'Target fills at its price less slippage');
+
+  const olhc = await firstTrade([ENTRY_BAR, BOTH_LEVELS], { fillModel: { path: 'olhc' } });
+  runner.assert(olhc.trade.reason === 'stop_loss', 'olhc reaches the stop first', olhc.trade.reason);
+
+  const nearLow = await firstTrade([ENTRY_BAR, BOTH_LEVELS], { fillModel: { path: 'nearest' } });
+  const nearHigh = await firstTrade([ENTRY_BAR, BOTH_LEVELS_NEAR_HIGH], { fillModel: { path: 'nearest' } });
+  runner.assert(nearLow.trade.reason === 'stop_loss' && nearHigh.trade.reason === 'take_profit',
+    'nearest follows the extreme closer to the open');
+
+  // 5-minute candles: up through the target, then down through the stop
+  const candles = barCandles([ENTRY_BAR, BOTH_LEVELS]);
+  const barTs = candles[11].ts;
+  const intrabarCandles = [
+    { ts: barTs, open: 100, high: 103.5, low: 99.9, close: 103.2, volume: 300 },
+    { ts: barTs + 5 * 60000, open: 103.2, high: 103.3, low: 100, close: 100.2, volume: 300 },
+    { ts: barTs + 10 * 60000, open: 100.2, high: 100.3, low: 98.9, close: 100, volume: 400 }
+  ];
+  const engine = createEngine();
+  const resolved = await engine.runBacktest(candles, bullishIndicators(candles.length), { ...backtestConfig, intrabarCandles });
+  runner.assert(resolved.trades[0].reason === 'take_profit', 'Lower-timeframe candles resolve the order', resolved.trades[0].reason);
+
+  const reversed = intrabarCandles.map(c => ({ ...c }));
+  reversed[0] = { ts: barTs, open: 100, high: 100.1, low: 98.9, close: 99.5, volume: 300 };
+  const reversedResults = await createEngine().runBacktest(candles, bullishIndicators(candles.length),
+    { ...backtestConfig, intrabarCandles: reversed, fillModel: { path: 'ohlc' } });
+  runner.assert(reversedResults.trades[0].reason === 'stop_loss', 'Sub-candle order beats the bar path assumption');
+
+  // Per-run selection doesn't stick to the engine
+  const shared = createEngine({ fillModel: 'realistic' });
+  const ind = bullishIndicators(candles.length);
+  const overridden = await shared.runBacktest(candles, ind, { ...backtestConfig, fillModel: { path: 'ohlc' } });
+  const defaulted = await shared.runBacktest(candles, ind, backtestConfig);
+  runner.assert(overridden.fillModel.path === 'ohlc' && defaulted.fillModel.name === 'realistic',
+    'Run config overrides the engine fill model for that run only');
+}
+
+// ============================================================================
+// GAPS
+// ============================================================================
+
+async function testGaps(runner) {
+  console.log('\n--- Gap-Through Stops ---');
+
+  const GAP_DOWN = [98, 98.5, 97.9, 98.2];
+
+  const legacy = await firstTrade([ENTRY_BAR, GAP_DOWN]);
+  runner.assertClose(legacy.trade.exitPrice, legacy.trade.stopLoss * (1 - 0.0005), 1e-9, 'Legacy fills a gapped stop at the stop');
+
+  const gapped = await firstTrade([ENTRY_BAR, GAP_DOWN], { fillModel: { gapStops: true } });
+  runner.assertClose(gapped.trade.exitPrice, 98 * (1 - 0.0005), 1e-9, 'Gap-through stop fills at the open');
+  runner.assert(gapped.trade.pnl < legacy.trade.pnl, 'Gap fill is the worse price');
+  runner.assert(gapped.results.fillStats.gappedStops === 1, 'Gapped stops counted');
+
+  const touched = await firstTrade([ENTRY_BAR, [100, 100.1, 98.9, 99]], { fillModel: { gapStops: true } });
+  runner.assertClose(touched.trade.exitPrice, touched.trade.stopLoss * (1 - 0.0005), 1e-9,
+    'Stop reached inside the bar still fills at the stop');
+}
+
+// ============================================================================
+// LIMIT ENTRIES
+// ============================================================================
+
+async function testLimitEntries(runner) {
+  console.log('\n--- Limit Entries ---');
+
+  const limit = { entry: 'limit' };
+  const limitPrice = 100 * (1 - 0.0009);
+
+  // Next bar never trades down to the limit: order expires, a new one rests at that close
+  const missed = await firstTrade([ENTRY_BAR, [100, 100.2, 99.95, 100], [100, 100.2, 99.5, 100]], { fillModel: limit });
+  runner.assert(missed.results.fillStats.limitOrders === 2 && missed.results.fillStats.limitExpired === 1 &&
+    missed.results.fillStats.limitFilled === 1, 'Untouched limit expires, next one fills',
+  JSON.stringify(missed.results.fillStats));
+  runner.assertClose(missed.trade.entryPrice, limitPrice, 1e-9, 'Limit fills at its price without slippage');
+  runner.assert(missed.trade.entryTime === START + 12 * INTERVAL, 'Entry timed at the filling bar');
+
+  const gapFill = await firstTrade([ENTRY_BAR, [99.5, 99.8, 99.4, 99.6]], { fillModel: limit });
+  runner.assertClose(gapFill.trade.entryPrice, 99.5, 1e-9, 'Bar opening through the limit fills at the open');
+
+  const patient = await firstTrade([ENTRY_BAR, [100, 100.2, 99.95, 100], [100, 100.2, 99.95, 100], [100, 100.2, 99.5, 100]],
+    { fillModel: { entry: 'limit', limitTimeoutBars: 3 } });
+  runner.assert(patient.results.fillStats.limitOrders === 1 && patient.results.fillStats.limitFilled === 1,
+    'Longer timeout keeps the order resting');
+
+  const never = await firstTrade([ENTRY_BAR, [100, 100.2, 99.95, 100]], { fillModel: limit });
+  runner.assert(never.results.totalTrades === 0 && never.results.fillStats.limitExpired >= 1, 'Unfilled limit never trades');
+
+  // Portfolio: resting orders hold position slots
+  const streams = {};
+  for (const symbol of ['AAAUSDTM', 'BBBUSDTM']) {
+    const candles = barCandles([ENTRY_BAR, [100, 100.2, 99.5, 100]]);
+    streams[symbol] = { candles, indicators: bullishIndicators(candles.length) };
+  }
+  const portfolio = await createEngine({ maxOpenPositions: 1 }).runPortfolioBacktest(streams, { ...backtestConfig, fillModel: limit });
+  runner.assert(portfolio.fillStats.limitOrders === 1 && portfolio.rejectedEntries.MAX_POSITIONS > 0,
+    'Pending limit counts toward max positions', JSON.stringify(portfolio.rejectedEntries));
+}
+
+async function runAllTests() {
+  console.log('Starting Fill Model Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    testDefinition(runner);
+    await testSlippage(runner);
+    await testPaths(runner);
+    await testGaps(runner);
+    await testLimitEntries(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,399 @@
+/**
+ * Funding & Liquidation Test Suite
+ *
+ * Tests src/utils/FundingSchedule.js and its use in the simulated engines:
+ * - Series and flat-rate settlements, payment direction
+ * - Funding series stored next to candles (CandleRepository)
+ * - BacktestEngine funding PnL and forced liquidation (single and portfolio)
+ * - PaperTradingEngineV2 and DemoTradingEngine funding and liquidation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BacktestEngine = require('../src/backtest/BacktestEngine');
+const FundingSchedule = require('../src/utils/FundingSchedule');
+const CandleRepository = require('../src/data/CandleRepository');
+const PaperTradingEngineV2 = require('../src/optimizer/PaperTradingEngineV2');
+const DemoTradingEngine = require('../core/DemoTradingEngine');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+const INTERVAL = 15 * 60 * 1000;
+// On the 8h funding grid, so flat-rate settlements land every 32 bars
+const START = 59028 * 8 * HOUR;
+const FLAT = [100, 100.05, 99.95, 100];
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+// Flat warmup at 100, then [open, high, low, close] bars; the first bar is the entry bar
+function barCandles(bars, warmup = 10) {
+  const flat = Array.from({ length: warmup }, () => FLAT);
+  return [...flat, ...bars].map(([open, high, low, close], i) => ({
+    ts: START + i * INTERVAL,
+    open,
+    high,
+    low,
+    close,
+    volume: 1000
+  }));
+}
+
+function flatBars(count) {
+  return Array.from({ length: count }, () => FLAT);
+}
+
+function bullishIndicators(count) {
+  const indicator = () => ({
+    value: 25,
+    signals: [
+      { type: 'bullish_divergence', direction: 'bullish', strength: 'very_strong', message: 'divergence' },
+      { type: 'bullish_crossover', direction: 'bullish', strength: 'strong', message: 'crossover' }
+    ]
+  });
+  const indicators = {};
+  for (const name of ['rsi', 'williamsR', 'kdj', 'stochRSI', 'obv']) {
+    indicators[name] = Array.from({ length: count }, indicator);
+  }
+  return indicators;
+}
+
+const backtestConfig = { warmupPeriod: 10, stopLossROI: 10, takeProfitROI: 500, minSignalScore: 30 };
+
+function createEngine(config = {}) {
+  return new BacktestEngine({
+    initialBalance: 10000,
+    leverage: 10,
+    riskPerTrade: 1,
+    trailingStopEnabled: false,
+    breakEvenEnabled: false,
+    ...config
+  });
+}
+
+async function run(bars, runConfig = {}, engineConfig = {}) {
+  const candles = barCandles(bars);
+  const engine = createEngine(engineConfig);
+  const results = await engine.runBacktest(candles, bullishIndicators(candles.length), { ...backtestConfig, ...runConfig });
+  return { results, trade: results.trades[0] };
+}
+
+function positionValue(trade, leverage, price = 100) {
+  return trade.margin * leverage * price / trade.entryPrice;
+}
+
+// ============================================================================
+// SCHEDULE
+// ============================================================================
+
+function testSchedule(runner) {
+  console.log('\n📋 Testing Funding Schedule...');
+
+  const flat = new FundingSchedule(0.0001);
+  const settlements = flat.between(START, START + 24 * HOUR);
+  runner.assert(settlements.length === 3, 'Flat rate settles every 8 hours', `got ${settlements.length}`);
+  runner.assert(settlements[0].ts === START + 8 * HOUR, 'Settlements exclude the window start');
+  runner.assert(settlements[2].ts === START + 24 * HOUR, 'Settlements include the window end');
+  runner.assert(flat.between(START + HOUR, START + 2 * HOUR).length === 0, 'No settlement between boundaries');
+  runner.assert(FundingSchedule.nextSettlement(START) === START + 8 * HOUR, 'Next settlement is strictly after ts');
+
+  const series = new FundingSchedule([
+    { timepoint: START + 16 * HOUR, fundingRate: -0.0002 },
+    { ts: START + 8 * HOUR, rate: 0.0003 },
+    { ts: START + 8 * HOUR, rate: 0.0004 },
+    { ts: 'bad', rate: 0.1 }
+  ]);
+  runner.assert(series.series.length === 2, 'Series dedupes timestamps and drops invalid rows');
+  runner.assert(series.series[0].rate === 0.0004, 'Later duplicate wins');
+  runner.assert(series.between(START, START + 16 * HOUR).length === 2, 'KuCoin funding rows accepted as-is');
+  runner.assert(series.rateAt(START + 10 * HOUR) === 0.0004, 'Rate in force is the last settlement');
+  runner.assert(series.rateAt(START) === null, 'No rate before the first settlement');
+
+  runner.assert(FundingSchedule.payment('long', 1000, 0.001).toNumber() === -1, 'Longs pay a positive rate');
+  runner.assert(FundingSchedule.payment('short', 1000, 0.001).toNumber() === 1, 'Shorts receive a positive rate');
+  runner.assert(FundingSchedule.payment('long', 1000, -0.001).toNumber() === 1, 'Longs receive a negative rate');
+
+  runner.assert(FundingSchedule.from(null) === null, 'No definition means no funding');
+  runner.assert(FundingSchedule.from(series) === series, 'Instances pass through');
+  runner.assert(throws(() => new FundingSchedule('0.01')), 'Strings rejected');
+  runner.assert(throws(() => new FundingSchedule(NaN)), 'Non-finite flat rate rejected');
+}
+
+// ============================================================================
+// REPOSITORY
+// ============================================================================
+
+async function testRepository(runner) {
+  console.log('\n📋 Testing Funding Series Storage...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'funding-'));
+  try {
+    const repo = new CandleRepository({ offline: true, dataDirs: [dir], fundingDir: path.join(dir, 'funding') });
+    runner.assert((await repo.getFundingRates('XBTUSDTM')).length === 0, 'Offline with no store yields no funding');
+
+    repo.saveFundingRates('XBTUSDTM', [
+      { timepoint: START + 16 * HOUR, fundingRate: 0.0002 },
+      { timepoint: START + 8 * HOUR, fundingRate: 0.0001 },
+      { timepoint: START + 24 * HOUR, fundingRate: -0.0001 }
+    ]);
+
+    const all = await repo.getFundingRates('BTCUSDTM');
+    runner.assert(all.length === 3 && all[0].ts === START + 8 * HOUR, 'Stored series sorted and matched across symbol aliases');
+    runner.assert(all.every(r => 'ts' in r && 'rate' in r), 'Stored series normalized to { ts, rate }');
+
+    const range = await repo.getFundingRates('XBTUSDTM', { start: START + 10 * HOUR, end: START + 20 * HOUR });
+    runner.assert(range.length === 1 && range[0].rate === 0.0002, 'Range query filters settlements');
+
+    let refused = false;
+    try {
+      await repo.fetchFundingRates('XBTUSDTM', START, START + HOUR);
+    } catch (e) {
+      refused = /Offline/.test(e.message);
+    }
+    runner.assert(refused, 'Offline mode refuses REST funding fetches');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================================================
+// BACKTEST FUNDING
+// ============================================================================
+
+async function testBacktestFunding(runner) {
+  console.log('\n📋 Testing Backtest Funding...');
+
+  const base = await run(flatBars(40));
+  runner.assert(base.results.fundingPnL === 0 && base.results.fundingStats.payments === 0, 'No funding without a schedule');
+  runner.assert(base.trade.fundingPnL === 0, 'Trades carry zero funding without a schedule');
+
+  // Entry at bar 10; the 8h settlement falls on bar 32
+  const long = await run(flatBars(40), { fundingRates: 0.001 });
+  const expected = -positionValue(long.trade, 10) * 0.001;
+  runner.assert(long.results.fundingStats.payments === 1, 'One settlement while the position is open',
+    `got ${long.results.fundingStats.payments}`);
+  runner.assertClose(long.results.fundingPnL, expected, 1e-9, 'Long pays position value × rate');
+  runner.assertClose(long.trade.fundingPnL, expected, 1e-9, 'Trade reports its funding');
+  runner.assertClose(long.trade.pnl - base.trade.pnl, expected, 1e-9, 'Trade PnL includes funding');
+  runner.assertClose(long.results.finalBalance - base.results.finalBalance, expected, 1e-9, 'Funding hits the balance');
+  runner.assertClose(long.results.fundingStats.paid, -expected, 1e-9, 'Paid funding tracked');
+
+  const short = await run(flatBars(40), { fundingRates: 0.001, invertSignals: true });
+  runner.assert(short.trade.side === 'short' && short.results.fundingPnL > 0, 'Short receives a positive rate');
+  runner.assertClose(short.results.fundingStats.received, short.results.fundingPnL, 1e-9, 'Received funding tracked');
+
+  const series = await run(flatBars(40), {
+    fundingRates: [
+      { ts: START + 5 * INTERVAL, rate: 0.01 },
+      { ts: START + 20 * INTERVAL, rate: 0.0005 },
+      { timepoint: START + 30 * INTERVAL, fundingRate: -0.0002 }
+    ]
+  });
+  runner.assert(series.results.fundingStats.payments === 2, 'Series settles at its own timestamps, not before entry');
+  runner.assertClose(series.results.fundingPnL, -positionValue(series.trade, 10) * 0.0003, 1e-9,
+    'Series settlements summed with their own rates');
+
+  const gapped = await run([...flatBars(20), [101, 101.05, 100.95, 101], ...flatBars(20)], {
+    fundingRates: [{ ts: START + 30 * INTERVAL, rate: 0.001 }]
+  });
+  runner.assertClose(gapped.results.fundingPnL, -positionValue(gapped.trade, 10, 101) * 0.001, 1e-9,
+    'Position valued at the settlement bar open');
+}
+
+// ============================================================================
+// BACKTEST LIQUIDATION
+// ============================================================================
+
+async function testBacktestLiquidation(runner) {
+  console.log('\n📋 Testing Backtest Liquidation...');
+
+  // 50x: liquidation ~2% below entry; a 150% ROI stop sits beyond it
+  const crash = [FLAT, [100, 100.05, 97, 97.5], ...flatBars(3)];
+  const liquidated = await run(crash, { stopLossROI: 150 }, { leverage: 50 });
+  const trade = liquidated.trade;
+  runner.assert(trade.reason === 'liquidation', 'Stop beyond liquidation price is liquidated', trade.reason);
+  runner.assertClose(trade.liquidationPrice, trade.entryPrice * (1 - 0.02 * 0.996), 1e-9,
+    'Liquidation price from PositionCalculator');
+  runner.assert(trade.exitPrice === trade.liquidationPrice, 'Force-closed at the liquidation price');
+  runner.assertClose(trade.pnl, -trade.margin, 1e-9, 'Liquidation forfeits the margin');
+  runner.assert(liquidated.results.liquidations === 1, 'Liquidations counted');
+
+  const stopped = await run(crash, { stopLossROI: 50 }, { leverage: 50 });
+  runner.assert(stopped.trade.reason === 'stop_loss' && stopped.results.liquidations === 0,
+    'Stop inside the liquidation price fills first');
+
+  const gap = [FLAT, [96, 96.5, 95.5, 96], ...flatBars(3)];
+  const legacyGap = await run(gap, { stopLossROI: 50 }, { leverage: 50 });
+  runner.assert(legacyGap.trade.reason === 'stop_loss', 'Legacy fills assume the stop fills before a gap');
+  const conservativeGap = await run(gap, { stopLossROI: 50, fillModel: 'conservative' }, { leverage: 50 });
+  runner.assert(conservativeGap.trade.reason === 'liquidation', 'Gap through stop and liquidation liquidates');
+
+  const disabled = await run(crash, { stopLossROI: 150 }, { leverage: 50, liquidation: false });
+  runner.assert(disabled.results.liquidations === 0 && disabled.trade.reason !== 'liquidation',
+    'liquidation: false disables forced closes');
+
+  const short = await run([FLAT, [100, 103, 99.9, 102.5], ...flatBars(3)],
+    { stopLossROI: 150, invertSignals: true }, { leverage: 50 });
+  runner.assert(short.trade.side === 'short' && short.trade.reason === 'liquidation', 'Shorts liquidate above entry');
+}
+
+async function testPortfolio(runner) {
+  console.log('\n📋 Testing Portfolio Funding & Liquidation...');
+
+  const calm = barCandles(flatBars(40));
+  const crash = barCandles([FLAT, [100, 100.05, 97, 97.5], ...flatBars(38)]);
+  const engine = createEngine({ leverage: 50 });
+  const results = await engine.runPortfolioBacktest({
+    AAAUSDTM: { candles: calm, indicators: bullishIndicators(calm.length), fundingRates: 0.001 },
+    BBBUSDTM: { candles: crash, indicators: bullishIndicators(crash.length) }
+  }, { ...backtestConfig, stopLossROI: 150 });
+
+  const a = results.perSymbol.AAAUSDTM;
+  const b = results.perSymbol.BBBUSDTM;
+  runner.assert(a.fundingPnL < 0 && b.fundingPnL === 0, 'Funding attributed to the symbol that settles it');
+  runner.assertClose(results.fundingPnL, a.fundingPnL, 1e-9, 'Portfolio funding sums symbols');
+  runner.assert(b.liquidations >= 1 && a.liquidations === 0, 'Liquidations counted per symbol');
+  runner.assert(results.liquidations === b.liquidations, 'Portfolio liquidations sum symbols');
+}
+
+// ============================================================================
+// PAPER & DEMO ENGINES
+// ============================================================================
+
+function bullishSnapshot() {
+  const indicators = bullishIndicators(1);
+  return Object.fromEntries(Object.entries(indicators).map(([name, series]) => [name, series[0]]));
+}
+
+async function testPaperEngine(runner) {
+  console.log('\n📋 Testing PaperTradingEngineV2...');
+
+  const engine = new PaperTradingEngineV2({ leverage: 50, fundingRates: { AAAUSDTM: 0.001 } });
+  engine.addStrategy('s1', {});
+  engine.start();
+  const state = engine.strategies.get('s1').state;
+  const candle = (ts, low = 99.9, high = 100.1) => ({ ts, open: 100, high, low, close: 100 });
+
+  await engine.processMarketUpdate('AAAUSDTM', candle(START + HOUR), bullishSnapshot());
+  const position = state.positions[0];
+  runner.assert(position && position.side === 'long', 'Paper engine opens on the signal');
+  runner.assertClose(position.size * 100, position.margin * 50, 1e-6, 'Leverage scales the margin into position value');
+  runner.assertClose(position.liquidationPrice, 100 * (1 - 0.02 * 0.996), 1e-9, 'Paper liquidation price');
+
+  await engine.processMarketUpdate('AAAUSDTM', candle(START + 9 * HOUR), bullishSnapshot());
+  runner.assertClose(state.fundingPnL.toNumber(), -position.size * 100 * 0.001, 1e-9, 'Paper engine settles funding');
+
+  await engine.processMarketUpdate('AAAUSDTM', candle(START + 10 * HOUR, 97), {});
+  const trade = state.trades[0];
+  runner.assert(trade && trade.reason === 'Liquidation' && state.liquidations === 1, 'Paper engine liquidates');
+  runner.assertClose(trade.pnlValue, -position.margin + position.fundingPnL, 1e-9,
+    'Liquidated trade loses its margin plus funding');
+  engine.stop();
+}
+
+async function testDemoEngine(runner) {
+  console.log('\n📋 Testing DemoTradingEngine...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'demo-'));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const engine = new DemoTradingEngine();
+    engine.logFile = path.join(dir, 'demo-trading.log');
+    engine.setEnabled(true);
+
+    await engine.enterPosition('AAAUSDTM', {
+      side: 'long', entryPrice: 100, positionSize: 2, leverage: 10,
+      signalScore: 80, confluence: 4, indicators: {}, atrPercent: 2
+    });
+    const position = engine.positions.get('AAAUSDTM');
+    runner.assertClose(position.liquidationPrice, 100 * (1 - 0.1 * 0.996), 1e-9, 'Demo liquidation price');
+
+    // One settlement boundary since the last check
+    position.lastFundingCheck = FundingSchedule.nextSettlement(Date.now()) - 8 * HOUR - 1;
+    await engine.onMarketUpdate('AAAUSDTM', { marketData: { price: 100 }, fundingRate: { rate: 0.001 } });
+    runner.assertClose(engine.metrics.fundingPnL, -position.positionValue * 0.001, 1e-9, 'Demo engine settles funding');
+    runner.assertClose(position.accumulatedFundingFees, position.positionValue * 0.001, 1e-9,
+      'Funding fees accumulate like PositionManager');
+
+    await engine.onMarketUpdate('AAAUSDTM', { marketData: { price: 89 }, fundingRate: { rate: 0.001 } });
+    const trade = engine.trades[0];
+    runner.assert(trade && trade.reason === 'Liquidation' && engine.metrics.liquidations === 1, 'Demo engine liquidates');
+    runner.assertClose(trade.realizedPnl, -position.marginUsed - position.positionValue * 0.001, 1e-9,
+      'Demo liquidation loses the margin and funding');
+    runner.assertClose(engine.paperBalance, 10000 + trade.realizedPnl, 1e-9, 'Balance carries funding and the loss');
+  } finally {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  console.log('Starting Funding & Liquidation Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    testSchedule(runner);
+    await testRepository(runner);
+    await testBacktestFunding(runner);
+    await testBacktestLiquidation(runner);
+    await testPortfolio(runner);
+    await testPaperEngine(runner);
+    await testDemoEngine(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,479 @@
+/**
+ * Indicator Snapshot Test Suite
+ *
+ * Tests the serialize() / restore() contract and warm restarts:
+ * - src/utils/StateSnapshot.js (Decimal, Map, NaN/Infinity, type checks)
+ * - every src/indicators class: restore + the remaining candles gives the same
+ *   results, bar for bar, as an uninterrupted run
+ * - microstructure analyzers and OrderBook (clocks and listeners survive)
+ * - screener IndicatorState / SymbolStream / CandleAggregator
+ * - SignalAgent candle buffers
+ * - src/data/IndicatorCheckpoint.js (atomic save/load, boot validation, warm())
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Decimal = require('decimal.js');
+
+const indicators = require('../src/indicators');
+const { BuySellRatioAnalyzer, FundingRateAnalyzer, PriceRatioAnalyzer, OrderBook } = require('../src/microstructure');
+const { CandleAggregator, IndicatorCheckpoint } = require('../src/data');
+const { StateSnapshot } = require('../src/utils');
+const { IndicatorState, SymbolStream } = require('../src/screener');
+const SignalAgent = require('../agents/signal-agent');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const BAR = 15 * 60 * 1000;
+const START = Date.UTC(2026, 0, 1);
+
+function series(start, count, seed = 1) {
+  const candles = [];
+  let price = 100 * seed;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price = open * (1 + 0.004 * Math.sin(i / 7 + seed) + 0.002 * Math.cos(i / 3) + 0.0002);
+    candles.push({
+      ts: start + i * BAR,
+      open,
+      high: Math.max(open, price) * 1.002,
+      low: Math.min(open, price) * 0.998,
+      close: price,
+      volume: 1000 + 400 * Math.sin(i / 5) + i
+    });
+  }
+  return candles;
+}
+
+// Snapshot as it comes back from disk
+function roundTrip(snapshot) {
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+// ============================================================================
+// STATE SNAPSHOT
+// ============================================================================
+
+function testStateSnapshot(runner) {
+  console.log('\n--- StateSnapshot ---');
+
+  const source = {
+    amount: new Decimal('0.1').plus('0.2'),
+    levels: new Map([[101.5, 3], [102, 4]]),
+    nan: NaN,
+    inf: -Infinity,
+    nested: [{ value: new Decimal(7) }],
+    clock: () => 1
+  };
+  const snapshot = roundTrip(StateSnapshot.capture(source, 'Thing'));
+
+  runner.assert(snapshot.type === 'Thing' && snapshot.version === StateSnapshot.VERSION, 'Snapshot records type and version');
+  runner.assert(!('clock' in snapshot.state), 'Functions are left out');
+
+  const clock = () => 2;
+  const target = StateSnapshot.apply({ clock }, snapshot, 'Thing');
+  runner.assert(Decimal.isDecimal(target.amount) && target.amount.equals('0.3'), 'Decimal restored exactly');
+  runner.assert(target.levels instanceof Map && target.levels.get(101.5) === 3 && target.levels.size === 2, 'Map restored with numeric keys');
+  runner.assert(Number.isNaN(target.nan) && target.inf === -Infinity, 'NaN and Infinity restored');
+  runner.assert(Decimal.isDecimal(target.nested[0].value), 'Nested Decimal restored');
+  runner.assert(target.clock === clock, 'Live function kept on restore');
+
+  runner.assert(throws(() => StateSnapshot.apply({}, snapshot, 'Other')), 'Wrong type rejected');
+  runner.assert(throws(() => StateSnapshot.apply({}, { ...snapshot, version: 99 }, 'Thing')), 'Unknown version rejected');
+  runner.assert(throws(() => StateSnapshot.apply({}, null, 'Thing')), 'Missing snapshot rejected');
+}
+
+// ============================================================================
+// INDICATORS
+// ============================================================================
+
+function testIndicators(runner) {
+  console.log('\n--- Indicators ---');
+
+  const candles = series(START, 320, 2);
+  const cut = 230;
+  const candleClasses = Object.keys(indicators).filter(name => name !== 'DOMAnalyzer');
+
+  for (const name of candleClasses) {
+    const Indicator = indicators[name];
+    const full = new Indicator();
+    const partial = new Indicator();
+    for (const candle of candles.slice(0, cut)) {
+      full.update(candle);
+      partial.update(candle);
+    }
+
+    const restored = new Indicator();
+    const returned = restored.restore(roundTrip(partial.serialize()));
+
+    let identical = returned === restored;
+    for (const candle of candles.slice(cut)) {
+      const a = JSON.stringify(full.update(candle));
+      const b = JSON.stringify(restored.update(candle));
+      if (a !== b) identical = false;
+    }
+    runner.assert(identical, `${name}: restored instance matches an uninterrupted run bar for bar`);
+  }
+
+  const rsi = new indicators.RSIIndicator();
+  runner.assert(throws(() => rsi.restore(new indicators.MACDIndicator().serialize())), 'Snapshot of another indicator rejected');
+
+  // DOM: order books in live mode
+  const book = i => ({
+    bids: [[100 - i * 0.1, 5 + i], [99.9 - i * 0.1, 3]],
+    asks: [[100.1 + i * 0.1, 4], [100.2 + i * 0.1, 6 + (i % 3)]]
+  });
+  const dom = new indicators.DOMAnalyzer();
+  dom.isLiveMode = true;
+  for (let i = 0; i < 10; i++) dom.update(book(i));
+  const domRestored = new indicators.DOMAnalyzer().restore(roundTrip(dom.serialize()));
+  runner.assert(
+    JSON.stringify(domRestored.update(book(10))) === JSON.stringify(dom.update(book(10))),
+    'DOMAnalyzer: restored instance matches'
+  );
+}
+
+// ============================================================================
+// MICROSTRUCTURE
+// ============================================================================
+
+function testMicrostructure(runner) {
+  console.log('\n--- Microstructure ---');
+
+  let now = START;
+  const clock = () => now;
+  const trade = i => ({ ts: now, side: i % 3 === 0 ? 'sell' : 'buy', size: 1 + (i % 4), price: 100 + (i % 5) * 0.1 });
+
+  const bsr = new BuySellRatioAnalyzer({ clock });
+  bsr.isLiveMode = true;
+  for (let i = 0; i < 150; i++) {
+    now += 500;
+    bsr.processTrade(trade(i));
+  }
+
+  const restoredClock = () => now;
+  const bsrRestored = new BuySellRatioAnalyzer({ clock: restoredClock });
+  let events = 0;
+  bsrRestored.on('test', () => events++);
+  bsrRestored.restore(roundTrip(bsr.serialize()));
+
+  runner.assert(Decimal.isDecimal(bsrRestored.buyVolume) && bsrRestored.buyVolume.equals(bsr.buyVolume), 'BuySellRatio: Decimal volumes restored');
+  runner.assert(Decimal.isDecimal(bsrRestored.trades[0].value), 'BuySellRatio: trade values restored as Decimal');
+  runner.assert(bsrRestored.clock === restoredClock, 'BuySellRatio: injected clock kept');
+  bsrRestored.emit('test');
+  runner.assert(events === 1, 'BuySellRatio: listeners kept');
+
+  let identical = true;
+  for (let i = 150; i < 200; i++) {
+    now += 500;
+    if (JSON.stringify(bsr.processTrade(trade(i))) !== JSON.stringify(bsrRestored.processTrade(trade(i)))) identical = false;
+  }
+  runner.assert(identical, 'BuySellRatio: restored analyzer matches after more trades');
+
+  const funding = new FundingRateAnalyzer({ clock });
+  funding.isLiveMode = true;
+  for (let i = 0; i < 5; i++) funding.update({ currentRate: 0.0001 * i, predictedRate: 0.0002 * i });
+  const fundingRestored = new FundingRateAnalyzer({ clock }).restore(roundTrip(funding.serialize()));
+  runner.assert(
+    JSON.stringify(fundingRestored.update({ currentRate: 0.0009 })) === JSON.stringify(funding.update({ currentRate: 0.0009 })),
+    'FundingRate: restored analyzer matches'
+  );
+
+  const prices = new PriceRatioAnalyzer({ clock });
+  prices.isLiveMode = true;
+  for (let i = 0; i < 5; i++) prices.update({ bid: 100 + i, ask: 100.2 + i, index: 100 + i, mark: 100.1 + i, last: 100.1 + i });
+  const pricesRestored = new PriceRatioAnalyzer({ clock }).restore(roundTrip(prices.serialize()));
+  runner.assert(Decimal.isDecimal(pricesRestored.markPrice), 'PriceRatio: Decimal prices restored');
+  runner.assert(
+    JSON.stringify(pricesRestored.update({ last: 106 })) === JSON.stringify(prices.update({ last: 106 })),
+    'PriceRatio: restored analyzer matches'
+  );
+
+  const orderBook = new OrderBook({ symbol: 'XBTUSDTM' });
+  orderBook.applySnapshot({ sequence: 10, bids: [[100, 2], [99.5, 3]], asks: [[100.5, 1]], ts: START });
+  orderBook.applyDelta({ sequence: 11, price: 100.6, side: 'sell', size: 4 });
+  const bookRestored = new OrderBook({ symbol: 'XBTUSDTM' }).restore(roundTrip(orderBook.serialize()));
+  runner.assert(bookRestored.bids instanceof Map && bookRestored.getBestBid() === 100 && bookRestored.getBestAsk() === 100.5, 'OrderBook: levels restored');
+  runner.assert(bookRestored.applyDelta({ sequence: 12, price: 100, side: 'buy', size: 0 }) && bookRestored.getBestBid() === 99.5, 'OrderBook: next delta applies');
+  runner.assert(!bookRestored.applyDelta({ sequence: 11, price: 99, side: 'buy', size: 1 }), 'OrderBook: stale delta still rejected');
+}
+
+// ============================================================================
+// SCREENER STATE
+// ============================================================================
+
+function testScreenerState(runner) {
+  console.log('\n--- Screener State ---');
+
+  const candles = series(START, 200, 3);
+
+  const aggregator = new CandleAggregator('15min', '1hour');
+  for (const candle of candles.slice(0, 6)) aggregator.push(candle);
+  const aggRestored = new CandleAggregator('15min', '1hour').restore(roundTrip(aggregator.serialize()));
+  runner.assert(JSON.stringify(aggRestored.getForming()) === JSON.stringify(aggregator.getForming()), 'CandleAggregator: forming bucket restored');
+  runner.assert(
+    JSON.stringify(aggRestored.push(candles[6]).concat(aggRestored.push(candles[7]))) ===
+      JSON.stringify(aggregator.push(candles[6]).concat(aggregator.push(candles[7]))),
+    'CandleAggregator: completes the bucket like the original'
+  );
+  runner.assert(throws(() => new CandleAggregator('15min', '4hour').restore(aggregator.serialize())), 'CandleAggregator: other timeframe rejected');
+
+  const state = new IndicatorState({ timeframe: '15min' });
+  const partial = new IndicatorState({ timeframe: '15min' });
+  for (const candle of candles.slice(0, 120)) {
+    state.update(candle);
+    partial.update(candle);
+  }
+  const stateRestored = new IndicatorState({ timeframe: '15min' }).restore(roundTrip(partial.serialize()));
+  for (const candle of candles.slice(120)) {
+    state.update(candle);
+    stateRestored.update(candle);
+  }
+  runner.assert(
+    JSON.stringify(stateRestored.getIndicators()) === JSON.stringify(state.getIndicators()) && stateRestored.bars === state.bars,
+    'IndicatorState: restored state matches an uninterrupted one'
+  );
+  runner.assert(throws(() => new IndicatorState({ timeframe: '1hour' }).restore(partial.serialize())), 'IndicatorState: other timeframe rejected');
+  runner.assert(
+    throws(() => new IndicatorState({ timeframe: '15min', params: { williams: { period: 21 } } }).restore(partial.serialize())),
+    'IndicatorState: other params rejected'
+  );
+
+  // Stream: checkpoint, go down for 5 bars, restore, push resumes with a backfill
+  const config = { symbol: 'XBTUSDTM', baseTimeframe: '15min', timeframes: ['15min', '1hour'] };
+  const live = new SymbolStream(config);
+  live.seed({ '15min': candles.slice(0, 101) }, candles[100].ts + 60000);
+  for (let i = 101; i < 150; i++) live.push(candles[i], candles[i].ts + 60000);
+
+  const saved = roundTrip(live.serialize());
+  for (let i = 150; i < 160; i++) live.push(candles[i], candles[i].ts + 60000);
+
+  const restarted = new SymbolStream(config).restore(saved);
+  runner.assert(restarted.forming === null, 'SymbolStream: forming candle dropped on restore');
+  const { gap } = restarted.push(candles[155], candles[155].ts + 60000);
+  runner.assert(gap && gap.from === candles[149].ts && gap.to === candles[154].ts, 'SymbolStream: missed bars reported as a gap',
+    JSON.stringify(gap));
+  restarted.fill(candles.slice(149, 155));
+  for (let i = 156; i < 160; i++) restarted.push(candles[i], candles[i].ts + 60000);
+
+  runner.assert(
+    JSON.stringify(restarted.getState('15min').getIndicators()) === JSON.stringify(live.getState('15min').getIndicators()),
+    'SymbolStream: base timeframe caught up to the uninterrupted stream'
+  );
+  runner.assert(
+    JSON.stringify(restarted.getState('1hour').getIndicators()) === JSON.stringify(live.getState('1hour').getIndicators()),
+    'SymbolStream: higher timeframe caught up to the uninterrupted stream'
+  );
+  runner.assert(
+    throws(() => new SymbolStream({ ...config, timeframes: ['15min', '4hour'] }).restore(saved)),
+    'SymbolStream: other timeframes rejected'
+  );
+}
+
+// ============================================================================
+// SIGNAL AGENT
+// ============================================================================
+
+function testSignalAgent(runner) {
+  console.log('\n--- SignalAgent ---');
+
+  const agent = new SignalAgent({});
+  agent.initializeBuffer('XBTUSDTM', '15min', series(START, 260, 4));
+  agent.initializeBuffer('ETHUSDTM', '15min', series(START, 120, 5));
+
+  const restored = new SignalAgent({});
+  const result = restored.restore(roundTrip(agent.serialize()));
+  runner.assert(result.ok && result.value.buffers === 2, 'SignalAgent: buffers restored');
+
+  const strip = cache => JSON.stringify({ ...cache, timestamp: 0 });
+  runner.assert(
+    strip(restored.indicatorCache.get('XBTUSDTM:15min')) === strip(agent.indicatorCache.get('XBTUSDTM:15min')),
+    'SignalAgent: indicators recomputed identically'
+  );
+  runner.assert(!restored.indicatorCache.has('ETHUSDTM:15min'), 'SignalAgent: short buffer stays below minCandles');
+
+  const bad = restored.restore({ type: 'RSIIndicator', version: StateSnapshot.VERSION, state: {} });
+  runner.assert(!bad.ok && bad.error.code === 'INVALID_SNAPSHOT', 'SignalAgent: foreign snapshot rejected');
+}
+
+// ============================================================================
+// CHECKPOINT
+// ============================================================================
+
+function createSet() {
+  return {
+    rsi: new indicators.RSIIndicator({ period: 14 }),
+    macd: new indicators.MACDIndicator(),
+    ema: new indicators.EMATrend()
+  };
+}
+
+function feed(set, candle) {
+  const results = {};
+  for (const [name, indicator] of Object.entries(set)) {
+    results[name] = indicator.update({ high: candle.high, low: candle.low, close: candle.close, volume: candle.volume });
+  }
+  return results;
+}
+
+async function testCheckpoint(runner) {
+  console.log('\n--- IndicatorCheckpoint ---');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indicator-checkpoint-'));
+  const file = path.join(dir, 'nested', 'checkpoint.json');
+  const params = IndicatorCheckpoint.serializeAll(createSet());
+  const candles = series(START, 400, 6);
+
+  try {
+    runner.assert(
+      IndicatorCheckpoint.fingerprint({ a: 1, b: [1, 2] }) === IndicatorCheckpoint.fingerprint({ b: [1, 2], a: 1 }),
+      'Fingerprint ignores key order'
+    );
+    runner.assert(params.rsi.type === 'RSIIndicator', 'serializeAll snapshots every component');
+
+    // Previous run: 300 bars, then down
+    const before = createSet();
+    for (const candle of candles.slice(0, 300)) feed(before, candle);
+
+    const writer = new IndicatorCheckpoint({ file });
+    writer.set('XBTUSDTM', { timeframe: '15min', params, lastCandle: candles[299], state: IndicatorCheckpoint.serializeAll(before) });
+    const saved = writer.save();
+    runner.assert(saved.ok && fs.existsSync(file) && !fs.existsSync(`${file}.tmp`), 'Checkpoint written atomically');
+
+    const reader = new IndicatorCheckpoint({ file });
+    const loaded = reader.load();
+    runner.assert(loaded.ok && loaded.value === 1, 'Checkpoint loaded');
+
+    // Boot: the exchange returns the last 250 closed bars
+    const fetched = candles.slice(150, 320);
+    const resumed = reader.resume('XBTUSDTM', { timeframe: '15min', params, candles: fetched });
+    runner.assert(resumed.ok && resumed.value.replay.length === 20 && resumed.value.replay[0].ts === candles[300].ts,
+      'resume() returns the candles closed since the checkpoint');
+
+    const warm = reader.warm('XBTUSDTM', createSet, { timeframe: '15min', params, candles: fetched, feed });
+    runner.assert(warm.resumed && warm.fed === 20 && warm.reason === null, 'warm() restores and replays');
+
+    const cold = createSet();
+    for (const candle of candles.slice(0, 320)) feed(cold, candle);
+    const next = candles[320];
+    runner.assert(
+      JSON.stringify(feed(warm.components, next)) === JSON.stringify(feed(cold, next)),
+      'Warm restart gives the same values as a full warmup'
+    );
+
+    const code = result => (result.ok ? null : result.error.code);
+    runner.assert(code(reader.resume('ETHUSDTM', { timeframe: '15min', params, candles: fetched })) === 'NO_CHECKPOINT', 'Unknown key: NO_CHECKPOINT');
+    runner.assert(code(reader.resume('XBTUSDTM', { timeframe: '1hour', params, candles: fetched })) === 'TIMEFRAME_CHANGED', 'Other timeframe: TIMEFRAME_CHANGED');
+
+    const changed = IndicatorCheckpoint.serializeAll({ ...createSet(), rsi: new indicators.RSIIndicator({ period: 21 }) });
+    runner.assert(code(reader.resume('XBTUSDTM', { timeframe: '15min', params: changed, candles: fetched })) === 'PARAMS_CHANGED', 'Changed params: PARAMS_CHANGED');
+    runner.assert(code(reader.resume('XBTUSDTM', { timeframe: '15min', params, candles: candles.slice(305, 330) })) === 'GAP', 'History past the checkpoint: GAP');
+
+    const revised = fetched.map(c => (c.ts === candles[299].ts ? { ...c, close: c.close * 1.001 } : c));
+    runner.assert(code(reader.resume('XBTUSDTM', { timeframe: '15min', params, candles: revised })) === 'CANDLE_MISMATCH', 'Revised last candle: CANDLE_MISMATCH');
+
+    const fallback = reader.warm('XBTUSDTM', createSet, { timeframe: '15min', params: changed, candles: fetched, feed });
+    runner.assert(!fallback.resumed && fallback.fed === fetched.length && fallback.reason === 'PARAMS_CHANGED', 'warm() falls back to a cold warmup');
+
+    reader.entries.get('XBTUSDTM').state.macd = { type: 'MACDIndicator', version: 99, state: {} };
+    const broken = reader.warm('XBTUSDTM', createSet, { timeframe: '15min', params, candles: fetched, feed });
+    runner.assert(!broken.resumed && broken.reason === 'RESTORE_FAILED', 'Unreadable snapshot: RESTORE_FAILED, cold warmup');
+
+    // Periodic writes
+    const periodic = new IndicatorCheckpoint({ file: path.join(dir, 'periodic.json'), intervalMs: 20 });
+    let collected = 0;
+    periodic.start(cp => {
+      collected++;
+      cp.set('XBTUSDTM', { timeframe: '15min', params, lastCandle: candles[collected], state: {} });
+    });
+    await new Promise(r => setTimeout(r, 70));
+    periodic.stop();
+    const periodicReader = new IndicatorCheckpoint({ file: path.join(dir, 'periodic.json') });
+    periodicReader.load();
+    runner.assert(collected >= 2 && periodicReader.get('XBTUSDTM').lastCandle.ts === candles[collected].ts, 'start() refreshes and writes periodically');
+
+    fs.writeFileSync(file, '{ not json');
+    const corrupt = new IndicatorCheckpoint({ file }).load();
+    runner.assert(!corrupt.ok && corrupt.error.code === 'CHECKPOINT_READ_FAILED', 'Corrupt file: CHECKPOINT_READ_FAILED');
+    const missing = new IndicatorCheckpoint({ file: path.join(dir, 'none.json') }).load();
+    runner.assert(missing.ok && missing.value === 0, 'Missing file loads nothing');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+async function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('INDICATOR SNAPSHOT TEST SUITE');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    testStateSnapshot(runner);
+    testIndicators(runner);
+    testMicrostructure(runner);
+    testScreenerState(runner);
+    testSignalAgent(runner);
+    await testCheckpoint(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,355 @@
+/**
+ * Intrabar Signals Test Suite
+ *
+ * Tests forming-candle evaluation:
+ * - Indicator peek(): no state change, same result as update() on a copy
+ * - SignalGeneratorV2 marks provisional (intrabar) results
+ * - IndicatorPipeline.calculateIntrabarSeries() steps
+ * - BacktestEngine intrabar entries (earlier fill, rest-of-bar exits, busy bars skipped)
+ */
+
+const BacktestEngine = require('../src/backtest/BacktestEngine');
+const SignalGeneratorV2 = require('../src/lib/SignalGeneratorV2');
+const {
+  INDICATOR_CLASSES,
+  createIndicators,
+  calculateIndicatorSeries,
+  calculateIntrabarSeries
+} = require('../src/backtest/IndicatorPipeline');
+const { VolumeRatioIndicator, PumpAlertIndicator } = require('../src/indicators');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const MINUTE = 60 * 1000;
+const BAR = 15 * MINUTE;
+const START = 1767225600000;
+
+// Deterministic random walk of 1min candles, grouped into 15min bars
+function makeMinuteCandles(count, seed = 7) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+
+  const candles = [];
+  let price = 100;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    const close = open * (1 + (random() - 0.5) * 0.004);
+    candles.push({
+      ts: START + i * MINUTE,
+      open,
+      high: Math.max(open, close) * (1 + random() * 0.001),
+      low: Math.min(open, close) * (1 - random() * 0.001),
+      close,
+      volume: 100 + random() * 900
+    });
+    price = close;
+  }
+  return candles;
+}
+
+function aggregate(subCandles, barMs = BAR) {
+  const bars = [];
+  for (const sub of subCandles) {
+    const ts = Math.floor((sub.ts - START) / barMs) * barMs + START;
+    const bar = bars[bars.length - 1];
+    if (!bar || bar.ts !== ts) {
+      bars.push({ ts, open: sub.open, high: sub.high, low: sub.low, close: sub.close, volume: sub.volume });
+    } else {
+      bar.high = Math.max(bar.high, sub.high);
+      bar.low = Math.min(bar.low, sub.low);
+      bar.close = sub.close;
+      bar.volume += sub.volume;
+    }
+  }
+  return bars;
+}
+
+function sameJSON(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// ============================================================================
+// PEEK
+// ============================================================================
+
+function testPeek(runner) {
+  console.log('\n📋 Testing Indicator peek()...');
+
+  const bars = aggregate(makeMinuteCandles(15 * 120));
+  const forming = { high: bars[0].high * 1.01, low: bars[0].low * 0.99, close: bars[0].close * 1.005, volume: 500 };
+
+  const classes = { ...INDICATOR_CLASSES, volumeRatio: VolumeRatioIndicator, pumpAlert: PumpAlertIndicator };
+  for (const [name, Indicator] of Object.entries(classes)) {
+    const indicator = new Indicator();
+    for (const bar of bars) indicator.update({ ...bar });
+
+    const before = JSON.stringify(indicator.serialize());
+    const peeked = indicator.peek({ ...forming });
+    runner.assert(JSON.stringify(indicator.serialize()) === before, `${name}: peek() leaves state unchanged`);
+
+    const copy = new Indicator();
+    copy.restore(JSON.parse(before));
+    runner.assert(sameJSON(peeked, copy.update({ ...forming })), `${name}: peek() matches update() on a copy`);
+
+    runner.assert(sameJSON(indicator.peek({ ...forming }), peeked), `${name}: repeated peek() is stable`);
+  }
+
+  // Peeking the completed bar gives the value update() commits at the close
+  const instances = createIndicators();
+  const series = calculateIndicatorSeries(bars);
+  let matches = true;
+  bars.forEach((bar, i) => {
+    const candle = { high: bar.high, low: bar.low, close: bar.close, volume: bar.volume };
+    for (const [name, indicator] of Object.entries(instances)) {
+      if (!sameJSON(indicator.peek(candle), series[name][i])) matches = false;
+      indicator.update(candle);
+    }
+  });
+  runner.assert(matches, 'peek() of the full bar equals the closed-bar series');
+}
+
+// ============================================================================
+// SIGNAL GENERATOR
+// ============================================================================
+
+function testSignalGenerator(runner) {
+  console.log('\n📋 Testing Provisional Signals...');
+
+  const generator = new SignalGeneratorV2();
+  const indicators = {
+    rsi: { value: 25, signals: [{ type: 'bullish_divergence', direction: 'bullish', strength: 'very_strong', message: 'divergence' }] }
+  };
+
+  const closed = generator.generate(indicators);
+  runner.assert(closed.intrabar === false, 'Closed-bar signals are not intrabar');
+  runner.assert(!('barProgress' in closed), 'Closed-bar signals carry no bar progress');
+
+  const provisional = generator.generate(indicators, {}, { intrabar: true, barProgress: 0.4 });
+  runner.assert(provisional.intrabar === true, 'Intrabar option marks the signal provisional');
+  runner.assert(provisional.barProgress === 0.4, 'Bar progress carried on the signal');
+  runner.assert(provisional.indicatorScore === closed.indicatorScore, 'Scoring unchanged by the intrabar flag');
+  runner.assert(generator.getSummary(provisional).intrabar === true, 'Summary reports intrabar');
+}
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+function testIntrabarSeries(runner) {
+  console.log('\n📋 Testing Intrabar Series...');
+
+  const subs = makeMinuteCandles(15 * 40);
+  const bars = aggregate(subs);
+  const series = calculateIntrabarSeries(bars, subs);
+
+  runner.assert(series.length === bars.length, 'Series aligned with bars');
+  runner.assert(series.every(steps => steps.length === 14), 'One step per sub-candle, close excluded', `got ${series[0].length}`);
+
+  const steps = series[5];
+  runner.assertClose(steps[0].progress, 1 / 15, 1e-12, 'First step progress');
+  runner.assertClose(steps[13].progress, 14 / 15, 1e-12, 'Last step progress');
+  runner.assert(steps.every(s => s.candle.ts === bars[5].ts), 'Partial bars keep the bar open time');
+  runner.assert(steps[0].candle.open === subs[75].open, 'Partial bar opens at the first sub-candle');
+  runner.assert(steps[3].candle.close === subs[78].close, 'Partial bar closes at the latest sub-candle');
+  runner.assertClose(steps[3].candle.volume, subs.slice(75, 79).reduce((sum, c) => sum + c.volume, 0), 1e-9, 'Partial volume accumulates');
+  runner.assert(steps[3].candle.high === Math.max(...subs.slice(75, 79).map(c => c.high)), 'Partial high is the running high');
+  runner.assert(steps[3].rest.length === 11 && steps[3].rest[0] === subs[79], 'Rest holds the sub-candles still to come');
+
+  // Indicators at a step are the previous bars plus the partial bar
+  const instances = createIndicators();
+  for (const bar of bars.slice(0, 5)) {
+    for (const indicator of Object.values(instances)) indicator.update({ ...bar });
+  }
+  const partial = steps[6].candle;
+  const expected = instances.rsi.update({ high: partial.high, low: partial.low, close: partial.close, volume: partial.volume });
+  runner.assert(sameJSON(steps[6].indicators.rsi, expected), 'Step indicators match the partial-bar update');
+
+  const sparse = calculateIntrabarSeries(bars, subs.slice(0, 15));
+  runner.assert(sparse[0].length === 14 && sparse.slice(1).every(s => s.length === 0), 'Bars without sub-candles have no steps');
+}
+
+// ============================================================================
+// BACKTEST ENGINE
+// ============================================================================
+
+const BULLISH = () => ({
+  value: 25,
+  signals: [
+    { type: 'bullish_divergence', direction: 'bullish', strength: 'very_strong', message: 'divergence' },
+    { type: 'bullish_crossover', direction: 'bullish', strength: 'strong', message: 'crossover' }
+  ]
+});
+const NEUTRAL = () => ({ value: 50, signals: [] });
+const NAMES = ['rsi', 'williamsR', 'kdj', 'stochRSI', 'obv'];
+
+// Flat bars at 100 built from 15 flat 1min candles each
+function flatSubs(bars) {
+  const subs = [];
+  for (let i = 0; i < bars * 15; i++) {
+    subs.push({ ts: START + i * MINUTE, open: 100, high: 100.01, low: 99.99, close: 100, volume: 10 });
+  }
+  return subs;
+}
+
+function closedIndicators(count, bullishAt = []) {
+  const indicators = {};
+  for (const name of NAMES) {
+    indicators[name] = Array.from({ length: count }, (_, i) => (bullishAt.includes(i) ? BULLISH() : NEUTRAL()));
+  }
+  return indicators;
+}
+
+// Intrabar steps with a bullish read from `fromStep` on bar `barIndex`
+function intrabarSteps(bars, subs, barIndex, fromStep) {
+  const series = calculateIntrabarSeries(bars, subs, {});
+  return series.map((steps, i) => steps.map((step, k) => {
+    const bullish = i === barIndex && k >= fromStep;
+    const indicators = {};
+    for (const name of NAMES) indicators[name] = bullish ? BULLISH() : NEUTRAL();
+    return { ...step, indicators };
+  }));
+}
+
+function createEngine(config = {}) {
+  return new BacktestEngine({
+    initialBalance: 10000,
+    leverage: 10,
+    riskPerTrade: 1,
+    commission: 0,
+    trailingStopEnabled: false,
+    breakEvenEnabled: false,
+    ...config
+  });
+}
+
+// Default engine slippage on market entries
+const SLIP = 1.0005;
+
+const runConfig = { warmupPeriod: 5, stopLossROI: 10, takeProfitROI: 500, minSignalScore: 30, funding: null };
+
+async function testBacktestEngine(runner) {
+  console.log('\n📋 Testing BacktestEngine Intrabar Entries...');
+
+  // Price ramps up through bar 10; a close signal only fires at bar 10's close
+  const subs = flatSubs(20);
+  for (let k = 0; k < 15; k++) {
+    const sub = subs[10 * 15 + k];
+    const price = 100 + (k + 1) * 0.05;
+    Object.assign(sub, { open: price - 0.05, high: price + 0.01, low: price - 0.06, close: price });
+  }
+  for (const sub of subs.slice(11 * 15)) Object.assign(sub, { open: 100.75, high: 100.76, low: 100.74, close: 100.75 });
+  const bars = aggregate(subs);
+
+  const atClose = await createEngine().runBacktest(bars, closedIndicators(bars.length, [10]), runConfig);
+  const early = await createEngine().runBacktest(bars, closedIndicators(bars.length, [10]), {
+    ...runConfig,
+    intrabarSignals: intrabarSteps(bars, subs, 10, 3)
+  });
+
+  runner.assert(atClose.trades.length === 1 && atClose.intrabarEntries === 0, 'Close-only run enters at the bar close');
+  runner.assert(early.trades.length === 1 && early.intrabarEntries === 1, 'Intrabar run enters once, intrabar');
+
+  const closeTrade = atClose.trades[0];
+  const earlyTrade = early.trades[0];
+  runner.assertClose(closeTrade.entryPrice, 100.75 * SLIP, 1e-9, 'Close entry fills at the bar close');
+  runner.assertClose(earlyTrade.entryPrice, 100.2 * SLIP, 1e-9, 'Intrabar entry fills at the forming bar close');
+  runner.assert(earlyTrade.entryTime === bars[10].ts, 'Intrabar entry stamped with the bar open time');
+  runner.assert(earlyTrade.entrySignal && earlyTrade.entrySignal.intrabar === true, 'Entry signal marked intrabar');
+  runner.assertClose(earlyTrade.entrySignal.barProgress, 4 / 15, 1e-12, 'Entry signal records bar progress');
+  runner.assert(closeTrade.entrySignal.intrabar === false && closeTrade.entrySignal.barProgress === null, 'Close entry signal not intrabar');
+  runner.assert(earlyTrade.pnl > closeTrade.pnl, 'Earlier entry captures the rest of the move');
+
+  // Rest of the entry bar drops through the stop: exit on the same bar
+  const dropSubs = flatSubs(20);
+  for (let k = 5; k < 15; k++) Object.assign(dropSubs[10 * 15 + k], { open: 98.5, high: 98.6, low: 98.4, close: 98.5 });
+  const dropBars = aggregate(dropSubs);
+  const stopped = await createEngine().runBacktest(dropBars, closedIndicators(dropBars.length), {
+    ...runConfig,
+    intrabarSignals: intrabarSteps(dropBars, dropSubs, 10, 2)
+  });
+  const stoppedTrade = stopped.trades[0];
+  runner.assert(stoppedTrade && stoppedTrade.reason === 'stop_loss', 'Rest of the entry bar checked for the stop',
+    stoppedTrade ? stoppedTrade.reason : 'no trade');
+  runner.assert(stoppedTrade && stoppedTrade.exitTime === dropBars[10].ts, 'Stopped out on the entry bar');
+
+  // Open at bar open: no intrabar evaluation on that bar, even if the position exits
+  const busy = await createEngine().runBacktest(bars, closedIndicators(bars.length, [8]), {
+    ...runConfig,
+    stopLossROI: 1,
+    intrabarSignals: intrabarSteps(bars, subs, 9, 0)
+  });
+  runner.assert(busy.intrabarEntries === 0, 'Bars that open with a position skip intrabar entries');
+
+  // Portfolio mode reads intrabarSignals per stream
+  const portfolio = await createEngine().runPortfolioBacktest({
+    XBTUSDTM: {
+      candles: bars,
+      indicators: closedIndicators(bars.length, [10]),
+      intrabarSignals: intrabarSteps(bars, subs, 10, 3)
+    }
+  }, runConfig);
+  runner.assert(portfolio.intrabarEntries === 1, 'Portfolio run enters intrabar');
+  runner.assertClose(portfolio.trades[0].entryPrice, 100.2 * SLIP, 1e-9, 'Portfolio intrabar entry price');
+}
+
+async function runAllTests() {
+  console.log('Starting Intrabar Signals Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    testPeek(runner);
+    testSignalGenerator(runner);
+    testIntrabarSeries(runner);
+    await testBacktestEngine(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,569 @@
+/**
+ * KuCoin Simulation Server Test Suite
+ *
+ * Tests the local KuCoin Futures server end-to-end:
+ * - REST wire formats through KuCoinAdapter (contracts, ticker, book, klines, funding)
+ * - Signature checks, KuCoin error codes, rate limiting and injected faults
+ * - Orders, stops and positions matched by SimulatedExchange
+ * - WebSocket handshake, public topics and private order/position/wallet pushes
+ * - DataAgent and ScreenerEngine running against it with only a base-URL override
+ * - Replay of recorded candles
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+
+const KuCoinSimServer = require('../src/exchange/KuCoinSimServer');
+const { KuCoinAdapter } = require('../src/exchange');
+const DataAgent = require('../agents/data-agent');
+const ScreenerEngine = require('../screenerEngine');
+const screenerConfig = require('../screenerConfig');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const SYMBOL = 'XBTUSDTM';
+const MINUTE = 60 * 1000;
+const CREDENTIALS = { apiKey: 'sim-key', apiSecret: 'sim-secret', apiPassphrase: 'sim-pass', apiVersion: '2' };
+const CONTRACTS = { [SYMBOL]: { multiplier: 0.001, tickSize: 0.1, lotSize: 1, maxLeverage: 100 } };
+
+function createServer(options = {}) {
+  return new KuCoinSimServer({
+    symbols: [SYMBOL],
+    prices: { [SYMBOL]: 50000 },
+    contracts: CONTRACTS,
+    credentials: CREDENTIALS,
+    historyBars: 120,
+    seed: 7,
+    rateLimit: false,
+    ...options
+  });
+}
+
+function createAdapter(restBase, overrides = {}) {
+  return new KuCoinAdapter({ ...CREDENTIALS, baseUrl: restBase, minIntervalMs: 0, retryAttempts: 0, ...overrides });
+}
+
+async function waitFor(predicate, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeoutMs) return false;
+    await new Promise(r => setTimeout(r, 10));
+  }
+  return true;
+}
+
+function rawRequest(restBase, method, endpoint, body = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${restBase}${endpoint}`, { method, headers: { 'Content-Type': 'application/json', ...headers } }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+/**
+ * Minimal WS client recording every message
+ */
+async function connectClient(adapter, isPrivate = false) {
+  const token = await adapter.getWebSocketToken({ private: isPrivate });
+  const ws = new WebSocket(`${token.value.endpoint}&connectId=test`);
+  const messages = [];
+  ws.on('message', raw => messages.push(JSON.parse(raw.toString())));
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  await waitFor(() => messages.some(m => m.type === 'welcome'));
+
+  const subscribe = async (topic) => {
+    const id = `sub-${messages.length}-${topic}`;
+    ws.send(JSON.stringify({ id, type: 'subscribe', topic, response: true }));
+    await waitFor(() => messages.some(m => m.id === id));
+    return messages.find(m => m.id === id);
+  };
+
+  return { ws, messages, subscribe };
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+async function testRest(runner, server) {
+  console.log('\n--- REST Market Data ---');
+
+  const adapter = createAdapter(server.restBase);
+
+  const contract = await adapter.getContract(SYMBOL);
+  runner.assert(contract.ok && contract.value.multiplier === 0.001 && contract.value.tickSize === 0.1,
+    'Contract detail uses configured spec', JSON.stringify(contract));
+
+  const contracts = await adapter.getContracts();
+  runner.assert(contracts.ok && contracts.value.length === 1 && contracts.value[0].turnover24h > 0,
+    'Active contracts list with 24h turnover');
+
+  const ticker = await adapter.getTicker(SYMBOL);
+  runner.assert(ticker.ok && ticker.value.bestBid < ticker.value.bestAsk && Math.abs(ticker.value.ts - server.now) <= 1,
+    'Ticker has a crossed-free top of book and ms timestamp', JSON.stringify(ticker.value));
+
+  const book = await adapter.getOrderBook(SYMBOL, 20);
+  runner.assert(book.ok && book.value.bids.length === 20 && book.value.asks.length === 20,
+    'depth20 returns 20 levels per side');
+  runner.assert(book.value.bids.every((l, i) => i === 0 || l.price < book.value.bids[i - 1].price),
+    'Bids sorted best first');
+
+  const oneMin = await adapter.getKlines(SYMBOL, 1, { from: server.now - 30 * MINUTE, to: server.now });
+  runner.assert(oneMin.ok && oneMin.value.length === 30 && oneMin.value[29].ts === server.now - MINUTE,
+    'kline/query returns history ending at server time', `got ${oneMin.value?.length}`);
+
+  const bars = server.getBars(SYMBOL);
+  const first = oneMin.value[0];
+  const source = bars.find(b => b.ts === first.ts);
+  runner.assert(source && first.open === source.open && first.high === source.high && first.close === source.close,
+    'Kline rows map to [ts, open, high, low, close, volume]');
+
+  const five = await adapter.getKlines(SYMBOL, 5, { from: server.now - 60 * MINUTE, to: server.now });
+  const bucket = five.value[0];
+  const members = bars.filter(b => b.ts >= bucket.ts && b.ts < bucket.ts + 5 * MINUTE);
+  runner.assert(five.ok && bucket.ts % (5 * MINUTE) === 0 && bucket.high === Math.max(...members.map(b => b.high)),
+    '5min klines are aggregated from 1min bars');
+
+  const funding = await adapter.getFundingRate(SYMBOL);
+  runner.assert(funding.ok && funding.value.rate === 0.0001 && funding.value.nextFundingTime > server.now,
+    'Funding rate with next settlement time');
+
+  const time = await adapter.getServerTime();
+  runner.assert(time.ok && Math.abs(time.value - Date.now()) < 5000, 'Server timestamp');
+
+  const unknown = await adapter.getTicker('NOPEUSDTM');
+  runner.assert(!unknown.ok && unknown.error.code === '400100', 'Unknown contract -> 400100');
+
+  const missing = await adapter.request('GET', '/api/v1/nope', null, { auth: false });
+  runner.assert(!missing.ok && missing.error.code === '404000' && missing.error.status === 404, 'Unknown URL -> 404000');
+}
+
+async function testAuth(runner, server) {
+  console.log('\n--- Signatures and Errors ---');
+
+  const good = await createAdapter(server.restBase).getBalance();
+  runner.assert(good.ok && good.value.available === 10000, 'Signed request accepted', JSON.stringify(good.error || {}));
+
+  const noHeaders = await rawRequest(server.restBase, 'GET', '/api/v1/account-overview');
+  runner.assert(noHeaders.status === 401 && noHeaders.body.code === '400001', 'Missing headers -> 400001');
+
+  const wrongKey = await createAdapter(server.restBase, { apiKey: 'other' }).getBalance();
+  runner.assert(!wrongKey.ok && wrongKey.error.code === '400003', 'Unknown key -> 400003');
+
+  const stale = await createAdapter(server.restBase, { clock: () => Date.now() - 60000 }).getBalance();
+  runner.assert(!stale.ok && stale.error.code === '400002', 'Stale timestamp -> 400002');
+
+  const passphrase = await createAdapter(server.restBase, { apiPassphrase: 'wrong' }).getBalance();
+  runner.assert(!passphrase.ok && passphrase.error.code === '400004', 'Bad passphrase -> 400004');
+
+  // v1 keys send the passphrase in clear, so only the signature is wrong
+  const badSign = await createAdapter(server.restBase, { apiVersion: '1', apiSecret: 'forged' }).getBalance();
+  runner.assert(!badSign.ok && badSign.error.code === '400005', 'Forged secret -> 400005');
+
+  const sign = await rawRequest(server.restBase, 'GET', '/api/v1/account-overview', null, {
+    ...createAdapter(server.restBase).signHeaders('GET', '/api/v1/account-overview?currency=USDT'),
+    'Content-Type': 'application/json'
+  });
+  runner.assert(sign.status === 401 && sign.body.code === '400005', 'Signature over a different path -> 400005');
+}
+
+async function testLimits(runner) {
+  console.log('\n--- Rate Limits and Faults ---');
+
+  const limited = createServer({ rateLimit: { capacity: 3, refillPerSec: 0.01 } });
+  await limited.start();
+  try {
+    const adapter = createAdapter(limited.restBase);
+    const results = [];
+    for (let i = 0; i < 4; i++) results.push(await adapter.getTicker(SYMBOL));
+
+    runner.assert(results.slice(0, 3).every(r => r.ok), 'Requests within the bucket succeed');
+    runner.assert(!results[3].ok && results[3].error.code === '429000' && results[3].error.status === 429,
+      'Exhausted bucket -> HTTP 429 / 429000');
+    runner.assert(limited.stats.rejected === 1, 'Rejections counted');
+  } finally {
+    await limited.stop();
+  }
+
+  const flaky = createServer();
+  await flaky.start();
+  try {
+    flaky.injectFault({ path: '/api/v1/ticker', status: 503, code: '503000', msg: 'Service Unavailable', times: 2 });
+    const retries = [];
+    const adapter = createAdapter(flaky.restBase, {
+      retryAttempts: 2,
+      retryDelayMs: 1,
+      onRetry: (attempt) => retries.push(attempt)
+    });
+    const ticker = await adapter.getTicker(SYMBOL);
+    runner.assert(ticker.ok && retries.length === 2, 'Injected 503s are retried by the adapter', JSON.stringify(retries));
+
+    flaky.injectFault({ method: 'POST', path: '/api/v1/orders', status: 200, code: '300003', msg: 'Balance insufficient' });
+    const order = await adapter.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'market', size: 1 });
+    runner.assert(!order.ok && order.error.code === '300003', 'Injected business error surfaces its code');
+  } finally {
+    await flaky.stop();
+  }
+}
+
+async function testOrders(runner, server) {
+  console.log('\n--- Orders, Stops and Positions ---');
+
+  const adapter = createAdapter(server.restBase);
+  await adapter.setLeverage(SYMBOL, 10);
+  const price = (await adapter.getTicker(SYMBOL)).value.price;
+
+  const entry = await adapter.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'market', size: 100 });
+  runner.assert(entry.ok && entry.value.orderId, 'Market order accepted', JSON.stringify(entry.error || {}));
+
+  const detail = await adapter.getOrder(entry.value.orderId);
+  runner.assert(detail.ok && detail.value.status === 'done' && detail.value.filledSize === 100,
+    'Order detail reports the fill');
+
+  const byClientOid = await adapter.getOrderByClientOid(detail.value.clientOid);
+  const unknownOid = await adapter.getOrderByClientOid('never-sent');
+  runner.assert(byClientOid.ok && byClientOid.value.orderId === entry.value.orderId && unknownOid.ok && unknownOid.value === null,
+    'Orders can be looked up by clientOid');
+
+  const pos = await adapter.getPosition(SYMBOL);
+  runner.assert(pos.ok && pos.value.side === 'long' && pos.value.size === 100 && pos.value.leverage === 10,
+    'Position opened with requested leverage', JSON.stringify(pos.value));
+  runner.assertClose(pos.value.entryPrice, price, price * 0.002, 'Entry near last price');
+
+  const positions = await adapter.getPositions();
+  runner.assert(positions.ok && positions.value.length === 1, 'Positions list');
+
+  const limit = await adapter.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'limit', size: 10, price: Math.round(price * 0.5) });
+  const open = await adapter.getOpenOrders(SYMBOL);
+  runner.assert(limit.ok && open.value.length === 1 && open.value[0].orderId === limit.value.orderId,
+    'Resting limit listed as active');
+
+  const cancel = await adapter.cancelOrder(limit.value.orderId);
+  runner.assert(cancel.ok && (await adapter.getOpenOrders(SYMBOL)).value.length === 0, 'Cancel by id');
+
+  const again = await adapter.cancelOrder(limit.value.orderId);
+  runner.assert(!again.ok && again.error.code === '100004', 'Cancelling a dead order -> 100004');
+
+  const tp = await adapter.placeStopOrder({ symbol: SYMBOL, side: 'sell', type: 'market', size: 100, stop: 'up', stopPrice: price * 2 });
+  const sl = await adapter.placeStopOrder({ symbol: SYMBOL, side: 'sell', type: 'market', size: 100, stop: 'down', stopPrice: price * 1.5 });
+  const stops = await adapter.getStopOrders(SYMBOL);
+  runner.assert(tp.ok && sl.ok && stops.value.length === 2 && stops.value.every(s => s.reduceOnly),
+    'Stop orders listed via /api/v1/stopOrders');
+
+  const cancelTp = await adapter.cancelStopOrder(tp.value.orderId);
+  runner.assert(cancelTp.ok && (await adapter.getStopOrders(SYMBOL)).value.length === 1, 'Cancel single stop');
+
+  // A stop above the market triggers on the next bar
+  server.step();
+  const flat = await adapter.getPosition(SYMBOL);
+  runner.assert(flat.ok && flat.value === null, 'Triggered stop closes the position on step()', JSON.stringify(flat.value));
+
+  const huge = await adapter.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'market', size: 1e7 });
+  runner.assert(!huge.ok && huge.error.code === '300003', 'Oversized order -> 300003 balance insufficient');
+
+  const noClientOid = await rawRequest(server.restBase, 'POST', '/api/v1/orders', null, {});
+  runner.assert(noClientOid.status === 401, 'Unsigned order rejected');
+
+  const body = { symbol: SYMBOL, side: 'buy', type: 'market', size: 1 };
+  const headers = createAdapter(server.restBase).signHeaders('POST', '/api/v1/orders', JSON.stringify(body));
+  const invalid = await rawRequest(server.restBase, 'POST', '/api/v1/orders', body, headers);
+  runner.assert(invalid.status === 400 && invalid.body.code === '400100', 'Missing clientOid -> 400100');
+
+  await adapter.placeStopOrder({ symbol: SYMBOL, side: 'sell', type: 'market', size: 1, stop: 'down', stopPrice: 1 });
+  const cleared = await adapter.cancelAllStopOrders(SYMBOL);
+  runner.assert(cleared.ok && (await adapter.getStopOrders(SYMBOL)).value.length === 0, 'Cancel all stops');
+}
+
+async function testWebSocket(runner, server) {
+  console.log('\n--- WebSocket Feed ---');
+
+  const adapter = createAdapter(server.restBase);
+
+  const rejected = new WebSocket(`${server.wsEndpoint}?token=bogus`);
+  const rejection = await new Promise(resolve => {
+    const seen = [];
+    rejected.on('message', raw => seen.push(JSON.parse(raw.toString())));
+    rejected.on('close', code => resolve({ code, seen }));
+  });
+  runner.assert(rejection.code === 4001 && rejection.seen[0].type === 'error', 'Unknown token is refused');
+
+  const pub = await connectClient(adapter);
+  runner.assert(pub.messages[0].type === 'welcome' && pub.messages[0].id === 'test', 'Welcome echoes connectId');
+
+  pub.ws.send(JSON.stringify({ id: 'p1', type: 'ping' }));
+  await waitFor(() => pub.messages.some(m => m.type === 'pong'));
+  runner.assert(pub.messages.some(m => m.type === 'pong' && m.id === 'p1'), 'Ping answered with pong');
+
+  const ack = await pub.subscribe(`/contractMarket/limitCandle:${SYMBOL}_1min,${SYMBOL}_5min`);
+  runner.assert(ack.type === 'ack', 'Multi-symbol topic subscription acknowledged');
+  await pub.subscribe(`/contractMarket/tickerV2:${SYMBOL}`);
+  await pub.subscribe(`/contractMarket/execution:${SYMBOL}`);
+  await pub.subscribe(`/contractMarket/level2:${SYMBOL}`);
+  await pub.subscribe(`/contract/instrument:${SYMBOL}`);
+
+  const denied = await pub.subscribe('/contractMarket/tradeOrders');
+  runner.assert(denied.type === 'error' && denied.code === 401, 'Private topic needs a private token');
+
+  const unknown = await pub.subscribe('/contractMarket/nope:XBTUSDTM');
+  runner.assert(unknown.type === 'error' && unknown.code === 404, 'Unknown topic -> 404');
+
+  const priv = await connectClient(adapter, true);
+  await priv.subscribe('/contractMarket/tradeOrders');
+  await priv.subscribe(`/contract/position:${SYMBOL}`);
+  await priv.subscribe('/contractAccount/wallet');
+
+  const before = pub.messages.length;
+  server.step();
+  const bar = server.getBars(SYMBOL).slice(-1)[0];
+  await waitFor(() => pub.messages.some((m, i) => i >= before && m.subject === 'funding.rate'));
+  const fresh = pub.messages.slice(before).filter(m => m.type === 'message');
+
+  const candles = fresh.filter(m => m.topic === `/contractMarket/limitCandle:${SYMBOL}_1min`);
+  const parsed = candles.map(m => KuCoinAdapter.parseWsCandle(m.data));
+  runner.assert(candles.length === 2 && candles[0].subject === 'candle.stick', 'Closed bar and next bar open pushed',
+    `got ${candles.length}`);
+  runner.assert(parsed[0].ts === bar.ts && parsed[0].open === bar.open && parsed[0].high === bar.high &&
+    parsed[0].low === bar.low && parsed[0].close === bar.close, 'limitCandle uses [start, open, close, high, low, ...]');
+  runner.assert(parsed[1].ts === bar.ts + MINUTE && parsed[1].open === bar.close, 'Next candle opens at the close');
+
+  const ticker = fresh.find(m => m.subject === 'tickerV2');
+  runner.assert(ticker && +ticker.data.bestBidPrice < +ticker.data.bestAskPrice && ticker.data.ts > 1e18,
+    'tickerV2 with best bid/ask and ns timestamp');
+
+  const trades = fresh.filter(m => m.subject === 'match');
+  runner.assert(trades.length === 4 && trades.every(t => +t.data.price >= bar.low && +t.data.price <= bar.high),
+    'Execution prints inside the bar range');
+  runner.assert(+trades[trades.length - 1].data.price === bar.close, 'Last print at the close');
+
+  const level2 = fresh.filter(m => m.subject === 'level2');
+  runner.assert(level2.length > 0 && level2.every((m, i) => i === 0 || m.data.sequence === level2[i - 1].data.sequence + 1),
+    'level2 changes carry consecutive sequences');
+  runner.assert(/^[\d.]+,(buy|sell),\d+$/.test(level2[0].data.change), 'level2 change is "price,side,size"');
+  const snapshot = await adapter.request('GET', `/api/v1/level2/snapshot?symbol=${SYMBOL}`, null, { auth: false });
+  runner.assert(snapshot.value.sequence === level2[level2.length - 1].data.sequence, 'Snapshot sequence matches last change');
+
+  runner.assert(fresh.some(m => m.subject === 'mark.index.price') && fresh.some(m => m.subject === 'funding.rate'),
+    'Instrument mark/index and funding pushed');
+
+  const marketData = fresh.map(m => KuCoinAdapter.parseWsMarketData(m)).filter(Boolean);
+  const journaledTypes = new Set(marketData.map(m => m.type));
+  runner.assert(['TICKER', 'BOOK', 'FUNDING'].every(t => journaledTypes.has(t)) && journaledTypes.size === 3 &&
+    marketData.every(m => m.symbol === SYMBOL),
+  'Ticker, level2 and funding pushes classify as journal market data', JSON.stringify([...journaledTypes]));
+
+  const fiveMin = fresh.filter(m => m.topic === `/contractMarket/limitCandle:${SYMBOL}_5min`);
+  runner.assert(fiveMin.length >= 1, '5min candle updates pushed every step');
+
+  // Private channel
+  const privateBefore = priv.messages.length;
+  await adapter.placeOrder({ symbol: SYMBOL, side: 'sell', type: 'market', size: 5 });
+  await waitFor(() => priv.messages.slice(privateBefore).some(m => m.subject === 'availableBalance.change'));
+  const pushed = priv.messages.slice(privateBefore);
+  const changes = pushed.filter(m => m.subject === 'orderChange');
+
+  runner.assert(changes.some(m => m.data.type === 'match') && changes.some(m => m.data.type === 'filled'),
+    'orderChange match and filled pushed', JSON.stringify(changes.map(m => m.data.type)));
+  runner.assert(changes.every(m => m.channelType === 'private'), 'Private messages flagged');
+  const position = pushed.find(m => m.subject === 'position.change');
+  runner.assert(position && position.data.currentQty === -5, 'position.change carries signed quantity');
+  runner.assert(pushed.some(m => m.subject === 'availableBalance.change' && +m.data.availableBalance < 10000),
+    'Wallet balance pushed after fill');
+
+  await adapter.placeOrder({ symbol: SYMBOL, side: 'buy', type: 'market', size: 5, reduceOnly: true });
+
+  pub.ws.send(JSON.stringify({ id: 'u1', type: 'unsubscribe', topic: `/contractMarket/tickerV2:${SYMBOL}`, response: true }));
+  await waitFor(() => pub.messages.some(m => m.id === 'u1'));
+  const afterUnsub = pub.messages.length;
+  server.step();
+  await waitFor(() => pub.messages.slice(afterUnsub).some(m => m.subject === 'funding.rate'));
+  runner.assert(!pub.messages.slice(afterUnsub).some(m => m.subject === 'tickerV2'), 'Unsubscribe stops the topic');
+
+  pub.ws.close();
+  priv.ws.close();
+}
+
+async function testDataAgent(runner, server) {
+  console.log('\n--- DataAgent End-to-End ---');
+
+  const agent = new DataAgent({ baseUrl: server.restBase });
+  const candles = [];
+  agent.on('candle', event => candles.push(event));
+
+  const history = await agent.fetchCandles(SYMBOL, '1min', 50);
+  runner.assert(history.ok && history.value.length >= 49, 'DataAgent REST history from the simulator',
+    `got ${history.value?.length}`);
+
+  const connected = await agent.connectWebSocket();
+  runner.assert(connected.ok, 'DataAgent WebSocket connects via bullet-public', JSON.stringify(connected.error || {}));
+
+  agent.subscribeCandles(SYMBOL, '1min');
+  agent.subscribeTicker(SYMBOL);
+  await new Promise(r => setTimeout(r, 50));
+
+  server.step(3);
+  await waitFor(() => candles.length >= 6 && agent.getTicker(SYMBOL));
+  const bars = server.getBars(SYMBOL).slice(-3);
+
+  runner.assert(candles.length === 6 && candles[0].candle.ts === bars[0].ts && candles[0].candle.close === bars[0].close,
+    'DataAgent parses limitCandle pushes', `got ${candles.length}`);
+
+  const buffer = agent.candleBuffers.get(`${SYMBOL}:1min`);
+  const last = buffer[buffer.length - 1];
+  runner.assert(last.ts === server.now && buffer[buffer.length - 2].close === bars[2].close,
+    'Candle buffer updates the forming bar in place');
+
+  const ticker = agent.getTicker(SYMBOL);
+  runner.assert(ticker && ticker.price > ticker.bestBid && ticker.price < ticker.bestAsk, 'tickerV2 mid used as price');
+
+  await agent.cleanup();
+}
+
+async function testScreener(runner, server) {
+  console.log('\n--- ScreenerEngine End-to-End ---');
+
+  const screener = new ScreenerEngine({
+    ...screenerConfig,
+    symbols: [SYMBOL],
+    primaryTimeframe: '1min',
+    secondaryTimeframe: '5min',
+    restBase: server.restBase
+  });
+
+  await screener.start();
+  runner.assert(screener.connected && screener.wsEndpoint.startsWith(server.wsEndpoint),
+    'Screener connects with only restBase overridden');
+  await new Promise(r => setTimeout(r, 50));
+
+  server.step(12);
+  await waitFor(() => screener.candleBuffers[SYMBOL]['1min'].length >= 12);
+
+  const primary = screener.candleBuffers[SYMBOL]['1min'];
+  const bars = server.getBars(SYMBOL).slice(-12);
+  runner.assert(primary.length === 12 && primary.every((c, i) => c.ts === bars[i].ts && c.close === bars[i].close),
+    'Screener buffers one closed candle per bar', `got ${primary.length}`);
+
+  const secondary = screener.candleBuffers[SYMBOL]['5min'];
+  runner.assert(secondary.length >= 2 && secondary.every(c => c.ts % (5 * MINUTE) === 0),
+    'Screener 5min buffer holds closed buckets only', `got ${secondary.length}`);
+  runner.assert(screener.indicators[SYMBOL]['1min'].rsi.getResult() !== undefined, 'Indicators fed from the stream');
+
+  await screener.stop();
+}
+
+async function testReplay(runner) {
+  console.log('\n--- Recorded Data Replay ---');
+
+  const recorded = Array.from({ length: 30 }, (_, i) => ({
+    ts: 1700000000000 + i * 15 * MINUTE,
+    open: 100 + i, high: 101 + i, low: 99 + i, close: 100.5 + i, volume: 10 + i
+  }));
+  const server = new KuCoinSimServer({
+    candles: { ETHUSDTM: recorded },
+    intervalMs: 15 * MINUTE,
+    historyBars: 20,
+    startTime: 1800000000000 - (1800000000000 % (15 * MINUTE)),
+    rateLimit: false
+  });
+  await server.start();
+
+  try {
+    runner.assert(server.symbols.length === 1 && server.symbols[0] === 'ETHUSDTM', 'Symbols default to recorded set');
+
+    const adapter = createAdapter(server.restBase);
+    const history = await adapter.getKlines('ETHUSDTM', 15, { from: 0, to: server.now });
+    runner.assert(history.value.length === 20 && history.value[19].ts === server.startTime - 15 * MINUTE &&
+      history.value[19].close === recorded[19].close, 'Recorded history re-timed to end at start time');
+
+    server.step(2);
+    const bars = server.getBars('ETHUSDTM').slice(-2);
+    runner.assert(bars[0].open === recorded[20].open && bars[1].close === recorded[21].close &&
+      bars[1].ts === server.startTime + 15 * MINUTE, 'step() replays the next recorded bars');
+
+    server.step(20);
+    const tail = server.getBars('ETHUSDTM');
+    runner.assert(tail.length === 42 && tail[tail.length - 1].close > 0, 'Synthetic walk continues after the recording');
+
+    const hourly = await adapter.getKlines('ETHUSDTM', 60, { from: server.startTime, to: server.now });
+    runner.assert(hourly.ok && hourly.value.every(c => c.ts % (60 * MINUTE) === 0), 'Hourly klines resampled from 15min');
+
+    const tooFine = await adapter.getKlines('ETHUSDTM', 1, { from: server.startTime, to: server.now });
+    runner.assert(!tooFine.ok && tooFine.error.code === '400100', 'Granularity below the bar length -> 400100');
+  } finally {
+    await server.stop();
+  }
+}
+
+async function runAllTests() {
+  console.log('Starting KuCoin Simulation Server Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const server = createServer();
+
+  try {
+    await server.start();
+    await testRest(runner, server);
+    await testAuth(runner, server);
+    await testLimits(runner);
+    await testOrders(runner, server);
+    await testWebSocket(runner, server);
+    await testDataAgent(runner, server);
+    await testScreener(runner, server);
+    await testReplay(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    await server.stop();
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,317 @@
+/**
+ * Live Optimizer Test Suite
+ *
+ * Tests the unified StrategyRouter and OptimizerEngine:
+ * - One router over the shared profile registry (switches/signalProfiles)
+ * - Real Sharpe / drawdown from recorded trades, Welch t-test significance
+ * - Shadow paper engines fed the live updates, one per profile
+ * - Profile switches gated on significance and switchCooldown, applied via ConfigService
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+
+const StrategyRouter = require('../switches/strategyRouter');
+const LegacyRouter = require('../strategy/strategyRouter');
+const OptimizerEngine = require('../src/optimizer/optimizerEngine');
+const OptimizerScoring = require('../src/optimizer/optimizerScoring');
+const ConfigService = require('../src/config/ConfigService');
+const SignalGeneratorV2 = require('../src/lib/SignalGeneratorV2');
+const TradingEngineV3 = require('../src/trading/TradingEngineV3');
+const { listProfiles, resolveWeights } = require('../src/lib/SignalScoring');
+const aggressive = require('../switches/signalProfiles/aggressive');
+const balanced = require('../switches/signalProfiles/balanced');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const START = Date.UTC(2026, 3, 1);
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Alternating win/loss trades closed over the hour before `now`
+ */
+function recordPattern(optimizer, profile, now, count, win, loss) {
+  for (let i = 0; i < count; i++) {
+    optimizer.recordTrade(profile, { realizedPnl: i % 2 === 0 ? win : -loss, exitTime: now - (count - i) * 60000 });
+  }
+}
+
+class FakeShadow extends EventEmitter {
+  constructor(profile) {
+    super();
+    this.profile = profile;
+    this.updates = [];
+    this.running = false;
+  }
+
+  start() { this.running = true; }
+  stop() { this.running = false; }
+
+  async processUpdate(symbol, data) {
+    this.updates.push(symbol);
+    if (data.closeTrade) {
+      this.emit('positionClosed', { symbol, realizedPnl: data.closeTrade[this.profile] || 0, exitTime: data.time });
+    }
+    return null;
+  }
+}
+
+// ============================================================================
+// ROUTER
+// ============================================================================
+
+function testRouter(runner) {
+  console.log('\n--- Unified Router ---');
+
+  runner.assert(LegacyRouter === StrategyRouter, 'strategy/strategyRouter is the same router');
+
+  const router = new StrategyRouter();
+  runner.assert(router.listProfiles().join() === listProfiles().join(), 'Router registry is the shared profile registry',
+    router.listProfiles().join());
+  runner.assert(router.activeProfile === router.activeStrategy && router.activeProfile === 'neutral', 'activeProfile mirrors activeStrategy');
+
+  let changed = null;
+  router.on('strategyChanged', event => { changed = event; });
+  runner.assert(router.switchProfile('balanced') === true && router.activeStrategy === 'balanced', 'switchProfile switches the active strategy');
+  runner.assert(changed && changed.strategy === 'balanced' && changed.previous === 'neutral', 'Switch emits strategyChanged with the previous profile');
+  runner.assert(router.switchProfile('moonshot') === false && router.activeProfile === 'balanced', 'Unknown profile rejected');
+  runner.assert(router.getProfile('scalping').name === 'scalping' && router.getProfile('moonshot') === null, 'getProfile by name');
+
+  const generator = new SignalGeneratorV2();
+  router.applyProfile(generator);
+  runner.assert(generator.indicatorWeights.rsi.max === balanced.weights.rsi.max, 'applyProfile sets SignalGeneratorV2 weights',
+    `${generator.indicatorWeights.rsi.max}`);
+
+  const engine = new TradingEngineV3({ mode: 'paper', logDir: path.join(os.tmpdir(), 'router-engine-unused'), journal: false });
+  router.switchProfile('aggressive');
+  router.applyProfile(engine);
+  runner.assert(engine.signalGenerator.indicatorWeights.rsi.max === aggressive.weights.rsi, 'applyProfile updates a TradingEngineV3');
+  fs.rmSync(path.join(os.tmpdir(), 'router-engine-unused'), { recursive: true, force: true });
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+function testStatistics(runner) {
+  console.log('\n--- Trade Statistics ---');
+
+  const metrics = OptimizerScoring.tradeMetrics([{ profit: 100 }, { profit: -200 }, { profit: 50 }], { initialBalance: 1000 });
+  runner.assertClose(metrics.winRate, 2 / 3, 1e-12, 'Win rate');
+  runner.assertClose(metrics.profitFactor, 150 / 200, 1e-12, 'Profit factor');
+  runner.assertClose(metrics.maxDrawdown, 200 / 1100, 1e-12, 'Max drawdown from the equity peak');
+  runner.assertClose(metrics.totalReturn, -0.05, 1e-12, 'Total return');
+  runner.assertClose(metrics.returns[1], -200 / 1100, 1e-12, 'Returns relative to equity before the trade');
+
+  const r = metrics.returns;
+  const mean = (r[0] + r[1] + r[2]) / 3;
+  const sd = Math.sqrt(r.reduce((s, v) => s + (v - mean) ** 2, 0) / 2);
+  runner.assertClose(metrics.sharpeRatio, mean / sd, 1e-12, 'Per-trade Sharpe without a period');
+  const annual = OptimizerScoring.tradeMetrics([{ profit: 100 }, { profit: -200 }, { profit: 50 }],
+    { initialBalance: 1000, periodMs: 365 * 24 * HOUR });
+  runner.assertClose(annual.sharpeRatio, (mean / sd) * Math.sqrt(3), 1e-12, 'Sharpe annualized by trade rate');
+  runner.assert(OptimizerScoring.tradeMetrics([{ profit: 10 }, { profit: 5 }]).profitFactor === Infinity, 'No losses gives infinite profit factor');
+
+  runner.assertClose(OptimizerScoring.studentTCdf(1, 1), 0.75, 1e-9, 't CDF (df=1)');
+  runner.assertClose(OptimizerScoring.studentTCdf(2.086, 20), 0.975, 1e-4, 't CDF (df=20, 97.5%)');
+  runner.assertClose(OptimizerScoring.studentTCdf(-3, 3), 1 - 0.97117, 1e-5, 't CDF lower tail');
+
+  const test = OptimizerScoring.welchTTest([3, 4, 5, 6, 7], [1, 2, 3, 4, 5]);
+  runner.assertClose(test.t, 2, 1e-12, 'Welch t statistic');
+  runner.assertClose(test.pValue, 0.04026, 1e-5, 'Welch one-sided p-value');
+  runner.assert(OptimizerScoring.welchTTest([1], [2, 3]).pValue === 1, 'Too few samples is never significant');
+}
+
+// ============================================================================
+// OPTIMIZER
+// ============================================================================
+
+function testEvaluation(runner) {
+  console.log('\n--- Evaluation and Switching ---');
+
+  const clockRef = { now: START };
+  const clock = () => clockRef.now;
+  const optimizer = new OptimizerEngine({ autoSwitch: true, clock, router: new StrategyRouter() });
+
+  recordPattern(optimizer, 'neutral', START, 10, 20, 25);
+  runner.assert(optimizer.evaluateProfile('neutral') === null, 'Too few trades gives no score');
+
+  recordPattern(optimizer, 'neutral', START, 30, 20, 25);
+  const stats = optimizer.getProfileStats('neutral');
+  runner.assert(stats.trades === 40 && stats.sharpeRatio < 0 && stats.maxDrawdown > 0, 'Real Sharpe and drawdown computed',
+    JSON.stringify({ sharpe: stats.sharpeRatio, dd: stats.maxDrawdown }));
+
+  // Marginally better profile: not enough evidence to switch
+  recordPattern(optimizer, 'balanced', START, 40, 21, 25);
+  let result = optimizer.evaluateProfiles();
+  runner.assert(result.scores[0].profile === 'balanced', 'Better profile ranks first');
+  runner.assert(!result.decision.switched && result.decision.pValue > 0.05 && optimizer.router.activeProfile === 'neutral',
+    'Insignificant improvement does not switch', result.decision.reason);
+
+  // Clearly better profile switches
+  recordPattern(optimizer, 'aggressive', START, 40, 60, 20);
+  let switched = null;
+  optimizer.on('profileSwitched', event => { switched = event; });
+  result = optimizer.evaluateProfiles();
+  runner.assert(result.decision.switched && result.decision.pValue < 0.05 && optimizer.router.activeProfile === 'aggressive',
+    'Significant improvement switches the profile', result.decision.reason);
+  runner.assert(switched && switched.from === 'neutral' && switched.to === 'aggressive', 'Switch emits profileSwitched');
+
+  // An even better profile during the cooldown waits
+  recordPattern(optimizer, 'scalping', START, 40, 200, 5);
+  result = optimizer.evaluateProfiles();
+  runner.assert(!result.decision.switched && result.decision.reason.includes('cooldown') && optimizer.router.activeProfile === 'aggressive',
+    'Switch blocked during switchCooldown', result.decision.reason);
+
+  clockRef.now = START + optimizer.config.switchCooldown;
+  result = optimizer.evaluateProfiles();
+  runner.assert(result.decision.switched && optimizer.router.activeProfile === 'scalping', 'Switch allowed after the cooldown');
+
+  // Trades age out of the evaluation window
+  clockRef.now = START + optimizer.config.evaluationWindow + HOUR;
+  runner.assert(optimizer.evaluateProfile('scalping') === null && optimizer.metrics.get('scalping').trades.length === 0,
+    'Trades outside the evaluation window dropped');
+
+  const manual = new OptimizerEngine({ clock, router: new StrategyRouter() });
+  recordPattern(manual, 'aggressive', clockRef.now, 40, 60, 20);
+  recordPattern(manual, 'neutral', clockRef.now, 40, 20, 25);
+  result = manual.evaluateProfiles();
+  runner.assert(result.decision === null && manual.router.activeProfile === 'neutral', 'No switching without autoSwitch');
+}
+
+async function testShadows(runner, dir) {
+  console.log('\n--- Shadow Evaluation ---');
+
+  const clockRef = { now: START };
+  const shadows = new Map();
+  const optimizer = new OptimizerEngine({
+    enabled: true,
+    clock: () => clockRef.now,
+    router: new StrategyRouter(),
+    createShadowEngine: profile => {
+      const shadow = new FakeShadow(profile);
+      shadows.set(profile, shadow);
+      return shadow;
+    }
+  });
+
+  optimizer.start();
+  runner.assert(shadows.size === listProfiles().length && [...shadows.values()].every(s => s.running), 'One running shadow per profile');
+
+  await optimizer.processUpdate('XBTUSDTM', { candle: {}, indicators: {} });
+  runner.assert([...shadows.values()].every(s => s.updates.length === 1), 'Every shadow receives the live update');
+
+  await optimizer.processUpdate('XBTUSDTM', { candle: {}, indicators: {}, time: START, closeTrade: { aggressive: 40, neutral: -10 } });
+  runner.assert(optimizer.metrics.get('aggressive').trades[0].profit === 40 && optimizer.metrics.get('neutral').trades[0].profit === -10,
+    'Shadow trades recorded under their profile');
+
+  optimizer.stop();
+  runner.assert([...shadows.values()].every(s => !s.running) && optimizer.shadows.size === 0, 'Stop stops the shadows');
+
+  // Default shadows are paper engines scoring with their profile
+  const real = new OptimizerEngine({ enabled: true, router: new StrategyRouter(), shadowLogDir: path.join(dir, 'shadow') });
+  real.start();
+  const shadow = real.shadows.get('aggressive');
+  runner.assert(shadow instanceof TradingEngineV3 && shadow.mode === 'paper' && shadow.isRunning, 'Default shadow is a running paper TradingEngineV3');
+  runner.assert(shadow.signalGenerator.indicatorWeights.rsi.max === aggressive.weights.rsi, 'Shadow scores with its profile weights');
+  const processed = await real.processUpdate('XBTUSDTM', { candle: { close: 100, high: 101, low: 99 }, indicators: {} });
+  runner.assert(processed === undefined && real.shadows.get('neutral').signals.has('XBTUSDTM'), 'Shadows process the live update');
+  real.stop();
+}
+
+function testConfigServiceSwitch(runner, dir) {
+  console.log('\n--- Switching Through ConfigService ---');
+
+  const service = new ConfigService({ historyFile: path.join(dir, 'config-versions.jsonl'), watch: false });
+  service.start();
+  const live = new SignalGeneratorV2();
+  service.attach(live);
+
+  const clockRef = { now: START };
+  const optimizer = new OptimizerEngine({ autoSwitch: true, clock: () => clockRef.now, router: new StrategyRouter(), configService: service });
+  recordPattern(optimizer, 'neutral', START, 40, 20, 25);
+  recordPattern(optimizer, 'aggressive', START, 40, 60, 20);
+  const result = optimizer.evaluateProfiles();
+
+  const version = service.getCurrent();
+  runner.assert(result.decision.switched && version.profile === 'aggressive', 'Switch recorded as a config version');
+  runner.assert(version.author === 'optimizer' && version.reason.includes('outperforms neutral'), 'Version records the optimizer and why');
+  runner.assert(live.indicatorWeights.rsi.max === resolveWeights('aggressive').indicators.rsi.maxWeight,
+    'Attached live generator switched');
+
+  // A rejected update leaves the router where it was
+  const rejecting = new OptimizerEngine({
+    clock: () => clockRef.now,
+    router: new StrategyRouter(),
+    configService: { getCurrent: () => null, update: () => ({ ok: false, error: { message: 'nope' } }) }
+  });
+  runner.assert(rejecting.switchProfile('aggressive') === false && rejecting.router.activeProfile === 'neutral' && rejecting.lastSwitch === null,
+    'Rejected config update does not switch');
+
+  service.stop();
+}
+
+async function runAllTests() {
+  console.log('Starting Live Optimizer Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'live-optimizer-'));
+
+  try {
+    testRouter(runner);
+    testStatistics(runner);
+    testEvaluation(runner);
+    await testShadows(runner, dir);
+    testConfigServiceSwitch(runner, dir);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,303 @@
+/**
+ * Live Recorder / Replay Test Suite
+ *
+ * Tests microstructure recording and replay:
+ * - OrderBook snapshot + sequence-checked changes
+ * - KuCoin message normalization and gzip rotation
+ * - Replay into analyzers with event-time clocks
+ * - Candle-aligned series consumed by BacktestEngine
+ * - Truncated (crashed) recordings
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const LiveRecorder = require('../research/data/live_recorder');
+const ReplaySource = require('../research/data/replay_source');
+const OrderBook = require('../src/microstructure/OrderBook');
+const BuySellRatioAnalyzer = require('../src/microstructure/BuySellRatioAnalyzer');
+const BacktestEngine = require('../src/backtest/BacktestEngine');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const SYMBOL = 'XBTUSDTM';
+const T0 = Date.UTC(2026, 0, 2, 12, 0, 0);
+const HOUR = 60 * 60 * 1000;
+
+function message(subject, topic, data) {
+  return { type: 'message', subject, topic: `${topic}:${SYMBOL}`, data: { symbol: SYMBOL, ...data } };
+}
+
+/**
+ * Record one synthetic session: book, 150 buy-heavy trades, ticker, mark/index, funding.
+ * The clock crosses an hour boundary halfway through to force rotation.
+ */
+async function recordSession(dir) {
+  let now = T0 + HOUR - 10 * 1000;
+  const recorder = new LiveRecorder({
+    symbols: [SYMBOL],
+    outputDir: dir,
+    restBase: 'http://127.0.0.1:1',
+    clock: () => now
+  });
+  await recorder.start({ connect: false });
+
+  recorder.applySnapshot(SYMBOL, {
+    sequence: 100,
+    bids: [['49990', '5'], ['49980', '7']],
+    asks: [['50010', '2'], ['50020', '3']],
+    ts: now
+  });
+
+  let sequence = 100;
+  for (let i = 0; i < 150; i++) {
+    now += 200;
+    const side = i % 10 === 0 ? 'sell' : 'buy';
+    recorder.handleMessage(message('match', '/contractMarket/execution', {
+      side, size: 10, price: '50000', tradeId: `t${i}`, ts: now * 1e6
+    }));
+
+    if (i % 5 === 0) {
+      sequence++;
+      recorder.handleMessage(JSON.stringify(message('level2', '/contractMarket/level2', {
+        sequence, change: `${49990 - i},buy,${3 + (i % 4)}`, timestamp: now
+      })));
+    }
+
+    if (i % 15 === 0) {
+      recorder.handleMessage(message('tickerV2', '/contractMarket/tickerV2', {
+        bestBidPrice: '49990', bestBidSize: 5, bestAskPrice: '50010', bestAskSize: 2, ts: now * 1e6
+      }));
+      recorder.handleMessage({
+        type: 'message', subject: 'mark.index.price', topic: `/contract/instrument:${SYMBOL}`,
+        data: { markPrice: 50005, indexPrice: 49995, granularity: 1000, timestamp: now }
+      });
+    }
+  }
+
+  recorder.record(SYMBOL, 'funding', { rate: 0.0003, predictedRate: 0.0004, nextFundingTime: now + HOUR }, now);
+
+  const stats = recorder.getStats();
+  const book = recorder.books.get(SYMBOL).getDepth();
+  await recorder.stop();
+
+  return { stats, book, end: now };
+}
+
+async function readEvents(file) {
+  const text = zlib.gunzipSync(fs.readFileSync(file)).toString('utf8');
+  return text.trim().split('\n').map(line => JSON.parse(line));
+}
+
+async function testOrderBook(runner) {
+  console.log('\n📋 Testing OrderBook...');
+
+  const book = new OrderBook();
+  book.applySnapshot({ sequence: 10, bids: [['100', '1'], ['99', '2']], asks: [['101', '1']] });
+
+  runner.assert(book.applyDelta({ sequence: 11, price: 100.5, side: 'buy', size: 3 }), 'Next sequence applies');
+  runner.assert(book.getBestBid() === 100.5 && book.getBestAsk() === 101, 'Best bid/ask follow changes');
+  runner.assert(!book.applyDelta({ sequence: 11, price: 98, side: 'buy', size: 1 }) && book.synced,
+    'Stale change ignored without losing sync');
+
+  book.applyDelta({ sequence: 12, price: 100, side: 'buy', size: 0 });
+  runner.assert(JSON.stringify(book.getDepth(2).bids) === JSON.stringify([[100.5, 3], [99, 2]]),
+    'Zero size removes a level and depth is best-first');
+
+  runner.assert(!book.applyDelta({ sequence: 20, price: 102, side: 'sell', size: 1 }) && !book.synced,
+    'Sequence gap marks the book unsynced');
+
+  const change = OrderBook.parseChange('50000.5,sell,12');
+  runner.assert(change.price === 50000.5 && change.side === 'sell' && change.size === 12,
+    'parseChange reads KuCoin "price,side,size"');
+}
+
+async function testAnalyzerClock(runner) {
+  console.log('\n📋 Testing Analyzer Clock Injection...');
+
+  let now = T0;
+  const analyzer = new BuySellRatioAnalyzer({ minTradesForSignal: 1, clock: () => now });
+  analyzer.enableLiveMode();
+
+  analyzer.processTrade({ ts: T0, side: 'buy', size: 1, price: 100 });
+  now = T0 + 2 * 60 * 1000;
+  analyzer.processTrade({ ts: now, side: 'sell', size: 1, price: 100 });
+
+  runner.assert(analyzer.trades.length === 1 && analyzer.currentRatio === 0,
+    'Rolling window expires trades by injected clock', `trades=${analyzer.trades.length}`);
+}
+
+async function testRecording(runner, dir, session) {
+  console.log('\n📋 Testing Recording and Rotation...');
+
+  const files = fs.readdirSync(path.join(dir, SYMBOL)).sort();
+  runner.assert(files.length === 2, 'Recording rotates at the hour boundary', files.join(', '));
+  runner.assert(files[0] === 'XBTUSDTM_20260102-120000_000.jsonl.gz', 'File name carries symbol and window start', files[0]);
+
+  const first = await readEvents(path.join(dir, SYMBOL, files[0]));
+  const second = await readEvents(path.join(dir, SYMBOL, files[1]));
+
+  runner.assert(first[0].type === 'snapshot' && second[0].type === 'snapshot',
+    'Every file starts with a book snapshot');
+
+  const trade = first.find(e => e.type === 'trade');
+  runner.assert(trade && trade.ts < 1e13 && trade.data.size === 10 && trade.data.side === 'sell',
+    'Trade timestamps normalized from nanoseconds', JSON.stringify(trade));
+
+  const types = new Set([...first, ...second].map(e => e.type));
+  runner.assert(['snapshot', 'l2', 'trade', 'ticker', 'mark', 'funding'].every(t => types.has(t)),
+    'All stream types recorded', Array.from(types).join(', '));
+
+  runner.assert(session.stats.events.trade === 150, 'Stats count recorded events', JSON.stringify(session.stats.events));
+}
+
+async function testReplay(runner, dir, session) {
+  console.log('\n📋 Testing Replay...');
+
+  const source = new ReplaySource({ dir, symbol: SYMBOL });
+  let events = 0;
+  const state = await source.replay(() => events++);
+
+  runner.assert(events === source.stats.events && source.stats.gaps === 0, 'Replay reads every event without gaps',
+    JSON.stringify(source.stats));
+  runner.assert(JSON.stringify(source.book.getDepth()) === JSON.stringify(session.book),
+    'Replayed book matches the recorder book');
+
+  const bsr = state.microstructure.buySellRatio;
+  runner.assert(bsr && bsr.value.isLive && bsr.value.ratio > 0.8, 'Buy:sell ratio rebuilt from the tape',
+    JSON.stringify(bsr && bsr.value));
+  runner.assert(bsr.signals.some(s => s.direction === 'bullish'), 'Buy-heavy tape produces bullish signals',
+    JSON.stringify(bsr.signals.map(s => s.type)));
+
+  const price = state.microstructure.priceRatio.value;
+  runner.assert(price.basis !== null && Math.abs(price.basis - 0.02) < 1e-4, 'Basis from recorded mark/index',
+    JSON.stringify(price));
+  runner.assert(source.analyzers.fundingRate.getTimeUntilFunding() === HOUR,
+    'Funding countdown uses replay time', String(source.analyzers.fundingRate.getTimeUntilFunding()));
+  runner.assert(state.dom && state.dom.value.isLive && state.dom.value.imbalance !== null, 'DOM sampled from rebuilt book');
+
+  const windowed = new ReplaySource({ dir, symbol: SYMBOL, end: T0 + HOUR });
+  await windowed.replay();
+  runner.assert(windowed.now < T0 + HOUR && windowed.stats.events < source.stats.events, 'end bound stops replay');
+}
+
+async function testSeries(runner, dir) {
+  console.log('\n📋 Testing Candle-Aligned Series...');
+
+  const intervalMs = 15 * 60 * 1000;
+  const candles = [];
+  for (let i = 0; i < 12; i++) {
+    const price = 50000 + Math.sin(i) * 50;
+    candles.push({ ts: T0 + i * intervalMs, open: price, high: price + 20, low: price - 20, close: price, volume: 100 });
+  }
+
+  const source = new ReplaySource({ dir, symbol: SYMBOL });
+  const series = await source.buildSeries(candles);
+
+  runner.assert(series.indicators.dom.length === candles.length &&
+    series.microstructure.buySellRatio.length === candles.length, 'Series aligned with candles');
+  runner.assert(series.microstructure.buySellRatio[0] === null, 'Candles before the recording get no data');
+
+  const last = series.microstructure.buySellRatio[candles.length - 1];
+  runner.assert(last && last.value.ratio > 0.8, 'Later candles carry analyzer results');
+
+  const engine = new BacktestEngine({ initialBalance: 10000, leverage: 10 });
+  const withMicro = engine.signalGenerator.generate({}, {
+    buySellRatio: last,
+    priceRatio: series.microstructure.priceRatio[candles.length - 1],
+    fundingRate: series.microstructure.fundingRate[candles.length - 1]
+  });
+  runner.assert(withMicro.microstructureScore !== 0, 'BacktestEngine signal generator scores replayed microstructure',
+    String(withMicro.microstructureScore));
+
+  const results = await engine.runBacktest(candles, series.indicators, {
+    warmupPeriod: 1,
+    microstructure: series.microstructure
+  });
+  runner.assert(results && typeof results.finalBalance !== 'undefined', 'runBacktest accepts microstructure series');
+}
+
+async function testTruncated(runner, dir) {
+  console.log('\n📋 Testing Truncated Recording...');
+
+  const complete = new ReplaySource({ dir, symbol: SYMBOL });
+  await complete.replay();
+  const full = complete.stats.events;
+
+  const symbolDir = path.join(dir, SYMBOL);
+  const files = fs.readdirSync(symbolDir).sort();
+  const crashed = path.join(symbolDir, files[1]);
+  const bytes = fs.readFileSync(crashed);
+  fs.writeFileSync(crashed, bytes.subarray(0, Math.floor(bytes.length / 2)));
+
+  const source = new ReplaySource({ dir, symbol: SYMBOL });
+  let error = null;
+  try {
+    await source.replay();
+  } catch (e) {
+    error = e;
+  }
+
+  runner.assert(!error && source.stats.events > 0, 'Truncated gzip replays up to the cut',
+    error ? error.message : '');
+  runner.assert(source.stats.events < full, 'Events after the cut are lost', `${source.stats.events} vs ${full}`);
+}
+
+async function runAllTests() {
+  console.log('Starting Live Recorder Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'live-recorder-'));
+
+  try {
+    await testOrderBook(runner);
+    await testAnalyzerClock(runner);
+    const session = await recordSession(dir);
+    await testRecording(runner, dir, session);
+    await testReplay(runner, dir, session);
+    await testSeries(runner, dir);
+    await testTruncated(runner, dir);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
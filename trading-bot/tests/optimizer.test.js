@@ -0,0 +1,201 @@
+/**
+ * Optimizer Test Suite
+ *
+ * Tests the research optimizer for:
+ * - NSGA-II Pareto fronts (non-dominated, within bounds, integer params)
+ * - Seeded, replayable runs written to the output directory
+ * - TPE convergence on a single objective
+ * - Search-space configs mapped onto backtest tasks (weights, thresholds)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Optimizer = require('../research/optimize/optimizer');
+const searchSpace = require('../research/optimize/search-space');
+const BacktestEngine = require('../src/backtest/BacktestEngine');
+const signalWeights = require('../signal-weights');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const space = {
+  rsi: { period: { min: 7, max: 21, default: 14 } },
+  risk: {
+    leverage: { min: 1, max: 20, default: 10 },
+    stopLossROI: { min: 0.2, max: 1.0, default: 0.5 }
+  }
+};
+
+// Conflicting objectives: leverage raises profit factor and drawdown together
+function evaluator(config) {
+  const { period } = config.rsi;
+  const { leverage, stopLossROI } = config.risk;
+  return {
+    winRate: 60 - Math.abs(period - 14) - stopLossROI * 5,
+    profitFactor: 1 + leverage / 10,
+    maxDrawdown: leverage * stopLossROI
+  };
+}
+
+function dominates(a, b) {
+  const better = [a.winRate >= b.winRate, a.profitFactor >= b.profitFactor, a.maxDrawdown <= b.maxDrawdown];
+  const strict = [a.winRate > b.winRate, a.profitFactor > b.profitFactor, a.maxDrawdown < b.maxDrawdown];
+  return better.every(Boolean) && strict.some(Boolean);
+}
+
+async function testNSGA2(runner, dir) {
+  console.log('\n📋 Testing NSGA-II...');
+
+  const optimizer = new Optimizer({ searchSpace: space, seed: 42, generations: 15, populationSize: 20, outputDir: dir });
+  const front = await optimizer.optimize(evaluator);
+
+  runner.assert(front.length > 1, 'Returns a Pareto front with several trade-offs', `size=${front.length}`);
+
+  let nonDominated = true;
+  for (const a of front) {
+    for (const b of front) {
+      if (a !== b && dominates(a.objectives, b.objectives)) nonDominated = false;
+    }
+  }
+  runner.assert(nonDominated, 'No front member dominates another');
+
+  const inBounds = front.every(r =>
+    Number.isInteger(r.config.rsi.period) && Number.isInteger(r.config.risk.leverage) &&
+    r.config.rsi.period >= 7 && r.config.rsi.period <= 21 &&
+    r.config.risk.stopLossROI >= 0.2 && r.config.risk.stopLossROI <= 1.0);
+  runner.assert(inBounds, 'Configs respect bounds and integer params');
+
+  runner.assert(front.some(r => r.config.rsi.period === 14), 'Finds the win-rate optimum for RSI period');
+
+  const files = fs.readdirSync(dir);
+  runner.assert(files.length === 1 && files[0].startsWith('nsga2_seed42_'), 'Run written with seed in the file name', files.join(','));
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf-8'));
+  runner.assert(saved.seed === 42 && saved.results.length === front.length, 'Run file stores seed and results');
+
+  const replayed = await Optimizer.fromRun(path.join(dir, files[0]), { saveResults: false }).optimize(evaluator);
+  runner.assert(JSON.stringify(replayed) === JSON.stringify(front), 'Replaying a saved run reproduces the front');
+
+  const other = await new Optimizer({ searchSpace: space, seed: 43, generations: 15, populationSize: 20, saveResults: false })
+    .optimize(evaluator);
+  runner.assert(JSON.stringify(other) !== JSON.stringify(front), 'Different seeds explore differently');
+
+  const failing = await new Optimizer({ searchSpace: space, seed: 1, generations: 3, populationSize: 10, saveResults: false })
+    .optimize(config => {
+      if (config.risk.leverage > 10) throw new Error('rejected');
+      return evaluator(config);
+    });
+  runner.assert(failing.length > 0 && failing.every(r => r.config.risk.leverage <= 10),
+    'Failed evaluations never reach the front');
+}
+
+async function testTPE(runner) {
+  console.log('\n📋 Testing TPE...');
+
+  const objective = config => -((config.rsi.period - 17) ** 2) - ((config.risk.stopLossROI - 0.3) ** 2) * 100;
+
+  const tpe = await new Optimizer({ method: 'tpe', searchSpace: space, seed: 3, trials: 60, saveResults: false })
+    .optimize(objective);
+  // Compare against pure random search (all startup trials) averaged over seeds
+  let tpeTotal = 0;
+  let randomTotal = 0;
+  for (let seed = 1; seed <= 5; seed++) {
+    const guided = await new Optimizer({ method: 'tpe', searchSpace: space, seed, trials: 60, saveResults: false })
+      .optimize(objective);
+    const random = await new Optimizer({ method: 'tpe', searchSpace: space, seed, trials: 60, startupTrials: 60, saveResults: false })
+      .optimize(objective);
+    tpeTotal += guided[0].score;
+    randomTotal += random[0].score;
+  }
+  runner.assert(tpeTotal > randomTotal, 'TPE beats random search with the same budget', `${tpeTotal} vs ${randomTotal}`);
+  runner.assert(tpe[0].config.rsi.period === 17, 'TPE converges on the integer optimum', `period=${tpe[0].config.rsi.period}`);
+  runner.assert(tpe.every((r, i) => i === 0 || tpe[i - 1].score >= r.score), 'Results sorted by score');
+
+  const metricsScored = await new Optimizer({ method: 'tpe', searchSpace: space, seed: 3, trials: 20, saveResults: false })
+    .optimize(evaluator);
+  runner.assert(metricsScored[0].score === Math.max(...metricsScored.map(r => r.metrics.winRate)),
+    'Metrics objects are scored by the primary objective');
+}
+
+function testConfigToTask(runner) {
+  console.log('\n📋 Testing configToTask...');
+
+  const config = {
+    rsi: { period: 10, oversold: 25, overbought: 75, weight: 12 },
+    macd: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, weight: 0 },
+    thresholds: { buy: 45 },
+    risk: { leverage: 5, stopLossROI: 0.5, takeProfitROI: 2, positionSize: 0.5 }
+  };
+  const task = Optimizer.configToTask(config, { dataset: 'main' });
+
+  runner.assert(task.indicatorParams.rsi.period === 10 && task.indicatorParams.rsi.weight === undefined,
+    'Indicator params passed without the weight');
+  runner.assert(task.backtestConfig.minSignalScore === 45, 'thresholds.buy is the entry score');
+
+  const weights = new BacktestEngine(task.engineConfig).signalGenerator.indicatorWeights;
+  runner.assert(weights.rsi.max === 12 && weights.rsi.enabled, 'Weight sets the engine max weight', JSON.stringify(weights.rsi));
+  runner.assert(weights.macd.enabled === false, 'Zero weight disables the indicator');
+  runner.assert(weights.williamsR.max === signalWeights.indicators.williamsR.maxWeight, 'Unsearched indicators keep signal-weights.js');
+  runner.assert(signalWeights.indicators.rsi.maxWeight !== 12, 'signal-weights.js not modified');
+
+  const heavier = Optimizer.configToTask({ ...config, rsi: { ...config.rsi, weight: 24 } });
+  runner.assert(JSON.stringify(heavier.engineConfig) !== JSON.stringify(task.engineConfig), 'Configs differing only in weight give different tasks');
+
+  const unweighted = Optimizer.configToTask({ rsi: { period: 10 } });
+  runner.assert(unweighted.engineConfig.signalWeights === undefined, 'No weights searched, no signal weight override');
+  runner.assert(Object.keys(searchSpace.thresholds).join() === 'buy', 'Search space only holds the threshold the backtest uses');
+}
+
+async function runAllTests() {
+  console.log('Starting Optimizer Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizer-'));
+
+  try {
+    await testNSGA2(runner, dir);
+    await testTPE(runner);
+    testConfigToTask(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
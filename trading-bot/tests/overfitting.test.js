@@ -0,0 +1,312 @@
+/**
+ * Overfitting Diagnostics Test Suite
+ *
+ * Tests research/optimize/overfitting.js for:
+ * - Deflated Sharpe against known expected-maximum values
+ * - PBO (CSCV) on pure noise vs a trial with real edge
+ * - Seeded, reproducible bootstrap intervals on win rate and profit factor
+ * - The promotion gate and the diagnostics written into optimizer runs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Optimizer = require('../research/optimize/optimizer');
+const { createRng, gaussian } = require('../research/optimize/rng');
+const {
+  DEFAULT_THRESHOLDS,
+  seriesFromBacktest,
+  sharpeRatio,
+  normalCdf,
+  normalInv,
+  expectedMaxSharpe,
+  deflatedSharpe,
+  probabilityOfOverfitting,
+  bootstrapTradeStats,
+  diagnoseTrials,
+  checkPromotion,
+  formatDiagnostics
+} = require('../research/optimize/overfitting');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+// Trial with per-bar returns of N(mean, 0.01) and a trade closing every 10 bars
+function makeTrial(rng, bars, mean) {
+  const returns = [];
+  for (let i = 0; i < bars; i++) {
+    returns.push(mean + gaussian(rng) * 0.01);
+  }
+
+  const trades = [];
+  for (let i = 0; i + 10 <= bars; i += 10) {
+    trades.push({ pnl: returns.slice(i, i + 10).reduce((sum, r) => sum + r, 0) * 1000 });
+  }
+  return { returns, trades };
+}
+
+function noiseTrials(seed, count, bars) {
+  const rng = createRng(seed);
+  return Array.from({ length: count }, () => makeTrial(rng, bars, 0));
+}
+
+function testDistributions(runner) {
+  console.log('\n📋 Testing normal distribution helpers...');
+
+  runner.assertClose(normalCdf(0), 0.5, 1e-7, 'normalCdf(0) = 0.5');
+  runner.assertClose(normalCdf(1.959964), 0.975, 1e-6, 'normalCdf(1.96) = 0.975');
+  runner.assertClose(normalCdf(-1.959964), 0.025, 1e-6, 'normalCdf is symmetric');
+  runner.assertClose(normalInv(0.975), 1.959964, 1e-5, 'normalInv(0.975) = 1.96');
+  runner.assertClose(normalInv(0.001), -3.090232, 1e-5, 'normalInv in the lower tail');
+  runner.assertClose(normalInv(normalCdf(0.7)), 0.7, 1e-5, 'normalInv inverts normalCdf');
+}
+
+function testDeflatedSharpe(runner) {
+  console.log('\n📋 Testing deflated Sharpe...');
+
+  runner.assertClose(expectedMaxSharpe(100, 1), 2.5306, 1e-3, 'Expected max Sharpe of 100 unit-variance trials');
+  runner.assertClose(expectedMaxSharpe(100, 0.25), 2.5306 * 0.5, 1e-3, 'Expected max Sharpe scales with the Sharpe std');
+  runner.assert(expectedMaxSharpe(1000, 1) > expectedMaxSharpe(100, 1), 'More trials raise the bar');
+  runner.assert(expectedMaxSharpe(1, 1) === 0, 'A single trial has no selection bias');
+
+  runner.assertClose(sharpeRatio([0.01, -0.01, 0.01, -0.01]), 0, 1e-12, 'Sharpe of symmetric returns is 0');
+
+  const rng = createRng(7);
+  const skilled = makeTrial(rng, 1000, 0.002).returns;
+  const single = deflatedSharpe(skilled, { trials: 1 });
+  runner.assert(single.expectedMaxSharpe === 0, 'One trial deflates against zero');
+  runner.assert(single.deflatedSharpe > 0.99, 'Strong edge is significant on its own', `dsr=${single.deflatedSharpe}`);
+  runner.assert(single.observations === 1000, 'Reports the observation count');
+
+  const deflated = deflatedSharpe(skilled, { trials: 1000, sharpeVariance: 0.04 });
+  runner.assert(deflated.deflatedSharpe < single.deflatedSharpe, 'Many trials deflate the same Sharpe',
+    `${deflated.deflatedSharpe} vs ${single.deflatedSharpe}`);
+
+  runner.assert(deflatedSharpe([0, 0, 0], { trials: 10 }).deflatedSharpe === 0, 'Flat returns give 0');
+}
+
+function testPBO(runner) {
+  console.log('\n📋 Testing probability of backtest overfitting...');
+
+  const noise = noiseTrials(11, 40, 800);
+  const noisePBO = probabilityOfOverfitting(noise.map(t => t.returns), { partitions: 10 });
+  runner.assert(noisePBO.combinations === 252, 'Uses every half/half split of the blocks', `${noisePBO.combinations}`);
+  runner.assert(noisePBO.pbo > 0.3, 'Picking the best of pure noise overfits', `pbo=${noisePBO.pbo}`);
+
+  const rng = createRng(12);
+  const withSkill = noiseTrials(11, 39, 800).concat([makeTrial(rng, 800, 0.003)]);
+  const skillPBO = probabilityOfOverfitting(withSkill.map(t => t.returns), { partitions: 10 });
+  runner.assert(skillPBO.pbo < 0.05, 'A real edge survives out of sample', `pbo=${skillPBO.pbo}`);
+  runner.assert(skillPBO.medianLogit > noisePBO.medianLogit, 'Real edge ranks higher out of sample');
+
+  runner.assert(probabilityOfOverfitting([noise[0].returns]) === null, 'Needs at least two trials');
+  runner.assert(probabilityOfOverfitting([[0.1], [0.2]]) === null, 'Needs at least two blocks');
+
+  const odd = probabilityOfOverfitting(noise.slice(0, 5).map(t => t.returns.slice(0, 9)), { partitions: 16 });
+  runner.assert(odd.partitions === 4, 'Partitions shrink to an even count for short series', `${odd.partitions}`);
+}
+
+function testBootstrap(runner) {
+  console.log('\n📋 Testing bootstrap intervals...');
+
+  const trades = [];
+  for (let i = 0; i < 60; i++) {
+    trades.push({ pnl: i % 3 === 0 ? -100 : 80 });
+  }
+
+  const stats = bootstrapTradeStats(trades, { seed: 5 });
+  runner.assertClose(stats.winRate.estimate, 2 / 3, 1e-12, 'Win rate point estimate');
+  runner.assertClose(stats.profitFactor.estimate, (40 * 80) / (20 * 100), 1e-12, 'Profit factor point estimate');
+  runner.assert(stats.winRate.lower < stats.winRate.estimate && stats.winRate.upper > stats.winRate.estimate,
+    'Win rate interval brackets the estimate');
+  runner.assert(stats.profitFactor.lower < stats.profitFactor.estimate && stats.profitFactor.upper > stats.profitFactor.estimate,
+    'Profit factor interval brackets the estimate');
+
+  const again = bootstrapTradeStats(trades, { seed: 5 });
+  runner.assert(JSON.stringify(again) === JSON.stringify(stats), 'Same seed gives the same intervals');
+
+  const wide = bootstrapTradeStats(trades.slice(0, 12), { seed: 5 });
+  runner.assert(wide.winRate.upper - wide.winRate.lower > stats.winRate.upper - stats.winRate.lower,
+    'Fewer trades widen the interval');
+
+  const empty = bootstrapTradeStats([]);
+  runner.assert(empty.winRate.estimate === 0 && empty.profitFactor.upper === 0, 'No trades give zero intervals');
+}
+
+function testPromotion(runner) {
+  console.log('\n📋 Testing the promotion gate...');
+
+  const noise = noiseTrials(21, 30, 600);
+  const noiseReport = diagnoseTrials(noise);
+  const picked = noiseReport.candidates[0];
+  const bestSharpe = Math.max(...noise.map(t => sharpeRatio(t.returns)));
+  runner.assertClose(picked.sharpe, bestSharpe, 1e-12, 'Defaults to the highest-Sharpe trial');
+  runner.assert(noiseReport.trials === 30, 'Reports the number of trials');
+  runner.assert(!picked.promote, 'Best of pure noise is refused');
+  runner.assert(picked.failures.some(f => f.startsWith('deflated Sharpe')), 'Refusal names the deflated Sharpe',
+    picked.failures.join('; '));
+
+  const rng = createRng(22);
+  const trials = noiseTrials(21, 29, 600).concat([makeTrial(rng, 600, 0.003)]);
+  const report = diagnoseTrials(trials, { candidates: [29] });
+  runner.assert(report.candidates[0].index === 29, 'Reports the requested candidate');
+  runner.assert(report.candidates[0].promote, 'Real edge is promoted', report.candidates[0].failures.join('; '));
+  runner.assert(/PROMOTE$/.test(formatDiagnostics(report)), 'Summary line ends in PROMOTE');
+
+  const counted = diagnoseTrials(trials, { candidates: [29], trialCount: 5000 });
+  runner.assert(counted.trials === 5000, 'Counts trials tested beyond those passed');
+  runner.assert(counted.candidates[0].expectedMaxSharpe > report.candidates[0].expectedMaxSharpe,
+    'Extra trials raise the deflation benchmark');
+
+  const noPBO = diagnoseTrials(trials, { candidates: [29], pbo: false });
+  runner.assert(noPBO.pbo === null, 'PBO can be skipped for unaligned series');
+  runner.assert(/PBO=n\/a/.test(formatDiagnostics(noPBO)), 'Summary shows a skipped PBO');
+
+  const candidate = {
+    trades: 10,
+    deflatedSharpe: 0.5,
+    winRate: { lower: 0.3 },
+    profitFactor: { lower: 0.8 }
+  };
+  const gate = checkPromotion(candidate, { pbo: 0.7 }, { ...DEFAULT_THRESHOLDS, minWinRateLower: 0.4 });
+  runner.assert(!gate.promote && gate.failures.length === 5, 'Every failing threshold is listed', gate.failures.join('; '));
+
+  const passing = checkPromotion(
+    { trades: 50, deflatedSharpe: 0.99, winRate: { lower: 0.5 }, profitFactor: { lower: 1.2 } },
+    { pbo: 0.1 }
+  );
+  runner.assert(passing.promote && passing.failures.length === 0, 'Passing candidate is promoted');
+
+  const strict = checkPromotion(
+    { trades: 50, deflatedSharpe: 0.99, winRate: { lower: 0.5 }, profitFactor: { lower: 1.2 } },
+    { pbo: 0.1 },
+    { ...DEFAULT_THRESHOLDS, maxPBO: 0.05 }
+  );
+  runner.assert(!strict.promote, 'Thresholds are configurable');
+}
+
+function testSeries(runner) {
+  console.log('\n📋 Testing backtest series...');
+
+  const series = seriesFromBacktest({
+    equity: [{ ts: 1, value: 100 }, { ts: 2, value: 110 }, { ts: 3, value: 99 }],
+    trades: [{ pnl: 10, side: 'long' }, { pnl: -11, side: 'short' }]
+  });
+  runner.assert(series.returns.length === 2, 'One return per equity step');
+  runner.assertClose(series.returns[0], 0.1, 1e-12, 'Equity return');
+  runner.assertClose(series.returns[1], -0.1, 1e-12, 'Negative equity return');
+  runner.assert(JSON.stringify(series.trades) === JSON.stringify([{ pnl: 10 }, { pnl: -11 }]), 'Keeps trade PnL only');
+
+  const empty = seriesFromBacktest({});
+  runner.assert(empty.returns.length === 0 && empty.trades.length === 0, 'Handles results without trades or equity');
+}
+
+async function testOptimizerHook(runner, dir) {
+  console.log('\n📋 Testing optimizer diagnostics hook...');
+
+  const space = { rsi: { period: { min: 7, max: 21, default: 14 } } };
+  const trialSeries = new Map();
+  let hookArgs = null;
+
+  const optimizer = new Optimizer({
+    method: 'tpe',
+    searchSpace: space,
+    seed: 4,
+    trials: 12,
+    startupTrials: 6,
+    outputDir: dir,
+    objectives: [{ name: 'sharpe', direction: 'maximize' }],
+    diagnose: (results, run) => {
+      hookArgs = { results, evaluations: run.evaluations };
+      const keys = [...trialSeries.keys()];
+      return diagnoseTrials([...trialSeries.values()], {
+        candidates: results.map(r => keys.indexOf(JSON.stringify(r.config))),
+        trialCount: run.evaluations
+      });
+    }
+  });
+
+  const results = await optimizer.optimize(async (config) => {
+    const trial = makeTrial(createRng(config.rsi.period), 400, (config.rsi.period - 14) / 10000);
+    trialSeries.set(JSON.stringify(config), trial);
+    return { sharpe: sharpeRatio(trial.returns) };
+  });
+
+  runner.assert(hookArgs && hookArgs.results === results, 'Hook receives the final results');
+  runner.assert(hookArgs.evaluations === optimizer.evaluations, 'Hook sees the evaluation count');
+  runner.assert(optimizer.lastDiagnostics.candidates.length === results.length, 'One diagnostic per result');
+
+  const run = JSON.parse(fs.readFileSync(optimizer.lastRunPath, 'utf-8'));
+  runner.assert(run.diagnostics && run.diagnostics.trials === optimizer.evaluations, 'Run file records the trials tested');
+  runner.assert(run.diagnostics.pbo && typeof run.diagnostics.pbo.pbo === 'number', 'Run file records PBO');
+  runner.assert(typeof run.diagnostics.candidates[0].promote === 'boolean', 'Run file records the promotion decision');
+
+  const plain = new Optimizer({ method: 'tpe', searchSpace: space, seed: 4, trials: 5, outputDir: dir });
+  await plain.optimize(config => ({ winRate: config.rsi.period }));
+  runner.assert(plain.lastDiagnostics === null, 'No hook, no diagnostics');
+}
+
+async function runAllTests() {
+  console.log('Starting Overfitting Diagnostics Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'overfitting-'));
+
+  try {
+    testDistributions(runner);
+    testDeflatedSharpe(runner);
+    testPBO(runner);
+    testBootstrap(runner);
+    testPromotion(runner);
+    testSeries(runner);
+    await testOptimizerHook(runner, dir);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,417 @@
+/**
+ * Position Reconciler Test Suite
+ *
+ * Tests startup / periodic reconciliation of TradingEngineV3 against the exchange:
+ * - Live positions persisted and restored across engine restarts
+ * - Orphaned exchange positions adopted, vanished local positions dropped
+ * - Entries with their order in flight left alone
+ * - Side and size mismatches, missing SL/TP re-placed, stray stops cancelled
+ * - Every correction recorded in the audit log (AuditAgent or JSONL fallback)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SimulatedExchange } = require('../src/exchange');
+const TradingEngineV3 = require('../src/trading/TradingEngineV3');
+const PositionReconciler = require('../src/trading/PositionReconciler');
+const AuditAgent = require('../agents/audit-agent');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const XBT = 'XBTUSDTM';
+const ETH = 'ETHUSDTM';
+const SIGNAL = { type: 'BUY', score: 90, confidence: 80, indicatorsAgreeing: 5, signals: [] };
+
+function createSim() {
+  const sim = new SimulatedExchange({ balance: 100000, slippage: 0 });
+  sim.setPrice(XBT, 100);
+  sim.setPrice(ETH, 50);
+  return sim;
+}
+
+function createEngine(sim, logDir, extra = {}) {
+  return new TradingEngineV3({ mode: 'live', exchange: sim, logDir, reconcileIntervalMs: 0, ...extra });
+}
+
+function types(result) {
+  return result.value.corrections.map(c => c.type).sort();
+}
+
+function readJsonl(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+// ============================================================================
+// PERSISTENCE ACROSS RESTARTS
+// ============================================================================
+
+async function testRestart(runner, dir) {
+  console.log('\n--- Restart Recovery ---');
+
+  const logDir = path.join(dir, 'restart');
+  const sim = createSim();
+  const engine = createEngine(sim, logDir);
+
+  await engine._enterPosition(XBT, { side: 'long', entryPrice: 100, positionSizeUSD: 100, leverage: 5, signal: SIGNAL, atrPercent: 2 });
+  const saved = JSON.parse(fs.readFileSync(path.join(logDir, 'positions-live.json'), 'utf8'));
+  runner.assert(saved.positions.length === 1 && saved.positions[0].stopLoss === engine.positions.get(XBT).stopLoss.toString(),
+    'Live entry persists open position');
+
+  const restarted = createEngine(sim, logDir);
+  const restored = restarted.positions.get(XBT);
+  runner.assert(restored && restored.side === 'long' && restored.entryPrice.eq(100), 'Restarted engine restores position');
+  runner.assert(restored.quantity.eq(5) && restored.stopLoss.lt(100) && typeof restored.takeProfit.toFixed === 'function',
+    'Restored position keeps Decimal fields');
+
+  const result = await restarted.reconciler.reconcile();
+  runner.assert(result.ok && result.value.corrections.length === 0, 'Consistent state needs no corrections', JSON.stringify(result.value?.corrections));
+  runner.assert(!fs.existsSync(path.join(logDir, 'reconciliation.jsonl')), 'Nothing audited when in sync');
+
+  const paper = new TradingEngineV3({ mode: 'paper', exchange: sim, logDir });
+  runner.assert(paper.positions.size === 0 && paper.reconciler === null, 'Paper engine neither restores nor reconciles');
+}
+
+// ============================================================================
+// CORRECTIONS
+// ============================================================================
+
+async function testMissingStops(runner, dir) {
+  console.log('\n--- Missing Protective Stops ---');
+
+  const logDir = path.join(dir, 'stops');
+  const sim = createSim();
+  const engine = createEngine(sim, logDir);
+  await engine._enterPosition(XBT, { side: 'short', entryPrice: 100, positionSizeUSD: 100, leverage: 5, signal: SIGNAL, atrPercent: 2 });
+
+  // Crash after entry, before the take-profit was placed
+  const tp = (await sim.getStopOrders(XBT)).value.find(s => s.stop === 'down');
+  await sim.cancelStopOrder(tp.orderId);
+
+  const result = await engine.reconciler.reconcile();
+  runner.assert(types(result).join() === 'STOP_REPLACED', 'Only the missing take-profit is re-placed', types(result).join());
+  const replaced = result.value.corrections[0].details;
+  runner.assert(replaced.stop === 'takeProfit' && replaced.direction === 'down', 'Short take-profit triggers down');
+
+  const stops = (await sim.getStopOrders(XBT)).value;
+  runner.assert(stops.length === 2 && stops.some(s => s.stop === 'up') && stops.some(s => s.stop === 'down'), 'Exchange holds SL and TP again');
+  runner.assertClose(Number(stops.find(s => s.stop === 'down').stopPrice), engine.positions.get(XBT).takeProfit.toNumber(), 1e-4,
+    'Re-placed take-profit at engine level');
+  runner.assert(stops.find(s => s.stop === 'down').clientOid !== tp.clientOid, 'Re-placed stop uses a fresh clientOid');
+
+  const second = await engine.reconciler.reconcile();
+  runner.assert(second.value.corrections.length === 0, 'Second pass is a no-op');
+
+  // Take-profit resting as a limit order (dashboard server): only the stop-loss is kept
+  const stopLossOnly = new PositionReconciler({ exchange: sim, engine, logDir, intervalMs: 0, protectiveStops: ['stopLoss'] });
+  for (const stop of (await sim.getStopOrders(XBT)).value) await sim.cancelStopOrder(stop.orderId);
+  const slOnly = await stopLossOnly.reconcile();
+  runner.assert(slOnly.ok && types(slOnly).join() === 'STOP_REPLACED' && slOnly.value.corrections[0].details.stop === 'stopLoss',
+    'protectiveStops limits which stops are re-placed', JSON.stringify(slOnly.value && slOnly.value.corrections));
+  runner.assert((await sim.getStopOrders(XBT)).value.length === 1, 'No take-profit stop placed');
+}
+
+async function testOrphanAdoption(runner, dir) {
+  console.log('\n--- Orphan Adoption ---');
+
+  const logDir = path.join(dir, 'orphan');
+  const sim = createSim();
+  const engine = createEngine(sim, logDir);
+
+  // Filled on the exchange but the engine died before recording it
+  await sim.setLeverage(ETH, 4);
+  await sim.placeOrder({ symbol: ETH, side: 'sell', type: 'market', size: 8, leverage: 4 });
+
+  const adopted = [];
+  engine.on('positionAdopted', p => adopted.push(p));
+  const result = await engine.reconciler.reconcile();
+
+  runner.assert(types(result).join() === 'ORPHAN_ADOPTED,STOP_REPLACED,STOP_REPLACED', 'Orphan adopted with SL and TP', types(result).join());
+  const position = engine.positions.get(ETH);
+  runner.assert(position && position.side === 'short' && position.quantity.eq(8) && position.adopted === true, 'Adopted position mirrors exchange');
+  runner.assert(position.leverage === 4 && position.entryPrice.eq(50), 'Adopted position keeps exchange leverage and entry');
+
+  const expectedSl = 50 * (1 + (engine.riskConfig.stopLossROI / 100) / 4);
+  runner.assertClose(position.stopLoss.toNumber(), expectedSl, 1e-9, 'Adopted stop-loss from ROI risk config');
+  runner.assertClose(position.marginUsed.toNumber(), 100, 1e-9, 'Adopted margin = value / leverage');
+  runner.assert(adopted.length === 1, 'positionAdopted emitted');
+
+  const saved = JSON.parse(fs.readFileSync(path.join(logDir, 'positions-live.json'), 'utf8'));
+  runner.assert(saved.positions.some(p => p.symbol === ETH), 'Adopted position persisted');
+
+  const stops = (await sim.getStopOrders(ETH)).value;
+  runner.assert(stops.length === 2 && stops.every(s => s.side === 'buy' && s.size === 8), 'Adopted stops close the full short');
+}
+
+async function testDroppedPosition(runner, dir) {
+  console.log('\n--- Closed On Exchange ---');
+
+  const logDir = path.join(dir, 'dropped');
+  const sim = createSim();
+  const engine = createEngine(sim, logDir);
+  await engine._enterPosition(XBT, { side: 'long', entryPrice: 100, positionSizeUSD: 100, leverage: 5, signal: SIGNAL, atrPercent: 2 });
+
+  // Closed manually on the exchange while the bot was down; its stops are left behind
+  await sim.placeOrder({ symbol: XBT, side: 'sell', type: 'market', size: 5, reduceOnly: true });
+
+  const dropped = [];
+  engine.on('positionDropped', e => dropped.push(e));
+  const tradesBefore = engine.trades.length;
+  const result = await engine.reconciler.reconcile();
+
+  runner.assert(types(result).join() === 'LOCAL_POSITION_DROPPED,ORPHAN_STOPS_CANCELLED', 'Vanished position dropped, stray stops cancelled', types(result).join());
+  runner.assert(!engine.positions.has(XBT), 'Local position removed');
+  runner.assert(engine.trades.length === tradesBefore, 'No trade recorded for unknown exit');
+  runner.assert(dropped.length === 1 && dropped[0].reason === 'CLOSED_ON_EXCHANGE', 'positionDropped emitted with reason');
+  runner.assert((await sim.getStopOrders(XBT)).value.length === 0, 'Stray stops cancelled on exchange');
+
+  const saved = JSON.parse(fs.readFileSync(path.join(logDir, 'positions-live.json'), 'utf8'));
+  runner.assert(saved.positions.length === 0, 'Dropped position removed from persisted state');
+
+  // Entry filled while the pass was waiting on the exchange: left for the next pass
+  const slow = Object.create(sim);
+  let release;
+  slow.getPositions = () => {
+    const snapshot = sim.getPositions();
+    return new Promise(resolve => { release = () => resolve(snapshot); });
+  };
+  const racing = new PositionReconciler({ exchange: slow, engine, logDir, intervalMs: 0 });
+  const pass = racing.reconcile();
+  await engine._enterPosition(XBT, { side: 'long', entryPrice: 100, positionSizeUSD: 100, leverage: 5, signal: SIGNAL, atrPercent: 2 });
+  release();
+  const raced = await pass;
+  runner.assert(raced.ok && raced.value.corrections.length === 0 && engine.positions.has(XBT), 'Position opened mid-pass not dropped',
+    JSON.stringify(raced.value && raced.value.corrections));
+
+  // Pass running while the entry order is still in flight
+  const pendingEngine = createEngine(createSim(), path.join(dir, 'pending'));
+  const exchange = pendingEngine.exchange;
+  const placeOrder = exchange.placeOrder.bind(exchange);
+  let fill;
+  exchange.placeOrder = (order) => new Promise(resolve => { fill = () => resolve(placeOrder(order)); });
+
+  const entry = pendingEngine._enterPosition(ETH, { side: 'long', entryPrice: 50, positionSizeUSD: 100, leverage: 5, signal: SIGNAL, atrPercent: 2 });
+  await new Promise(resolve => setImmediate(resolve));
+  const inFlight = pendingEngine.positions.get(ETH);
+  runner.assert(inFlight && inFlight.status === 'pending', 'Live entry pending until its order returns');
+
+  const duringEntry = await pendingEngine.reconciler.reconcile();
+  runner.assert(duringEntry.ok && duringEntry.value.corrections.length === 0 && pendingEngine.positions.get(ETH) === inFlight,
+    'Pending entry neither dropped nor re-adopted', JSON.stringify(duringEntry.value && duringEntry.value.corrections));
+
+  fill();
+  await entry;
+  runner.assert(inFlight.status === 'open', 'Entry open once the order returns');
+  const afterEntry = await pendingEngine.reconciler.reconcile();
+  runner.assert(afterEntry.value.corrections.length === 0, 'Filled entry in sync with the exchange',
+    JSON.stringify(afterEntry.value.corrections));
+
+  const restored = pendingEngine._restorePosition({ ...pendingEngine._serializePosition(inFlight), status: 'pending' });
+  runner.assert(restored.status === 'open', 'Entry saved mid-flight restored as open');
+}
+
+async function testMismatches(runner, dir) {
+  console.log('\n--- Side and Size Mismatches ---');
+
+  const logDir = path.join(dir, 'mismatch');
+  const sim = createSim();
+  const engine = createEngine(sim, logDir);
+  await engine._enterPosition(XBT, { side: 'long', entryPrice: 100, positionSizeUSD: 100, leverage: 5, signal: SIGNAL, atrPercent: 2 });
+
+  // Partial manual add: sizes disagree but the side is right
+  await sim.placeOrder({ symbol: XBT, side: 'buy', type: 'market', size: 2, leverage: 5 });
+  let result = await engine.reconciler.reconcile();
+  runner.assert(types(result).join() === 'SIZE_MISMATCH', 'Size difference flagged', types(result).join());
+  const details = result.value.corrections[0].details;
+  runner.assert(details.localSize === 5 && details.exchangeSize === 7, 'Size mismatch reports both sizes');
+  runner.assert(engine.positions.get(XBT).quantity.eq(5), 'Size mismatch only flagged, not corrected');
+
+  const tolerant = new PositionReconciler({ exchange: sim, engine, logDir, intervalMs: 0, sizeTolerance: 2 });
+  result = await tolerant.reconcile();
+  runner.assert(result.value.corrections.length === 0, 'Size within tolerance not flagged');
+
+  // Flipped on the exchange: long 7 -> short 3
+  await sim.cancelAllStopOrders(XBT);
+  await sim.placeOrder({ symbol: XBT, side: 'sell', type: 'market', size: 10, leverage: 5 });
+  result = await engine.reconciler.reconcile();
+  runner.assert(types(result).join() === 'SIDE_MISMATCH,STOP_REPLACED,STOP_REPLACED', 'Side flip replaces local position', types(result).join());
+  const position = engine.positions.get(XBT);
+  runner.assert(position.side === 'short' && position.quantity.eq(3), 'Local position follows exchange side');
+  runner.assert(result.value.corrections[0].details.localSide === 'long', 'Side mismatch reports previous local side');
+  const stops = (await sim.getStopOrders(XBT)).value;
+  runner.assert(stops.length === 2 && stops.every(s => s.side === 'buy'), 'Stops re-placed for the new side');
+}
+
+// ============================================================================
+// AUDIT, FAILURES, SCHEDULING
+// ============================================================================
+
+async function testAudit(runner, dir) {
+  console.log('\n--- Audit Trail ---');
+
+  const logDir = path.join(dir, 'audit');
+  const audit = new AuditAgent({ logDir });
+  const sim = createSim();
+  const engine = createEngine(sim, logDir, { audit });
+
+  await sim.placeOrder({ symbol: ETH, side: 'buy', type: 'market', size: 3, leverage: 5 });
+  const seen = [];
+  audit.on('reconciliation', entry => seen.push(entry));
+  await engine.reconciler.reconcile();
+
+  const entries = readJsonl(path.join(logDir, 'reconciliation.jsonl'));
+  runner.assert(entries.length === 3 && seen.length === 3, 'Each correction appended to reconciliation.jsonl', `${entries.length}`);
+  runner.assert(entries[0].type === 'ORPHAN_ADOPTED' && entries[0].symbol === ETH && entries[0].details.size === 3,
+    'Audit entry carries type, symbol and details');
+  runner.assert(entries.every(e => typeof e.timestamp === 'number'), 'Audit entries timestamped');
+
+  const metrics = audit.getMetrics();
+  runner.assert(metrics.reconciliations.total === 3 && metrics.reconciliations.byType.STOP_REPLACED === 2, 'AuditAgent counts reconciliations');
+
+  const handled = await audit._handleLogReconciliation({ type: 'SIZE_MISMATCH', symbol: XBT, details: {} });
+  runner.assert(handled.ok && readJsonl(path.join(logDir, 'reconciliation.jsonl')).length === 4, 'LOG_RECONCILIATION handler persists');
+
+  // Without an audit sink the reconciler writes the same file itself
+  const fallbackDir = path.join(dir, 'fallback');
+  const fallbackSim = createSim();
+  const fallback = createEngine(fallbackSim, fallbackDir);
+  await fallbackSim.placeOrder({ symbol: XBT, side: 'sell', type: 'market', size: 1, leverage: 5 });
+  await fallback.reconciler.reconcile();
+  const fallbackEntries = readJsonl(path.join(fallbackDir, 'reconciliation.jsonl'));
+  runner.assert(fallbackEntries.length === 3 && fallbackEntries.every(e => e.source === 'reconciler'), 'Fallback JSONL audit without AuditAgent');
+}
+
+async function testFailures(runner, dir) {
+  console.log('\n--- Exchange Failures ---');
+
+  const logDir = path.join(dir, 'failures');
+  const sim = createSim();
+  const engine = createEngine(sim, logDir);
+  await engine._enterPosition(XBT, { side: 'long', entryPrice: 100, positionSizeUSD: 100, leverage: 5, signal: SIGNAL, atrPercent: 2 });
+
+  const down = Object.create(sim);
+  down.getPositions = async () => ({ ok: false, error: { code: 'NETWORK_ERROR', message: 'socket hang up' } });
+  const reconciler = new PositionReconciler({ exchange: down, engine, logDir, intervalMs: 0 });
+
+  const result = await reconciler.reconcile();
+  runner.assert(!result.ok && result.error.code === 'NETWORK_ERROR', 'Exchange failure returned as result');
+  runner.assert(engine.positions.has(XBT), 'Local state untouched when exchange unreachable');
+  const entries = readJsonl(path.join(logDir, 'reconciliation.jsonl'));
+  runner.assert(entries.length === 1 && entries[0].type === 'RECONCILE_FAILED', 'Failed pass audited');
+
+  // Stop placement rejected: recorded, not thrown
+  await sim.cancelAllStopOrders(XBT);
+  const rejecting = Object.create(sim);
+  rejecting.placeStopOrder = async () => ({ ok: false, error: { code: 'RATE_LIMITED', message: 'Too many requests' } });
+  engine.exchange = rejecting;
+  const stopResult = await new PositionReconciler({ exchange: rejecting, engine, logDir, intervalMs: 0 }).reconcile();
+  engine.exchange = sim;
+  runner.assert(stopResult.ok && types(stopResult).join() === 'STOP_REPLACE_FAILED,STOP_REPLACE_FAILED', 'Rejected stop placement recorded', types(stopResult).join());
+  runner.assert(stopResult.value.corrections[0].details.error.code === 'RATE_LIMITED', 'Failure carries exchange error');
+
+  const slow = Object.create(sim);
+  let release;
+  slow.getPositions = () => new Promise(resolve => { release = () => resolve(sim.getPositions()); });
+  const guarded = new PositionReconciler({ exchange: slow, engine, logDir, intervalMs: 0 });
+  const first = guarded.reconcile();
+  const overlapping = await guarded.reconcile();
+  runner.assert(!overlapping.ok && overlapping.error.code === 'IN_PROGRESS', 'Overlapping pass rejected');
+  release();
+  runner.assert((await first).ok, 'First pass completes');
+}
+
+async function testSchedule(runner, dir) {
+  console.log('\n--- Startup and Timer ---');
+
+  const sim = createSim();
+  const engine = createEngine(sim, path.join(dir, 'schedule'), { reconcileIntervalMs: 20 });
+  runner.assert(engine.reconciler.intervalMs === 20, 'reconcileIntervalMs passed to reconciler');
+
+  let passes = 0;
+  engine.reconciler.on('reconciled', () => passes++);
+  await sim.placeOrder({ symbol: XBT, side: 'buy', type: 'market', size: 2, leverage: 5 });
+
+  engine.start();
+  await new Promise(resolve => setTimeout(resolve, 10));
+  runner.assert(passes === 1 && engine.positions.has(XBT), 'Engine start reconciles immediately');
+
+  await new Promise(resolve => setTimeout(resolve, 70));
+  runner.assert(passes >= 2, 'Reconciles again on the timer', `${passes} passes`);
+
+  engine.stop();
+  const afterStop = passes;
+  await new Promise(resolve => setTimeout(resolve, 60));
+  runner.assert(engine.reconciler.timer === null && passes === afterStop, 'Engine stop clears the timer');
+
+  runner.assert(PositionReconciler.stopDirection('long', 'stopLoss') === 'down' &&
+    PositionReconciler.stopDirection('short', 'stopLoss') === 'up' &&
+    PositionReconciler.stopDirection('long', 'takeProfit') === 'up', 'Stop trigger directions');
+}
+
+async function runAllTests() {
+  console.log('Starting Position Reconciler Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'position-reconciler-'));
+
+  try {
+    await testRestart(runner, dir);
+    await testMissingStops(runner, dir);
+    await testOrphanAdoption(runner, dir);
+    await testDroppedPosition(runner, dir);
+    await testMismatches(runner, dir);
+    await testAudit(runner, dir);
+    await testFailures(runner, dir);
+    await testSchedule(runner, dir);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,319 @@
+/**
+ * Session Journal Test Suite
+ *
+ * Tests event-sourced session recording and replay:
+ * - SessionJournal sequence numbers, causes and crash-tolerant reading
+ * - TradingEngineV3 journaling inputs (candles, market data, config, commands,
+ *   reconciler corrections) and decisions (signals, entries, stop moves, exits)
+ * - SessionReplayer reproducing paper and live sessions decision-for-decision
+ * - Divergence reports for tampered journals and the replay CLI
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SessionJournal = require('../src/trading/SessionJournal');
+const SessionReplayer = require('../src/trading/SessionReplayer');
+const TradingEngineV3 = require('../src/trading/TradingEngineV3');
+const { SimulatedExchange } = require('../src/exchange');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const SYMBOL = 'XBTUSDTM';
+const START = 1700000000000;
+const INTERVAL = 15 * 60 * 1000;
+const CLOSES = [100, 100.5, 101, 102, 103, 102.2, 101.5, 100.8, 100.2, 99.5];
+
+function indicators(direction) {
+  const value = direction === 'bullish' ? 25 : direction === 'bearish' ? 75 : 50;
+  const signals = direction === 'neutral' ? [] : [
+    { type: `${direction}_divergence`, direction, strength: 'very_strong', message: 'divergence' },
+    { type: `${direction}_crossover`, direction, strength: 'strong', message: 'crossover' }
+  ];
+  const out = {};
+  for (const name of ['rsi', 'williamsR', 'kdj', 'stochRSI', 'obv']) {
+    out[name] = { value, signals };
+  }
+  return out;
+}
+
+function update(close, prev, direction = 'bullish') {
+  return {
+    candle: { open: prev, high: Math.max(close, prev) + 0.05, low: Math.min(close, prev) - 0.05, close, volume: 1000 },
+    indicators: indicators(direction)
+  };
+}
+
+/**
+ * Drive an engine through a short session on the shared price path
+ */
+async function runSession(engine, clockRef, sim = null) {
+  engine.updateConfig({ riskConfig: { trailingActivation: 12, trailingDistance: 4 } });
+  engine.start();
+
+  let prev = CLOSES[0];
+  for (const close of CLOSES) {
+    clockRef.now += INTERVAL;
+    if (sim) sim.setPrice(SYMBOL, close);
+    engine.recordMarketData('TICKER', SYMBOL, { price: close, bestBid: close - 0.01, bestAsk: close + 0.01 });
+    await engine.processUpdate(SYMBOL, update(close, prev));
+    prev = close;
+  }
+
+  clockRef.now += INTERVAL;
+  engine.recordMarketData('FUNDING', SYMBOL, { rate: 0.0001 });
+  await engine.closeAllPositions('MANUAL_CLOSE');
+  engine.stop();
+}
+
+function rewrite(file, entries) {
+  fs.writeFileSync(file, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+}
+
+// ============================================================================
+// JOURNAL
+// ============================================================================
+
+function testJournal(runner, dir) {
+  console.log('\n--- SessionJournal ---');
+
+  let now = START;
+  const memory = new SessionJournal({ clock: () => now });
+  memory.meta('SESSION_START', { mode: 'paper' });
+  now += 5;
+  const input = memory.input('CANDLE', SYMBOL, { close: 1 });
+  const decision = memory.decision('SIGNAL', SYMBOL, { score: 10, missing: undefined });
+
+  runner.assert(memory.entries.length === 3 && memory.entries.map(e => e.seq).join() === '1,2,3', 'In-memory journal numbers entries');
+  runner.assert(input.ts === START + 5 && decision.cause === input.seq, 'Decision points at the input being processed');
+  runner.assert(memory.entries[0].cause === undefined && input.cause === undefined, 'Only decisions carry a cause');
+  runner.assert(!('missing' in decision.data), 'Entries stored as replay reads them');
+
+  const journal = SessionJournal.create(path.join(dir, 'journals'), 'paper', () => START);
+  runner.assert(path.basename(journal.file) === 'session-paper-20231114T221320.jsonl', 'File named after mode and start time', journal.file);
+  journal.meta('SESSION_START', {});
+  journal.input('TICKER', SYMBOL, { price: 1 });
+  fs.appendFileSync(journal.file, '{"seq":3,"ts":');
+  const read = SessionJournal.read(journal.file);
+  runner.assert(read.length === 2 && read[1].type === 'TICKER', 'Truncated last line skipped');
+
+  fs.writeFileSync(journal.file, '{"seq":1}\nnot json\n{"seq":3}\n');
+  let error = null;
+  try {
+    SessionJournal.read(journal.file);
+  } catch (e) {
+    error = e;
+  }
+  runner.assert(error && error.message.includes(':2:'), 'Corrupt line mid-file rejected');
+}
+
+// ============================================================================
+// ENGINE RECORDING
+// ============================================================================
+
+async function testPaperSession(runner, dir) {
+  console.log('\n--- Paper Session Recording ---');
+
+  const clockRef = { now: START };
+  const clock = () => clockRef.now;
+  const file = path.join(dir, 'paper.jsonl');
+  const engine = new TradingEngineV3({
+    mode: 'paper', logDir: path.join(dir, 'paper'), clock, journal: new SessionJournal({ file, clock })
+  });
+  await runSession(engine, clockRef);
+
+  const entries = SessionJournal.read(file);
+  const inputs = entries.filter(e => e.kind === 'input');
+  const decisions = entries.filter(e => e.kind === 'decision');
+  const types = kind => new Set(entries.filter(e => e.kind === kind).map(e => e.type));
+
+  runner.assert(entries[0].kind === 'meta' && entries[0].type === 'SESSION_START' && entries[0].data.mode === 'paper', 'Session starts with a snapshot');
+  runner.assert(entries.every((e, i) => e.seq === i + 1), 'Sequence numbers are contiguous');
+  runner.assert(['CANDLE', 'TICKER', 'FUNDING', 'CONFIG_CHANGE', 'COMMAND'].every(t => types('input').has(t)), 'Every input kind journaled', [...types('input')].join());
+  runner.assert(['SIGNAL', 'ENTRY', 'STOP_MOVE', 'EXIT'].every(t => types('decision').has(t)), 'Every decision kind journaled', [...types('decision')].join());
+  runner.assert(inputs.filter(e => e.type === 'CANDLE').length === CLOSES.length, 'One input per candle');
+  runner.assert(decisions.every(d => entries[d.cause - 1].kind === 'input'), 'Each decision caused by an input');
+
+  const entry = decisions.find(d => d.type === 'ENTRY');
+  runner.assert(entries[entry.cause - 1].type === 'CANDLE' && entry.data.side === 'long' && entry.data.entryPrice === CLOSES[0], 'Entry on the first bullish candle');
+  runner.assert(entry.ts === START + INTERVAL, 'Entries stamped by the injected clock');
+  runner.assert(engine.trades.length === 2 && engine.trades[0].entryTime === START + INTERVAL, 'Engine times come from the injected clock');
+
+  const moves = decisions.filter(d => d.type === 'STOP_MOVE');
+  runner.assert(moves[0].data.trigger === 'break_even' && moves.slice(1).every(m => m.data.trigger === 'trailing'), 'Break-even then trailing moves journaled', moves.map(m => m.data.trigger).join());
+  runner.assert(moves.every(m => m.data.to > m.data.from), 'Stop moves journaled with from/to');
+
+  const exit = decisions.find(d => d.type === 'EXIT');
+  runner.assertClose(exit.data.realizedPnl, engine.trades[0].realizedPnl.toNumber ? engine.trades[0].realizedPnl.toNumber() : engine.trades[0].realizedPnl, 1e-9, 'Exit journals realized PnL');
+
+  const commands = inputs.filter(e => e.type === 'COMMAND').map(e => e.data.name);
+  runner.assert(commands.join() === 'start,closeAllPositions,stop', 'Manual commands journaled', commands.join());
+  const change = inputs.find(e => e.type === 'CONFIG_CHANGE');
+  runner.assert(change.data.riskConfig.trailingDistance === 4 && engine.riskConfig.trailingDistance === 4, 'Config change applied and journaled');
+
+  const quiet = new TradingEngineV3({ mode: 'paper', logDir: path.join(dir, 'quiet') });
+  runner.assert(quiet.journal === null && !fs.existsSync(path.join(dir, 'quiet', 'journals')), 'No journal unless enabled');
+
+  return { file, engine };
+}
+
+// ============================================================================
+// REPLAY
+// ============================================================================
+
+async function testReplay(runner, dir, session) {
+  console.log('\n--- Paper Replay ---');
+
+  const replayer = new SessionReplayer();
+  const report = await replayer.replay(session.file);
+  const recorded = SessionJournal.read(session.file).filter(e => e.kind === 'decision').length;
+
+  runner.assert(report.identical === true, 'Replay reproduces every decision', JSON.stringify(report.firstDivergence));
+  runner.assert(report.decisions.recorded === recorded && report.decisions.replayed === recorded, 'Decision counts match');
+  runner.assert(report.inputs.CANDLE === CLOSES.length && report.inputs.COMMAND === 3, 'Inputs counted by type');
+  runner.assertClose(report.finalState.balance, session.engine.balance.toNumber(), 1e-9, 'Replay ends on the recorded balance');
+  runner.assert(SessionReplayer.formatReport(report).includes('IDENTICAL'), 'Text report says identical');
+
+  // A decision the engine would not make again
+  const entries = SessionJournal.read(session.file);
+  const entry = entries.find(e => e.type === 'ENTRY');
+  entry.data.stopLoss = String(Number(entry.data.stopLoss) - 1);
+  const tampered = await replayer.replay(entries);
+  runner.assert(!tampered.identical && tampered.divergences.length === 1, 'Altered decision diverges once', `${tampered.divergences.length}`);
+  runner.assert(tampered.firstDivergence.kind === 'CHANGED' && tampered.firstDivergence.fields.join() === 'stopLoss', 'Changed field reported');
+  runner.assert(tampered.firstDivergence.inputSeq === entry.cause && tampered.firstDivergence.inputType === 'CANDLE', 'Divergence tied to its input');
+
+  // Same inputs, different config: the replay decides differently from the first affected input on
+  const changed = SessionJournal.read(session.file);
+  changed.find(e => e.type === 'CONFIG_CHANGE').data.riskConfig.stopLossROI = 5;
+  const reconfigured = await replayer.replay(changed);
+  runner.assert(!reconfigured.identical && reconfigured.firstDivergence.recorded.type === 'ENTRY', 'Config change in the journal drives the replay');
+
+  // A candle that no longer signals: the entry and everything after it goes missing
+  const neutral = SessionJournal.read(session.file);
+  const firstCandle = neutral.find(e => e.type === 'CANDLE');
+  firstCandle.data.indicators = indicators('neutral');
+  const missing = await replayer.replay(neutral);
+  const kinds = new Set(missing.divergences.map(d => d.kind));
+  runner.assert(missing.firstDivergence.inputSeq === firstCandle.seq, 'First divergence at the altered input');
+  runner.assert(kinds.has('MISSING') && missing.divergences.some(d => d.kind === 'MISSING' && d.recorded.type === 'ENTRY'), 'Missing entry reported');
+  runner.assert(SessionReplayer.formatReport(missing).includes('DIVERGED'), 'Text report says diverged');
+
+  const ignored = replayer._diffFields({ id: 'a', time: 1, price: '1.0000000000001' }, { id: 'b', time: 2, price: '1' });
+  runner.assert(ignored.length === 0, 'Ids, times and float noise ignored');
+
+  let error = null;
+  try {
+    await replayer.replay(entries.filter(e => e.kind !== 'meta'));
+  } catch (e) {
+    error = e;
+  }
+  runner.assert(error && error.message.includes('SESSION_START'), 'Journal without snapshot rejected');
+
+  const unknown = SessionJournal.read(session.file);
+  unknown.push({ seq: unknown.length + 1, ts: START, kind: 'input', type: 'COMMAND', symbol: null, data: { name: 'emit', args: [] } });
+  const rejected = await replayer.replay(unknown);
+  runner.assert(rejected.errors.length === 1 && !rejected.identical, 'Unknown commands recorded as errors, not executed');
+
+  const cli = path.join(__dirname, '..', 'scripts', 'replay-session.js');
+  const reportFile = path.join(dir, 'report.json');
+  const ok = spawnSync(process.execPath, [cli, '--journal', session.file, '--report', reportFile], { encoding: 'utf8', timeout: 60000 });
+  runner.assert(ok.status === 0 && JSON.parse(fs.readFileSync(reportFile, 'utf8')).identical === true, 'CLI exits 0 and saves report', ok.stderr);
+
+  const tamperedFile = path.join(dir, 'tampered.jsonl');
+  rewrite(tamperedFile, neutral);
+  const bad = spawnSync(process.execPath, [cli, '--journal', tamperedFile], { encoding: 'utf8', timeout: 60000 });
+  runner.assert(bad.status === 1 && bad.stdout.includes('MISSING ENTRY'), 'CLI exits 1 on divergence', bad.stderr);
+}
+
+async function testLiveReplay(runner, dir) {
+  console.log('\n--- Live Session Replay ---');
+
+  const clockRef = { now: START };
+  const clock = () => clockRef.now;
+  const file = path.join(dir, 'live.jsonl');
+  const sim = new SimulatedExchange({ balance: 100000, slippage: 0, clock });
+  sim.setPrice('ETHUSDTM', 2000);
+  await sim.placeOrder({ clientOid: 'manual-1', symbol: 'ETHUSDTM', side: 'sell', type: 'market', size: 5, leverage: 5 });
+
+  const engine = new TradingEngineV3({
+    mode: 'live', exchange: sim, logDir: path.join(dir, 'live'), clock,
+    journal: new SessionJournal({ file, clock }), reconcileIntervalMs: 0
+  });
+  const reconciled = await engine.reconciler.reconcile();
+  runner.assert(reconciled.ok && engine.positions.has('ETHUSDTM'), 'Reconciler adopts the manual position');
+
+  await runSession(engine, clockRef, sim);
+
+  const entries = SessionJournal.read(file);
+  runner.assert(entries.some(e => e.type === 'EXCHANGE_ADOPT' && e.symbol === 'ETHUSDTM'), 'Adoption journaled as an input');
+  runner.assert(entries.filter(e => e.type === 'EXIT').length === 3, 'Adopted and traded positions closed in the journal');
+
+  const report = await new SessionReplayer().replay(file);
+  runner.assert(report.mode === 'live' && report.identical, 'Live session replays against a simulated exchange', JSON.stringify(report.firstDivergence || report.errors));
+  runner.assert(report.inputs.EXCHANGE_ADOPT === 1 && report.finalState.trades === 3, 'Reconciler correction replayed');
+}
+
+async function runAllTests() {
+  console.log('Starting Session Journal Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-journal-'));
+
+  try {
+    testJournal(runner, dir);
+    const session = await testPaperSession(runner, dir);
+    await testReplay(runner, dir, session);
+    await testLiveReplay(runner, dir);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
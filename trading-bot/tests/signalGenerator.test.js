@@ -416,6 +416,38 @@ async function testEntryWarning(runner) {
   );
 }
 
+async function testWeightsOverride(runner) {
+  console.log('\n--- Testing Weights Override ---');
+
+  const baseWeights = JSON.parse(JSON.stringify(require('../signal-weights')));
+  const indicators = createBullishIndicators();
+  const baseline = new SignalGeneratorV2({ enhancedMode: true, weights: baseWeights }).generate(indicators);
+
+  const noDivergence = JSON.parse(JSON.stringify(baseWeights));
+  noDivergence.indicators.rsi.signals.divergence.enabled = false;
+  const ablated = new SignalGeneratorV2({ enhancedMode: true, weights: noDivergence }).generate(indicators);
+
+  const rsiTypes = ablated.breakdown.indicators.rsi.signals.map(s => s.type);
+  runner.assert(
+    !rsiTypes.includes('bullish_divergence') && rsiTypes.includes('crossover'),
+    'Disabled sub-signal is dropped, other sub-signals kept',
+    `RSI signals: ${rsiTypes.join(', ')}`
+  );
+  runner.assert(
+    ablated.breakdown.indicators.williamsR.signals.some(s => s.type === 'bullish_divergence'),
+    'Sub-signal disabling is scoped to its indicator'
+  );
+  runner.assert(
+    ablated.divergenceCount === baseline.divergenceCount - 1,
+    'Disabled sub-signal no longer counts as divergence'
+  );
+
+  const noRsi = JSON.parse(JSON.stringify(baseWeights));
+  noRsi.indicators.rsi.enabled = false;
+  const withoutRsi = new SignalGeneratorV2({ enhancedMode: true, weights: noRsi }).generate(indicators);
+  runner.assert(!withoutRsi.breakdown.indicators.rsi, 'weights option can disable an indicator');
+}
+
 async function runAllTests() {
   console.log('Starting SignalGeneratorV2 Test Suite\n');
   console.log('='.repeat(60));
@@ -429,6 +461,7 @@ async function runAllTests() {
     await testConfidenceCalculation(runner);
     await testBreakdownGeneration(runner);
     await testEntryWarning(runner);
+    await testWeightsOverride(runner);
   } catch (error) {
     console.error('Test execution error:', error);
     runner.failed++;
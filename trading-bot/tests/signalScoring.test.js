@@ -0,0 +1,412 @@
+/**
+ * Signal Scoring Test Suite
+ *
+ * Tests the shared scoring engine and its compatibility with every entry point:
+ * - Profile loading and weight resolution (signal-weights.js + switches/signalProfiles)
+ * - Indicator normalization (dashboard, screener and agent field names)
+ * - Level signals for snapshot Stochastic, Bollinger, EMA and OBV values, and
+ *   their contribution through the dashboard, screener and agent entry points
+ * - Identical scores for identical inputs across SignalGeneratorV2, the dashboard
+ *   generator, the configurable generator, SignalAgent and ScreenerAgent
+ */
+
+const SignalGeneratorV2 = require('../src/lib/SignalGeneratorV2');
+const {
+  SIGNAL_TIERS,
+  listProfiles,
+  loadProfile,
+  resolveWeights,
+  getScoringEngine,
+  normalizeIndicators,
+  signalTier
+} = require('../src/lib/SignalScoring');
+const signalWeights = require('../signal-weights');
+const DashboardSignalGenerator = require('../core/DashboardSignalGenerator');
+const ConfigurableSignalGenerator = require('../core/SignalGenerator-configurable');
+const coreWeights = require('../core/signal-weights');
+const SignalAgent = require('../agents/signal-agent');
+const ScreenerAgent = require('../agents/screener-agent');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+// Dashboard snapshot (core/server.js MarketDataManager.getIndicators)
+const DASHBOARD_BULLISH = {
+  price: 100, rsi: 22, williamsR: -90, atr: 1.2, atrPercent: 1.2, ao: 1.5,
+  macd: 0.5, macdSignal: 0.2, macdHistogram: 0.3, ema50: 101, ema200: 99,
+  bollingerUpper: 105, bollingerMiddle: 100, bollingerLower: 95, stochK: 10, stochD: 15
+};
+
+const DASHBOARD_BEARISH = {
+  price: 100, rsi: 80, williamsR: -5, atr: 1.2, atrPercent: 1.2, ao: -2,
+  macd: -0.5, macdSignal: -0.2, macdHistogram: -0.3, ema50: 98, ema200: 99,
+  bollingerUpper: 105, bollingerMiddle: 100, bollingerLower: 95, stochK: 90, stochD: 85
+};
+
+// ScreenerAgent indicator shape (src/screener/IndicatorState.getIndicators)
+const SCREENER = {
+  stochRsi: { k: 8, d: 12 },
+  williamsR: -92,
+  stochastic: { k: 12, d: 18 },
+  emaFast: 101, emaMid: 100, emaSlow: 98, currentPrice: 102,
+  atr: 1.1, volume: 5000, avgVolume: 2000, cmf: 0.25,
+  bollinger: { upper: 105, middle: 100, lower: 95, percentB: 5 },
+  kdj: { k: 20, d: 15, j: 10 },
+  ao: { value: -0.4, prevValue: -0.6, signal: 'weakening_bear' },
+  obv: { value: 12000, sma: 10000, trend: 'bullish' }
+};
+
+// SignalAgent indicator cache shape ({ ..., signals } per indicator)
+const AGENT = {
+  rsi: {
+    value: 28,
+    signals: [
+      { type: 'bullish_crossover', direction: 'bullish', strength: 'strong' },
+      { type: 'divergence', direction: 'bullish', strength: 'strong', kind: 'regular' }
+    ]
+  },
+  macd: { macdLine: 0.4, signalLine: 0.2, histogram: 0.2, signals: [{ type: 'bullish_crossover', direction: 'bullish', strength: 'moderate' }] },
+  williamsR: { value: -88, signals: [{ type: 'oversold', direction: 'bullish', strength: 'moderate' }] },
+  ao: { value: -0.2, signals: [] },
+  stochastic: { k: 15, d: 12, signals: [{ type: 'kd_crossover', direction: 'bullish', strength: 'moderate' }] },
+  bollinger: { upper: 105, middle: 100, lower: 95, percentB: 0.05, bandwidth: 0.1, signals: [{ type: 'lower_band_touch', direction: 'bullish', strength: 'weak' }] },
+  ema: { short: 101, medium: 100, long: 99, trend: 97, signals: [{ type: 'trend_direction', direction: 'bullish', strength: 'moderate' }] },
+  kdj: { k: 20, d: 18, j: 12, signals: [{ type: 'j_oversold', direction: 'bullish', strength: 'strong' }] },
+  obv: { value: 15000, signals: [{ type: 'bearish_slope', direction: 'bearish', strength: 'weak' }] },
+  stochRsi: { k: 10, d: 14, signals: [{ type: 'oversold_zone', direction: 'bullish', strength: 'moderate' }] },
+  cmf: { value: 0.2, signals: [{ type: 'zero_crossover', direction: 'bullish', strength: 'moderate' }] },
+  timestamp: 1767225600000
+};
+
+const FIXTURES = { DASHBOARD_BULLISH, DASHBOARD_BEARISH, SCREENER, AGENT };
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+async function agentScore(agent, indicators) {
+  agent.indicatorCache.set('XBTUSDTM:15min', indicators);
+  const result = await agent._generateSignal('XBTUSDTM', '15min');
+  return result.value;
+}
+
+// ============================================================================
+// PROFILES AND WEIGHTS
+// ============================================================================
+
+function testProfiles(runner) {
+  console.log('\n--- Profiles and Weights ---');
+
+  const names = listProfiles();
+  runner.assert(['aggressive', 'balanced', 'conservative', 'neutral', 'scalping'].every(n => names.includes(n)),
+    'Profiles listed from switches/signalProfiles', names.join(','));
+  runner.assert(loadProfile(null) === null, 'No profile resolves to null');
+  runner.assert(loadProfile('balanced').name === 'balanced', 'Profile loaded by name');
+  runner.assert(throws(() => loadProfile('moonshot')), 'Unknown profile rejected');
+
+  const base = resolveWeights();
+  runner.assert(JSON.stringify(base) === JSON.stringify(signalWeights), 'No profile leaves signal-weights.js unchanged');
+  runner.assert(base !== signalWeights, 'Resolved weights are a copy');
+
+  const conservative = loadProfile('conservative');
+  const cw = resolveWeights('conservative');
+  runner.assert(cw.indicators.rsi.maxWeight === conservative.weights.rsi, 'Numeric profile weight sets maxWeight',
+    `${cw.indicators.rsi.maxWeight}`);
+  runner.assert(cw.entryRequirements.minScore === conservative.thresholds.minScoreForEntry, 'minScoreForEntry sets entry minScore');
+  runner.assert(signalWeights.indicators.rsi.maxWeight !== undefined && resolveWeights().indicators.rsi.maxWeight === signalWeights.indicators.rsi.maxWeight,
+    'Resolving a profile does not mutate signal-weights.js');
+
+  const balanced = loadProfile('balanced');
+  const bw = resolveWeights('balanced');
+  runner.assert(bw.indicators.williamsR.maxWeight === balanced.weights.williamsR.max, '{ max } profile weight sets maxWeight');
+  runner.assert(bw.indicators.stochastic.maxWeight === balanced.weights.stochastic.max, 'Indicator missing from signal-weights.js is added');
+  runner.assert(bw.indicators.dom.enabled === false, 'Profile can disable an indicator');
+  runner.assert(bw.entryRequirements.minScore === balanced.thresholds.buy, 'buy threshold is the fallback entry minScore');
+
+  const engine = getScoringEngine({ profile: 'balanced' });
+  runner.assert(engine.indicatorWeights.williamsR.max === balanced.weights.williamsR.max, 'Engine built from profile weights');
+  runner.assert(engine.indicatorWeights.stochastic.max === balanced.weights.stochastic.max, 'Stochastic weight configurable');
+  runner.assert(getScoringEngine({ profile: 'balanced' }) === engine, 'Named profile engines are shared');
+  runner.assert(new SignalGeneratorV2().indicatorWeights.stochastic.max === 10, 'Default stochastic weight unchanged');
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+function testNormalize(runner) {
+  console.log('\n--- Indicator Normalization ---');
+
+  const flat = normalizeIndicators(DASHBOARD_BULLISH);
+  runner.assert(flat.macd.histogram === 0.3, 'macdHistogram mapped to macd.histogram');
+  runner.assert(flat.stochastic.value.k === 10 && flat.stochastic.value.d === 15, 'stochK/stochD mapped to stochastic');
+  runner.assert(flat.emaTrend.value.trend_direction === 'bullish', 'ema50/ema200 mapped to emaTrend direction');
+  runner.assert(flat.bollinger.value.lower === 95, 'Bollinger bands mapped');
+  runner.assert(flat.atr === undefined && flat.price === undefined, 'Unscored fields dropped');
+
+  const screener = normalizeIndicators(SCREENER);
+  runner.assert(screener.stochRSI === SCREENER.stochRsi, 'stochRsi aliased to stochRSI');
+  runner.assert(screener.emaTrend.value.short === 101 && screener.emaTrend.value.long === 98, 'emaFast/emaSlow mapped to emaTrend');
+  runner.assert(screener.emaTrend.value.medium === 100, 'emaMid kept on emaTrend');
+  runner.assert(screener.cmf === undefined, 'CMF not scored');
+  runner.assert(SCREENER.obv.signals === undefined && SCREENER.bollinger.signals === undefined,
+    'Snapshot signals do not modify the input');
+
+  const agent = normalizeIndicators(AGENT);
+  runner.assert(agent.emaTrend === AGENT.ema, 'ema aliased to emaTrend');
+  runner.assert(agent.stochastic === AGENT.stochastic && agent.bollinger === AGENT.bollinger && agent.obv === AGENT.obv,
+    'Indicators with signals passed through');
+  runner.assert(agent.timestamp === undefined, 'Non-indicator keys dropped');
+
+  runner.assert(signalTier('EXTREME_BUY').signal === 'STRONG_BUY' && signalTier('BUY_WEAK').strength === 'weak',
+    'Engine classifications map onto BUY/SELL tiers');
+  runner.assert(signalTier('NEUTRAL').signal === 'NEUTRAL', 'Unmapped classification is NEUTRAL');
+  runner.assert(Object.keys(SIGNAL_TIERS).length === 8, 'Every directional classification has a tier');
+}
+
+// ============================================================================
+// SNAPSHOT SIGNALS
+// ============================================================================
+
+function typesOf(indicator) {
+  return (indicator?.signals || []).map(s => `${s.type}:${s.strength}`);
+}
+
+function testSnapshotSignals(runner) {
+  console.log('\n--- Snapshot Signals ---');
+
+  const oversold = normalizeIndicators({ stochK: 5, stochD: 8 }).stochastic;
+  const overbought = normalizeIndicators({ stochastic: { k: 85, d: 80 } }).stochastic;
+  const neutralK = normalizeIndicators({ stochK: 50, stochD: 50 }).stochastic;
+  runner.assert(typesOf(oversold).join() === 'oversold_zone:extreme', 'Stochastic %K < 10 is an extreme oversold zone',
+    typesOf(oversold).join());
+  runner.assert(typesOf(overbought).join() === 'overbought_zone:moderate', 'Stochastic %K > 80 is an overbought zone');
+  runner.assert(neutralK.signals.length === 0, 'Stochastic mid-range has no signal');
+
+  const bands = { bollingerUpper: 105, bollingerMiddle: 100, bollingerLower: 95 };
+  const below = normalizeIndicators({ ...bands, price: 90 }).bollinger;
+  const touch = normalizeIndicators({ ...bands, price: 95 }).bollinger;
+  const above = normalizeIndicators({ bollinger: { upper: 105, middle: 100, lower: 95, percentB: 150 }, currentPrice: 106 }).bollinger;
+  runner.assert(typesOf(below).join() === 'lower_band_touch:moderate,percentb_oversold:strong',
+    'Price below the lower band: band touch and strong %B oversold', typesOf(below).join());
+  runner.assert(typesOf(touch).join() === 'lower_band_touch:moderate', 'Price on the lower band: band touch only');
+  runner.assert(typesOf(above).join() === 'upper_band_touch:moderate,percentb_overbought:moderate',
+    '%B from price and bands, not the snapshot percentB', typesOf(above).join());
+  runner.assert(normalizeIndicators({ ...bands }).bollinger.signals.length === 0, 'No price, no Bollinger signals');
+  runner.assert(normalizeIndicators({ bollinger: { upper: 0, middle: 0, lower: 0, percentB: 50 }, currentPrice: 1 }).bollinger.signals.length === 0,
+    'Unready bands give no Bollinger signals');
+
+  const uptrend = normalizeIndicators({ price: 90, ema50: 120, ema200: 80 }).emaTrend;
+  const downtrend = normalizeIndicators({ price: 97, ema50: 98, ema200: 99 }).emaTrend;
+  const unstacked = normalizeIndicators({ currentPrice: 102, emaFast: 99, emaMid: 100, emaSlow: 98 }).emaTrend;
+  runner.assert(typesOf(uptrend).join() === 'bullish_trend:strong', 'Price and fast EMA above slow EMA: bullish trend',
+    typesOf(uptrend).join());
+  runner.assert(typesOf(downtrend).join() === 'bearish_trend:moderate', 'Price and fast EMA below slow EMA: bearish trend');
+  runner.assert(unstacked.signals.length === 0, 'Mid EMA out of order: no trend signal');
+
+  const obv = normalizeIndicators(SCREENER).obv;
+  runner.assert(typesOf(obv).join() === 'bullish_obv_slope:moderate' && obv.value === 12000, 'OBV trend becomes an OBV slope signal');
+  runner.assert(normalizeIndicators({ obv: { value: 1, sma: 1, trend: 'neutral' } }).obv.signals.length === 0, 'Neutral OBV has no signal');
+}
+
+function contributionOf(breakdown, name) {
+  return breakdown.indicators[name]?.contribution || 0;
+}
+
+async function testSnapshotContributions(runner) {
+  console.log('\n--- Snapshot Contributions ---');
+
+  // ema50 well above ema200, %K at 5 and price below the lower band
+  const snapshot = {
+    price: 90, rsi: 50, williamsR: -50, ao: 0, macd: 0, macdSignal: 0, macdHistogram: 0,
+    ema50: 120, ema200: 80, bollingerUpper: 105, bollingerMiddle: 100, bollingerLower: 95, stochK: 5, stochD: 8
+  };
+  const dashboard = DashboardSignalGenerator.generate(snapshot);
+  const row = (label) => dashboard.breakdown.find(b => b.indicator === label);
+  runner.assert(dashboard.score > 0, 'Dashboard: trend, Stochastic and Bollinger snapshot scores bullish', `${dashboard.score}`);
+  for (const label of ['EMA Trend', 'Stochastic', 'Bollinger']) {
+    runner.assert(row(label)?.contribution > 0 && row(label).type === 'bullish', `Dashboard: ${label} contributes`,
+      JSON.stringify(row(label)));
+  }
+  runner.assert(row('Stochastic').value === '5.0', 'Dashboard: Stochastic value shown');
+  runner.assert(/oversold/.test(row('Bollinger').reason), 'Dashboard: Bollinger reason from its signal', row('Bollinger').reason);
+
+  const reference = getScoringEngine().generate(normalizeIndicators(SCREENER)).breakdown;
+  for (const name of ['emaTrend', 'stochastic', 'obv']) {
+    runner.assert(contributionOf(reference, name) > 0, `Screener: ${name} contributes`, `${contributionOf(reference, name)}`);
+  }
+  const lowBand = { ...SCREENER, currentPrice: 94, emaFast: 95, emaMid: 96, emaSlow: 98 };
+  const lowBreakdown = getScoringEngine().generate(normalizeIndicators(lowBand)).breakdown;
+  runner.assert(contributionOf(lowBreakdown, 'bollinger') > 0, 'Screener: Bollinger contributes below the lower band');
+  runner.assert(contributionOf(lowBreakdown, 'emaTrend') < 0, 'Screener: stacked EMAs below price contribute bearish');
+
+  const screener = new ScreenerAgent({});
+  const withoutLevels = { ...SCREENER, stochastic: { k: 50, d: 50 }, obv: { value: 1, sma: 1, trend: 'neutral' } };
+  runner.assert(screener._calculateScore(SCREENER) > screener._calculateScore(withoutLevels),
+    'ScreenerAgent: Stochastic and OBV move the score');
+  runner.assert(screener.minScore === 40, 'ScreenerAgent minScore on the engine scale');
+
+  const agent = new SignalAgent({});
+  const agentBase = { ...AGENT, stochastic: undefined };
+  const agentResult = await agentScore(agent, { ...agentBase, stochastic: { k: 5, d: 8 } });
+  const agentWithout = await agentScore(agent, agentBase);
+  runner.assert(agentResult.score > agentWithout.score, 'SignalAgent: bare Stochastic snapshot contributes',
+    `${agentResult.score} vs ${agentWithout.score}`);
+}
+
+// ============================================================================
+// COMPATIBILITY: EVERY ENTRY POINT, SAME SCORE
+// ============================================================================
+
+async function testCompatibility(runner) {
+  console.log('\n--- Entry Point Compatibility ---');
+
+  const configurable = new ConfigurableSignalGenerator({ ...coreWeights, activeProfile: 'default' });
+  const agent = new SignalAgent({});
+  const screener = new ScreenerAgent({});
+
+  for (const [name, indicators] of Object.entries(FIXTURES)) {
+    const reference = new SignalGeneratorV2().generate(normalizeIndicators(indicators));
+    const shared = getScoringEngine().generate(normalizeIndicators(indicators));
+
+    runner.assert(reference.score !== 0, `${name}: fixture produces a score`, `${reference.score}`);
+    runner.assert(shared.score === reference.score && shared.type === reference.type,
+      `${name}: shared engine equals SignalGeneratorV2`, `${shared.score} vs ${reference.score}`);
+
+    const dashboard = DashboardSignalGenerator.generate(indicators);
+    runner.assert(dashboard.score === reference.score, `${name}: dashboard score identical`, `${dashboard.score} vs ${reference.score}`);
+    runner.assert(dashboard.type === signalTier(reference.type).signal, `${name}: dashboard type from engine classification`);
+
+    const config = configurable.generateSignal(indicators);
+    runner.assert(config.score === reference.score, `${name}: configurable generator score identical`, `${config.score} vs ${reference.score}`);
+    runner.assert(config.signal === signalTier(reference.type).signal && config.strength === signalTier(reference.type).strength,
+      `${name}: configurable signal/strength from engine classification`);
+
+    const agentResult = await agentScore(agent, indicators);
+    runner.assert(agentResult.score === reference.score, `${name}: SignalAgent score identical`, `${agentResult.score} vs ${reference.score}`);
+    runner.assert(agentResult.classification === reference.type && agentResult.confidence === reference.confidence,
+      `${name}: SignalAgent classification and confidence identical`);
+
+    const screenerScore = screener._calculateScore(indicators);
+    runner.assert(screenerScore === reference.score, `${name}: ScreenerAgent score identical`, `${screenerScore} vs ${reference.score}`);
+  }
+
+  const bullish = DashboardSignalGenerator.generate(DASHBOARD_BULLISH);
+  const bearish = DashboardSignalGenerator.generate(DASHBOARD_BEARISH);
+  runner.assert(bullish.score > 0 && bearish.score < 0, 'Bullish and bearish snapshots score in opposite directions',
+    `${bullish.score} / ${bearish.score}`);
+  runner.assert(['HIGH', 'MEDIUM', 'LOW'].includes(bullish.confidence), 'Dashboard confidence is HIGH/MEDIUM/LOW');
+  runner.assert(bullish.breakdown.some(b => b.indicator === 'RSI' && b.type === 'bullish' && b.contribution > 0),
+    'Dashboard breakdown lists indicator contributions');
+}
+
+async function testProfileCompatibility(runner) {
+  console.log('\n--- Profile Compatibility ---');
+
+  for (const profile of ['conservative', 'balanced', 'scalping']) {
+    const reference = new SignalGeneratorV2({ weights: resolveWeights(profile) });
+    const configurable = new ConfigurableSignalGenerator({ ...coreWeights, activeProfile: profile });
+    const agent = new SignalAgent({ profile });
+    const screener = new ScreenerAgent({ profile });
+
+    for (const [name, indicators] of Object.entries(FIXTURES)) {
+      const expected = reference.generate(normalizeIndicators(indicators)).score;
+      const scores = [
+        DashboardSignalGenerator.generate(indicators, { profile }).score,
+        configurable.generateSignal(indicators).score,
+        (await agentScore(agent, indicators)).score,
+        screener._calculateScore(indicators)
+      ];
+      runner.assert(scores.every(s => s === expected), `${profile}/${name}: all entry points agree`,
+        `${scores.join(', ')} vs ${expected}`);
+    }
+  }
+
+  const defaultScore = getScoringEngine().generate(normalizeIndicators(SCREENER)).score;
+  const scalpingScore = getScoringEngine({ profile: 'scalping' }).generate(normalizeIndicators(SCREENER)).score;
+  runner.assert(defaultScore !== scalpingScore, 'Profile weights change the score', `${defaultScore} vs ${scalpingScore}`);
+
+  const generator = new ConfigurableSignalGenerator({ ...coreWeights, activeProfile: 'default' });
+  runner.assert(generator.switchProfile('scalping') === true, 'switchProfile accepts a switches profile');
+  runner.assert(generator.generateSignal(SCREENER).score === scalpingScore, 'Switched profile scores with its weights');
+  runner.assert(generator.switchProfile('swingTrading') === false, 'switchProfile rejects unknown profiles');
+  runner.assert(generator.weightsConfig.activeProfile === 'scalping', 'Rejected switch keeps the active profile');
+}
+
+function testAgentDivergence(runner) {
+  console.log('\n--- SignalAgent Divergence ---');
+
+  const agent = new SignalAgent({});
+  const prices = [10, 8, 10, 10, 10, 10, 10, 6, 10, 10];
+  const values = [50, 30, 50, 50, 50, 50, 50, 40, 50, 50];
+  const divergence = agent._detectDivergence(prices, values);
+
+  runner.assert(divergence && divergence.direction === 'bullish' && divergence.kind === 'regular', 'Bullish divergence detected',
+    JSON.stringify(divergence));
+}
+
+async function runAllTests() {
+  console.log('Starting Signal Scoring Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    testProfiles(runner);
+    testNormalize(runner);
+    testSnapshotSignals(runner);
+    await testSnapshotContributions(runner);
+    await testCompatibility(runner);
+    await testProfileCompatibility(runner);
+    testAgentDivergence(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,428 @@
+/**
+ * Streaming Screener Test Suite
+ *
+ * Tests the incremental screener pipeline:
+ * - src/data/CandleAggregator.js (streaming resample to higher timeframes)
+ * - src/screener/IndicatorState.js (src/indicators advanced bar by bar)
+ * - src/screener/SymbolStream.js (seed, forming/closed candles, gap backfill)
+ * - ScreenerAgent fed by DataAgent kline pushes: no REST calls after seeding
+ *   except gap backfills
+ */
+
+const { CandleAggregator } = require('../src/data');
+const { resample } = require('../src/data/CandleRepository');
+const { StochasticRSI, WilliamsRIndicator, BollingerBands } = require('../src/indicators');
+const { IndicatorState, SymbolStream } = require('../src/screener');
+const ScreenerAgent = require('../agents/screener-agent');
+const DataAgent = require('../agents/data-agent');
+const SimulatedExchange = require('../src/exchange/SimulatedExchange');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const MINUTE = 60 * 1000;
+const BAR = 15 * MINUTE;
+const START = Date.UTC(2026, 0, 1);
+
+/**
+ * Deterministic 15min series: trend + two cycles, so oscillators move
+ */
+function series(start, count, seed = 1) {
+  const candles = [];
+  let price = 100 * seed;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price = open * (1 + 0.004 * Math.sin(i / 7 + seed) + 0.002 * Math.cos(i / 3) + 0.0002);
+    candles.push({
+      ts: start + i * BAR,
+      open,
+      high: Math.max(open, price) * 1.002,
+      low: Math.min(open, price) * 0.998,
+      close: price,
+      volume: 1000 + 400 * Math.sin(i / 5) + i
+    });
+  }
+  return candles;
+}
+
+// KuCoin limitCandle push: [start (s), open, close, high, low, volume, turnover]
+function wsMessage(symbol, timeframe, candle) {
+  return JSON.stringify({
+    type: 'message',
+    topic: `/contractMarket/limitCandle:${symbol}_${timeframe}`,
+    data: {
+      symbol,
+      candles: [candle.ts / 1000, candle.open, candle.close, candle.high, candle.low, candle.volume, 0].map(String),
+      time: candle.ts
+    }
+  });
+}
+
+function sameCandle(a, b) {
+  return a && b && ['ts', 'open', 'high', 'low', 'close', 'volume']
+    .every(k => Math.abs(a[k] - b[k]) < 1e-9);
+}
+
+function flush() {
+  return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+// Silence agent logging for the duration of fn
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// ============================================================================
+// CANDLE AGGREGATOR
+// ============================================================================
+
+function testAggregator(runner) {
+  console.log('\n--- Candle Aggregator ---');
+
+  const base = series(START, 16);
+  const hourly = new CandleAggregator('15min', '1hour');
+  const emitted = [];
+  const emittedAt = [];
+  base.forEach((candle, i) => {
+    const out = hourly.push(candle);
+    if (out.length > 0) emittedAt.push(i);
+    emitted.push(...out);
+  });
+
+  const expected = resample(base, '15min', '1hour');
+  runner.assert(emitted.length === 4 && emitted.every((c, i) => sameCandle(c, expected[i])),
+    'Streaming aggregation equals CandleRepository.resample');
+  runner.assert(emittedAt.join() === '3,7,11,15', 'Hour closes with its last 15min candle', emittedAt.join());
+  runner.assert(hourly.getForming() === null, 'Nothing forming between buckets');
+
+  runner.assert(hourly.push(base[3]).length === 0, 'Candles at or before the last one are ignored');
+
+  const partial = new CandleAggregator('15min', '1hour');
+  partial.push(base[0]);
+  partial.push(base[1]);
+  runner.assert(partial.getForming().close === base[1].close, 'Forming bucket exposes the latest close');
+  const out = partial.push(base[5]);
+  runner.assert(out.length === 1 && out[0].ts === START && out[0].close === base[1].close,
+    'Bucket missing its last candle is emitted when the next one starts');
+
+  let threw = false;
+  try {
+    new CandleAggregator('1hour', '15min');
+  } catch (e) {
+    threw = true;
+  }
+  runner.assert(threw, 'Aggregating into a lower timeframe throws');
+}
+
+// ============================================================================
+// INDICATOR STATE
+// ============================================================================
+
+function testIndicatorState(runner) {
+  console.log('\n--- Indicator State ---');
+
+  const candles = series(START, 120);
+  const state = new IndicatorState({ timeframe: '15min', historyLength: 100 });
+  const stochRsi = new StochasticRSI(IndicatorState.OPTIMIZED_PARAMS.stochRsi);
+  const williams = new WilliamsRIndicator({ period: IndicatorState.OPTIMIZED_PARAMS.williams.period });
+  const bollinger = new BollingerBands(IndicatorState.OPTIMIZED_PARAMS.bollinger);
+
+  for (let i = 0; i < 49; i++) state.update(candles[i]);
+  runner.assert(!state.isReady() && Object.keys(state.getIndicators()).length === 0,
+    'Not scored before MIN_BARS closed candles');
+
+  for (let i = 49; i < candles.length; i++) state.update(candles[i]);
+  let expectedK = null;
+  let expectedWR = null;
+  let expectedPB = null;
+  for (const candle of candles) {
+    expectedK = stochRsi.update(candle).value.k;
+    expectedWR = williams.update(candle).value;
+    expectedPB = bollinger.update(candle).value.percentB;
+  }
+
+  const ind = state.getIndicators();
+  runner.assert(state.isReady() && state.bars === 120 && state.version === 120, 'Bars and version count updates');
+  runner.assert(state.candles.length === 100, 'Candle window capped at historyLength');
+  runner.assertClose(ind.stochRsi.k, expectedK, 1e-9, 'StochRSI K from src/indicators/StochasticRSI');
+  runner.assertClose(ind.williamsR, expectedWR, 1e-9, 'Williams %R from src/indicators/WilliamsRIndicator');
+  runner.assert(ind.currentPrice === candles[119].close && ind.volume === candles[119].volume,
+    'Price and volume of the last closed candle');
+  runner.assert(ind.emaFast !== ind.emaSlow && ind.emaSlow !== ind.currentPrice, 'EMAs seeded after the slow period');
+  runner.assertClose(ind.bollinger.percentB, expectedPB * 100, 1e-9, 'Bollinger %B on the 0-100 scale');
+  runner.assert(['bullish', 'bearish', 'weakening_bull', 'weakening_bear', 'neutral'].includes(ind.ao.signal) &&
+    ind.ao.prevValue !== undefined, 'AO carries previous value and momentum label');
+  runner.assert(['bullish', 'bearish', 'neutral'].includes(ind.obv.trend) && Number.isFinite(ind.obv.sma), 'OBV trend against its SMA');
+  runner.assert(ind.atr > 0 && Math.abs(ind.cmf) <= 1, 'ATR and CMF from the candle window');
+  runner.assert(state.getIndicators() === ind, 'Indicator set cached until the next candle');
+}
+
+// ============================================================================
+// SYMBOL STREAM
+// ============================================================================
+
+function testSymbolStream(runner) {
+  console.log('\n--- Symbol Stream ---');
+
+  const all = series(START, 400);
+  // "Now" is 5 minutes into bar 300: bars 0-299 closed, 300 forming
+  const now = all[300].ts + 5 * MINUTE;
+  const hourly = resample(all.slice(0, 300), '15min', '1hour');
+
+  const stream = new SymbolStream({ symbol: 'XBTUSDTM', baseTimeframe: '15min', timeframes: ['15min', '1hour'] });
+  stream.seed({ '15min': all.slice(0, 301), '1hour': hourly }, now);
+
+  const base = stream.getState('15min');
+  const htf = stream.getState('1hour');
+  runner.assert(stream.seeded && base.bars === 300 && base.lastCandle().ts === all[299].ts,
+    'Seed feeds closed base candles only');
+  runner.assert(stream.forming.ts === all[300].ts && stream.getPrice() === all[300].close, 'Open candle becomes the forming candle');
+  runner.assert(htf.bars === 75 && sameCandle(htf.lastCandle(), hourly[74]), 'Higher timeframe seeded from its own history');
+
+  // Forming updates don't touch the indicators
+  const version = base.version;
+  const update = { ...all[300], close: all[300].close * 1.01 };
+  let result = stream.push(update, now);
+  runner.assert(result.closed.length === 0 && base.version === version && stream.getPrice() === update.close,
+    'Forming candle update moves the price, not the indicators');
+
+  // Next candle closes 300 (hour 300-303 still open)
+  result = stream.push(all[301], now + BAR);
+  runner.assert(result.closed.join() === '15min' && base.lastCandle().close === update.close,
+    'Newer candle closes the forming one with its last update');
+
+  stream.push({ ...all[301] }, now + BAR);
+  stream.push(all[302], now + 2 * BAR);
+  result = stream.push(all[303], now + 3 * BAR);
+  result = stream.push(all[304], now + 4 * BAR);
+  const expectedHour = resample([update, ...all.slice(301, 304)], '15min', '1hour')[0];
+  runner.assert(result.closed.join() === '15min,1hour' && sameCandle(htf.lastCandle(), expectedHour),
+    'Hour built locally from streamed 15min candles', JSON.stringify(result.closed));
+
+  runner.assert(stream.push(all[302], now).closed.length === 0, 'Stale pushes are ignored');
+
+  // Gap: 305 closes, 306-307 never pushed, 308 arrives
+  stream.push(all[305], now + 5 * BAR);
+  result = stream.push(all[308], now + 8 * BAR);
+  runner.assert(result.gap && result.gap.from === all[306].ts && result.gap.to === all[307].ts,
+    'Skipped bars reported as a gap', JSON.stringify(result.gap));
+  runner.assert(base.lastCandle().ts === all[305].ts && stream.forming.ts === all[308].ts && stream.queued.length === 0,
+    'Candle after the gap becomes the forming one');
+
+  // It closes before the backfill returns
+  stream.push(all[309], now + 9 * BAR);
+  runner.assert(stream.queued.length === 1 && base.lastCandle().ts === all[305].ts, 'Closes behind the gap wait for backfill');
+
+  const filled = stream.fill(all.slice(306, 308));
+  runner.assert(stream.pendingGap === null && stream.queued.length === 0 && base.lastCandle().ts === all[308].ts,
+    'Backfill delivers the gap, then the queued closes', base.lastCandle().ts);
+  runner.assert(filled.includes('15min') && filled.includes('1hour'), 'Backfill reports closed timeframes');
+
+  // Stream equals a straight feed of the same candles
+  const reference = new IndicatorState({ timeframe: '15min' });
+  for (const candle of [...all.slice(0, 300), update, ...all.slice(301, 309)]) reference.update(candle);
+  runner.assert(JSON.stringify(reference.getIndicators()) === JSON.stringify(base.getIndicators()),
+    'Indicators after gap fill equal an uninterrupted feed');
+
+  // Exchange has nothing for the gap: flat bars keep the bar count
+  const quiet = new SymbolStream({ symbol: 'XBTUSDTM', baseTimeframe: '15min', timeframes: ['15min'] });
+  quiet.seed({ '15min': all.slice(0, 101) }, all[100].ts + MINUTE);
+  quiet.push(all[101]);
+  const gap = quiet.push(all[104]).gap;
+  quiet.fill([]);
+  const quietBase = quiet.getState('15min');
+  const flat = quietBase.candles.slice(-2);
+  runner.assert(gap && quietBase.bars === 104 && flat.every(c => c.volume === 0 && c.close === all[101].close),
+    'Empty backfill fills flat zero-volume bars', `${quietBase.bars}`);
+
+  const skipped = new SymbolStream({ symbol: 'XBTUSDTM', baseTimeframe: '15min', timeframes: ['15min'] });
+  skipped.seed({ '15min': all.slice(0, 101) }, all[100].ts + MINUTE);
+  skipped.push(all[101]);
+  skipped.push(all[104]);
+  skipped.push(all[105]);
+  skipped.skipGap();
+  runner.assert(skipped.getState('15min').lastCandle().ts === all[104].ts && skipped.pendingGap === null,
+    'Failed backfill skips the gap and releases queued closes');
+
+  // No higher-timeframe history: resampled from the base seed
+  const derived = new SymbolStream({ symbol: 'XBTUSDTM', baseTimeframe: '15min', timeframes: ['1hour'] });
+  derived.seed({ '15min': all.slice(0, 301) }, now);
+  runner.assert(derived.getState('1hour').bars === 75 && sameCandle(derived.getState('1hour').lastCandle(), hourly[74]),
+    'Missing higher timeframe resampled from base history');
+}
+
+// ============================================================================
+// SCREENER AGENT ON DATA AGENT
+// ============================================================================
+
+async function testScreenerAgent(runner) {
+  console.log('\n--- ScreenerAgent Streaming ---');
+
+  const symbols = ['XBTUSDTM', 'ETHUSDTM'];
+  const NOW = Date.now();
+  const current = Math.floor(NOW / BAR) * BAR;
+  // 900 bars up to the open one, 20 more for later pushes
+  const first = current - 899 * BAR;
+  const data = Object.fromEntries(symbols.map((s, i) => [s, series(first, 920, i + 1)]));
+  const at = (symbol, ts) => data[symbol][(ts - first) / BAR];
+
+  const sim = new SimulatedExchange({ balance: 10000 });
+  for (const symbol of symbols) sim.loadCandles(symbol, data[symbol]);
+
+  // SimulatedExchange holds one series per symbol: serve other granularities resampled, and count REST calls
+  const klineCalls = [];
+  const getKlines = sim.getKlines.bind(sim);
+  sim.getKlines = async (symbol, granularity, range) => {
+    klineCalls.push({ symbol, granularity, range });
+    const result = await getKlines(symbol, granularity, range);
+    if (!result.ok || granularity === 15) return result;
+    return { ok: true, value: resample(result.value, '15min', granularity) };
+  };
+
+  const dataAgent = new DataAgent({ exchange: sim });
+  dataAgent.wsConnected = true; // REST seeding path; pushes are fed to _handleWsMessage below
+
+  const screener = new ScreenerAgent({ dataAgent, clock: () => NOW });
+  screener.mtfConfig.enabled = true;
+  screener.mtfConfig.ltfTimeframes = ['15min'];
+  screener.mtfConfig.htfTimeframes = ['1hour'];
+  screener.instruments = symbols.map(symbol => ({ symbol, isTrading: true }));
+  screener._listen();
+
+  await quietly(() => screener.forceScan());
+  runner.assert(klineCalls.length === 4 && screener.stats.seedFetches === 4, 'First scan seeds each timeframe once per symbol',
+    `${klineCalls.length}`);
+  runner.assert(screener.streams.size === 2 && screener.scanResults.size === 2, 'Both symbols streamed and scored');
+  runner.assert(dataAgent.subscriptions.has('/contractMarket/limitCandle:XBTUSDTM_15min') &&
+    !Array.from(dataAgent.subscriptions).some(t => t.endsWith('_1hour')),
+    'Only the base timeframe kline topic is subscribed');
+
+  const result = screener.getScanResult('XBTUSDTM');
+  runner.assert(result.totalTFs === 2 && result.indicators.stochRsi && result.currentPrice === at('XBTUSDTM', current).close,
+    'Scan result carries MTF analysis and the forming price');
+
+  await quietly(async () => {
+    for (let i = 0; i < 5; i++) await screener.forceScan();
+  });
+  runner.assert(klineCalls.length === 4, 'Rescans make no API calls', `${klineCalls.length}`);
+
+  // Pushes close the forming bar: indicators advance, still no REST
+  const stream = screener.streams.get('XBTUSDTM');
+  const base = stream.getState('15min');
+  const bars = base.bars;
+  dataAgent._handleWsMessage(wsMessage('XBTUSDTM', '15min', at('XBTUSDTM', current)));
+  dataAgent._handleWsMessage(wsMessage('XBTUSDTM', '15min', at('XBTUSDTM', current + BAR)));
+  runner.assert(base.bars === bars + 1 && base.lastCandle().ts === current, 'Kline push closes a bar');
+  dataAgent._handleWsMessage(wsMessage('XBTUSDTM', '1hour', at('XBTUSDTM', current + BAR)));
+  runner.assert(base.bars === bars + 1, 'Pushes for other timeframes are ignored');
+
+  await quietly(() => screener.forceScan());
+  runner.assert(klineCalls.length === 4, 'Streamed bars need no REST');
+
+  // Dropped pushes: next candle skips two bars -> one ranged backfill
+  dataAgent._handleWsMessage(wsMessage('XBTUSDTM', '15min', at('XBTUSDTM', current + 4 * BAR)));
+  await flush();
+  const backfill = klineCalls[klineCalls.length - 1];
+  runner.assert(klineCalls.length === 5 && screener.stats.backfills === 1, 'Gap triggers one REST backfill', `${klineCalls.length}`);
+  runner.assert(backfill.range.from === current + 2 * BAR && backfill.range.to === current + 3 * BAR,
+    'Backfill requests only the missing bars', JSON.stringify(backfill.range));
+  runner.assert(base.lastCandle().ts === current + 3 * BAR && base.bars === bars + 4, 'Backfilled bars fed in order');
+
+  // Keep streaming past an hour boundary: the hour is built locally
+  for (let i = 5; i <= 9; i++) {
+    dataAgent._handleWsMessage(wsMessage('XBTUSDTM', '15min', at('XBTUSDTM', current + i * BAR)));
+  }
+  const closed = data.XBTUSDTM.filter(c => c.ts <= base.lastCandle().ts);
+  const hourly = resample(closed, '15min', '1hour');
+  runner.assert(sameCandle(stream.getState('1hour').lastCandle(), hourly[hourly.length - 1]),
+    'Hourly bar aggregated from streamed candles');
+  runner.assert(klineCalls.length === 5, 'No REST after the backfill');
+
+  // Reference: the same closed candles fed straight into a fresh state
+  const reference = new IndicatorState({ timeframe: '15min' });
+  for (const candle of closed.slice(-base.bars)) reference.update(candle);
+  runner.assert(JSON.stringify(base.getIndicators()) === JSON.stringify(reference.getIndicators()),
+    'Seeded + streamed + backfilled state equals a straight feed');
+
+  // Failed backfill: skipped, stream keeps going
+  sim.getKlines = async () => ({ ok: false, error: { code: 'RATE_LIMITED', message: 'Too many requests' } });
+  await quietly(async () => {
+    dataAgent._handleWsMessage(wsMessage('XBTUSDTM', '15min', at('XBTUSDTM', current + 12 * BAR)));
+    await flush();
+  });
+  runner.assert(screener.stats.backfillFailures === 1 && stream.pendingGap === null && base.lastCandle().ts === current + 9 * BAR,
+    'Failed backfill is counted and the gap skipped');
+
+  // Switching the timeframe drops streams and their subscriptions
+  await quietly(async () => screener.setTimeframe('5min'));
+  runner.assert(screener.streams.size === 0 && dataAgent.subscriptions.size === 0,
+    'Timeframe switch drops streams and unsubscribes');
+  runner.assert(screener._baseTimeframe() === '5min', 'Base timeframe follows the lowest scanned timeframe');
+
+  screener._unlisten();
+  runner.assert(dataAgent.listenerCount('candle') === 0, 'Listener removed on stop');
+}
+
+async function runAllTests() {
+  console.log('Starting Streaming Screener Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    testAggregator(runner);
+    testIndicatorState(runner);
+    testSymbolStream(runner);
+    await testScreenerAgent(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
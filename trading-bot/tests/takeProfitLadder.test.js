@@ -0,0 +1,361 @@
+/**
+ * Take-Profit Ladder Test Suite
+ *
+ * Tests multi-level scale-out exits:
+ * - TakeProfitLadder parsing, validation and fill plans
+ * - BacktestEngine partial fills, per-fill PnL/fees, stop moves and runner
+ * - TradingEngineV3 paper and live (simulated exchange) scale-outs
+ * - One ladder definition producing the same levels in every mode
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Decimal = require('decimal.js');
+
+const TakeProfitLadder = require('../src/utils/TakeProfitLadder');
+const BacktestEngine = require('../src/backtest/BacktestEngine');
+const TradingEngineV3 = require('../src/trading/TradingEngineV3');
+const { SimulatedExchange } = require('../src/exchange');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  assertClose(actual, expected, tolerance, testName) {
+    this.assert(
+      Math.abs(actual - expected) <= tolerance,
+      testName,
+      `expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const LADDER = '10:40,20:30';
+const SYMBOL = 'XBTUSDTM';
+const INTERVAL = 15 * 60 * 1000;
+const SIGNAL = { type: 'BUY', score: 90, confidence: 80, indicatorsAgreeing: 5, signals: [] };
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+// Flat warmup at 100, then the given closes; wicks 0.05 either side
+function pathCandles(closes, warmup = 10) {
+  const prices = [...Array(warmup).fill(100), ...closes];
+  return prices.map((close, i) => ({
+    ts: 1700000000000 + i * INTERVAL,
+    open: i > 0 ? prices[i - 1] : close,
+    high: Math.max(close, i > 0 ? prices[i - 1] : close) + 0.05,
+    low: Math.min(close, i > 0 ? prices[i - 1] : close) - 0.05,
+    close,
+    volume: 1000
+  }));
+}
+
+function bullishIndicators(count) {
+  const indicator = () => ({
+    value: 25,
+    signals: [
+      { type: 'bullish_divergence', direction: 'bullish', strength: 'very_strong', message: 'divergence' },
+      { type: 'bullish_crossover', direction: 'bullish', strength: 'strong', message: 'crossover' }
+    ]
+  });
+  const indicators = {};
+  for (const name of ['rsi', 'williamsR', 'kdj', 'stochRSI', 'obv']) {
+    indicators[name] = Array.from({ length: count }, indicator);
+  }
+  return indicators;
+}
+
+const backtestConfig = { warmupPeriod: 10, stopLossROI: 10, takeProfitROI: 30, minSignalScore: 30 };
+
+// ============================================================================
+// LADDER DEFINITION
+// ============================================================================
+
+function testDefinition(runner) {
+  console.log('\n--- Ladder Definition ---');
+
+  const ladder = TakeProfitLadder.parse(LADDER);
+  runner.assert(ladder.levels.length === 2 && ladder.levels[1].roi === 20 && ladder.levels[1].percent === 30, 'Parses roi:percent levels');
+  runner.assert(ladder.runnerPercent === 30, 'Remainder is the runner');
+  runner.assert(ladder.toString() === LADDER, 'Round-trips to string');
+  runner.assert(TakeProfitLadder.parse('10:50:2').levels[0].stopROI === 2, 'Optional stopROI parsed');
+
+  runner.assert(TakeProfitLadder.from(null) === null && TakeProfitLadder.from('') === null, 'Falsy definition means no ladder');
+  runner.assert(TakeProfitLadder.from(ladder) === ladder, 'Instances pass through');
+  runner.assert(TakeProfitLadder.from([{ roi: 10, percent: 40 }]).levels.length === 1, 'Array definition accepted');
+  runner.assert(TakeProfitLadder.from({ levels: [{ roi: 10, percent: 40 }] }).levels.length === 1, '{ levels } definition accepted');
+
+  runner.assert(throws(() => TakeProfitLadder.parse('20:40,10:30')), 'Rejects descending ROI');
+  runner.assert(throws(() => TakeProfitLadder.parse('10:70,20:40')), 'Rejects percents over 100');
+  runner.assert(throws(() => TakeProfitLadder.parse('10:0')), 'Rejects zero percent');
+  runner.assert(throws(() => TakeProfitLadder.parse('10:50:12')), 'Rejects stop beyond its level');
+  runner.assert(throws(() => TakeProfitLadder.parse('10')), 'Rejects malformed level');
+}
+
+function testPlan(runner) {
+  console.log('\n--- Fill Plan ---');
+
+  const ladder = TakeProfitLadder.parse(LADDER);
+  const plan = ladder.build({ side: 'long', entryPrice: 100, leverage: 10, size: 9, lotSize: 1, feeRate: 0.0006 });
+  runner.assert(plan.length === 2 && plan[0].size === 3 && plan[1].size === 2, 'Sizes floored to lots', JSON.stringify(plan.map(l => l.size)));
+  runner.assertClose(plan[0].price, 101, 1e-9, 'Long level 1 at entry × (1 + ROI / leverage)');
+  runner.assertClose(plan[1].price, 102, 1e-9, 'Long level 2 price');
+  runner.assertClose(plan[0].stopPrice, 100.12, 1e-9, 'First level moves stop to break-even + fees');
+  runner.assertClose(plan[1].stopPrice, 101, 1e-9, 'Later level moves stop to previous level');
+  runner.assert(plan.every(l => l.filled === false), 'Plan starts unfilled');
+
+  const short = ladder.build({ side: 'short', entryPrice: 100, leverage: 10, size: 10 });
+  runner.assertClose(short[0].price, 99, 1e-9, 'Short levels below entry');
+  runner.assertClose(short[0].size, 4, 1e-12, 'Fractional sizes without lotSize');
+
+  const full = TakeProfitLadder.parse('10:50,20:50').build({ side: 'long', entryPrice: 100, leverage: 10, size: 7, lotSize: 1 });
+  runner.assert(full[0].size === 3 && full[1].size === 4, 'Full ladder gives rounding remainder to last level');
+
+  const tiny = ladder.build({ side: 'long', entryPrice: 100, leverage: 10, size: 1, lotSize: 1 });
+  runner.assert(tiny.length === 0, 'Levels that round to zero are dropped');
+
+  runner.assertClose(TakeProfitLadder.roiToPrice('short', 200, 30, 5), 188, 1e-9, 'roiToPrice matches ROI formula');
+}
+
+// ============================================================================
+// BACKTEST
+// ============================================================================
+
+async function testBacktest(runner) {
+  console.log('\n--- BacktestEngine Ladder ---');
+
+  // Enters at 100.4, rises through both levels in small steps, trails, then drops through the trailing stop
+  const closes = [100.4, 100.8, 101.2, 101.6, 102.0, 102.4, 102.8, 103.2, 103.6, 102, 100];
+  const candles = pathCandles(closes);
+  const indicators = bullishIndicators(candles.length);
+
+  const engine = new BacktestEngine({
+    initialBalance: 10000, leverage: 10, riskPerTrade: 1, breakEvenEnabled: false, takeProfitLadder: LADDER
+  });
+  const results = await engine.runBacktest(candles, indicators, backtestConfig);
+  const trade = results.trades[0];
+
+  runner.assert(trade && trade.fills && trade.fills.length === 3, 'Ladder trade records three fills', JSON.stringify(trade && trade.fills));
+  runner.assert(trade.fills[0].level === 1 && trade.fills[1].level === 2 && trade.fills[2].level === null, 'Fills in ladder order, runner last');
+  runner.assert(trade.fills.reduce((s, f) => s + f.size, 0) === trade.size, 'Fill sizes sum to the position');
+  runner.assert(trade.fills[0].size === Math.floor(trade.size * 0.4), 'Level 1 closes 40%');
+  runner.assert(trade.reason === 'trailing_stop', 'Runner exits on the trailing stop', trade.reason);
+  runner.assertClose(trade.pnl, trade.fills.reduce((s, f) => s + f.pnl, 0), 1e-6, 'Trade PnL is the sum of fill PnL');
+  runner.assert(trade.fills.every(f => f.fee > 0), 'Fees tracked per fill');
+
+  const level1 = TakeProfitLadder.roiToPrice('long', trade.entryPrice, 10, 10);
+  runner.assertClose(trade.fills[0].price, level1 * (1 - engine.slippage), 1e-9, 'Level fills at ladder price less slippage');
+  runner.assert(trade.stopLoss > trade.ladder[1].stopPrice - 1e-9, 'Stop never below the last level stop');
+
+  const entryFees = results.trades.reduce((s, t) => s + t.size * t.entryPrice * 0.001 * engine.commission, 0);
+  const tradePnl = results.trades.reduce((s, t) => s + t.pnl, 0);
+  runner.assertClose(results.finalBalance - results.initialBalance, tradePnl - entryFees, 1e-6, 'Balance equals fills less entry fees');
+  runner.assert(results.totalTrades === results.trades.length, 'One trade per position');
+
+  // Same path without a ladder: single take-profit, no fills
+  const plain = new BacktestEngine({ initialBalance: 10000, leverage: 10, riskPerTrade: 1, breakEvenEnabled: false });
+  const plainResults = await plain.runBacktest(candles, indicators, backtestConfig);
+  runner.assert(plainResults.trades.every(t => t.fills === undefined && t.ladder === undefined), 'No ladder keeps legacy trades');
+
+  // Ladder covering the whole position closes on its last level
+  const full = new BacktestEngine({
+    initialBalance: 10000, leverage: 10, riskPerTrade: 1, breakEvenEnabled: false, trailingStopEnabled: false,
+    takeProfitLadder: '10:50,20:50'
+  });
+  const fullTrade = (await full.runBacktest(pathCandles([100, 101.2, 102.3, 102.5]), bullishIndicators(14), backtestConfig)).trades[0];
+  runner.assert(fullTrade.reason === 'take_profit' && fullTrade.fills.length === 2 && fullTrade.fills[1].level === 2,
+    'Full ladder closes on last level', JSON.stringify(fullTrade.fills));
+
+  // Stop before the first level: one fill at the stop
+  const stopped = new BacktestEngine({ initialBalance: 10000, leverage: 10, riskPerTrade: 1, takeProfitLadder: LADDER });
+  const stoppedTrade = (await stopped.runBacktest(pathCandles([99.5, 98.5]), bullishIndicators(12), backtestConfig)).trades[0];
+  runner.assert(stoppedTrade.reason === 'stop_loss' && stoppedTrade.fills.length === 1 && stoppedTrade.pnl < 0, 'Stop before any level closes everything');
+}
+
+// ============================================================================
+// TRADING ENGINE
+// ============================================================================
+
+async function testPaperEngine(runner, dir) {
+  console.log('\n--- TradingEngineV3 Paper Ladder ---');
+
+  const engine = new TradingEngineV3({ mode: 'paper', logDir: path.join(dir, 'paper'), takeProfitLadder: LADDER });
+  engine.riskConfig.breakEvenEnabled = false;
+  engine.riskConfig.trailingEnabled = true;
+  engine.riskConfig.trailingDistance = 4;
+
+  const position = await engine._enterPosition(SYMBOL, {
+    side: 'long', entryPrice: 100, positionSizeUSD: 100, leverage: 10, signal: SIGNAL, atrPercent: 2
+  });
+  runner.assert(position.ladder.length === 2 && position.takeProfit.eq(101), 'Entry arms first ladder level');
+
+  const scaled = [];
+  engine.on('positionScaledOut', e => scaled.push(e.fill));
+
+  await engine._updatePosition(SYMBOL, { close: 101 });
+  runner.assert(scaled.length === 1 && position.quantity.eq(6), 'Level 1 closes 40%', position.quantity.toString());
+  runner.assertClose(scaled[0].pnl, 3.52, 1e-9, 'Level 1 PnL net of round-trip fee');
+  runner.assertClose(engine.balance.toNumber(), 10003.52, 1e-9, 'Balance credited per fill');
+  runner.assertClose(position.stopLoss.toNumber(), 100.12, 1e-9, 'Stop moved to break-even + fees');
+  runner.assert(position.takeProfit.eq(102), 'Next level armed');
+
+  await engine._updatePosition(SYMBOL, { close: 102.5 });
+  runner.assert(scaled.length === 2 && position.quantity.eq(3) && position.takeProfit === null, 'Level 2 leaves the runner');
+  runner.assert(position.trailingActivated === true, 'Runner trails');
+
+  await engine._updatePosition(SYMBOL, { close: 103 });
+  runner.assertClose(position.stopLoss.toNumber(), 103 * 0.996, 1e-9, 'Runner stop trails price');
+  runner.assert(engine.positions.has(SYMBOL), 'Runner stays open without a take-profit');
+
+  await engine._updatePosition(SYMBOL, { close: 102.5 });
+  const trade = engine.trades[0];
+  runner.assert(!engine.positions.has(SYMBOL) && trade.fills.length === 3, 'Runner stopped out, one trade with three fills');
+  const expected = 3.52 + 5.64 + ((103 * 0.996 - 100) / 100 * 300 - 300 * 0.0012);
+  runner.assertClose(trade.realizedPnl, expected, 1e-9, 'Trade PnL sums every fill');
+  runner.assertClose(engine.balance.toNumber(), 10000 + expected, 1e-9, 'Balance matches trade PnL');
+  runner.assertClose(trade.realizedROI, expected, 1e-9, 'ROI on the initial margin');
+  runner.assert(trade.quantity.eq(10) && engine.getMetrics().totalTrades === 1, 'Trade keeps initial size, counted once');
+
+  const plain = new TradingEngineV3({ mode: 'paper', logDir: path.join(dir, 'paper') });
+  plain.riskConfig.takeProfitLadder = null;
+  const plainPosition = await plain._enterPosition(SYMBOL, {
+    side: 'long', entryPrice: 100, positionSizeUSD: 100, leverage: 10, signal: SIGNAL, atrPercent: 2
+  });
+  runner.assert(plainPosition.ladder === undefined && plainPosition.takeProfit.eq(103), 'No ladder keeps single take-profit');
+}
+
+async function testLiveEngine(runner, dir) {
+  console.log('\n--- TradingEngineV3 Live Ladder ---');
+
+  const logDir = path.join(dir, 'live');
+  const sim = new SimulatedExchange({ balance: 100000, slippage: 0 });
+  sim.setPrice(SYMBOL, 100);
+
+  const engine = new TradingEngineV3({ mode: 'live', exchange: sim, logDir, takeProfitLadder: LADDER, reconcileIntervalMs: 0 });
+  engine.riskConfig.breakEvenEnabled = false;
+
+  const position = await engine._enterPosition(SYMBOL, {
+    side: 'long', entryPrice: 100, positionSizeUSD: 100, leverage: 10, signal: SIGNAL, atrPercent: 2
+  });
+  let stops = (await sim.getStopOrders(SYMBOL)).value;
+  runner.assert(position.ladder.every(l => Number.isInteger(l.size)), 'Live ladder uses whole contracts');
+  runner.assert(stops.length === 2 && stops.find(s => s.stop === 'up').size === 4 && stops.find(s => s.stop === 'down').size === 10,
+    'Exchange holds level-1 take-profit and full stop-loss');
+
+  await engine._updatePosition(SYMBOL, { close: 101 });
+  let exchangePosition = (await sim.getPosition(SYMBOL)).value;
+  runner.assert(exchangePosition.size === 6, 'Level 1 reduces the exchange position', `${exchangePosition.size}`);
+  stops = (await sim.getStopOrders(SYMBOL)).value;
+  const sl = stops.find(s => s.stop === 'down');
+  const tp = stops.find(s => s.stop === 'up');
+  runner.assert(sl && sl.size === 6 && Math.abs(Number(sl.stopPrice) - 100.12) < 1e-4, 'Stop re-placed at break-even for the rest');
+  runner.assert(tp && tp.size === 3 && Math.abs(Number(tp.stopPrice) - 102) < 1e-4, 'Next level take-profit re-placed');
+
+  const saved = JSON.parse(fs.readFileSync(path.join(logDir, 'positions-live.json'), 'utf8')).positions[0];
+  runner.assert(saved.ladder[0].filled === true && saved.fills.length === 1 && saved.quantity === '6', 'Ladder progress persisted');
+  const restarted = new TradingEngineV3({ mode: 'live', exchange: sim, logDir, takeProfitLadder: LADDER, reconcileIntervalMs: 0 });
+  const restored = restarted.positions.get(SYMBOL);
+  runner.assert(restored.ladder[0].filled && restored.realizedPnl.gt(0) && restored.initialQuantity.eq(10), 'Restart restores ladder state');
+
+  // The exchange's own take-profit fills first: the engine must not reduce again
+  sim.pushCandle(SYMBOL, { ts: Date.now(), open: 101, high: 102.6, low: 101, close: 102.5, volume: 100 });
+  exchangePosition = (await sim.getPosition(SYMBOL)).value;
+  runner.assert(exchangePosition && exchangePosition.size === 3, 'Exchange take-profit filled level 2', `${exchangePosition && exchangePosition.size}`);
+  await engine._updatePosition(SYMBOL, { close: 102.5 });
+  exchangePosition = (await sim.getPosition(SYMBOL)).value;
+  runner.assert(exchangePosition.size === 3 && position.quantity.eq(3), 'Engine books level 2 without a second reduce');
+  stops = (await sim.getStopOrders(SYMBOL)).value;
+  runner.assert(stops.length === 1 && stops[0].stop === 'down' && stops[0].size === 3, 'Runner keeps only its stop-loss');
+
+  const reconciled = await engine.reconciler.reconcile();
+  runner.assert(reconciled.ok && reconciled.value.corrections.length === 0, 'Reconciler accepts a runner without take-profit',
+    JSON.stringify(reconciled.value && reconciled.value.corrections));
+
+  await engine.closeAllPositions('MANUAL_CLOSE');
+  runner.assert((await sim.getPosition(SYMBOL)).value === null, 'Runner close flattens exchange');
+  runner.assert(engine.trades[0].fills.length === 3 && engine.trades[0].fills[2].size === 3, 'Live trade records every fill');
+}
+
+async function testSharedDefinition(runner, dir) {
+  console.log('\n--- One Definition, Every Mode ---');
+
+  const prev = process.env.TP_LADDER;
+  process.env.TP_LADDER = LADDER;
+  try {
+    const paper = new TradingEngineV3({ mode: 'paper', logDir: path.join(dir, 'shared') });
+    const backtest = new BacktestEngine({ leverage: 10, takeProfitLadder: process.env.TP_LADDER });
+    runner.assert(paper.riskConfig.takeProfitLadder.toString() === LADDER, 'TradingEngineV3 reads TP_LADDER');
+
+    const position = await paper._enterPosition(SYMBOL, {
+      side: 'short', entryPrice: 100, positionSizeUSD: 100, leverage: 10, signal: SIGNAL, atrPercent: 2
+    });
+    const plan = backtest.takeProfitLadder.build({ side: 'short', entryPrice: 100, leverage: 10, size: 10 });
+    runner.assert(position.ladder.length === plan.length &&
+      position.ladder.every((l, i) => l.price === plan[i].price && l.stopPrice < new Decimal(100).toNumber()),
+      'Backtest and engine build identical levels');
+  } finally {
+    if (prev === undefined) delete process.env.TP_LADDER;
+    else process.env.TP_LADDER = prev;
+  }
+}
+
+async function runAllTests() {
+  console.log('Starting Take-Profit Ladder Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tp-ladder-'));
+
+  try {
+    testDefinition(runner);
+    testPlan(runner);
+    await testBacktest(runner);
+    await testPaperEngine(runner, dir);
+    await testLiveEngine(runner, dir);
+    await testSharedDefinition(runner, dir);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
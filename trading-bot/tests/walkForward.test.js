@@ -0,0 +1,242 @@
+/**
+ * Walk-Forward Test Suite
+ *
+ * Tests research/optimize/walk-forward.js for:
+ * - Rolling and anchored windows with purge and embargo
+ * - Out-of-sample trades confined to test spans, stitched equity
+ * - Parameter stability and walk-forward efficiency
+ * - OptimizerAgent.runWalkForward delegating to the same module
+ */
+
+const WalkForward = require('../research/optimize/walk-forward');
+const OptimizerAgent = require('../agents/optimizer-agent');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+const BAR_MS = 15 * 60 * 1000;
+
+// Oscillating candles so the indicators produce crossovers and divergences
+function generateCandles(count, phase = 0) {
+  const candles = [];
+  let price = 100;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price = price * (1 + Math.sin((i + phase) / 9) * 0.006 + Math.cos((i + phase) / 4) * 0.003);
+    candles.push({
+      ts: 1700000000000 + i * BAR_MS,
+      open,
+      high: Math.max(open, price) * 1.003,
+      low: Math.min(open, price) * 0.997,
+      close: price,
+      volume: 1000 + ((i * 37) % 23) * 40
+    });
+  }
+  return candles;
+}
+
+const CANDIDATES = [
+  { thresholds: { buy: 20 }, risk: { stopLossROI: 5 } },
+  { thresholds: { buy: 40 }, risk: { stopLossROI: 10 } },
+  { thresholds: { buy: 60 }, risk: { stopLossROI: 15 } }
+];
+
+function createWalkForward(overrides = {}) {
+  return new WalkForward({
+    trainBars: 400,
+    testBars: 250,
+    purgeBars: 10,
+    embargoBars: 5,
+    minTrades: 1,
+    backtestConfig: { warmupPeriod: 60 },
+    candidates: CANDIDATES,
+    ...overrides
+  });
+}
+
+async function testWindows(runner) {
+  console.log('\n📋 Testing Window Construction...');
+
+  const rolling = createWalkForward().buildWindows(1500);
+  runner.assert(rolling.length === 4, 'Rolling windows fill the timeline', `got ${rolling.length}`);
+  runner.assert(rolling.every(w => w.train.end - w.train.start === 390), 'Rolling training span is fixed (minus purge)');
+  runner.assert(rolling.every((w, i) => i === 0 || w.train.start - rolling[i - 1].train.start === 250),
+    'Rolling windows step by one test span');
+  runner.assert(rolling.every(w => w.test.start - w.train.end === 15), 'Purge and embargo separate train from test');
+  runner.assert(rolling[0].train.start === 60, 'First window starts after indicator warmup');
+  runner.assert(rolling.every(w => w.test.end <= 1500), 'Test spans stay inside the timeline');
+
+  const anchored = createWalkForward({ mode: 'anchored' }).buildWindows(1500);
+  runner.assert(anchored.every(w => w.train.start === 60), 'Anchored training always starts at the first bar');
+  runner.assert(anchored.every((w, i) => i === 0 || w.train.end > anchored[i - 1].train.end), 'Anchored training grows');
+  runner.assert(JSON.stringify(anchored.map(w => w.test)) === JSON.stringify(rolling.map(w => w.test)),
+    'Anchored and rolling share test spans');
+
+  runner.assert(createWalkForward({ windows: 2 }).buildWindows(1500).length === 2, 'windows caps the window count');
+  runner.assert(createWalkForward().buildWindows(600).length === 0, 'No window without a full test span');
+
+  let badMode = false;
+  try { new WalkForward({ mode: 'expanding' }); } catch (e) { badMode = true; }
+  runner.assert(badMode, 'Unknown mode rejected');
+
+  let badPurge = false;
+  try { new WalkForward({ trainBars: 100, purgeBars: 100 }); } catch (e) { badPurge = true; }
+  runner.assert(badPurge, 'Purge longer than training rejected');
+}
+
+async function testRun(runner) {
+  console.log('\n📋 Testing Multi-Symbol Run...');
+
+  const datasets = [
+    { symbol: 'AAAUSDTM', timeframe: '15min', candles: generateCandles(1500) },
+    { symbol: 'BBBUSDTM', timeframe: '15min', candles: generateCandles(1500, 17) }
+  ];
+
+  const wf = createWalkForward();
+  const report = await wf.run(datasets);
+  const completed = report.windows.filter(w => !w.skipped);
+
+  runner.assert(report.windows.length === 4 && completed.length > 0, 'Every window reported', `got ${report.windows.length}`);
+  runner.assert(completed.every(w => CANDIDATES.some(c => JSON.stringify(c) === JSON.stringify(w.config))),
+    'Chosen config comes from the candidates');
+  runner.assert(completed.every(w => w.trainPeriod.end < w.testPeriod.start), 'Training ends before testing starts');
+  runner.assert(completed.every(w => (w.testPeriod.start - w.trainPeriod.end) / BAR_MS === 16),
+    'Purge and embargo bars are skipped between spans');
+  runner.assert(completed.every(w => Object.keys(w.outOfSample.perSymbol).length === 2), 'Per-symbol OOS breakdown');
+
+  const oos = report.outOfSample;
+  runner.assert(oos.totalTrades === completed.reduce((s, w) => s + w.outOfSample.totalTrades, 0),
+    'Stitched trades pool every window');
+  runner.assert(oos.trades.every((t) => {
+    const w = completed.find(c => c.window === t.window);
+    return t.entryTime >= w.testPeriod.start && t.entryTime <= w.testPeriod.end;
+  }), 'OOS trades open inside their test span');
+
+  runner.assert(oos.equity.every((p, i) => i === 0 || p.ts > oos.equity[i - 1].ts), 'Stitched equity is time-ordered');
+  const compounded = completed.reduce((capital, w) => capital * w.outOfSample.finalBalance / 10000, 10000);
+  runner.assert(Math.abs(oos.finalBalance - compounded) < 1e-6, 'Stitched equity compounds window returns',
+    `${oos.finalBalance} vs ${compounded}`);
+  runner.assert(Math.abs(oos.equity[oos.equity.length - 1].value - oos.finalBalance) < 1e-6,
+    'Stitched curve ends at the final balance');
+  runner.assert(oos.maxDrawdown >= 0, 'Stitched max drawdown reported');
+
+  const stability = report.parameterStability;
+  const buy = stability.params['thresholds.buy'];
+  runner.assert(buy && buy.values.length === completed.length, 'Stability tracks every chosen param per window');
+  runner.assert(buy.normalizedStd >= 0 && buy.normalizedStd <= 0.5, 'Dispersion normalized by the candidate range');
+  runner.assert(stability.totalParams === 2, 'Stability covers each param in the configs');
+
+  runner.assert(report.efficiency.perWindow.length === completed.length, 'Efficiency reported per window');
+
+  const repeat = await createWalkForward().run(datasets);
+  runner.assert(JSON.stringify(repeat) === JSON.stringify(report), 'Runs are deterministic');
+}
+
+async function testEfficiency(runner) {
+  console.log('\n📋 Testing Walk-Forward Efficiency...');
+
+  const wf = createWalkForward();
+  const efficiency = wf._efficiency([
+    { window: 1, isReturnPerBar: 0.02, oosReturnPerBar: 0.01, efficiency: 0.5 },
+    { window: 2, isReturnPerBar: 0.04, oosReturnPerBar: 0.02, efficiency: 0.5 }
+  ]);
+  runner.assert(Math.abs(efficiency.aggregate - 0.5) < 1e-12, 'Aggregate efficiency is OOS / IS return per bar');
+
+  const losing = wf._efficiency([{ window: 1, isReturnPerBar: -0.01, oosReturnPerBar: 0.01, efficiency: null }]);
+  runner.assert(losing.aggregate === null, 'No efficiency without in-sample profit');
+
+  const stability = wf._parameterStability([
+    { window: 1, config: { rsi: { period: 14 } } },
+    { window: 2, config: { rsi: { period: 14 } } }
+  ]);
+  runner.assert(stability.params['rsi.period'].stable && stability.params['rsi.period'].std === 0,
+    'Unchanged param is stable');
+}
+
+async function testOptimizerSearch(runner) {
+  console.log('\n📋 Testing Per-Window Optimizer Search...');
+
+  const wf = createWalkForward({ candidates: null, trials: 3, windows: 1, seed: 5 });
+  const report = await wf.run([{ symbol: 'AAAUSDTM', timeframe: '15min', candles: generateCandles(1500) }]);
+  const window = report.windows[0];
+
+  runner.assert(report.windows.length === 1, 'Optimizer path runs one window');
+  runner.assert(window.skipped || (window.config.rsi && window.config.risk), 'Config drawn from the search space');
+  runner.assert(window.skipped || report.parameterStability.params['rsi.period'].normalizedStd === 0,
+    'Single window has no dispersion');
+}
+
+async function testAgent(runner) {
+  console.log('\n📋 Testing OptimizerAgent.runWalkForward...');
+
+  const agent = new OptimizerAgent({ wfTrainDays: 4, wfTestDays: 2, wfWindows: 2 });
+
+  const short = await agent.runWalkForward({ symbol: 'AAAUSDTM', timeframe: '15min', candles: generateCandles(300) });
+  runner.assert(!short.ok && short.error.code === 'INSUFFICIENT_DATA', 'Short history rejected');
+
+  const result = await agent.runWalkForward({
+    timeframe: '15min',
+    datasets: [
+      { symbol: 'AAAUSDTM', candles: generateCandles(1500) },
+      { symbol: 'BBBUSDTM', candles: generateCandles(1500, 17) }
+    ],
+    candidates: CANDIDATES,
+    embargoBars: 4
+  });
+  runner.assert(result.ok && result.value.windows.length === 2, 'Agent runs the shared walk-forward',
+    JSON.stringify(result.error));
+  runner.assert(result.ok && result.value.trainBars === 384 && result.value.embargoBars === 4,
+    'Agent converts days to bars for the timeframe');
+  runner.assert(result.ok && !result.value.outOfSample.trades, 'Agent response omits the trade list');
+}
+
+async function runAllTests() {
+  console.log('Starting Walk-Forward Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+
+  try {
+    await testWindows(runner);
+    await testRun(runner);
+    await testEfficiency(runner);
+    await testOptimizerSearch(runner);
+    await testAgent(runner);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -0,0 +1,327 @@
+/**
+ * WorkerPool Test Suite
+ *
+ * Tests the research worker pool for:
+ * - Parallel BacktestEngine evaluation matching in-process results
+ * - Submission-order results
+ * - Per-task timeouts
+ * - Cancellation of queued and running tasks
+ * - Crashed worker restart
+ * - Clean worker exits mid-task and the windowed restart limit
+ * - scripts/optimize.js --workers evaluating the same strategy as the serial
+ *   backtest-runner path
+ * - scripts/indicator-optimizer.js --workers matching its serial evaluation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const WorkerPool = require('../research/optimize/worker-pool');
+const BacktestEngine = require('../src/backtest/BacktestEngine');
+const { calculateIndicatorSeries } = require('../src/backtest/IndicatorPipeline');
+const CandleRepository = require('../src/data/CandleRepository');
+const backtestRunner = require('../scripts/backtest-runner');
+const optimize = require('../scripts/optimize');
+const indicatorOptimizer = require('../scripts/indicator-optimizer');
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.results = [];
+  }
+
+  assert(condition, testName, details = '') {
+    if (condition) {
+      this.passed++;
+      this.results.push({ name: testName, status: 'PASS' });
+    } else {
+      this.failed++;
+      this.results.push({ name: testName, status: 'FAIL', details });
+      console.error(`  FAIL: ${testName} - ${details}`);
+    }
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Failed: ${this.failed}`);
+    console.log(`Total:  ${this.passed + this.failed}`);
+    console.log(`Success Rate: ${((this.passed / (this.passed + this.failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(60));
+  }
+}
+
+// Worker that sleeps for task.delay ms, echoes task.value, or exits on task.crash / task.exit (code 0)
+const ECHO_WORKER = `
+const { parentPort } = require('worker_threads');
+parentPort.on('message', (message) => {
+  const { taskId, task } = message;
+  if (task.crash) process.exit(3);
+  if (task.exit) process.exit(0);
+  if (task.fail) {
+    parentPort.postMessage({ taskId, ok: false, error: { message: 'boom' } });
+    return;
+  }
+  setTimeout(() => parentPort.postMessage({ taskId, ok: true, result: task.value }), task.delay || 0);
+});
+parentPort.postMessage({ type: 'ready' });
+`;
+
+function generateCandles(count) {
+  const candles = [];
+  let price = 100;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price = price * (1 + Math.sin(i / 7) * 0.004 + Math.cos(i / 3) * 0.002);
+    candles.push({
+      ts: 1700000000000 + i * 15 * 60 * 1000,
+      open,
+      high: Math.max(open, price) * 1.002,
+      low: Math.min(open, price) * 0.998,
+      close: price,
+      volume: 1000 + (i % 17) * 50
+    });
+  }
+  return candles;
+}
+
+async function testBacktestParity(runner) {
+  console.log('\n📋 Testing Backtest Worker...');
+
+  const candles = generateCandles(400);
+  const tasks = [30, 50, 70].map(minSignalScore => ({
+    dataset: 'synthetic',
+    engineConfig: { initialBalance: 10000, leverage: 10, riskPerTrade: 1 },
+    backtestConfig: { warmupPeriod: 60, stopLossROI: 10, takeProfitROI: 30, minSignalScore }
+  }));
+
+  const pool = new WorkerPool({ maxWorkers: 2, workerData: { datasets: { synthetic: candles } } });
+  await pool.initialize();
+  const outcomes = await pool.map(tasks);
+  await pool.shutdown();
+
+  runner.assert(outcomes.every(o => o.ok), 'Every backtest task succeeds',
+    JSON.stringify(outcomes.filter(o => !o.ok)));
+
+  const indicators = calculateIndicatorSeries(candles);
+  let matches = true;
+  for (let i = 0; i < tasks.length; i++) {
+    const engine = new BacktestEngine(tasks[i].engineConfig);
+    const expected = await engine.runBacktest(candles, indicators, tasks[i].backtestConfig);
+    const actual = outcomes[i].value;
+    if (!actual || actual.finalBalance !== expected.finalBalance || actual.totalTrades !== expected.totalTrades) {
+      matches = false;
+    }
+  }
+  runner.assert(matches, 'Worker results match in-process BacktestEngine runs');
+  runner.assert(outcomes[0].value && outcomes[0].value.trades === undefined, 'Trades stripped unless includeTrades is set');
+}
+
+async function testOrdering(runner, script) {
+  console.log('\n📋 Testing Result Ordering...');
+
+  const pool = new WorkerPool({ maxWorkers: 3, workerScript: script });
+  await pool.initialize();
+
+  // Later tasks finish first
+  const tasks = [5, 4, 3, 2, 1, 0].map(i => ({ value: i, delay: i * 20 }));
+  const outcomes = await pool.map(tasks);
+
+  runner.assert(JSON.stringify(outcomes.map(o => o.value)) === JSON.stringify([5, 4, 3, 2, 1, 0]),
+    'map() returns results in submission order');
+
+  const failed = await pool.map([{ value: 1 }, { fail: true }]);
+  runner.assert(failed[0].ok && !failed[1].ok && failed[1].error.code === 'TASK_FAILED',
+    'Task errors become failed results without affecting others');
+
+  await pool.shutdown();
+}
+
+async function testTimeoutAndCancel(runner, script) {
+  console.log('\n📋 Testing Timeouts and Cancellation...');
+
+  const pool = new WorkerPool({ maxWorkers: 1, workerScript: script });
+  await pool.initialize();
+
+  const [slow, fast] = await pool.map([{ value: 'slow', delay: 5000 }, { value: 'fast' }], { timeoutMs: 200 });
+  runner.assert(!slow.ok && slow.error.code === 'TIMEOUT', 'Slow task times out');
+  runner.assert(fast.ok && fast.value === 'fast', 'Queue continues on a replacement worker after timeout');
+
+  const running = pool.execute({ value: 'running', delay: 5000 });
+  const queued = pool.execute({ value: 'queued' });
+  pool.cancelAll();
+
+  const settled = await Promise.allSettled([running, queued]);
+  runner.assert(settled.every(s => s.status === 'rejected' && s.reason.code === 'CANCELLED'),
+    'cancelAll() rejects running and queued tasks');
+
+  const controller = new AbortController();
+  const aborted = pool.execute({ value: 'aborted', delay: 5000 }, { signal: controller.signal });
+  controller.abort();
+  const abortResult = await aborted.catch(e => e);
+  runner.assert(abortResult.code === 'CANCELLED', 'AbortSignal cancels a task');
+
+  const after = await pool.execute({ value: 'after' });
+  runner.assert(after === 'after', 'Pool keeps working after cancellations');
+
+  await pool.shutdown();
+}
+
+async function testCrashRestart(runner, script) {
+  console.log('\n📋 Testing Crash Recovery...');
+
+  const pool = new WorkerPool({ maxWorkers: 2, workerScript: script, maxRestarts: 5 });
+  await pool.initialize();
+
+  const outcomes = await pool.map([{ crash: true }, { value: 'a' }, { value: 'b' }, { value: 'c' }]);
+
+  runner.assert(!outcomes[0].ok && outcomes[0].error.code === 'WORKER_CRASHED', 'Crashed task is rejected');
+  runner.assert(outcomes.slice(1).every(o => o.ok), 'Remaining tasks still complete');
+  runner.assert(pool.getStats().workers === 2 && pool.restarts === 1, 'Crashed worker is replaced',
+    JSON.stringify(pool.getStats()));
+
+  await pool.shutdown();
+
+  const rejected = await pool.execute({ value: 'late' }).catch(e => e);
+  runner.assert(rejected.code === 'POOL_SHUTDOWN', 'Tasks after shutdown are refused');
+}
+
+function withDeadline(promise, ms) {
+  return Promise.race([promise, new Promise(resolve => setTimeout(() => resolve('DEADLINE'), ms))]);
+}
+
+async function testWorkerExit(runner, script) {
+  console.log('\n📋 Testing Worker Exit and Restart Window...');
+
+  const pool = new WorkerPool({ maxWorkers: 1, workerScript: script });
+  await pool.initialize();
+
+  const outcomes = await withDeadline(pool.map([{ exit: true }, { value: 'a' }]), 5000);
+  runner.assert(outcomes !== 'DEADLINE' && !outcomes[0].ok && outcomes[0].error.code === 'WORKER_CRASHED',
+    'Task held by a worker exiting with code 0 is rejected', JSON.stringify(outcomes));
+  runner.assert(outcomes !== 'DEADLINE' && outcomes[1].ok && outcomes[1].value === 'a' && pool.restarts === 1,
+    'Cleanly exited worker is replaced', JSON.stringify(pool.getStats()));
+  await pool.shutdown();
+
+  // Restarts older than restartWindowMs no longer count toward maxRestarts
+  const windowed = new WorkerPool({ maxWorkers: 1, workerScript: script, maxRestarts: 1, restartWindowMs: 100 });
+  await windowed.initialize();
+  await windowed.map([{ crash: true }]);
+  await new Promise(r => setTimeout(r, 150));
+  await windowed.map([{ crash: true }]);
+  const after = await windowed.map([{ value: 'b' }]);
+  runner.assert(windowed.restarts === 2 && after[0].ok, 'Restart limit applies per window',
+    JSON.stringify({ stats: windowed.getStats(), after }));
+  await windowed.shutdown();
+
+  const limited = new WorkerPool({ maxWorkers: 1, workerScript: script, maxRestarts: 1 });
+  await limited.initialize();
+  await limited.map([{ crash: true }]);
+  await limited.map([{ crash: true }]);
+  const exhausted = await withDeadline(limited.execute({ value: 'c' }).catch(e => e), 5000);
+  runner.assert(exhausted.code === 'POOL_EXHAUSTED', 'Tasks are refused once restarts inside the window run out',
+    String(exhausted.code || exhausted));
+  await limited.shutdown();
+}
+
+async function testOptimizeModes(runner, dir) {
+  console.log('\n📋 Testing optimize.js serial vs worker config...');
+
+  const defaults = optimize.buildWorkerTask({});
+  runner.assert(defaults.engineConfig.leverage === 15 && defaults.engineConfig.trailingStopActivation === 25 &&
+    defaults.engineConfig.breakEvenEnabled === false, 'Worker engine config is backtest-runner\'s',
+    JSON.stringify(defaults.engineConfig));
+  runner.assert(defaults.backtestConfig.stopLossROI === 10 && defaults.backtestConfig.minSignalScore === 85,
+    'Worker backtest options are backtest-runner\'s', JSON.stringify(defaults.backtestConfig));
+
+  const dataDir = path.join(dir, 'candles');
+  fs.mkdirSync(dataDir);
+  const candles = generateCandles(900).map((c, i) => ({ ...c, ts: Date.now() - (900 - i) * 15 * 60 * 1000 }));
+  fs.writeFileSync(path.join(dataDir, 'XBTUSDTM_15min.json'), JSON.stringify({ symbol: 'XBTUSDTM', interval: '15min', candles }));
+  const repository = new CandleRepository({ dataDirs: [dataDir], fundingDir: path.join(dir, 'funding'), offline: true });
+
+  const params = { RSI_PERIOD: 10, SIGNAL_MIN_SCORE: 40, STOP_LOSS_ROI: 8, TAKE_PROFIT_ROI: 40, LEVERAGE_DEFAULT: 10 };
+
+  // Serial path: backtest-runner with the parameters in its environment
+  backtestRunner.setRepository(repository);
+  const serial = await backtestRunner.runBacktest({
+    ...backtestRunner.resolveConfig({ ...process.env, ...params }),
+    symbol: 'XBTUSDTM',
+    timeframe: '15min',
+    days: optimize.CONFIG.backtest.days,
+    initialBalance: optimize.CONFIG.backtest.initialBalance,
+    report: false,
+    save: false
+  });
+
+  optimize.CONFIG.backtest.workers = 1;
+  const [parallel] = await optimize.runParallelBacktests('XBTUSDTM', '15min', [params], { repository });
+
+  runner.assert(serial && serial.totalTrades > 0, 'Serial run trades', serial && `${serial.totalTrades}`);
+  runner.assert(parallel.success && parallel.metrics.totalTrades === serial.totalTrades &&
+    parallel.metrics.totalReturn === parseFloat(serial.totalReturn) / 100 &&
+    parallel.metrics.profitFactor === (parseFloat(serial.profitFactor) || 0),
+  'Worker run matches the serial run', JSON.stringify({ parallel: parallel.metrics, serial: serial && serial.totalReturn }));
+}
+
+async function testIndicatorOptimizerModes(runner, dir) {
+  console.log('\n📋 Testing indicator-optimizer.js serial vs worker evaluation...');
+
+  const dataDir = path.join(dir, 'indicator-candles');
+  fs.mkdirSync(dataDir);
+  indicatorOptimizer.TEST_SYMBOLS.forEach((symbol, s) => {
+    const candles = generateCandles(600 + s * 50).map(c => ({ ...c, close: c.close * (1 + s * 0.01) }));
+    fs.writeFileSync(path.join(dataDir, `${symbol}_15min.json`), JSON.stringify({ symbol, interval: '15min', candles }));
+  });
+  indicatorOptimizer.setRepository(new CandleRepository({ dataDirs: [dataDir], offline: true }));
+
+  const paramSets = [
+    { period: 7, oversold: 30, overbought: 70 },
+    { period: 14, oversold: 35, overbought: 65 }
+  ];
+
+  indicatorOptimizer.CONFIG.workers = 0;
+  const serial = await indicatorOptimizer.evaluateParamSets('rsi', 15, paramSets);
+  indicatorOptimizer.CONFIG.workers = 2;
+  const parallel = await indicatorOptimizer.evaluateParamSets('rsi', 15, paramSets);
+
+  runner.assert(serial.length === 2 && serial.every(e => e.symbolCount === 3 && e.totalTrades > 0),
+    'Serial indicator evaluation covers every symbol', JSON.stringify(serial));
+  runner.assert(JSON.stringify(parallel) === JSON.stringify(serial),
+    'Worker indicator evaluation matches serial', JSON.stringify({ serial, parallel }));
+}
+
+async function runAllTests() {
+  console.log('Starting WorkerPool Test Suite\n');
+  console.log('='.repeat(60));
+
+  const runner = new TestRunner();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-pool-'));
+  const script = path.join(dir, 'echo-worker.js');
+  fs.writeFileSync(script, ECHO_WORKER);
+
+  try {
+    await testBacktestParity(runner);
+    await testOrdering(runner, script);
+    await testTimeoutAndCancel(runner, script);
+    await testCrashRestart(runner, script);
+    await testWorkerExit(runner, script);
+    await testOptimizeModes(runner, dir);
+    await testIndicatorOptimizerModes(runner, dir);
+  } catch (error) {
+    console.error('Test execution error:', error);
+    runner.failed++;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  runner.printSummary();
+
+  process.exit(runner.failed > 0 ? 1 : 0);
+}
+
+runAllTests();
@@ -1,9 +1,8 @@
 const express = require('express');
 const WebSocket = require('ws');
-const crypto = require('crypto');
-const axios = require('axios');
 const { EventEmitter } = require('events');
 const config = require('./config');
+const KuCoinAdapter = require('../../src/exchange/KuCoinAdapter');
 require('dotenv').config();
 
 const app = express();
@@ -39,58 +38,23 @@ const wsClients = new Set();
 // KuCoin Futures API Helper
 class KuCoinFuturesAPI {
   constructor(apiKey, apiSecret, passphrase) {
-    this.apiKey = apiKey;
-    this.apiSecret = apiSecret;
-    this.passphrase = passphrase;
     this.baseURL = KUCOIN_FUTURES_BASE_URL;
+    this.adapter = new KuCoinAdapter({
+      apiKey,
+      apiSecret,
+      apiPassphrase: passphrase,
+      baseUrl: this.baseURL
+    });
   }
 
-  generateSignature(timestamp, method, endpoint, body = '') {
-    const strToSign = timestamp + method + endpoint + body;
-    const signature = crypto
-      .createHmac('sha256', this.apiSecret)
-      .update(strToSign)
-      .digest('base64');
-    return signature;
-  }
-
-  getHeaders(method, endpoint, body = '') {
-    const timestamp = Date.now().toString();
-    const signature = this.generateSignature(timestamp, method, endpoint, body);
-    const passphraseSignature = crypto
-      .createHmac('sha256', this.apiSecret)
-      .update(this.passphrase)
-      .digest('base64');
-
-    return {
-      'KC-API-KEY': this.apiKey,
-      'KC-API-SIGN': signature,
-      'KC-API-TIMESTAMP': timestamp,
-      'KC-API-PASSPHRASE': passphraseSignature,
-      'KC-API-KEY-VERSION': '2',
-      'Content-Type': 'application/json'
-    };
-  }
-
+  // Returns the KuCoin envelope { code, msg, data }
   async request(method, endpoint, data = null) {
-    try {
-      const body = data ? JSON.stringify(data) : '';
-      const headers = this.getHeaders(method, endpoint, body);
-      const url = `${this.baseURL}${endpoint}`;
-
-      const config = {
-        method,
-        url,
-        headers,
-        ...(data && { data })
-      };
-
-      const response = await axios(config);
-      return response.data;
-    } catch (error) {
-      console.error(`KuCoin API Error [${method} ${endpoint}]:`, error.response?.data || error.message);
-      throw error;
+    const result = await this.adapter.request(method, endpoint, data);
+    if (!result.ok) {
+      console.error(`KuCoin API Error [${method} ${endpoint}]:`, result.error);
+      return { code: result.error.code, msg: result.error.message };
     }
+    return { code: '200000', data: result.value };
   }
 
   // Get account overview